@@ -94,7 +94,9 @@ async function getCanvasObjects(canvasId) {
         radius: data.radius,
         fill: data.fill,
         stroke: data.stroke,
-        rotation: data.rotation || 0
+        rotation: data.rotation || 0,
+        groupId: data.groupId || null,
+        groupName: data.groupName || null
       });
     });
 
@@ -122,24 +124,36 @@ CANVAS CONTEXT:
 
 AVAILABLE COMMANDS:
 1. CREATE SHAPES:
-   - createRectangle: Create rectangles with position, size, and styling
+   - createRectangle: Create rectangles with position, size, styling and optional cornerRadius (a number, or [topLeft, topRight, bottomRight, bottomLeft])
    - createCircle: Create circles with position, radius, and styling  
+   - createEllipse: Create ellipses/ovals with position (center), radiusX, radiusY, optional rotation, and styling
    - createStar: Create stars with position, radius, points, and styling
+   - createPolygon: Create regular polygons with position (center), radius, sides (3-12, use 3 for triangles), and styling
+   - createLine: Create straight lines from start to end ({x, y} points) with stroke, strokeWidth, optional dash and arrowheads
+   - createArrow: Same as createLine but with an arrowhead at the end by default (arrowheads: 'none', 'arrow', 'triangle', 'circle')
+   - createTable: Create a real table (not a grid of rectangles) with position (top-left), rows, columns, cells (array of rows of cell text, first row is the header), optional columnWidth, rowHeight, headerRow, fill, headerFill, stroke, textColor, fontSize
 
 2. MODIFY OBJECTS:
    - moveObject: Move existing objects to new positions
    - resizeObject: Change object dimensions
    - rotateObject: Rotate objects by degrees
-   - updateObjectProperties: Change colors, stroke, opacity
+   - updateObjectProperties: Change colors, stroke styling, opacity, rectangle cornerRadius, effects
    - deleteObject: Remove objects from canvas
 
-3. CANVAS OPERATIONS:
+3. GROUPING:
+   - groupObjects: Group 2 or more objects (objectIds, optional name) so they move, resize, rotate and delete together
+   - ungroupObjects: Dissolve a group by its groupId (objects sharing a groupId are one group)
+
+4. CANVAS OPERATIONS:
    - clearCanvas: Remove all objects (requires confirmation)
-   - setCanvasBackground: Change canvas background color
+   - setCanvasBackground: Change canvas background color (color) and optional pattern ('none', 'grid' or 'dots')
 
 RULES:
 - Always stay within canvas bounds (0-5000 for x/y coordinates)
 - Use hex colors (#RRGGBB format)
+- Rectangle, circle, ellipse, star and polygon fills may be gradients instead: {"type": "linear", "angle": degrees (0 = left to right), "stops": [{"offset": 0-1, "color": "#RRGGBB"}]} or {"type": "radial", "center": {"x": 0-1, "y": 0-1}, "radius": 0.05-4, "stops": [...]} with 2-8 stops
+- Rectangle, circle, ellipse, star and polygon strokes: stroke (#RRGGBB), strokeWidth (0 = no stroke, max 50), dash (e.g. [6, 3], [] = solid), lineCap ('butt', 'round', 'square'), lineJoin ('miter', 'round', 'bevel'), strokeAlign ('inside', 'center', 'outside')
+- Any object can have an opacity (0-1) and up to 8 effects, applied in order: {"type": "drop-shadow" or "inner-shadow", "color": "#RRGGBB", "opacity": 0-1, "offsetX", "offsetY", "blur": 0-100, "spread"} or {"type": "layer-blur", "radius": 0-100}; setting effects replaces the whole list
 - Keep object sizes reasonable (max 2000px width/height, max 1000px radius)
 - Maximum 1000 commands per response
 - Provide clear explanations for your actions
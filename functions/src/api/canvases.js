@@ -11,6 +11,10 @@ const { readLimiter, writeLimiter } = require('../middleware/rateLimit');
 const router = express.Router();
 const db = admin.firestore();
 
+// Canvas background settings (mirrors BACKGROUND_PATTERNS in src/constants/canvas.constants.js)
+const HEX_COLOR_REGEX = /^#[0-9A-Fa-f]{6}$/;
+const BACKGROUND_PATTERNS = ['none', 'grid', 'dots'];
+
 /**
  * GET /api/canvases
  * Get all canvases accessible by the authenticated user
@@ -172,7 +176,7 @@ router.put('/:id', authenticate, requirePermission('update'), writeLimiter, asyn
   try {
     const { id } = req.params;
     const { userId, canvasId: tokenCanvasId } = req;
-    const { name, description } = req.body;
+    const { name, description, backgroundColor, backgroundPattern } = req.body;
 
     // Token must have access to this specific canvas
     if (tokenCanvasId && tokenCanvasId !== id) {
@@ -184,6 +188,25 @@ router.put('/:id', authenticate, requirePermission('update'), writeLimiter, asyn
       });
     }
 
+    // Validate background settings
+    if (backgroundColor !== undefined && (typeof backgroundColor !== 'string' || !HEX_COLOR_REGEX.test(backgroundColor))) {
+      return res.status(400).json({
+        error: {
+          message: 'backgroundColor must be a hex color like #RRGGBB',
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
+    if (backgroundPattern !== undefined && !BACKGROUND_PATTERNS.includes(backgroundPattern)) {
+      return res.status(400).json({
+        error: {
+          message: `backgroundPattern must be one of: ${BACKGROUND_PATTERNS.join(', ')}`,
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
     const canvasRef = db.collection('canvases').doc(id);
     const canvasDoc = await canvasRef.get();
 
@@ -198,8 +221,13 @@ router.put('/:id', authenticate, requirePermission('update'), writeLimiter, asyn
 
     const canvasData = canvasDoc.data();
 
-    // Only owner can update canvas metadata
-    if (canvasData.ownerId !== userId) {
+    const isOwner = canvasData.ownerId === userId;
+    const hasAccess = isOwner ||
+                     (canvasData.collaborators && canvasData.collaborators.includes(userId));
+
+    // Only owner can update canvas metadata; collaborators may change the background
+    const updatesMetadata = name !== undefined || description !== undefined;
+    if (!hasAccess || (updatesMetadata && !isOwner)) {
       return res.status(403).json({
         error: {
           message: 'Only canvas owner can update canvas',
@@ -214,6 +242,8 @@ router.put('/:id', authenticate, requirePermission('update'), writeLimiter, asyn
 
     if (name !== undefined) updates.name = name;
     if (description !== undefined) updates.description = description;
+    if (backgroundColor !== undefined) updates.backgroundColor = backgroundColor.toLowerCase();
+    if (backgroundPattern !== undefined) updates.backgroundPattern = backgroundPattern;
 
     await canvasRef.update(updates);
 
@@ -28,6 +28,267 @@ async function checkCanvasAccess(canvasId, userId) {
   return { hasAccess, canvas: canvasData };
 }
 
+// Samples per curved segment when measuring a vector path's box
+const PATH_CURVE_SAMPLES = 16;
+
+// Object types stored as circles with radiusX/radiusY ('ellipse' is accepted as an alias)
+const ELLIPSE_TYPES = ['circle', 'ellipse'];
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPoint = (point) => !!point && isFiniteNumber(point.x) && isFiniteNumber(point.y);
+
+// Gradient fill limits (match FUTURE_SHAPE_DEFAULTS.gradient in the web app)
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/;
+const MAX_GRADIENT_STOPS = 8;
+const MIN_GRADIENT_RADIUS = 0.05;
+const MAX_GRADIENT_RADIUS = 4;
+
+/**
+ * Helper: Validate a fill
+ * Colors are strings; gradients are { type: 'linear', angle, stops } or
+ * { type: 'radial', center: { x, y }, radius, stops } with stops [{ offset, color }].
+ * @returns {string|null} Error message, or null if the fill can be stored
+ */
+function validateFill(fill) {
+  if (fill === undefined || fill === null || typeof fill === 'string') return null;
+
+  if (fill.type !== 'linear' && fill.type !== 'radial') {
+    return 'fill must be a color or a linear/radial gradient';
+  }
+  const { stops } = fill;
+  if (!Array.isArray(stops) || stops.length < 2 || stops.length > MAX_GRADIENT_STOPS) {
+    return `Gradients need 2 to ${MAX_GRADIENT_STOPS} stops`;
+  }
+  if (!stops.every(stop => isFiniteNumber(stop?.offset) && stop.offset >= 0 && stop.offset <= 1 && HEX_COLOR.test(stop.color))) {
+    return 'Gradient stops need an offset from 0 to 1 and a #RRGGBB color';
+  }
+  if (fill.type === 'linear') {
+    return isFiniteNumber(fill.angle) ? null : 'Linear gradients need an angle in degrees';
+  }
+  const { center, radius } = fill;
+  if (!isPoint(center) || center.x < 0 || center.x > 1 || center.y < 0 || center.y > 1) {
+    return 'Radial gradients need a center with x and y from 0 to 1';
+  }
+  if (!isFiniteNumber(radius) || radius < MIN_GRADIENT_RADIUS || radius > MAX_GRADIENT_RADIUS) {
+    return `Radial gradient radius must be from ${MIN_GRADIENT_RADIUS} to ${MAX_GRADIENT_RADIUS}`;
+  }
+  return null;
+}
+
+// Stroke limits (match FUTURE_SHAPE_DEFAULTS.stroke and the agent schemas in the web app)
+const MAX_STROKE_WIDTH = 50;
+const MAX_DASH_VALUES = 8;
+const MAX_DASH_LENGTH = 200;
+const LINE_CAPS = ['butt', 'round', 'square'];
+const LINE_JOINS = ['miter', 'round', 'bevel'];
+const STROKE_ALIGNS = ['inside', 'center', 'outside'];
+
+/**
+ * Helper: Validate stroke styling
+ * stroke is a #RRGGBB color, strokeWidth 0 (no stroke) to MAX_STROKE_WIDTH,
+ * dash a Konva dash array ([] for solid), and lineCap / lineJoin / strokeAlign
+ * one of their named values.
+ * @returns {string|null} Error message, or null if the stroke can be stored
+ */
+function validateStroke({ stroke, strokeWidth, dash, lineCap, lineJoin, strokeAlign } = {}) {
+  if (stroke !== undefined && stroke !== null && !HEX_COLOR.test(stroke)) {
+    return 'stroke must be a #RRGGBB color';
+  }
+  if (strokeWidth !== undefined && !(isFiniteNumber(strokeWidth) && strokeWidth >= 0 && strokeWidth <= MAX_STROKE_WIDTH)) {
+    return `strokeWidth must be from 0 to ${MAX_STROKE_WIDTH}`;
+  }
+  if (dash !== undefined) {
+    const validDash = Array.isArray(dash) && dash.length <= MAX_DASH_VALUES &&
+      dash.every(value => isFiniteNumber(value) && value >= 0 && value <= MAX_DASH_LENGTH);
+    if (!validDash) {
+      return `dash must be an array of up to ${MAX_DASH_VALUES} lengths from 0 to ${MAX_DASH_LENGTH}`;
+    }
+  }
+  if (lineCap !== undefined && !LINE_CAPS.includes(lineCap)) {
+    return `lineCap must be one of ${LINE_CAPS.join(', ')}`;
+  }
+  if (lineJoin !== undefined && !LINE_JOINS.includes(lineJoin)) {
+    return `lineJoin must be one of ${LINE_JOINS.join(', ')}`;
+  }
+  if (strokeAlign !== undefined && !STROKE_ALIGNS.includes(strokeAlign)) {
+    return `strokeAlign must be one of ${STROKE_ALIGNS.join(', ')}`;
+  }
+  return null;
+}
+
+// Layer effect limits (match FUTURE_SHAPE_DEFAULTS.effects in the web app)
+const EFFECT_TYPES = ['drop-shadow', 'inner-shadow', 'layer-blur'];
+const MAX_EFFECTS = 8;
+const MAX_EFFECT_BLUR = 100;
+const MAX_EFFECT_SPREAD = 100;
+const MAX_EFFECT_OFFSET = 500;
+
+const isNumberIn = (value, min, max) => isFiniteNumber(value) && value >= min && value <= max;
+
+/**
+ * Helper: Validate layer opacity and the effects stack
+ * Effects are { type: 'drop-shadow' | 'inner-shadow', color, opacity, offsetX,
+ * offsetY, blur, spread, visible } or { type: 'layer-blur', radius, visible }.
+ * @returns {string|null} Error message, or null if they can be stored
+ */
+function validateEffects({ opacity, effects } = {}) {
+  if (opacity !== undefined && !isNumberIn(opacity, 0, 1)) {
+    return 'opacity must be a number from 0 to 1';
+  }
+  if (effects === undefined) return null;
+  if (!Array.isArray(effects) || effects.length > MAX_EFFECTS) {
+    return `effects must be an array of up to ${MAX_EFFECTS} effects`;
+  }
+
+  for (let i = 0; i < effects.length; i++) {
+    const effect = effects[i];
+    if (!effect || !EFFECT_TYPES.includes(effect.type)) {
+      return `effects[${i}]: type must be one of ${EFFECT_TYPES.join(', ')}`;
+    }
+    if (effect.visible !== undefined && typeof effect.visible !== 'boolean') {
+      return `effects[${i}]: visible must be a boolean`;
+    }
+    if (effect.type === 'layer-blur') {
+      if (!isNumberIn(effect.radius, 0, MAX_EFFECT_BLUR)) {
+        return `effects[${i}]: radius must be from 0 to ${MAX_EFFECT_BLUR}`;
+      }
+      continue;
+    }
+    const validShadow = HEX_COLOR.test(effect.color) &&
+      isNumberIn(effect.opacity, 0, 1) &&
+      isNumberIn(effect.offsetX, -MAX_EFFECT_OFFSET, MAX_EFFECT_OFFSET) &&
+      isNumberIn(effect.offsetY, -MAX_EFFECT_OFFSET, MAX_EFFECT_OFFSET) &&
+      isNumberIn(effect.blur, 0, MAX_EFFECT_BLUR) &&
+      isNumberIn(effect.spread, -MAX_EFFECT_SPREAD, MAX_EFFECT_SPREAD);
+    if (!validShadow) {
+      return `effects[${i}]: shadows need a #RRGGBB color, opacity 0-1, offsetX/offsetY within ±${MAX_EFFECT_OFFSET}, blur 0-${MAX_EFFECT_BLUR} and spread within ±${MAX_EFFECT_SPREAD}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Helper: Flatten Bézier anchors into sample points (for the path's box)
+ */
+function flattenPathAnchors(anchors, closed) {
+  const samples = [{ x: anchors[0].x, y: anchors[0].y }];
+  const segmentCount = closed ? anchors.length : anchors.length - 1;
+
+  for (let i = 0; i < segmentCount; i++) {
+    const start = anchors[i];
+    const end = anchors[(i + 1) % anchors.length];
+    const c1 = start.handleOut || start;
+    const c2 = end.handleIn || end;
+
+    for (let step = 1; step <= PATH_CURVE_SAMPLES; step++) {
+      const t = step / PATH_CURVE_SAMPLES;
+      const mt = 1 - t;
+      samples.push({
+        x: mt * mt * mt * start.x + 3 * mt * mt * t * c1.x + 3 * mt * t * t * c2.x + t * t * t * end.x,
+        y: mt * mt * mt * start.y + 3 * mt * mt * t * c1.y + 3 * mt * t * t * c2.y + t * t * t * end.y
+      });
+    }
+  }
+
+  return samples;
+}
+
+/**
+ * Helper: Validate path geometry and fit the path's box to it
+ * Paths carry freehand `points` ([x0, y0, x1, y1, ...]) or Bézier `anchors`
+ * ([{ x, y, handleIn, handleOut }]) relative to x/y, like objects drawn in the app.
+ * @returns {{ error: string }|{ fields: Object }}
+ */
+function buildPathFields(body) {
+  const { x = 0, y = 0, points, anchors, closed } = body;
+  let samples;
+
+  if (Array.isArray(anchors)) {
+    const validAnchors = anchors.length >= 2 && anchors.every(anchor =>
+      isPoint(anchor) &&
+      (anchor.handleIn == null || isPoint(anchor.handleIn)) &&
+      (anchor.handleOut == null || isPoint(anchor.handleOut))
+    );
+    if (!validAnchors) {
+      return { error: 'Path anchors must be at least two { x, y, handleIn?, handleOut? } points' };
+    }
+    samples = flattenPathAnchors(anchors, !!closed);
+  } else if (Array.isArray(points)) {
+    if (points.length < 2 || points.length % 2 !== 0 || !points.every(isFiniteNumber)) {
+      return { error: 'Path points must be a flat [x0, y0, x1, y1, ...] array of numbers' };
+    }
+    samples = [];
+    for (let i = 0; i < points.length; i += 2) {
+      samples.push({ x: points[i], y: points[i + 1] });
+    }
+  } else {
+    return { error: 'Paths require points or anchors' };
+  }
+
+  // Move the origin to the top-left of the drawn geometry
+  const minX = Math.min(...samples.map(point => point.x));
+  const minY = Math.min(...samples.map(point => point.y));
+  const maxX = Math.max(...samples.map(point => point.x));
+  const maxY = Math.max(...samples.map(point => point.y));
+  const shift = (point) => ({ x: point.x - minX, y: point.y - minY });
+
+  const fields = {
+    x: x + minX,
+    y: y + minY,
+    width: Math.max(maxX - minX, 1),
+    height: Math.max(maxY - minY, 1),
+    stroke: body.stroke || '#333333',
+    strokeWidth: body.strokeWidth || 2
+  };
+
+  if (Array.isArray(anchors)) {
+    fields.anchors = anchors.map(anchor => ({
+      ...shift(anchor),
+      handleIn: anchor.handleIn ? shift(anchor.handleIn) : null,
+      handleOut: anchor.handleOut ? shift(anchor.handleOut) : null
+    }));
+    fields.closed = !!closed;
+  } else {
+    fields.points = points.map((value, i) => value - (i % 2 === 0 ? minX : minY));
+  }
+
+  return { fields };
+}
+
+/**
+ * Helper: Build the radius fields of a circle/ellipse
+ * Ellipses are stored as circles with radiusX/radiusY (radius mirrors the larger
+ * axis for older clients). `radius` alone creates a circle; width/height are used
+ * as the diameters when no radii are given.
+ * @returns {{ error: string }|{ fields: Object }}
+ */
+function buildEllipseFields(body) {
+  const { radius, radiusX, radiusY, width, height } = body;
+  const fallbackX = isFiniteNumber(radius) ? radius : (isFiniteNumber(width) ? width / 2 : 50);
+  const fallbackY = isFiniteNumber(radius) ? radius : (isFiniteNumber(height) ? height / 2 : fallbackX);
+  const fields = {
+    type: 'circle',
+    radiusX: radiusX ?? fallbackX,
+    radiusY: radiusY ?? fallbackY
+  };
+
+  if (![fields.radiusX, fields.radiusY].every(value => isFiniteNumber(value) && value > 0)) {
+    return { error: 'Ellipse radii must be positive numbers' };
+  }
+
+  fields.radius = Math.max(fields.radiusX, fields.radiusY);
+  return { fields };
+}
+
+/**
+ * Helper: Keep a circle's ellipse radii in sync with a radius-only update
+ */
+function syncEllipseRadii(objectData, updates) {
+  if (objectData.type !== 'circle' || !isFiniteNumber(updates.radius)) return;
+  if (updates.radiusX === undefined) updates.radiusX = updates.radius;
+  if (updates.radiusY === undefined) updates.radiusY = updates.radius;
+}
+
 /**
  * GET /api/objects?canvasId=xxx
  * Get all objects for a canvas
@@ -193,21 +454,73 @@ router.post('/', authenticate, requirePermission('create_objects'), writeLimiter
       });
     }
 
+    // Gradient fills, strokes and effects are drawn as stored - reject malformed ones
+    const styleError = validateFill(fill) || validateStroke(otherProps) || validateEffects(otherProps);
+    if (styleError) {
+      return res.status(400).json({
+        error: {
+          message: styleError,
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
+    // Paths are drawn from their geometry - validate it and fit the box
+    let pathFields = null;
+    if (type === 'path') {
+      const result = buildPathFields(req.body);
+      if (result.error) {
+        return res.status(400).json({
+          error: {
+            message: result.error,
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+      pathFields = result.fields;
+    }
+
+    // Ellipses are circles with independent radii
+    let ellipseFields = null;
+    if (ELLIPSE_TYPES.includes(type)) {
+      const result = buildEllipseFields(req.body);
+      if (result.error) {
+        return res.status(400).json({
+          error: {
+            message: result.error,
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+      ellipseFields = result.fields;
+    }
+
     // Create object
     const objectRef = db.collection('objects').doc();
-    const objectData = {
-      canvasId,
-      type,
-      x: x || 0,
-      y: y || 0,
-      width: width || 100,
-      height: height || 100,
-      fill: fill || '#808080',
-      createdBy: userId,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      ...otherProps
-    };
+    const objectData = pathFields
+      ? {
+        canvasId,
+        type,
+        createdBy: userId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...otherProps,
+        ...pathFields
+      }
+      : {
+        canvasId,
+        type,
+        x: x || 0,
+        y: y || 0,
+        width: width || 100,
+        height: height || 100,
+        fill: fill || '#808080',
+        createdBy: userId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...otherProps,
+        ...ellipseFields
+      };
 
     await objectRef.set(objectData);
 
@@ -273,11 +586,22 @@ router.put('/:id', authenticate, requirePermission('update_objects'), writeLimit
       });
     }
 
+    const styleError = validateFill(updates.fill) || validateStroke(updates) || validateEffects(updates);
+    if (styleError) {
+      return res.status(400).json({
+        error: {
+          message: styleError,
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
     // Don't allow changing canvasId or createdBy
     delete updates.canvasId;
     delete updates.createdBy;
     delete updates.createdAt;
 
+    syncEllipseRadii(objectData, updates);
     updates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
 
     await objectRef.update(updates);
@@ -344,11 +668,22 @@ router.patch('/:id', authenticate, requirePermission('update_objects'), writeLim
       });
     }
 
+    const styleError = validateFill(updates.fill) || validateStroke(updates) || validateEffects(updates);
+    if (styleError) {
+      return res.status(400).json({
+        error: {
+          message: styleError,
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
     // Don't allow changing canvasId or createdBy
     delete updates.canvasId;
     delete updates.createdBy;
     delete updates.createdAt;
 
+    syncEllipseRadii(objectData, updates);
     updates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
 
     await objectRef.update(updates);
@@ -476,25 +811,64 @@ router.post('/batch', authenticate, requirePermission('create_objects'), writeLi
       });
     }
 
+    // Validate fills, path and ellipse geometry up front so a bad object doesn't leave a partial batch
+    const pathFieldsByIndex = new Map();
+    const ellipseFieldsByIndex = new Map();
+    for (let i = 0; i < objects.length; i++) {
+      const styleError = validateFill(objects[i].fill) || validateStroke(objects[i]) || validateEffects(objects[i]);
+      if (styleError) {
+        return res.status(400).json({
+          error: {
+            message: `objects[${i}]: ${styleError}`,
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+
+      const isPath = objects[i].type === 'path';
+      if (!isPath && !ELLIPSE_TYPES.includes(objects[i].type)) continue;
+      const result = isPath ? buildPathFields(objects[i]) : buildEllipseFields(objects[i]);
+      if (result.error) {
+        return res.status(400).json({
+          error: {
+            message: `objects[${i}]: ${result.error}`,
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+      (isPath ? pathFieldsByIndex : ellipseFieldsByIndex).set(i, result.fields);
+    }
+
     // Create all objects in a batch
     const batch = db.batch();
     const createdObjects = [];
 
-    objects.forEach(obj => {
+    objects.forEach((obj, index) => {
       const objectRef = db.collection('objects').doc();
-      const objectData = {
-        canvasId,
-        type: obj.type || 'rectangle',
-        x: obj.x || 0,
-        y: obj.y || 0,
-        width: obj.width || 100,
-        height: obj.height || 100,
-        fill: obj.fill || '#808080',
-        createdBy: userId,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        ...obj
-      };
+      const pathFields = pathFieldsByIndex.get(index);
+      const objectData = pathFields
+        ? {
+          canvasId,
+          createdBy: userId,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          ...obj,
+          ...pathFields
+        }
+        : {
+          canvasId,
+          type: obj.type || 'rectangle',
+          x: obj.x || 0,
+          y: obj.y || 0,
+          width: obj.width || 100,
+          height: obj.height || 100,
+          fill: obj.fill || '#808080',
+          createdBy: userId,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          ...obj,
+          ...ellipseFieldsByIndex.get(index)
+        };
 
       batch.set(objectRef, objectData);
       createdObjects.push({
@@ -549,6 +923,19 @@ router.put('/batch', authenticate, requirePermission('update_objects'), writeLim
       });
     }
 
+    // Reject malformed fills, strokes and effects before writing any update
+    for (let i = 0; i < updates.length; i++) {
+      const styleError = validateFill(updates[i]?.fill) || validateStroke(updates[i]) || validateEffects(updates[i]);
+      if (styleError) {
+        return res.status(400).json({
+          error: {
+            message: `updates[${i}]: ${styleError}`,
+            code: 'VALIDATION_ERROR'
+          }
+        });
+      }
+    }
+
     const batch = db.batch();
     const updatedObjects = [];
 
@@ -570,6 +957,7 @@ router.put('/batch', authenticate, requirePermission('update_objects'), writeLim
       if (!hasAccess) continue;
 
       const { id, canvasId, createdBy, createdAt, ...updateData } = update;
+      syncEllipseRadii(objectData, updateData);
       updateData.updatedAt = admin.firestore.FieldValue.serverTimestamp();
 
       batch.update(objectRef, updateData);
@@ -11,6 +11,9 @@ import ProtectedRoute from './components/layout/ProtectedRoute.jsx';
 import Header from './components/layout/Header.jsx';
 import Toolbar, { TOOLS } from './components/canvas/Toolbar.jsx';
 import Canvas from './components/canvas/Canvas.jsx';
+import { useCanvas } from './hooks/useCanvas.js';
+import { useCanvasSettings } from './hooks/useCanvasSettings.js';
+import { getFillColor } from './utils/gradients.js';
 import NotFound from './components/common/NotFound.jsx';
 import { CANVAS_TOP_OFFSET, HEADER_HEIGHT, Z_INDEX } from './constants/layout.constants.js';
 
@@ -30,6 +33,10 @@ const LoggedInLayout = ({ children }) => {
   const zIndexHandlerRef = useRef(null);
   const userColorChangeRef = useRef(null);
 
+  // Canvas background and layout grid are stored on the canvas document and edited from the toolbar
+  const { canvasId } = useCanvas();
+  const { canvas, backgroundColor, backgroundPattern, grid, updateBackground, updateGrid } = useCanvasSettings(canvasId);
+
   const handleToolChange = (tool) => {
     setSelectedTool(tool);
   };
@@ -40,8 +47,11 @@ const LoggedInLayout = ({ children }) => {
 
   const handleObjectUpdate = (objectData) => {
     setSelectedObject(objectData);
-    if (objectData && objectData.fill) {
-      setSelectedColor(objectData.fill);
+    // Lines and freehand paths are colored by their stroke; gradients by their first stop
+    const isStroked = objectData?.type === 'line' || objectData?.type === 'path';
+    const objectColor = isStroked ? objectData.stroke : objectData?.fill && getFillColor(objectData.fill);
+    if (objectColor) {
+      setSelectedColor(objectColor);
     }
   };
 
@@ -78,6 +88,33 @@ const LoggedInLayout = ({ children }) => {
     }
   }, []);
 
+  // Object property edits from the toolbar (e.g. line stroke width, dash, arrowheads)
+  const objectPropertiesHandlerRef = useRef(null);
+
+  const handleObjectPropertiesChange = useCallback((updates) => {
+    if (objectPropertiesHandlerRef.current) {
+      objectPropertiesHandlerRef.current(updates);
+    }
+  }, []);
+
+  // Image files picked from the toolbar are placed in the middle of the visible canvas
+  const imageUploadHandlerRef = useRef(null);
+
+  const handleImageUpload = useCallback((files) => {
+    if (imageUploadHandlerRef.current) {
+      imageUploadHandlerRef.current(files);
+    }
+  }, []);
+
+  // Selected frames are exported as PNG by the Canvas (which owns the Konva stage)
+  const frameExportHandlerRef = useRef(null);
+
+  const handleFrameExport = useCallback((frameId) => {
+    if (frameExportHandlerRef.current) {
+      frameExportHandlerRef.current(frameId);
+    }
+  }, []);
+
   // Undo/Redo handlers - populated by Canvas component
   const undoHandlerRef = useRef(null);
   const redoHandlerRef = useRef(null);
@@ -85,6 +122,7 @@ const LoggedInLayout = ({ children }) => {
   const canRedoRef = useRef(false);
   const undoDescriptionRef = useRef(null);
   const redoDescriptionRef = useRef(null);
+  const recordActionRef = useRef(null); // Canvas history's recordAction, for agent changes
   
   // State variables for undo/redo UI (these trigger re-renders)
   const [canUndo, setCanUndo] = useState(false);
@@ -141,7 +179,7 @@ const LoggedInLayout = ({ children }) => {
           bgcolor: 'white',
         }}
       >
-        <Header />
+        <Header recordActionRef={recordActionRef} />
       </Box>
       
       {/* Fixed Toolbar */}
@@ -174,6 +212,14 @@ const LoggedInLayout = ({ children }) => {
           canRedo={canRedo}
           undoDescription={undoDescription}
           redoDescription={redoDescription}
+          canvasBackgroundColor={canvas ? backgroundColor : null}
+          canvasBackgroundPattern={backgroundPattern}
+          onCanvasBackgroundChange={updateBackground}
+          canvasGrid={canvas ? grid : null}
+          onCanvasGridChange={updateGrid}
+          onObjectPropertiesChange={handleObjectPropertiesChange}
+          onImageUpload={handleImageUpload}
+          onFrameExport={handleFrameExport}
         />
       </Box>
       
@@ -208,12 +254,16 @@ const LoggedInLayout = ({ children }) => {
             onZIndexChange: handleZIndexChange,
             zIndexHandlerRef,
             rotationHandlerRef,
+            objectPropertiesHandlerRef,
+            imageUploadHandlerRef,
+            frameExportHandlerRef,
             undoHandlerRef,
             redoHandlerRef,
             canUndoRef,
             canRedoRef,
             undoDescriptionRef,
             redoDescriptionRef,
+            recordActionRef,
             userColorChangeRef,
             updateUndoRedoState
           })}
@@ -224,7 +274,7 @@ const LoggedInLayout = ({ children }) => {
 };
 
 // Canvas page component
-const CanvasPage = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate, onMultiSelectionUpdate, onCursorUpdate, onZoomUpdate, selectedColor, onColorChange, onZIndexChange, zIndexHandlerRef, rotationHandlerRef, undoHandlerRef, redoHandlerRef, canUndoRef, canRedoRef, undoDescriptionRef, redoDescriptionRef, userColorChangeRef, updateUndoRedoState }) => {
+const CanvasPage = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate, onMultiSelectionUpdate, onCursorUpdate, onZoomUpdate, selectedColor, onColorChange, onZIndexChange, zIndexHandlerRef, rotationHandlerRef, objectPropertiesHandlerRef, imageUploadHandlerRef, frameExportHandlerRef, undoHandlerRef, redoHandlerRef, canUndoRef, canRedoRef, undoDescriptionRef, redoDescriptionRef, userColorChangeRef, recordActionRef, updateUndoRedoState }) => {
   return (
     <Canvas 
       selectedTool={selectedTool}
@@ -239,12 +289,16 @@ const CanvasPage = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpd
       onZIndexChange={onZIndexChange}
       zIndexHandlerRef={zIndexHandlerRef}
       rotationHandlerRef={rotationHandlerRef}
+      objectPropertiesHandlerRef={objectPropertiesHandlerRef}
+      imageUploadHandlerRef={imageUploadHandlerRef}
+      frameExportHandlerRef={frameExportHandlerRef}
       undoHandlerRef={undoHandlerRef}
       redoHandlerRef={redoHandlerRef}
       canUndoRef={canUndoRef}
       canRedoRef={canRedoRef}
       undoDescriptionRef={undoDescriptionRef}
       redoDescriptionRef={redoDescriptionRef}
+      recordActionRef={recordActionRef}
       onUserColorChange={userColorChangeRef}
       updateUndoRedoState={updateUndoRedoState}
     />
@@ -284,7 +338,7 @@ function App() {
                   path="/canvas" 
                   element={
                     <LoggedInLayout>
-                      {({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate, onMultiSelectionUpdate, onCursorUpdate, onZoomUpdate, selectedColor, onColorChange, onZIndexChange, zIndexHandlerRef, rotationHandlerRef, undoHandlerRef, redoHandlerRef, canUndoRef, canRedoRef, undoDescriptionRef, redoDescriptionRef, userColorChangeRef, updateUndoRedoState }) => (
+                      {({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate, onMultiSelectionUpdate, onCursorUpdate, onZoomUpdate, selectedColor, onColorChange, onZIndexChange, zIndexHandlerRef, rotationHandlerRef, objectPropertiesHandlerRef, imageUploadHandlerRef, frameExportHandlerRef, undoHandlerRef, redoHandlerRef, canUndoRef, canRedoRef, undoDescriptionRef, redoDescriptionRef, userColorChangeRef, recordActionRef, updateUndoRedoState }) => (
                         <CanvasPage 
                           selectedTool={selectedTool} 
                           onToolChange={onToolChange}
@@ -298,12 +352,16 @@ function App() {
                           onZIndexChange={onZIndexChange}
                           zIndexHandlerRef={zIndexHandlerRef}
                           rotationHandlerRef={rotationHandlerRef}
+                          objectPropertiesHandlerRef={objectPropertiesHandlerRef}
+                          imageUploadHandlerRef={imageUploadHandlerRef}
+                          frameExportHandlerRef={frameExportHandlerRef}
                           undoHandlerRef={undoHandlerRef}
                           redoHandlerRef={redoHandlerRef}
                           canUndoRef={canUndoRef}
                           canRedoRef={canRedoRef}
                           undoDescriptionRef={undoDescriptionRef}
                           redoDescriptionRef={redoDescriptionRef}
+                          recordActionRef={recordActionRef}
                           userColorChangeRef={userColorChangeRef}
                           updateUndoRedoState={updateUndoRedoState}
                         />
@@ -329,7 +387,7 @@ function App() {
                   element={
                     <ProtectedRoute>
                       <LoggedInLayout>
-                        {({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate, onMultiSelectionUpdate, onCursorUpdate, onZoomUpdate, selectedColor, onColorChange, onZIndexChange, zIndexHandlerRef, rotationHandlerRef, undoHandlerRef, redoHandlerRef, canUndoRef, canRedoRef, undoDescriptionRef, redoDescriptionRef, userColorChangeRef, updateUndoRedoState }) => (
+                        {({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate, onMultiSelectionUpdate, onCursorUpdate, onZoomUpdate, selectedColor, onColorChange, onZIndexChange, zIndexHandlerRef, rotationHandlerRef, objectPropertiesHandlerRef, imageUploadHandlerRef, frameExportHandlerRef, undoHandlerRef, redoHandlerRef, canUndoRef, canRedoRef, undoDescriptionRef, redoDescriptionRef, userColorChangeRef, recordActionRef, updateUndoRedoState }) => (
                           <CanvasPage 
                             selectedTool={selectedTool} 
                             onToolChange={onToolChange}
@@ -343,12 +401,16 @@ function App() {
                             onZIndexChange={onZIndexChange}
                             zIndexHandlerRef={zIndexHandlerRef}
                             rotationHandlerRef={rotationHandlerRef}
+                            objectPropertiesHandlerRef={objectPropertiesHandlerRef}
+                            imageUploadHandlerRef={imageUploadHandlerRef}
+                            frameExportHandlerRef={frameExportHandlerRef}
                             undoHandlerRef={undoHandlerRef}
                             redoHandlerRef={redoHandlerRef}
                             canUndoRef={canUndoRef}
                             canRedoRef={canRedoRef}
                             undoDescriptionRef={undoDescriptionRef}
                             redoDescriptionRef={redoDescriptionRef}
+                            recordActionRef={recordActionRef}
                             userColorChangeRef={userColorChangeRef}
                             updateUndoRedoState={updateUndoRedoState}
                           />
@@ -364,7 +426,7 @@ function App() {
                   element={
                     <ProtectedRoute>
                       <LoggedInLayout>
-                        {({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate, onMultiSelectionUpdate, onCursorUpdate, onZoomUpdate, selectedColor, onColorChange, onZIndexChange, zIndexHandlerRef, rotationHandlerRef, undoHandlerRef, redoHandlerRef, canUndoRef, canRedoRef, undoDescriptionRef, redoDescriptionRef, userColorChangeRef, updateUndoRedoState }) => (
+                        {({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate, onMultiSelectionUpdate, onCursorUpdate, onZoomUpdate, selectedColor, onColorChange, onZIndexChange, zIndexHandlerRef, rotationHandlerRef, objectPropertiesHandlerRef, imageUploadHandlerRef, frameExportHandlerRef, undoHandlerRef, redoHandlerRef, canUndoRef, canRedoRef, undoDescriptionRef, redoDescriptionRef, userColorChangeRef, recordActionRef, updateUndoRedoState }) => (
                           <CanvasPage 
                             selectedTool={selectedTool} 
                             onToolChange={onToolChange}
@@ -378,12 +440,16 @@ function App() {
                             onZIndexChange={onZIndexChange}
                             zIndexHandlerRef={zIndexHandlerRef}
                             rotationHandlerRef={rotationHandlerRef}
+                            objectPropertiesHandlerRef={objectPropertiesHandlerRef}
+                            imageUploadHandlerRef={imageUploadHandlerRef}
+                            frameExportHandlerRef={frameExportHandlerRef}
                             undoHandlerRef={undoHandlerRef}
                             redoHandlerRef={redoHandlerRef}
                             canUndoRef={canUndoRef}
                             canRedoRef={canRedoRef}
                             undoDescriptionRef={undoDescriptionRef}
                             redoDescriptionRef={redoDescriptionRef}
+                            recordActionRef={recordActionRef}
                             userColorChangeRef={userColorChangeRef}
                             updateUndoRedoState={updateUndoRedoState}
                           />
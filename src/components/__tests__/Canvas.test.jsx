@@ -4,8 +4,9 @@ import Canvas from '../canvas/Canvas.jsx'
 import { TOOLS } from '../canvas/Toolbar.jsx'
 import { CanvasContext } from '../../contexts/CanvasContext.jsx'
 
-// Mock the constants
-vi.mock('../../constants/canvas.constants.js', () => ({
+// Mock the constants (the rest keep their real values for the modules Canvas pulls in)
+vi.mock('../../constants/canvas.constants.js', async (importOriginal) => ({
+  ...(await importOriginal()),
   CANVAS_WIDTH: 5000,
   CANVAS_HEIGHT: 5000,
   INITIAL_X: 2500,
@@ -13,7 +13,7 @@ import { useCanvas } from '../../hooks/useCanvas.js'
  * - Proper modal overlay and positioning
  * - Responsive design
  */
-const AgentSidebar = ({ isOpen, onClose }) => {
+const AgentSidebar = ({ isOpen, onClose, recordActionRef }) => {
   const [activeTab, setActiveTab] = useState('chat')
   const { canvasId, objects, selectedObjectIds, viewport } = useCanvas()
 
@@ -155,6 +155,7 @@ const AgentSidebar = ({ isOpen, onClose }) => {
           <AgentChatPanel
             canvasId={canvasId}
             canvasState={canvasState}
+            recordActionRef={recordActionRef}
             isVisible={true}
             onToggle={onClose}
           />
@@ -24,7 +24,7 @@ import { useAgentChat } from '../../hooks/useAgentChat.js'
  * - Auto-scroll to latest messages
  * - Responsive design
  */
-const AgentChatPanel = ({ canvasId, canvasState, isVisible, onToggle }) => {
+const AgentChatPanel = ({ canvasId, canvasState, recordActionRef, isVisible, onToggle }) => {
   const [inputMessage, setInputMessage] = useState('')
   const messagesEndRef = useRef(null)
   const inputRef = useRef(null)
@@ -36,7 +36,7 @@ const AgentChatPanel = ({ canvasId, canvasState, isVisible, onToggle }) => {
     sendMessage,
     clearMessages,
     retryLastMessage
-  } = useAgentChat({ canvasId, canvasState })
+  } = useAgentChat({ canvasId, canvasState, recordActionRef })
 
   // Auto-scroll to bottom when messages change
   const scrollToBottom = () => {
@@ -0,0 +1,105 @@
+import React from 'react';
+import Konva from 'konva';
+import { Group, Rect, Ellipse, Star, RegularPolygon } from 'react-konva';
+import { FUTURE_SHAPE_DEFAULTS, STROKE_ALIGN } from '../../constants/canvas.constants.js';
+import { getEllipseRadii } from '../../utils/ellipseGeometry.js';
+import { getRenderCornerRadius } from '../../utils/cornerRadius.js';
+import { getFillProps } from '../../utils/gradients.js';
+import { getOutlinePoints, getStrokeProps, getStrokeStyle } from '../../utils/strokeStyles.js';
+
+/**
+ * Get the Konva node, its placement and its outline props for a shape
+ * Rectangles rotate around their center like images; the others are drawn from their center.
+ */
+const getShapeLayout = (shape) => {
+  switch (shape.type) {
+    case 'rectangle': {
+      const width = shape.width || 0;
+      const height = shape.height || 0;
+      return {
+        Node: Rect,
+        placement: { x: shape.x + width / 2, y: shape.y + height / 2, offsetX: width / 2, offsetY: height / 2 },
+        geometry: { width, height, cornerRadius: getRenderCornerRadius(shape) }
+      };
+    }
+    case 'circle':
+      return { Node: Ellipse, placement: { x: shape.x, y: shape.y }, geometry: getEllipseRadii(shape) };
+    case 'star':
+      return {
+        Node: Star,
+        placement: { x: shape.x, y: shape.y },
+        geometry: { numPoints: shape.numPoints || 5, innerRadius: shape.innerRadius || 20, outerRadius: shape.outerRadius || 40 }
+      };
+    default:
+      return {
+        Node: RegularPolygon,
+        placement: { x: shape.x, y: shape.y },
+        geometry: {
+          sides: shape.sides || FUTURE_SHAPE_DEFAULTS.polygon.sides,
+          radius: shape.radius || FUTURE_SHAPE_DEFAULTS.polygon.defaultRadius
+        }
+      };
+  }
+};
+
+/**
+ * Clip function that traces a shape's outline (in the shape's own coordinates)
+ */
+const clipToOutline = (shape, geometry) => (context) => {
+  if (shape.type === 'rectangle') {
+    Konva.Util.drawRoundedRectPath(context, geometry.width, geometry.height, geometry.cornerRadius);
+  } else if (shape.type === 'circle') {
+    context.ellipse(0, 0, geometry.radiusX, geometry.radiusY, 0, 0, Math.PI * 2);
+  } else {
+    const points = getOutlinePoints(shape);
+    context.moveTo(points[0], points[1]);
+    for (let i = 2; i < points.length; i += 2) {
+      context.lineTo(points[i], points[i + 1]);
+    }
+  }
+  context.closePath();
+};
+
+/**
+ * BasicShape - Renders a rectangle, ellipse, star or polygon
+ *
+ * The fill and the shape's own stroke (width, dash, caps, joins and
+ * inside/center/outside alignment) are drawn from the stored object. Inside
+ * strokes are clipped to the outline. Selection/lock state is a separate
+ * outline on top, so it never replaces the stroke.
+ */
+const BasicShape = ({ shape, highlightColor = null, opacity = 1, stageScale = 1, ref }) => {
+  const { Node, placement, geometry } = getShapeLayout(shape);
+  const strokeProps = getStrokeProps(shape);
+  const isInside = getStrokeStyle(shape).align === STROKE_ALIGN.INSIDE && strokeProps.strokeEnabled !== false;
+
+  return (
+    <Group ref={ref} {...placement} rotation={shape.rotation || 0} opacity={opacity} listening={false}>
+      <Node
+        {...geometry}
+        {...getFillProps(shape)}
+        {...(isInside ? { strokeEnabled: false } : strokeProps)}
+        listening={false}
+      />
+
+      {isInside && (
+        <Group clipFunc={clipToOutline(shape, geometry)} listening={false}>
+          <Node {...geometry} {...strokeProps} fillEnabled={false} listening={false} />
+        </Group>
+      )}
+
+      {/* Selection / ownership outline */}
+      {highlightColor && (
+        <Node
+          {...geometry}
+          fillEnabled={false}
+          stroke={highlightColor}
+          strokeWidth={2 / stageScale}
+          listening={false}
+        />
+      )}
+    </Group>
+  );
+};
+
+export default BasicShape;
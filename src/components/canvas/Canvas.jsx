@@ -1,14 +1,33 @@
 import { useState, useRef, useCallback, useEffect, useMemo } from 'react';
 import { useParams } from 'react-router-dom';
-import { Stage, Layer, Rect, Circle, Star, Arc, Line, Transformer, Text } from 'react-konva';
+import { toast } from 'react-toastify';
+import { Stage, Layer, Rect, Circle, Ellipse, Star, RegularPolygon, Arc, Line, Transformer } from 'react-konva';
 import { auth } from '../../services/firebase.js';
 import { TOOLS } from './Toolbar.jsx';
 import UserCursor from './UserCursor.jsx';
 import EmptyState from './EmptyState.jsx';
 import ConnectionBanner from './ConnectionBanner.jsx';
 import TextEditor from './TextEditor.jsx';
+import InlineTextEditor from './InlineTextEditor.jsx';
 import OwnershipTooltip from './OwnershipTooltip.jsx';
 import SelectionBox from './SelectionBox.jsx';
+import GroupSelectionBox from './GroupSelectionBox.jsx';
+import CanvasBackgroundPattern from './CanvasBackgroundPattern.jsx';
+import GridLayer from './GridLayer.jsx';
+import CanvasRulers from './CanvasRulers.jsx';
+import LineShape from './LineShape.jsx';
+import PathShape from './PathShape.jsx';
+import ImageShape from './ImageShape.jsx';
+import FrameShape from './FrameShape.jsx';
+import StickyNoteShape from './StickyNoteShape.jsx';
+import TableShape from './TableShape.jsx';
+import RichTextShape from './RichTextShape.jsx';
+import BasicShape from './BasicShape.jsx';
+import LayerEffects from './LayerEffects.jsx';
+import TableCellEditor from './TableCellEditor.jsx';
+import VectorPathEditor from './VectorPathEditor.jsx';
+import PropertiesPanel from './PropertiesPanel.jsx';
+import { SnapGuides } from './CanvasOverlays.jsx';
 import useMultiSelection from '../../hooks/useMultiSelection.js';
 import { useCursorTracking } from '../../hooks/useCursorTracking.js';
 import { usePresence } from '../../hooks/usePresence.js';
@@ -16,13 +35,39 @@ import { useCanvasObjects } from '../../hooks/useCanvasObjects.js';
 import { useCanvas } from '../../hooks/useCanvas.js';
 import { useConnectionStatus } from '../../hooks/useConnectionStatus.js';
 import { useHistory, ACTION_TYPES } from '../../hooks/useHistory.js';
+import { useCanvasKeyboard } from '../../hooks/useCanvasKeyboard.js';
+import { useCanvasSettings } from '../../hooks/useCanvasSettings.js';
+import { useCanvasViewport } from '../../hooks/useCanvasViewport.js';
+import { useCanvasFonts } from '../../hooks/useCanvasFonts.js';
+import { getSelectedGroup } from '../../utils/groupUtils.js';
+import { getLineEndpoints, isPointNearLine } from '../../utils/lineGeometry.js';
+import { findNearestAnchor, getAnchorPoints, resolveConnector } from '../../utils/connectorUtils.js';
+import { isPointNearPath } from '../../utils/pathGeometry.js';
+import { isVectorPath } from '../../utils/vectorPath.js';
+import { getPolygonLocalBounds, isPointInRegularPolygon } from '../../utils/polygonGeometry.js';
+import { getEllipseHandlePoints, getEllipseRadii, isPointInEllipse, toEllipseRadiusFields } from '../../utils/ellipseGeometry.js';
+import { getLocalCorners, getObjectBounds, getRotationPivot, rotatePoint } from '../../utils/objectBounds.js';
+import { getCornerRadiusHandlePoints } from '../../utils/cornerRadius.js';
+import { getGradientHandlePoints } from '../../utils/gradients.js';
+import { STROKE_TYPES } from '../../utils/strokeStyles.js';
+import { getChangedProperties, getInspectorEntries } from '../../utils/inspectorValues.js';
+import { getAlignEntries, getAlignTarget, getAlignUnits, getDistributeEntries, isMoveOnlyEntry } from '../../utils/alignment.js';
+import { getGridSnapStep, snapPointToGrid } from '../../utils/gridSnap.js';
+import { isSnapSuspended } from '../../utils/snapping.js';
 import { getUserCursorColor } from '../../services/presence.service.js';
+import { createImageFromFile } from '../../services/image.service.js';
+import { isSupportedImageType } from '../../utils/imageGeometry.js';
+import { getStickyNoteHeight } from '../../utils/stickyNote.js';
+import { getListStyles, getTextRuns, getTextSize } from '../../utils/richText.js';
+import { getAdjacentCell, getCellText, getColumnWidths, getRowHeights, setCellText } from '../../utils/tableUtils.js';
+import { getFrameAt, getFrameNodeId, getParentFrameId, isClippedAt, nestShapesInFrames } from '../../utils/frameUtils.js';
 import { getToolHandler } from '../../tools/index.js';
 import { 
   createObject, 
   updateObjectPosition,
   updateObject,
-  lockObject, 
+  batchUpdateObjects,
+  lockObject,
   unlockObject,
   updateActiveObjectPosition,
   clearActiveObject,
@@ -33,13 +78,17 @@ import {
   CANVAS_HEIGHT, 
   INITIAL_X, 
   INITIAL_Y, 
-  INITIAL_ZOOM,
-  CANVAS_BACKGROUND,
-  BOUNDARY_BACKGROUND
+  BOUNDARY_BACKGROUND,
+  CONNECTOR_SNAP_DISTANCE,
+  EDIT_LOCK_REFRESH_INTERVAL,
+  FUTURE_SHAPE_DEFAULTS
 } from '../../constants/canvas.constants.js';
 import { CANVAS_TOP_OFFSET } from '../../constants/layout.constants.js';
 
-const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate, onMultiSelectionUpdate, onCursorUpdate, onZoomUpdate, selectedColor = '#808080', onColorChange, onZIndexChange, zIndexHandlerRef, rotationHandlerRef, undoHandlerRef, redoHandlerRef, canUndoRef, canRedoRef, undoDescriptionRef, redoDescriptionRef, onUserColorChange, updateUndoRedoState }) => {
+// Text fields an inline edit streams to collaborators through RTDB
+const TEXT_DRAFT_FIELDS = ['text', 'runs', 'listStyles', 'bold', 'italic', 'underline', 'fontSize', 'fontFamily', 'fill', 'align', 'verticalAlign', 'sizing', 'lineHeight', 'letterSpacing', 'height'];
+
+const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate, onMultiSelectionUpdate, onCursorUpdate, onZoomUpdate, selectedColor = '#808080', onColorChange, onZIndexChange, zIndexHandlerRef, rotationHandlerRef, objectPropertiesHandlerRef, imageUploadHandlerRef, frameExportHandlerRef, undoHandlerRef, redoHandlerRef, canUndoRef, canRedoRef, undoDescriptionRef, redoDescriptionRef, recordActionRef, onUserColorChange, updateUndoRedoState }) => {
   // Get canvas ID from context
   const { canvasId } = useCanvas();
   
@@ -47,8 +96,7 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
   const stageRef = useRef(null);
   const transformerRef = useRef(null);
   const selectedShapeRef = useRef(null);
-  const [stagePos, setStagePos] = useState({ x: 0, y: 0 });
-  const [stageScale, setStageScale] = useState(1);
+  const { stagePos, setStagePos, stageScale, handleWheel, panViewport } = useCanvasViewport(stageRef, onZoomUpdate);
   
   // Pan tool state (simple)
   const [isPanning, setIsPanning] = useState(false);
@@ -79,6 +127,21 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
   }, []);
   
   const { recordAction, undo, redo, canUndo, canRedo, undoDescription, redoDescription } = useHistory(canvasId, onHistoryError);
+
+  // Per-canvas background (color + optional pattern) and layout grid, synced live from the canvas document
+  const {
+    backgroundColor,
+    backgroundPattern,
+    fonts: canvasFonts,
+    grid,
+    guides,
+    guidesLocked,
+    addGuide,
+    moveGuide,
+    removeGuide,
+    setGuidesLocked
+  } = useCanvasSettings(canvasId);
+  const gridSnapStep = getGridSnapStep(grid);
   
   // Update undo/redo refs for App.jsx to access
   useEffect(() => {
@@ -100,15 +163,22 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
     if (redoDescriptionRef) {
       redoDescriptionRef.current = redoDescription;
     }
+    // The agent records its changes in this canvas's history too
+    if (recordActionRef) {
+      recordActionRef.current = recordAction;
+    }
     
     // Update state in App.jsx for UI re-rendering
     if (updateUndoRedoState) {
       updateUndoRedoState(canUndo, canRedo, undoDescription, redoDescription);
     }
-  }, [undoHandlerRef, redoHandlerRef, canUndoRef, canRedoRef, undoDescriptionRef, redoDescriptionRef, undo, redo, canUndo, canRedo, undoDescription, redoDescription, updateUndoRedoState]);
+  }, [undoHandlerRef, redoHandlerRef, canUndoRef, canRedoRef, undoDescriptionRef, redoDescriptionRef, recordActionRef, undo, redo, recordAction, canUndo, canRedo, undoDescription, redoDescription, updateUndoRedoState]);
   
   // Canvas objects hook for real-time sync - now canvas-specific
   const { objects: canvasObjects, isLoading: objectsLoading, error: objectsError} = useCanvasObjects(canvasId);
+
+  // Fonts recorded on the canvas and used by its objects, loaded before text is drawn
+  const { fonts, fontsVersion, pickFont, uploadFont } = useCanvasFonts(canvasId, canvasFonts, canvasObjects);
   
   // Rectangle creation state (Rectangle tool only)
   const [isDrawing, setIsDrawing] = useState(false);
@@ -121,11 +191,35 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
   // Star creation state (Star tool only)
   const [currentStar, setCurrentStar] = useState(null);
   
+  // Polygon creation state (Polygon and Triangle tools)
+  const [currentPolygon, setCurrentPolygon] = useState(null);
+  
+  // Line creation state (Line and Arrow tools)
+  const [currentLine, setCurrentLine] = useState(null);
+  
+  // Freehand stroke being drawn (Pencil tool only) - points are absolute canvas coordinates
+  const [currentPath, setCurrentPath] = useState(null);
+  
+  // Vector path being drawn (Pen tool only) and the path whose points are being edited
+  const [currentVectorPath, setCurrentVectorPath] = useState(null);
+  const [editingPathId, setEditingPathId] = useState(null);
+  const [selectedAnchorIndex, setSelectedAnchorIndex] = useState(null);
+  
+  // Anchor under the cursor while drawing a line or dragging one of its endpoints
+  const [hoveredAnchor, setHoveredAnchor] = useState(null);
+  
+  // Smart guides shown while objects are moved or resized
+  const [snapGuides, setSnapGuides] = useState([]);
+  
   // Text tool state (Text tool only)
   const [isEditingText, setIsEditingText] = useState(false);
-  const [textEditData, setTextEditData] = useState(null); // { newTextPosition, object, originalText }
+  const [textEditData, setTextEditData] = useState(null); // { newTextPosition, object, originalText, caretOffset }
+  const [textDraft, setTextDraft] = useState(null); // Text being edited inline, drawn in place of the saved text
   const [textSelectedId, setTextSelectedId] = useState(null);
   
+  // Table cell being edited in the inline cell editor { tableId, row, column }
+  const [tableCellEdit, setTableCellEdit] = useState(null);
+  
   // Move tool state (clean separation)
   const [moveSelectedId, setMoveSelectedId] = useState(null);
   const [isMoving, setIsMoving] = useState(false);
@@ -283,6 +377,170 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
     }
   }, [handleRotationChange, rotationHandlerRef]);
 
+  // Handle property edits from the toolbar (line stroke width, dash, arrowheads, polygon sides, corner radius)
+  const handleObjectPropertiesChange = useCallback(async (updates) => {
+    if (!selectedObjectId || !updates) return;
+
+    const selectedObj = canvasObjects.find(obj => obj.id === selectedObjectId);
+    if (!selectedObj) return;
+
+    // Skip properties that already have the requested value; before state (null for unset properties) is for undo/redo
+    const changes = getChangedProperties(selectedObj, updates);
+    if (!changes) return;
+
+    try {
+      await updateObject(
+        selectedObjectId,
+        changes.updates,
+        recordAction,
+        {
+          actionType: ACTION_TYPES.UPDATE_PROPERTIES,
+          before: changes.before,
+          objectType: selectedObj.type || 'Object'
+        }
+      );
+      console.log('✅ Object properties updated:', changes.updates);
+    } catch (error) {
+      console.error('Failed to update object properties:', error);
+    }
+  }, [selectedObjectId, canvasObjects, recordAction]);
+
+  // Save the cell being edited inline, then close the editor or move to the next/previous cell
+  const handleTableCellCommit = useCallback(async (text, direction) => {
+    if (!tableCellEdit) return;
+    const { tableId, row, column } = tableCellEdit;
+    const table = canvasObjects.find(obj => obj.id === tableId);
+    if (!table) {
+      setTableCellEdit(null);
+      return;
+    }
+
+    const nextCell = direction ? getAdjacentCell(table, row, column, direction === 'previous') : null;
+    setTableCellEdit(nextCell ? { tableId, ...nextCell } : null);
+
+    if (text === getCellText(table, row, column)) return;
+    try {
+      await updateObject(
+        tableId,
+        { cells: setCellText(table, row, column, text) },
+        recordAction,
+        {
+          actionType: ACTION_TYPES.UPDATE_PROPERTIES,
+          before: { cells: table.cells ?? null },
+          objectType: 'table'
+        }
+      );
+    } catch (error) {
+      console.error('Failed to save table cell:', error);
+    }
+  }, [tableCellEdit, canvasObjects, recordAction]);
+
+  // Close the cell editor when its table is no longer selected
+  useEffect(() => {
+    if (tableCellEdit && selectedObjectId !== tableCellEdit.tableId) {
+      setTableCellEdit(null);
+    }
+  }, [tableCellEdit, selectedObjectId]);
+
+  // Expose handleObjectPropertiesChange to parent via ref
+  useEffect(() => {
+    if (objectPropertiesHandlerRef) {
+      objectPropertiesHandlerRef.current = handleObjectPropertiesChange;
+    }
+  }, [handleObjectPropertiesChange, objectPropertiesHandlerRef]);
+
+  // Canvas position at the middle of the visible canvas
+  const getViewportCenter = useCallback(() => {
+    const stage = stageRef.current;
+    if (!stage) return { x: INITIAL_X, y: INITIAL_Y };
+    return {
+      x: (stage.width() / 2 - stage.x()) / stage.scaleX(),
+      y: (CANVAS_TOP_OFFSET + (stage.height() - CANVAS_TOP_OFFSET) / 2 - stage.y()) / stage.scaleY()
+    };
+  }, []);
+
+  // Pasted objects are centered on the pointer while it is over the canvas
+  const pointerPosRef = useRef(null);
+  const getPasteCenter = useCallback(() => pointerPosRef.current || getViewportCenter(), [getViewportCenter]);
+
+  // Upload dropped, pasted or picked image files (PNG, JPEG, SVG) and place them on the canvas
+  // Images are centered on the drop point, or on the middle of the visible canvas otherwise
+  const handleImageFiles = useCallback(async (files, position = null) => {
+    const imageFiles = Array.from(files || []).filter(isSupportedImageType);
+    if (imageFiles.length === 0) {
+      if (files?.length) toast.error('Only PNG, JPEG and SVG images are supported');
+      return;
+    }
+
+    const center = position || getViewportCenter();
+
+    for (const [index, file] of imageFiles.entries()) {
+      // Several files at once are cascaded so they don't cover each other exactly
+      const offset = index * 20;
+      const imageCenter = { x: center.x + offset, y: center.y + offset };
+      // Images dropped onto a frame belong to it
+      const frame = getFrameAt(canvasObjects, imageCenter);
+      try {
+        await createImageFromFile(file, imageCenter, canvasId, recordAction, frame ? { frameId: frame.id } : {});
+        console.log('✅ Image added:', file.name);
+      } catch (error) {
+        console.error('Failed to add image:', error);
+        toast.error(error.message || `Failed to add ${file.name}`);
+      }
+    }
+  }, [canvasId, recordAction, canvasObjects, getViewportCenter]);
+
+  // Expose handleImageFiles to parent via ref (toolbar upload button)
+  useEffect(() => {
+    if (imageUploadHandlerRef) {
+      imageUploadHandlerRef.current = handleImageFiles;
+    }
+  }, [handleImageFiles, imageUploadHandlerRef]);
+
+  // Paste images from the clipboard (ignored while typing in an input field)
+  useEffect(() => {
+    const handlePaste = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.isContentEditable) {
+        return;
+      }
+      const files = Array.from(e.clipboardData?.files || []).filter(isSupportedImageType);
+      if (files.length > 0) {
+        e.preventDefault();
+        handleImageFiles(files);
+      }
+    };
+
+    window.addEventListener('paste', handlePaste);
+    return () => window.removeEventListener('paste', handlePaste);
+  }, [handleImageFiles]);
+
+  // Drag and drop image files onto the canvas
+  const handleDragOver = useCallback((e) => {
+    if (Array.from(e.dataTransfer?.types || []).includes('Files')) {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    }
+  }, []);
+
+  const handleDrop = useCallback((e) => {
+    if (!e.dataTransfer?.files?.length) return;
+    e.preventDefault();
+
+    const stage = stageRef.current;
+    let position = null;
+    if (stage) {
+      stage.setPointersPositions(e.nativeEvent);
+      const pointer = stage.getPointerPosition();
+      if (pointer) {
+        position = {
+          x: (pointer.x - stage.x()) / stage.scaleX(),
+          y: (pointer.y - stage.y()) / stage.scaleY()
+        };
+      }
+    }
+    handleImageFiles(e.dataTransfer.files, position);
+  }, [handleImageFiles]);
+
   // Attach transformer to selected shape when in resize mode and object has rotation
   useEffect(() => {
     // Small delay to ensure DOM is updated before attaching transformer
@@ -355,6 +613,8 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
             width: activeObjects[rect.id].width !== undefined ? activeObjects[rect.id].width : rect.width,
             height: activeObjects[rect.id].height !== undefined ? activeObjects[rect.id].height : rect.height,
             rotation: activeObjects[rect.id].rotation !== undefined ? activeObjects[rect.id].rotation : rect.rotation,
+            fill: activeObjects[rect.id].fill !== undefined ? activeObjects[rect.id].fill : rect.fill,
+            cornerRadius: activeObjects[rect.id].cornerRadius !== undefined ? activeObjects[rect.id].cornerRadius : rect.cornerRadius,
             isLockedByOther: true,
             lockedByName: rect.lastModifiedBy,
             isBeingDragged: true
@@ -414,7 +674,10 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
             x: activeObjects[circle.id].x,
             y: activeObjects[circle.id].y,
             radius: activeObjects[circle.id].radius !== undefined ? activeObjects[circle.id].radius : circle.radius,
+            radiusX: activeObjects[circle.id].radiusX !== undefined ? activeObjects[circle.id].radiusX : circle.radiusX,
+            radiusY: activeObjects[circle.id].radiusY !== undefined ? activeObjects[circle.id].radiusY : circle.radiusY,
             rotation: activeObjects[circle.id].rotation !== undefined ? activeObjects[circle.id].rotation : circle.rotation,
+            fill: activeObjects[circle.id].fill !== undefined ? activeObjects[circle.id].fill : circle.fill,
             isLockedByOther: true,
             lockedByName: circle.lastModifiedBy,
             isBeingDragged: true
@@ -476,6 +739,7 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
             innerRadius: activeObjects[star.id].innerRadius !== undefined ? activeObjects[star.id].innerRadius : star.innerRadius,
             outerRadius: activeObjects[star.id].outerRadius !== undefined ? activeObjects[star.id].outerRadius : star.outerRadius,
             rotation: activeObjects[star.id].rotation !== undefined ? activeObjects[star.id].rotation : star.rotation,
+            fill: activeObjects[star.id].fill !== undefined ? activeObjects[star.id].fill : star.fill,
             isLockedByOther: true,
             lockedByName: star.lastModifiedBy,
             isBeingDragged: true
@@ -496,6 +760,63 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
       });
   }, [canvasObjects, localRectUpdates, activeObjects]);
 
+  // Filter polygons (and triangles) from canvas objects, sorted by z-index
+  const polygons = useMemo(() => {
+    return canvasObjects
+      .filter(obj => obj.type === 'polygon')
+      .sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0))
+      .map(polygon => {
+        // If WE are controlling this object, show our local updates
+        if (localRectUpdates[polygon.id] && polygon.lockedBy === auth.currentUser?.uid) {
+          const localUpdate = localRectUpdates[polygon.id];
+          const hasInvalidValues = Object.entries(localUpdate).some(([, value]) => 
+            typeof value === 'number' && !isFinite(value)
+          );
+          
+          if (hasInvalidValues) {
+            console.error('🚨 CANVAS: Corrupted local update detected for polygon, using Firestore data instead:', {
+              objectId: polygon.id,
+              localUpdate
+            });
+            return polygon; // Use clean Firestore data
+          }
+          
+          return {
+            ...polygon,
+            ...localUpdate
+          };
+        }
+        
+        // If another user is moving, resizing or rotating this polygon, show real-time RTDB state
+        if (activeObjects[polygon.id] && polygon.lockedBy !== auth.currentUser?.uid) {
+          return {
+            ...polygon,
+            x: activeObjects[polygon.id].x,
+            y: activeObjects[polygon.id].y,
+            radius: activeObjects[polygon.id].radius !== undefined ? activeObjects[polygon.id].radius : polygon.radius,
+            sides: activeObjects[polygon.id].sides !== undefined ? activeObjects[polygon.id].sides : polygon.sides,
+            rotation: activeObjects[polygon.id].rotation !== undefined ? activeObjects[polygon.id].rotation : polygon.rotation,
+            fill: activeObjects[polygon.id].fill !== undefined ? activeObjects[polygon.id].fill : polygon.fill,
+            isLockedByOther: true,
+            lockedByName: polygon.lastModifiedBy,
+            isBeingDragged: true
+          };
+        }
+        
+        // If locked by another user, mark as locked
+        if (polygon.lockedBy && polygon.lockedBy !== auth.currentUser?.uid) {
+          return {
+            ...polygon,
+            isLockedByOther: true,
+            lockedByName: polygon.lastModifiedBy
+          };
+        }
+        
+        // No one is controlling it, show Firestore data
+        return polygon;
+      });
+  }, [canvasObjects, localRectUpdates, activeObjects]);
+
   // Filter text objects from canvas objects, sorted by z-index
   const texts = useMemo(() => {
     return canvasObjects
@@ -535,6 +856,10 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
             y: activeObjects[text.id].y,
             width: activeObjects[text.id].width !== undefined ? activeObjects[text.id].width : text.width,
             rotation: activeObjects[text.id].rotation !== undefined ? activeObjects[text.id].rotation : text.rotation,
+            // Text a collaborator is typing (see handleTextDraftChange)
+            ...Object.fromEntries(TEXT_DRAFT_FIELDS
+              .filter(field => activeObjects[text.id][field] !== undefined)
+              .map(field => [field, activeObjects[text.id][field]])),
             isLockedByOther: true,
             lockedByName: text.lastModifiedBy,
             isBeingDragged: true
@@ -542,18 +867,425 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
         }
         
         // If locked by another user, mark as locked
-        if (text.lockedBy && text.lockedBy !== auth.currentUser?.uid) {
+        if (text.lockedBy && text.lockedBy !== auth.currentUser?.uid) {
+          return {
+            ...text,
+            isLockedByOther: true,
+            lockedByName: text.lastModifiedBy
+          };
+        }
+        
+        // No one is controlling it, show Firestore data
+        return text;
+      });
+  }, [canvasObjects, localRectUpdates, activeObjects]);
+
+  // Filter paths (freehand and vector) from canvas objects, sorted by z-index
+  const paths = useMemo(() => {
+    return canvasObjects
+      .filter(obj => obj.type === 'path')
+      .sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0))
+      .map(path => {
+        // If WE are controlling this object, show our local updates
+        if (localRectUpdates[path.id] && path.lockedBy === auth.currentUser?.uid) {
+          const localUpdate = localRectUpdates[path.id];
+          const hasInvalidValues = Object.entries(localUpdate).some(([, value]) => 
+            typeof value === 'number' && !isFinite(value)
+          );
+          
+          if (hasInvalidValues) {
+            console.error('🚨 CANVAS: Corrupted local update detected for path, using Firestore data instead:', {
+              objectId: path.id,
+              localUpdate
+            });
+            return path; // Use clean Firestore data
+          }
+          
+          return {
+            ...path,
+            ...localUpdate
+          };
+        }
+        
+        // If another user is moving, resizing or rotating this path, show real-time RTDB state
+        if (activeObjects[path.id] && path.lockedBy !== auth.currentUser?.uid) {
+          return {
+            ...path,
+            x: activeObjects[path.id].x,
+            y: activeObjects[path.id].y,
+            width: activeObjects[path.id].width !== undefined ? activeObjects[path.id].width : path.width,
+            height: activeObjects[path.id].height !== undefined ? activeObjects[path.id].height : path.height,
+            points: Array.isArray(activeObjects[path.id].points) ? activeObjects[path.id].points : path.points,
+            anchors: Array.isArray(activeObjects[path.id].anchors) ? activeObjects[path.id].anchors : path.anchors,
+            closed: activeObjects[path.id].closed !== undefined ? activeObjects[path.id].closed : path.closed,
+            rotation: activeObjects[path.id].rotation !== undefined ? activeObjects[path.id].rotation : path.rotation,
+            isLockedByOther: true,
+            lockedByName: path.lastModifiedBy,
+            isBeingDragged: true
+          };
+        }
+        
+        // If locked by another user, mark as locked
+        if (path.lockedBy && path.lockedBy !== auth.currentUser?.uid) {
+          return {
+            ...path,
+            isLockedByOther: true,
+            lockedByName: path.lastModifiedBy
+          };
+        }
+        
+        // No one is controlling it, show Firestore data
+        return path;
+      });
+  }, [canvasObjects, localRectUpdates, activeObjects]);
+
+  // Filter images from canvas objects, sorted by z-index
+  const images = useMemo(() => {
+    return canvasObjects
+      .filter(obj => obj.type === 'image')
+      .sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0))
+      .map(image => {
+        // If WE are controlling this object, show our local updates
+        if (localRectUpdates[image.id] && image.lockedBy === auth.currentUser?.uid) {
+          const localUpdate = localRectUpdates[image.id];
+          const hasInvalidValues = Object.entries(localUpdate).some(([, value]) => 
+            typeof value === 'number' && !isFinite(value)
+          );
+          
+          if (hasInvalidValues) {
+            console.error('🚨 CANVAS: Corrupted local update detected for image, using Firestore data instead:', {
+              objectId: image.id,
+              localUpdate
+            });
+            return image; // Use clean Firestore data
+          }
+          
+          return {
+            ...image,
+            ...localUpdate
+          };
+        }
+        
+        // If another user is moving, resizing, cropping or rotating this image, show real-time RTDB state
+        if (activeObjects[image.id] && image.lockedBy !== auth.currentUser?.uid) {
+          return {
+            ...image,
+            x: activeObjects[image.id].x,
+            y: activeObjects[image.id].y,
+            width: activeObjects[image.id].width !== undefined ? activeObjects[image.id].width : image.width,
+            height: activeObjects[image.id].height !== undefined ? activeObjects[image.id].height : image.height,
+            crop: activeObjects[image.id].crop !== undefined ? activeObjects[image.id].crop : image.crop,
+            rotation: activeObjects[image.id].rotation !== undefined ? activeObjects[image.id].rotation : image.rotation,
+            isLockedByOther: true,
+            lockedByName: image.lastModifiedBy,
+            isBeingDragged: true
+          };
+        }
+        
+        // If locked by another user, mark as locked
+        if (image.lockedBy && image.lockedBy !== auth.currentUser?.uid) {
+          return {
+            ...image,
+            isLockedByOther: true,
+            lockedByName: image.lastModifiedBy
+          };
+        }
+        
+        // No one is controlling it, show Firestore data
+        return image;
+      });
+  }, [canvasObjects, localRectUpdates, activeObjects]);
+
+  // Filter frames from canvas objects, sorted by z-index
+  const frames = useMemo(() => {
+    return canvasObjects
+      .filter(obj => obj.type === 'frame')
+      .sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0))
+      .map(frame => {
+        // If WE are controlling this object, show our local updates
+        if (localRectUpdates[frame.id] && frame.lockedBy === auth.currentUser?.uid) {
+          const localUpdate = localRectUpdates[frame.id];
+          const hasInvalidValues = Object.entries(localUpdate).some(([, value]) => 
+            typeof value === 'number' && !isFinite(value)
+          );
+          
+          if (hasInvalidValues) {
+            console.error('🚨 CANVAS: Corrupted local update detected for frame, using Firestore data instead:', {
+              objectId: frame.id,
+              localUpdate
+            });
+            return frame; // Use clean Firestore data
+          }
+          
+          return {
+            ...frame,
+            ...localUpdate
+          };
+        }
+        
+        // If another user is moving, resizing or rotating this frame, show real-time RTDB state
+        if (activeObjects[frame.id] && frame.lockedBy !== auth.currentUser?.uid) {
+          return {
+            ...frame,
+            x: activeObjects[frame.id].x,
+            y: activeObjects[frame.id].y,
+            width: activeObjects[frame.id].width !== undefined ? activeObjects[frame.id].width : frame.width,
+            height: activeObjects[frame.id].height !== undefined ? activeObjects[frame.id].height : frame.height,
+            rotation: activeObjects[frame.id].rotation !== undefined ? activeObjects[frame.id].rotation : frame.rotation,
+            isLockedByOther: true,
+            lockedByName: frame.lastModifiedBy,
+            isBeingDragged: true
+          };
+        }
+        
+        // If locked by another user, mark as locked
+        if (frame.lockedBy && frame.lockedBy !== auth.currentUser?.uid) {
+          return {
+            ...frame,
+            isLockedByOther: true,
+            lockedByName: frame.lastModifiedBy
+          };
+        }
+        
+        // No one is controlling it, show Firestore data
+        return frame;
+      });
+  }, [canvasObjects, localRectUpdates, activeObjects]);
+
+  // Filter sticky notes from canvas objects, sorted by z-index
+  const stickies = useMemo(() => {
+    return canvasObjects
+      .filter(obj => obj.type === 'sticky')
+      .sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0))
+      .map(note => {
+        // If WE are controlling this object, show our local updates
+        if (localRectUpdates[note.id] && note.lockedBy === auth.currentUser?.uid) {
+          const localUpdate = localRectUpdates[note.id];
+          const hasInvalidValues = Object.entries(localUpdate).some(([, value]) => 
+            typeof value === 'number' && !isFinite(value)
+          );
+          
+          if (hasInvalidValues) {
+            console.error('🚨 CANVAS: Corrupted local update detected for sticky note, using Firestore data instead:', {
+              objectId: note.id,
+              localUpdate
+            });
+            return note; // Use clean Firestore data
+          }
+          
+          return {
+            ...note,
+            ...localUpdate
+          };
+        }
+        
+        // If another user is moving, resizing or rotating this note, show real-time RTDB state
+        if (activeObjects[note.id] && note.lockedBy !== auth.currentUser?.uid) {
+          return {
+            ...note,
+            x: activeObjects[note.id].x,
+            y: activeObjects[note.id].y,
+            width: activeObjects[note.id].width !== undefined ? activeObjects[note.id].width : note.width,
+            height: activeObjects[note.id].height !== undefined ? activeObjects[note.id].height : note.height,
+            rotation: activeObjects[note.id].rotation !== undefined ? activeObjects[note.id].rotation : note.rotation,
+            isLockedByOther: true,
+            lockedByName: note.lastModifiedBy,
+            isBeingDragged: true
+          };
+        }
+        
+        // If locked by another user, mark as locked
+        if (note.lockedBy && note.lockedBy !== auth.currentUser?.uid) {
+          return {
+            ...note,
+            isLockedByOther: true,
+            lockedByName: note.lastModifiedBy
+          };
+        }
+        
+        // No one is controlling it, show Firestore data
+        return note;
+      });
+  }, [canvasObjects, localRectUpdates, activeObjects]);
+
+  // Filter tables from canvas objects, sorted by z-index
+  const tables = useMemo(() => {
+    return canvasObjects
+      .filter(obj => obj.type === 'table')
+      .sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0))
+      .map(table => {
+        // If WE are controlling this object, show our local updates
+        if (localRectUpdates[table.id] && table.lockedBy === auth.currentUser?.uid) {
+          const localUpdate = localRectUpdates[table.id];
+          const hasInvalidValues = Object.entries(localUpdate).some(([, value]) => 
+            typeof value === 'number' && !isFinite(value)
+          );
+          
+          if (hasInvalidValues) {
+            console.error('🚨 CANVAS: Corrupted local update detected for table, using Firestore data instead:', {
+              objectId: table.id,
+              localUpdate
+            });
+            return table; // Use clean Firestore data
+          }
+          
+          return {
+            ...table,
+            ...localUpdate
+          };
+        }
+        
+        // If another user is moving, resizing or rotating this table, show real-time RTDB state
+        if (activeObjects[table.id] && table.lockedBy !== auth.currentUser?.uid) {
+          const active = activeObjects[table.id];
+          return {
+            ...table,
+            x: active.x,
+            y: active.y,
+            width: active.width !== undefined ? active.width : table.width,
+            height: active.height !== undefined ? active.height : table.height,
+            columnWidths: active.columnWidths || table.columnWidths,
+            rowHeights: active.rowHeights || table.rowHeights,
+            rotation: active.rotation !== undefined ? active.rotation : table.rotation,
+            isLockedByOther: true,
+            lockedByName: table.lastModifiedBy,
+            isBeingDragged: true
+          };
+        }
+        
+        // If locked by another user, mark as locked
+        if (table.lockedBy && table.lockedBy !== auth.currentUser?.uid) {
+          return {
+            ...table,
+            isLockedByOther: true,
+            lockedByName: table.lastModifiedBy
+          };
+        }
+        
+        // No one is controlling it, show Firestore data
+        return table;
+      });
+  }, [canvasObjects, localRectUpdates, activeObjects]);
+
+  // Live frames by ID (children are clipped to, and hit-tested against, their frame)
+  const framesById = useMemo(() => {
+    return Object.fromEntries(frames.map(frame => [frame.id, frame]));
+  }, [frames]);
+
+  // Export a frame (its background and children, without selection chrome) as a PNG download
+  const handleFrameExport = useCallback((frameId) => {
+    const frame = framesById[frameId];
+    const stage = stageRef.current;
+    const node = frame && stage?.findOne(`#${getFrameNodeId(frameId)}`);
+    if (!node) {
+      toast.error('Select a frame to export');
+      return;
+    }
+
+    // Export exactly the frame's box (clipped children don't widen it), at a fixed resolution per canvas unit
+    const bounds = getObjectBounds(frame);
+    const topLeft = stage.getAbsoluteTransform().point({ x: bounds.x, y: bounds.y });
+    try {
+      const dataUrl = node.toDataURL({
+        x: topLeft.x,
+        y: topLeft.y,
+        width: bounds.width * stageScale,
+        height: bounds.height * stageScale,
+        pixelRatio: FUTURE_SHAPE_DEFAULTS.frame.exportPixelRatio / stageScale
+      });
+      const link = document.createElement('a');
+      link.download = `${frame.name || 'Frame'}.png`;
+      link.href = dataUrl;
+      link.click();
+    } catch (error) {
+      // Images served without CORS headers taint the canvas and block the export
+      console.error('Failed to export frame:', error);
+      toast.error('Could not export this frame as PNG');
+    }
+  }, [framesById, stageScale]);
+
+  // Expose handleFrameExport to parent via ref (toolbar export button)
+  useEffect(() => {
+    if (frameExportHandlerRef) {
+      frameExportHandlerRef.current = handleFrameExport;
+    }
+  }, [handleFrameExport, frameExportHandlerRef]);
+
+  // Strokes collaborators are still drawing (streamed over RTDB before the path is saved)
+  const remoteDraftPaths = useMemo(() => {
+    return Object.entries(activeObjects)
+      .filter(([id, data]) => data.isDraft && data.type === 'path' && !canvasObjects.some(obj => obj.id === id))
+      .map(([id, data]) => ({ id, ...data }));
+  }, [activeObjects, canvasObjects]);
+
+  // Live shapes connectors can bind to (includes local drags and collaborators' RTDB updates)
+  const bindableShapesById = useMemo(() => {
+    const byId = {};
+    [...rectangles, ...circles, ...stars, ...polygons, ...texts, ...paths, ...images, ...frames, ...stickies, ...tables].forEach(shape => {
+      byId[shape.id] = shape;
+    });
+    return byId;
+  }, [rectangles, circles, stars, polygons, texts, paths, images, frames, stickies, tables]);
+
+  // Filter lines (and arrows) from canvas objects, sorted by z-index
+  // Bound connector endpoints are resolved against the live shapes, so connectors
+  // follow a shape while it is being dragged or resized (locally or remotely)
+  const lines = useMemo(() => {
+    return canvasObjects
+      .filter(obj => obj.type === 'line')
+      .sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0))
+      .map(line => {
+        // If WE are controlling this object, show our local updates
+        if (localRectUpdates[line.id] && line.lockedBy === auth.currentUser?.uid) {
+          const localUpdate = localRectUpdates[line.id];
+          const hasInvalidValues = Object.entries(localUpdate).some(([, value]) => 
+            typeof value === 'number' && !isFinite(value)
+          );
+          
+          if (hasInvalidValues) {
+            console.error('🚨 CANVAS: Corrupted local update detected for line, using Firestore data instead:', {
+              objectId: line.id,
+              localUpdate
+            });
+            return line; // Use clean Firestore data
+          }
+          
+          return {
+            ...line,
+            ...localUpdate
+          };
+        }
+        
+        // If another user is dragging this object (or one of its endpoints), show real-time RTDB state
+        if (activeObjects[line.id] && line.lockedBy !== auth.currentUser?.uid) {
+          return {
+            ...line,
+            x: activeObjects[line.id].x,
+            y: activeObjects[line.id].y,
+            points: Array.isArray(activeObjects[line.id].points) ? activeObjects[line.id].points : line.points,
+            rotation: activeObjects[line.id].rotation !== undefined ? activeObjects[line.id].rotation : line.rotation,
+            startBinding: activeObjects[line.id].startBinding !== undefined ? activeObjects[line.id].startBinding : line.startBinding,
+            endBinding: activeObjects[line.id].endBinding !== undefined ? activeObjects[line.id].endBinding : line.endBinding,
+            isLockedByOther: true,
+            lockedByName: line.lastModifiedBy,
+            isBeingDragged: true
+          };
+        }
+        
+        // If locked by another user, mark as locked
+        if (line.lockedBy && line.lockedBy !== auth.currentUser?.uid) {
           return {
-            ...text,
+            ...line,
             isLockedByOther: true,
-            lockedByName: text.lastModifiedBy
+            lockedByName: line.lastModifiedBy
           };
         }
         
         // No one is controlling it, show Firestore data
-        return text;
-      });
-  }, [canvasObjects, localRectUpdates, activeObjects]);
+        return line;
+      })
+      .map(line => resolveConnector(line, bindableShapesById));
+  }, [canvasObjects, localRectUpdates, activeObjects, bindableShapesById]);
 
   // Combine all shapes and sort by z-index for proper rendering order
   const allShapesSorted = useMemo(() => {
@@ -562,12 +1294,19 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
       ...rectangles.map(shape => ({ ...shape, shapeType: 'rectangle' })),
       ...circles.map(shape => ({ ...shape, shapeType: 'circle' })),
       ...stars.map(shape => ({ ...shape, shapeType: 'star' })),
-      ...texts.map(shape => ({ ...shape, shapeType: 'text' }))
+      ...polygons.map(shape => ({ ...shape, shapeType: 'polygon' })),
+      ...texts.map(shape => ({ ...shape, shapeType: 'text' })),
+      ...lines.map(shape => ({ ...shape, shapeType: 'line' })),
+      ...paths.map(shape => ({ ...shape, shapeType: 'path' })),
+      ...images.map(shape => ({ ...shape, shapeType: 'image' })),
+      ...frames.map(shape => ({ ...shape, shapeType: 'frame' })),
+      ...stickies.map(shape => ({ ...shape, shapeType: 'sticky' })),
+      ...tables.map(shape => ({ ...shape, shapeType: 'table' }))
     ];
     
     // Sort by z-index (ascending - lower z-index renders first/behind)
     return combined.sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
-  }, [rectangles, circles, stars, texts]);
+  }, [rectangles, circles, stars, polygons, texts, lines, paths, images, frames, stickies, tables]);
 
   // Helper function to check if current user can edit an object
   const canEditObject = useCallback((objectId) => {
@@ -590,6 +1329,90 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
   // Multi-selection state management
   const multiSelection = useMultiSelection(canEditObject);
 
+  // Resolve the selected group (if the selection is exactly one group) from rendered shapes
+  // so the group outline follows live move/resize/rotate updates
+  const selectedGroup = useMemo(() => {
+    return getSelectedGroup(multiSelection.selectionInfo.selectedIds, allShapesSorted);
+  }, [multiSelection.selectionInfo, allShapesSorted]);
+
+  // Objects shown in the properties inspector: the multi-selection, or the single selected object
+  const inspectedObjects = useMemo(() => {
+    const { selectedIds } = multiSelection.selectionInfo;
+    const ids = selectedIds.length > 1 || !selectedObjectId ? selectedIds : [selectedObjectId];
+    return ids.map(id => canvasObjects.find(obj => obj.id === id)).filter(Boolean);
+  }, [multiSelection.selectionInfo, selectedObjectId, canvasObjects]);
+
+  // Apply an inspector edit to the inspected objects as one undo step (objects locked by others are skipped)
+  const handleInspectorChange = useCallback(async (inspectorChanges) => {
+    const entries = getInspectorEntries(inspectedObjects, canvasObjects, inspectorChanges)
+      .filter(entry => canEditObject(entry.id))
+      .map(entry => ({
+        ...entry,
+        type: canvasObjects.find(obj => obj.id === entry.id)?.type,
+        actionType: isMoveOnlyEntry(entry) ? ACTION_TYPES.MOVE_OBJECT : ACTION_TYPES.UPDATE_PROPERTIES
+      }));
+    if (entries.length === 0) return;
+
+    if (inspectorChanges.fontFamily) pickFont(inspectorChanges.fontFamily);
+
+    try {
+      if (entries.length === 1) {
+        const [entry] = entries;
+        await updateObject(entry.id, entry.updates, recordAction, {
+          actionType: entry.actionType,
+          before: entry.before,
+          objectType: entry.type || 'Object'
+        });
+      } else {
+        await batchUpdateObjects(entries, recordAction, {
+          actionType: ACTION_TYPES.UPDATE_PROPERTIES,
+          description: `Edit ${entries.length} objects`
+        });
+      }
+    } catch (error) {
+      console.error('Failed to apply inspector edit:', error);
+      toast.error('Failed to update the selection');
+    }
+  }, [inspectedObjects, canvasObjects, canEditObject, pickFont, recordAction]);
+
+  // Which align/distribute actions the inspected objects support (groups and frames count as one)
+  const alignOptions = useMemo(() => {
+    const units = getAlignUnits(inspectedObjects.map(obj => obj.id), canvasObjects);
+    return {
+      canAlign: !!getAlignTarget(units, canvasObjects),
+      canDistribute: units.length >= 3
+    };
+  }, [inspectedObjects, canvasObjects]);
+
+  // Save an align/distribute result as one batched write and undo step
+  const applyArrangeEntries = useCallback(async (entries, description) => {
+    if (entries.length === 0) return;
+
+    try {
+      const actionEntries = entries.map(entry => ({
+        ...entry,
+        actionType: isMoveOnlyEntry(entry) ? ACTION_TYPES.MOVE_OBJECT : ACTION_TYPES.UPDATE_PROPERTIES
+      }));
+      await batchUpdateObjects(actionEntries, recordAction, {
+        actionType: ACTION_TYPES.MOVE_OBJECT,
+        description
+      });
+    } catch (error) {
+      console.error(`Failed to ${description.toLowerCase()}:`, error);
+      toast.error('Failed to arrange the selection');
+    }
+  }, [recordAction]);
+
+  const handleAlign = useCallback((mode) => {
+    const entries = getAlignEntries(inspectedObjects.map(obj => obj.id), canvasObjects, mode);
+    return applyArrangeEntries(entries, `Align ${mode}`);
+  }, [inspectedObjects, canvasObjects, applyArrangeEntries]);
+
+  const handleDistribute = useCallback((axis) => {
+    const entries = getDistributeEntries(inspectedObjects.map(obj => obj.id), canvasObjects, axis);
+    return applyArrangeEntries(entries, `Distribute ${axis}ly`);
+  }, [inspectedObjects, canvasObjects, applyArrangeEntries]);
+
   // Helper to check if current user owns/controls an object
   const doWeOwnObject = useCallback((objectId) => {
     const obj = canvasObjects.find(o => o.id === objectId);
@@ -687,12 +1510,9 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
     return null;
   }, [rectangles, isPointInRect]);
   
-  // Helper function to check if point is inside circle
+  // Helper function to check if point is inside circle (circles are ellipses and may be rotated)
   const isPointInCircle = useCallback((point, circle) => {
-    const dx = point.x - circle.x;
-    const dy = point.y - circle.y;
-    const distanceSquared = dx * dx + dy * dy;
-    return distanceSquared <= circle.radius * circle.radius;
+    return isPointInEllipse(point, circle);
   }, []);
   
   // Find circle at position
@@ -754,16 +1574,25 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
     return null;
   }, [stars, isPointInStar]);
   
+  // Find polygon at position (ray casting against the rotated vertices)
+  const findPolygonAt = useCallback((pos) => {
+    // Check from top to bottom (last drawn = topmost)
+    for (let i = polygons.length - 1; i >= 0; i--) {
+      if (isPointInRegularPolygon(pos, polygons[i])) {
+        return polygons[i];
+      }
+    }
+    return null;
+  }, [polygons]);
+  
   // Find text at position (simple bounding box check)
   const findTextAt = useCallback((pos) => {
     // Sort texts by z-index in reverse (check top objects first)
     const sortedTexts = [...texts].sort((a, b) => (b.zIndex || 0) - (a.zIndex || 0));
     
     for (const text of sortedTexts) {
-      // Use stored width if available, otherwise estimate generously
-      // The width property is set when text is created/edited
-      const textWidth = text.width || 200; // Default to 200px if not set
-      const textHeight = (text.fontSize || 24) * 1.2;
+      // Box of the laid-out text (wrapped lines, auto width or fixed size)
+      const { width: textWidth, height: textHeight } = getTextSize(text);
       const rotation = text.rotation || 0;
       
       // If no rotation, use simple bounding box check
@@ -800,27 +1629,253 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
     return null;
   }, [texts]);
   
+  // Find line at position (distance to the segment, scaled for stroke width)
+  const findLineAt = useCallback((pos) => {
+    // Check from top to bottom (last drawn = topmost)
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (isPointNearLine(pos, lines[i])) {
+        return lines[i];
+      }
+    }
+    return null;
+  }, [lines]);
+  
+  // Find freehand path at position (distance to the stroke, scaled for stroke width)
+  const findPathAt = useCallback((pos) => {
+    // Check from top to bottom (last drawn = topmost)
+    for (let i = paths.length - 1; i >= 0; i--) {
+      if (isPointNearPath(pos, paths[i])) {
+        return paths[i];
+      }
+    }
+    return null;
+  }, [paths]);
+  
+  // Find image at position (images are boxes that rotate around their center, like rectangles)
+  const findImageAt = useCallback((pos) => {
+    // Check from top to bottom (last drawn = topmost)
+    for (let i = images.length - 1; i >= 0; i--) {
+      if (isPointInRect(pos, images[i])) {
+        return images[i];
+      }
+    }
+    return null;
+  }, [images, isPointInRect]);
+  
+  // Find sticky note at position (notes are boxes that rotate around their center, like rectangles)
+  const findStickyAt = useCallback((pos) => {
+    // Check from top to bottom (last drawn = topmost)
+    for (let i = stickies.length - 1; i >= 0; i--) {
+      if (isPointInRect(pos, stickies[i])) {
+        return stickies[i];
+      }
+    }
+    return null;
+  }, [stickies, isPointInRect]);
+  
+  // Find table at position (tables are boxes that rotate around their center, like rectangles)
+  const findTableAt = useCallback((pos) => {
+    // Check from top to bottom (last drawn = topmost)
+    for (let i = tables.length - 1; i >= 0; i--) {
+      if (isPointInRect(pos, tables[i])) {
+        return tables[i];
+      }
+    }
+    return null;
+  }, [tables, isPointInRect]);
+  
+  // Find frame at position (frames are boxes that rotate around their center, like rectangles)
+  const findFrameAt = useCallback((pos) => {
+    // Check from top to bottom (last drawn = topmost)
+    for (let i = frames.length - 1; i >= 0; i--) {
+      if (isPointInRect(pos, frames[i])) {
+        return frames[i];
+      }
+    }
+    return null;
+  }, [frames, isPointInRect]);
+  
+  // Find the frame a new or moved object belongs in (judged by the center of its bounds)
+  const findParentFrameId = useCallback((obj) => {
+    return getParentFrameId(frames, obj);
+  }, [frames]);
+  
+  const isEditingTextInline = isEditingText && !!textEditData &&
+    textEditData.object?.type !== 'sticky' && !textEditData.newStickyPosition;
+
+  // Text the inline editor edits (new text: its position and defaults), kept stable while editing
+  const inlineEditedText = useMemo(() => textEditData && (textEditData.object || {
+    type: 'text',
+    ...textEditData.newTextPosition,
+    width: getToolHandler(TOOLS.TEXT).MIN_TEXT_WIDTH
+  }), [textEditData]);
+
+  // Draw the inline text draft and stream it to collaborators (they see the text being typed)
+  const handleTextDraftChange = useCallback((draft) => {
+    setTextDraft(draft);
+    if (draft.id) {
+      updateActiveObjectPosition(canvasId, draft.id, {
+        x: draft.x,
+        y: draft.y,
+        ...Object.fromEntries(TEXT_DRAFT_FIELDS.map(field => [field, draft[field]])),
+        // RTDB drops nulls, so plain text and lists travel in their expanded form
+        runs: getTextRuns(draft),
+        listStyles: getListStyles(draft)
+      });
+    }
+  }, [canvasId]);
+
+  // Save the inline text edit; the editor closes right away so the next click starts fresh
+  const handleTextCommit = useCallback(async (text, formatting) => {
+    const editData = textEditData;
+    setIsEditingText(false);
+    setTextEditData(null);
+    setTextDraft(null);
+    if (!editData) return;
+
+    try {
+      if (editData.newTextPosition) {
+        // Creating new text
+        const textTool = getToolHandler(TOOLS.TEXT);
+        const frameId = findParentFrameId({ type: 'text', ...editData.newTextPosition, ...formatting, text });
+        const textId = await textTool.createTextObject(canvasId, editData.newTextPosition, text, formatting, recordAction, frameId);
+        console.log('✅ New text created:', textId);
+
+        // Select the new text
+        setTextSelectedId(textId);
+        setSelectedObjectId(textId);
+      } else if (editData.object) {
+        const object = editData.object;
+        await clearActiveObject(canvasId, object.id);
+
+        // Capture before state for undo/redo - include all text properties that could change
+        const beforeState = {
+          text: object.text,
+          bold: object.bold,
+          italic: object.italic,
+          underline: object.underline,
+          fontSize: object.fontSize,
+          fontFamily: object.fontFamily,
+          fill: object.fill,
+          runs: object.runs ?? null,
+          listStyles: object.listStyles ?? null,
+          align: object.align ?? null,
+          verticalAlign: object.verticalAlign ?? null,
+          sizing: object.sizing ?? null,
+          lineHeight: object.lineHeight ?? null,
+          letterSpacing: object.letterSpacing ?? null,
+          width: object.width ?? null,
+          height: object.height ?? null
+        };
+
+        await updateObject(
+          object.id,
+          { text, ...formatting },
+          recordAction,
+          {
+            actionType: ACTION_TYPES.UPDATE_PROPERTIES,
+            before: beforeState,
+            objectType: 'Text'
+          }
+        );
+        console.log('✅ Text updated:', object.id);
+
+        // Unlock the text
+        await unlockObject(object.id);
+
+        // Keep the text selected so user can immediately use other tools (resize, rotate, etc.)
+        setTextSelectedId(object.id);
+        setSelectedObjectId(object.id);
+      }
+    } catch (error) {
+      console.error('❌ Failed to save text:', error);
+    }
+  }, [textEditData, canvasId, recordAction, findParentFrameId]);
+
+  const handleTextCancel = useCallback(async () => {
+    const editData = textEditData;
+    setIsEditingText(false);
+    setTextEditData(null);
+    setTextDraft(null);
+
+    // If we were editing an existing text, drop the streamed draft and unlock it
+    if (editData?.object) {
+      try {
+        await clearActiveObject(canvasId, editData.object.id);
+        await unlockObject(editData.object.id);
+      } catch (error) {
+        console.error('Failed to unlock text:', error);
+      }
+    }
+  }, [textEditData, canvasId]);
+
+  // Locks go stale after 30s; keep the text locked for as long as it is being edited
+  const editedTextId = isEditingTextInline ? textEditData.object?.id : null;
+  useEffect(() => {
+    if (!editedTextId) return;
+    const interval = setInterval(() => {
+      lockObject(editedTextId).catch(error => console.error('Failed to refresh text lock:', error));
+    }, EDIT_LOCK_REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [editedTextId]);
+
+  // Find the connector anchor nearest to a position (snap distance is constant on screen)
+  const findAnchorAt = useCallback((pos, excludeIds = []) => {
+    return findNearestAnchor(pos, Object.values(bindableShapesById), CONNECTOR_SNAP_DISTANCE / stageScale, excludeIds);
+  }, [bindableShapesById, stageScale]);
+  
   // Shape-agnostic object finder - checks all shape types
   const findObjectAt = useCallback((pos) => {
+    // Parts of frame children clipped away by their frame can't be clicked
+    const isVisibleHit = (obj) => obj && !isClippedAt(pos, obj, framesById);
+    
     // Check in reverse z-index order (top to bottom)
     // Text first (check all types at highest z-index first)
     const text = findTextAt(pos);
-    if (text) return text;
+    if (isVisibleHit(text)) return text;
+    
+    // Lines next - they are thin, so let them win over shapes they cross
+    const line = findLineAt(pos);
+    if (isVisibleHit(line)) return line;
+    
+    // Freehand paths are hit on their stroke, like lines
+    const path = findPathAt(pos);
+    if (isVisibleHit(path)) return path;
+    
+    // Sticky notes are opaque cards, usually on top of what they annotate
+    const sticky = findStickyAt(pos);
+    if (isVisibleHit(sticky)) return sticky;
+    
+    // Tables are opaque grids, like sticky notes
+    const table = findTableAt(pos);
+    if (isVisibleHit(table)) return table;
     
     // Stars
     const star = findStarAt(pos);
-    if (star) return star;
+    if (isVisibleHit(star)) return star;
+    
+    // Polygons and triangles
+    const polygon = findPolygonAt(pos);
+    if (isVisibleHit(polygon)) return polygon;
     
     // Then circles
     const circle = findCircleAt(pos);
-    if (circle) return circle;
+    if (isVisibleHit(circle)) return circle;
     
     // Then rectangles
     const rect = findRectAt(pos);
-    if (rect) return rect;
+    if (isVisibleHit(rect)) return rect;
+    
+    // Images next - they are often large backdrops for the shapes placed on them
+    const image = findImageAt(pos);
+    if (isVisibleHit(image)) return image;
+    
+    // Frames last - clicking a frame's empty area selects the frame
+    const frame = findFrameAt(pos);
+    if (frame) return frame;
     
     return null;
-  }, [findTextAt, findStarAt, findCircleAt, findRectAt]);
+  }, [findTextAt, findLineAt, findPathAt, findStickyAt, findTableAt, findStarAt, findPolygonAt, findCircleAt, findRectAt, findImageAt, findFrameAt, framesById]);
   
   // Boundary enforcement functions
   const clampRectToCanvas = useCallback((rect) => {
@@ -834,17 +1889,25 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
   }, []);
   
   const clampCircleToCanvas = useCallback((circle) => {
-    // First, clamp radius to ensure it can fit within canvas bounds
-    const maxRadius = Math.min(CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2);
-    const clampedRadius = Math.min(circle.radius, maxRadius);
-    
-    // Then clamp center position so entire circle stays in bounds
-    const clampedX = Math.max(clampedRadius, Math.min(circle.x, CANVAS_WIDTH - clampedRadius));
-    const clampedY = Math.max(clampedRadius, Math.min(circle.y, CANVAS_HEIGHT - clampedRadius));
+    // First, clamp each axis to ensure the ellipse can fit within canvas bounds
+    const { radiusX, radiusY } = getEllipseRadii(circle);
+    const clampedRadiusX = Math.min(radiusX, CANVAS_WIDTH / 2);
+    const clampedRadiusY = Math.min(radiusY, CANVAS_HEIGHT / 2);
+    
+    // Half extents of the (possibly rotated) ellipse's bounding box
+    const radians = ((circle.rotation || 0) * Math.PI) / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const halfWidth = Math.hypot(clampedRadiusX * cos, clampedRadiusY * sin);
+    const halfHeight = Math.hypot(clampedRadiusX * sin, clampedRadiusY * cos);
+    
+    // Then clamp center position so entire ellipse stays in bounds
+    const clampedX = Math.max(halfWidth, Math.min(circle.x, CANVAS_WIDTH - halfWidth));
+    const clampedY = Math.max(halfHeight, Math.min(circle.y, CANVAS_HEIGHT - halfHeight));
     
     return {
       ...circle,
-      radius: clampedRadius,
+      ...toEllipseRadiusFields(clampedRadiusX, clampedRadiusY),
       x: clampedX,
       y: clampedY
     };
@@ -866,86 +1929,28 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
     };
   }, []);
 
-  // Calculate initial view to center the canvas and fit it in viewport
-  const initializeView = useCallback(() => {
-    if (stageRef.current) {
-      const stage = stageRef.current;
-      const container = stage.container();
-      const containerWidth = container.offsetWidth;
-      const containerHeight = container.offsetHeight;
-      
-      // Calculate zoom to fit the entire canvas with some padding
-      const scaleX = (containerWidth * 0.8) / CANVAS_WIDTH;
-      const scaleY = (containerHeight * 0.8) / CANVAS_HEIGHT;
-      const scale = Math.min(scaleX, scaleY, INITIAL_ZOOM);
-      
-      // Center the canvas in the viewport
-      const x = (containerWidth - CANVAS_WIDTH * scale) / 2;
-      const y = (containerHeight - CANVAS_HEIGHT * scale) / 2;
-      
-      setStageScale(scale);
-      setStagePos({ x, y });
-      
-      stage.scale({ x: scale, y: scale });
-      stage.position({ x, y });
-    }
-  }, []);
-
-  // Initialize view on component mount
-  useEffect(() => {
-    initializeView();
-    
-    // Re-initialize on window resize
-    const handleResize = () => {
-      setTimeout(initializeView, 100);
-    };
+  const clampPolygonToCanvas = useCallback((polygon) => {
+    // Keep the vertices (not the circumscribed circle) inside the canvas - a
+    // triangle's base sits well above its radius, so it may get closer to the edge
+    const maxRadius = Math.min(CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2);
+    const radius = Math.min(polygon.radius, maxRadius);
+    const bounds = getPolygonLocalBounds({ ...polygon, radius });
     
-    window.addEventListener('resize', handleResize);
-    return () => window.removeEventListener('resize', handleResize);
-  }, [initializeView]);
-  
-  // Notify zoom level on initial mount and when scale changes
-  useEffect(() => {
-    if (onZoomUpdate) {
-      onZoomUpdate(stageScale);
-    }
-  }, [stageScale, onZoomUpdate]);
-
-  // Handle zoom functionality
-  const handleWheel = useCallback((e) => {
-    if (e.evt) {
-      e.evt.preventDefault();
-    }
+    const offsetX = Math.max(0, -bounds.x) - Math.max(0, bounds.x + bounds.width - CANVAS_WIDTH);
+    const offsetY = Math.max(0, -bounds.y) - Math.max(0, bounds.y + bounds.height - CANVAS_HEIGHT);
     
-    const stage = e.target.getStage();
-    const pointer = stage.getPointerPosition();
-    const mousePointTo = {
-      x: (pointer.x - stage.x()) / stage.scaleX(),
-      y: (pointer.y - stage.y()) / stage.scaleY(),
-    };
-
-    // Zoom sensitivity
-    const scaleBy = 1.02;
-    const direction = e.evt.deltaY > 0 ? -1 : 1;
-    const oldScale = stage.scaleX();
-    const newScale = Math.max(0.1, Math.min(oldScale * Math.pow(scaleBy, direction), 5));
-
-    stage.scale({ x: newScale, y: newScale });
-
-    const newPos = {
-      x: pointer.x - mousePointTo.x * newScale,
-      y: pointer.y - mousePointTo.y * newScale,
+    return {
+      ...polygon,
+      radius,
+      x: polygon.x + offsetX,
+      y: polygon.y + offsetY
     };
+  }, []);
 
-    stage.position(newPos);
-    setStageScale(newScale);
-    setStagePos(newPos);
-    
-    // Update zoom level for toolbar
-    if (onZoomUpdate) {
-      onZoomUpdate(newScale);
-    }
-  }, [onZoomUpdate]);
+  // Snap a point to the layout grid while grid snapping is on (Ctrl/Cmd places it freely)
+  const snapToGrid = useCallback((point, evt) => {
+    return isSnapSuspended(evt) ? point : snapPointToGrid(point, gridSnapStep);
+  }, [gridSnapStep]);
 
   // Subscribe to active objects (real-time movement from RTDB)
   useEffect(() => {
@@ -1025,17 +2030,21 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
       const handler = async (newColor) => {
         if (selectedObjectId) {
           const selectedObj = canvasObjects.find(obj => obj.id === selectedObjectId);
+          // Images are drawn from their file and have no color
+          if (selectedObj?.type === 'image') return;
+          // Lines and paths have no fill - their color is the stroke
+          const colorKey = selectedObj?.type === 'line' || selectedObj?.type === 'path' ? 'stroke' : 'fill';
           // Only update if the color is different and we own the object
-          if (selectedObj && selectedObj.fill !== newColor && doWeOwnObject(selectedObjectId)) {
+          if (selectedObj && selectedObj[colorKey] !== newColor && doWeOwnObject(selectedObjectId)) {
             try {
               // Capture before state for undo/redo
               const beforeState = {
-                fill: selectedObj.fill
+                [colorKey]: selectedObj[colorKey]
               };
               
               await updateObject(
                 selectedObjectId, 
-                { fill: newColor }, 
+                { [colorKey]: newColor }, 
                 recordAction,
                 {
                   actionType: ACTION_TYPES.UPDATE_PROPERTIES,
@@ -1054,243 +2063,50 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
     }
   }, [selectedObjectId, canvasObjects, doWeOwnObject, onUserColorChange, recordAction]);
 
-  // Keyboard shortcuts
-  useEffect(() => {
-    const handleKeyDown = async (e) => {
-      // Ignore if user is typing in an input field
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.isContentEditable) {
-        return;
-      }
-
-      // Spacebar - temporary pan (hold down)
-      if (e.code === 'Space' && !isTemporaryPan) {
-        e.preventDefault();
-        setIsTemporaryPan(true);
-        setToolBeforePan(selectedTool);
-        onToolChange(TOOLS.PAN);
-        return;
-      }
-
-      // Arrow keys - pan viewport
-      if (e.key === 'ArrowUp' || e.key === 'ArrowDown' || e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
-        e.preventDefault();
-        const panDistance = 50;
-        setStagePos(prev => {
-          const newPos = { ...prev };
-          if (e.key === 'ArrowUp') newPos.y += panDistance;
-          if (e.key === 'ArrowDown') newPos.y -= panDistance;
-          if (e.key === 'ArrowLeft') newPos.x += panDistance;
-          if (e.key === 'ArrowRight') newPos.x -= panDistance;
-          
-          // Update stage position
-          if (stageRef.current) {
-            const stage = stageRef.current;
-            stage.position(newPos);
-          }
-          
-          return newPos;
-        });
-        return;
-      }
-
-      // Enter - edit text (if text is selected)
-      if (e.key === 'Enter' && selectedObjectId) {
-        const selectedObject = canvasObjects.find(obj => obj.id === selectedObjectId);
-        if (selectedObject && selectedObject.type === 'text' && canEditObject(selectedObjectId)) {
-          e.preventDefault();
-          console.log('⌨️ Enter pressed: Editing text object', selectedObjectId);
-          
-          // Lock the text for editing (it should already be locked)
-          lockObject(selectedObjectId).then(() => {
-            console.log('✅ Text locked for editing');
-            
-            // Trigger text editing mode
-            setTextSelectedId(selectedObjectId);
-            setIsEditingText(true);
-            setTextEditData({
-              object: selectedObject,
-              originalText: selectedObject.text || ''
-            });
-          }).catch(error => {
-            console.error('Failed to lock text:', error);
-          });
-          return;
-        }
-      }
-
-      // Delete/Backspace - delete selected objects (supports multi-selection)
-      if ((e.key === 'Delete' || e.key === 'Backspace') && (selectedObjectId || multiSelection.selectionInfo.count > 0)) {
-        e.preventDefault();
-        
-        // Get objects to delete (use multi-selection if available, otherwise single selection)
-        const objectsToDelete = multiSelection.selectionInfo.count > 0 
-          ? multiSelection.selectionInfo.selectedIds
-          : [selectedObjectId];
-        
-        const deletableObjects = objectsToDelete.filter(id => {
-          const obj = canvasObjects.find(o => o.id === id);
-          return obj && canEditObject(id);
-        });
-        
-        if (deletableObjects.length === 0) {
-          console.log('❌ Cannot delete - no editable objects selected');
-          return;
-        }
-
-        const totalObjects = objectsToDelete.length;
-        const lockedCount = totalObjects - deletableObjects.length;
-        
-        if (lockedCount > 0) {
-          console.log(`⚠️ ${lockedCount} of ${totalObjects} objects cannot be deleted (locked by other users)`);
-        }
-
-        console.log('🗑️ Delete key pressed: Deleting', deletableObjects.length, 'objects');
-        
-        try {
-          // Import batch delete function for better performance
-          import('../../services/canvas.service.js').then(async ({ batchDeleteObjects, deleteObject }) => {
-            let result;
-            
-            // Use batch deletion for multiple objects (much faster)
-            if (deletableObjects.length > 1) {
-              console.log('🚀 Using batch deletion for', deletableObjects.length, 'objects');
-              result = await batchDeleteObjects(deletableObjects);
-              
-              if (result.errors.length > 0) {
-                console.warn('⚠️ Some objects failed to delete:', result.errors);
-              }
-              
-              console.log(`✅ Batch deletion completed: ${result.deleted}/${deletableObjects.length} objects deleted`);
-            } else {
-              // Single object - use regular deletion
-              try {
-                await deleteObject(deletableObjects[0]);
-                console.log('✅ Single object deleted successfully:', deletableObjects[0]);
-              } catch (err) {
-                console.error('❌ Failed to delete single object:', deletableObjects[0], err);
-              }
-            }
-            
-            // Clear all selection since objects no longer exist
-            await multiSelection.clearSelection();
-            setSelectedObjectId(null);
-            setMoveSelectedId(null);
-            setResizeSelectedId(null);
-            setRotateSelectedId(null);
-            setTextSelectedId(null);
-          });
-        } catch (error) {
-          console.error('❌ Failed to import delete functions:', error);
-        }
-        return;
-      }
-
-      // Escape - clear all selection
-      if (e.key === 'Escape' && (selectedObjectId || multiSelection.selectionInfo.count > 0)) {
-        e.preventDefault();
-        
-        // Clear multi-selection first (this handles unlocking)
-        await multiSelection.clearSelection();
-        
-        // Clear legacy single selection
-        setSelectedObjectId(null);
-        console.log('⌨️ Escape pressed: Cleared all selection');
-        return;
-      }
-
-      // Undo/Redo shortcuts
-      if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey) {
-        // Ctrl+Z / Cmd+Z - Undo
-        e.preventDefault();
-        if (canUndo) {
-          // Clear local updates and active objects before undo to ensure fresh state rendering
-          setLocalRectUpdates({});
-          setActiveObjects({});
-          await undo(canvasObjects.reduce((acc, obj) => ({ ...acc, [obj.id]: obj }), {}));
-          // Clear local updates after undo to ensure Firestore data is shown
-          setLocalRectUpdates({});
-        }
-        return;
-      }
-      
-      if ((e.ctrlKey || e.metaKey) && (e.key === 'y' || (e.key === 'z' && e.shiftKey))) {
-        // Ctrl+Y / Cmd+Y or Ctrl+Shift+Z / Cmd+Shift+Z - Redo
-        e.preventDefault();
-        if (canRedo) {
-          // Clear local updates and active objects before redo to ensure fresh state rendering
-          setLocalRectUpdates({});
-          setActiveObjects({});
-          await redo(canvasObjects.reduce((acc, obj) => ({ ...acc, [obj.id]: obj }), {}));
-          // Clear local updates after redo to ensure Firestore data is shown
-          setLocalRectUpdates({});
-        }
-        return;
-      }
-
-      // Select All - Ctrl+A / Cmd+A
-      if ((e.ctrlKey || e.metaKey) && e.key === 'a') {
-        e.preventDefault();
-        await multiSelection.selectAll(canvasObjects);
-        
-        // Update legacy selection state for compatibility
-        const selection = multiSelection.selectionInfo;
-        setSelectedObjectId(selection.isSingle ? selection.primaryId : null);
-        console.log('⌨️ Canvas Select All: Selected', selection.count, 'objects (multi-selection active:', !selection.isSingle, ')');
-        return;
-      }
-
-      // Tool shortcuts (only if not already pressed)
-      if (!e.repeat) {
-        switch (e.key.toLowerCase()) {
-          case 'v':
-            e.preventDefault();
-            onToolChange(TOOLS.SELECT);
-            break;
-          case 'd':
-            e.preventDefault();
-            onToolChange(TOOLS.DELETE);
-            break;
-          case 'm':
-            e.preventDefault();
-            if (selectedObjectId) onToolChange(TOOLS.MOVE);
-            break;
-          case 'r':
-            e.preventDefault();
-            if (selectedObjectId) onToolChange(TOOLS.RESIZE);
-            break;
-          case 't':
-            e.preventDefault();
-            if (selectedObjectId) onToolChange(TOOLS.ROTATE);
-            break;
-          default:
-            break;
-        }
-      }
-    };
-
-    const handleKeyUp = (e) => {
-      // Spacebar release - return to previous tool
-      if (e.code === 'Space' && isTemporaryPan && toolBeforePan) {
-        e.preventDefault();
-        setIsTemporaryPan(false);
-        onToolChange(toolBeforePan);
-        setToolBeforePan(null);
-      }
-    };
-
-    window.addEventListener('keydown', handleKeyDown);
-    window.addEventListener('keyup', handleKeyUp);
+  // Keys the active tool handles itself - bound to the current tool state below buildToolState
+  const toolKeyDownRef = useRef(null);
+  const handleToolKeyDown = useCallback((key) => toolKeyDownRef.current?.(key) || false, []);
 
-    return () => {
-      window.removeEventListener('keydown', handleKeyDown);
-      window.removeEventListener('keyup', handleKeyUp);
-    };
-  }, [selectedTool, selectedObjectId, isTemporaryPan, toolBeforePan, onToolChange, canvasObjects, canEditObject, undo, redo, canUndo, canRedo, multiSelection]);
+  // Keyboard shortcuts
+  useCanvasKeyboard({
+    selectedTool,
+    selectedObjectId,
+    isTemporaryPan,
+    toolBeforePan,
+    canvasObjects,
+    canEditObject,
+    canvasId,
+    recordAction,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    multiSelection,
+    onToolChange,
+    setIsTemporaryPan,
+    setToolBeforePan,
+    setSelectedObjectId,
+    setMoveSelectedId,
+    setResizeSelectedId,
+    setRotateSelectedId,
+    setTextSelectedId,
+    setIsEditingText,
+    setTextEditData,
+    setLocalRectUpdates,
+    setActiveObjects,
+    panViewport,
+    onToolKeyDown: handleToolKeyDown,
+    getPasteCenter,
+    TOOLS
+  });
 
   // Clear/manage state when switching tools
   useEffect(() => {
     // Deselect when switching to shape tools
-    if (selectedTool === TOOLS.RECTANGLE || selectedTool === TOOLS.CIRCLE || selectedTool === TOOLS.STAR) {
+    if (selectedTool === TOOLS.RECTANGLE || selectedTool === TOOLS.CIRCLE || selectedTool === TOOLS.STAR ||
+        selectedTool === TOOLS.POLYGON || selectedTool === TOOLS.TRIANGLE ||
+        selectedTool === TOOLS.LINE || selectedTool === TOOLS.ARROW || selectedTool === TOOLS.PENCIL ||
+        selectedTool === TOOLS.FRAME || selectedTool === TOOLS.STICKY || selectedTool === TOOLS.TABLE) {
       if (selectedObjectId) {
         // Unlock the selected object before deselecting
         unlockObject(selectedObjectId).catch(err => {
@@ -1384,7 +2200,11 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
       
       // If we're switching to a tool that doesn't need the object locked, unlock it
       if (selectedTool === TOOLS.SELECT || selectedTool === TOOLS.PAN || 
-          selectedTool === TOOLS.RECTANGLE || selectedTool === TOOLS.CIRCLE || selectedTool === TOOLS.STAR) {
+          selectedTool === TOOLS.RECTANGLE || selectedTool === TOOLS.CIRCLE || selectedTool === TOOLS.STAR ||
+          selectedTool === TOOLS.POLYGON || selectedTool === TOOLS.TRIANGLE ||
+          selectedTool === TOOLS.LINE || selectedTool === TOOLS.ARROW || selectedTool === TOOLS.PENCIL ||
+          selectedTool === TOOLS.PEN || selectedTool === TOOLS.FRAME || selectedTool === TOOLS.STICKY ||
+          selectedTool === TOOLS.TABLE) {
         unlockObject(rotateSelectedId).catch(err => {
           console.error('Failed to unlock after rotation tool switch:', err);
         });
@@ -1431,6 +2251,22 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
       setDrawStart(null);
       setIsDrawing(false);
     }
+    if (selectedTool !== TOOLS.POLYGON && selectedTool !== TOOLS.TRIANGLE) {
+      setCurrentPolygon(null);
+      setDrawStart(null);
+      setIsDrawing(false);
+    }
+    if (selectedTool !== TOOLS.LINE && selectedTool !== TOOLS.ARROW) {
+      setCurrentLine(null);
+      setHoveredAnchor(null);
+      setDrawStart(null);
+      setIsDrawing(false);
+    }
+    if (selectedTool !== TOOLS.PENCIL) {
+      setCurrentPath(null);
+      setDrawStart(null);
+      setIsDrawing(false);
+    }
   }, [selectedTool, selectedObjectId, isTemporaryPan]);
 
   // Helper function to build state object for tools
@@ -1451,7 +2287,14 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
     currentRect,
     currentCircle,
     currentStar,
+    currentPolygon,
+    currentLine,
+    currentPath,
+    currentVectorPath,
+    editingPathId,
+    selectedAnchorIndex,
     textEditData,
+    tableCellEdit,
     drawStart,
     mouseDownPos,
     moveOriginalPos,
@@ -1462,7 +2305,10 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
     rectangles,
     circles,
     stars,
+    polygons,
     texts,
+    lines,
+    paths,
     localRectUpdates,
     selectedColor,
     multiSelection, // Multi-selection state and actions
@@ -1483,7 +2329,16 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
     setCurrentRect,
     setCurrentCircle,
     setCurrentStar,
+    setCurrentPolygon,
+    setCurrentLine,
+    setCurrentPath,
+    setCurrentVectorPath,
+    setEditingPathId,
+    setSelectedAnchorIndex,
+    setHoveredAnchor,
+    setSnapGuides,
     setTextEditData,
+    setTableCellEdit,
     setDrawStart,
     setMouseDownPos,
     setMoveOriginalPos,
@@ -1497,8 +2352,13 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
     findRectAt,
     findCircleAt,
     findStarAt,
+    findPolygonAt,
     findTextAt,
+    findLineAt,
+    findPathAt,
+    findAnchorAt,
     findObjectAt,
+    findParentFrameId,
     isPointInCircle,
     isPointInStar,
     canEditObject,
@@ -1506,6 +2366,10 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
     clampRectToCanvas,
     clampCircleToCanvas,
     clampStarToCanvas,
+    clampPolygonToCanvas,
+    gridSnapStep,
+    snapToGrid,
+    rulerGuides: guides,
     isOnline,
     
     // Other props
@@ -1513,12 +2377,45 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
     TOOLS
   }), [
     selectedObjectId, moveSelectedId, resizeSelectedId, rotateSelectedId, textSelectedId, isPanning, isMoving, isResizing, isRotating, isDrawing, isEditingText,
-    currentRect, currentCircle, currentStar, textEditData, drawStart, mouseDownPos, moveOriginalPos,
-    resizeHandle, resizeStartData, rotateStartData, canvasObjects, rectangles, circles, stars, texts, localRectUpdates, selectedColor,
-    findRectAt, findCircleAt, findStarAt, findTextAt, findObjectAt, isPointInCircle, isPointInStar, canEditObject, doWeOwnObject, 
-    clampRectToCanvas, clampCircleToCanvas, clampStarToCanvas, isOnline, onToolChange, multiSelection
+    currentRect, currentCircle, currentStar, currentPolygon, currentLine, currentPath, currentVectorPath, editingPathId, selectedAnchorIndex,
+    textEditData, tableCellEdit, drawStart, mouseDownPos, moveOriginalPos, resizeHandle, resizeStartData, rotateStartData, canvasObjects, rectangles, circles, stars, polygons, texts, lines, paths, localRectUpdates, selectedColor,
+    findRectAt, findCircleAt, findStarAt, findPolygonAt, findTextAt, findLineAt, findPathAt, findAnchorAt, findObjectAt, findParentFrameId, isPointInCircle, isPointInStar, canEditObject, doWeOwnObject, 
+    clampRectToCanvas, clampCircleToCanvas, clampStarToCanvas, clampPolygonToCanvas, gridSnapStep, snapToGrid, guides, isOnline, onToolChange, multiSelection, setStagePos
   ])
 
+  toolKeyDownRef.current = (key) => {
+    const toolHandler = getToolHandler(selectedTool);
+    return toolHandler?.onKeyDown ? toolHandler.onKeyDown(key, buildToolState(), { canvasId, recordAction }) : false;
+  };
+
+  // Pen tool: picking it with a vector path selected edits that path's points;
+  // leaving it saves the path being drawn and ends point editing
+  useEffect(() => {
+    const penTool = getToolHandler(TOOLS.PEN);
+
+    if (selectedTool === TOOLS.PEN) {
+      const selectedPath = paths.find(p => p.id === selectedObjectId);
+      if (selectedPath && isVectorPath(selectedPath) && canEditObject(selectedPath.id)) {
+        setEditingPathId(selectedPath.id);
+      } else if (selectedObjectId) {
+        unlockObject(selectedObjectId).catch(err => {
+          console.error('Failed to unlock on tool switch:', err);
+        });
+        setSelectedObjectId(null);
+      }
+      return;
+    }
+
+    // Holding space to pan keeps the path going
+    if (isTemporaryPan) return;
+
+    if (penTool?.hasDraft()) {
+      penTool.finishPath(buildToolState(), { canvasId, recordAction });
+    }
+    setEditingPathId(null);
+    setSelectedAnchorIndex(null);
+  }, [selectedTool, selectedObjectId, paths, isTemporaryPan, canEditObject, buildToolState, canvasId, recordAction]);
+
   // MOUSE DOWN HANDLER - Tool-specific logic
   const handleMouseDown = useCallback(async (e) => {
     const pos = getMousePos(e);
@@ -1529,6 +2426,11 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
     }
     
     console.log('Mouse down detected, tool:', selectedTool);
+
+    // Clicking away from inline text only ends the edit (the editor saves on blur)
+    if (isEditingTextInline) {
+      return;
+    }
     
     // Prevent editing operations when offline (allow pan tool to work)
     if (!isConnected && selectedTool !== TOOLS.PAN) {
@@ -1546,7 +2448,7 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
     }
     
     // All tools now handled by tool handlers - no fallback needed
-  }, [selectedTool, getMousePos, isConnected, buildToolState, canvasId, recordAction]);
+  }, [selectedTool, getMousePos, isConnected, isEditingTextInline, buildToolState, canvasId, recordAction]);
 
   // MOUSE MOVE HANDLER - Tool-specific logic
   const handleMouseMove = useCallback((e) => {
@@ -1559,6 +2461,9 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
     
     // Use clamped position for drag operations, regular position otherwise
     const toolPos = isDragOperation ? clampedPos : pos;
+
+    // Remember where the pointer is so pastes land under it
+    pointerPosRef.current = pos;
     
     // Reject if mouse is above clipping boundary (but not for drag operations)
     if (!toolPos) {
@@ -1657,6 +2562,17 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
           container.style.cursor = 'crosshair';
           break;
         case TOOLS.STAR:
+        case TOOLS.POLYGON:
+        case TOOLS.TRIANGLE:
+          container.style.cursor = 'crosshair';
+          break;
+        case TOOLS.LINE:
+        case TOOLS.ARROW:
+        case TOOLS.PENCIL:
+        case TOOLS.PEN:
+        case TOOLS.FRAME:
+        case TOOLS.STICKY:
+        case TOOLS.TABLE:
           container.style.cursor = 'crosshair';
           break;
         case TOOLS.TEXT:
@@ -1719,8 +2635,132 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
     return <EmptyState />;
   }
 
+  // Render one canvas object (frames draw their children with renderShape)
+  const renderShapeContent = (shape, renderShape) => {
+    const isSelected = selectedObjectId === shape.id || multiSelection.selectedObjectIds.has(shape.id);
+    const shouldAttachRef = isSelected && selectedTool === TOOLS.RESIZE && shape.rotation;
+
+    // Get owner's color if locked by another user
+    const ownerColor = shape.isLockedByOther && shape.lockedBy 
+      ? getUserCursorColor(shape.lockedBy) 
+      : null;
+
+    // Selection/lock state is an outline around the object, never its own stroke
+    const highlightColor = shape.isLockedByOther
+      ? ownerColor // Use owner's color for locked objects
+      : isSelected
+        ? (multiSelection.selectedObjectIds.size > 1 ? "#8B5CF6" : "#2563eb") // Purple for multi-select, blue for single
+        : null;
+
+    const commonProps = {
+      opacity: shape.isLockedByOther ? 0.8 : 1.0, // Slightly less dim for better visibility
+      ...(shouldAttachRef ? { ref: selectedShapeRef } : {})
+    };
+
+    // Render based on shape type
+    if (STROKE_TYPES.includes(shape.shapeType)) {
+      return (
+        <BasicShape
+          key={shape.id}
+          {...commonProps}
+          shape={shape}
+          highlightColor={highlightColor}
+          stageScale={stageScale}
+        />
+      );
+    } else if (shape.shapeType === 'text') {
+      // While editing inline, the draft is drawn and the editor shows its own outline
+      const isBeingEdited = textDraft?.id === shape.id;
+      return (
+        <RichTextShape
+          key={shape.id}
+          ref={commonProps.ref}
+          text={isBeingEdited ? { ...shape, ...textDraft } : shape}
+          highlightColor={isBeingEdited ? null : highlightColor}
+          opacity={commonProps.opacity}
+          stageScale={stageScale}
+          fontsVersion={fontsVersion}
+        />
+      );
+    } else if (shape.shapeType === 'line') {
+      // The stroke is the line's own color, so selection is shown as a halo instead
+      return (
+        <LineShape
+          key={shape.id}
+          line={shape}
+          highlightColor={highlightColor}
+          opacity={commonProps.opacity}
+          stageScale={stageScale}
+        />
+      );
+    } else if (shape.shapeType === 'path') {
+      // Freehand strokes use the same selection halo as lines
+      return (
+        <PathShape
+          key={shape.id}
+          path={shape}
+          highlightColor={highlightColor}
+          opacity={commonProps.opacity}
+          stageScale={stageScale}
+        />
+      );
+    } else if (shape.shapeType === 'image') {
+      // Images have no stroke of their own, so selection is an outline
+      return (
+        <ImageShape
+          key={shape.id}
+          image={shape}
+          highlightColor={highlightColor}
+          opacity={commonProps.opacity}
+          stageScale={stageScale}
+        />
+      );
+    } else if (shape.shapeType === 'frame') {
+      // Children render inside the frame, clipped to it
+      return (
+        <FrameShape
+          key={shape.id}
+          frame={shape}
+          highlightColor={highlightColor}
+          opacity={commonProps.opacity}
+          stageScale={stageScale}
+        >
+          {shape.frameChildren.map(renderShape)}
+        </FrameShape>
+      );
+    } else if (shape.shapeType === 'sticky') {
+      // Notes have no stroke of their own, so selection is an outline
+      return (
+        <StickyNoteShape
+          key={shape.id}
+          note={shape}
+          highlightColor={highlightColor}
+          opacity={commonProps.opacity}
+          stageScale={stageScale}
+        />
+      );
+    } else if (shape.shapeType === 'table') {
+      return (
+        <TableShape
+          key={shape.id}
+          table={shape}
+          highlightColor={highlightColor}
+          opacity={commonProps.opacity}
+          stageScale={stageScale}
+          editingCell={tableCellEdit?.tableId === shape.id ? tableCellEdit : null}
+        />
+      );
+    }
+    return null;
+  };
+
   return (
-    <div className="canvas-container bg-gray-200 overflow-hidden" style={{ position: 'relative' }}>
+    <div
+      className="canvas-container bg-gray-200 overflow-hidden"
+      style={{ position: 'relative' }}
+      onDragOver={handleDragOver}
+      onDrop={handleDrop}
+    >
       {/* Connection Status Banner */}
       <ConnectionBanner 
         isConnected={isConnected}
@@ -1747,6 +2787,7 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
           onMouseMove={handleMouseMove}
           onMouseUp={handleMouseUp}
           onMouseLeave={(e) => {
+            pointerPosRef.current = null;
             // Only cancel operations when not in the middle of a drag operation
             if (!multiSelection?.isSelecting && !isPanning && !isMoving && !isResizing && !isRotating && !isDrawing) {
               handleMouseUp(e);
@@ -1771,12 +2812,27 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
             y={0}
             width={CANVAS_WIDTH}
             height={CANVAS_HEIGHT}
-            fill={CANVAS_BACKGROUND}
+            fill={backgroundColor}
             stroke="#cccccc"
             strokeWidth={1}
             listening={selectedTool !== TOOLS.PAN && !(selectedTool === TOOLS.RESIZE && resizeSelectedId)}
           />
           
+          {/* Optional background grid/dot pattern */}
+          <CanvasBackgroundPattern
+            pattern={backgroundPattern}
+            stageScale={stageScale}
+          />
+          
+          {/* Layout grid (only the part inside the viewport is drawn) */}
+          <GridLayer
+            grid={grid}
+            stagePos={stagePos}
+            stageScale={stageScale}
+            width={stageDimensions.width}
+            height={stageDimensions.height + CANVAS_TOP_OFFSET}
+          />
+          
           {/* Visual boundary line at y=0 - indicates where clipping starts */}
           <Rect
             x={0}
@@ -1788,100 +2844,19 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
             listening={false}
           />
           
-          {/* Render all shapes sorted by z-index */}
-          {allShapesSorted.map((shape) => {
-            const isSelected = selectedObjectId === shape.id || multiSelection.selectedObjectIds.has(shape.id);
-            const shouldAttachRef = isSelected && selectedTool === TOOLS.RESIZE && shape.rotation;
-            
-            // Get owner's color if locked by another user
-            const ownerColor = shape.isLockedByOther && shape.lockedBy 
-              ? getUserCursorColor(shape.lockedBy) 
-              : null;
-            
-            const commonProps = {
-              fill: shape.fill,
-              stroke: shape.isLockedByOther 
-                ? ownerColor // Use owner's color for locked objects
-                : isSelected 
-                  ? (multiSelection.selectedObjectIds.size > 1 ? "#8B5CF6" : "#2563eb") // Purple for multi-select, blue for single
-                  : "#333333", // Default border
-              strokeWidth: shape.isLockedByOther || isSelected ? 3 : 1, // Thicker border for locked/selected
-              opacity: shape.isLockedByOther ? 0.8 : 1.0, // Slightly less dim for better visibility
-              rotation: shape.rotation || 0,
-              listening: false, // Disable events - handle via Stage only
-              draggable: false,
-              ...(shouldAttachRef ? { ref: selectedShapeRef } : {})
-            };
-            
-            // Render based on shape type
-            if (shape.shapeType === 'rectangle') {
-              // For rotation to work around center, set offset to center and adjust position
-              const centerX = shape.x + shape.width / 2;
-              const centerY = shape.y + shape.height / 2;
-              
-              return (
-                <Rect
-                  key={shape.id}
-                  {...commonProps}
-                  x={centerX}
-                  y={centerY}
-                  width={shape.width}
-                  height={shape.height}
-                  offsetX={shape.width / 2}
-                  offsetY={shape.height / 2}
-                />
-              );
-            } else if (shape.shapeType === 'circle') {
-              return (
-                <Circle
-                  key={shape.id}
-                  {...commonProps}
-                  x={shape.x}
-                  y={shape.y}
-                  radius={shape.radius}
-                />
-              );
-            } else if (shape.shapeType === 'star') {
-              return (
-                <Star
-                  key={shape.id}
-                  {...commonProps}
-                  x={shape.x}
-                  y={shape.y}
-                  numPoints={shape.numPoints || 5}
-                  innerRadius={shape.innerRadius || 20}
-                  outerRadius={shape.outerRadius || 40}
-                />
-              );
-            } else if (shape.shapeType === 'text') {
-              // Build font style string from formatting
-              const fontStyle = `${shape.bold ? 'bold ' : ''}${shape.italic ? 'italic ' : ''}${shape.fontSize || 24}px ${shape.fontFamily || 'Arial'}`;
-              
-              return (
-                <Text
-                  key={shape.id}
-                  {...commonProps}
-                  x={shape.x}
-                  y={shape.y}
-                  text={shape.text || 'Text'}
-                  fontSize={shape.fontSize || 24}
-                  fontFamily={shape.fontFamily || 'Arial'}
-                  fontStyle={`${shape.bold ? 'bold ' : ''}${shape.italic ? 'italic ' : 'normal'}`}
-                  textDecoration={shape.underline ? 'underline' : ''}
-                  fill={shape.fill}
-                  width={shape.width || 200}
-                  align={shape.align || 'left'}
-                  stroke={shape.isLockedByOther 
-                    ? ownerColor // Use owner's color for locked text
-                    : isSelected 
-                      ? (multiSelection.selectedObjectIds.size > 1 ? "#8B5CF6" : "#2563eb") // Purple for multi-select, blue for single
-                      : "transparent"} // No border for unselected text
-                  strokeWidth={shape.isLockedByOther || isSelected ? 1.5 : 0}
-                />
-              );
-            }
-            return null;
+          {/* Render all shapes sorted by z-index (frame children are drawn inside their frame), each with its opacity and effects */}
+          {nestShapesInFrames(allShapesSorted).map(function renderShape(shape) {
+            return (
+              <LayerEffects key={shape.id} layer={shape} stageScale={stageScale}>
+                {renderShapeContent(shape, renderShape)}
+              </LayerEffects>
+            );
           })}
+
+          {/* Render new text being typed inline */}
+          {textDraft && !textDraft.id && (
+            <RichTextShape text={textDraft} stageScale={stageScale} fontsVersion={fontsVersion} />
+          )}
           
           {/* Render resize handles for selected rectangle (RESIZE tool only, NON-ROTATED) */}
           {selectedTool === TOOLS.RESIZE && resizeSelectedId && rectangles.find(r => r.id === resizeSelectedId) && (() => {
@@ -1920,6 +2895,68 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
               />
             ));
           })()}
+
+          {/* Render corner radius handles for selected rectangle (RESIZE tool only, follows rotation) */}
+          {selectedTool === TOOLS.RESIZE && resizeSelectedId && rectangles.find(r => r.id === resizeSelectedId) && (() => {
+            const selectedRect = rectangles.find(r => r.id === resizeSelectedId);
+            const radiusHandles = !selectedRect.isLockedByOther && getCornerRadiusHandlePoints(selectedRect);
+            
+            // Rectangles too small to fit the handles clear of the resize handles get none
+            if (!radiusHandles) {
+              return null;
+            }
+            
+            return Object.entries(radiusHandles).map(([corner, point]) => (
+              <Circle
+                key={`radius-handle-${corner}`}
+                x={point.x}
+                y={point.y}
+                radius={4 / stageScale}
+                fill="#ffffff"
+                stroke="#2563eb"
+                strokeWidth={1.5 / stageScale}
+                listening={false}
+              />
+            ));
+          })()}
+          
+          {/* Render gradient handles for the selected shape's gradient fill (RESIZE tool only, follows rotation) */}
+          {selectedTool === TOOLS.RESIZE && resizeSelectedId && (() => {
+            const selectedShape = [...rectangles, ...circles, ...stars, ...polygons].find(shape => shape.id === resizeSelectedId);
+            const gradientHandles = selectedShape && !selectedShape.isLockedByOther && getGradientHandlePoints(selectedShape);
+            
+            if (!gradientHandles) {
+              return null;
+            }
+            
+            const [from, to] = gradientHandles.center
+              ? [gradientHandles.center, gradientHandles.radius]
+              : [gradientHandles.start, gradientHandles.end];
+            
+            return (
+              <>
+                <Line
+                  points={[from.x, from.y, to.x, to.y]}
+                  stroke="#2563eb"
+                  strokeWidth={1 / stageScale}
+                  dash={[4 / stageScale, 4 / stageScale]}
+                  listening={false}
+                />
+                {Object.entries(gradientHandles).map(([handle, point]) => (
+                  <Circle
+                    key={`gradient-handle-${handle}`}
+                    x={point.x}
+                    y={point.y}
+                    radius={5 / stageScale}
+                    fill={handle === 'end' || handle === 'radius' ? '#2563eb' : '#ffffff'}
+                    stroke={handle === 'end' || handle === 'radius' ? '#ffffff' : '#2563eb'}
+                    strokeWidth={1.5 / stageScale}
+                    listening={false}
+                  />
+                ))}
+              </>
+            );
+          })()}
           
           {/* Render current rectangle being drawn */}
           {currentRect && (
@@ -1936,7 +2973,7 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
           )}
 
 
-          {/* Render resize handles for selected circle (RESIZE tool only, NON-ROTATED) */}
+          {/* Render resize handles for selected circle (RESIZE tool only, follows rotation) */}
           {selectedTool === TOOLS.RESIZE && resizeSelectedId && circles.find(c => c.id === resizeSelectedId) && (() => {
             const selectedCircle = circles.find(c => c.id === resizeSelectedId);
             
@@ -1945,37 +2982,22 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
               return null;
             }
             
-            // Don't show custom handles if object has rotation (Transformer handles that)
-            if (selectedCircle.rotation && selectedCircle.rotation !== 0) {
-              return null;
-            }
-            
-            // Position handles on circle's bounding box corners
-            const handlePadding = 5;
-            const bounds = {
-              x: selectedCircle.x - selectedCircle.radius,
-              y: selectedCircle.y - selectedCircle.radius,
-              width: selectedCircle.radius * 2,
-              height: selectedCircle.radius * 2
-            };
-            
-            const handles = [
-              { name: 'nw', x: bounds.x + handlePadding, y: bounds.y + handlePadding },
-              { name: 'ne', x: bounds.x + bounds.width - HANDLE_SIZE - handlePadding, y: bounds.y + handlePadding },
-              { name: 'sw', x: bounds.x + handlePadding, y: bounds.y + bounds.height - HANDLE_SIZE - handlePadding },
-              { name: 'se', x: bounds.x + bounds.width - HANDLE_SIZE - handlePadding, y: bounds.y + bounds.height - HANDLE_SIZE - handlePadding }
-            ];
+            // Corner handles scale both axes, side handles stretch one
+            const handleSize = HANDLE_SIZE / stageScale;
             
-            return handles.map(handle => (
+            return Object.entries(getEllipseHandlePoints(selectedCircle)).map(([name, point]) => (
               <Rect
-                key={`circle-handle-${handle.name}`}
-                x={handle.x}
-                y={handle.y}
-                width={HANDLE_SIZE}
-                height={HANDLE_SIZE}
+                key={`circle-handle-${name}`}
+                x={point.x}
+                y={point.y}
+                width={handleSize}
+                height={handleSize}
+                offsetX={handleSize / 2}
+                offsetY={handleSize / 2}
+                rotation={selectedCircle.rotation || 0}
                 fill="#2563eb"
                 stroke="#ffffff"
-                strokeWidth={1}
+                strokeWidth={1 / stageScale}
                 listening={false}
               />
             ));
@@ -1983,10 +3005,10 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
 
           {/* Render current circle being drawn */}
           {currentCircle && (
-            <Circle
+            <Ellipse
               x={currentCircle.x}
               y={currentCircle.y}
-              radius={currentCircle.radius}
+              {...getEllipseRadii(currentCircle)}
               fill="#808080"
               stroke="#333333"
               strokeWidth={1}
@@ -2055,6 +3077,273 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
             />
           )}
 
+          {/* Render resize handles for selected polygon (RESIZE tool only, follows rotation) */}
+          {selectedTool === TOOLS.RESIZE && resizeSelectedId && polygons.find(p => p.id === resizeSelectedId) && (() => {
+            const selectedPolygon = polygons.find(p => p.id === resizeSelectedId);
+            
+            // Don't show handles if object is locked by another user
+            if (selectedPolygon.isLockedByOther) {
+              return null;
+            }
+            
+            const pivot = getRotationPivot(selectedPolygon);
+            const handleSize = HANDLE_SIZE / stageScale;
+            
+            return getLocalCorners(selectedPolygon).map((corner, i) => {
+              const point = rotatePoint(corner, pivot, selectedPolygon.rotation || 0);
+              return (
+                <Rect
+                  key={`polygon-handle-${i}`}
+                  x={point.x}
+                  y={point.y}
+                  width={handleSize}
+                  height={handleSize}
+                  offsetX={handleSize / 2}
+                  offsetY={handleSize / 2}
+                  rotation={selectedPolygon.rotation || 0}
+                  fill="#2563eb"
+                  stroke="#ffffff"
+                  strokeWidth={1 / stageScale}
+                  listening={false}
+                />
+              );
+            });
+          })()}
+
+          {/* Render current polygon or triangle being drawn */}
+          {currentPolygon && (
+            <RegularPolygon
+              x={currentPolygon.x}
+              y={currentPolygon.y}
+              sides={currentPolygon.sides}
+              radius={currentPolygon.radius}
+              fill="#808080"
+              stroke="#333333"
+              strokeWidth={1}
+              opacity={0.7}
+            />
+          )}
+
+          {/* Render endpoint handles for selected line (RESIZE tool only, works when rotated) */}
+          {selectedTool === TOOLS.RESIZE && resizeSelectedId && lines.find(l => l.id === resizeSelectedId) && (() => {
+            const selectedLine = lines.find(l => l.id === resizeSelectedId);
+            
+            // Don't show handles if object is locked by another user
+            if (selectedLine.isLockedByOther) {
+              return null;
+            }
+            
+            const { start, end } = getLineEndpoints(selectedLine);
+            const handleRadius = HANDLE_SIZE / 2 / stageScale;
+            
+            return [
+              { name: 'start', ...start },
+              { name: 'end', ...end }
+            ].map(handle => (
+              <Circle
+                key={`line-handle-${handle.name}`}
+                x={handle.x}
+                y={handle.y}
+                radius={handleRadius}
+                fill="#ffffff"
+                stroke="#2563eb"
+                strokeWidth={2 / stageScale}
+                listening={false}
+              />
+            ));
+          })()}
+
+          {/* Render current line/arrow being drawn */}
+          {currentLine && (
+            <LineShape
+              line={currentLine}
+              opacity={0.7}
+              stageScale={stageScale}
+            />
+          )}
+
+          {/* Render resize handles for selected path (RESIZE tool only, follows rotation) */}
+          {selectedTool === TOOLS.RESIZE && resizeSelectedId && paths.find(p => p.id === resizeSelectedId) && (() => {
+            const selectedPath = paths.find(p => p.id === resizeSelectedId);
+            
+            // Don't show handles if object is locked by another user
+            if (selectedPath.isLockedByOther) {
+              return null;
+            }
+            
+            const pivot = getRotationPivot(selectedPath);
+            const handleSize = HANDLE_SIZE / stageScale;
+            
+            return getLocalCorners(selectedPath).map((corner, i) => {
+              const point = rotatePoint(corner, pivot, selectedPath.rotation || 0);
+              return (
+                <Rect
+                  key={`path-handle-${i}`}
+                  x={point.x}
+                  y={point.y}
+                  width={handleSize}
+                  height={handleSize}
+                  offsetX={handleSize / 2}
+                  offsetY={handleSize / 2}
+                  rotation={selectedPath.rotation || 0}
+                  fill="#2563eb"
+                  stroke="#ffffff"
+                  strokeWidth={1 / stageScale}
+                  listening={false}
+                />
+              );
+            });
+          })()}
+
+          {/* Render resize handles for selected image, frame, sticky note or table (RESIZE tool only, follows rotation) */}
+          {selectedTool === TOOLS.RESIZE && resizeSelectedId && [...images, ...frames, ...stickies, ...tables].find(box => box.id === resizeSelectedId) && (() => {
+            const selectedBox = [...images, ...frames, ...stickies, ...tables].find(box => box.id === resizeSelectedId);
+            
+            // Don't show handles if object is locked by another user
+            if (selectedBox.isLockedByOther) {
+              return null;
+            }
+            
+            const pivot = getRotationPivot(selectedBox);
+            const handleSize = HANDLE_SIZE / stageScale;
+            
+            return getLocalCorners(selectedBox).map((corner, i) => {
+              const point = rotatePoint(corner, pivot, selectedBox.rotation || 0);
+              return (
+                <Rect
+                  key={`box-handle-${i}`}
+                  x={point.x}
+                  y={point.y}
+                  width={handleSize}
+                  height={handleSize}
+                  offsetX={handleSize / 2}
+                  offsetY={handleSize / 2}
+                  rotation={selectedBox.rotation || 0}
+                  fill="#2563eb"
+                  stroke="#ffffff"
+                  strokeWidth={1 / stageScale}
+                  listening={false}
+                />
+              );
+            });
+          })()}
+
+          {/* Render grips on the inner grid lines of the selected table (RESIZE tool only, drag a line to resize its column/row) */}
+          {selectedTool === TOOLS.RESIZE && resizeSelectedId && tables.find(table => table.id === resizeSelectedId) && (() => {
+            const selectedTable = tables.find(table => table.id === resizeSelectedId);
+            
+            // Don't show grips if object is locked by another user
+            if (selectedTable.isLockedByOther) {
+              return null;
+            }
+            
+            const pivot = getRotationPivot(selectedTable);
+            const toCanvas = (x, y) => rotatePoint({ x: selectedTable.x + x, y: selectedTable.y + y }, pivot, selectedTable.rotation || 0);
+            const grips = [];
+            let offset = 0;
+            getColumnWidths(selectedTable).slice(0, -1).forEach((width, i) => {
+              offset += width;
+              grips.push({ key: `column-grip-${i}`, ...toCanvas(offset, 0) });
+            });
+            offset = 0;
+            getRowHeights(selectedTable).slice(0, -1).forEach((height, i) => {
+              offset += height;
+              grips.push({ key: `row-grip-${i}`, ...toCanvas(0, offset) });
+            });
+            
+            return grips.map(grip => (
+              <Circle
+                key={grip.key}
+                x={grip.x}
+                y={grip.y}
+                radius={3.5 / stageScale}
+                fill="#ffffff"
+                stroke="#2563eb"
+                strokeWidth={1.5 / stageScale}
+                listening={false}
+              />
+            ));
+          })()}
+
+          {/* Render current pencil stroke being drawn */}
+          {currentPath && (
+            <PathShape
+              path={currentPath}
+              opacity={0.7}
+              stageScale={stageScale}
+            />
+          )}
+
+          {/* Render strokes collaborators are drawing */}
+          {remoteDraftPaths.map(draft => (
+            <PathShape
+              key={`draft-${draft.id}`}
+              path={draft}
+              opacity={0.7}
+              stageScale={stageScale}
+            />
+          ))}
+
+          {/* Render the vector path being drawn, with a rubber band from its last anchor to the cursor */}
+          {currentVectorPath && (() => {
+            const lastAnchor = currentVectorPath.anchors[currentVectorPath.anchors.length - 1];
+            return (
+              <>
+                <PathShape
+                  path={currentVectorPath}
+                  opacity={0.7}
+                  stageScale={stageScale}
+                />
+                {currentVectorPath.cursor && lastAnchor && (
+                  <Line
+                    points={[
+                      currentVectorPath.x + lastAnchor.x,
+                      currentVectorPath.y + lastAnchor.y,
+                      currentVectorPath.cursor.x,
+                      currentVectorPath.cursor.y
+                    ]}
+                    stroke="#2563eb"
+                    strokeWidth={1 / stageScale}
+                    dash={[4 / stageScale, 4 / stageScale]}
+                    listening={false}
+                  />
+                )}
+                <VectorPathEditor
+                  path={currentVectorPath}
+                  selectedAnchorIndex={selectedAnchorIndex}
+                  stageScale={stageScale}
+                />
+              </>
+            );
+          })()}
+
+          {/* Render anchors and Bézier handles of the path in point-edit mode (PEN tool only) */}
+          {selectedTool === TOOLS.PEN && editingPathId && paths.find(p => p.id === editingPathId) && (
+            <VectorPathEditor
+              path={paths.find(p => p.id === editingPathId)}
+              selectedAnchorIndex={selectedAnchorIndex}
+              stageScale={stageScale}
+            />
+          )}
+
+          {/* Render connector anchors of the shape under a line endpoint (active anchor filled) */}
+          {hoveredAnchor && bindableShapesById[hoveredAnchor.objectId] &&
+            getAnchorPoints(bindableShapesById[hoveredAnchor.objectId]).map(point => {
+              const isActive = point.anchor === hoveredAnchor.anchor;
+              return (
+                <Circle
+                  key={`anchor-${point.anchor}`}
+                  x={point.x}
+                  y={point.y}
+                  radius={(isActive ? 5 : 3.5) / stageScale}
+                  fill={isActive ? '#2563eb' : '#ffffff'}
+                  stroke="#2563eb"
+                  strokeWidth={1.5 / stageScale}
+                  listening={false}
+                />
+              );
+            })}
+
           {/* Render resize handles for selected text (RESIZE tool only, NON-ROTATED) */}
           {selectedTool === TOOLS.RESIZE && resizeSelectedId && texts.find(t => t.id === resizeSelectedId) && (() => {
             const selectedText = texts.find(t => t.id === resizeSelectedId);
@@ -2111,7 +3400,7 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
 
           {/* Render rotation handle for selected object (ROTATE tool only) */}
           {selectedTool === TOOLS.ROTATE && rotateSelectedId && (() => {
-            const selectedObj = [...rectangles, ...circles, ...stars, ...texts].find(obj => obj.id === rotateSelectedId);
+            const selectedObj = [...rectangles, ...circles, ...stars, ...polygons, ...texts, ...lines, ...paths].find(obj => obj.id === rotateSelectedId);
             
             if (!selectedObj || selectedObj.isLockedByOther) {
               return null;
@@ -2168,7 +3457,7 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
 
           {/* Konva Transformer for rotation-aware resizing */}
           {selectedTool === TOOLS.RESIZE && resizeSelectedId && (() => {
-            const selectedObj = [...rectangles, ...circles, ...stars, ...texts].find(obj => obj.id === resizeSelectedId);
+            const selectedObj = [...rectangles, ...stars, ...texts].find(obj => obj.id === resizeSelectedId);
             
             // Only show Transformer if object has rotation
             if (!selectedObj || !selectedObj.rotation || selectedObj.rotation === 0 || selectedObj.isLockedByOther) {
@@ -2232,24 +3521,6 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
                     node.scaleY(1);
                     node.width(newWidth);
                     node.height(newHeight);
-                  } else if (selectedObj.type === 'circle') {
-                    const newRadius = Math.max(5, selectedObj.radius * Math.max(scaleX, scaleY));
-                    
-                    // Update local state for immediate feedback
-                    setLocalRectUpdates(prev => ({
-                      ...prev,
-                      [resizeSelectedId]: {
-                        ...selectedObj,
-                        x: node.x(),
-                        y: node.y(),
-                        radius: newRadius,
-                        rotation: node.rotation()
-                      }
-                    }));
-                    
-                    // Reset scale
-                    node.scaleX(1);
-                    node.scaleY(1);
                   } else if (selectedObj.type === 'star') {
                     const avgScale = (scaleX + scaleY) / 2;
                     const newOuterRadius = Math.max(10, selectedObj.outerRadius * avgScale);
@@ -2320,8 +3591,6 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
                       if (finalState.type === 'rectangle') {
                         updateData.width = finalState.width;
                         updateData.height = finalState.height;
-                      } else if (finalState.type === 'circle') {
-                        updateData.radius = finalState.radius;
                       } else if (finalState.type === 'star') {
                         updateData.outerRadius = finalState.outerRadius;
                         updateData.innerRadius = finalState.innerRadius;
@@ -2366,91 +3635,103 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
             />
           )}
 
+          {/* Group outline and transform handles for a selected group */}
+          {selectedGroup && (
+            <GroupSelectionBox
+              group={selectedGroup}
+              stageScale={stageScale}
+              showResizeHandles={selectedTool === TOOLS.RESIZE}
+              showRotationHandle={selectedTool === TOOLS.ROTATE}
+            />
+          )}
+
           {/* Selection Box for drag selection */}
           <SelectionBox 
             selectionRect={multiSelection.selectionRect}
             isVisible={multiSelection.isSelecting}
             stageScale={stageScale}
           />
+
+          {/* Smart guides for the move or resize in progress */}
+          <SnapGuides guides={snapGuides} stageScale={stageScale} />
         </Layer>
         </Stage>
       </div>
       
-      {/* Text Editor Overlay */}
-      {isEditingText && textEditData && (
+      {/* Sticky note text editor (dialog) */}
+      {isEditingText && textEditData && !isEditingTextInline && (
         <TextEditor
-          position={textEditData.newTextPosition || { x: textEditData.object?.x || 0, y: textEditData.object?.y || 0 }}
+          position={textEditData.newStickyPosition || { x: textEditData.object?.x || 0, y: textEditData.object?.y || 0 }}
           initialText={textEditData.originalText || ''}
-          initialFormatting={textEditData.object || {}}
+          initialFormatting={
+            // A sticky note's fill is its color; the editor's color is the text color
+            { ...textEditData.object, fill: textEditData.object?.textColor || FUTURE_SHAPE_DEFAULTS.sticky.textColor, fontSize: textEditData.object?.fontSize || FUTURE_SHAPE_DEFAULTS.sticky.fontSize }
+          }
           onSave={async (text, formatting) => {
-            console.log('💾 Saving text:', text, formatting);
+            console.log('💾 Saving sticky note text:', text, formatting);
             
             try {
-              if (textEditData.newTextPosition) {
-                // Creating new text
-                const textTool = getToolHandler(TOOLS.TEXT);
-                const textId = await textTool.createTextObject(canvasId, textEditData.newTextPosition, text, formatting, recordAction);
-                console.log('✅ New text created:', textId);
-                
-                // Select the new text
-                setTextSelectedId(textId);
-                setSelectedObjectId(textId);
-              } else if (textEditData.object) {
-                // Editing existing text
+              pickFont(formatting.fontFamily);
+              if (textEditData.newStickyPosition) {
+                // Creating a new sticky note centered on the click
+                const stickyTool = getToolHandler(TOOLS.STICKY);
+                const center = textEditData.newStickyPosition;
+                const noteId = await stickyTool.createStickyNote(canvasId, center, text, formatting, {
+                  color: selectedColor,
+                  findParentFrameId,
+                  clampRectToCanvas,
+                  recordAction
+                });
+                console.log('✅ New sticky note created:', noteId);
+              } else if (textEditData.object?.type === 'sticky') {
+                // Editing a sticky note: the editor's color is the text color, and the note refits its text
+                const note = textEditData.object;
                 const updates = {
                   text,
-                  ...formatting
-                };
-                
-                // Capture before state for undo/redo - include all text properties that could change
-                const beforeState = {
-                  text: textEditData.object.text,
-                  bold: textEditData.object.bold,
-                  italic: textEditData.object.italic,
-                  underline: textEditData.object.underline,
-                  fontSize: textEditData.object.fontSize,
-                  fontFamily: textEditData.object.fontFamily,
-                  fill: textEditData.object.fill
+                  fontSize: formatting.fontSize,
+                  fontFamily: formatting.fontFamily,
+                  textColor: formatting.fill
                 };
+                updates.height = getStickyNoteHeight({ ...note, ...updates });
                 
                 await updateObject(
-                  textEditData.object.id, 
+                  note.id,
                   updates,
                   recordAction,
                   {
                     actionType: ACTION_TYPES.UPDATE_PROPERTIES,
-                    before: beforeState,
-                    objectType: 'Text'
+                    before: {
+                      text: note.text ?? null,
+                      fontSize: note.fontSize ?? null,
+                      fontFamily: note.fontFamily ?? null,
+                      textColor: note.textColor ?? null,
+                      height: note.height ?? null
+                    },
+                    objectType: 'Sticky Note'
                   }
                 );
-                console.log('✅ Text updated:', textEditData.object.id);
-                
-                // Unlock the text
-                await unlockObject(textEditData.object.id);
-                
-                // Keep the text selected so user can immediately use other tools (resize, rotate, etc.)
-                setTextSelectedId(textEditData.object.id);
-                setSelectedObjectId(textEditData.object.id);
+                await unlockObject(note.id);
+                setSelectedObjectId(note.id);
               }
               
               // Clear editing state
               setIsEditingText(false);
               setTextEditData(null);
             } catch (error) {
-              console.error('❌ Failed to save text:', error);
+              console.error('❌ Failed to save sticky note text:', error);
               setIsEditingText(false);
               setTextEditData(null);
             }
           }}
           onCancel={async () => {
-            console.log('❌ Text editing cancelled');
+            console.log('❌ Sticky note editing cancelled');
             
-            // If we were editing an existing text, unlock it
+            // If we were editing an existing note, unlock it
             if (textEditData.object) {
               try {
                 await unlockObject(textEditData.object.id);
               } catch (error) {
-                console.error('Failed to unlock text:', error);
+                console.error('Failed to unlock sticky note:', error);
               }
             }
             
@@ -2460,8 +3741,67 @@ const Canvas = ({ selectedTool, onToolChange, onSelectionChange, onObjectUpdate,
           }}
           stageScale={stageScale}
           stagePos={stagePos}
+          objectLabel="Sticky Note"
+          fonts={fonts}
+        />
+      )}
+
+      {/* Inline text editor, laid over the text on the canvas */}
+      {isEditingTextInline && (
+        <InlineTextEditor
+          key={textEditData.object?.id || 'new-text'}
+          text={inlineEditedText}
+          initialOffset={textEditData.caretOffset ?? null}
+          onChange={handleTextDraftChange}
+          onCommit={handleTextCommit}
+          onCancel={handleTextCancel}
+          stageScale={stageScale}
+          stagePos={stagePos}
+          fonts={fonts}
+          onPickFont={pickFont}
+          onUploadFont={uploadFont}
+        />
+      )}
+      
+      {/* Inline table cell editor */}
+      {tableCellEdit && tables.some(table => table.id === tableCellEdit.tableId &&
+        tableCellEdit.row < table.rows && tableCellEdit.column < table.columns) && (
+        <TableCellEditor
+          key={`${tableCellEdit.tableId}-${tableCellEdit.row}-${tableCellEdit.column}`}
+          table={tables.find(table => table.id === tableCellEdit.tableId)}
+          row={tableCellEdit.row}
+          column={tableCellEdit.column}
+          onCommit={handleTableCellCommit}
+          onCancel={() => setTableCellEdit(null)}
+          stageScale={stageScale}
+          stagePos={stagePos}
         />
       )}
+
+      {/* Rulers and the canvas's shared ruler guides */}
+      <CanvasRulers
+        stageRef={stageRef}
+        stagePos={stagePos}
+        stageScale={stageScale}
+        width={stageDimensions.width}
+        height={stageDimensions.height}
+        guides={guides}
+        guidesLocked={guidesLocked}
+        onAddGuide={addGuide}
+        onMoveGuide={moveGuide}
+        onRemoveGuide={removeGuide}
+        onToggleLock={setGuidesLocked}
+      />
+
+      {/* Properties inspector for the selection */}
+      <PropertiesPanel
+        objects={inspectedObjects}
+        fonts={fonts}
+        onChange={handleInspectorChange}
+        alignOptions={alignOptions}
+        onAlign={handleAlign}
+        onDistribute={handleDistribute}
+      />
     </div>
   );
 };
@@ -0,0 +1,66 @@
+import React from 'react';
+import { Shape } from 'react-konva';
+import {
+  CANVAS_WIDTH,
+  CANVAS_HEIGHT,
+  BACKGROUND_PATTERNS,
+  BACKGROUND_PATTERN_SPACING,
+  BACKGROUND_PATTERN_COLOR
+} from '../../constants/canvas.constants.js';
+
+/**
+ * CanvasBackgroundPattern - Optional grid or dot pattern over the canvas background
+ *
+ * Drawn as a single Konva shape so the pattern costs one node regardless of
+ * how many lines or dots it contains. Line and dot sizes are scale-aware so the
+ * pattern stays hairline-thin at any zoom level.
+ */
+const CanvasBackgroundPattern = ({
+  pattern = BACKGROUND_PATTERNS.NONE,
+  spacing = BACKGROUND_PATTERN_SPACING,
+  color = BACKGROUND_PATTERN_COLOR,
+  stageScale = 1
+}) => {
+  if (pattern !== BACKGROUND_PATTERNS.GRID && pattern !== BACKGROUND_PATTERNS.DOTS) {
+    return null;
+  }
+
+  const lineWidth = 1 / stageScale;
+  const dotRadius = 1.5 / stageScale;
+
+  return (
+    <Shape
+      listening={false}
+      perfectDrawEnabled={false}
+      sceneFunc={(context) => {
+        context.beginPath();
+
+        if (pattern === BACKGROUND_PATTERNS.GRID) {
+          for (let x = spacing; x < CANVAS_WIDTH; x += spacing) {
+            context.moveTo(x, 0);
+            context.lineTo(x, CANVAS_HEIGHT);
+          }
+          for (let y = spacing; y < CANVAS_HEIGHT; y += spacing) {
+            context.moveTo(0, y);
+            context.lineTo(CANVAS_WIDTH, y);
+          }
+          context.strokeStyle = color;
+          context.lineWidth = lineWidth;
+          context.stroke();
+          return;
+        }
+
+        for (let x = spacing; x < CANVAS_WIDTH; x += spacing) {
+          for (let y = spacing; y < CANVAS_HEIGHT; y += spacing) {
+            context.moveTo(x + dotRadius, y);
+            context.arc(x, y, dotRadius, 0, Math.PI * 2);
+          }
+        }
+        context.fillStyle = color;
+        context.fill();
+      }}
+    />
+  );
+};
+
+export default CanvasBackgroundPattern;
@@ -1,4 +1,6 @@
-import { Rect, Circle, Star, Line, Arc } from 'react-konva';
+import { Rect, Circle, Ellipse, Star, Line, Arc, Text } from 'react-konva';
+import { getEllipseRadii } from '../../utils/ellipseGeometry.js';
+import { SNAP_GUIDE_COLOR } from '../../constants/canvas.constants.js';
 
 /**
  * CanvasOverlays Component
@@ -128,10 +130,10 @@ const DrawingPreviews = ({ currentRect, currentCircle, currentStar }) => (
 
     {/* Current circle being drawn */}
     {currentCircle && (
-      <Circle
+      <Ellipse
         x={currentCircle.x}
         y={currentCircle.y}
-        radius={currentCircle.radius}
+        {...getEllipseRadii(currentCircle)}
         fill="#808080"
         stroke="#333333"
         strokeWidth={1}
@@ -156,4 +158,57 @@ const DrawingPreviews = ({ currentRect, currentCircle, currentStar }) => (
   </>
 );
 
+const GAP_TICK_SIZE = 4;
+const GAP_LABEL_FONT_SIZE = 11;
+
+/**
+ * SnapGuides - Pink alignment lines and equal-spacing markers
+ * Sizes are divided by the zoom level so guides stay crisp at any zoom.
+ * @param {Array<Object>} guides - Guides from snapping.js ({ points } or { points, gap })
+ * @param {number} stageScale - Current zoom level
+ */
+export const SnapGuides = ({ guides, stageScale = 1 }) => {
+  if (!guides || guides.length === 0) return null;
+
+  const strokeWidth = 1 / stageScale;
+  const tick = GAP_TICK_SIZE / stageScale;
+
+  return guides.map((guide, index) => {
+    if (guide.gap === undefined) {
+      return (
+        <Line
+          key={`snap-guide-${index}`}
+          points={guide.points}
+          stroke={SNAP_GUIDE_COLOR}
+          strokeWidth={strokeWidth}
+          listening={false}
+        />
+      );
+    }
+
+    // Spacing markers: the gap with end ticks and its size
+    const [x1, y1, x2, y2] = guide.points;
+    const isHorizontal = y1 === y2;
+    const ticks = isHorizontal
+      ? [[x1, y1 - tick, x1, y1 + tick], [x2, y2 - tick, x2, y2 + tick]]
+      : [[x1 - tick, y1, x1 + tick, y1], [x2 - tick, y2, x2 + tick, y2]];
+
+    return [
+      <Line key={`snap-gap-${index}`} points={guide.points} stroke={SNAP_GUIDE_COLOR} strokeWidth={strokeWidth} listening={false} />,
+      ...ticks.map((points, tickIndex) => (
+        <Line key={`snap-gap-${index}-tick-${tickIndex}`} points={points} stroke={SNAP_GUIDE_COLOR} strokeWidth={strokeWidth} listening={false} />
+      )),
+      <Text
+        key={`snap-gap-${index}-label`}
+        x={(x1 + x2) / 2 + (isHorizontal ? 0 : tick * 1.5)}
+        y={(y1 + y2) / 2 + (isHorizontal ? tick * 1.5 : 0)}
+        text={String(guide.gap)}
+        fontSize={GAP_LABEL_FONT_SIZE / stageScale}
+        fill={SNAP_GUIDE_COLOR}
+        listening={false}
+      />
+    ];
+  });
+};
+
 export default CanvasOverlays;
@@ -0,0 +1,254 @@
+import { useEffect, useRef, useState } from 'react';
+import {
+  CANVAS_WIDTH,
+  CANVAS_HEIGHT,
+  GUIDE_AXES,
+  GUIDE_COLOR,
+  RULER_SIZE
+} from '../../constants/canvas.constants.js';
+import { CANVAS_TOP_OFFSET, Z_INDEX } from '../../constants/layout.constants.js';
+import { getRulerTicks } from '../../utils/rulers.js';
+
+const RULER_BACKGROUND = '#f8f9fa';
+const RULER_BORDER = '#d1d5db';
+const RULER_TICK_COLOR = '#9ca3af';
+const RULER_LABEL_COLOR = '#6b7280';
+const GUIDE_HIT_SIZE = 7; // Screen pixels around a guide that pick it up
+
+/**
+ * Draw one ruler's ticks and labels
+ * @param {HTMLCanvasElement} canvas - Ruler canvas
+ * @param {boolean} horizontal - Top ruler (x coordinates) or left ruler (y coordinates)
+ * @param {number} offset - Ruler pixel where canvas coordinate 0 sits
+ * @param {number} scale - Stage zoom level
+ */
+const drawRuler = (canvas, horizontal, offset, scale) => {
+  const context = canvas?.getContext?.('2d');
+  if (!context) return;
+
+  const length = horizontal ? canvas.clientWidth : canvas.clientHeight;
+  const pixelRatio = window.devicePixelRatio || 1;
+  canvas.width = (horizontal ? length : RULER_SIZE) * pixelRatio;
+  canvas.height = (horizontal ? RULER_SIZE : length) * pixelRatio;
+  context.scale(pixelRatio, pixelRatio);
+
+  context.fillStyle = RULER_BACKGROUND;
+  context.fillRect(0, 0, horizontal ? length : RULER_SIZE, horizontal ? RULER_SIZE : length);
+  context.strokeStyle = RULER_TICK_COLOR;
+  context.fillStyle = RULER_LABEL_COLOR;
+  context.font = '9px sans-serif';
+  context.lineWidth = 1;
+
+  const { ticks } = getRulerTicks(-offset / scale, (length - offset) / scale, scale);
+  context.beginPath();
+  ticks.forEach(({ value, labelled }) => {
+    // Half-pixel offset keeps 1px ticks crisp
+    const at = Math.round(offset + value * scale) + 0.5;
+    const tickLength = labelled ? RULER_SIZE * 0.6 : RULER_SIZE * 0.25;
+    if (horizontal) {
+      context.moveTo(at, RULER_SIZE);
+      context.lineTo(at, RULER_SIZE - tickLength);
+    } else {
+      context.moveTo(RULER_SIZE, at);
+      context.lineTo(RULER_SIZE - tickLength, at);
+    }
+    if (!labelled) return;
+
+    const label = String(Math.round(value));
+    if (horizontal) {
+      context.fillText(label, at + 2, 9);
+    } else {
+      context.save();
+      context.translate(9, at - 2);
+      context.rotate(-Math.PI / 2);
+      context.fillText(label, 0, 0);
+      context.restore();
+    }
+  });
+  context.stroke();
+};
+
+/**
+ * CanvasRulers - Rulers along the top and left of the canvas, plus ruler guides
+ *
+ * The rulers follow the viewport's pan and zoom. Dragging from the top ruler
+ * places a horizontal guide and from the left ruler a vertical one; guides can
+ * be dragged to move them, or back onto a ruler (or off the canvas) to remove
+ * them. Guides are saved on the canvas, so collaborators see the same guides,
+ * and the corner button locks them against moving and removal.
+ */
+const CanvasRulers = ({
+  stageRef,
+  stagePos,
+  stageScale,
+  width,
+  height,
+  guides = [],
+  guidesLocked = false,
+  onAddGuide,
+  onMoveGuide,
+  onRemoveGuide,
+  onToggleLock
+}) => {
+  const topRulerRef = useRef(null);
+  const leftRulerRef = useRef(null);
+  const [drag, setDrag] = useState(null); // { guideId, axis, position, overRuler }
+
+  // Screen position of the stage's top-left corner (the stage sits below the toolbar)
+  const containerRect = stageRef.current?.container().getBoundingClientRect();
+  const originX = (containerRect?.left ?? 0) + stagePos.x;
+  const originY = (containerRect?.top ?? CANVAS_TOP_OFFSET) + stagePos.y;
+
+  const toScreen = (axis, position) => (axis === GUIDE_AXES.X ? originX : originY) + position * stageScale;
+  const toCanvas = (axis, client) => Math.round((client - (axis === GUIDE_AXES.X ? originX : originY)) / stageScale);
+
+  useEffect(() => {
+    drawRuler(topRulerRef.current, true, originX, stageScale);
+    drawRuler(leftRulerRef.current, false, originY - CANVAS_TOP_OFFSET, stageScale);
+  }, [originX, originY, stageScale, width, height]);
+
+  // Latest drag and coordinate mapping for the window listeners below
+  const dragRef = useRef(null);
+  dragRef.current = { drag, toCanvas, onAddGuide, onMoveGuide, onRemoveGuide };
+  const isDragging = drag !== null;
+
+  useEffect(() => {
+    if (!isDragging) return;
+
+    const getDragUpdate = (e) => {
+      const { drag: current, toCanvas: mapToCanvas } = dragRef.current;
+      const isX = current.axis === GUIDE_AXES.X;
+      const position = mapToCanvas(current.axis, isX ? e.clientX : e.clientY);
+      const limit = isX ? CANVAS_WIDTH : CANVAS_HEIGHT;
+      // Dropping a guide on its ruler or off the canvas removes it
+      const overRuler = isX ? e.clientX < RULER_SIZE : e.clientY < CANVAS_TOP_OFFSET + RULER_SIZE;
+      return { ...current, position, overRuler: overRuler || position < 0 || position > limit };
+    };
+
+    const handleMouseMove = (e) => setDrag(getDragUpdate(e));
+    const handleMouseUp = (e) => {
+      const { guideId, axis, position, overRuler } = getDragUpdate(e);
+      const { onAddGuide: add, onMoveGuide: move, onRemoveGuide: remove } = dragRef.current;
+      if (overRuler) {
+        if (guideId) remove?.(guideId);
+      } else if (guideId) {
+        move?.(guideId, { axis, position });
+      } else {
+        add?.({ axis, position });
+      }
+      setDrag(null);
+    };
+
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+    };
+  }, [isDragging]);
+
+  const startDrag = (e, guide) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const isX = guide.axis === GUIDE_AXES.X;
+    setDrag({ ...guide, position: toCanvas(guide.axis, isX ? e.clientX : e.clientY), overRuler: true });
+  };
+
+  // The guide being dragged is drawn at the pointer (and hidden over a ruler)
+  const shownGuides = guides.filter(guide => guide.id !== drag?.guideId).map(guide => ({ ...guide, guideId: guide.id }));
+  if (drag && !drag.overRuler) shownGuides.push(drag);
+
+  const renderGuide = (guide) => {
+    const isX = guide.axis === GUIDE_AXES.X;
+    const at = toScreen(guide.axis, guide.position);
+    if (at < (isX ? RULER_SIZE : CANVAS_TOP_OFFSET + RULER_SIZE) || at > (isX ? width : CANVAS_TOP_OFFSET + height)) {
+      return null;
+    }
+    const isDragged = drag && guide === drag;
+
+    return (
+      <div
+        key={guide.guideId || 'new-guide'}
+        onMouseDown={(e) => !guidesLocked && startDrag(e, { guideId: guide.guideId, axis: guide.axis })}
+        title={guidesLocked ? undefined : `${isX ? 'x' : 'y'}: ${guide.position} - drag onto the ruler to remove`}
+        style={{
+          position: 'fixed',
+          zIndex: Z_INDEX.RULERS,
+          pointerEvents: guidesLocked || isDragged ? 'none' : 'auto',
+          cursor: isX ? 'ew-resize' : 'ns-resize',
+          display: 'flex',
+          justifyContent: 'center',
+          alignItems: 'center',
+          flexDirection: isX ? 'row' : 'column',
+          ...(isX
+            ? { left: at - GUIDE_HIT_SIZE / 2, width: GUIDE_HIT_SIZE, top: CANVAS_TOP_OFFSET + RULER_SIZE, bottom: 0 }
+            : { top: at - GUIDE_HIT_SIZE / 2, height: GUIDE_HIT_SIZE, left: RULER_SIZE, right: 0 })
+        }}
+      >
+        <div style={{ background: GUIDE_COLOR, opacity: guidesLocked ? 0.6 : 1, ...(isX ? { width: 1, height: '100%' } : { height: 1, width: '100%' }) }} />
+        {isDragged && (
+          <span style={{
+            position: 'absolute',
+            ...(isX ? { top: 4, left: GUIDE_HIT_SIZE } : { left: 4, top: GUIDE_HIT_SIZE }),
+            padding: '1px 4px',
+            borderRadius: 2,
+            background: GUIDE_COLOR,
+            color: '#ffffff',
+            fontSize: 10,
+            fontFamily: 'sans-serif'
+          }}>
+            {guide.position}
+          </span>
+        )}
+      </div>
+    );
+  };
+
+  const rulerStyle = {
+    position: 'fixed',
+    zIndex: Z_INDEX.RULERS,
+    background: RULER_BACKGROUND,
+    boxSizing: 'border-box'
+  };
+
+  return (
+    <>
+      {shownGuides.map(renderGuide)}
+      <canvas
+        ref={topRulerRef}
+        onMouseDown={(e) => startDrag(e, { guideId: null, axis: GUIDE_AXES.Y })}
+        title="Drag to add a horizontal guide"
+        style={{ ...rulerStyle, top: CANVAS_TOP_OFFSET, left: RULER_SIZE, width: width - RULER_SIZE, height: RULER_SIZE, borderBottom: `1px solid ${RULER_BORDER}`, cursor: 'ns-resize' }}
+      />
+      <canvas
+        ref={leftRulerRef}
+        onMouseDown={(e) => startDrag(e, { guideId: null, axis: GUIDE_AXES.X })}
+        title="Drag to add a vertical guide"
+        style={{ ...rulerStyle, top: CANVAS_TOP_OFFSET + RULER_SIZE, left: 0, width: RULER_SIZE, height: height - RULER_SIZE, borderRight: `1px solid ${RULER_BORDER}`, cursor: 'ew-resize' }}
+      />
+      <button
+        type="button"
+        onClick={() => onToggleLock?.(!guidesLocked)}
+        title={guidesLocked ? 'Unlock guides' : 'Lock guides'}
+        style={{
+          ...rulerStyle,
+          top: CANVAS_TOP_OFFSET,
+          left: 0,
+          width: RULER_SIZE,
+          height: RULER_SIZE,
+          padding: 0,
+          border: 'none',
+          borderRight: `1px solid ${RULER_BORDER}`,
+          borderBottom: `1px solid ${RULER_BORDER}`,
+          fontSize: 10,
+          lineHeight: 1,
+          cursor: 'pointer'
+        }}
+      >
+        {guidesLocked ? '🔒' : '🔓'}
+      </button>
+    </>
+  );
+};
+
+export default CanvasRulers;
@@ -1,10 +1,20 @@
-import { Rect, Circle, Star, Text, Line, Arc } from 'react-konva';
 import { getUserCursorColor } from '../../services/presence.service.js';
+import PathShape from './PathShape.jsx';
+import ImageShape from './ImageShape.jsx';
+import FrameShape from './FrameShape.jsx';
+import StickyNoteShape from './StickyNoteShape.jsx';
+import TableShape from './TableShape.jsx';
+import RichTextShape from './RichTextShape.jsx';
+import BasicShape from './BasicShape.jsx';
+import LayerEffects from './LayerEffects.jsx';
+import { nestShapesInFrames } from '../../utils/frameUtils.js';
 
 /**
  * CanvasShapes Component
  * 
  * Renders all shapes on the canvas with proper z-index sorting and selection highlighting.
+ * Frame children are rendered inside their frame, clipped to it.
+ * Layer opacity and effects (shadows, blur) are drawn by LayerEffects.
  * Extracted from Canvas.jsx to reduce complexity and improve maintainability.
  */
 
@@ -16,7 +26,14 @@ const CanvasShapes = ({
   selectedTool,
   TOOLS 
 }) => {
-  const renderShape = (shape) => {
+  // Every object is drawn with its layer opacity and effects
+  const renderShape = (shape) => (
+    <LayerEffects key={shape.id} layer={shape}>
+      {renderShapeContent(shape)}
+    </LayerEffects>
+  );
+
+  const renderShapeContent = (shape) => {
     const isSelected = selectedObjectId === shape.id || multiSelection.selectedObjectIds.has(shape.id);
     const shouldAttachRef = isSelected && selectedTool === TOOLS.RESIZE && shape.rotation;
     
@@ -25,34 +42,91 @@ const CanvasShapes = ({
       ? getUserCursorColor(shape.lockedBy) 
       : null;
     
+    // Selection/lock state is an outline around the object, never its own stroke
+    const highlightColor = shape.isLockedByOther
+      ? ownerColor // Use owner's color for locked objects
+      : isSelected
+        ? (multiSelection.selectedObjectIds.size > 1 ? "#8B5CF6" : "#2563eb") // Purple for multi-select, blue for single
+        : null;
+
     const commonProps = {
-      fill: shape.fill,
-      stroke: shape.isLockedByOther 
-        ? ownerColor // Use owner's color for locked objects
-        : isSelected 
-          ? (multiSelection.selectedObjectIds.size > 1 ? "#8B5CF6" : "#2563eb") // Purple for multi-select, blue for single
-          : "#333333", // Default border
-      strokeWidth: shape.isLockedByOther || isSelected ? 3 : 1, // Thicker border for locked/selected
       opacity: shape.isLockedByOther ? 0.8 : 1.0, // Slightly less dim for better visibility
-      rotation: shape.rotation || 0,
-      listening: false, // Disable events - handle via Stage only
-      draggable: false,
       ...(shouldAttachRef ? { ref: selectedShapeRef } : {})
     };
     
     // Render based on shape type
     switch (shape.shapeType) {
       case 'rectangle':
-        return <CanvasRectangle key={shape.id} shape={shape} commonProps={commonProps} />;
-        
       case 'circle':
-        return <CanvasCircle key={shape.id} shape={shape} commonProps={commonProps} />;
-        
       case 'star':
-        return <CanvasStar key={shape.id} shape={shape} commonProps={commonProps} />;
+      case 'polygon':
+        return <BasicShape key={shape.id} {...commonProps} shape={shape} highlightColor={highlightColor} />;
         
       case 'text':
-        return <CanvasText key={shape.id} shape={shape} commonProps={commonProps} multiSelection={multiSelection} />;
+        return (
+          <RichTextShape
+            key={shape.id}
+            ref={commonProps.ref}
+            text={shape}
+            highlightColor={highlightColor}
+            opacity={commonProps.opacity}
+          />
+        );
+        
+      case 'path':
+        // Stroke is the path's own color, so selection is drawn as a halo
+        return (
+          <PathShape
+            key={shape.id}
+            path={shape}
+            highlightColor={highlightColor}
+            opacity={commonProps.opacity}
+          />
+        );
+        
+      case 'image':
+        // Images have no stroke, so selection is drawn as an outline
+        return (
+          <ImageShape
+            key={shape.id}
+            image={shape}
+            highlightColor={highlightColor}
+            opacity={commonProps.opacity}
+          />
+        );
+        
+      case 'frame':
+        return (
+          <FrameShape
+            key={shape.id}
+            frame={shape}
+            highlightColor={highlightColor}
+            opacity={commonProps.opacity}
+          >
+            {shape.frameChildren.map(renderShape)}
+          </FrameShape>
+        );
+        
+      case 'sticky':
+        // Notes have no stroke of their own, so selection is drawn as an outline
+        return (
+          <StickyNoteShape
+            key={shape.id}
+            note={shape}
+            highlightColor={highlightColor}
+            opacity={commonProps.opacity}
+          />
+        );
+        
+      case 'table':
+        return (
+          <TableShape
+            key={shape.id}
+            table={shape}
+            highlightColor={highlightColor}
+            opacity={commonProps.opacity}
+          />
+        );
         
       default:
         return null;
@@ -61,80 +135,9 @@ const CanvasShapes = ({
 
   return (
     <>
-      {shapes.map(renderShape)}
+      {nestShapesInFrames(shapes).map(renderShape)}
     </>
   );
 };
 
-/**
- * Individual shape components for better organization
- */
-const CanvasRectangle = ({ shape, commonProps }) => {
-  // For rotation to work around center, set offset to center and adjust position
-  const centerX = shape.x + shape.width / 2;
-  const centerY = shape.y + shape.height / 2;
-  
-  return (
-    <Rect
-      {...commonProps}
-      x={centerX}
-      y={centerY}
-      width={shape.width}
-      height={shape.height}
-      offsetX={shape.width / 2}
-      offsetY={shape.height / 2}
-    />
-  );
-};
-
-const CanvasCircle = ({ shape, commonProps }) => (
-  <Circle
-    {...commonProps}
-    x={shape.x}
-    y={shape.y}
-    radius={shape.radius}
-  />
-);
-
-const CanvasStar = ({ shape, commonProps }) => (
-  <Star
-    {...commonProps}
-    x={shape.x}
-    y={shape.y}
-    numPoints={shape.numPoints || 5}
-    innerRadius={shape.innerRadius || 20}
-    outerRadius={shape.outerRadius || 40}
-  />
-);
-
-const CanvasText = ({ shape, commonProps, multiSelection }) => {
-  const ownerColor = shape.isLockedByOther && shape.lockedBy 
-    ? getUserCursorColor(shape.lockedBy) 
-    : null;
-    
-  const isSelected = multiSelection.selectedObjectIds.has(shape.id);
-
-  return (
-    <Text
-      {...commonProps}
-      x={shape.x}
-      y={shape.y}
-      text={shape.text || 'Text'}
-      fontSize={shape.fontSize || 24}
-      fontFamily={shape.fontFamily || 'Arial'}
-      fontStyle={`${shape.bold ? 'bold ' : ''}${shape.italic ? 'italic ' : 'normal'}`}
-      textDecoration={shape.underline ? 'underline' : ''}
-      fill={shape.fill}
-      width={shape.width || 200}
-      align={shape.align || 'left'}
-      stroke={shape.isLockedByOther 
-        ? ownerColor // Use owner's color for locked text
-        : isSelected 
-          ? (multiSelection.selectedObjectIds.size > 1 ? "#8B5CF6" : "#2563eb") // Purple for multi-select, blue for single
-          : "transparent"} // No border for unselected text
-      strokeWidth={shape.isLockedByOther || isSelected ? 1.5 : 0}
-    />
-  );
-};
-
 export default CanvasShapes;
@@ -0,0 +1,163 @@
+import { useState } from 'react';
+import { Box, Button, Divider, Typography, Popover } from '@mui/material';
+import ColorPicker from '../common/ColorPicker.jsx';
+import NumberInput from '../common/NumberInput.jsx';
+import { FUTURE_SHAPE_DEFAULTS } from '../../constants/canvas.constants.js';
+import { EFFECT_TYPES, createEffect } from '../../utils/effects.js';
+
+const compactButtonSx = { minWidth: 20, height: 20, px: 0.5, py: 0, fontSize: '0.75rem' };
+
+const EFFECT_LABELS = {
+  [EFFECT_TYPES.DROP_SHADOW]: 'Drop shadow',
+  [EFFECT_TYPES.INNER_SHADOW]: 'Inner shadow',
+  [EFFECT_TYPES.LAYER_BLUR]: 'Layer blur'
+};
+
+const { maxEffects, maxBlur, maxSpread, maxOffset } = FUTURE_SHAPE_DEFAULTS.effects;
+
+/**
+ * EffectFields - Settings of one effect in the stack
+ */
+const EffectFields = ({ effect, onChange }) => {
+  const field = (key, label, min, max, scale = 1) => (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.25 }}>
+      <Typography variant="caption" color="grey.600">{label}</Typography>
+      <NumberInput
+        key={`${key}-${effect[key]}`}
+        value={effect[key]}
+        min={min}
+        max={max}
+        scale={scale}
+        title={label}
+        onCommit={(value) => onChange({ ...effect, [key]: scale === 1 ? Math.round(value) : value })}
+      />
+    </Box>
+  );
+
+  if (effect.type === EFFECT_TYPES.LAYER_BLUR) {
+    return field('radius', 'Blur', 0, maxBlur);
+  }
+
+  return (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 0.75 }}>
+      <ColorPicker value={effect.color} gradients={false} onChange={(color) => onChange({ ...effect, color })} />
+      {field('opacity', '%', 0, 1, 100)}
+      {field('offsetX', 'X', -maxOffset, maxOffset)}
+      {field('offsetY', 'Y', -maxOffset, maxOffset)}
+      {field('blur', 'Blur', 0, maxBlur)}
+      {field('spread', 'Spread', -maxSpread, maxSpread)}
+    </Box>
+  );
+};
+
+/**
+ * EffectsPanel - Layer opacity and effects stack of the selected object
+ *
+ * Opens from an "fx" button: opacity for the whole layer, then each effect
+ * (drop shadow, inner shadow, layer blur) with its settings, a visibility
+ * toggle and a remove button. Every change is saved as one property update.
+ *
+ * @param {Object} object - Selected canvas object
+ * @param {Function} onChange - Called with property updates ({ opacity } or { effects })
+ */
+const EffectsPanel = ({ object, onChange }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const effects = object.effects || [];
+  const opacity = object.opacity ?? 1;
+  const isActive = opacity < 1 || effects.some(effect => effect.visible !== false);
+
+  const updateEffect = (index, effect) => {
+    onChange({ effects: effects.map((current, i) => (i === index ? effect : current)) });
+  };
+
+  return (
+    <>
+      <Button
+        onClick={(event) => setAnchorEl(event.currentTarget)}
+        variant={isActive ? 'contained' : 'outlined'}
+        size="small"
+        title="Opacity and effects"
+        sx={{ ...compactButtonSx, fontStyle: 'italic' }}
+      >
+        fx
+      </Button>
+      <Popover
+        open={Boolean(anchorEl)}
+        anchorEl={anchorEl}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'center' }}
+        sx={{ mt: 1 }}
+      >
+        <Box sx={{ p: 1, display: 'flex', flexDirection: 'column', gap: 1, width: 280 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+            <Typography variant="caption" fontWeight={500}>Opacity</Typography>
+            <NumberInput
+              key={`opacity-${opacity}`}
+              value={opacity}
+              min={0}
+              max={1}
+              scale={100}
+              title="Layer opacity (%)"
+              onCommit={(value) => onChange({ opacity: value })}
+            />
+            <Typography variant="caption" color="grey.600">%</Typography>
+          </Box>
+
+          {effects.map((effect, index) => (
+            <Box key={index} sx={{ display: 'flex', flexDirection: 'column', gap: 0.5 }}>
+              <Divider />
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                <Typography
+                  variant="caption"
+                  fontWeight={500}
+                  color={effect.visible === false ? 'grey.500' : 'text.primary'}
+                  sx={{ flex: 1 }}
+                >
+                  {EFFECT_LABELS[effect.type] || effect.type}
+                </Typography>
+                <Button
+                  onClick={() => updateEffect(index, { ...effect, visible: effect.visible === false })}
+                  variant={effect.visible === false ? 'outlined' : 'contained'}
+                  size="small"
+                  title={effect.visible === false ? 'Show effect' : 'Hide effect'}
+                  sx={compactButtonSx}
+                >
+                  👁
+                </Button>
+                <Button
+                  onClick={() => onChange({ effects: effects.filter((_, i) => i !== index) })}
+                  variant="outlined"
+                  size="small"
+                  title="Remove effect"
+                  sx={compactButtonSx}
+                >
+                  ×
+                </Button>
+              </Box>
+              <EffectFields effect={effect} onChange={(updated) => updateEffect(index, updated)} />
+            </Box>
+          ))}
+
+          <Divider />
+          <Box sx={{ display: 'flex', gap: 0.5 }}>
+            {Object.values(EFFECT_TYPES).map(type => (
+              <Button
+                key={type}
+                onClick={() => onChange({ effects: [...effects, createEffect(type)] })}
+                disabled={effects.length >= maxEffects}
+                variant="outlined"
+                size="small"
+                sx={{ ...compactButtonSx, flex: 1 }}
+              >
+                + {EFFECT_LABELS[type]}
+              </Button>
+            ))}
+          </Box>
+        </Box>
+      </Popover>
+    </>
+  );
+};
+
+export default EffectsPanel;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { Group, Rect, Text } from 'react-konva';
+import { FUTURE_SHAPE_DEFAULTS } from '../../constants/canvas.constants.js';
+import { getFrameClipPoints, getFrameNodeId } from '../../utils/frameUtils.js';
+
+const { stroke: FRAME_STROKE, labelFontSize } = FUTURE_SHAPE_DEFAULTS.frame;
+
+/**
+ * FrameShape - Renders a frame with its children
+ *
+ * Frames are stored by the top-left of their box and rotate around the box
+ * center like rectangles. Children are stored in canvas coordinates, so they
+ * are drawn untransformed inside a group clipped to the frame's rotated outline
+ * (unless clipContent is false).
+ *
+ * The background and children are grouped under getFrameNodeId(frame.id) so the
+ * frame can be exported on its own; the name label, border and selection
+ * outline are drawn outside that group.
+ */
+const FrameShape = ({ frame, highlightColor = null, opacity = 1, stageScale = 1, children }) => {
+  const width = frame.width || 0;
+  const height = frame.height || 0;
+  const clipPoints = frame.clipContent === false ? null : getFrameClipPoints(frame);
+
+  // Box transform shared by the background, label and outline
+  const boxProps = {
+    x: (frame.x || 0) + width / 2,
+    y: (frame.y || 0) + height / 2,
+    offsetX: width / 2,
+    offsetY: height / 2,
+    rotation: frame.rotation || 0,
+    listening: false
+  };
+
+  const clipFunc = clipPoints
+    ? (ctx) => {
+        ctx.beginPath();
+        clipPoints.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+        ctx.closePath();
+      }
+    : undefined;
+
+  return (
+    <Group opacity={opacity} listening={false}>
+      <Group id={getFrameNodeId(frame.id)} listening={false}>
+        <Group {...boxProps}>
+          <Rect width={width} height={height} fill={frame.fill || FUTURE_SHAPE_DEFAULTS.frame.fill} listening={false} />
+        </Group>
+        <Group clipFunc={clipFunc} listening={false}>
+          {children}
+        </Group>
+      </Group>
+
+      <Group {...boxProps}>
+        {/* Border, or the selection / ownership outline */}
+        <Rect
+          width={width}
+          height={height}
+          stroke={highlightColor || FRAME_STROKE}
+          strokeWidth={(highlightColor ? 2 : 1) / stageScale}
+          listening={false}
+        />
+
+        {/* Name label above the top-left corner, the same size at every zoom */}
+        <Text
+          y={-(labelFontSize * 1.5) / stageScale}
+          text={frame.name || 'Frame'}
+          fontSize={labelFontSize / stageScale}
+          fill={highlightColor || '#6b7280'}
+          listening={false}
+        />
+      </Group>
+    </Group>
+  );
+};
+
+export default FrameShape;
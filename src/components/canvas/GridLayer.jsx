@@ -0,0 +1,64 @@
+import React from 'react';
+import { Shape } from 'react-konva';
+import {
+  CANVAS_WIDTH,
+  CANVAS_HEIGHT,
+  GRID_COLOR,
+  GRID_SUBDIVISION_COLOR
+} from '../../constants/canvas.constants.js';
+import { getVisibleGridLines } from '../../utils/gridSnap.js';
+
+/**
+ * GridLayer - The canvas's layout grid, drawn over the background
+ *
+ * Only the lines inside the viewport are drawn, as one Konva shape, so the
+ * grid costs the same at any canvas size. Subdivision lines are lighter than
+ * the main lines and drop out as the view zooms out (see getVisibleGridLines).
+ */
+const GridLayer = ({ grid, stagePos, stageScale = 1, width, height }) => {
+  if (!grid?.visible) {
+    return null;
+  }
+
+  const viewport = {
+    x: -stagePos.x / stageScale,
+    y: -stagePos.y / stageScale,
+    width: width / stageScale,
+    height: height / stageScale
+  };
+  const { major, minor } = getVisibleGridLines(viewport, grid, stageScale);
+  // Lines span the visible part of the canvas only
+  const top = Math.max(viewport.y, 0);
+  const left = Math.max(viewport.x, 0);
+  const bottom = Math.min(viewport.y + viewport.height, CANVAS_HEIGHT);
+  const right = Math.min(viewport.x + viewport.width, CANVAS_WIDTH);
+
+  const strokeLines = (context, { xs, ys }, color) => {
+    if (xs.length === 0 && ys.length === 0) return;
+    context.beginPath();
+    xs.forEach(x => {
+      context.moveTo(x, top);
+      context.lineTo(x, bottom);
+    });
+    ys.forEach(y => {
+      context.moveTo(left, y);
+      context.lineTo(right, y);
+    });
+    context.strokeStyle = color;
+    context.lineWidth = 1 / stageScale;
+    context.stroke();
+  };
+
+  return (
+    <Shape
+      listening={false}
+      perfectDrawEnabled={false}
+      sceneFunc={(context) => {
+        strokeLines(context, minor, GRID_SUBDIVISION_COLOR);
+        strokeLines(context, major, GRID_COLOR);
+      }}
+    />
+  );
+};
+
+export default GridLayer;
@@ -0,0 +1,122 @@
+import React from 'react';
+import { Rect, Line, Circle, Arc, Text } from 'react-konva';
+
+/**
+ * GroupSelectionBox - Selection chrome for a selected group
+ *
+ * Renders a dashed outline around the group's combined bounding box with the
+ * group name above it. Shows corner handles with the RESIZE tool and a
+ * rotation handle with the ROTATE tool, matching the positions the tools use
+ * for hit detection.
+ *
+ * Visual Design:
+ * - Border: dashed #2563eb (blue), scale-aware thickness
+ * - Label: group name, 12px at any zoom level
+ */
+const GroupSelectionBox = ({
+  group,
+  stageScale = 1,
+  showResizeHandles = false,
+  showRotationHandle = false
+}) => {
+  if (!group || !group.bounds) {
+    return null;
+  }
+
+  const { x, y, width, height } = group.bounds;
+
+  // Scale-aware styling - maintain consistent visual size at all zoom levels
+  const strokeWidth = Math.max(1, 2 / stageScale);
+  const dashLength = Math.max(4, 8 / stageScale);
+  const handleSize = 8 / stageScale;
+  const labelSize = 12 / stageScale;
+
+  // Must match RotateTool.getGroupRotationHandlePosition
+  const ROTATION_HANDLE_OFFSET = 30;
+  const ROTATION_HANDLE_RADIUS = 12;
+  const handleX = x + width / 2;
+  const handleY = y - ROTATION_HANDLE_OFFSET;
+
+  const corners = [
+    { key: 'nw', x, y },
+    { key: 'ne', x: x + width, y },
+    { key: 'sw', x, y: y + height },
+    { key: 'se', x: x + width, y: y + height }
+  ];
+
+  return (
+    <>
+      {/* Group bounding box (dashed blue) */}
+      <Rect
+        x={x}
+        y={y}
+        width={width}
+        height={height}
+        stroke="#2563eb"
+        strokeWidth={strokeWidth}
+        dash={[dashLength, dashLength / 2]}
+        listening={false}
+        perfectDrawEnabled={false}
+      />
+
+      {/* Group name label */}
+      <Text
+        x={x}
+        y={y - labelSize * 1.5}
+        text={group.groupName || 'Group'}
+        fontSize={labelSize}
+        fill="#2563eb"
+        listening={false}
+      />
+
+      {/* Corner handles (RESIZE tool only) */}
+      {showResizeHandles && corners.map(corner => (
+        <Rect
+          key={`group-handle-${corner.key}`}
+          x={corner.x - handleSize / 2}
+          y={corner.y - handleSize / 2}
+          width={handleSize}
+          height={handleSize}
+          fill="#ffffff"
+          stroke="#2563eb"
+          strokeWidth={strokeWidth}
+          listening={false}
+        />
+      ))}
+
+      {/* Rotation handle (ROTATE tool only) */}
+      {showRotationHandle && (
+        <>
+          <Line
+            points={[handleX, y, handleX, handleY]}
+            stroke="#2563eb"
+            strokeWidth={2}
+            dash={[5, 5]}
+            listening={false}
+          />
+          <Circle
+            x={handleX}
+            y={handleY}
+            radius={ROTATION_HANDLE_RADIUS}
+            fill="#2563eb"
+            stroke="#ffffff"
+            strokeWidth={2}
+            listening={false}
+          />
+          <Arc
+            x={handleX}
+            y={handleY}
+            innerRadius={ROTATION_HANDLE_RADIUS - 6}
+            outerRadius={ROTATION_HANDLE_RADIUS - 4}
+            angle={270}
+            rotation={45}
+            fill="#ffffff"
+            listening={false}
+          />
+        </>
+      )}
+    </>
+  );
+};
+
+export default GroupSelectionBox;
@@ -0,0 +1,102 @@
+import React, { useEffect, useLayoutEffect, useState } from 'react';
+import { Group, Image, Rect } from 'react-konva';
+import { getImageCrop } from '../../utils/imageGeometry.js';
+import { useLayerEffectsRefresh } from '../../hooks/useLayerEffectsRefresh.js';
+
+/**
+ * Load an image URL into an HTMLImageElement for Konva
+ * @param {string} src - Image URL (Storage download URL)
+ * @returns {Object} { image, status } where status is 'loading', 'loaded' or 'failed'
+ */
+const useLoadedImage = (src) => {
+  const [state, setState] = useState({ src: null, image: null, status: 'loading' });
+
+  useEffect(() => {
+    if (!src) return undefined;
+
+    let cancelled = false;
+    const img = new window.Image();
+    img.onload = () => !cancelled && setState({ src, image: img, status: 'loaded' });
+    img.onerror = () => !cancelled && setState({ src, image: null, status: 'failed' });
+    img.src = src;
+
+    return () => {
+      cancelled = true;
+      img.onload = null;
+      img.onerror = null;
+    };
+  }, [src]);
+
+  // Ignore results for a previous src until the new one has loaded
+  return state.src === src ? state : { image: null, status: src ? 'loading' : 'failed' };
+};
+
+/**
+ * ImageShape - Renders an uploaded image
+ *
+ * Images are stored by the top-left of their box and rotate around the box
+ * center like rectangles. Only the crop region of the file (in natural pixels)
+ * is drawn, stretched to the box. While the file loads (or if it cannot be
+ * loaded) a placeholder box is drawn instead.
+ *
+ * Images have no stroke of their own, so selection/lock state is an outline.
+ * The image's own opacity is a layer opacity (see LayerEffects).
+ */
+const ImageShape = ({ image, highlightColor = null, opacity = 1, stageScale = 1 }) => {
+  const { image: element, status } = useLoadedImage(image.src);
+  const refreshEffects = useLayerEffectsRefresh();
+
+  // Shadows and blur are drawn from a snapshot, so take a new one once the file has loaded
+  useLayoutEffect(() => {
+    refreshEffects?.();
+  }, [element, refreshEffects]);
+  const width = image.width || 0;
+  const height = image.height || 0;
+
+  return (
+    <Group
+      x={(image.x || 0) + width / 2}
+      y={(image.y || 0) + height / 2}
+      offsetX={width / 2}
+      offsetY={height / 2}
+      rotation={image.rotation || 0}
+      listening={false}
+    >
+      {element ? (
+        <Image
+          image={element}
+          width={width}
+          height={height}
+          crop={getImageCrop(image)}
+          opacity={opacity}
+          listening={false}
+          perfectDrawEnabled={false}
+        />
+      ) : (
+        <Rect
+          width={width}
+          height={height}
+          fill="#f3f4f6"
+          stroke="#9ca3af"
+          strokeWidth={1 / stageScale}
+          dash={status === 'failed' ? [6 / stageScale, 4 / stageScale] : undefined}
+          opacity={opacity}
+          listening={false}
+        />
+      )}
+
+      {/* Selection / ownership outline */}
+      {highlightColor && (
+        <Rect
+          width={width}
+          height={height}
+          stroke={highlightColor}
+          strokeWidth={2 / stageScale}
+          listening={false}
+        />
+      )}
+    </Group>
+  );
+};
+
+export default ImageShape;
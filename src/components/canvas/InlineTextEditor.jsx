@@ -0,0 +1,471 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { toast } from 'react-toastify';
+import { Paper, ToggleButton, ToggleButtonGroup, NativeSelect, Divider, Box } from '@mui/material';
+import {
+  FormatBold as BoldIcon,
+  FormatItalic as ItalicIcon,
+  FormatUnderlined as UnderlineIcon,
+  FormatAlignLeft as AlignLeftIcon,
+  FormatAlignCenter as AlignCenterIcon,
+  FormatAlignRight as AlignRightIcon,
+  FormatListBulleted as BulletListIcon,
+  FormatListNumbered as NumberedListIcon,
+  VerticalAlignTop as AlignTopIcon,
+  VerticalAlignCenter as AlignMiddleIcon,
+  VerticalAlignBottom as AlignBottomIcon
+} from '@mui/icons-material';
+import { FUTURE_SHAPE_DEFAULTS } from '../../constants/canvas.constants.js';
+import {
+  getBaseTextStyle,
+  getTextRuns,
+  getListStyles,
+  spliceRuns,
+  spliceListStyles,
+  applyRunStyle,
+  clearRunStyle,
+  getRangeStyle,
+  getParagraphIndexAt,
+  setListStyle,
+  toStoredRuns,
+  toStoredListStyles,
+  getTextSize,
+  layoutRichText
+} from '../../utils/richText.js';
+import { FONT_SOURCES, FONT_FILE_TYPES, getRegisteredFonts, loadFont } from '../../utils/fontRegistry.js';
+
+const textDefaults = FUTURE_SHAPE_DEFAULTS.text;
+const FONT_SIZES = [12, 14, 16, 18, 20, 24, 28, 32, 36, 40, 48, 56, 64];
+const FONT_GROUPS = [
+  { source: FONT_SOURCES.SYSTEM, label: 'System' },
+  { source: FONT_SOURCES.WEB, label: 'Web fonts' },
+  { source: FONT_SOURCES.CUSTOM, label: 'Uploaded' }
+];
+const UPLOAD_FONT = '__upload__';
+const LINE_HEIGHTS = [1, 1.2, 1.5, 2];
+const TOOLBAR_HEIGHT = 44;
+
+/**
+ * Box fields for the chosen sizing mode
+ * Switching to a wrapping or fixed box keeps the box the text had before.
+ * @param {Object} text - Text object as it was when editing started
+ * @param {Object} fields - Edited formatting, including the sizing mode
+ * @param {string} value - Edited text
+ * @returns {Object} { width?, height }
+ */
+const getBoxFields = (text, fields, value) => {
+  const initialSizing = text.sizing || textDefaults.sizing;
+  const before = getTextSize(text);
+  const width = initialSizing === 'autoWidth' || !text.width ? before.width : text.width;
+
+  if (fields.sizing === 'fixed') {
+    const height = initialSizing === 'fixed'
+      ? before.height
+      : getTextSize({ ...text, ...fields, text: value, width, sizing: 'autoHeight' }).height;
+    return { width, height };
+  }
+  if (fields.sizing === 'autoHeight' && initialSizing === 'autoWidth') {
+    return { width, height: null };
+  }
+  return { height: null };
+};
+
+/**
+ * InlineTextEditor - Edits a text object in place on the canvas
+ *
+ * A transparent textarea laid over the text (following zoom, pan and the
+ * text's rotation around its top-left corner) provides the caret and
+ * selection, while the canvas keeps drawing the text from the draft passed to
+ * onChange, so what is edited is exactly what will be saved. A small toolbar
+ * above the text styles the selection (stored as runs, see utils/richText.js)
+ * or, with nothing selected, the whole text.
+ * - Clicking away or Ctrl/Cmd+Enter saves, Escape discards the edit
+ * - Ctrl/Cmd+B, I and U toggle bold, italic and underline
+ * - The font picker previews each font and can upload a font file to the canvas
+ */
+const InlineTextEditor = ({
+  text,               // Text object being edited (for new text: position and defaults only)
+  initialOffset = null, // Caret offset where editing started (a click); null selects all text
+  onChange,           // (draft) => void; the draft text object, drawn on the canvas while editing
+  onCommit,           // (text, formatting) => void
+  onCancel,           // () => void
+  stageScale = 1,     // Current canvas zoom level
+  stagePos = { x: 0, y: 0 }, // Current canvas pan position
+  fonts = getRegisteredFonts(), // Fonts the picker offers ({ family, source })
+  onPickFont,         // (family) => void; records a picked font on the canvas
+  onUploadFont        // (file) => Promise<family>; omit to hide the upload option
+}) => {
+  const initialStyle = getBaseTextStyle(text);
+  const [value, setValue] = useState(text.text || '');
+  const [bold, setBold] = useState(initialStyle.bold);
+  const [italic, setItalic] = useState(initialStyle.italic);
+  const [underline, setUnderline] = useState(initialStyle.underline);
+  const [fontSize, setFontSize] = useState(initialStyle.fontSize);
+  const [fontFamily, setFontFamily] = useState(initialStyle.fontFamily);
+  const [fill, setFill] = useState(initialStyle.fill);
+  const [runs, setRuns] = useState(() => getTextRuns(text));
+  const [listStyles, setListStyles] = useState(() => getListStyles(text));
+  const [selection, setSelection] = useState({ start: 0, end: 0 });
+  const [align, setAlign] = useState(text.align || textDefaults.align);
+  const [verticalAlign, setVerticalAlign] = useState(text.verticalAlign || textDefaults.verticalAlign);
+  const [sizing, setSizing] = useState(text.sizing || textDefaults.sizing);
+  const [lineHeight, setLineHeight] = useState(text.lineHeight || textDefaults.lineHeight);
+  const [letterSpacing, setLetterSpacing] = useState(text.letterSpacing || textDefaults.letterSpacing);
+  const textareaRef = useRef(null);
+  const fontInputRef = useRef(null);
+  // Where the caret goes when the editor opens (later changes don't move it)
+  const initialOffsetRef = useRef(initialOffset);
+  // Escape closes the editor before its blur fires; only finish once
+  const finishedRef = useRef(false);
+
+  useEffect(() => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    textarea.focus();
+    const offset = initialOffsetRef.current;
+    if (offset === null) {
+      textarea.select();
+    } else {
+      textarea.setSelectionRange(offset, offset);
+    }
+  }, []);
+
+  const baseStyle = { bold, italic, underline, fontSize, fontFamily, fill };
+
+  // Everything the edit saves besides the text itself
+  const formatting = useMemo(() => {
+    const fields = {
+      bold,
+      italic,
+      underline,
+      fontSize,
+      fontFamily,
+      fill,
+      runs: toStoredRuns(runs),
+      listStyles: toStoredListStyles(listStyles),
+      align,
+      verticalAlign,
+      sizing,
+      lineHeight,
+      letterSpacing
+    };
+    return { ...fields, ...getBoxFields(text, fields, value) };
+  }, [text, value, runs, listStyles, bold, italic, underline, fontSize, fontFamily, fill, align, verticalAlign, sizing, lineHeight, letterSpacing]);
+
+  const draft = useMemo(() => ({ ...text, ...formatting, text: value }), [text, formatting, value]);
+
+  // Keep the canvas drawing the draft
+  useEffect(() => {
+    onChange?.(draft);
+  }, [draft, onChange]);
+
+  const finish = () => {
+    if (finishedRef.current) return;
+    finishedRef.current = true;
+    if (value.trim()) {
+      onCommit(value, formatting);
+    } else {
+      onCancel();
+    }
+  };
+
+  const cancel = () => {
+    finishedRef.current = true;
+    onCancel();
+  };
+
+  // Put the caret/selection back after using the toolbar
+  const refocus = (range = selection) => {
+    requestAnimationFrame(() => {
+      textareaRef.current?.focus();
+      textareaRef.current?.setSelectionRange(range.start, range.end);
+    });
+  };
+
+  // Map a textarea edit onto the runs and paragraph list styles
+  const handleTextChange = (newValue) => {
+    let start = 0;
+    while (start < value.length && start < newValue.length && value[start] === newValue[start]) start++;
+    let suffix = 0;
+    while (
+      suffix < value.length - start && suffix < newValue.length - start &&
+      value[value.length - 1 - suffix] === newValue[newValue.length - 1 - suffix]
+    ) suffix++;
+
+    const end = value.length - suffix;
+    const inserted = newValue.slice(start, newValue.length - suffix);
+    setRuns(spliceRuns(runs, start, end, inserted));
+    setListStyles(spliceListStyles(listStyles, value, start, end, inserted));
+    setValue(newValue);
+  };
+
+  const handleSelect = (e) => {
+    setSelection({ start: e.target.selectionStart, end: e.target.selectionEnd });
+  };
+
+  // Selecting everything styles the whole text
+  const hasSelection = selection.start < selection.end && !(selection.start === 0 && selection.end === value.length);
+  // Controls show the selected text's style, or the whole text's style
+  const shownStyle = hasSelection ? getRangeStyle(baseStyle, runs, selection.start, selection.end) : baseStyle;
+  const shownFormatting = ['bold', 'italic', 'underline'].filter(key => shownStyle[key] === true);
+
+  // Style the selection, or the whole text (dropping per-run overrides of that style)
+  const applyStyle = (key, styleValue) => {
+    if (hasSelection) {
+      setRuns(applyRunStyle(runs, selection.start, selection.end, { [key]: styleValue }));
+    } else {
+      const setters = { bold: setBold, italic: setItalic, underline: setUnderline, fontSize: setFontSize, fontFamily: setFontFamily, fill: setFill };
+      setters[key](styleValue);
+      setRuns(clearRunStyle(runs, [key]));
+    }
+    refocus();
+  };
+
+  const toggleStyle = (key) => applyStyle(key, shownStyle[key] !== true);
+
+  const handleFontChange = (family) => {
+    if (family === UPLOAD_FONT) {
+      fontInputRef.current?.click();
+      return;
+    }
+    applyStyle('fontFamily', family);
+    onPickFont?.(family);
+  };
+
+  const handleFontFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return refocus();
+    try {
+      applyStyle('fontFamily', await onUploadFont(file));
+    } catch (error) {
+      console.error('Failed to upload font:', error);
+      toast.error(error.message || `Failed to upload ${file.name}`);
+      refocus();
+    }
+  };
+
+  // Load every font when the picker opens so each option previews in its own font
+  const previewFonts = () => fonts.forEach(font => loadFont(font.family));
+
+  const handleFormattingChange = (e, newFormatting) => {
+    ['bold', 'italic', 'underline'].forEach(key => {
+      if (newFormatting.includes(key) !== shownFormatting.includes(key)) toggleStyle(key);
+    });
+  };
+
+  // Lists apply to every paragraph touched by the selection (or the caret's paragraph)
+  const shownListStyle = listStyles[getParagraphIndexAt(value, selection.start)] || 'none';
+  const handleListChange = (e, listStyle) => {
+    setListStyles(setListStyle(listStyles, value, selection.start, selection.end, listStyle || 'none'));
+    refocus();
+  };
+
+  const handleKeyDown = (e) => {
+    e.stopPropagation(); // Keep canvas shortcuts from firing while editing
+    const modifier = e.ctrlKey || e.metaKey;
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      cancel();
+    } else if (e.key === 'Enter' && modifier) {
+      e.preventDefault();
+      finish();
+    } else if (modifier && ['b', 'i', 'u'].includes(e.key.toLowerCase())) {
+      e.preventDefault();
+      toggleStyle({ b: 'bold', i: 'italic', u: 'underline' }[e.key.toLowerCase()]);
+    }
+  };
+
+  // Save when focus leaves the editor (toolbar controls are part of it); the
+  // window losing focus (e.g. to the font file dialog) doesn't end the edit
+  const handleBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget) && document.hasFocus()) finish();
+  };
+
+  // Buttons keep the focus (and selection) in the textarea
+  const keepFocus = (e) => {
+    if (e.target.tagName !== 'SELECT' && e.target.tagName !== 'INPUT') e.preventDefault();
+  };
+
+  const layout = layoutRichText(draft);
+  const rotation = draft.rotation || 0;
+  const left = draft.x * stageScale + stagePos.x;
+  const top = draft.y * stageScale + stagePos.y;
+  const firstLine = layout.lines[0];
+  const controlSx = { fontSize: 13, minWidth: 0, '& select': { py: 0.5 } };
+
+  return (
+    <Box onBlur={handleBlur} onKeyDown={(e) => e.stopPropagation()}>
+      <Paper
+        elevation={4}
+        onMouseDown={keepFocus}
+        sx={{
+          position: 'absolute',
+          left,
+          top: Math.max(0, top - TOOLBAR_HEIGHT - 8),
+          height: TOOLBAR_HEIGHT,
+          px: 1,
+          display: 'flex',
+          alignItems: 'center',
+          gap: 1,
+          zIndex: 11,
+          whiteSpace: 'nowrap'
+        }}
+      >
+        <ToggleButtonGroup value={shownFormatting} onChange={handleFormattingChange} size="small">
+          <ToggleButton value="bold" aria-label="bold"><BoldIcon fontSize="small" /></ToggleButton>
+          <ToggleButton value="italic" aria-label="italic"><ItalicIcon fontSize="small" /></ToggleButton>
+          <ToggleButton value="underline" aria-label="underline"><UnderlineIcon fontSize="small" /></ToggleButton>
+        </ToggleButtonGroup>
+
+        <NativeSelect
+          value={shownStyle.fontFamily ?? ''}
+          onChange={(e) => handleFontChange(e.target.value)}
+          onFocus={previewFonts}
+          inputProps={{ 'aria-label': 'Font' }}
+          sx={{ ...controlSx, fontFamily: shownStyle.fontFamily }}
+        >
+          {shownStyle.fontFamily === undefined && <option value="">Mixed</option>}
+          {!fonts.some(font => font.family === fontFamily) && <option value={fontFamily}>{fontFamily}</option>}
+          {FONT_GROUPS.map(group => {
+            const groupFonts = fonts.filter(font => font.source === group.source);
+            return groupFonts.length > 0 && (
+              <optgroup key={group.source} label={group.label}>
+                {groupFonts.map(font => (
+                  <option key={font.family} value={font.family} style={{ fontFamily: `"${font.family}"` }}>{font.family}</option>
+                ))}
+              </optgroup>
+            );
+          })}
+          {onUploadFont && <option value={UPLOAD_FONT}>Upload font…</option>}
+        </NativeSelect>
+        <input
+          ref={fontInputRef}
+          type="file"
+          accept={Object.keys(FONT_FILE_TYPES).map(extension => `.${extension}`).join(',')}
+          onChange={handleFontFile}
+          hidden
+        />
+
+        <NativeSelect
+          value={shownStyle.fontSize ?? ''}
+          onChange={(e) => applyStyle('fontSize', Number(e.target.value))}
+          inputProps={{ 'aria-label': 'Size' }}
+          sx={controlSx}
+        >
+          {shownStyle.fontSize === undefined && <option value="">Mixed</option>}
+          {[...new Set([...FONT_SIZES, fontSize])].sort((a, b) => a - b).map(size => (
+            <option key={size} value={size}>{size}</option>
+          ))}
+        </NativeSelect>
+
+        <Box
+          component="input"
+          type="color"
+          aria-label="Color"
+          value={shownStyle.fill ?? fill}
+          onChange={(e) => applyStyle('fill', e.target.value)}
+          sx={{ width: 28, height: 24, p: 0, border: 1, borderColor: 'divider', borderRadius: 0.5, cursor: 'pointer' }}
+        />
+
+        <Divider orientation="vertical" flexItem />
+
+        <ToggleButtonGroup value={align} exclusive onChange={(e, next) => next && setAlign(next)} size="small">
+          <ToggleButton value="left" aria-label="align left"><AlignLeftIcon fontSize="small" /></ToggleButton>
+          <ToggleButton value="center" aria-label="align center"><AlignCenterIcon fontSize="small" /></ToggleButton>
+          <ToggleButton value="right" aria-label="align right"><AlignRightIcon fontSize="small" /></ToggleButton>
+        </ToggleButtonGroup>
+
+        <ToggleButtonGroup value={shownListStyle} exclusive onChange={handleListChange} size="small">
+          <ToggleButton value="bullet" aria-label="bulleted list"><BulletListIcon fontSize="small" /></ToggleButton>
+          <ToggleButton value="number" aria-label="numbered list"><NumberedListIcon fontSize="small" /></ToggleButton>
+        </ToggleButtonGroup>
+
+        <NativeSelect
+          value={lineHeight}
+          onChange={(e) => { setLineHeight(Number(e.target.value)); refocus(); }}
+          inputProps={{ 'aria-label': 'Line height' }}
+          sx={controlSx}
+        >
+          {[...new Set([...LINE_HEIGHTS, lineHeight])].sort((a, b) => a - b).map(option => (
+            <option key={option} value={option}>{option}×</option>
+          ))}
+        </NativeSelect>
+
+        <Box
+          component="input"
+          type="number"
+          step={0.5}
+          aria-label="Letter spacing"
+          title="Letter spacing"
+          value={letterSpacing}
+          onChange={(e) => setLetterSpacing(Number(e.target.value) || 0)}
+          sx={{ width: 48, fontSize: 13 }}
+        />
+
+        <NativeSelect
+          value={sizing}
+          onChange={(e) => { setSizing(e.target.value); refocus(); }}
+          inputProps={{ 'aria-label': 'Box sizing' }}
+          sx={controlSx}
+        >
+          <option value="autoWidth">Auto width</option>
+          <option value="autoHeight">Wrap</option>
+          <option value="fixed">Fixed</option>
+        </NativeSelect>
+
+        {sizing === 'fixed' && (
+          <ToggleButtonGroup value={verticalAlign} exclusive onChange={(e, next) => next && setVerticalAlign(next)} size="small">
+            <ToggleButton value="top" aria-label="align top"><AlignTopIcon fontSize="small" /></ToggleButton>
+            <ToggleButton value="middle" aria-label="align middle"><AlignMiddleIcon fontSize="small" /></ToggleButton>
+            <ToggleButton value="bottom" aria-label="align bottom"><AlignBottomIcon fontSize="small" /></ToggleButton>
+          </ToggleButtonGroup>
+        )}
+      </Paper>
+
+      <textarea
+        ref={textareaRef}
+        value={value}
+        onChange={(e) => handleTextChange(e.target.value)}
+        onSelect={handleSelect}
+        onKeyDown={handleKeyDown}
+        aria-label="Text"
+        spellCheck={false}
+        style={{
+          position: 'absolute',
+          left,
+          top,
+          // Auto-width text grows with the caret instead of wrapping early
+          width: (layout.width + (sizing === 'autoWidth' ? fontSize : 0)) * stageScale,
+          height: layout.height * stageScale,
+          transform: `rotate(${rotation}deg)`,
+          transformOrigin: '0 0',
+          boxSizing: 'border-box',
+          margin: 0,
+          padding: 0,
+          paddingTop: (firstLine ? firstLine.y : 0) * stageScale,
+          border: 'none',
+          outline: '1.5px solid #2563eb',
+          resize: 'none',
+          overflow: 'hidden',
+          background: 'transparent',
+          // The canvas draws the styled text; the textarea only shows the caret and selection
+          color: 'transparent',
+          caretColor: fill,
+          fontSize: fontSize * stageScale,
+          fontFamily,
+          fontWeight: bold ? 'bold' : 'normal',
+          fontStyle: italic ? 'italic' : 'normal',
+          lineHeight,
+          letterSpacing: letterSpacing * stageScale,
+          textAlign: align,
+          whiteSpace: sizing === 'autoWidth' ? 'pre' : 'pre-wrap',
+          overflowWrap: 'break-word',
+          zIndex: 10
+        }}
+      />
+    </Box>
+  );
+};
+
+export default InlineTextEditor;
@@ -0,0 +1,73 @@
+import { useCallback, useLayoutEffect, useRef } from 'react';
+import { Group } from 'react-konva';
+import { LayerEffectsContext } from '../../hooks/useLayerEffectsRefresh.js';
+import { applyEffects, getEffectsPadding, getVisibleEffects, hasLayerEffects } from '../../utils/effects.js';
+
+// Largest side of a layer's raster, so zooming into a big layer doesn't allocate a huge canvas
+const MAX_RASTER_SIZE = 4096;
+
+/**
+ * Konva filter that draws the group's `effects` attr onto its cached pixels
+ */
+function effectsFilter(imageData) {
+  applyEffects(imageData, this.getAttr('effects'), this.getAttr('effectsPixelRatio'));
+}
+
+/**
+ * LayerEffects - Draws one canvas object with its layer opacity and effects
+ *
+ * Without effects the object is drawn directly (in a Group only when it has an
+ * opacity). With effects the group is rasterized with Konva's cache, padded by
+ * the effects' reach and at the current zoom, and the effects are applied to
+ * its pixels; the raster is refreshed whenever the object re-renders.
+ */
+const LayerEffects = ({ layer, stageScale = 1, children }) => {
+  const groupRef = useRef(null);
+  const effects = getVisibleEffects(layer.effects);
+  const hasEffects = effects.length > 0;
+  const opacity = layer.opacity ?? 1;
+
+  const refresh = useCallback(() => {
+    const group = groupRef.current;
+    if (!group) return;
+
+    group.clearCache();
+    if (!group.getAttr('effects')?.length) return;
+
+    const padding = getEffectsPadding(group.getAttr('effects'));
+    const { width, height } = group.getClientRect({ skipTransform: true });
+    if (!width || !height) return;
+
+    const pixelRatio = Math.min(
+      stageScale * (window.devicePixelRatio || 1),
+      MAX_RASTER_SIZE / (Math.max(width, height) + padding * 2)
+    );
+    group.setAttr('effectsPixelRatio', pixelRatio);
+    group.cache({ offset: padding, pixelRatio });
+  }, [stageScale]);
+
+  // The children may have changed with any render, so redraw the effects every time
+  useLayoutEffect(() => {
+    refresh();
+  });
+
+  if (!hasLayerEffects(layer)) {
+    return children;
+  }
+
+  return (
+    <LayerEffectsContext.Provider value={refresh}>
+      <Group
+        ref={groupRef}
+        opacity={opacity}
+        effects={effects}
+        filters={hasEffects ? [effectsFilter] : undefined}
+        listening={false}
+      >
+        {children}
+      </Group>
+    </LayerEffectsContext.Provider>
+  );
+};
+
+export default LayerEffects;
@@ -0,0 +1,160 @@
+import React from 'react';
+import { Group, Line, Circle } from 'react-konva';
+import { ARROWHEAD_STYLES, FUTURE_SHAPE_DEFAULTS } from '../../constants/canvas.constants.js';
+import { getLinePathPoints } from '../../utils/lineGeometry.js';
+
+const LINE_DEFAULTS = FUTURE_SHAPE_DEFAULTS.line;
+
+/**
+ * Get the arrowhead size for a stroke width (grows with thicker lines)
+ */
+const getArrowheadSize = (strokeWidth) => Math.max(10, strokeWidth * 4);
+
+/**
+ * Move a path endpoint towards its neighbour (keeps the shaft out of a filled head)
+ */
+const insetPoint = (point, towards, inset) => {
+  const length = Math.hypot(towards.x - point.x, towards.y - point.y);
+  if (length <= inset * 2) return point;
+  return {
+    x: point.x + ((towards.x - point.x) / length) * inset,
+    y: point.y + ((towards.y - point.y) / length) * inset
+  };
+};
+
+/**
+ * Build the Konva nodes for one arrowhead
+ * @param {string} style - ARROWHEAD_STYLES value
+ * @param {Object} tip - Tip of the arrowhead in local coordinates
+ * @param {Object} from - Neighbouring path point (gives the arrowhead its direction)
+ * @param {string} color - Stroke color of the line
+ * @param {number} strokeWidth - Stroke width of the line
+ * @param {string} key - React key
+ */
+const renderArrowhead = (style, tip, from, color, strokeWidth, key) => {
+  if (!style || style === ARROWHEAD_STYLES.NONE) return null;
+
+  const length = Math.hypot(tip.x - from.x, tip.y - from.y) || 1;
+  const ux = (tip.x - from.x) / length;
+  const uy = (tip.y - from.y) / length;
+  const size = getArrowheadSize(strokeWidth);
+
+  if (style === ARROWHEAD_STYLES.CIRCLE) {
+    return (
+      <Circle
+        key={key}
+        x={tip.x}
+        y={tip.y}
+        radius={size / 2.5}
+        fill={color}
+        listening={false}
+      />
+    );
+  }
+
+  // Base corners of the head, perpendicular to the line direction
+  const baseX = tip.x - ux * size;
+  const baseY = tip.y - uy * size;
+  const halfWidth = size / 2;
+  const left = { x: baseX - uy * halfWidth, y: baseY + ux * halfWidth };
+  const right = { x: baseX + uy * halfWidth, y: baseY - ux * halfWidth };
+
+  if (style === ARROWHEAD_STYLES.TRIANGLE) {
+    return (
+      <Line
+        key={key}
+        points={[left.x, left.y, tip.x, tip.y, right.x, right.y]}
+        closed
+        fill={color}
+        stroke={color}
+        strokeWidth={1}
+        listening={false}
+      />
+    );
+  }
+
+  // Default: open chevron
+  return (
+    <Line
+      key={key}
+      points={[left.x, left.y, tip.x, tip.y, right.x, right.y]}
+      stroke={color}
+      strokeWidth={strokeWidth}
+      lineCap="round"
+      lineJoin="round"
+      listening={false}
+    />
+  );
+};
+
+/**
+ * LineShape - Renders a line or arrow object
+ *
+ * Lines are stored with x/y as the start point and points relative to it, so
+ * the whole line is drawn inside a Group positioned (and rotated) at x/y.
+ * Elbow-routed connectors are drawn along the path from getLinePathPoints, with
+ * arrowheads following the first/last segment.
+ * Filled triangle heads pull the shaft back so the tip stays sharp.
+ *
+ * Selection/lock state is drawn as a translucent halo under the stroke instead
+ * of recoloring it, since the stroke is the line's own color.
+ */
+const LineShape = ({ line, highlightColor = null, opacity = 1, stageScale = 1 }) => {
+  const path = getLinePathPoints(line);
+  const color = line.stroke || LINE_DEFAULTS.stroke;
+  const strokeWidth = line.strokeWidth || LINE_DEFAULTS.strokeWidth;
+  const last = path.length - 2;
+  const start = { x: path[0], y: path[1] };
+  const afterStart = { x: path[2], y: path[3] };
+  const end = { x: path[last], y: path[last + 1] };
+  const beforeEnd = { x: path[last - 2], y: path[last - 1] };
+
+  // Shorten the shaft under filled triangle heads
+  const inset = getArrowheadSize(strokeWidth) * 0.8;
+  const shaftStart = line.startArrowhead === ARROWHEAD_STYLES.TRIANGLE
+    ? insetPoint(start, afterStart, inset)
+    : start;
+  const shaftEnd = line.endArrowhead === ARROWHEAD_STYLES.TRIANGLE
+    ? insetPoint(end, beforeEnd, inset)
+    : end;
+  const shaftPoints = [shaftStart.x, shaftStart.y, ...path.slice(2, last), shaftEnd.x, shaftEnd.y];
+
+  return (
+    <Group
+      x={line.x}
+      y={line.y}
+      rotation={line.rotation || 0}
+      opacity={opacity}
+      listening={false}
+    >
+      {/* Selection / ownership halo */}
+      {highlightColor && (
+        <Line
+          points={path}
+          stroke={highlightColor}
+          strokeWidth={strokeWidth + 6 / stageScale}
+          lineCap="round"
+          lineJoin="round"
+          opacity={0.35}
+          listening={false}
+        />
+      )}
+
+      <Line
+        points={shaftPoints}
+        stroke={color}
+        strokeWidth={strokeWidth}
+        dash={Array.isArray(line.dash) && line.dash.length > 0 ? line.dash : undefined}
+        lineCap={line.lineCap || 'round'}
+        lineJoin={line.lineJoin || 'round'}
+        listening={false}
+        perfectDrawEnabled={false}
+      />
+
+      {renderArrowhead(line.startArrowhead, start, afterStart, color, strokeWidth, 'start-head')}
+      {renderArrowhead(line.endArrowhead, end, beforeEnd, color, strokeWidth, 'end-head')}
+    </Group>
+  );
+};
+
+export default LineShape;
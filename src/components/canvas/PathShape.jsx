@@ -0,0 +1,74 @@
+import React from 'react';
+import { Group, Line, Path } from 'react-konva';
+import { FUTURE_SHAPE_DEFAULTS } from '../../constants/canvas.constants.js';
+import { isVectorPath, anchorsToSvgPath } from '../../utils/vectorPath.js';
+
+const PATH_DEFAULTS = FUTURE_SHAPE_DEFAULTS.path;
+
+/**
+ * PathShape - Renders a freehand (pencil) or vector (pen) path
+ *
+ * Paths are stored by the top-left of their box with points relative to it,
+ * and rotate around the box center like rectangles. The simplified points are
+ * drawn with curve tension so the stroke looks smooth; vector paths are drawn
+ * from their Bézier anchors, and closed ones may have a fill.
+ *
+ * Like lines, selection/lock state is a translucent halo under the stroke.
+ */
+const PathShape = ({ path, highlightColor = null, opacity = 1, stageScale = 1 }) => {
+  const isVector = isVectorPath(path);
+  const points = Array.isArray(path.points) ? path.points : [];
+  if (isVector ? path.anchors.length < 2 : points.length < 2) return null;
+
+  // A single sample is drawn as a dot
+  const drawnPoints = points.length === 2 ? [...points, ...points] : points;
+  const color = path.stroke || PATH_DEFAULTS.stroke;
+  const strokeWidth = path.strokeWidth || PATH_DEFAULTS.strokeWidth;
+  const tension = path.tension ?? PATH_DEFAULTS.tension;
+  const width = path.width || 0;
+  const height = path.height || 0;
+
+  // Both layers share the geometry, only the paint differs
+  const geometryProps = isVector
+    ? { data: anchorsToSvgPath(path.anchors, path.closed) }
+    : { points: drawnPoints, tension };
+  const StrokeShape = isVector ? Path : Line;
+
+  return (
+    <Group
+      x={(path.x || 0) + width / 2}
+      y={(path.y || 0) + height / 2}
+      offsetX={width / 2}
+      offsetY={height / 2}
+      rotation={path.rotation || 0}
+      opacity={opacity}
+      listening={false}
+    >
+      {/* Selection / ownership halo */}
+      {highlightColor && (
+        <StrokeShape
+          {...geometryProps}
+          stroke={highlightColor}
+          strokeWidth={strokeWidth + 6 / stageScale}
+          lineCap="round"
+          lineJoin="round"
+          opacity={0.35}
+          listening={false}
+        />
+      )}
+
+      <StrokeShape
+        {...geometryProps}
+        fill={isVector && path.closed ? path.fill : undefined}
+        stroke={color}
+        strokeWidth={strokeWidth}
+        lineCap="round"
+        lineJoin="round"
+        listening={false}
+        perfectDrawEnabled={false}
+      />
+    </Group>
+  );
+};
+
+export default PathShape;
@@ -0,0 +1,239 @@
+import { Box, Button, ButtonGroup, IconButton, NativeSelect, Typography } from '@mui/material';
+import AlignHorizontalLeftIcon from '@mui/icons-material/AlignHorizontalLeft';
+import AlignHorizontalCenterIcon from '@mui/icons-material/AlignHorizontalCenter';
+import AlignHorizontalRightIcon from '@mui/icons-material/AlignHorizontalRight';
+import AlignVerticalTopIcon from '@mui/icons-material/AlignVerticalTop';
+import AlignVerticalCenterIcon from '@mui/icons-material/AlignVerticalCenter';
+import AlignVerticalBottomIcon from '@mui/icons-material/AlignVerticalBottom';
+import ViewWeekIcon from '@mui/icons-material/ViewWeek';
+import TableRowsIcon from '@mui/icons-material/TableRows';
+import ColorPicker from '../common/ColorPicker.jsx';
+import NumberInput from '../common/NumberInput.jsx';
+import StrokePanel from './StrokePanel.jsx';
+import { CANVAS_HEIGHT, CANVAS_WIDTH, FUTURE_SHAPE_DEFAULTS, SHAPE_DEFAULTS } from '../../constants/canvas.constants.js';
+import { CANVAS_TOP_OFFSET, Z_INDEX } from '../../constants/layout.constants.js';
+import { MIXED, getInspectorValues } from '../../utils/inspectorValues.js';
+import { getRegisteredFonts } from '../../utils/fontRegistry.js';
+
+const PANEL_WIDTH = 220;
+const MAX_POSITION = Math.max(CANVAS_WIDTH, CANVAS_HEIGHT) * 2;
+const compactButtonSx = { minWidth: 20, height: 20, px: 0.5, py: 0, fontSize: '0.75rem' };
+
+const ALIGN_OPTIONS = [
+  { value: 'left', label: 'Left' },
+  { value: 'center', label: 'Center' },
+  { value: 'right', label: 'Right' }
+];
+
+const ARRANGE_BUTTONS = [
+  { align: 'left', label: 'Align left', icon: <AlignHorizontalLeftIcon fontSize="small" /> },
+  { align: 'center', label: 'Align horizontal centers', icon: <AlignHorizontalCenterIcon fontSize="small" /> },
+  { align: 'right', label: 'Align right', icon: <AlignHorizontalRightIcon fontSize="small" /> },
+  { align: 'top', label: 'Align top', icon: <AlignVerticalTopIcon fontSize="small" /> },
+  { align: 'middle', label: 'Align vertical centers', icon: <AlignVerticalCenterIcon fontSize="small" /> },
+  { align: 'bottom', label: 'Align bottom', icon: <AlignVerticalBottomIcon fontSize="small" /> },
+  { distribute: 'horizontal', label: 'Distribute horizontal spacing', icon: <ViewWeekIcon fontSize="small" /> },
+  { distribute: 'vertical', label: 'Distribute vertical spacing', icon: <TableRowsIcon fontSize="small" /> }
+];
+
+const TYPE_LABELS = {
+  rectangle: 'Rectangle',
+  circle: 'Ellipse',
+  star: 'Star',
+  polygon: 'Polygon',
+  line: 'Line',
+  path: 'Path',
+  text: 'Text',
+  image: 'Image',
+  frame: 'Frame',
+  sticky: 'Sticky Note',
+  table: 'Table'
+};
+
+/**
+ * Section - Titled group of inspector rows
+ */
+const Section = ({ title, children }) => (
+  <Box sx={{ px: 1.5, py: 1, borderTop: 1, borderColor: 'grey.200', display: 'flex', flexDirection: 'column', gap: 0.75 }}>
+    <Typography variant="caption" fontWeight={600}>{title}</Typography>
+    {children}
+  </Box>
+);
+
+/**
+ * Field - Labelled number input that shows "Mixed" for differing values
+ */
+const Field = ({ label, value, min, max, scale, unit, title, onCommit }) => (
+  <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, flex: 1 }}>
+    <Typography variant="caption" color="grey.600" sx={{ minWidth: 14 }}>{label}</Typography>
+    <NumberInput
+      value={value === MIXED ? null : value}
+      placeholder="Mixed"
+      min={min}
+      max={max}
+      scale={scale}
+      width={56}
+      title={title}
+      onCommit={onCommit}
+    />
+    {unit && <Typography variant="caption" color="grey.600">{unit}</Typography>}
+  </Box>
+);
+
+const MixedNote = () => <Typography variant="caption" color="grey.500">Mixed</Typography>;
+
+/**
+ * PropertiesPanel - Right-side inspector for the selected objects
+ *
+ * Shows position, size, rotation and the radius, fill, stroke and text
+ * properties that apply to every selected object. Values that differ across
+ * a multi-selection read "Mixed"; typing a value sets it on every object.
+ * Each edit is saved as one undo step. Selections that can be aligned (more
+ * than one object, or one object inside a frame) get a row of align and
+ * distribute buttons.
+ *
+ * @param {Array<Object>} objects - Selected canvas objects
+ * @param {Array<Object>} fonts - Fonts the font picker offers ({ family, source })
+ * @param {Function} onChange - Called with inspector edits, e.g. { x: 100 } or { fill: '#ff0000' }
+ * @param {Object} alignOptions - { canAlign, canDistribute } for the selection
+ * @param {Function} onAlign - Called with an align mode ('left', 'center', ... 'bottom')
+ * @param {Function} onDistribute - Called with 'horizontal' or 'vertical'
+ */
+const PropertiesPanel = ({ objects, fonts = getRegisteredFonts(), onChange, alignOptions = {}, onAlign, onDistribute }) => {
+  const values = getInspectorValues(objects);
+  if (!values) return null;
+
+  const [first] = objects;
+  const text = values.text;
+  const title = objects.length > 1 ? `${objects.length} objects` : first.name || TYPE_LABELS[first.type] || 'Object';
+
+  return (
+    <Box
+      sx={{
+        position: 'fixed',
+        top: `${CANVAS_TOP_OFFSET}px`,
+        right: 0,
+        bottom: 0,
+        width: PANEL_WIDTH,
+        overflowY: 'auto',
+        bgcolor: 'white',
+        borderLeft: 1,
+        borderColor: 'grey.300',
+        zIndex: Z_INDEX.INSPECTOR
+      }}
+    >
+      <Box sx={{ px: 1.5, py: 1 }}>
+        <Typography variant="body2" fontWeight={600} noWrap>{title}</Typography>
+      </Box>
+
+      {alignOptions.canAlign && (
+        <Box sx={{ px: 1.5, pb: 0.5, display: 'flex', justifyContent: 'space-between' }}>
+          {ARRANGE_BUTTONS.map(({ align, distribute, label, icon }) => (
+            <IconButton
+              key={label}
+              size="small"
+              title={label}
+              aria-label={label}
+              disabled={!!distribute && !alignOptions.canDistribute}
+              onClick={() => (align ? onAlign(align) : onDistribute(distribute))}
+              sx={{ p: 0.25 }}
+            >
+              {icon}
+            </IconButton>
+          ))}
+        </Box>
+      )}
+
+      <Section title="Position">
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Field label="X" value={values.x} min={-MAX_POSITION} max={MAX_POSITION} title="X position" onCommit={(x) => onChange({ x })} />
+          <Field label="Y" value={values.y} min={-MAX_POSITION} max={MAX_POSITION} title="Y position" onCommit={(y) => onChange({ y })} />
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Field label="W" value={values.width} min={1} max={MAX_POSITION} title="Width" onCommit={(width) => onChange({ width })} />
+          <Field label="H" value={values.height} min={1} max={MAX_POSITION} title="Height" onCommit={(height) => onChange({ height })} />
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Field label="↻" value={values.rotation} min={-360} max={360} unit="°" title="Rotation" onCommit={(rotation) => onChange({ rotation })} />
+          {values.radius !== undefined && (
+            <Field
+              label="◜"
+              value={values.radius}
+              min={0}
+              max={FUTURE_SHAPE_DEFAULTS.rectangle.maxCornerRadius}
+              title={first.type === 'rectangle' ? 'Corner radius' : 'Radius'}
+              onCommit={(radius) => onChange({ radius })}
+            />
+          )}
+        </Box>
+      </Section>
+
+      {values.fill !== undefined && (
+        <Section title={text ? 'Color' : 'Fill'}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <ColorPicker
+              value={(values.fill === MIXED ? first.fill : values.fill) || (text ? '#000000' : SHAPE_DEFAULTS.rectangle.fill)}
+              gradients={!text}
+              onChange={(fill) => onChange({ fill })}
+            />
+            {values.fill === MIXED && <MixedNote />}
+          </Box>
+        </Section>
+      )}
+
+      {values.stroke !== undefined && (
+        <Section title="Stroke">
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <StrokePanel key={first.id} shape={first} onChange={onChange} />
+            {values.stroke === MIXED ? <MixedNote /> : (
+              <Typography variant="caption" color="grey.600">
+                {values.stroke.width > 0 ? `${values.stroke.width}px ${values.stroke.align}` : 'None'}
+              </Typography>
+            )}
+          </Box>
+        </Section>
+      )}
+
+      {text && (
+        <Section title="Text">
+          <NativeSelect
+            value={text.fontFamily === MIXED ? '' : text.fontFamily}
+            onChange={(e) => e.target.value && onChange({ fontFamily: e.target.value })}
+            inputProps={{ 'aria-label': 'Font' }}
+            sx={{ fontSize: '0.75rem' }}
+          >
+            {text.fontFamily === MIXED && <option value="">Mixed</option>}
+            {text.fontFamily !== MIXED && !fonts.some(font => font.family === text.fontFamily) && (
+              <option value={text.fontFamily}>{text.fontFamily}</option>
+            )}
+            {fonts.map(font => (
+              <option key={font.family} value={font.family} style={{ fontFamily: `"${font.family}"` }}>{font.family}</option>
+            ))}
+          </NativeSelect>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Field label="Size" value={text.fontSize} min={1} max={400} title="Font size" onCommit={(fontSize) => onChange({ fontSize })} />
+            <Field label="↕" value={text.lineHeight} min={0.5} max={5} scale={100} unit="%" title="Line height" onCommit={(lineHeight) => onChange({ lineHeight })} />
+          </Box>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Field label="↔" value={text.letterSpacing} min={-50} max={200} title="Letter spacing" onCommit={(letterSpacing) => onChange({ letterSpacing })} />
+            <ButtonGroup size="small" variant="outlined" sx={{ height: 20 }}>
+              {ALIGN_OPTIONS.map(option => (
+                <Button
+                  key={option.value}
+                  onClick={() => onChange({ align: option.value })}
+                  variant={text.align === option.value ? 'contained' : 'outlined'}
+                  title={`Align ${option.label.toLowerCase()}`}
+                  sx={compactButtonSx}
+                >
+                  {option.label[0]}
+                </Button>
+              ))}
+            </ButtonGroup>
+          </Box>
+        </Section>
+      )}
+    </Box>
+  );
+};
+
+export default PropertiesPanel;
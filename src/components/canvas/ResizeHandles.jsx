@@ -1,4 +1,5 @@
 import { Rect } from 'react-konva';
+import { getEllipseRadii } from '../../utils/ellipseGeometry.js';
 
 /**
  * ResizeHandles Component
@@ -81,12 +82,13 @@ const CircleHandles = ({ circles, resizeSelectedId, HANDLE_SIZE }) => {
     return null;
   }
   
-  // Position handles on circle's bounding box corners
+  // Position handles on the ellipse's bounding box corners
+  const { radiusX, radiusY } = getEllipseRadii(selectedCircle);
   const bounds = {
-    x: selectedCircle.x - selectedCircle.radius,
-    y: selectedCircle.y - selectedCircle.radius,
-    width: selectedCircle.radius * 2,
-    height: selectedCircle.radius * 2
+    x: selectedCircle.x - radiusX,
+    y: selectedCircle.y - radiusY,
+    width: radiusX * 2,
+    height: radiusY * 2
   };
   
   return <BaseHandles object={bounds} HANDLE_SIZE={HANDLE_SIZE} prefix="circle-handle" />;
@@ -0,0 +1,68 @@
+import React from 'react';
+import { Group, Rect, Text } from 'react-konva';
+import { layoutRichText, toFontStyle } from '../../utils/richText.js';
+import { isFontReady } from '../../utils/fontRegistry.js';
+
+/**
+ * RichTextShape - Renders a text object with styled runs, alignment and lists
+ *
+ * Text is stored by the top-left of its box and rotates around that corner.
+ * The text is laid out by layoutRichText (the same layout that sizes the box
+ * for selection, hit testing and resizing) and drawn one fragment per styled
+ * piece of a line, so mixed fonts and sizes share a baseline.
+ *
+ * Selection/lock state is an outline around the text box.
+ *
+ * Text in web or uploaded fonts isn't drawn until they load (see utils/fontRegistry.js);
+ * fontsVersion changes when fonts finish loading so the text is measured again.
+ */
+const RichTextShape = ({ text, highlightColor = null, opacity = 1, stageScale = 1, fontsVersion = 0, ref }) => {
+  const layout = layoutRichText(text);
+  const fontsReady = [text.fontFamily, ...(text.runs || []).map(run => run.fontFamily)]
+    .every(family => !family || isFontReady(family));
+
+  return (
+    <Group
+      ref={ref}
+      x={text.x || 0}
+      y={text.y || 0}
+      rotation={text.rotation || 0}
+      opacity={opacity}
+      listening={false}
+    >
+      {/* Keeps the whole box (including empty space in fixed boxes) part of the node for the transformer */}
+      <Rect width={layout.width} height={layout.height} listening={false} />
+
+      {fontsReady && layout.lines.map((line, lineIndex) => line.fragments.map((fragment, fragmentIndex) => (
+        <Text
+          key={`${fontsVersion}-${lineIndex}-${fragmentIndex}`}
+          x={fragment.x}
+          y={fragment.y}
+          text={fragment.text}
+          fontSize={fragment.style.fontSize}
+          fontFamily={fragment.style.fontFamily}
+          fontStyle={toFontStyle(fragment.style)}
+          textDecoration={fragment.style.underline ? 'underline' : ''}
+          letterSpacing={text.letterSpacing || 0}
+          fill={fragment.style.fill}
+          lineHeight={1}
+          wrap="none"
+          listening={false}
+        />
+      )))}
+
+      {/* Selection / ownership outline */}
+      {highlightColor && (
+        <Rect
+          width={layout.width}
+          height={layout.height}
+          stroke={highlightColor}
+          strokeWidth={1.5 / stageScale}
+          listening={false}
+        />
+      )}
+    </Group>
+  );
+};
+
+export default RichTextShape;
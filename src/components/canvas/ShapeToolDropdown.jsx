@@ -32,12 +32,37 @@ const ShapeToolDropdown = ({
       icon: '⭐', 
       label: 'Star',
       shortcut: 'Press S' 
+    },
+    { 
+      id: TOOLS.POLYGON, 
+      icon: '⬡', 
+      label: 'Polygon',
+      shortcut: 'Press G' 
+    },
+    { 
+      id: TOOLS.TRIANGLE, 
+      icon: '△', 
+      label: 'Triangle',
+      shortcut: 'Press Shift+G' 
+    },
+    { 
+      id: TOOLS.LINE, 
+      icon: '╱', 
+      label: 'Line',
+      shortcut: 'Press L' 
+    },
+    { 
+      id: TOOLS.ARROW, 
+      icon: '↗', 
+      label: 'Arrow',
+      shortcut: 'Press Shift+L' 
     }
   ];
+  const shapeToolIds = shapeTools.map(tool => tool.id);
 
   // Determine which shape to show on button face
   const displayShape = shapeTools.find(
-    tool => tool.id === selectedTool && [TOOLS.RECTANGLE, TOOLS.CIRCLE, TOOLS.STAR].includes(selectedTool)
+    tool => tool.id === selectedTool && shapeToolIds.includes(selectedTool)
   ) || shapeTools.find(tool => tool.id === lastUsedShape) || shapeTools[0];
 
   const handleButtonClick = () => {
@@ -64,7 +89,7 @@ const ShapeToolDropdown = ({
   };
 
   const open = Boolean(anchorEl);
-  const isShapeToolSelected = [TOOLS.RECTANGLE, TOOLS.CIRCLE, TOOLS.STAR].includes(selectedTool);
+  const isShapeToolSelected = shapeToolIds.includes(selectedTool);
 
   return (
     <>
@@ -0,0 +1,88 @@
+import React from 'react';
+import { Group, Rect, Text } from 'react-konva';
+import { FUTURE_SHAPE_DEFAULTS } from '../../constants/canvas.constants.js';
+import { getStickyNoteAuthor, getStickyNoteLayout } from '../../utils/stickyNote.js';
+
+const { padding, lineHeight, authorFontSize } = FUTURE_SHAPE_DEFAULTS.sticky;
+
+/**
+ * StickyNoteShape - Renders a sticky note with its text and author label
+ *
+ * Notes are stored by the top-left of their box and rotate around the box
+ * center like rectangles. The text is wrapped by getStickyNoteLayout (the same
+ * wrapping that sizes the note), so the drawn lines always fit the saved height.
+ *
+ * Notes have no stroke of their own, so selection/lock state is an outline.
+ */
+const StickyNoteShape = ({ note, highlightColor = null, opacity = 1, stageScale = 1 }) => {
+  const width = note.width || FUTURE_SHAPE_DEFAULTS.sticky.width;
+  const layout = getStickyNoteLayout(note);
+  // Collaborators may see a note mid-edit before its new height is saved
+  const height = Math.max(note.height || 0, layout.height);
+  const author = getStickyNoteAuthor(note);
+
+  return (
+    <Group
+      x={(note.x || 0) + width / 2}
+      y={(note.y || 0) + height / 2}
+      offsetX={width / 2}
+      offsetY={height / 2}
+      rotation={note.rotation || 0}
+      opacity={opacity}
+      listening={false}
+    >
+      <Rect
+        width={width}
+        height={height}
+        fill={note.fill || FUTURE_SHAPE_DEFAULTS.sticky.fill}
+        cornerRadius={2}
+        shadowColor="#000000"
+        shadowOpacity={0.15}
+        shadowBlur={8}
+        shadowOffsetY={2}
+        listening={false}
+      />
+
+      <Text
+        x={padding}
+        y={padding}
+        width={layout.textWidth}
+        text={layout.text}
+        fontSize={note.fontSize || FUTURE_SHAPE_DEFAULTS.sticky.fontSize}
+        fontFamily={note.fontFamily || FUTURE_SHAPE_DEFAULTS.sticky.fontFamily}
+        lineHeight={lineHeight}
+        fill={note.textColor || FUTURE_SHAPE_DEFAULTS.sticky.textColor}
+        wrap="none"
+        listening={false}
+      />
+
+      {author && (
+        <Text
+          x={padding}
+          y={height - padding - authorFontSize * lineHeight}
+          width={layout.textWidth}
+          text={author}
+          fontSize={authorFontSize}
+          fontFamily={FUTURE_SHAPE_DEFAULTS.sticky.fontFamily}
+          fill="#6b7280"
+          ellipsis
+          wrap="none"
+          listening={false}
+        />
+      )}
+
+      {/* Selection / ownership outline */}
+      {highlightColor && (
+        <Rect
+          width={width}
+          height={height}
+          stroke={highlightColor}
+          strokeWidth={2 / stageScale}
+          listening={false}
+        />
+      )}
+    </Group>
+  );
+};
+
+export default StickyNoteShape;
@@ -0,0 +1,164 @@
+import { useState } from 'react';
+import { Box, Button, ButtonGroup, TextField, Typography, Popover } from '@mui/material';
+import ColorPicker from '../common/ColorPicker.jsx';
+import NumberInput from '../common/NumberInput.jsx';
+import { FUTURE_SHAPE_DEFAULTS, STROKE_ALIGN, STROKE_CAPS, STROKE_JOINS } from '../../constants/canvas.constants.js';
+import { getDashPreset, getPresetDash, getStrokeStyle } from '../../utils/strokeStyles.js';
+
+const compactButtonSx = { minWidth: 20, height: 20, px: 0.5, py: 0, fontSize: '0.75rem' };
+
+const ALIGN_OPTIONS = [
+  { value: STROKE_ALIGN.INSIDE, label: 'Inside' },
+  { value: STROKE_ALIGN.CENTER, label: 'Center' },
+  { value: STROKE_ALIGN.OUTSIDE, label: 'Outside' }
+];
+const DASH_OPTIONS = [
+  { value: 'SOLID', icon: '─', label: 'Solid' },
+  { value: 'DASHED', icon: '╌', label: 'Dashed' },
+  { value: 'DOTTED', icon: '┈', label: 'Dotted' }
+];
+const CAP_OPTIONS = [
+  { value: STROKE_CAPS.BUTT, label: 'Butt' },
+  { value: STROKE_CAPS.ROUND, label: 'Round' },
+  { value: STROKE_CAPS.SQUARE, label: 'Square' }
+];
+const JOIN_OPTIONS = [
+  { value: STROKE_JOINS.MITER, label: 'Miter' },
+  { value: STROKE_JOINS.ROUND, label: 'Round' },
+  { value: STROKE_JOINS.BEVEL, label: 'Bevel' }
+];
+
+const MAX_DASH_VALUES = 8;
+
+/**
+ * Parse a typed dash pattern ("6, 3") into a dash array
+ * @returns {Array|null} Dash array, or null if the text isn't a pattern
+ */
+const parseDash = (text) => {
+  const values = text.split(/[\s,]+/).filter(Boolean).map(Number);
+  const isValid = values.length <= MAX_DASH_VALUES && values.every(value => Number.isFinite(value) && value >= 0);
+  return isValid ? values : null;
+};
+
+/**
+ * OptionButtons - One row of mutually exclusive options
+ */
+const OptionButtons = ({ label, options, value, onChange }) => (
+  <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+    <Typography variant="caption" color="grey.600" sx={{ width: 40 }}>{label}</Typography>
+    <ButtonGroup size="small" variant="outlined" sx={{ height: 20 }}>
+      {options.map(option => (
+        <Button
+          key={option.value}
+          onClick={() => onChange(option.value)}
+          variant={value === option.value ? 'contained' : 'outlined'}
+          title={option.label}
+          sx={compactButtonSx}
+        >
+          {option.icon || option.label}
+        </Button>
+      ))}
+    </ButtonGroup>
+  </Box>
+);
+
+/**
+ * StrokePanel - Stroke color, width, alignment, dash, caps and joins of a shape
+ *
+ * Opens from a stroke swatch next to the fill. A width of 0 removes the
+ * stroke. Every change is saved as one property update.
+ *
+ * @param {Object} shape - Selected rectangle, ellipse, star or polygon
+ * @param {Function} onChange - Called with stroke property updates
+ */
+const StrokePanel = ({ shape, onChange }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const style = getStrokeStyle(shape);
+  const dashPreset = getDashPreset(style.dash);
+  const [dashText, setDashText] = useState(null);
+
+  const handleWidthChange = (width) => {
+    // Keep preset dashes in proportion to the new width
+    onChange(dashPreset === 'SOLID' ? { strokeWidth: width } : { strokeWidth: width, dash: getPresetDash(dashPreset, width || 1) });
+  };
+
+  // Picking a color for a shape without a stroke gives it one
+  const handleColorChange = (stroke) => {
+    onChange(style.width > 0 ? { stroke } : { stroke, strokeWidth: FUTURE_SHAPE_DEFAULTS.stroke.width });
+  };
+
+  const commitDashText = () => {
+    const dash = dashText === null ? null : parseDash(dashText);
+    setDashText(null);
+    if (dash && dash.join(',') !== style.dash.join(',')) onChange({ dash });
+  };
+
+  return (
+    <>
+      <Box
+        onClick={(event) => setAnchorEl(event.currentTarget)}
+        title={style.width > 0 ? `Stroke: ${style.color.toUpperCase()}, ${style.width}px ${style.align}` : 'No stroke - Click to add one'}
+        sx={{
+          width: 20,
+          height: 20,
+          boxSizing: 'border-box',
+          borderRadius: 0.5,
+          border: `${style.width > 0 ? 4 : 1}px ${style.width > 0 && dashPreset !== 'SOLID' ? 'dashed' : 'solid'}`,
+          borderColor: style.width > 0 ? style.color : 'grey.400',
+          cursor: 'pointer'
+        }}
+      />
+      <Popover
+        open={Boolean(anchorEl)}
+        anchorEl={anchorEl}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'center' }}
+        sx={{ mt: 1 }}
+      >
+        <Box sx={{ p: 1, display: 'flex', flexDirection: 'column', gap: 1, width: 240 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+            <Typography variant="caption" fontWeight={500} sx={{ width: 40 }}>Stroke</Typography>
+            <ColorPicker value={style.color} gradients={false} onChange={handleColorChange} />
+            <NumberInput
+              key={`width-${style.width}`}
+              value={style.width}
+              min={0}
+              max={FUTURE_SHAPE_DEFAULTS.stroke.maxWidth}
+              title="Stroke width (0 for none)"
+              onCommit={handleWidthChange}
+            />
+            <Typography variant="caption" color="grey.600">px</Typography>
+          </Box>
+
+          <OptionButtons label="Align" options={ALIGN_OPTIONS} value={style.align} onChange={(strokeAlign) => onChange({ strokeAlign })} />
+
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+            <OptionButtons
+              label="Dash"
+              options={DASH_OPTIONS}
+              value={dashPreset}
+              onChange={(preset) => onChange({ dash: getPresetDash(preset, style.width || 1) })}
+            />
+            <TextField
+              value={dashText ?? style.dash.join(', ')}
+              onChange={(event) => setDashText(event.target.value)}
+              onBlur={commitDashText}
+              onKeyDown={(event) => event.key === 'Enter' && event.target.blur()}
+              placeholder="e.g. 6, 3"
+              title="Dash pattern: dash and gap lengths"
+              size="small"
+              variant="standard"
+              sx={{ flex: 1, '& input': { fontSize: '0.75rem', py: 0 } }}
+            />
+          </Box>
+
+          <OptionButtons label="Caps" options={CAP_OPTIONS} value={style.lineCap} onChange={(lineCap) => onChange({ lineCap })} />
+          <OptionButtons label="Joins" options={JOIN_OPTIONS} value={style.lineJoin} onChange={(lineJoin) => onChange({ lineJoin })} />
+        </Box>
+      </Popover>
+    </>
+  );
+};
+
+export default StrokePanel;
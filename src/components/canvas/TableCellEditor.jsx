@@ -0,0 +1,101 @@
+import { useState, useEffect, useRef } from 'react';
+import { FUTURE_SHAPE_DEFAULTS } from '../../constants/canvas.constants.js';
+import { getCellRect, getCellText } from '../../utils/tableUtils.js';
+import { getRotationPivot, rotatePoint } from '../../utils/objectBounds.js';
+
+const defaults = FUTURE_SHAPE_DEFAULTS.table;
+
+/**
+ * TableCellEditor - Inline editor for one table cell
+ *
+ * An input laid over the cell on the canvas (following zoom, pan and the
+ * table's rotation) instead of the TextEditor dialog, so a table can be filled
+ * in cell by cell:
+ * - Enter or clicking away saves the cell
+ * - Tab / Shift+Tab save and move to the next / previous cell
+ * - Escape discards the edit
+ */
+const TableCellEditor = ({
+  table,              // Live table object
+  row,                // Row of the cell being edited
+  column,             // Column of the cell being edited
+  onCommit,           // (text, direction) => void; direction is 'next', 'previous' or null
+  onCancel,           // () => void
+  stageScale = 1,     // Current canvas zoom level
+  stagePos = { x: 0, y: 0 } // Current canvas pan position
+}) => {
+  const [text, setText] = useState(() => getCellText(table, row, column));
+  const inputRef = useRef(null);
+  // Enter/Tab/Escape close the editor before its blur fires; only finish once
+  const finishedRef = useRef(false);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+    inputRef.current?.select();
+  }, []);
+
+  const finish = (direction) => {
+    if (finishedRef.current) return;
+    finishedRef.current = true;
+    onCommit(text, direction);
+  };
+
+  const handleKeyDown = (e) => {
+    e.stopPropagation(); // Keep canvas shortcuts from firing while typing
+
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      finish(null);
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+      finish(e.shiftKey ? 'previous' : 'next');
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      finishedRef.current = true;
+      onCancel();
+    }
+  };
+
+  const cell = getCellRect(table, row, column);
+  const rotation = table.rotation || 0;
+  const corner = rotatePoint(
+    { x: table.x + cell.x, y: table.y + cell.y },
+    getRotationPivot(table),
+    rotation
+  );
+  const fontSize = (table.fontSize || defaults.fontSize) * stageScale;
+  const isHeader = table.headerRow !== false && row === 0;
+
+  return (
+    <input
+      ref={inputRef}
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onKeyDown={handleKeyDown}
+      onBlur={() => finish(null)}
+      aria-label={`Cell ${row + 1}, ${column + 1}`}
+      style={{
+        position: 'absolute',
+        left: corner.x * stageScale + stagePos.x,
+        top: corner.y * stageScale + stagePos.y,
+        width: cell.width * stageScale,
+        height: cell.height * stageScale,
+        transform: `rotate(${rotation}deg)`,
+        transformOrigin: '0 0',
+        boxSizing: 'border-box',
+        margin: 0,
+        padding: `0 ${defaults.cellPadding * stageScale}px`,
+        border: '2px solid #2563eb',
+        outline: 'none',
+        background: isHeader ? (table.headerFill || defaults.headerFill) : (table.fill || defaults.fill),
+        color: table.textColor || defaults.textColor,
+        fontSize,
+        fontFamily: table.fontFamily || defaults.fontFamily,
+        fontWeight: isHeader ? 'bold' : 'normal',
+        zIndex: 10
+      }}
+    />
+  );
+};
+
+export default TableCellEditor;
@@ -0,0 +1,110 @@
+import React from 'react';
+import { Group, Rect, Text, Line } from 'react-konva';
+import { FUTURE_SHAPE_DEFAULTS } from '../../constants/canvas.constants.js';
+import { getColumnWidths, getRowHeights, getCellText } from '../../utils/tableUtils.js';
+
+const defaults = FUTURE_SHAPE_DEFAULTS.table;
+
+/**
+ * TableShape - Renders a table's grid, header row and cell text
+ *
+ * Tables are stored by the top-left of their box and rotate around the box
+ * center like rectangles. Column widths and row heights are scaled to fill the
+ * box (getColumnWidths/getRowHeights), so the grid always matches the handles.
+ * Cell text is clipped to one line per cell with an ellipsis; the inline cell
+ * editor shows the full text while editing.
+ */
+const TableShape = ({ table, highlightColor = null, opacity = 1, stageScale = 1, editingCell = null }) => {
+  const width = table.width || 0;
+  const height = table.height || 0;
+  const columnWidths = getColumnWidths(table);
+  const rowHeights = getRowHeights(table);
+  const columnStarts = columnWidths.map((_, i) => columnWidths.slice(0, i).reduce((a, b) => a + b, 0));
+  const rowStarts = rowHeights.map((_, i) => rowHeights.slice(0, i).reduce((a, b) => a + b, 0));
+  const stroke = table.stroke || defaults.stroke;
+  const strokeWidth = table.strokeWidth ?? defaults.strokeWidth;
+  const fontSize = table.fontSize || defaults.fontSize;
+  const headerRow = table.headerRow !== false;
+
+  return (
+    <Group
+      x={(table.x || 0) + width / 2}
+      y={(table.y || 0) + height / 2}
+      offsetX={width / 2}
+      offsetY={height / 2}
+      rotation={table.rotation || 0}
+      opacity={opacity}
+      listening={false}
+    >
+      <Rect width={width} height={height} fill={table.fill || defaults.fill} listening={false} />
+
+      {headerRow && (
+        <Rect
+          width={width}
+          height={rowHeights[0]}
+          fill={table.headerFill || defaults.headerFill}
+          listening={false}
+        />
+      )}
+
+      {editingCell && editingCell.row < rowHeights.length && editingCell.column < columnWidths.length && (
+        <Rect
+          x={columnStarts[editingCell.column]}
+          y={rowStarts[editingCell.row]}
+          width={columnWidths[editingCell.column]}
+          height={rowHeights[editingCell.row]}
+          fill="#2563eb"
+          opacity={0.08}
+          listening={false}
+        />
+      )}
+
+      {rowHeights.map((rowHeight, row) => columnWidths.map((columnWidth, column) => {
+        const text = getCellText(table, row, column);
+        if (!text) return null;
+
+        return (
+          <Text
+            key={`cell-${row}-${column}`}
+            x={columnStarts[column] + defaults.cellPadding}
+            y={rowStarts[row]}
+            width={Math.max(1, columnWidth - defaults.cellPadding * 2)}
+            height={rowHeight}
+            text={text}
+            fontSize={fontSize}
+            fontFamily={table.fontFamily || defaults.fontFamily}
+            fontStyle={headerRow && row === 0 ? 'bold' : 'normal'}
+            fill={table.textColor || defaults.textColor}
+            verticalAlign="middle"
+            wrap="none"
+            ellipsis
+            listening={false}
+          />
+        );
+      }))}
+
+      {/* Inner grid lines */}
+      {columnStarts.slice(1).map((x, i) => (
+        <Line key={`column-line-${i}`} points={[x, 0, x, height]} stroke={stroke} strokeWidth={strokeWidth} listening={false} />
+      ))}
+      {rowStarts.slice(1).map((y, i) => (
+        <Line key={`row-line-${i}`} points={[0, y, width, y]} stroke={stroke} strokeWidth={strokeWidth} listening={false} />
+      ))}
+
+      <Rect width={width} height={height} stroke={stroke} strokeWidth={strokeWidth} listening={false} />
+
+      {/* Selection / ownership outline */}
+      {highlightColor && (
+        <Rect
+          width={width}
+          height={height}
+          stroke={highlightColor}
+          strokeWidth={2 / stageScale}
+          listening={false}
+        />
+      )}
+    </Group>
+  );
+};
+
+export default TableShape;
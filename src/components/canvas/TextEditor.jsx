@@ -28,6 +28,7 @@ import {
   Palette as PaletteIcon,
   TextFields as TextFieldsIcon
 } from '@mui/icons-material';
+import { getRegisteredFonts, loadFont } from '../../utils/fontRegistry.js';
 
 /**
  * TextEditor - Professional Material-UI modal for text editing
@@ -47,7 +48,9 @@ const TextEditor = ({
   onSave,            // (text, formatting) => void
   onCancel,          // () => void
   stageScale = 1,    // Current canvas zoom level
-  stagePos = { x: 0, y: 0 } // Current canvas pan position
+  stagePos = { x: 0, y: 0 }, // Current canvas pan position
+  objectLabel = 'Text', // What is being written, e.g. 'Sticky Note' (dialog title and save button)
+  fonts = getRegisteredFonts() // Fonts the picker offers ({ family, source })
 }) => {
   const [open, setOpen] = useState(true);
   const [text, setText] = useState(initialText);
@@ -124,16 +127,7 @@ const TextEditor = ({
   };
 
   const fontSizeOptions = [12, 14, 16, 18, 20, 24, 28, 32, 36, 40, 48, 56, 64];
-  const fontFamilyOptions = [
-    'Arial',
-    'Helvetica',
-    'Times New Roman',
-    'Georgia',
-    'Verdana',
-    'Courier New',
-    'Impact',
-    'Comic Sans MS'
-  ];
+  const fontFamilyOptions = [...new Set([...fonts.map(font => font.family), fontFamily])];
 
   return (
     <Dialog
@@ -165,7 +159,7 @@ const TextEditor = ({
         <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
           <TextFieldsIcon />
           <Typography variant="h6" component="div">
-            {initialText ? 'Edit Text' : 'Add Text'}
+            {initialText ? `Edit ${objectLabel}` : `Add ${objectLabel}`}
           </Typography>
         </Box>
         <IconButton
@@ -261,6 +255,8 @@ const TextEditor = ({
                   value={fontFamily}
                   label="Font"
                   onChange={(e) => setFontFamily(e.target.value)}
+                  // Load every font so each option previews in its own font
+                  onOpen={() => fontFamilyOptions.forEach(loadFont)}
                 >
                   {fontFamilyOptions.map((font) => (
                     <MenuItem key={font} value={font} sx={{ fontFamily: font }}>
@@ -387,7 +383,7 @@ const TextEditor = ({
               `linear-gradient(135deg, ${theme.palette.primary.main} 0%, ${theme.palette.primary.dark} 100%)`,
           }}
         >
-          {initialText ? 'Update Text' : 'Add Text'}
+          {initialText ? `Update ${objectLabel}` : `Add ${objectLabel}`}
         </Button>
       </DialogActions>
     </Dialog>
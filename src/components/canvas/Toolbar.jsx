@@ -2,6 +2,24 @@ import { useState, useRef, useEffect } from 'react';
 import { Box, Paper, Button, ButtonGroup, Divider, TextField, Typography, Popover } from '@mui/material';
 import { SketchPicker } from 'react-color';
 import ShapeToolDropdown from './ShapeToolDropdown';
+import ColorPicker from '../common/ColorPicker.jsx';
+import EffectsPanel from './EffectsPanel.jsx';
+import StrokePanel from './StrokePanel.jsx';
+import {
+  BACKGROUND_PATTERNS,
+  ARROWHEAD_STYLES,
+  LINE_ROUTING,
+  FUTURE_SHAPE_DEFAULTS,
+  GRID_SIZE_OPTIONS,
+  GRID_SUBDIVISION_OPTIONS
+} from '../../constants/canvas.constants.js';
+import { clampPolygonSides } from '../../utils/polygonGeometry.js';
+import { getEllipseRadii, isEllipse } from '../../utils/ellipseGeometry.js';
+import { CORNER_RADIUS_CORNERS, normalizeCornerRadii, toCornerRadiusValue } from '../../utils/cornerRadius.js';
+import { IMAGE_MIME_TYPES, isImageCropped } from '../../utils/imageGeometry.js';
+import { resizeTableGrid } from '../../utils/tableUtils.js';
+import { GRADIENT_FILL_TYPES, isGradientFill } from '../../utils/gradients.js';
+import { STROKE_TYPES, getDashPreset, getPresetDash } from '../../utils/strokeStyles.js';
 
 // Tool constants - separated by type for better organization
 export const TOOLS = {
@@ -14,7 +32,16 @@ export const TOOLS = {
   TEXT: 'text',
   RECTANGLE: 'rectangle',
   CIRCLE: 'circle',
-  STAR: 'star'
+  STAR: 'star',
+  POLYGON: 'polygon',
+  TRIANGLE: 'triangle',
+  LINE: 'line',
+  ARROW: 'arrow',
+  PENCIL: 'pencil',
+  PEN: 'pen',
+  FRAME: 'frame',
+  STICKY: 'sticky',
+  TABLE: 'table'
 };
 
 // Selection tools (navigation and selection)
@@ -23,9 +50,9 @@ const SELECTION_TOOLS = [TOOLS.PAN, TOOLS.SELECT, TOOLS.DELETE];
 // Modification tools (work on existing shapes)
 const MODIFICATION_TOOLS = [TOOLS.MOVE, TOOLS.RESIZE, TOOLS.ROTATE];
 
-// Shape tools (create new shapes) - Text kept separate, geometric shapes in dropdown
-const SHAPE_TOOLS = [TOOLS.TEXT];
-const GEOMETRIC_SHAPES = [TOOLS.RECTANGLE, TOOLS.CIRCLE, TOOLS.STAR];
+// Shape tools (create new shapes) - Text, Sticky Note, Table, Pencil, Pen and Frame kept separate, geometric shapes in dropdown
+const SHAPE_TOOLS = [TOOLS.TEXT, TOOLS.STICKY, TOOLS.TABLE, TOOLS.PENCIL, TOOLS.PEN, TOOLS.FRAME];
+const GEOMETRIC_SHAPES = [TOOLS.RECTANGLE, TOOLS.CIRCLE, TOOLS.STAR, TOOLS.POLYGON, TOOLS.TRIANGLE, TOOLS.LINE, TOOLS.ARROW];
 
 /**
  * ColorSquare - Inline colored square that opens color picker
@@ -96,6 +123,532 @@ const ColorSquare = ({ color, onChange, disabled = false }) => {
   );
 };
 
+/**
+ * GridControls - Layout grid toggles with a popover for the grid spacing
+ * Grid changes are saved on the canvas, so collaborators share the same grid.
+ */
+const GridControls = ({ grid, onChange }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const buttonSx = { minWidth: 20, width: 20, height: 20, px: 0.25, py: 0, fontSize: '0.75rem' };
+  const optionSx = { minWidth: 32, height: 24, px: 0.5, fontSize: '0.75rem' };
+
+  return (
+    <>
+      <ButtonGroup size="small" variant="outlined" sx={{ height: 20 }}>
+        <Button
+          onClick={() => onChange({ visible: !grid.visible })}
+          variant={grid.visible ? 'contained' : 'outlined'}
+          title={grid.visible ? 'Hide grid' : 'Show grid'}
+          sx={buttonSx}
+        >
+          ⊞
+        </Button>
+        <Button
+          onClick={() => onChange({ snap: !grid.snap })}
+          variant={grid.snap ? 'contained' : 'outlined'}
+          title={grid.snap ? 'Stop snapping to grid' : 'Snap to grid (hold Ctrl/Cmd to place freely)'}
+          sx={buttonSx}
+        >
+          🧲
+        </Button>
+        <Button
+          onClick={(event) => setAnchorEl(event.currentTarget)}
+          title={`Grid spacing: ${grid.size}px, ${grid.subdivisions} subdivision${grid.subdivisions === 1 ? '' : 's'}`}
+          sx={{ ...buttonSx, width: 'auto', minWidth: 28 }}
+        >
+          {grid.size}
+        </Button>
+      </ButtonGroup>
+      <Popover
+        open={Boolean(anchorEl)}
+        anchorEl={anchorEl}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'center' }}
+        sx={{ mt: 1 }}
+      >
+        <Box sx={{ p: 1.5, display: 'flex', flexDirection: 'column', gap: 1 }}>
+          <Typography variant="caption" color="grey.600">Grid size</Typography>
+          <ButtonGroup size="small" variant="outlined">
+            {GRID_SIZE_OPTIONS.map(size => (
+              <Button
+                key={size}
+                onClick={() => onChange({ size })}
+                variant={grid.size === size ? 'contained' : 'outlined'}
+                sx={optionSx}
+              >
+                {size}
+              </Button>
+            ))}
+          </ButtonGroup>
+          <Typography variant="caption" color="grey.600">Subdivisions</Typography>
+          <ButtonGroup size="small" variant="outlined">
+            {GRID_SUBDIVISION_OPTIONS.map(subdivisions => (
+              <Button
+                key={subdivisions}
+                onClick={() => onChange({ subdivisions })}
+                variant={grid.subdivisions === subdivisions ? 'contained' : 'outlined'}
+                sx={optionSx}
+              >
+                {subdivisions}
+              </Button>
+            ))}
+          </ButtonGroup>
+        </Box>
+      </Popover>
+    </>
+  );
+};
+
+// Canvas background pattern options shown next to the background color
+const BACKGROUND_PATTERN_OPTIONS = [
+  { value: BACKGROUND_PATTERNS.NONE, icon: '▢', label: 'No pattern' },
+  { value: BACKGROUND_PATTERNS.GRID, icon: '#', label: 'Grid pattern' },
+  { value: BACKGROUND_PATTERNS.DOTS, icon: '⋯', label: 'Dot pattern' }
+];
+
+// Stroke options shown when a line or arrow is selected
+const LINE_WIDTH_OPTIONS = [1, 2, 4, 8];
+const IMAGE_OPACITY_OPTIONS = [1, 0.75, 0.5, 0.25];
+const LINE_DASH_OPTIONS = [
+  { value: 'SOLID', icon: '─', label: 'Solid line' },
+  { value: 'DASHED', icon: '╌', label: 'Dashed line' },
+  { value: 'DOTTED', icon: '┈', label: 'Dotted line' }
+];
+const LINE_ROUTING_OPTIONS = [
+  { value: LINE_ROUTING.STRAIGHT, icon: '╱', label: 'Straight route' },
+  { value: LINE_ROUTING.ELBOW, icon: '┘', label: 'Elbow route' }
+];
+const ARROWHEAD_OPTIONS = [
+  { value: ARROWHEAD_STYLES.NONE, startIcon: '─', endIcon: '─', label: 'No arrowhead' },
+  { value: ARROWHEAD_STYLES.ARROW, startIcon: '←', endIcon: '→', label: 'Arrow' },
+  { value: ARROWHEAD_STYLES.TRIANGLE, startIcon: '◀', endIcon: '▶', label: 'Triangle' },
+  { value: ARROWHEAD_STYLES.CIRCLE, startIcon: '●', endIcon: '●', label: 'Circle' }
+];
+
+const compactButtonSx = { minWidth: 20, height: 20, px: 0.5, py: 0, fontSize: '0.75rem' };
+
+/**
+ * LineStyleControls - Stroke width, dash, routing and arrowhead controls for lines/arrows
+ * Arrowhead buttons cycle through the available styles on each click.
+ */
+const LineStyleControls = ({ line, onChange }) => {
+  const strokeWidth = line.strokeWidth || FUTURE_SHAPE_DEFAULTS.line.strokeWidth;
+  const dashPreset = getDashPreset(line.dash);
+  const routing = line.routing || LINE_ROUTING.STRAIGHT;
+
+  const handleWidthChange = (width) => {
+    onChange(dashPreset === 'SOLID' ? { strokeWidth: width } : { strokeWidth: width, dash: getPresetDash(dashPreset, width) });
+  };
+
+  const cycleArrowhead = (key) => {
+    const currentIndex = ARROWHEAD_OPTIONS.findIndex(option => option.value === (line[key] || ARROWHEAD_STYLES.NONE));
+    const next = ARROWHEAD_OPTIONS[(currentIndex + 1) % ARROWHEAD_OPTIONS.length];
+    onChange({ [key]: next.value });
+  };
+
+  const getArrowheadOption = (key) => {
+    return ARROWHEAD_OPTIONS.find(option => option.value === line[key]) || ARROWHEAD_OPTIONS[0];
+  };
+
+  const startOption = getArrowheadOption('startArrowhead');
+  const endOption = getArrowheadOption('endArrowhead');
+
+  return (
+    <>
+      <ButtonGroup size="small" variant="outlined" sx={{ height: 20 }}>
+        {LINE_WIDTH_OPTIONS.map(width => (
+          <Button
+            key={width}
+            onClick={() => handleWidthChange(width)}
+            variant={strokeWidth === width ? 'contained' : 'outlined'}
+            title={`Stroke width ${width}px`}
+            sx={compactButtonSx}
+          >
+            {width}
+          </Button>
+        ))}
+      </ButtonGroup>
+      <ButtonGroup size="small" variant="outlined" sx={{ height: 20 }}>
+        {LINE_DASH_OPTIONS.map(option => (
+          <Button
+            key={option.value}
+            onClick={() => onChange({ dash: getPresetDash(option.value, strokeWidth) })}
+            variant={dashPreset === option.value ? 'contained' : 'outlined'}
+            title={option.label}
+            sx={compactButtonSx}
+          >
+            {option.icon}
+          </Button>
+        ))}
+      </ButtonGroup>
+      <ButtonGroup size="small" variant="outlined" sx={{ height: 20 }}>
+        {LINE_ROUTING_OPTIONS.map(option => (
+          <Button
+            key={option.value}
+            onClick={() => onChange({ routing: option.value })}
+            variant={routing === option.value ? 'contained' : 'outlined'}
+            title={option.label}
+            sx={compactButtonSx}
+          >
+            {option.icon}
+          </Button>
+        ))}
+      </ButtonGroup>
+      <ButtonGroup size="small" variant="outlined" sx={{ height: 20 }}>
+        <Button
+          onClick={() => cycleArrowhead('startArrowhead')}
+          title={`Start: ${startOption.label} (click to change)`}
+          sx={compactButtonSx}
+        >
+          {startOption.startIcon}
+        </Button>
+        <Button
+          onClick={() => cycleArrowhead('endArrowhead')}
+          title={`End: ${endOption.label} (click to change)`}
+          sx={compactButtonSx}
+        >
+          {endOption.endIcon}
+        </Button>
+      </ButtonGroup>
+    </>
+  );
+};
+
+/**
+ * PolygonSidesControls - Side count stepper for polygons and triangles
+ */
+const PolygonSidesControls = ({ polygon, onChange }) => {
+  const { minSides, maxSides } = FUTURE_SHAPE_DEFAULTS.polygon;
+  const sides = clampPolygonSides(polygon.sides);
+
+  return (
+    <ButtonGroup size="small" variant="outlined" sx={{ height: 20 }}>
+      <Button
+        onClick={() => onChange({ sides: sides - 1 })}
+        disabled={sides <= minSides}
+        title="Fewer sides"
+        sx={compactButtonSx}
+      >
+        −
+      </Button>
+      <Button disabled title={`${sides} sides`} sx={{ ...compactButtonSx, '&.Mui-disabled': { color: 'text.primary' } }}>
+        {sides}
+      </Button>
+      <Button
+        onClick={() => onChange({ sides: sides + 1 })}
+        disabled={sides >= maxSides}
+        title="More sides"
+        sx={compactButtonSx}
+      >
+        +
+      </Button>
+    </ButtonGroup>
+  );
+};
+
+const CORNER_LABELS = { nw: 'Top left', ne: 'Top right', se: 'Bottom right', sw: 'Bottom left' };
+
+/**
+ * RadiusInput - Number field that commits on Enter or blur (one undo step per edit)
+ */
+const RadiusInput = ({ value, placeholder, title, onCommit }) => {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft === null) return;
+    const radius = Number(draft);
+    setDraft(null);
+    if (draft !== '' && Number.isFinite(radius) && radius >= 0) {
+      onCommit(Math.min(Math.round(radius), FUTURE_SHAPE_DEFAULTS.rectangle.maxCornerRadius));
+    }
+  };
+
+  return (
+    <TextField
+      variant="standard"
+      type="number"
+      value={draft ?? value ?? ''}
+      placeholder={placeholder}
+      title={title}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') setDraft(null);
+        e.stopPropagation(); // Keep digits and Backspace away from the canvas shortcuts
+      }}
+      inputProps={{ min: 0, 'aria-label': title }}
+      sx={{ width: 36, '& input': { py: 0, fontSize: '0.75rem', textAlign: 'center' } }}
+    />
+  );
+};
+
+/**
+ * CornerRadiusControls - Uniform corner radius field, or one field per corner
+ * The per-corner toggle starts on when the rectangle already has mixed radii.
+ */
+const CornerRadiusControls = ({ rect, onChange }) => {
+  const radii = normalizeCornerRadii(rect.cornerRadius);
+  const isMixed = radii.some(radius => radius !== radii[0]);
+  const [perCorner, setPerCorner] = useState(isMixed);
+
+  const handleCornerChange = (index, radius) => {
+    onChange({ cornerRadius: toCornerRadiusValue(radii.map((value, i) => (i === index ? radius : value))) });
+  };
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+      <Typography variant="caption" color="grey.600" title="Corner radius">◜</Typography>
+      {perCorner ? (
+        CORNER_RADIUS_CORNERS.map((corner, i) => (
+          <RadiusInput
+            key={corner}
+            value={radii[i]}
+            title={`${CORNER_LABELS[corner]} radius`}
+            onCommit={(radius) => handleCornerChange(i, radius)}
+          />
+        ))
+      ) : (
+        <RadiusInput
+          value={isMixed ? null : radii[0]}
+          placeholder={isMixed ? 'Mixed' : undefined}
+          title="Corner radius"
+          onCommit={(radius) => onChange({ cornerRadius: radius })}
+        />
+      )}
+      <Button
+        onClick={() => setPerCorner(!perCorner)}
+        variant={perCorner ? 'contained' : 'outlined'}
+        size="small"
+        title="Independent corners"
+        sx={{ ...compactButtonSx, height: 20 }}
+      >
+        ⛶
+      </Button>
+    </Box>
+  );
+};
+
+/**
+ * ImageControls - Opacity presets and crop reset for images
+ * Images are cropped by Ctrl/Cmd-dragging a corner with the resize tool.
+ */
+const ImageControls = ({ image, onChange }) => {
+  const opacity = image.opacity ?? 1;
+
+  return (
+    <>
+      <ButtonGroup size="small" variant="outlined" sx={{ height: 20 }}>
+        {IMAGE_OPACITY_OPTIONS.map(value => (
+          <Button
+            key={value}
+            onClick={() => onChange({ opacity: value })}
+            variant={opacity === value ? 'contained' : 'outlined'}
+            title={`Opacity ${value * 100}%`}
+            sx={compactButtonSx}
+          >
+            {value * 100}%
+          </Button>
+        ))}
+      </ButtonGroup>
+      <Button
+        onClick={() => onChange({
+          crop: null,
+          // Restore the file's aspect ratio at the current width
+          height: image.width * (image.naturalHeight / image.naturalWidth)
+        })}
+        disabled={!isImageCropped(image)}
+        variant="outlined"
+        size="small"
+        title="Reset crop (Ctrl/Cmd-drag a corner with the resize tool to crop)"
+        sx={{ ...compactButtonSx, height: 20 }}
+      >
+        ⧉
+      </Button>
+    </>
+  );
+};
+
+/**
+ * FrameControls - Name, content clipping and PNG export for frames
+ * The name is saved on Enter or when the field loses focus.
+ */
+const FrameControls = ({ frame, onChange, onExport }) => {
+  const [draftName, setDraftName] = useState(null);
+  const clipContent = frame.clipContent !== false;
+
+  const commitName = () => {
+    if (draftName === null) return;
+    const name = draftName.trim();
+    setDraftName(null);
+    if (name && name !== frame.name) {
+      onChange({ name });
+    }
+  };
+
+  return (
+    <>
+      <TextField
+        variant="standard"
+        value={draftName ?? frame.name ?? ''}
+        placeholder="Frame name"
+        onChange={(e) => setDraftName(e.target.value)}
+        onBlur={commitName}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') e.target.blur();
+          if (e.key === 'Escape') setDraftName(null);
+          e.stopPropagation(); // Keep canvas shortcuts from firing while typing
+        }}
+        inputProps={{ 'aria-label': 'Frame name', style: { fontSize: '0.75rem', padding: 0 } }}
+        sx={{ width: 96 }}
+      />
+      <Button
+        onClick={() => onChange({ clipContent: !clipContent })}
+        variant={clipContent ? 'contained' : 'outlined'}
+        size="small"
+        title={clipContent ? 'Clip content (on)' : 'Clip content (off)'}
+        sx={{ ...compactButtonSx, height: 20 }}
+      >
+        ⬚
+      </Button>
+      {onExport && (
+        <Button
+          onClick={() => onExport(frame.id)}
+          variant="outlined"
+          size="small"
+          title="Export frame as PNG"
+          sx={{ ...compactButtonSx, height: 20 }}
+        >
+          PNG
+        </Button>
+      )}
+    </>
+  );
+};
+
+/**
+ * TableControls - Row/column counts and header styling for tables
+ * Rows and columns are added or removed at the end, keeping the other cells.
+ */
+const TableControls = ({ table, onChange }) => {
+  const { maxRows, maxColumns } = FUTURE_SHAPE_DEFAULTS.table;
+  const rows = table.rows || 1;
+  const columns = table.columns || 1;
+  const headerRow = table.headerRow !== false;
+
+  const stepper = (label, value, max, toGrid) => (
+    <ButtonGroup size="small" variant="outlined" sx={{ height: 20 }}>
+      <Button
+        onClick={() => onChange(toGrid(value - 1))}
+        disabled={value <= 1}
+        title={`Remove ${label}`}
+        sx={compactButtonSx}
+      >
+        −
+      </Button>
+      <Button disabled title={`${value} ${label}s`} sx={{ ...compactButtonSx, '&.Mui-disabled': { color: 'text.primary' } }}>
+        {value}
+      </Button>
+      <Button
+        onClick={() => onChange(toGrid(value + 1))}
+        disabled={value >= max}
+        title={`Add ${label}`}
+        sx={compactButtonSx}
+      >
+        +
+      </Button>
+    </ButtonGroup>
+  );
+
+  return (
+    <>
+      {stepper('row', rows, maxRows, count => resizeTableGrid(table, count, columns))}
+      <Typography variant="caption" color="grey.600">×</Typography>
+      {stepper('column', columns, maxColumns, count => resizeTableGrid(table, rows, count))}
+      <Button
+        onClick={() => onChange({ headerRow: !headerRow })}
+        variant={headerRow ? 'contained' : 'outlined'}
+        size="small"
+        title={headerRow ? 'Header row (on)' : 'Header row (off)'}
+        sx={{ ...compactButtonSx, height: 20 }}
+      >
+        H
+      </Button>
+      {headerRow && (
+        <ColorSquare
+          color={table.headerFill || FUTURE_SHAPE_DEFAULTS.table.headerFill}
+          onChange={(headerFill) => onChange({ headerFill })}
+        />
+      )}
+    </>
+  );
+};
+
+/**
+ * StickyPalette - Quick note colors
+ * Picks the color of the selected note, or of new notes when nothing is selected.
+ */
+const StickyPalette = ({ color, onChange }) => (
+  <Box sx={{ display: 'flex', gap: 0.25 }}>
+    {FUTURE_SHAPE_DEFAULTS.sticky.palette.map(swatch => (
+      <Box
+        key={swatch}
+        component="button"
+        type="button"
+        onClick={() => onChange(swatch)}
+        title={swatch}
+        aria-label={`Note color ${swatch}`}
+        sx={{
+          width: 14,
+          height: 14,
+          p: 0,
+          bgcolor: swatch,
+          border: 1,
+          borderColor: swatch === color ? 'grey.800' : 'grey.400',
+          borderRadius: 0.5,
+          cursor: 'pointer'
+        }}
+      />
+    ))}
+  </Box>
+);
+
+/**
+ * ImageUploadButton - Opens the file picker for PNG, JPEG and SVG images
+ */
+const ImageUploadButton = ({ onUpload }) => {
+  const inputRef = useRef(null);
+
+  return (
+    <>
+      <Button
+        onClick={() => inputRef.current?.click()}
+        variant="outlined"
+        size="small"
+        title="Upload Image (or drop/paste onto the canvas)"
+        sx={{ minWidth: 32, width: 32, height: 32, px: 0.5, py: 0.5, fontSize: '1.125rem' }}
+      >
+        <Box component="span" role="img" aria-label="Upload Image">
+          🖼️
+        </Box>
+      </Button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={Object.keys(IMAGE_MIME_TYPES).join(',')}
+        multiple
+        hidden
+        data-testid="image-upload-input"
+        onChange={(e) => {
+          if (e.target.files?.length) onUpload(Array.from(e.target.files));
+          e.target.value = ''; // Allow picking the same file again
+        }}
+      />
+    </>
+  );
+};
+
 // Tool configurations with icons, labels, and cursors
 const TOOL_CONFIG = {
   [TOOLS.PAN]: {
@@ -162,6 +715,69 @@ const TOOL_CONFIG = {
     shortLabel: 'Star',
     cursor: 'crosshair',
     shortcut: ''
+  },
+  [TOOLS.POLYGON]: {
+    icon: '⬡',
+    label: 'Polygon Tool',
+    shortLabel: 'Polygon',
+    cursor: 'crosshair',
+    shortcut: 'Press G'
+  },
+  [TOOLS.TRIANGLE]: {
+    icon: '△',
+    label: 'Triangle Tool',
+    shortLabel: 'Triangle',
+    cursor: 'crosshair',
+    shortcut: 'Press Shift+G'
+  },
+  [TOOLS.LINE]: {
+    icon: '╱',
+    label: 'Line Tool',
+    shortLabel: 'Line',
+    cursor: 'crosshair',
+    shortcut: 'Press L'
+  },
+  [TOOLS.ARROW]: {
+    icon: '↗',
+    label: 'Arrow Tool',
+    shortLabel: 'Arrow',
+    cursor: 'crosshair',
+    shortcut: 'Press Shift+L'
+  },
+  [TOOLS.PENCIL]: {
+    icon: '✏️',
+    label: 'Pencil Tool',
+    shortLabel: 'Pencil',
+    cursor: 'crosshair',
+    shortcut: 'Press Shift+P'
+  },
+  [TOOLS.PEN]: {
+    icon: '🖋️',
+    label: 'Pen Tool',
+    shortLabel: 'Pen',
+    cursor: 'crosshair',
+    shortcut: 'Press P - click a path to edit its points'
+  },
+  [TOOLS.FRAME]: {
+    icon: '#',
+    label: 'Frame Tool',
+    shortLabel: 'Frame',
+    cursor: 'crosshair',
+    shortcut: 'Press F'
+  },
+  [TOOLS.STICKY]: {
+    icon: '🗒️',
+    label: 'Sticky Note Tool',
+    shortLabel: 'Sticky',
+    cursor: 'crosshair',
+    shortcut: 'Press N - click a note to edit it'
+  },
+  [TOOLS.TABLE]: {
+    icon: '▦',
+    label: 'Table Tool',
+    shortLabel: 'Table',
+    cursor: 'crosshair',
+    shortcut: 'Press Shift+T - click a cell to edit it'
   }
 };
 
@@ -183,7 +799,15 @@ const Toolbar = ({
   canUndo = false,
   canRedo = false,
   undoDescription = null,
-  redoDescription = null
+  redoDescription = null,
+  canvasBackgroundColor = null,
+  canvasBackgroundPattern = BACKGROUND_PATTERNS.NONE,
+  onCanvasBackgroundChange = null,
+  canvasGrid = null,
+  onCanvasGridChange = null,
+  onObjectPropertiesChange = null,
+  onImageUpload = null,
+  onFrameExport = null
 }) => {
   const handleToolSelect = (tool) => {
     onToolChange(tool);
@@ -240,11 +864,48 @@ const Toolbar = ({
       const height = formatNumber(obj.height);
       return `Rectangle: ${width}×${height} at (${x}, ${y}, ${zIndex}) • ${rotation}°`;
     } else if (obj.type === 'circle') {
-      const radius = formatNumber(obj.radius);
-      return `Circle: r=${radius} at (${x}, ${y}, ${zIndex}) • ${rotation}°`;
+      const { radiusX, radiusY } = getEllipseRadii(obj);
+      if (isEllipse(obj)) {
+        return `Ellipse: ${formatNumber(radiusX * 2)}×${formatNumber(radiusY * 2)} at (${x}, ${y}, ${zIndex}) • ${rotation}°`;
+      }
+      return `Circle: r=${formatNumber(radiusX)} at (${x}, ${y}, ${zIndex}) • ${rotation}°`;
     } else if (obj.type === 'star') {
       const numPoints = obj.numPoints || 5;
       return `Star: ${numPoints} points at (${x}, ${y}, ${zIndex}) • ${rotation}°`;
+    } else if (obj.type === 'polygon') {
+      const radius = formatNumber(obj.radius);
+      const label = obj.sides === 3 ? 'Triangle' : `Polygon: ${obj.sides} sides,`;
+      return `${label} r=${radius} at (${x}, ${y}, ${zIndex}) • ${rotation}°`;
+    } else if (obj.type === 'line') {
+      const points = obj.points || [0, 0, 0, 0];
+      const length = formatNumber(Math.hypot(points[2] - points[0], points[3] - points[1]));
+      const hasArrowhead = [obj.startArrowhead, obj.endArrowhead].some(head => head && head !== ARROWHEAD_STYLES.NONE);
+      return `${hasArrowhead ? 'Arrow' : 'Line'}: ${length}px at (${x}, ${y}, ${zIndex}) • ${rotation}°`;
+    } else if (obj.type === 'path') {
+      const width = formatNumber(obj.width);
+      const height = formatNumber(obj.height);
+      const anchors = Array.isArray(obj.anchors)
+        ? ` • ${obj.anchors.length} anchors${obj.closed ? ', closed' : ''}`
+        : '';
+      return `Path: ${width}×${height}${anchors} at (${x}, ${y}, ${zIndex}) • ${rotation}°`;
+    } else if (obj.type === 'image') {
+      const width = formatNumber(obj.width);
+      const height = formatNumber(obj.height);
+      const cropped = isImageCropped(obj) ? ', cropped' : '';
+      return `Image: ${width}×${height}${cropped} at (${x}, ${y}, ${zIndex}) • ${rotation}°`;
+    } else if (obj.type === 'frame') {
+      const width = formatNumber(obj.width);
+      const height = formatNumber(obj.height);
+      return `Frame "${obj.name || 'Frame'}": ${width}×${height} at (${x}, ${y}, ${zIndex}) • ${rotation}°`;
+    } else if (obj.type === 'table') {
+      const width = formatNumber(obj.width);
+      const height = formatNumber(obj.height);
+      return `Table: ${obj.rows || 1}×${obj.columns || 1}, ${width}×${height} at (${x}, ${y}, ${zIndex}) • ${rotation}°`;
+    } else if (obj.type === 'sticky') {
+      const textPreview = (obj.text || '').substring(0, 20);
+      const displayText = obj.text && obj.text.length > 20 ? `${textPreview}...` : textPreview;
+      const author = obj.createdByName ? ` by ${obj.createdByName}` : '';
+      return `Sticky: "${displayText}"${author} at (${x}, ${y}, ${zIndex}) • ${rotation}°`;
     } else if (obj.type === 'text') {
       const textPreview = (obj.text || 'Text').substring(0, 20);
       const displayText = obj.text && obj.text.length > 20 ? `${textPreview}...` : textPreview;
@@ -335,7 +996,8 @@ const Toolbar = ({
   
   const line2Text = line2Parts.join(' • ');
 
-  const showColor = hasAnySelection || SHAPE_TOOLS.includes(selectedTool) || GEOMETRIC_SHAPES.includes(selectedTool);
+  // Images are drawn from their file, so they have no color
+  const showColor = (hasAnySelection && selectedObject?.type !== 'image') || SHAPE_TOOLS.includes(selectedTool) || GEOMETRIC_SHAPES.includes(selectedTool);
 
   return (
     <Box sx={{ width: '100%', display: 'flex', justifyContent: 'center' }}>
@@ -380,7 +1042,7 @@ const Toolbar = ({
           
           {/* Creation Tools */}
           <Box sx={{ display: 'flex', gap: 1 }}>
-            {/* Text Tool */}
+            {/* Text, Pencil, Pen and Frame Tools */}
             <ButtonGroup size="small" variant="outlined">
               {SHAPE_TOOLS.map(toolKey => renderToolButton(toolKey))}
             </ButtonGroup>
@@ -391,6 +1053,9 @@ const Toolbar = ({
               onToolChange={onToolChange}
               selectedColor={selectedColor}
             />
+
+            {/* Image upload */}
+            {onImageUpload && <ImageUploadButton onUpload={onImageUpload} />}
           </Box>
         </Box>
         
@@ -403,7 +1068,75 @@ const Toolbar = ({
             {hasAnySelection && showColor && (
               <>
                 <Typography variant="caption" color="grey.500">•</Typography>
-                <ColorSquare color={selectedColor} onChange={onColorChange} />
+                {GRADIENT_FILL_TYPES.includes(selectedObject?.type) && onObjectPropertiesChange ? (
+                  // Solid colors go through the selected color; gradients are stored as they are
+                  <ColorPicker
+                    value={selectedObject.fill || selectedColor}
+                    onChange={(fill) => (isGradientFill(fill) ? onObjectPropertiesChange({ fill }) : onColorChange(fill))}
+                  />
+                ) : (
+                  <ColorSquare color={selectedColor} onChange={onColorChange} />
+                )}
+              </>
+            )}
+            {STROKE_TYPES.includes(selectedObject?.type) && onObjectPropertiesChange && (
+              <StrokePanel key={selectedObject.id} shape={selectedObject} onChange={onObjectPropertiesChange} />
+            )}
+            {selectedObject?.type === 'line' && onObjectPropertiesChange && (
+              <>
+                <Typography variant="caption" color="grey.500">•</Typography>
+                <LineStyleControls line={selectedObject} onChange={onObjectPropertiesChange} />
+              </>
+            )}
+            {selectedObject?.type === 'polygon' && onObjectPropertiesChange && (
+              <>
+                <Typography variant="caption" color="grey.500">•</Typography>
+                <PolygonSidesControls polygon={selectedObject} onChange={onObjectPropertiesChange} />
+              </>
+            )}
+            {selectedObject?.type === 'rectangle' && onObjectPropertiesChange && (
+              <>
+                <Typography variant="caption" color="grey.500">•</Typography>
+                <CornerRadiusControls
+                  key={selectedObject.id}
+                  rect={selectedObject}
+                  onChange={onObjectPropertiesChange}
+                />
+              </>
+            )}
+            {selectedObject?.type === 'image' && onObjectPropertiesChange && (
+              <>
+                <Typography variant="caption" color="grey.500">•</Typography>
+                <ImageControls image={selectedObject} onChange={onObjectPropertiesChange} />
+              </>
+            )}
+            {selectedObject?.type === 'frame' && onObjectPropertiesChange && (
+              <>
+                <Typography variant="caption" color="grey.500">•</Typography>
+                <FrameControls
+                  key={selectedObject.id}
+                  frame={selectedObject}
+                  onChange={onObjectPropertiesChange}
+                  onExport={onFrameExport}
+                />
+              </>
+            )}
+            {selectedObject?.type === 'table' && onObjectPropertiesChange && (
+              <>
+                <Typography variant="caption" color="grey.500">•</Typography>
+                <TableControls table={selectedObject} onChange={onObjectPropertiesChange} />
+              </>
+            )}
+            {selectedObject?.type === 'sticky' && (
+              <>
+                <Typography variant="caption" color="grey.500">•</Typography>
+                <StickyPalette color={selectedObject.fill} onChange={onColorChange} />
+              </>
+            )}
+            {selectedObject && onObjectPropertiesChange && (
+              <>
+                <Typography variant="caption" color="grey.500">•</Typography>
+                <EffectsPanel object={selectedObject} onChange={onObjectPropertiesChange} />
               </>
             )}
             {hasAnySelection && (
@@ -450,7 +1183,39 @@ const Toolbar = ({
             {!hasAnySelection && showColor && (
               <>
                 <Typography variant="caption" color="grey.500">•</Typography>
-                <ColorSquare color={selectedColor} onChange={onColorChange} />
+                {selectedTool === TOOLS.STICKY
+                  ? <StickyPalette color={selectedColor} onChange={onColorChange} />
+                  : <ColorSquare color={selectedColor} onChange={onColorChange} />}
+              </>
+            )}
+            {!hasAnySelection && canvasBackgroundColor && onCanvasBackgroundChange && (
+              <>
+                <Typography variant="caption" color="grey.500">•</Typography>
+                <Typography variant="caption" color="grey.500">Background</Typography>
+                <ColorSquare
+                  color={canvasBackgroundColor}
+                  onChange={(color) => onCanvasBackgroundChange({ backgroundColor: color })}
+                />
+                <ButtonGroup size="small" variant="outlined" sx={{ height: 20 }}>
+                  {BACKGROUND_PATTERN_OPTIONS.map(option => (
+                    <Button
+                      key={option.value}
+                      onClick={() => onCanvasBackgroundChange({ backgroundPattern: option.value })}
+                      variant={canvasBackgroundPattern === option.value ? 'contained' : 'outlined'}
+                      title={option.label}
+                      sx={{ minWidth: 20, width: 20, height: 20, px: 0.25, py: 0, fontSize: '0.75rem' }}
+                    >
+                      {option.icon}
+                    </Button>
+                  ))}
+                </ButtonGroup>
+              </>
+            )}
+            {!hasAnySelection && canvasGrid && onCanvasGridChange && (
+              <>
+                <Typography variant="caption" color="grey.500">•</Typography>
+                <Typography variant="caption" color="grey.500">Grid</Typography>
+                <GridControls grid={canvasGrid} onChange={onCanvasGridChange} />
               </>
             )}
           </Box>
@@ -0,0 +1,70 @@
+import React from 'react';
+import { Group, Line, Circle, Rect } from 'react-konva';
+
+const EDIT_COLOR = '#2563eb';
+
+/**
+ * VectorPathEditor - Point-edit chrome for vector (pen) paths
+ *
+ * Draws every anchor as a square (the selected one filled) and every Bézier
+ * handle as a dot on a thin line back to its anchor. Uses the same transform
+ * as PathShape so it follows the path's box and rotation. Display only - the
+ * pen tool hit-tests anchors and handles itself (detectPathEditHandle).
+ */
+const VectorPathEditor = ({ path, selectedAnchorIndex = null, stageScale = 1 }) => {
+  if (!Array.isArray(path?.anchors)) return null;
+
+  const width = path.width || 0;
+  const height = path.height || 0;
+  const anchorSize = 7 / stageScale;
+  const strokeWidth = 1 / stageScale;
+
+  return (
+    <Group
+      x={(path.x || 0) + width / 2}
+      y={(path.y || 0) + height / 2}
+      offsetX={width / 2}
+      offsetY={height / 2}
+      rotation={path.rotation || 0}
+      listening={false}
+    >
+      {path.anchors.map((anchor, index) => (
+        <React.Fragment key={`anchor-${index}`}>
+          {['handleIn', 'handleOut'].map(handle => anchor[handle] && (
+            <React.Fragment key={handle}>
+              <Line
+                points={[anchor.x, anchor.y, anchor[handle].x, anchor[handle].y]}
+                stroke={EDIT_COLOR}
+                strokeWidth={strokeWidth}
+                listening={false}
+              />
+              <Circle
+                x={anchor[handle].x}
+                y={anchor[handle].y}
+                radius={3.5 / stageScale}
+                fill="#ffffff"
+                stroke={EDIT_COLOR}
+                strokeWidth={strokeWidth}
+                listening={false}
+              />
+            </React.Fragment>
+          ))}
+          <Rect
+            x={anchor.x}
+            y={anchor.y}
+            width={anchorSize}
+            height={anchorSize}
+            offsetX={anchorSize / 2}
+            offsetY={anchorSize / 2}
+            fill={index === selectedAnchorIndex ? EDIT_COLOR : '#ffffff'}
+            stroke={EDIT_COLOR}
+            strokeWidth={strokeWidth}
+            listening={false}
+          />
+        </React.Fragment>
+      ))}
+    </Group>
+  );
+};
+
+export default VectorPathEditor;
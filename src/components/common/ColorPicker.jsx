@@ -1,74 +1,248 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState } from 'react';
+import { Box, Button, ButtonGroup, Typography, Popover } from '@mui/material';
 import { SketchPicker } from 'react-color';
+import NumberInput from './NumberInput.jsx';
+import { FUTURE_SHAPE_DEFAULTS } from '../../constants/canvas.constants.js';
+import {
+  GRADIENT_TYPES,
+  createGradientFill,
+  getFillColor,
+  getFillCss,
+  getSortedStops,
+  isGradientFill
+} from '../../utils/gradients.js';
+
+const compactButtonSx = { minWidth: 20, height: 20, px: 0.5, py: 0, fontSize: '0.75rem' };
+
+const FILL_MODES = [
+  { value: 'solid', label: 'Solid' },
+  { value: GRADIENT_TYPES.LINEAR, label: 'Linear' },
+  { value: GRADIENT_TYPES.RADIAL, label: 'Radial' }
+];
 
 /**
  * ColorPicker Component
- * 
- * Displays a color swatch that opens a color picker popover when clicked
- * Used for selecting fill colors for shapes
+ *
+ * Fill swatch that opens a fill editor: a solid color, or a linear/radial
+ * gradient with 2–8 color stops. The selected stop is edited with the color
+ * picker; the gradient's angle, center and radius can also be dragged on the
+ * canvas with the resize tool.
+ *
+ * @param {string|Object} value - Current fill (hex color or gradient)
+ * @param {Function} onChange - Called with the new fill
+ * @param {boolean} disabled - Whether the swatch can be opened
+ * @param {boolean} gradients - Offer gradient fills (off for plain colors such as shadow colors)
  */
-const ColorPicker = ({ color, onChange, disabled = false }) => {
-  const [showPicker, setShowPicker] = useState(false);
-  const pickerRef = useRef(null);
-
-  // Close picker when clicking outside
-  useEffect(() => {
-    const handleClickOutside = (event) => {
-      if (pickerRef.current && !pickerRef.current.contains(event.target)) {
-        setShowPicker(false);
-      }
-    };
-
-    if (showPicker) {
-      document.addEventListener('mousedown', handleClickOutside);
-      return () => document.removeEventListener('mousedown', handleClickOutside);
+const ColorPicker = ({ value, onChange, disabled = false, gradients = true }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [activeStop, setActiveStop] = useState(0);
+
+  const gradient = isGradientFill(value) ? value : null;
+  const stops = gradient ? getSortedStops(gradient) : [];
+  const stopIndex = Math.min(activeStop, stops.length - 1);
+  const pickerColor = gradient ? stops[stopIndex].color : getFillColor(value);
+  const canAddStop = stops.length < FUTURE_SHAPE_DEFAULTS.gradient.maxStops;
+
+  const updateStops = (nextStops) => {
+    onChange({ ...gradient, stops: nextStops });
+  };
+
+  const handleModeChange = (mode) => {
+    if (mode === (gradient?.type ?? 'solid')) return;
+    onChange(mode === 'solid' ? getFillColor(value) : createGradientFill(mode, value));
+  };
+
+  const handleColorChange = (color) => {
+    if (!gradient) {
+      onChange(color.hex);
+      return;
     }
-  }, [showPicker]);
+    updateStops(stops.map((stop, i) => (i === stopIndex ? { ...stop, color: color.hex } : stop)));
+  };
 
-  const handleChangeComplete = (newColor) => {
-    onChange(newColor.hex);
+  const handleOffsetChange = (index, offset) => {
+    const nextStops = stops.map((stop, i) => (i === index ? { ...stop, offset } : stop));
+    // Keep the edited stop selected after the stops are re-sorted
+    setActiveStop(getSortedStops({ stops: nextStops }).indexOf(nextStops[index]));
+    updateStops(nextStops);
+  };
+
+  // New stops go halfway to the next stop (or the previous one after the last stop)
+  const handleAddStop = () => {
+    const current = stops[stopIndex];
+    const neighbor = stops[stopIndex + 1] ?? stops[stopIndex - 1];
+    const stop = { offset: (current.offset + neighbor.offset) / 2, color: current.color };
+    const nextStops = [...stops, stop];
+    setActiveStop(getSortedStops({ stops: nextStops }).indexOf(stop));
+    updateStops(nextStops);
+  };
+
+  const handleRemoveStop = () => {
+    setActiveStop(Math.max(0, stopIndex - 1));
+    updateStops(stops.filter((_, i) => i !== stopIndex));
   };
 
   return (
-    <div className="relative" ref={pickerRef}>
-      {/* Color Swatch Button */}
-      <button
-        onClick={() => !disabled && setShowPicker(!showPicker)}
-        disabled={disabled}
-        className={`
-          flex items-center space-x-2 px-3 py-2 rounded-lg border border-gray-300
-          transition-all duration-150
-          ${disabled ? 'opacity-40 cursor-not-allowed' : 'hover:bg-gray-50 cursor-pointer'}
-        `}
-        title="Change color"
+    <Box component="span" sx={{ position: 'relative', display: 'inline-flex', alignItems: 'center' }}>
+      <Box
+        onClick={(event) => !disabled && setAnchorEl(event.currentTarget)}
+        sx={{
+          width: 20,
+          height: 20,
+          borderRadius: 0.5,
+          border: 2,
+          borderColor: 'grey.600',
+          background: getFillCss(value),
+          cursor: disabled ? 'not-allowed' : 'pointer',
+          opacity: disabled ? 0.4 : 1,
+          transition: 'all 0.15s',
+          '&:hover': !disabled && {
+            borderColor: 'grey.800',
+          },
+        }}
+        title={gradient ? `Fill: ${gradient.type} gradient - Click to change` : `Color: ${pickerColor.toUpperCase()} - Click to change`}
+      />
+      <Popover
+        open={Boolean(anchorEl)}
+        anchorEl={anchorEl}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'center' }}
+        sx={{ mt: 1 }}
       >
-        <div 
-          className="w-6 h-6 rounded border-2 border-gray-400 shadow-sm"
-          style={{ backgroundColor: color }}
-        />
-        <span className="text-xs font-medium text-gray-700 hidden sm:inline">
-          {color.toUpperCase()}
-        </span>
-      </button>
-
-      {/* Color Picker Popover */}
-      {showPicker && (
-        <div 
-          className="absolute z-50 mt-2"
-          style={{ top: '100%', left: 0 }}
-        >
-          <div className="shadow-2xl rounded-lg overflow-hidden">
+        <Box sx={{ p: 1, display: 'flex', flexDirection: 'column', gap: 1, width: 220 }}>
+          {gradients && (
+            <ButtonGroup size="small" variant="outlined" fullWidth sx={{ height: 22 }}>
+              {FILL_MODES.map(mode => (
+                <Button
+                  key={mode.value}
+                  onClick={() => handleModeChange(mode.value)}
+                  variant={(gradient?.type ?? 'solid') === mode.value ? 'contained' : 'outlined'}
+                  sx={{ ...compactButtonSx, height: 22 }}
+                >
+                  {mode.label}
+                </Button>
+              ))}
+            </ButtonGroup>
+          )}
+
+          {gradient && (
+            <>
+              {/* Gradient preview with a marker per stop; click a marker to edit that stop */}
+              <Box
+                sx={{
+                  position: 'relative',
+                  height: 16,
+                  borderRadius: 0.5,
+                  border: 1,
+                  borderColor: 'grey.400',
+                  background: getFillCss({ type: GRADIENT_TYPES.LINEAR, angle: 0, stops })
+                }}
+              >
+                {stops.map((stop, i) => (
+                  <Box
+                    key={i}
+                    onClick={() => setActiveStop(i)}
+                    title={`Stop ${i + 1}`}
+                    sx={{
+                      position: 'absolute',
+                      left: `${stop.offset * 100}%`,
+                      top: -3,
+                      width: 8,
+                      height: 20,
+                      ml: '-4px',
+                      borderRadius: 0.5,
+                      border: 2,
+                      borderColor: i === stopIndex ? 'primary.main' : 'common.white',
+                      bgcolor: stop.color,
+                      boxShadow: 1,
+                      cursor: 'pointer'
+                    }}
+                  />
+                ))}
+              </Box>
+
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                <Typography variant="caption" color="grey.600">Stop</Typography>
+                <NumberInput
+                  key={`offset-${stopIndex}-${stops[stopIndex].offset}`}
+                  value={stops[stopIndex].offset}
+                  min={0}
+                  max={1}
+                  scale={100}
+                  title="Stop position (%)"
+                  onCommit={(offset) => handleOffsetChange(stopIndex, offset)}
+                />
+                <Typography variant="caption" color="grey.600">%</Typography>
+                <Button onClick={handleAddStop} disabled={!canAddStop} size="small" variant="outlined" title="Add stop" sx={compactButtonSx}>
+                  +
+                </Button>
+                <Button onClick={handleRemoveStop} disabled={stops.length <= 2} size="small" variant="outlined" title="Remove stop" sx={compactButtonSx}>
+                  −
+                </Button>
+              </Box>
+
+              {gradient.type === GRADIENT_TYPES.LINEAR ? (
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                  <Typography variant="caption" color="grey.600">Angle</Typography>
+                  <NumberInput
+                    key={`angle-${gradient.angle}`}
+                    value={gradient.angle}
+                    min={-360}
+                    max={360}
+                    title="Gradient angle (degrees)"
+                    onCommit={(angle) => onChange({ ...gradient, angle: Math.round(angle) })}
+                  />
+                  <Typography variant="caption" color="grey.600">°</Typography>
+                </Box>
+              ) : (
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                  <Typography variant="caption" color="grey.600">Center</Typography>
+                  <NumberInput
+                    key={`center-x-${gradient.center.x}`}
+                    value={gradient.center.x}
+                    min={0}
+                    max={1}
+                    scale={100}
+                    title="Center X (%)"
+                    onCommit={(x) => onChange({ ...gradient, center: { ...gradient.center, x } })}
+                  />
+                  <NumberInput
+                    key={`center-y-${gradient.center.y}`}
+                    value={gradient.center.y}
+                    min={0}
+                    max={1}
+                    scale={100}
+                    title="Center Y (%)"
+                    onCommit={(y) => onChange({ ...gradient, center: { ...gradient.center, y } })}
+                  />
+                  <Typography variant="caption" color="grey.600">Radius</Typography>
+                  <NumberInput
+                    key={`radius-${gradient.radius}`}
+                    value={gradient.radius}
+                    min={FUTURE_SHAPE_DEFAULTS.gradient.minRadius}
+                    max={FUTURE_SHAPE_DEFAULTS.gradient.maxRadius}
+                    scale={100}
+                    title="Radius (% of half the larger side)"
+                    onCommit={(radius) => onChange({ ...gradient, radius })}
+                  />
+                </Box>
+              )}
+            </>
+          )}
+
+          <Box sx={{ '& .sketch-picker': { boxShadow: 'none !important', p: '0 !important' } }}>
             <SketchPicker
-              color={color}
-              onChangeComplete={handleChangeComplete}
+              color={pickerColor}
+              onChangeComplete={handleColorChange}
               disableAlpha={true}
+              width={204}
             />
-          </div>
-        </div>
-      )}
-    </div>
+          </Box>
+        </Box>
+      </Popover>
+    </Box>
   );
 };
 
 export default ColorPicker;
-
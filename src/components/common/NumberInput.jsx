@@ -0,0 +1,41 @@
+import { useState } from 'react';
+import { TextField } from '@mui/material';
+
+/**
+ * NumberInput - Compact number field that commits on Enter or blur
+ * Values are shown multiplied by `scale` (e.g. fractions as percentages) and clamped to min/max.
+ * A null value shows the placeholder instead (e.g. "Mixed" for differing values).
+ */
+const NumberInput = ({ value, min, max, scale = 1, title, placeholder, width = 40, onCommit }) => {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft === null) return;
+    const number = Number(draft);
+    setDraft(null);
+    if (draft !== '' && Number.isFinite(number)) {
+      onCommit(Math.min(max, Math.max(min, number / scale)));
+    }
+  };
+
+  return (
+    <TextField
+      variant="standard"
+      type="number"
+      value={draft ?? (value === null ? '' : Math.round(value * scale))}
+      placeholder={placeholder}
+      title={title}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') setDraft(null);
+        e.stopPropagation(); // Keep digits and Backspace away from the canvas shortcuts
+      }}
+      inputProps={{ min: min * scale, max: max * scale, 'aria-label': title }}
+      sx={{ width, '& input': { py: 0, fontSize: '0.75rem', textAlign: 'center' } }}
+    />
+  );
+};
+
+export default NumberInput;
@@ -9,7 +9,7 @@ import MobileMenu from './MobileMenu.jsx';
 import InviteModal from '../canvas/InviteModal.jsx';
 import AgentSidebar from '../agent/AgentSidebar.jsx';
 
-const Header = () => {
+const Header = ({ recordActionRef }) => {
   const { currentUser, setAuthError } = useAuth();
   const { users, onlineCount } = usePresence();
   const { canvasId } = useCanvas();
@@ -263,6 +263,7 @@ const Header = () => {
       <AgentSidebar
         isOpen={agentSidebarOpen}
         onClose={() => setAgentSidebarOpen(false)}
+        recordActionRef={recordActionRef}
       />
     </AppBar>
   );
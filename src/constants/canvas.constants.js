@@ -23,23 +23,219 @@ export const FUTURE_SHAPE_DEFAULTS = {
     fontFamily: 'Arial, sans-serif',
     fill: '#808080',     // Fixed gray color for MVP
     minWidth: 20,        // Minimum text box width
-    minHeight: 16        // Minimum text box height (1 line)
+    minHeight: 16,       // Minimum text box height (1 line)
+    lineHeight: 1.2,     // Line height as a multiple of the largest font size on the line
+    letterSpacing: 0,    // Extra space after each character
+    align: 'left',       // left | center | right
+    verticalAlign: 'top', // top | middle | bottom (fixed-size boxes only)
+    sizing: 'autoHeight', // autoWidth (one line per paragraph) | autoHeight (wraps at width) | fixed
+    listIndent: 1.5      // List item indent in ems of the paragraph's font size
   },
   circle: {
     minRadius: 5,        // Minimum 5px radius
     fill: '#808080'      // Fixed gray color
+  },
+  line: {
+    minLength: 5,        // Shorter drags are treated as clicks
+    stroke: '#333333',
+    strokeWidth: 2
+  },
+  path: {
+    stroke: '#333333',
+    strokeWidth: 3,
+    tension: 0.5,           // Konva curve tension used to smooth the simplified points
+    simplifyTolerance: 1.5, // Ramer–Douglas–Peucker tolerance in canvas units
+    minSampleDistance: 2    // Pointer samples closer than this to the last one are skipped
+  },
+  vectorPath: {
+    stroke: '#333333',
+    strokeWidth: 2,
+    anchorHitDistance: 8,   // Clicks this close to the first/last anchor close/finish the path
+    segmentHitDistance: 6,  // Clicks this close to a segment insert an anchor in point-edit mode
+    minHandleDrag: 3        // Drags shorter than this place a corner instead of a smooth anchor
+  },
+  polygon: {
+    sides: 6,            // Polygon tool default (the triangle tool uses 3)
+    minSides: 3,
+    maxSides: 12,
+    minRadius: 5,        // Smaller drags are treated as clicks
+    defaultRadius: 40,
+    fill: '#808080'
+  },
+  rectangle: {
+    maxCornerRadius: 1000,     // Stored radii are capped here; rendering clamps to half the shorter side
+    cornerHandleInset: 30,     // Radius handles never sit closer to the corner than this (clear of resize handles)
+    cornerHandleHitDistance: 8 // Clicks this close to a radius handle adjust the radius instead of resizing
+  },
+  gradient: {
+    maxStops: 8,
+    endColor: '#ffffff',       // A solid fill turned into a gradient fades from its color to this
+    minRadius: 0.05,           // Radial radius, as a fraction of half the shape's larger side
+    maxRadius: 4,
+    handleHitDistance: 8       // Clicks this close to a gradient handle drag it instead of resizing
+  },
+  stroke: {
+    color: '#333333',          // Shapes saved without a stroke draw this 1px border
+    width: 1,
+    maxWidth: 50,
+    align: 'center'
+  },
+  effects: {
+    maxEffects: 8,
+    maxBlur: 100,              // Shadow blur and layer blur radius, in canvas units
+    maxSpread: 100,
+    maxOffset: 500,
+    shadow: { color: '#000000', opacity: 0.25, offsetX: 0, offsetY: 4, blur: 8, spread: 0 },
+    layerBlur: { radius: 4 }
+  },
+  image: {
+    maxFileSize: 10 * 1024 * 1024, // Matches the upload limit in storage.rules
+    maxInitialSize: 600,       // Dropped images are scaled down to fit this box
+    fallbackSize: 300,         // SVGs without intrinsic dimensions are placed at this size
+    opacity: 1
+  },
+  frame: {
+    fill: '#ffffff',
+    stroke: '#d1d5db',
+    minSize: 20,               // Smaller drags are treated as clicks
+    clipContent: true,
+    labelFontSize: 12,         // Name label drawn above the frame (screen pixels)
+    contentPadding: 20,        // Space around agent-built layouts inside their frame
+    exportPixelRatio: 2        // PNG export resolution per canvas unit
+  },
+  sticky: {
+    width: 200,
+    minWidth: 80,
+    minHeight: 160,            // Notes grow taller than this as their text wraps
+    padding: 16,
+    fontSize: 18,
+    fontFamily: 'Arial',
+    lineHeight: 1.3,
+    textColor: '#1f2937',
+    authorFontSize: 11,        // Author label at the bottom of the note
+    fill: '#fef08a',
+    palette: ['#fef08a', '#fed7aa', '#fbcfe8', '#e9d5ff', '#bfdbfe', '#bbf7d0']
+  },
+  table: {
+    rows: 3,
+    columns: 3,
+    maxRows: 50,
+    maxColumns: 20,
+    columnWidth: 120,
+    rowHeight: 40,
+    minColumnWidth: 30,
+    minRowHeight: 24,
+    cellPadding: 8,
+    fontSize: 14,
+    fontFamily: 'Arial',
+    textColor: '#111827',
+    fill: '#ffffff',
+    stroke: '#d1d5db',         // Grid lines and outer border
+    strokeWidth: 1,
+    headerRow: true,           // First row is drawn as a bold header
+    headerFill: '#f3f4f6',
+    dividerHitDistance: 5      // Clicks this close to an inner grid line resize that column/row
   }
 };
 
+// Arrowhead styles for the start/end of line objects (startArrowhead / endArrowhead)
+export const ARROWHEAD_STYLES = {
+  NONE: 'none',
+  ARROW: 'arrow',         // Open chevron
+  TRIANGLE: 'triangle',   // Filled triangle
+  CIRCLE: 'circle'        // Filled dot
+};
+
+// Dash presets for line strokes (scaled by strokeWidth when applied to a line)
+export const LINE_DASH_PRESETS = {
+  SOLID: [],
+  DASHED: [4, 2],
+  DOTTED: [1, 2]
+};
+
+// Where a shape's stroke sits relative to its outline (stored as strokeAlign)
+export const STROKE_ALIGN = {
+  INSIDE: 'inside',
+  CENTER: 'center',
+  OUTSIDE: 'outside'
+};
+
+// Stroke end caps and corner joins (stored as lineCap / lineJoin, Konva's names)
+export const STROKE_CAPS = {
+  BUTT: 'butt',
+  ROUND: 'round',
+  SQUARE: 'square'
+};
+export const STROKE_JOINS = {
+  MITER: 'miter',
+  ROUND: 'round',
+  BEVEL: 'bevel'
+};
+
+// Routing styles for lines and connectors (stored as routing)
+export const LINE_ROUTING = {
+  STRAIGHT: 'straight',
+  ELBOW: 'elbow'          // Orthogonal segments between the endpoints
+};
+
+// Anchor points a connector endpoint can bind to (startBinding / endBinding: { objectId, anchor })
+export const CONNECTOR_ANCHORS = {
+  TOP: 'top',
+  RIGHT: 'right',
+  BOTTOM: 'bottom',
+  LEFT: 'left',
+  CENTER: 'center'
+};
+export const CONNECTOR_SNAP_DISTANCE = 12;  // Screen pixels within which an endpoint snaps to an anchor
+export const DUPLICATE_OFFSET = 10;         // Canvas units a duplicate is placed from its original
+export const SNAP_DISTANCE = 6;             // Screen pixels within which a moved or resized edge snaps to a guide
+export const SNAP_GUIDE_COLOR = '#ff24bd';  // Smart guide lines and spacing markers
+
 // Performance settings
 export const CURSOR_UPDATE_THROTTLE = 50;   // 50ms for cursor updates
 export const OBJECT_UPDATE_THROTTLE = 16;   // 16ms for smooth 60fps object updates (was 100ms)
 export const RESIZE_UPDATE_THROTTLE = 16;   // 16ms for real-time resize operations
+export const EDIT_LOCK_REFRESH_INTERVAL = 10000; // Re-lock objects being edited well before locks go stale (30s)
 
 // Canvas background colors
 export const CANVAS_BACKGROUND = '#ffffff';
 export const BOUNDARY_BACKGROUND = '#f0f0f0';
 
+// Per-canvas background patterns (stored on the canvas document as backgroundPattern)
+export const BACKGROUND_PATTERNS = {
+  NONE: 'none',
+  GRID: 'grid',
+  DOTS: 'dots'
+};
+export const BACKGROUND_PATTERN_SPACING = 50;       // Distance between grid lines/dots in canvas units
+export const BACKGROUND_PATTERN_COLOR = 'rgba(0, 0, 0, 0.12)';
+
+// Per-canvas layout grid (stored on the canvas document as grid)
+// Lines are drawn every size units, split into subdivisions; snapping uses the subdivision step
+export const GRID_DEFAULTS = {
+  visible: false,
+  snap: false,
+  size: 50,
+  subdivisions: 5
+};
+export const GRID_SIZE_LIMITS = { MIN: 2, MAX: 1000 };
+export const GRID_SUBDIVISION_LIMITS = { MIN: 1, MAX: 20 };
+export const GRID_SIZE_OPTIONS = [10, 20, 50, 100];
+export const GRID_SUBDIVISION_OPTIONS = [1, 2, 4, 5, 10];
+export const GRID_COLOR = 'rgba(59, 130, 246, 0.35)';
+export const GRID_SUBDIVISION_COLOR = 'rgba(59, 130, 246, 0.15)';
+export const GRID_MIN_LINE_SPACING = 6; // Screen pixels; denser grid lines are skipped
+
+// Ruler guides (stored on the canvas document as guides: { [guideId]: { axis, position } } plus guidesLocked)
+// An x guide is a vertical line at an x position; a y guide is a horizontal line at a y position
+export const GUIDE_AXES = {
+  X: 'x',
+  Y: 'y'
+};
+export const GUIDE_COLOR = '#f24822';
+export const RULER_SIZE = 20;             // Ruler thickness in screen pixels
+export const RULER_MIN_LABEL_SPACING = 50; // Screen pixels between labelled ruler ticks
+
 // Boundary validation
 export const BOUNDARY_PADDING = 0; // No padding for MVP - shapes snap exactly to edges
 
@@ -51,7 +247,12 @@ export const SHAPE_TYPES = {
 // Post-MVP shape types
 export const FUTURE_SHAPE_TYPES = {
   TEXT: 'text',           // Click-and-drag text boxes
-  CIRCLE: 'circle'        // Click center, drag radius
+  CIRCLE: 'circle',       // Click center, drag radius
+  POLYGON: 'polygon',     // Click center, drag radius (triangles are 3-sided polygons)
+  LINE: 'line',           // Click start, drag end (arrows are lines with arrowheads)
+  FRAME: 'frame',         // Click-and-drag box that clips and owns the shapes placed in it
+  STICKY: 'sticky',       // Click to place a colored note whose height follows its text
+  TABLE: 'table'          // Click to place a grid of editable cells
 };
 
 // Firebase collections
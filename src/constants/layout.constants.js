@@ -18,6 +18,8 @@ export const CANVAS_TOP_OFFSET = HEADER_HEIGHT + TOOLBAR_HEIGHT; // 150px (90 +
 // Z-index layers for stacking
 export const Z_INDEX = {
   CANVAS: 10,
+  RULERS: 15,              // Rulers and guides over the canvas
+  INSPECTOR: 20,           // Properties panel on the right of the canvas
   CANVAS_OVERLAY: 25,      // Blocks interaction above canvas
   TOOLBAR: 30,
   HEADER: 40,
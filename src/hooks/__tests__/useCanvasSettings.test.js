@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { renderHook, act } from '@testing-library/react'
+
+// Mock the canvas service
+vi.mock('../../services/canvas.service.js', () => ({
+  subscribeToCanvas: vi.fn(),
+  updateCanvasBackground: vi.fn(),
+  updateCanvasGrid: vi.fn(),
+  addCanvasGuide: vi.fn(),
+  moveCanvasGuide: vi.fn(),
+  removeCanvasGuide: vi.fn(),
+  updateCanvasGuidesLocked: vi.fn()
+}))
+
+// Import after mocking
+import { subscribeToCanvas, updateCanvasBackground } from '../../services/canvas.service.js'
+import { useCanvasSettings } from '../useCanvasSettings.js'
+
+describe('useCanvasSettings Hook', () => {
+  let emitCanvas
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    subscribeToCanvas.mockImplementation((canvasId, callback) => {
+      emitCanvas = callback
+      return () => {}
+    })
+  })
+
+  it('falls back to the default background for canvases without one', () => {
+    const { result } = renderHook(() => useCanvasSettings('canvas-1'))
+
+    act(() => {
+      emitCanvas({ id: 'canvas-1', name: 'Old canvas' })
+    })
+
+    expect(subscribeToCanvas).toHaveBeenCalledWith('canvas-1', expect.any(Function))
+    expect(result.current.backgroundColor).toBe('#ffffff')
+    expect(result.current.backgroundPattern).toBe('none')
+    expect(result.current.isLoading).toBe(false)
+  })
+
+  it('follows background changes made by collaborators', () => {
+    const { result } = renderHook(() => useCanvasSettings('canvas-1'))
+
+    act(() => {
+      emitCanvas({ id: 'canvas-1', backgroundColor: '#f8fafc', backgroundPattern: 'dots' })
+    })
+
+    expect(result.current.backgroundColor).toBe('#f8fafc')
+    expect(result.current.backgroundPattern).toBe('dots')
+  })
+
+  it('updates the background of the current canvas', async () => {
+    updateCanvasBackground.mockResolvedValue({ success: true })
+    const { result } = renderHook(() => useCanvasSettings('canvas-1'))
+
+    let response
+    await act(async () => {
+      response = await result.current.updateBackground({ backgroundPattern: 'grid' })
+    })
+
+    expect(updateCanvasBackground).toHaveBeenCalledWith('canvas-1', { backgroundPattern: 'grid' })
+    expect(response).toEqual({ success: true })
+  })
+
+  it('does not subscribe or update without a canvas', async () => {
+    const { result } = renderHook(() => useCanvasSettings(null))
+
+    let response
+    await act(async () => {
+      response = await result.current.updateBackground({ backgroundColor: '#000000' })
+    })
+
+    expect(subscribeToCanvas).not.toHaveBeenCalled()
+    expect(updateCanvasBackground).not.toHaveBeenCalled()
+    expect(response.success).toBe(false)
+  })
+})
@@ -1,6 +1,7 @@
 import { renderHook, act } from '@testing-library/react';
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { useHistory, ACTION_TYPES } from '../useHistory.js';
+import { updateObject } from '../../services/canvas.service.js';
 
 // Mock Firebase
 vi.mock('../../services/firebase.js', () => ({
@@ -258,4 +259,73 @@ describe('useHistory Hook', () => {
       expect(command.timestamp).toBeGreaterThan(Date.now() - 1000); // Within last second
     });
   });
+
+  describe('Batch Actions', () => {
+    const recordGroupMove = (result) => {
+      act(() => {
+        result.current.recordAction(
+          ACTION_TYPES.BATCH,
+          ['obj-1', 'obj-2'],
+          null,
+          null,
+          {
+            objectType: 'Group',
+            description: 'Move Group',
+            actions: [
+              { type: ACTION_TYPES.UPDATE_PROPERTIES, objectId: 'obj-1', before: { x: 0, y: 0 }, after: { x: 10, y: 20 } },
+              { type: ACTION_TYPES.UPDATE_PROPERTIES, objectId: 'obj-2', before: { x: 50, y: 50 }, after: { x: 60, y: 70 } }
+            ]
+          }
+        );
+      });
+    };
+
+    const currentObjects = {
+      'obj-1': { id: 'obj-1', x: 10, y: 20, type: 'rectangle' },
+      'obj-2': { id: 'obj-2', x: 60, y: 70, type: 'circle' }
+    };
+
+    it('should record a batch as a single undo entry', () => {
+      const { result } = renderHook(() => useHistory(mockCanvasId, mockOnError));
+
+      recordGroupMove(result);
+
+      expect(result.current.stackSize).toBe(1);
+      expect(result.current.undoDescription).toBe('Undo: Move Group');
+    });
+
+    it('should undo every action in the batch in reverse order', async () => {
+      const { result } = renderHook(() => useHistory(mockCanvasId, mockOnError));
+
+      recordGroupMove(result);
+
+      await act(async () => {
+        await result.current.undo(currentObjects);
+      });
+
+      expect(updateObject).toHaveBeenCalledTimes(2);
+      expect(updateObject).toHaveBeenNthCalledWith(1, 'obj-2', { x: 50, y: 50 });
+      expect(updateObject).toHaveBeenNthCalledWith(2, 'obj-1', { x: 0, y: 0 });
+      expect(result.current.canRedo).toBe(true);
+    });
+
+    it('should redo every action in the batch in original order', async () => {
+      const { result } = renderHook(() => useHistory(mockCanvasId, mockOnError));
+
+      recordGroupMove(result);
+
+      await act(async () => {
+        await result.current.undo(currentObjects);
+      });
+      updateObject.mockClear();
+
+      await act(async () => {
+        await result.current.redo(currentObjects);
+      });
+
+      expect(updateObject).toHaveBeenNthCalledWith(1, 'obj-1', { x: 10, y: 20 });
+      expect(updateObject).toHaveBeenNthCalledWith(2, 'obj-2', { x: 60, y: 70 });
+      expect(result.current.canUndo).toBe(true);
+    });
+  });
 });
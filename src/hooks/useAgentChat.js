@@ -14,7 +14,7 @@ import { useAgentMetrics } from './useAgentMetrics.js'
  * - Loading states
  * - Automatic canvas state updates
  */
-export const useAgentChat = ({ canvasId, canvasState }) => {
+export const useAgentChat = ({ canvasId, canvasState, recordActionRef }) => {
   const [messages, setMessages] = useState([])
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState(null)
@@ -107,7 +107,8 @@ export const useAgentChat = ({ canvasId, canvasState }) => {
         console.log('📋 Executing commands:', commands)
         
         const executionResult = await executeAgentResponse(response.data, canvasId, {
-          stopOnError: false // Continue executing other commands even if some fail
+          stopOnError: false, // Continue executing other commands even if some fail
+          recordAction: recordActionRef?.current // Lets the canvas undo the agent's changes
         })
 
         // Record metrics
@@ -194,7 +195,7 @@ export const useAgentChat = ({ canvasId, canvasState }) => {
     } finally {
       setIsLoading(false)
     }
-  }, [canvasId, canvasState, addMessage])
+  }, [canvasId, canvasState, recordActionRef, addMessage])
 
   // Retry the last message
   const retryLastMessage = useCallback(async () => {
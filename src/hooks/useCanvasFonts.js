@@ -0,0 +1,75 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { registerFonts, loadFont, isFontReady } from '../utils/fontRegistry.js'
+import { recordCanvasFont, uploadFontFile } from '../services/font.service.js'
+
+/**
+ * Hook that loads the fonts a canvas uses
+ * Registers the fonts recorded on the canvas document, loads them and any font
+ * used by its objects, and bumps fontsVersion whenever a font finishes loading
+ * so text is laid out again with the real metrics.
+ * @param {string} canvasId - The canvas ID
+ * @param {Array} canvasFonts - `fonts` recorded on the canvas document
+ * @param {Array} objects - Canvas objects (their fontFamily and run fonts are loaded)
+ */
+export const useCanvasFonts = (canvasId, canvasFonts = [], objects = []) => {
+  const [fontsVersion, setFontsVersion] = useState(0)
+
+  // Every family the canvas needs, as a stable key for the loading effect
+  const familiesKey = useMemo(() => {
+    const families = new Set(canvasFonts.map(font => font.family))
+    objects.forEach(obj => {
+      if (obj.fontFamily) families.add(obj.fontFamily)
+      obj.runs?.forEach(run => run.fontFamily && families.add(run.fontFamily))
+    })
+    return [...families].sort().join('\n')
+  }, [canvasFonts, objects])
+
+  // Registering is idempotent and returns the canvas's font list, which changes
+  // whenever the canvas document records a font (uploads included)
+  const fonts = useMemo(() => registerFonts(canvasId, canvasFonts), [canvasId, canvasFonts])
+
+  useEffect(() => {
+    const pending = familiesKey.split('\n').filter(family => family && !isFontReady(family))
+    if (pending.length === 0) return
+
+    let cancelled = false
+    Promise.all(pending.map(loadFont)).then(() => {
+      if (!cancelled) setFontsVersion(version => version + 1)
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [fonts, familiesKey])
+
+  /**
+   * Record a font picked for text on the canvas and load it
+   * @param {string} family - Registered font family
+   */
+  const pickFont = useCallback(async (family) => {
+    try {
+      await recordCanvasFont(canvasId, family)
+    } catch (error) {
+      console.error('Failed to record canvas font:', error)
+    }
+    if (!isFontReady(family)) {
+      await loadFont(family)
+      setFontsVersion(version => version + 1)
+    }
+  }, [canvasId])
+
+  /**
+   * Upload a font file to the canvas and load it
+   * @param {File} file - WOFF2, WOFF, TTF or OTF file
+   * @returns {Promise<string>} The new font family
+   */
+  const uploadFont = useCallback(async (file) => {
+    const font = await uploadFontFile(file, canvasId)
+    await loadFont(font.family)
+    setFontsVersion(version => version + 1)
+    return font.family
+  }, [canvasId])
+
+  return { fonts, fontsVersion, pickFont, uploadFont }
+}
+
+export default useCanvasFonts
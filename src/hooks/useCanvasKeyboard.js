@@ -1,13 +1,23 @@
-import { useEffect } from 'react';
+import { useEffect, useRef } from 'react';
 import { auth } from '../services/firebase.js';
-import { lockObject, unlockObject } from '../services/canvas.service.js';
+import { lockObject, unlockObject, groupObjects, ungroupObjects, batchCreateObjects, generateObjectId } from '../services/canvas.service.js';
 import { ACTION_TYPES } from './useHistory.js';
+import { getSelectedGroup } from '../utils/groupUtils.js';
+import { getAttachedConnectors } from '../utils/connectorUtils.js';
+import { createPasteObjects, getCopyObjects, getDuplicateOffset, getObjectFonts, parseClipboard, serializeClipboard } from '../utils/clipboard.js';
+import { registerFonts } from '../utils/fontRegistry.js';
+import { recordCanvasFont } from '../services/font.service.js';
 
 /**
  * useCanvasKeyboard Hook
  * 
  * Manages all keyboard shortcuts and interactions for the canvas component.
  * Extracted from Canvas.jsx to reduce complexity and improve maintainability.
+ *
+ * Clipboard: Ctrl+C copies the selection to the system clipboard (see
+ * utils/clipboard.js), Ctrl+V pastes it centered on the cursor, Ctrl+Shift+V
+ * pastes it in place and Ctrl+D duplicates the selection. Each paste or
+ * duplicate is one undo step and selects the copies.
  */
 export const useCanvasKeyboard = ({
   selectedTool,
@@ -16,6 +26,8 @@ export const useCanvasKeyboard = ({
   toolBeforePan,
   canvasObjects,
   canEditObject,
+  canvasId,
+  recordAction,
   undo,
   redo,
   canUndo,
@@ -34,9 +46,85 @@ export const useCanvasKeyboard = ({
   setLocalRectUpdates,
   setActiveObjects,
   panViewport,
+  onToolKeyDown,
+  getPasteCenter,
   TOOLS
 }) => {
+  const lastDuplicateRef = useRef(null); // { sourceIds, copyIds } of the last duplicate
+  const pasteInPlaceRef = useRef(false); // Ctrl+Shift+V was pressed for the coming paste event
+  const pendingSelectionRef = useRef(null); // Pasted object IDs to select once they load
+
+  // Select pasted objects as soon as they arrive from Firestore
   useEffect(() => {
+    const pendingIds = pendingSelectionRef.current;
+    if (!pendingIds || !pendingIds.every(id => canvasObjects.some(obj => obj.id === id))) return;
+
+    pendingSelectionRef.current = null;
+    multiSelection.selectMultiple(pendingIds).then(() => {
+      setSelectedObjectId(pendingIds.length === 1 ? pendingIds[0] : null);
+    });
+  }, [canvasObjects, multiSelection, setSelectedObjectId]);
+
+  useEffect(() => {
+    const getSelectedIds = () => {
+      if (multiSelection.selectionInfo.count > 0) return multiSelection.selectionInfo.selectedIds;
+      return selectedObjectId ? [selectedObjectId] : [];
+    };
+
+    // Create copies of objects as one undo step; they are selected once they load
+    const pasteObjects = async (sources, placement, description) => {
+      const copies = createPasteObjects(sources, canvasObjects, { createId: generateObjectId, ...placement });
+      pendingSelectionRef.current = copies.map(copy => copy.id);
+      await batchCreateObjects(copies, canvasId, recordAction, { description });
+      return copies;
+    };
+
+    const isTyping = (target) => target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable;
+
+    // Copy the selection to the system clipboard as JSON
+    const handleCopy = (e) => {
+      const selectedIds = getSelectedIds();
+      if (isTyping(e.target) || selectedIds.length === 0 || !e.clipboardData) return;
+
+      e.preventDefault();
+      const objects = getCopyObjects(selectedIds, canvasObjects);
+      e.clipboardData.setData('text/plain', serializeClipboard(objects, canvasId));
+      console.log('📋 Copied', objects.length, 'objects');
+    };
+
+    // Paste copied objects (from any canvas or tab) at the cursor, or in place with Ctrl+Shift+V
+    const handlePaste = async (e) => {
+      const inPlace = pasteInPlaceRef.current;
+      pasteInPlaceRef.current = false;
+      if (isTyping(e.target)) return;
+
+      const clipboard = parseClipboard(e.clipboardData?.getData('text/plain'));
+      if (!clipboard) return; // Images and other content are handled elsewhere
+
+      e.preventDefault();
+      try {
+        const copies = await pasteObjects(
+          clipboard.objects,
+          inPlace ? {} : { center: getPasteCenter() },
+          `Paste ${clipboard.objects.length === 1 ? 'Object' : `${clipboard.objects.length} Objects`}`
+        );
+        lastDuplicateRef.current = null;
+        console.log('📋 Pasted', copies.length, 'objects', inPlace ? 'in place' : 'at cursor');
+      } catch (error) {
+        pendingSelectionRef.current = null;
+        console.error('❌ Failed to paste objects:', error);
+        return;
+      }
+
+      // Pasted text keeps its fonts: record them on this canvas so every collaborator loads them
+      try {
+        registerFonts(clipboard.canvasId, clipboard.fonts);
+        await Promise.all(getObjectFonts(clipboard.objects).map(family => recordCanvasFont(canvasId, family)));
+      } catch (error) {
+        console.error('Failed to record pasted fonts:', error);
+      }
+    };
+
     const handleKeyDown = async (e) => {
       // Ignore if user is typing in an input field
       if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.isContentEditable) {
@@ -52,6 +140,12 @@ export const useCanvasKeyboard = ({
         return;
       }
 
+      // Keys the active tool handles itself (e.g. pen: Enter finishes a path, Delete removes an anchor)
+      if (!e.ctrlKey && !e.metaKey && onToolKeyDown?.(e.key)) {
+        e.preventDefault();
+        return;
+      }
+
       // Arrow keys - pan viewport
       if (e.key === 'ArrowUp' || e.key === 'ArrowDown' || e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
         e.preventDefault();
@@ -129,13 +223,17 @@ export const useCanvasKeyboard = ({
         
         try {
           // Import batch delete function for better performance
-          import('../services/canvas.service.js').then(async ({ batchDeleteObjects, deleteObject }) => {
+          import('../services/canvas.service.js').then(async ({ batchDeleteObjects, deleteObject, deleteObjectsWithConnectors }) => {
             let result;
             
-            // Use batch deletion for multiple objects (much faster)
-            if (deletableObjects.length > 1) {
+            // Connected shapes delete together with their connector changes (one undo step)
+            if (getAttachedConnectors(deletableObjects, canvasObjects).length > 0) {
+              result = await deleteObjectsWithConnectors(deletableObjects, canvasObjects, recordAction);
+              console.log(`✅ Deleted ${result.deleted} objects and detached ${result.detached} connectors`);
+            } else if (deletableObjects.length > 1) {
+              // Use batch deletion for multiple objects (much faster)
               console.log('🚀 Using batch deletion for', deletableObjects.length, 'objects');
-              result = await batchDeleteObjects(deletableObjects);
+              result = await batchDeleteObjects(deletableObjects, recordAction);
               
               if (result.errors.length > 0) {
                 console.warn('⚠️ Some objects failed to delete:', result.errors);
@@ -145,7 +243,7 @@ export const useCanvasKeyboard = ({
             } else {
               // Single object - use regular deletion
               try {
-                await deleteObject(deletableObjects[0]);
+                await deleteObject(deletableObjects[0], recordAction);
                 console.log('✅ Single object deleted successfully:', deletableObjects[0]);
               } catch (err) {
                 console.error('❌ Failed to delete single object:', deletableObjects[0], err);
@@ -208,6 +306,72 @@ export const useCanvasKeyboard = ({
         return;
       }
 
+      // Ungroup - Ctrl+Shift+G / Cmd+Shift+G
+      if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'g') {
+        e.preventDefault();
+        const group = getSelectedGroup(multiSelection.selectionInfo.selectedIds, canvasObjects);
+        if (!group) {
+          console.log('❌ Cannot ungroup - selection is not a single group');
+          return;
+        }
+
+        try {
+          await ungroupObjects(group.groupId, canvasId, recordAction);
+          console.log('⌨️ Ungrouped', group.members.length, 'objects from group', group.groupId);
+        } catch (error) {
+          console.error('❌ Failed to ungroup objects:', error);
+        }
+        return;
+      }
+
+      // Group - Ctrl+G / Cmd+G
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'g') {
+        e.preventDefault();
+        const selectedIds = multiSelection.selectionInfo.selectedIds;
+        const groupableIds = selectedIds.filter(id => canEditObject(id));
+        if (groupableIds.length < 2 || groupableIds.length !== selectedIds.length) {
+          console.log('❌ Cannot group - select at least 2 editable objects');
+          return;
+        }
+
+        try {
+          const groupId = await groupObjects(groupableIds, {}, recordAction);
+          console.log('⌨️ Grouped', groupableIds.length, 'objects into group', groupId);
+        } catch (error) {
+          console.error('❌ Failed to group objects:', error);
+        }
+        return;
+      }
+
+      // Copy / Paste - Ctrl+C, Ctrl+V, Ctrl+Shift+V: the browser's copy and paste events carry the data
+      if ((e.ctrlKey || e.metaKey) && (e.key.toLowerCase() === 'c' || e.key.toLowerCase() === 'v')) {
+        pasteInPlaceRef.current = e.key.toLowerCase() === 'v' && e.shiftKey;
+        return;
+      }
+
+      // Duplicate - Ctrl+D / Cmd+D
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'd') {
+        e.preventDefault();
+        const selectedIds = getSelectedIds();
+        if (selectedIds.length === 0) return;
+
+        const sources = getCopyObjects(selectedIds, canvasObjects);
+        const offset = getDuplicateOffset(lastDuplicateRef.current, selectedIds, canvasObjects);
+        try {
+          const copies = await pasteObjects(
+            sources,
+            { offset },
+            `Duplicate ${sources.length === 1 ? 'Object' : `${sources.length} Objects`}`
+          );
+          lastDuplicateRef.current = { sourceIds: sources.map(obj => obj.id), copyIds: copies.map(copy => copy.id) };
+          console.log('⌨️ Duplicated', copies.length, 'objects');
+        } catch (error) {
+          pendingSelectionRef.current = null;
+          console.error('❌ Failed to duplicate objects:', error);
+        }
+        return;
+      }
+
       // Select All - Ctrl+A / Cmd+A
       if ((e.ctrlKey || e.metaKey) && e.key === 'a') {
         e.preventDefault();
@@ -241,7 +405,28 @@ export const useCanvasKeyboard = ({
             break;
           case 't':
             e.preventDefault();
-            if (selectedObjectId) onToolChange(TOOLS.ROTATE);
+            if (e.shiftKey) onToolChange(TOOLS.TABLE);
+            else if (selectedObjectId) onToolChange(TOOLS.ROTATE);
+            break;
+          case 'l':
+            e.preventDefault();
+            onToolChange(e.shiftKey ? TOOLS.ARROW : TOOLS.LINE);
+            break;
+          case 'p':
+            e.preventDefault();
+            onToolChange(e.shiftKey ? TOOLS.PENCIL : TOOLS.PEN);
+            break;
+          case 'g':
+            e.preventDefault();
+            onToolChange(e.shiftKey ? TOOLS.TRIANGLE : TOOLS.POLYGON);
+            break;
+          case 'f':
+            e.preventDefault();
+            onToolChange(TOOLS.FRAME);
+            break;
+          case 'n':
+            e.preventDefault();
+            onToolChange(TOOLS.STICKY);
             break;
           default:
             break;
@@ -261,10 +446,14 @@ export const useCanvasKeyboard = ({
 
     window.addEventListener('keydown', handleKeyDown);
     window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('copy', handleCopy);
+    window.addEventListener('paste', handlePaste);
 
     return () => {
       window.removeEventListener('keydown', handleKeyDown);
       window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('copy', handleCopy);
+      window.removeEventListener('paste', handlePaste);
     };
   }, [
     selectedTool, 
@@ -274,6 +463,8 @@ export const useCanvasKeyboard = ({
     onToolChange, 
     canvasObjects, 
     canEditObject, 
+    canvasId,
+    recordAction,
     undo, 
     redo, 
     canUndo, 
@@ -291,6 +482,8 @@ export const useCanvasKeyboard = ({
     setLocalRectUpdates,
     setActiveObjects,
     panViewport,
+    onToolKeyDown,
+    getPasteCenter,
     TOOLS
   ]);
 };
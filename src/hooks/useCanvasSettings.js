@@ -0,0 +1,131 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import {
+  subscribeToCanvas,
+  updateCanvasBackground,
+  updateCanvasGrid,
+  addCanvasGuide,
+  moveCanvasGuide,
+  removeCanvasGuide,
+  updateCanvasGuidesLocked
+} from '../services/canvas.service.js'
+import { CANVAS_BACKGROUND, BACKGROUND_PATTERNS } from '../constants/canvas.constants.js'
+import { normalizeGrid } from '../utils/gridSnap.js'
+import { getRulerGuides } from '../utils/rulers.js'
+
+// Stable empty list so effects keyed on the fonts don't rerun for canvases without any
+const NO_FONTS = []
+
+/**
+ * Hook for canvas-level settings stored on the canvas document
+ * Subscribes to the canvas document so changes from collaborators (or the agent)
+ * show up live. Falls back to the default background and grid (and no guides)
+ * for older canvases.
+ * @param {string} canvasId - The canvas ID to subscribe to
+ */
+export const useCanvasSettings = (canvasId = null) => {
+  const [canvas, setCanvas] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+
+  useEffect(() => {
+    if (!canvasId) {
+      setCanvas(null)
+      setIsLoading(false)
+      return
+    }
+
+    setIsLoading(true)
+    const unsubscribe = subscribeToCanvas(canvasId, (canvasData) => {
+      setCanvas(canvasData)
+      setIsLoading(false)
+    })
+
+    return () => {
+      unsubscribe()
+    }
+  }, [canvasId])
+
+  /**
+   * Update background color and/or pattern for everyone on this canvas
+   * @param {Object} background - { backgroundColor?, backgroundPattern? }
+   * @returns {Promise<Object>} - Result object with success status
+   */
+  const updateBackground = useCallback(async (background) => {
+    if (!canvasId) {
+      return { success: false, error: 'No canvas selected' }
+    }
+
+    const result = await updateCanvasBackground(canvasId, background)
+    if (!result.success) {
+      console.error('Failed to update canvas background:', result.error)
+    }
+    return result
+  }, [canvasId])
+
+  /**
+   * Update the layout grid (visibility, snapping, size, subdivisions) for everyone on this canvas
+   * @param {Object} grid - { visible?, snap?, size?, subdivisions? }
+   * @returns {Promise<Object>} - Result object with success status
+   */
+  const updateGrid = useCallback(async (grid) => {
+    if (!canvasId) {
+      return { success: false, error: 'No canvas selected' }
+    }
+
+    const result = await updateCanvasGrid(canvasId, grid)
+    if (!result.success) {
+      console.error('Failed to update canvas grid:', result.error)
+    }
+    return result
+  }, [canvasId])
+
+  /**
+   * Run a ruler guide change for everyone on this canvas
+   * @param {Function} update - Guide service function, called with the canvas ID and args
+   * @returns {Promise<Object>} - Result object with success status
+   */
+  const updateGuides = useCallback(async (update, ...args) => {
+    if (!canvasId) {
+      return { success: false, error: 'No canvas selected' }
+    }
+
+    const result = await update(canvasId, ...args)
+    if (!result.success) {
+      console.error('Failed to update canvas guides:', result.error)
+    }
+    return result
+  }, [canvasId])
+
+  const addGuide = useCallback((guide) => updateGuides(addCanvasGuide, guide), [updateGuides])
+  const moveGuide = useCallback((guideId, guide) => updateGuides(moveCanvasGuide, guideId, guide), [updateGuides])
+  const removeGuide = useCallback((guideId) => updateGuides(removeCanvasGuide, guideId), [updateGuides])
+  const setGuidesLocked = useCallback((locked) => updateGuides(updateCanvasGuidesLocked, locked), [updateGuides])
+
+  const storedGuides = canvas?.guides
+  const guides = useMemo(() => getRulerGuides(storedGuides), [storedGuides])
+
+  // Stable while the grid fields are unchanged, so tool callbacks keyed on it don't rebuild
+  const { visible, snap, size, subdivisions } = canvas?.grid || {}
+  const grid = useMemo(
+    () => normalizeGrid({ visible, snap, size, subdivisions }),
+    [visible, snap, size, subdivisions]
+  )
+
+  return {
+    canvas,
+    isLoading,
+    backgroundColor: canvas?.backgroundColor || CANVAS_BACKGROUND,
+    backgroundPattern: canvas?.backgroundPattern || BACKGROUND_PATTERNS.NONE,
+    fonts: canvas?.fonts || NO_FONTS,
+    grid,
+    guides,
+    guidesLocked: !!canvas?.guidesLocked,
+    updateBackground,
+    updateGrid,
+    addGuide,
+    moveGuide,
+    removeGuide,
+    setGuidesLocked
+  }
+}
+
+export default useCanvasSettings
@@ -2,6 +2,8 @@ import { useState, useCallback } from 'react';
 import { auth } from '../services/firebase.js';
 import { updateObject, deleteObject as deleteCanvasObject, createObject } from '../services/canvas.service.js';
 import { canUserEditObject } from '../hooks/useObjectOwnership.js';
+import { getPathGeometryFields } from '../utils/pathGeometry.js';
+import { getEllipseRadii, toEllipseRadiusFields } from '../utils/ellipseGeometry.js';
 
 /**
  * Action Types for Undo/Redo System
@@ -12,9 +14,32 @@ export const ACTION_TYPES = {
   MOVE_OBJECT: 'MOVE_OBJECT',           // Position changed
   RESIZE_OBJECT: 'RESIZE_OBJECT',       // Dimensions changed
   ROTATE_OBJECT: 'ROTATE_OBJECT',       // Rotation angle changed
-  UPDATE_PROPERTIES: 'UPDATE_PROPERTIES' // Color, z-index, text content, etc.
+  UPDATE_PROPERTIES: 'UPDATE_PROPERTIES', // Color, z-index, text content, etc.
+  BATCH: 'BATCH',                       // Several object actions undone/redone as one step
+  BATCH_DELETE_OBJECTS: 'BATCH_DELETE_OBJECTS' // Multiple objects removed in one batch
 };
 
+/**
+ * Expand a batch command into its individual object actions
+ * @param {Object} command - BATCH or BATCH_DELETE_OBJECTS command
+ * @returns {Array<Object>} Actions in the order they were originally applied
+ */
+const getBatchActions = (command) => {
+  if (command.type === ACTION_TYPES.BATCH_DELETE_OBJECTS) {
+    return (command.before?.objects || []).map(obj => ({
+      type: ACTION_TYPES.DELETE_OBJECT,
+      objectId: obj.id,
+      before: obj,
+      after: null
+    }));
+  }
+
+  return command.metadata?.actions || [];
+};
+
+const isBatchCommand = (command) =>
+  command.type === ACTION_TYPES.BATCH || command.type === ACTION_TYPES.BATCH_DELETE_OBJECTS;
+
 /**
  * Generate unique command ID
  */
@@ -46,7 +71,7 @@ const generateDescription = (type, objectType = 'Object', metadata = {}) => {
         const afterKeys = Object.keys(metadata.after || {});
         const changedProps = [...new Set([...beforeKeys, ...afterKeys])];
         
-        if (changedProps.includes('fill')) {
+        if (changedProps.includes('fill') || changedProps.includes('stroke')) {
           return `Change ${capitalizedType} Color`;
         } else if (changedProps.includes('zIndex')) {
           return `Change ${capitalizedType} Layer`;
@@ -56,6 +81,10 @@ const generateDescription = (type, objectType = 'Object', metadata = {}) => {
         }
       }
       return `Update ${capitalizedType} Properties`;
+    case ACTION_TYPES.BATCH:
+      return metadata.description || `Edit ${metadata.actions?.length || 0} Objects`;
+    case ACTION_TYPES.BATCH_DELETE_OBJECTS:
+      return `Delete ${metadata.count || 0} Objects`;
     default:
       return `${type} ${capitalizedType}`;
   }
@@ -69,6 +98,7 @@ const generateDescription = (type, objectType = 'Object', metadata = {}) => {
  * - Command pattern with before/after state snapshots
  * - Ownership checks prevent conflicts in multi-user scenarios
  * - Supports all object operations: create, delete, move, resize, rotate, properties
+ * - BATCH actions group several object changes (e.g. a group move) into one undo step
  * 
  * @param {string} canvasId - Canvas ID for operations
  * @param {Function} onError - Error handler for conflict scenarios
@@ -129,6 +159,17 @@ export const useHistory = (canvasId, onError) => {
   const checkExecutionPermissions = useCallback(async (command, currentObjects) => {
     const { objectId, type } = command;
 
+    // Batches can only run if every contained action can
+    if (isBatchCommand(command)) {
+      for (const action of getBatchActions(command)) {
+        const result = await checkExecutionPermissions(action, currentObjects);
+        if (!result.canExecute) {
+          return result;
+        }
+      }
+      return { canExecute: true };
+    }
+
     // For CREATE_OBJECT undo (delete), object should exist
     // For DELETE_OBJECT undo (restore), object should not exist
     const objectExists = currentObjects && currentObjects[objectId];
@@ -167,6 +208,16 @@ export const useHistory = (canvasId, onError) => {
   const executeUndo = useCallback(async (command) => {
     const { type, objectId, before, after } = command;
 
+    // Undo batch = undo each contained action, newest first
+    if (isBatchCommand(command)) {
+      const actions = [...getBatchActions(command)].reverse();
+      for (const action of actions) {
+        const success = await executeUndo(action);
+        if (!success) return false;
+      }
+      return true;
+    }
+
     try {
       switch (type) {
         case ACTION_TYPES.CREATE_OBJECT:
@@ -212,13 +263,42 @@ export const useHistory = (canvasId, onError) => {
           
           // Add shape-specific dimension properties
           if (before.type === 'circle') {
+            // Restore both ellipse axes (older entries only have a radius)
+            const { radiusX, radiusY } = getEllipseRadii(before);
+            Object.assign(undoResizeData, toEllipseRadiusFields(radiusX, radiusY));
+          } else if (before.type === 'polygon') {
+            // Polygons resize radially (the side count is unchanged)
             undoResizeData.radius = before.radius;
           } else if (before.type === 'star') {
             undoResizeData.innerRadius = before.innerRadius;
             undoResizeData.outerRadius = before.outerRadius;
+          } else if (before.type === 'line') {
+            // Endpoint edits bake rotation into the points
+            undoResizeData.points = before.points;
+            undoResizeData.rotation = before.rotation || 0;
+            undoResizeData.startBinding = before.startBinding || null;
+            undoResizeData.endBinding = before.endBinding || null;
+          } else if (before.type === 'path') {
+            // Points (or Bézier anchors) are scaled together with the box
+            undoResizeData.width = before.width;
+            undoResizeData.height = before.height;
+            Object.assign(undoResizeData, getPathGeometryFields(before));
+          } else if (before.type === 'image') {
+            // Ctrl/Cmd-drag crops, so the visible part of the file is part of the resize
+            undoResizeData.width = before.width;
+            undoResizeData.height = before.height;
+            undoResizeData.crop = before.crop || null;
+          } else if (before.type === 'table') {
+            // Grid line drags change one column/row, so restore every track
+            undoResizeData.width = before.width;
+            undoResizeData.height = before.height;
+            if (before.columnWidths) undoResizeData.columnWidths = before.columnWidths;
+            if (before.rowHeights) undoResizeData.rowHeights = before.rowHeights;
           } else if (before.type === 'text') {
             undoResizeData.width = before.width;
-            // Don't restore height for text - it's calculated dynamically
+            // Height is only stored for fixed-size boxes; auto-sized text is measured
+            undoResizeData.sizing = before.sizing || null;
+            undoResizeData.height = before.sizing === 'fixed' ? before.height : null;
           } else {
             // Rectangle and other shapes with width/height
             undoResizeData.width = before.width;
@@ -258,6 +338,15 @@ export const useHistory = (canvasId, onError) => {
   const executeRedo = useCallback(async (command) => {
     const { type, objectId, before, after } = command;
 
+    // Redo batch = reapply each contained action in original order
+    if (isBatchCommand(command)) {
+      for (const action of getBatchActions(command)) {
+        const success = await executeRedo(action);
+        if (!success) return false;
+      }
+      return true;
+    }
+
     try {
       switch (type) {
         case ACTION_TYPES.CREATE_OBJECT:
@@ -303,13 +392,42 @@ export const useHistory = (canvasId, onError) => {
           
           // Add shape-specific dimension properties
           if (after.type === 'circle') {
+            // Restore both ellipse axes (older entries only have a radius)
+            const { radiusX, radiusY } = getEllipseRadii(after);
+            Object.assign(redoResizeData, toEllipseRadiusFields(radiusX, radiusY));
+          } else if (after.type === 'polygon') {
+            // Polygons resize radially (the side count is unchanged)
             redoResizeData.radius = after.radius;
           } else if (after.type === 'star') {
             redoResizeData.innerRadius = after.innerRadius;
             redoResizeData.outerRadius = after.outerRadius;
+          } else if (after.type === 'line') {
+            // Endpoint edits bake rotation into the points
+            redoResizeData.points = after.points;
+            redoResizeData.rotation = after.rotation || 0;
+            redoResizeData.startBinding = after.startBinding || null;
+            redoResizeData.endBinding = after.endBinding || null;
+          } else if (after.type === 'path') {
+            // Points (or Bézier anchors) are scaled together with the box
+            redoResizeData.width = after.width;
+            redoResizeData.height = after.height;
+            Object.assign(redoResizeData, getPathGeometryFields(after));
+          } else if (after.type === 'image') {
+            // Ctrl/Cmd-drag crops, so the visible part of the file is part of the resize
+            redoResizeData.width = after.width;
+            redoResizeData.height = after.height;
+            redoResizeData.crop = after.crop || null;
+          } else if (after.type === 'table') {
+            // Grid line drags change one column/row, so restore every track
+            redoResizeData.width = after.width;
+            redoResizeData.height = after.height;
+            if (after.columnWidths) redoResizeData.columnWidths = after.columnWidths;
+            if (after.rowHeights) redoResizeData.rowHeights = after.rowHeights;
           } else if (after.type === 'text') {
             redoResizeData.width = after.width;
-            // Don't restore height for text - it's calculated dynamically
+            // Height is only stored for fixed-size boxes; auto-sized text is measured
+            redoResizeData.sizing = after.sizing || null;
+            redoResizeData.height = after.sizing === 'fixed' ? after.height : null;
           } else {
             // Rectangle and other shapes with width/height
             redoResizeData.width = after.width;
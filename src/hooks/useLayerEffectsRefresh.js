@@ -0,0 +1,14 @@
+import { createContext, useContext } from 'react'
+
+/**
+ * Refresh callback of the surrounding LayerEffects (see LayerEffects.jsx)
+ */
+export const LayerEffectsContext = createContext(null)
+
+/**
+ * Get a callback that redraws the surrounding layer's effects
+ * Content that changes on its own (e.g. an image finishing loading) calls it,
+ * since the effects are drawn from a snapshot of the layer.
+ * @returns {Function|null} Refresh callback, or null outside LayerEffects
+ */
+export const useLayerEffectsRefresh = () => useContext(LayerEffectsContext)
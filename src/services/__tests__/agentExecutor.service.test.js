@@ -0,0 +1,97 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { executeAgentResponse } from '../agentExecutor.service.js';
+import { batchUpdateObjects, getCanvasObjects, groupObjects, ungroupObjects } from '../canvas.service.js';
+
+vi.mock('../firebase.js', () => ({
+  auth: { currentUser: { uid: 'test-user-id' } },
+  db: {},
+  rtdb: {},
+  storage: {},
+}));
+
+vi.mock('../canvas.service.js', () => ({
+  createObject: vi.fn(),
+  updateObject: vi.fn(),
+  batchUpdateObjects: vi.fn(() => Promise.resolve()),
+  deleteObject: vi.fn(),
+  clearAllObjects: vi.fn(),
+  updateObjectPosition: vi.fn(),
+  getCanvasObjects: vi.fn(),
+  groupObjects: vi.fn(),
+  ungroupObjects: vi.fn(),
+  updateCanvasBackground: vi.fn(),
+}));
+
+vi.mock('../font.service.js', () => ({
+  recordCanvasFont: vi.fn(),
+}));
+
+vi.mock('../agentPresence.service.js', () => ({
+  broadcastAgentAction: vi.fn(),
+  setAgentStatus: vi.fn(),
+  clearAgentStatus: vi.fn(),
+  createAgentActionNotification: vi.fn(() => ({})),
+}));
+
+describe('agentExecutor.service', () => {
+  const shapes = [
+    { id: 'a', type: 'rectangle', x: 500, y: 100, width: 100, height: 50 },
+    { id: 'b', type: 'rectangle', x: 100, y: 200, width: 50, height: 100 },
+    {
+      id: 'line-1', type: 'line', x: 150, y: 250, points: [0, 0, 350, -125],
+      startBinding: { objectId: 'b', anchor: 'right' },
+      endBinding: { objectId: 'a', anchor: 'left' }
+    }
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getCanvasObjects.mockResolvedValue(shapes);
+  });
+
+  describe('arrangeLayout', () => {
+    const arrange = (command, options) => executeAgentResponse({
+      commands: [{ type: 'arrangeLayout', targetIds: ['a', 'b'], ...command }],
+      explanation: 'Arrange'
+    }, 'canvas-1', options);
+
+    it('should space a row by the gap between shapes', async () => {
+      const result = await arrange({ layoutType: 'row', spacing: 20 });
+
+      expect(result.success).toBe(true);
+      const [entries] = batchUpdateObjects.mock.calls[0];
+      // b ends at x 150, so a starts 20 after it
+      expect(entries.find(entry => entry.id === 'a').updates).toEqual({ x: 170, y: 100 });
+    });
+
+    it('should record the layout as one undo step, rerouted connectors as property updates', async () => {
+      const recordAction = vi.fn();
+      await arrange({ layoutType: 'row', spacing: 20 }, { recordAction });
+
+      const [entries, passedRecordAction, metadata] = batchUpdateObjects.mock.calls[0];
+      expect(passedRecordAction).toBe(recordAction);
+      expect(metadata).toEqual({ actionType: 'MOVE_OBJECT', description: 'AI Arrange Layout' });
+      expect(entries.find(entry => entry.id === 'a').actionType).toBe('MOVE_OBJECT');
+      expect(entries.find(entry => entry.id === 'line-1').actionType).toBe('UPDATE_PROPERTIES');
+    });
+  });
+
+  describe('groupObjects / ungroupObjects', () => {
+    it('should record agent groups and ungroups so they can be undone', async () => {
+      const recordAction = vi.fn();
+      groupObjects.mockResolvedValue('group-1');
+
+      await executeAgentResponse({
+        commands: [{ type: 'groupObjects', objectIds: ['a', 'b'], name: 'Pair' }],
+        explanation: 'Group'
+      }, 'canvas-1', { recordAction });
+      await executeAgentResponse({
+        commands: [{ type: 'ungroupObjects', groupId: 'group-1' }],
+        explanation: 'Ungroup'
+      }, 'canvas-1', { recordAction });
+
+      expect(groupObjects).toHaveBeenCalledWith(['a', 'b'], { name: 'Pair' }, recordAction);
+      expect(ungroupObjects).toHaveBeenCalledWith('group-1', 'canvas-1', recordAction);
+    });
+  });
+});
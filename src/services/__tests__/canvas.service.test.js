@@ -7,6 +7,12 @@ import {
   lockObject,
   unlockObject,
   updateObjectPosition,
+  updateCanvasBackground,
+  updateCanvasGrid,
+  addCanvasGuide,
+  moveCanvasGuide,
+  removeCanvasGuide,
+  updateCanvasGuidesLocked,
 } from '../canvas.service.js';
 import { auth, db } from '../firebase.js';
 import { createTestUser, createTestRectangle } from '../../test/fixtures/testData.js';
@@ -49,6 +55,7 @@ vi.mock('firebase/firestore', async () => {
     serverTimestamp: vi.fn(() => 'server-timestamp'),
     setDoc: vi.fn(() => Promise.resolve()),
     arrayUnion: vi.fn((val) => val),
+    runTransaction: vi.fn(),
   };
 });
 
@@ -65,7 +72,7 @@ vi.mock('firebase/database', () => ({
 }));
 
 // Import mocked functions after mocking
-import { addDoc, updateDoc, deleteDoc, getDoc } from 'firebase/firestore';
+import { addDoc, updateDoc, deleteDoc, getDoc, doc, deleteField, runTransaction } from 'firebase/firestore';
 import { set, remove } from 'firebase/database';
 
 describe('canvas.service', () => {
@@ -439,6 +446,128 @@ describe('canvas.service', () => {
     });
   });
 
+  describe('updateCanvasBackground', () => {
+    it('should update background color and pattern on the canvas document', async () => {
+      const result = await updateCanvasBackground('canvas-1', {
+        backgroundColor: '#F8FAFC',
+        backgroundPattern: 'grid',
+      });
+
+      expect(result).toEqual({ success: true });
+      expect(updateDoc).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({
+          backgroundColor: '#f8fafc',
+          backgroundPattern: 'grid',
+          updatedAt: 'server-timestamp',
+        })
+      );
+    });
+
+    it('should reject invalid colors and patterns', async () => {
+      const badColor = await updateCanvasBackground('canvas-1', { backgroundColor: 'blue' });
+      const badPattern = await updateCanvasBackground('canvas-1', { backgroundPattern: 'stripes' });
+
+      expect(badColor.success).toBe(false);
+      expect(badPattern.success).toBe(false);
+      expect(updateDoc).not.toHaveBeenCalled();
+    });
+
+    it('should require authentication', async () => {
+      auth.currentUser = null;
+
+      const result = await updateCanvasBackground('canvas-1', { backgroundColor: '#ffffff' });
+
+      expect(result.success).toBe(false);
+      expect(updateDoc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateCanvasGrid', () => {
+    it('should update only the given grid fields on the canvas document', async () => {
+      const result = await updateCanvasGrid('canvas-1', { visible: true, size: 20 });
+
+      expect(result).toEqual({ success: true });
+      expect(updateDoc).toHaveBeenCalledWith(expect.anything(), {
+        'grid.visible': true,
+        'grid.size': 20,
+        updatedAt: 'server-timestamp',
+      });
+    });
+
+    it('should reject invalid grid values', async () => {
+      const badSnap = await updateCanvasGrid('canvas-1', { snap: 'yes' });
+      const badSize = await updateCanvasGrid('canvas-1', { size: 0 });
+      const badSubdivisions = await updateCanvasGrid('canvas-1', { subdivisions: 2.5 });
+
+      expect(badSnap.success).toBe(false);
+      expect(badSize.success).toBe(false);
+      expect(badSubdivisions.success).toBe(false);
+      expect(updateDoc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ruler guides', () => {
+    it('should add each guide under its own field path', async () => {
+      doc.mockReturnValueOnce({ id: 'guide-1' });
+
+      const result = await addCanvasGuide('canvas-1', { axis: 'x', position: 240 });
+
+      expect(result).toEqual({ success: true, guideId: 'guide-1' });
+      expect(updateDoc).toHaveBeenCalledWith(expect.anything(), {
+        'guides.guide-1': { axis: 'x', position: 240 },
+        updatedAt: 'server-timestamp',
+      });
+    });
+
+    // Runs guide transactions against a canvas document with the given fields
+    const mockCanvasTransaction = (canvasData) => {
+      const transaction = {
+        get: vi.fn(() => Promise.resolve({ exists: () => true, data: () => canvasData })),
+        update: vi.fn(),
+      };
+      runTransaction.mockImplementation((database, update) => update(transaction));
+      return transaction;
+    };
+
+    it('should move, remove and lock guides', async () => {
+      const transaction = mockCanvasTransaction({ guidesLocked: false });
+
+      const moved = await moveCanvasGuide('canvas-1', 'guide-1', { axis: 'y', position: 80 });
+      const removed = await removeCanvasGuide('canvas-1', 'guide-1');
+      await updateCanvasGuidesLocked('canvas-1', true);
+
+      expect(moved).toEqual({ success: true });
+      expect(removed).toEqual({ success: true });
+      expect(transaction.update).toHaveBeenNthCalledWith(1, expect.anything(), expect.objectContaining({ 'guides.guide-1.position': 80 }));
+      expect(transaction.update).toHaveBeenNthCalledWith(2, expect.anything(), expect.objectContaining({ 'guides.guide-1': deleteField() }));
+      expect(updateDoc).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ guidesLocked: true }));
+    });
+
+    it('should not move or remove guides while they are locked', async () => {
+      const transaction = mockCanvasTransaction({ guidesLocked: true });
+
+      const moved = await moveCanvasGuide('canvas-1', 'guide-1', { axis: 'y', position: 80 });
+      const removed = await removeCanvasGuide('canvas-1', 'guide-1');
+
+      expect(moved).toEqual({ success: false, error: 'Guides are locked' });
+      expect(removed).toEqual({ success: false, error: 'Guides are locked' });
+      expect(transaction.update).not.toHaveBeenCalled();
+      expect(updateDoc).not.toHaveBeenCalled();
+    });
+
+    it('should reject guides off the canvas and unsafe guide IDs', async () => {
+      const badAxis = await addCanvasGuide('canvas-1', { axis: 'z', position: 10 });
+      const offCanvas = await addCanvasGuide('canvas-1', { axis: 'y', position: 6000 });
+      const badId = await removeCanvasGuide('canvas-1', 'guides.other');
+
+      expect(badAxis.success).toBe(false);
+      expect(offCanvas.success).toBe(false);
+      expect(badId.success).toBe(false);
+      expect(updateDoc).not.toHaveBeenCalled();
+    });
+  });
+
   describe('batchDeleteObjects', () => {
     // Mock fetch globally for batch tests
     const mockFetch = vi.fn();
@@ -0,0 +1,77 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { uploadFontFile, recordCanvasFont } from '../font.service.js';
+import { isRegisteredFont } from '../../utils/fontRegistry.js';
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { updateDoc, arrayUnion } from 'firebase/firestore';
+
+vi.mock('../firebase.js', () => ({
+  auth: { currentUser: { uid: 'test-user-id' } },
+  db: {},
+  rtdb: {},
+  storage: {},
+}));
+
+vi.mock('../canvas.service.js', () => ({
+  generateObjectId: vi.fn(() => 'upload-id'),
+}));
+
+vi.mock('firebase/storage', () => ({
+  ref: vi.fn((storage, path) => ({ fullPath: path })),
+  uploadBytes: vi.fn(() => Promise.resolve({})),
+  getDownloadURL: vi.fn(() => Promise.resolve('https://storage.test/upload-id.woff2')),
+}));
+
+vi.mock('firebase/firestore', () => ({
+  doc: vi.fn((db, collection, id) => ({ path: `${collection}/${id}` })),
+  updateDoc: vi.fn(() => Promise.resolve()),
+  arrayUnion: vi.fn((...entries) => ({ arrayUnion: entries })),
+  serverTimestamp: vi.fn(() => 'timestamp'),
+}));
+
+describe('font.service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('uploadFontFile', () => {
+    it('should upload to the canvas fonts folder, register the font and record it on the canvas', async () => {
+      const file = new File(['font'], 'Brand-Sans.woff2');
+      const font = await uploadFontFile(file, 'canvas-1');
+
+      expect(uploadBytes).toHaveBeenCalledWith(
+        { fullPath: 'canvases/canvas-1/fonts/upload-id.woff2' },
+        file,
+        expect.objectContaining({ contentType: 'font/woff2' })
+      );
+      expect(font).toEqual({
+        family: 'Brand Sans',
+        source: 'custom',
+        src: 'https://storage.test/upload-id.woff2',
+        storagePath: 'canvases/canvas-1/fonts/upload-id.woff2',
+        fileName: 'Brand-Sans.woff2'
+      });
+      expect(isRegisteredFont('Brand Sans', 'canvas-1')).toBe(true);
+      expect(isRegisteredFont('Brand Sans', 'canvas-2')).toBe(false);
+      expect(arrayUnion).toHaveBeenCalledWith(font);
+      expect(updateDoc).toHaveBeenCalledWith({ path: 'canvases/canvas-1' }, expect.objectContaining({ fonts: expect.anything() }));
+    });
+
+    it('should reject unsupported files and taken names without uploading', async () => {
+      await expect(uploadFontFile(new File(['x'], 'logo.png'), 'canvas-1')).rejects.toThrow('Only WOFF2, WOFF, TTF and OTF');
+      await expect(uploadFontFile(new File(['x'], 'Arial.ttf'), 'canvas-1')).rejects.toThrow('A font named Arial already exists');
+      expect(uploadBytes).not.toHaveBeenCalled();
+      expect(ref).not.toHaveBeenCalled();
+      expect(getDownloadURL).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordCanvasFont', () => {
+    it('should record web fonts but not system fonts', async () => {
+      await recordCanvasFont('canvas-1', 'Arial');
+      expect(updateDoc).not.toHaveBeenCalled();
+
+      await recordCanvasFont('canvas-1', 'Inter');
+      expect(arrayUnion).toHaveBeenCalledWith({ family: 'Inter', source: 'web' });
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { uploadImageFile, createImageFromFile, deleteCanvasImages } from '../image.service.js';
+import { createObject } from '../canvas.service.js';
+import { ref, uploadBytes, getDownloadURL, listAll, deleteObject } from 'firebase/storage';
+
+vi.mock('../firebase.js', () => ({
+  auth: { currentUser: { uid: 'test-user-id' } },
+  db: {},
+  rtdb: {},
+  storage: {},
+}));
+
+vi.mock('../canvas.service.js', () => ({
+  createObject: vi.fn(() => Promise.resolve('image-object-id')),
+  generateObjectId: vi.fn(() => 'upload-id'),
+}));
+
+vi.mock('firebase/storage', () => ({
+  ref: vi.fn((storage, path) => ({ fullPath: path })),
+  uploadBytes: vi.fn(() => Promise.resolve({})),
+  getDownloadURL: vi.fn(() => Promise.resolve('https://storage.test/upload-id.png')),
+  listAll: vi.fn(() => Promise.resolve({ items: [], prefixes: [] })),
+  deleteObject: vi.fn(() => Promise.resolve()),
+}));
+
+describe('image.service', () => {
+  const pngFile = new File(['png'], 'photo.png', { type: 'image/png' });
+  const originalImage = window.Image;
+  const originalCreateObjectURL = URL.createObjectURL;
+  const originalRevokeObjectURL = URL.revokeObjectURL;
+
+  beforeEach(() => {
+    ref.mockImplementation((storage, path) => ({ fullPath: path }));
+    uploadBytes.mockResolvedValue({});
+    getDownloadURL.mockResolvedValue('https://storage.test/upload-id.png');
+    createObject.mockResolvedValue('image-object-id');
+
+    URL.createObjectURL = vi.fn(() => 'blob:photo');
+    URL.revokeObjectURL = vi.fn();
+    // Report a 1200×600 file as soon as a source is set
+    window.Image = class {
+      set src(value) {
+        this.naturalWidth = 1200;
+        this.naturalHeight = 600;
+        setTimeout(() => this.onload(), 0);
+      }
+    };
+  });
+
+  afterEach(() => {
+    window.Image = originalImage;
+    URL.createObjectURL = originalCreateObjectURL;
+    URL.revokeObjectURL = originalRevokeObjectURL;
+  });
+
+  describe('uploadImageFile', () => {
+    it('should upload to the canvas images folder with the file type', async () => {
+      const result = await uploadImageFile(pngFile, 'canvas-1');
+
+      expect(ref).toHaveBeenCalledWith({}, 'canvases/canvas-1/images/upload-id.png');
+      expect(uploadBytes).toHaveBeenCalledWith(
+        { fullPath: 'canvases/canvas-1/images/upload-id.png' },
+        pngFile,
+        expect.objectContaining({ contentType: 'image/png' })
+      );
+      expect(result).toEqual({
+        src: 'https://storage.test/upload-id.png',
+        storagePath: 'canvases/canvas-1/images/upload-id.png'
+      });
+    });
+
+    it('should reject unsupported files without uploading', async () => {
+      const gif = new File(['gif'], 'anim.gif', { type: 'image/gif' });
+
+      await expect(uploadImageFile(gif, 'canvas-1')).rejects.toThrow('Only PNG, JPEG and SVG');
+      expect(uploadBytes).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createImageFromFile', () => {
+    it('should create an image object centered on the position, scaled to fit', async () => {
+      const recordAction = vi.fn();
+      const id = await createImageFromFile(pngFile, { x: 1000, y: 1000 }, 'canvas-1', recordAction);
+
+      expect(id).toBe('image-object-id');
+      expect(createObject).toHaveBeenCalledWith(
+        'image',
+        { x: 700, y: 850, width: 600, height: 300 },
+        'canvas-1',
+        expect.objectContaining({
+          src: 'https://storage.test/upload-id.png',
+          storagePath: 'canvases/canvas-1/images/upload-id.png',
+          naturalWidth: 1200,
+          naturalHeight: 600,
+          opacity: 1
+        }),
+        recordAction
+      );
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:photo');
+    });
+
+    it('should keep images dropped near the edge inside the canvas', async () => {
+      await createImageFromFile(pngFile, { x: 10, y: 4990 }, 'canvas-1');
+
+      expect(createObject.mock.calls[0][1]).toMatchObject({ x: 0, y: 4700 });
+    });
+  });
+
+  describe('deleteCanvasImages', () => {
+    beforeEach(() => {
+      listAll.mockClear();
+      deleteObject.mockClear();
+    });
+
+    it('should delete every file in the canvas images folder', async () => {
+      const items = [{ fullPath: 'canvases/canvas-1/images/a.png' }, { fullPath: 'canvases/canvas-1/images/b.svg' }];
+      listAll.mockResolvedValueOnce({ items, prefixes: [] });
+
+      const count = await deleteCanvasImages('canvas-1');
+
+      expect(listAll).toHaveBeenCalledWith({ fullPath: 'canvases/canvas-1/images' });
+      expect(deleteObject).toHaveBeenCalledTimes(2);
+      expect(deleteObject).toHaveBeenCalledWith(items[0]);
+      expect(deleteObject).toHaveBeenCalledWith(items[1]);
+      expect(count).toBe(2);
+    });
+
+    it('should require a canvas ID', async () => {
+      await expect(deleteCanvasImages()).rejects.toThrow('Canvas ID is required');
+      expect(listAll).not.toHaveBeenCalled();
+    });
+  });
+});
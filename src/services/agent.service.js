@@ -229,6 +229,30 @@ const generateLocalMockResponse = async (prompt, canvasState) => {
   // Skip creation if this is a manipulation command
   if (!isManipulationCommand) {
     
+    // Table creation ("make a 3x4 pricing table" = 3 rows by 4 columns)
+    if (/\btables?\b/.test(lowerPrompt)) {
+      const rows = grid?.rows || 3
+      const columns = grid?.cols || 3
+      let cells
+      if (lowerPrompt.includes('pricing')) {
+        const plans = ['Basic', 'Pro', 'Business', 'Enterprise', 'Custom']
+        const features = ['Price', 'Users', 'Storage', 'Support', 'Integrations', 'Analytics']
+        cells = Array.from({ length: rows }, (_, row) => Array.from({ length: columns }, (_, column) => {
+          if (row === 0) return column === 0 ? 'Plan' : plans[column - 1] || `Plan ${column}`
+          return column === 0 ? features[row - 1] || `Feature ${row}` : ''
+        }))
+      }
+      
+      commands.push({
+        type: 'createTable',
+        position: extractPosition(prompt) || { x: 200, y: baseY },
+        rows,
+        columns,
+        ...(cells && { cells }),
+        headerRow: true
+      })
+    }
+    
     // Text creation
     if (lowerPrompt.includes('text') || lowerPrompt.includes('add text') || lowerPrompt.includes('create text') || 
         lowerPrompt.includes('text layer') || lowerPrompt.includes('add a text')) {
@@ -477,6 +501,25 @@ const generateLocalMockResponse = async (prompt, canvasState) => {
     }
   }
   
+  // Line / arrow creation (word match so "outline" or "underline" don't count)
+  if (/\b(line|arrow)s?\b/.test(lowerPrompt)) {
+    const isArrow = /\barrows?\b/.test(lowerPrompt)
+    const stroke = extractColor(prompt, '#333333')
+    const start = extractPosition(prompt) || { x: 200, y: baseY }
+    const length = 200
+    
+    for (let i = 0; i < finalCount; i++) {
+      const y = Math.min(5000, start.y + i * 50)
+      commands.push({
+        type: isArrow ? 'createArrow' : 'createLine',
+        start: { x: start.x, y },
+        end: { x: Math.min(5000, start.x + length), y },
+        stroke,
+        strokeWidth: 2
+      })
+    }
+  }
+  
   } // End creation commands section (skip if manipulation command)
 
   // === MANIPULATION COMMANDS ===
@@ -541,6 +584,8 @@ const generateLocalMockResponse = async (prompt, canvasState) => {
         targetObjects = ['lastStar'] // Special identifier for most recent star
       } else if (lowerPrompt.includes('text')) {
         targetObjects = ['lastText'] // Special identifier for most recent text
+      } else if (/\b(line|arrow)\b/.test(lowerPrompt)) {
+        targetObjects = ['lastLine'] // Special identifier for most recent line or arrow
       } else {
         targetObjects = ['lastCreated'] // Special identifier for most recently created object
       }
@@ -614,6 +659,46 @@ const generateLocalMockResponse = async (prompt, canvasState) => {
     })
   }
 
+  // Canvas background color / pattern (only when the background itself is the target,
+  // so "a red rectangle on a white background" still just creates a rectangle)
+  if (/\b(?:set|change|make)\s+(?:the\s+)?(?:canvas\s+)?background\b/.test(lowerPrompt)) {
+    const backgroundCommand = {
+      type: 'setCanvasBackground',
+      color: extractColor(prompt, '#ffffff')
+    }
+    
+    if (lowerPrompt.includes('grid')) backgroundCommand.pattern = 'grid'
+    else if (lowerPrompt.includes('dot')) backgroundCommand.pattern = 'dots'
+    else if (lowerPrompt.includes('plain') || lowerPrompt.includes('no pattern')) backgroundCommand.pattern = 'none'
+    
+    commands.push(backgroundCommand)
+  }
+
+  // Group / ungroup selected objects
+  if (lowerPrompt.includes('ungroup')) {
+    const selectedIds = canvasState.selectedObjectIds || []
+    const groupIds = new Set(
+      (canvasState.objects || [])
+        .filter(obj => selectedIds.includes(obj.id) && obj.groupId)
+        .map(obj => obj.groupId)
+    )
+    
+    groupIds.forEach(groupId => {
+      commands.push({
+        type: 'ungroupObjects',
+        groupId
+      })
+    })
+  } else if (lowerPrompt.includes('group') && canvasState.selectedObjectIds?.length >= 2) {
+    const nameMatch = prompt.match(/(?:called|named)\s+["']?([^"']+)["']?/i)
+    
+    commands.push({
+      type: 'groupObjects',
+      objectIds: canvasState.selectedObjectIds,
+      ...(nameMatch ? { name: nameMatch[1].trim() } : {})
+    })
+  }
+
   // === COMPLEX COMMANDS ===
   
   // Login form
@@ -760,7 +845,7 @@ const categorizeCommands = (commands) => {
   const categories = { creation: 0, manipulation: 0, layout: 0, complex: 0 }
   
   commands.forEach(cmd => {
-    if (['createRectangle', 'createCircle', 'createStar', 'createText'].includes(cmd.type)) {
+    if (['createRectangle', 'createCircle', 'createEllipse', 'createStar', 'createPolygon', 'createText', 'createLine', 'createArrow', 'createTable'].includes(cmd.type)) {
       categories.creation++
     } else if (['moveShape', 'resizeShape', 'rotateShape'].includes(cmd.type)) {
       categories.manipulation++
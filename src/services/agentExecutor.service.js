@@ -1,13 +1,25 @@
 import { 
   createObject, 
   updateObject, 
+  batchUpdateObjects,
   deleteObject, 
   clearAllObjects,
   updateObjectPosition,
-  getCanvasObjects
+  getCanvasObjects,
+  groupObjects,
+  ungroupObjects,
+  updateCanvasBackground
 } from './canvas.service.js'
 import { parseAgentResponse, orderCommands, batchCommands } from '../utils/agentCommandParser.js'
 import { parseCompositeCommand, isCompositeCommand } from '../utils/agentCompositeCommands.js'
+import { clampPolygonSides } from '../utils/polygonGeometry.js'
+import { getEllipseRadii, toEllipseRadiusFields } from '../utils/ellipseGeometry.js'
+import { createTableGrid } from '../utils/tableUtils.js'
+import { getFillColor } from '../utils/gradients.js'
+import { getAlignEntries, getDistributeEntries, getLayoutEntries, isMoveOnlyEntry } from '../utils/alignment.js'
+import { ACTION_TYPES } from '../hooks/useHistory.js'
+import { FUTURE_SHAPE_DEFAULTS } from '../constants/canvas.constants.js'
+import { recordCanvasFont } from './font.service.js'
 import { broadcastAgentAction, setAgentStatus, clearAgentStatus, createAgentActionNotification } from './agentPresence.service.js'
 
 /**
@@ -56,6 +68,8 @@ async function resolveObjectId(objectId, canvasId) {
       filteredObjects = objects.filter(obj => obj.type === 'star')
     } else if (baseObjectId === 'lastText') {
       filteredObjects = objects.filter(obj => obj.type === 'text')
+    } else if (baseObjectId === 'lastLine') {
+      filteredObjects = objects.filter(obj => obj.type === 'line')
     }
     // For "lastCreated", we use all objects (no additional filtering)
     
@@ -63,7 +77,8 @@ async function resolveObjectId(objectId, canvasId) {
     if (colorFilter) {
       const targetColor = normalizeColor(colorFilter)
       filteredObjects = filteredObjects.filter(obj => {
-        const objColor = normalizeColor(obj.fill || obj.color)
+        const isStroked = obj.type === 'line' || obj.type === 'path'
+        const objColor = normalizeColor(isStroked ? obj.stroke : getFillColor(obj.fill || obj.color, null))
         return objColor === targetColor
       })
     }
@@ -335,14 +350,31 @@ const executeCommand = async (command, canvasId, options = {}) => {
         result.objectId = await executeCreateCircle(command, canvasId)
         break
         
+      case 'createEllipse':
+        result.objectId = await executeCreateEllipse(command, canvasId)
+        break
+        
       case 'createStar':
         result.objectId = await executeCreateStar(command, canvasId)
         break
         
+      case 'createPolygon':
+        result.objectId = await executeCreatePolygon(command, canvasId)
+        break
+        
       case 'createText':
         result.objectId = await executeCreateText(command, canvasId)
         break
         
+      case 'createLine':
+      case 'createArrow':
+        result.objectId = await executeCreateLine(command, canvasId)
+        break
+        
+      case 'createTable':
+        result.objectId = await executeCreateTable(command, canvasId)
+        break
+        
       // Manipulation commands (both old and new styles)
       case 'moveObject':
         await executeMoveObject(command, canvasId)
@@ -376,7 +408,7 @@ const executeCommand = async (command, canvasId, options = {}) => {
         
       // Layout commands
       case 'arrangeLayout':
-        await executeArrangeLayout(command, canvasId)
+        await executeArrangeLayout(command, canvasId, options.recordAction)
         result.objectIds = command.targetIds || []
         break
         
@@ -414,11 +446,11 @@ const executeCommand = async (command, canvasId, options = {}) => {
         break
         
       case 'groupObjects':
-        result.objectId = await executeGroupObjects(command, canvasId)
+        result.objectId = await executeGroupObjects(command, canvasId, options.recordAction)
         break
         
       case 'ungroupObjects':
-        await executeUngroupObjects(command, canvasId)
+        await executeUngroupObjects(command, canvasId, options.recordAction)
         result.objectId = command.groupId
         break
         
@@ -442,11 +474,27 @@ const executeCommand = async (command, canvasId, options = {}) => {
 // COMMAND EXECUTION IMPLEMENTATIONS
 // =====================================
 
+/**
+ * Get the stroke fields of a shape creation command
+ * A stroke color without a width is drawn at the default width.
+ */
+const getShapeStrokeFields = (command) => {
+  const { stroke, strokeWidth, dash, lineCap, lineJoin, strokeAlign } = command
+  return {
+    stroke,
+    strokeWidth: stroke && !strokeWidth ? FUTURE_SHAPE_DEFAULTS.stroke.width : strokeWidth,
+    ...(dash && { dash }),
+    ...(lineCap && { lineCap }),
+    ...(lineJoin && { lineJoin }),
+    ...(strokeAlign && { strokeAlign })
+  }
+}
+
 /**
  * Execute createRectangle command
  */
 const executeCreateRectangle = async (command, canvasId) => {
-  const { position, size, fill, stroke, strokeWidth, rotation } = command
+  const { position, size, fill, rotation, cornerRadius, frameId } = command
   
   const objectId = await createObject('rectangle', {
     x: position.x,
@@ -455,9 +503,10 @@ const executeCreateRectangle = async (command, canvasId) => {
     height: size.height
   }, canvasId, {
     fill,
-    stroke,
-    strokeWidth,
-    rotation: rotation || 0
+    ...getShapeStrokeFields(command),
+    rotation: rotation || 0,
+    ...(cornerRadius !== undefined && { cornerRadius }),
+    ...(frameId && { frameId })
   })
   
   return objectId
@@ -467,16 +516,35 @@ const executeCreateRectangle = async (command, canvasId) => {
  * Execute createCircle command
  */
 const executeCreateCircle = async (command, canvasId) => {
-  const { position, radius, fill, stroke, strokeWidth } = command
+  const { position, radius, fill } = command
   
   const objectId = await createObject('circle', {
     x: position.x,
     y: position.y,
-    radius
+    ...toEllipseRadiusFields(radius, radius)
   }, canvasId, {
     fill,
-    stroke,
-    strokeWidth
+    ...getShapeStrokeFields(command)
+  })
+  
+  return objectId
+}
+
+/**
+ * Execute createEllipse command
+ * Ellipses are circle objects with independent horizontal/vertical radii.
+ */
+const executeCreateEllipse = async (command, canvasId) => {
+  const { position, radiusX, radiusY, fill, rotation } = command
+  
+  const objectId = await createObject('circle', {
+    x: position.x,
+    y: position.y,
+    ...toEllipseRadiusFields(radiusX, radiusY)
+  }, canvasId, {
+    fill,
+    ...getShapeStrokeFields(command),
+    rotation: rotation || 0
   })
   
   return objectId
@@ -486,7 +554,7 @@ const executeCreateCircle = async (command, canvasId) => {
  * Execute createStar command
  */
 const executeCreateStar = async (command, canvasId) => {
-  const { position, radius, numPoints, fill, stroke, strokeWidth, rotation } = command
+  const { position, radius, numPoints, fill, rotation } = command
   
   const objectId = await createObject('star', {
     x: position.x,
@@ -495,9 +563,81 @@ const executeCreateStar = async (command, canvasId) => {
     numPoints: numPoints || 5
   }, canvasId, {
     fill,
+    ...getShapeStrokeFields(command),
+    rotation: rotation || 0
+  })
+  
+  return objectId
+}
+
+/**
+ * Execute createPolygon command
+ * Regular polygons are stored at their center; 3 sides makes a triangle.
+ */
+const executeCreatePolygon = async (command, canvasId) => {
+  const { position, radius, sides, fill, rotation } = command
+  
+  const objectId = await createObject('polygon', {
+    x: position.x,
+    y: position.y
+  }, canvasId, {
+    radius,
+    sides: clampPolygonSides(sides ?? FUTURE_SHAPE_DEFAULTS.polygon.sides),
+    fill,
+    ...getShapeStrokeFields(command),
+    rotation: rotation || 0
+  })
+  
+  return objectId
+}
+
+/**
+ * Execute createLine / createArrow command
+ * Lines are stored at their start point with the end point relative to it.
+ */
+const executeCreateLine = async (command, canvasId) => {
+  const { start, end, stroke, strokeWidth, dash, startArrowhead, endArrowhead } = command
+  
+  const objectId = await createObject('line', {
+    x: start.x,
+    y: start.y
+  }, canvasId, {
+    points: [0, 0, end.x - start.x, end.y - start.y],
     stroke,
     strokeWidth,
-    rotation: rotation || 0
+    ...(dash && { dash }),
+    startArrowhead: startArrowhead || 'none',
+    endArrowhead: endArrowhead || (command.type === 'createArrow' ? 'arrow' : 'none')
+  })
+  
+  return objectId
+}
+
+/**
+ * Execute createTable command
+ * Tables are stored at their top-left corner with their cells in row-major order.
+ */
+const executeCreateTable = async (command, canvasId) => {
+  const { position, rows, columns, cells, columnWidth, rowHeight, headerRow, fill, headerFill, stroke, textColor, fontSize } = command
+  const defaults = FUTURE_SHAPE_DEFAULTS.table
+  const { width, height, ...grid } = createTableGrid({ rows, columns, columnWidth, rowHeight, cells })
+  
+  const objectId = await createObject('table', {
+    x: position.x,
+    y: position.y,
+    width,
+    height
+  }, canvasId, {
+    ...grid,
+    headerRow: headerRow ?? defaults.headerRow,
+    fill: fill || defaults.fill,
+    headerFill: headerFill || defaults.headerFill,
+    stroke: stroke || defaults.stroke,
+    strokeWidth: defaults.strokeWidth,
+    textColor: textColor || defaults.textColor,
+    fontSize: fontSize || defaults.fontSize,
+    fontFamily: defaults.fontFamily,
+    rotation: 0
   })
   
   return objectId
@@ -577,8 +717,17 @@ const executeResizeObject = async (command, canvasId) => {
     if (size.height !== undefined) {
       updates.height = size.height
     }
-    if (size.radius !== undefined) {
-      updates.radius = size.radius
+    if (size.radiusX !== undefined && size.radiusY !== undefined) {
+      Object.assign(updates, toEllipseRadiusFields(size.radiusX, size.radiusY))
+    } else if (size.radius !== undefined) {
+      // Circles keep both ellipse axes in sync with the radius
+      const objects = await getCanvasObjects(canvasId)
+      const targetObject = objects.find(obj => obj.id === resolvedObjectId)
+      if (targetObject?.type === 'circle') {
+        Object.assign(updates, toEllipseRadiusFields(size.radius, size.radius))
+      } else {
+        updates.radius = size.radius
+      }
     }
   } else if (scale) {
     // Scale-based resizing - need to fetch current object first
@@ -591,7 +740,11 @@ const executeResizeObject = async (command, canvasId) => {
     
     // Apply scale to current dimensions
     if (targetObject.type === 'circle') {
-      updates.radius = Math.round((targetObject.radius || 50) * scale)
+      const { radiusX, radiusY } = getEllipseRadii(targetObject)
+      Object.assign(updates, toEllipseRadiusFields(
+        Math.round((radiusX || 50) * scale),
+        Math.round((radiusY || 50) * scale)
+      ))
     } else {
       // For rectangles, stars, etc.
       updates.width = Math.round((targetObject.width || 100) * scale)
@@ -636,7 +789,13 @@ const executeUpdateObjectProperties = async (command, canvasId) => {
   if (properties.fill) updates.fill = properties.fill
   if (properties.stroke) updates.stroke = properties.stroke
   if (properties.strokeWidth !== undefined) updates.strokeWidth = properties.strokeWidth
+  if (properties.dash !== undefined) updates.dash = properties.dash
+  if (properties.lineCap) updates.lineCap = properties.lineCap
+  if (properties.lineJoin) updates.lineJoin = properties.lineJoin
+  if (properties.strokeAlign) updates.strokeAlign = properties.strokeAlign
   if (properties.opacity !== undefined) updates.opacity = properties.opacity
+  if (properties.cornerRadius !== undefined) updates.cornerRadius = properties.cornerRadius
+  if (properties.effects !== undefined) updates.effects = properties.effects
   
   await updateObject(objectId, updates)
 }
@@ -667,33 +826,52 @@ const executeClearCanvas = async (command, canvasId) => {
  * Execute setCanvasBackground command
  */
 const executeSetCanvasBackground = async (command, canvasId) => {
-  const { color } = command
+  const { color, pattern } = command
+  
+  const result = await updateCanvasBackground(canvasId, {
+    backgroundColor: color,
+    ...(pattern ? { backgroundPattern: pattern } : {})
+  })
   
-  // TODO: Implement canvas background color
-  // This would require updating the canvas component to support background colors
-  // Canvas background would be set to: ${color}
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to set canvas background')
+  }
 }
 
 /**
  * Execute groupObjects command
+ * @param {Object} command - groupObjects command
+ * @param {string} canvasId - Target canvas ID
+ * @param {Function} recordAction - Canvas history's recordAction (optional)
  */
-const executeGroupObjects = async (command, canvasId) => {
+const executeGroupObjects = async (command, canvasId, recordAction = null) => {
   const { objectIds, name } = command
   
-  // TODO: Implement object grouping
-  // This would require a grouping system in the canvas service
-  console.log(`Would group objects: ${objectIds.join(', ')} as "${name || 'Group'}"`)
-  return `group_${Date.now()}`
+  // Resolve special IDs like "lastCreated" to actual object IDs
+  const resolvedIds = []
+  for (const objectId of objectIds) {
+    const resolvedId = await resolveObjectId(objectId, canvasId)
+    if (!resolvedId) {
+      throw new Error(`Could not find object to group: ${objectId}`)
+    }
+    resolvedIds.push(resolvedId)
+  }
+  
+  console.log(`Grouping objects: ${resolvedIds.join(', ')} as "${name || 'Group'}"`)
+  return await groupObjects(resolvedIds, { name }, recordAction)
 }
 
 /**
  * Execute ungroupObjects command
+ * @param {Object} command - ungroupObjects command
+ * @param {string} canvasId - Target canvas ID
+ * @param {Function} recordAction - Canvas history's recordAction (optional)
  */
-const executeUngroupObjects = async (command, canvasId) => {
+const executeUngroupObjects = async (command, canvasId, recordAction = null) => {
   const { groupId } = command
   
-  // TODO: Implement object ungrouping
-  console.log(`Would ungroup: ${groupId}`)
+  console.log(`Ungrouping: ${groupId}`)
+  await ungroupObjects(groupId, canvasId, recordAction)
 }
 
 /**
@@ -713,6 +891,9 @@ const executeCreateText = async (command, canvasId) => {
     fill: fill || '#000000',
     rotation: rotation || 0
   })
+
+  // Web and uploaded fonts are recorded on the canvas so every collaborator loads them
+  await recordCanvasFont(canvasId, fontFamily || 'Arial')
   
   return objectId
 }
@@ -805,9 +986,16 @@ const executeRotateShape = async (command, canvasId) => {
 
 /**
  * Execute arrangeLayout command
+ * Uses the same engine as the canvas align/distribute buttons: groups and
+ * frames move as units, shapes are measured by their rotated bounds, and the
+ * result is written as one batch and undone as one step. Row, column and grid
+ * `spacing` is the gap between neighbouring units.
+ * @param {Object} command - arrangeLayout command
+ * @param {string} canvasId - Target canvas ID
+ * @param {Function} recordAction - Canvas history's recordAction (optional)
  */
-const executeArrangeLayout = async (command, canvasId) => {
-  const { layoutType = 'row', columns = 3, rows = 1, spacing = 50, targetIds } = command
+const executeArrangeLayout = async (command, canvasId, recordAction = null) => {
+  const { layoutType = 'row', columns = 3, spacing = 50, align = 'left', direction = 'horizontal', targetIds } = command
   
   if (!targetIds || targetIds.length === 0) {
     console.log('arrangeLayout: No target objects specified')
@@ -815,67 +1003,37 @@ const executeArrangeLayout = async (command, canvasId) => {
   }
   
   try {
-    // Get all objects from canvas to find the target objects
     const allObjects = await getCanvasObjects(canvasId)
-    const targetObjects = allObjects.filter(obj => targetIds.includes(obj.id))
-    
-    if (targetObjects.length === 0) {
-      // arrangeLayout: No matching objects found on canvas
-      return
-    }
-    
-    console.log(`Arranging ${targetObjects.length} objects in ${layoutType} layout`)
-    
-    // Calculate layout positions based on type
-    let newPositions = []
-    const objectCount = targetObjects.length
     
+    let entries
     switch (layoutType) {
-      case 'row':
-        // Arrange objects in a horizontal row
-        newPositions = targetObjects.map((obj, index) => ({
-          id: obj.id,
-          x: 100 + (index * spacing),
-          y: obj.y // Keep original Y position
-        }))
+      case 'align':
+        entries = getAlignEntries(targetIds, allObjects, align)
         break
         
-      case 'column':
-        // Arrange objects in a vertical column
-        newPositions = targetObjects.map((obj, index) => ({
-          id: obj.id,
-          x: obj.x, // Keep original X position  
-          y: 100 + (index * spacing)
-        }))
+      case 'distribute':
+        entries = getDistributeEntries(targetIds, allObjects, direction)
         break
         
-      case 'grid':
-        // Arrange objects in a grid pattern
-        const gridColumns = columns || Math.ceil(Math.sqrt(objectCount))
-        const gridRows = rows || Math.ceil(objectCount / gridColumns)
-        
-        newPositions = targetObjects.map((obj, index) => {
-          const col = index % gridColumns
-          const row = Math.floor(index / gridColumns)
-          
-          return {
-            id: obj.id,
-            x: 100 + (col * spacing),
-            y: 100 + (row * spacing)
-          }
-        })
-        break
+      default:
+        entries = getLayoutEntries(targetIds, allObjects, { layoutType, columns, spacing })
     }
     
-    // Update each object's position
-    for (const position of newPositions) {
-      await updateObjectPosition(canvasId, position.id, { 
-        x: position.x, 
-        y: position.y 
-      })
+    if (entries.length === 0) {
+      console.log(`arrangeLayout: Nothing to move for ${layoutType}`)
+      return
     }
     
-    console.log(`✅ Successfully arranged ${targetObjects.length} objects in ${layoutType} layout`)
+    const actionEntries = entries.map(entry => ({
+      ...entry,
+      actionType: isMoveOnlyEntry(entry) ? ACTION_TYPES.MOVE_OBJECT : ACTION_TYPES.UPDATE_PROPERTIES
+    }))
+    await batchUpdateObjects(actionEntries, recordAction, {
+      actionType: ACTION_TYPES.MOVE_OBJECT,
+      description: 'AI Arrange Layout'
+    })
+    
+    console.log(`✅ Successfully arranged ${targetIds.length} objects (${layoutType})`)
     
   } catch (error) {
     console.error('❌ Error executing arrangeLayout:', error)
@@ -883,8 +1041,53 @@ const executeArrangeLayout = async (command, canvasId) => {
   }
 }
 
+/**
+ * Create a composite's rectangles inside a new frame
+ * The frame is padded around the pieces, so the composite moves and exports as one unit.
+ * @param {Array} commands - createRectangle commands expanded from a composite
+ * @param {string} canvasId - Target canvas ID
+ * @param {string} name - Frame name
+ * @param {string} label - Composite name used in error logs
+ * @returns {Promise<Array<string>>} Frame ID followed by the IDs of the created pieces
+ */
+const executeCommandsInFrame = async (commands, canvasId, name, label) => {
+  if (commands.length === 0) return []
+  
+  const { contentPadding, fill, clipContent } = FUTURE_SHAPE_DEFAULTS.frame
+  const x = Math.max(0, Math.min(...commands.map(cmd => cmd.position.x)) - contentPadding)
+  const y = Math.max(0, Math.min(...commands.map(cmd => cmd.position.y)) - contentPadding)
+  const right = Math.min(5000, Math.max(...commands.map(cmd => cmd.position.x + cmd.size.width)) + contentPadding)
+  const bottom = Math.min(5000, Math.max(...commands.map(cmd => cmd.position.y + cmd.size.height)) + contentPadding)
+  
+  const frameId = await createObject('frame', {
+    x,
+    y,
+    width: right - x,
+    height: bottom - y
+  }, canvasId, {
+    name,
+    fill,
+    clipContent,
+    rotation: 0
+  })
+  const objectIds = [frameId]
+  
+  // Execute each command in the composite
+  for (const cmd of commands) {
+    try {
+      const objectId = await executeCreateRectangle({ ...cmd, frameId }, canvasId)
+      objectIds.push(objectId)
+    } catch (error) {
+      console.error(`Failed to execute ${label} command:`, error)
+    }
+  }
+  
+  return objectIds
+}
+
 /**
  * Execute createForm command
+ * The form's pieces are created inside a frame.
  */
 const executeCreateForm = async (command, canvasId) => {
   const { position, formType, fields, width } = command
@@ -900,19 +1103,9 @@ const executeCreateForm = async (command, canvasId) => {
   }
   
   const compositeResult = parseCompositeCommand(compositeCommand)
-  const objectIds = []
-  
-  // Execute each command in the composite
-  for (const cmd of compositeResult.commands) {
-    try {
-      const objectId = await executeCreateRectangle(cmd, canvasId)
-      objectIds.push(objectId)
-    } catch (error) {
-      console.error('Failed to execute form command:', error)
-    }
-  }
   
-  return objectIds
+  const formName = (formType || 'login').charAt(0).toUpperCase() + (formType || 'login').slice(1)
+  return executeCommandsInFrame(compositeResult.commands, canvasId, `${formName} Form`, 'form')
 }
 
 /**
@@ -949,9 +1142,10 @@ const executeCreateNavBar = async (command, canvasId) => {
 
 /**
  * Execute createLayout command
+ * The layout's pieces are created inside a frame.
  */
 const executeCreateLayout = async (command, canvasId) => {
-  const { position, layoutType, cardCount, elements } = command
+  const { position, cardCount, elements } = command
   
   // Use composite command system for layouts
   const { parseCompositeCommand } = await import('../utils/agentCompositeCommands.js')
@@ -964,19 +1158,8 @@ const executeCreateLayout = async (command, canvasId) => {
   }
   
   const compositeResult = parseCompositeCommand(compositeCommand)
-  const objectIds = []
-  
-  // Execute each command in the composite
-  for (const cmd of compositeResult.commands) {
-    try {
-      const objectId = await executeCreateRectangle(cmd, canvasId)
-      objectIds.push(objectId)
-    } catch (error) {
-      console.error('Failed to execute layout command:', error)
-    }
-  }
   
-  return objectIds
+  return executeCommandsInFrame(compositeResult.commands, canvasId, 'Card Layout', 'layout')
 }
 
 
@@ -1050,7 +1233,7 @@ const executeCompositeCommand = async (command, canvasId, options = {}) => {
  */
 const isParallelizable = (command) => {
   // Creation commands can generally run in parallel
-  const parallelTypes = ['createRectangle', 'createCircle', 'createStar', 'createText']
+  const parallelTypes = ['createRectangle', 'createCircle', 'createEllipse', 'createStar', 'createPolygon', 'createText', 'createLine', 'createArrow', 'createTable']
   
   // Modification commands on different objects can run in parallel
   const modificationTypes = [
@@ -1074,8 +1257,13 @@ const aggregateCommandResult = (batchResult, commandResult) => {
       switch (commandResult.commandType) {
         case 'createRectangle':
         case 'createCircle':
+        case 'createEllipse':
         case 'createStar':
+        case 'createPolygon':
         case 'createText':
+        case 'createLine':
+        case 'createArrow':
+        case 'createTable':
         case 'groupObjects':
           batchResult.createdObjects.push(commandResult.objectId)
           break
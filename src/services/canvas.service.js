@@ -13,12 +13,29 @@ import {
   getDoc,
   setDoc,
   arrayUnion,
-  writeBatch
+  deleteField,
+  writeBatch,
+  runTransaction
 } from 'firebase/firestore'
 import { ref, set, update, remove, onValue, onDisconnect } from 'firebase/database'
 import { db, auth, rtdb } from './firebase.js'
-import { FIREBASE_COLLECTIONS, OBJECT_UPDATE_THROTTLE } from '../constants/canvas.constants.js'
+import {
+  FIREBASE_COLLECTIONS,
+  OBJECT_UPDATE_THROTTLE,
+  BACKGROUND_PATTERNS,
+  GRID_SIZE_LIMITS,
+  GRID_SUBDIVISION_LIMITS,
+  GUIDE_AXES,
+  CANVAS_WIDTH,
+  CANVAS_HEIGHT
+} from '../constants/canvas.constants.js'
 import { canUserAccessProject } from './project.service.js'
+import { encodeActiveObjectData, decodeActiveObjectData } from './realtimeObjects.service.js'
+import { getConnectorDeletePlan } from '../utils/connectorUtils.js'
+import { isValidPathGeometry } from '../utils/pathGeometry.js'
+import { isValidPolygonGeometry } from '../utils/polygonGeometry.js'
+import { isValidImageGeometry } from '../utils/imageGeometry.js'
+import { deleteCanvasImages } from './image.service.js'
 
 // Throttling mechanism for Firestore position updates during drag operations
 const pendingUpdates = new Map()
@@ -41,10 +58,12 @@ const activeObjectDisconnectHandlers = new Map()
 
 /**
  * Create a new canvas object
- * @param {string} type - Object type ('rectangle', 'circle', 'text')
+ * @param {string} type - Object type ('rectangle', 'circle', 'polygon', 'text', 'line', 'path', 'image', 'frame', 'sticky', 'table', ...)
  * @param {Object} position - Position and dimensions {x, y, width, height}
  * @param {string} canvasId - Canvas ID to associate the object with
  * @param {Object} properties - Additional properties (fill, stroke, etc.)
+ *   properties.forceId restores an object under its original ID (undo/redo), so
+ *   references to it such as connector bindings stay valid
  * @param {Function} recordAction - Optional callback to record action for undo/redo
  * @returns {Promise<string>} Document ID of created object
  */
@@ -65,11 +84,28 @@ export const createObject = async (type, position, canvasId, properties = {}, re
       throw new Error('Object position is outside canvas bounds')
     }
 
+    // Paths are drawn from their geometry - freehand points or Bézier anchors
+    if (type === 'path' && !isValidPathGeometry(properties)) {
+      throw new Error('Path objects require valid points or anchors')
+    }
+
+    // Polygons (and triangles) need a radius and a supported side count
+    if (type === 'polygon' && !isValidPolygonGeometry(properties)) {
+      throw new Error('Polygon objects require a positive radius and 3-12 sides')
+    }
+
+    // Images need an uploaded source, a box and the file's pixel size
+    if (type === 'image' && !isValidImageGeometry({ ...position, ...properties })) {
+      throw new Error('Image objects require a source, a size and natural dimensions')
+    }
+
+    const { forceId, ...objectProperties } = properties
+
     const objectData = {
       type,
       canvasId,
       ...position,
-      ...properties,
+      ...objectProperties,
       createdBy: auth.currentUser.uid,
       createdByName: auth.currentUser.displayName || auth.currentUser.email,
       createdAt: serverTimestamp(),
@@ -82,15 +118,22 @@ export const createObject = async (type, position, canvasId, properties = {}, re
       Object.entries(objectData).filter(([_, v]) => v !== undefined)
     )
 
-    const docRef = await addDoc(collection(db, FIREBASE_COLLECTIONS.CANVAS_OBJECTS), cleanData)
-    // Canvas object created: ${docRef.id}
+    let objectId
+    if (forceId) {
+      await setDoc(doc(db, FIREBASE_COLLECTIONS.CANVAS_OBJECTS, forceId), cleanData)
+      objectId = forceId
+    } else {
+      const docRef = await addDoc(collection(db, FIREBASE_COLLECTIONS.CANVAS_OBJECTS), cleanData)
+      objectId = docRef.id
+    }
+    // Canvas object created: ${objectId}
     
     // Record action for undo/redo if callback provided
     if (recordAction && typeof recordAction === 'function') {
       try {
         recordAction(
           'CREATE_OBJECT', 
-          docRef.id, 
+          objectId, 
           null, // before: object didn't exist
           cleanData, // after: complete object data
           { objectType: type.charAt(0).toUpperCase() + type.slice(1) }
@@ -100,13 +143,21 @@ export const createObject = async (type, position, canvasId, properties = {}, re
       }
     }
     
-    return docRef.id
+    return objectId
   } catch (error) {
     console.error('Error creating canvas object:', error)
     throw error
   }
 }
 
+/**
+ * Reserve a document ID for an object before it is created
+ * Lets a tool stream an in-progress object to collaborators (via RTDB) under the
+ * ID it will be saved with.
+ * @returns {string} New document ID
+ */
+export const generateObjectId = () => doc(collection(db, FIREBASE_COLLECTIONS.CANVAS_OBJECTS)).id
+
 /**
  * Update an existing canvas object
  * @param {string} objectId - Document ID of the object
@@ -559,6 +610,355 @@ export const batchDeleteObjects = async (objectIds, recordAction = null) => {
   }
 }
 
+/**
+ * Delete objects along with the connector changes the deletion causes
+ * Connectors bound at both ends to deleted objects are deleted too; other attached
+ * connectors are detached from the deleted side. Everything is written in one
+ * Firestore batch and recorded as ONE undo/redo entry.
+ * @param {Array<string>} objectIds - IDs of the objects to delete
+ * @param {Array<Object>} canvasObjects - Current canvas objects (used for undo snapshots)
+ * @param {Function} recordAction - Optional callback to record action for undo/redo
+ * @returns {Promise<{deleted: number, detached: number}>}
+ */
+export const deleteObjectsWithConnectors = async (objectIds, canvasObjects, recordAction = null) => {
+  try {
+    if (!auth.currentUser) {
+      throw new Error('User must be authenticated to delete objects')
+    }
+
+    if (!Array.isArray(objectIds) || objectIds.length === 0) {
+      return { deleted: 0, detached: 0 }
+    }
+
+    const { deleteIds: connectorIds, detachEntries } = getConnectorDeletePlan(objectIds, canvasObjects)
+    const deletedObjects = [...objectIds, ...connectorIds]
+      .map(id => canvasObjects.find(obj => obj.id === id))
+      .filter(Boolean)
+      // Restored objects shouldn't come back locked
+      .map(obj => ({ ...obj, lockedBy: null, lockedAt: null }))
+
+    const timestamp = serverTimestamp()
+    const userId = auth.currentUser.uid
+    const firestoreBatch = writeBatch(db)
+
+    detachEntries.forEach(({ id, updates }) => {
+      firestoreBatch.update(doc(db, FIREBASE_COLLECTIONS.CANVAS_OBJECTS, id), {
+        ...updates,
+        lastModifiedAt: timestamp,
+        lastModifiedBy: userId
+      })
+    })
+    deletedObjects.forEach(obj => {
+      firestoreBatch.delete(doc(db, FIREBASE_COLLECTIONS.CANVAS_OBJECTS, obj.id))
+    })
+
+    await firestoreBatch.commit()
+
+    console.log(`🗑️ Deleted ${deletedObjects.length} objects, detached ${detachEntries.length} connectors`)
+
+    // Detaches are recorded first so undo restores the shapes before re-binding
+    if (recordAction && typeof recordAction === 'function' && deletedObjects.length > 0) {
+      try {
+        const singleType = deletedObjects.length === 1 && deletedObjects[0].type
+        recordAction(
+          'BATCH',
+          [...detachEntries.map(entry => entry.id), ...deletedObjects.map(obj => obj.id)],
+          null,
+          null,
+          {
+            objectType: 'Objects',
+            description: singleType
+              ? `Delete ${singleType.charAt(0).toUpperCase() + singleType.slice(1)}`
+              : `Delete ${deletedObjects.length} Objects`,
+            actions: [
+              ...detachEntries.map(entry => ({
+                type: 'UPDATE_PROPERTIES',
+                objectId: entry.id,
+                before: entry.before,
+                after: entry.updates
+              })),
+              ...deletedObjects.map(obj => ({
+                type: 'DELETE_OBJECT',
+                objectId: obj.id,
+                before: obj,
+                after: null
+              }))
+            ]
+          }
+        );
+      } catch (error) {
+        console.warn('Failed to record connector delete action:', error);
+      }
+    }
+
+    return { deleted: deletedObjects.length, detached: detachEntries.length }
+  } catch (error) {
+    console.error('Error deleting objects with connectors:', error)
+    throw error
+  }
+}
+
+/**
+ * Update multiple canvas objects in a single Firestore batch
+ * Records ONE undo/redo entry covering every object in the batch.
+ * @param {Array<Object>} entries - Array of { id, updates, before, actionType? } per object
+ *   (actionType overrides actionMetadata.actionType for that entry)
+ * @param {Function} recordAction - Optional callback to record action for undo/redo
+ * @param {Object} actionMetadata - Metadata for action recording (actionType, objectType, description)
+ * @returns {Promise<void>}
+ */
+export const batchUpdateObjects = async (entries, recordAction = null, actionMetadata = {}) => {
+  try {
+    if (!auth.currentUser) {
+      throw new Error('User must be authenticated to update objects')
+    }
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return
+    }
+
+    const timestamp = serverTimestamp()
+    const userId = auth.currentUser.uid
+
+    // Firestore batches are capped at 500 writes
+    const maxBatchSize = 450
+    for (let i = 0; i < entries.length; i += maxBatchSize) {
+      const batch = writeBatch(db)
+
+      entries.slice(i, i + maxBatchSize).forEach(({ id, updates }) => {
+        const docRef = doc(db, FIREBASE_COLLECTIONS.CANVAS_OBJECTS, id)
+        batch.update(docRef, {
+          ...updates,
+          lastModifiedAt: timestamp,
+          lastModifiedBy: userId
+        })
+      })
+
+      await batch.commit()
+    }
+
+    console.log(`✏️ Batch updated ${entries.length} objects`)
+
+    // Record a single BATCH action so the whole change undoes as one step
+    if (recordAction && typeof recordAction === 'function' && actionMetadata.actionType) {
+      try {
+        recordAction(
+          'BATCH',
+          entries.map(entry => entry.id),
+          null,
+          null,
+          {
+            objectType: actionMetadata.objectType || 'Objects',
+            description: actionMetadata.description,
+            actions: entries.map(entry => ({
+              type: entry.actionType || actionMetadata.actionType,
+              objectId: entry.id,
+              before: entry.before || {},
+              after: entry.updates
+            }))
+          }
+        );
+      } catch (error) {
+        console.warn('Failed to record BATCH action:', error);
+      }
+    }
+  } catch (error) {
+    console.error('Error batch updating canvas objects:', error)
+    throw error
+  }
+}
+
+/**
+ * Create several canvas objects in a single Firestore batch (paste and duplicate)
+ * Records ONE undo/redo entry covering every created object.
+ * @param {Array<Object>} objects - Objects to create, each with a pre-generated id (see generateObjectId)
+ * @param {string} canvasId - Canvas ID to associate the objects with
+ * @param {Function} recordAction - Optional callback to record action for undo/redo
+ * @param {Object} actionMetadata - Metadata for action recording (description)
+ * @returns {Promise<Array<string>>} IDs of the created objects
+ */
+export const batchCreateObjects = async (objects, canvasId, recordAction = null, actionMetadata = {}) => {
+  try {
+    if (!auth.currentUser) {
+      throw new Error('User must be authenticated to create objects')
+    }
+
+    if (!canvasId) {
+      throw new Error('Canvas ID is required to create objects')
+    }
+
+    if (!Array.isArray(objects) || objects.length === 0) {
+      return []
+    }
+
+    const timestamp = serverTimestamp()
+    const created = objects.map(({ id, ...properties }) => {
+      const objectData = {
+        ...properties,
+        canvasId,
+        createdBy: auth.currentUser.uid,
+        createdByName: auth.currentUser.displayName || auth.currentUser.email,
+        createdAt: timestamp,
+        lastModifiedAt: timestamp,
+        lastModifiedBy: auth.currentUser.uid
+      }
+      // Sanitize data to remove undefined fields before writing to Firestore
+      return { id, data: Object.fromEntries(Object.entries(objectData).filter(([, value]) => value !== undefined)) }
+    })
+
+    // Firestore batches are capped at 500 writes
+    const maxBatchSize = 450
+    for (let i = 0; i < created.length; i += maxBatchSize) {
+      const batch = writeBatch(db)
+      created.slice(i, i + maxBatchSize).forEach(({ id, data }) => {
+        batch.set(doc(db, FIREBASE_COLLECTIONS.CANVAS_OBJECTS, id), data)
+      })
+      await batch.commit()
+    }
+
+    console.log(`📋 Batch created ${created.length} objects`)
+
+    // Record a single BATCH action so the whole paste undoes as one step
+    if (recordAction && typeof recordAction === 'function') {
+      try {
+        recordAction(
+          'BATCH',
+          created.map(({ id }) => id),
+          null,
+          null,
+          {
+            objectType: 'Objects',
+            description: actionMetadata.description || `Create ${created.length} Objects`,
+            actions: created.map(({ id, data }) => ({
+              type: 'CREATE_OBJECT',
+              objectId: id,
+              before: null,
+              after: data
+            }))
+          }
+        );
+      } catch (error) {
+        console.warn('Failed to record BATCH create action:', error);
+      }
+    }
+
+    return created.map(({ id }) => id)
+  } catch (error) {
+    console.error('Error batch creating canvas objects:', error)
+    throw error
+  }
+}
+
+/**
+ * Group canvas objects by stamping a shared groupId on every member
+ * Objects that already belong to another group are moved into the new group.
+ * @param {Array<string>} objectIds - IDs of the objects to group (at least 2)
+ * @param {Object} options - Group options
+ * @param {string} options.name - Optional display name for the group
+ * @param {Function} recordAction - Optional callback to record action for undo/redo
+ * @returns {Promise<string>} The new group ID
+ */
+export const groupObjects = async (objectIds, options = {}, recordAction = null) => {
+  try {
+    if (!auth.currentUser) {
+      throw new Error('User must be authenticated to group objects')
+    }
+
+    const uniqueIds = Array.isArray(objectIds) ? [...new Set(objectIds)] : []
+    if (uniqueIds.length < 2) {
+      throw new Error('At least two objects are required to create a group')
+    }
+
+    const snapshots = await Promise.all(
+      uniqueIds.map(objectId => getDoc(doc(db, FIREBASE_COLLECTIONS.CANVAS_OBJECTS, objectId)))
+    )
+    const existing = snapshots.filter(snap => snap.exists())
+
+    if (existing.length < 2) {
+      throw new Error('At least two existing objects are required to create a group')
+    }
+
+    const canvasIds = new Set(existing.map(snap => snap.data().canvasId))
+    if (canvasIds.size > 1) {
+      throw new Error('Cannot group objects from different canvases')
+    }
+
+    // Generate a Firestore-style ID without writing a document
+    const groupId = doc(collection(db, FIREBASE_COLLECTIONS.CANVAS_OBJECTS)).id
+    const groupName = options.name || 'Group'
+
+    await batchUpdateObjects(
+      existing.map(snap => ({
+        id: snap.id,
+        updates: { groupId, groupName },
+        before: {
+          groupId: snap.data().groupId || null,
+          groupName: snap.data().groupName || null
+        }
+      })),
+      recordAction,
+      { actionType: 'UPDATE_PROPERTIES', objectType: 'Objects', description: 'Group Objects' }
+    )
+
+    console.log(`🔗 Grouped ${existing.length} objects as ${groupId}`)
+    return groupId
+  } catch (error) {
+    console.error('Error grouping canvas objects:', error)
+    throw error
+  }
+}
+
+/**
+ * Ungroup a group, leaving its members as independent objects
+ * @param {string} groupId - Group ID to dissolve
+ * @param {string} canvasId - Canvas the group belongs to
+ * @param {Function} recordAction - Optional callback to record action for undo/redo
+ * @returns {Promise<Array<string>>} IDs of the former group members
+ */
+export const ungroupObjects = async (groupId, canvasId, recordAction = null) => {
+  try {
+    if (!auth.currentUser) {
+      throw new Error('User must be authenticated to ungroup objects')
+    }
+
+    if (!groupId || !canvasId) {
+      throw new Error('Group ID and canvas ID are required to ungroup objects')
+    }
+
+    const membersQuery = query(
+      collection(db, FIREBASE_COLLECTIONS.CANVAS_OBJECTS),
+      where('canvasId', '==', canvasId),
+      where('groupId', '==', groupId)
+    )
+    const snapshot = await getDocs(membersQuery)
+
+    if (snapshot.empty) {
+      throw new Error(`Group not found: ${groupId}`)
+    }
+
+    const entries = snapshot.docs.map(memberDoc => ({
+      id: memberDoc.id,
+      updates: { groupId: null, groupName: null },
+      before: {
+        groupId,
+        groupName: memberDoc.data().groupName || null
+      }
+    }))
+
+    await batchUpdateObjects(entries, recordAction, {
+      actionType: 'UPDATE_PROPERTIES',
+      objectType: 'Objects',
+      description: 'Ungroup Objects'
+    })
+
+    console.log(`✂️ Ungrouped ${entries.length} objects from ${groupId}`)
+    return entries.map(entry => entry.id)
+  } catch (error) {
+    console.error('Error ungrouping canvas objects:', error)
+    throw error
+  }
+}
+
 /**
  * Subscribe to canvas objects changes for a specific canvas
  * @param {string} canvasId - Canvas ID to filter objects by
@@ -894,6 +1294,278 @@ export const updateCanvas = async (canvasId, updates, userId) => {
   }
 };
 
+/**
+ * Update a canvas's background color and/or pattern
+ * Any user with canvas access may change the background (enforced by Firestore rules).
+ * Collaborators receive the change live through subscribeToCanvas.
+ * @param {string} canvasId - Canvas ID
+ * @param {Object} background - { backgroundColor?: '#RRGGBB', backgroundPattern?: 'none' | 'grid' | 'dots' }
+ * @returns {Object} - Result object with success status
+ */
+export const updateCanvasBackground = async (canvasId, background = {}) => {
+  try {
+    if (!auth.currentUser) {
+      return { success: false, error: 'User must be authenticated to update canvas background' };
+    }
+
+    if (!canvasId) {
+      return { success: false, error: 'Canvas ID is required' };
+    }
+
+    const { backgroundColor, backgroundPattern } = background;
+    const updates = {};
+
+    if (backgroundColor !== undefined) {
+      if (typeof backgroundColor !== 'string' || !/^#[0-9A-Fa-f]{6}$/.test(backgroundColor)) {
+        return { success: false, error: 'Background color must be a hex color like #RRGGBB' };
+      }
+      updates.backgroundColor = backgroundColor.toLowerCase();
+    }
+
+    if (backgroundPattern !== undefined) {
+      if (!Object.values(BACKGROUND_PATTERNS).includes(backgroundPattern)) {
+        return { success: false, error: `Background pattern must be one of: ${Object.values(BACKGROUND_PATTERNS).join(', ')}` };
+      }
+      updates.backgroundPattern = backgroundPattern;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return { success: false, error: 'No valid background fields to update' };
+    }
+
+    updates.updatedAt = serverTimestamp();
+
+    const canvasRef = doc(db, 'canvases', canvasId);
+    await updateDoc(canvasRef, updates);
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error updating canvas background:', error);
+    return { success: false, error: 'Failed to update canvas background' };
+  }
+};
+
+/**
+ * Update a canvas's layout grid
+ * Only the given fields change (each is written as its own field path), so
+ * collaborators toggling different grid options at once don't overwrite each other.
+ * @param {string} canvasId - Canvas ID
+ * @param {Object} grid - { visible?: boolean, snap?: boolean, size?: number, subdivisions?: number }
+ * @returns {Object} - Result object with success status
+ */
+export const updateCanvasGrid = async (canvasId, grid = {}) => {
+  try {
+    if (!auth.currentUser) {
+      return { success: false, error: 'User must be authenticated to update the canvas grid' };
+    }
+
+    if (!canvasId) {
+      return { success: false, error: 'Canvas ID is required' };
+    }
+
+    const { visible, snap, size, subdivisions } = grid;
+    const updates = {};
+
+    for (const [key, value] of Object.entries({ visible, snap })) {
+      if (value === undefined) continue;
+      if (typeof value !== 'boolean') {
+        return { success: false, error: `Grid ${key} must be true or false` };
+      }
+      updates[`grid.${key}`] = value;
+    }
+
+    if (size !== undefined) {
+      if (typeof size !== 'number' || !isFinite(size) || size < GRID_SIZE_LIMITS.MIN || size > GRID_SIZE_LIMITS.MAX) {
+        return { success: false, error: `Grid size must be between ${GRID_SIZE_LIMITS.MIN} and ${GRID_SIZE_LIMITS.MAX}` };
+      }
+      updates['grid.size'] = size;
+    }
+
+    if (subdivisions !== undefined) {
+      if (!Number.isInteger(subdivisions) || subdivisions < GRID_SUBDIVISION_LIMITS.MIN || subdivisions > GRID_SUBDIVISION_LIMITS.MAX) {
+        return { success: false, error: `Grid subdivisions must be a whole number between ${GRID_SUBDIVISION_LIMITS.MIN} and ${GRID_SUBDIVISION_LIMITS.MAX}` };
+      }
+      updates['grid.subdivisions'] = subdivisions;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return { success: false, error: 'No valid grid fields to update' };
+    }
+
+    updates.updatedAt = serverTimestamp();
+
+    const canvasRef = doc(db, 'canvases', canvasId);
+    await updateDoc(canvasRef, updates);
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error updating canvas grid:', error);
+    return { success: false, error: 'Failed to update canvas grid' };
+  }
+};
+
+/**
+ * Write ruler guide fields on a canvas document
+ * Guides live in a map keyed by guide ID and each change writes its own field
+ * path, so collaborators adding, moving or removing different guides at once
+ * don't overwrite each other.
+ * @param {string} canvasId - Canvas ID
+ * @param {Object} updates - Field path updates
+ * @param {Object} options
+ * @param {boolean} options.unlockedOnly - Reject the change while the canvas's guides are locked
+ * @returns {Object} - Result object with success status
+ */
+const updateCanvasGuideFields = async (canvasId, updates, { unlockedOnly = false } = {}) => {
+  try {
+    if (!auth.currentUser) {
+      return { success: false, error: 'User must be authenticated to update canvas guides' };
+    }
+
+    if (!canvasId) {
+      return { success: false, error: 'Canvas ID is required' };
+    }
+
+    const canvasRef = doc(db, 'canvases', canvasId);
+    const fields = { ...updates, updatedAt: serverTimestamp() };
+    if (!unlockedOnly) {
+      await updateDoc(canvasRef, fields);
+      return { success: true };
+    }
+
+    // The lock is read in the same transaction, so a collaborator locking the
+    // guides can't be overtaken by a move or removal already on its way
+    return await runTransaction(db, async (transaction) => {
+      const canvasSnap = await transaction.get(canvasRef);
+      if (!canvasSnap.exists()) {
+        return { success: false, error: 'Canvas not found' };
+      }
+      if (canvasSnap.data().guidesLocked) {
+        return { success: false, error: 'Guides are locked' };
+      }
+
+      transaction.update(canvasRef, fields);
+      return { success: true };
+    });
+  } catch (error) {
+    console.error('Error updating canvas guides:', error);
+    return { success: false, error: 'Failed to update canvas guides' };
+  }
+};
+
+/**
+ * Check a ruler guide position (guides stay on the canvas)
+ * @param {string} axis - 'x' or 'y'
+ * @param {number} position - Canvas coordinate
+ * @returns {string|null} - Error message, or null if valid
+ */
+const getGuidePositionError = (axis, position) => {
+  const limit = axis === GUIDE_AXES.X ? CANVAS_WIDTH : CANVAS_HEIGHT;
+  if (typeof position !== 'number' || !isFinite(position) || position < 0 || position > limit) {
+    return `Guide position must be between 0 and ${limit}`;
+  }
+  return null;
+};
+
+// Guide IDs are used in field paths, so they're limited to Firestore auto-ID characters
+const isValidGuideId = (guideId) => typeof guideId === 'string' && /^[A-Za-z0-9_-]+$/.test(guideId);
+
+/**
+ * Add a ruler guide to a canvas
+ * @param {string} canvasId - Canvas ID
+ * @param {Object} guide - { axis: 'x' | 'y', position } (an x guide is a vertical line)
+ * @returns {Object} - Result object with success status and the new guideId
+ */
+export const addCanvasGuide = async (canvasId, { axis, position } = {}) => {
+  if (!Object.values(GUIDE_AXES).includes(axis)) {
+    return { success: false, error: `Guide axis must be one of: ${Object.values(GUIDE_AXES).join(', ')}` };
+  }
+  const positionError = getGuidePositionError(axis, position);
+  if (positionError) {
+    return { success: false, error: positionError };
+  }
+
+  const guideId = doc(collection(db, 'canvases')).id;
+  const result = await updateCanvasGuideFields(canvasId, { [`guides.${guideId}`]: { axis, position } });
+  return result.success ? { ...result, guideId } : result;
+};
+
+/**
+ * Move a ruler guide along its axis (not while guides are locked)
+ * @param {string} canvasId - Canvas ID
+ * @param {string} guideId - Guide ID
+ * @param {Object} guide - { axis, position } with the guide's axis and new position
+ * @returns {Object} - Result object with success status
+ */
+export const moveCanvasGuide = async (canvasId, guideId, { axis, position } = {}) => {
+  if (!isValidGuideId(guideId) || !Object.values(GUIDE_AXES).includes(axis)) {
+    return { success: false, error: 'A guide ID and axis are required' };
+  }
+  const positionError = getGuidePositionError(axis, position);
+  if (positionError) {
+    return { success: false, error: positionError };
+  }
+
+  return updateCanvasGuideFields(canvasId, { [`guides.${guideId}.position`]: position }, { unlockedOnly: true });
+};
+
+/**
+ * Remove a ruler guide from a canvas (not while guides are locked)
+ * @param {string} canvasId - Canvas ID
+ * @param {string} guideId - Guide ID
+ * @returns {Object} - Result object with success status
+ */
+export const removeCanvasGuide = async (canvasId, guideId) => {
+  if (!isValidGuideId(guideId)) {
+    return { success: false, error: 'Guide ID is required' };
+  }
+
+  return updateCanvasGuideFields(canvasId, { [`guides.${guideId}`]: deleteField() }, { unlockedOnly: true });
+};
+
+/**
+ * Lock or unlock a canvas's ruler guides
+ * Locked guides can't be moved or removed (new guides can still be added).
+ * @param {string} canvasId - Canvas ID
+ * @param {boolean} locked - Whether guides are locked
+ * @returns {Object} - Result object with success status
+ */
+export const updateCanvasGuidesLocked = async (canvasId, locked) => {
+  if (typeof locked !== 'boolean') {
+    return { success: false, error: 'Guide lock must be true or false' };
+  }
+
+  return updateCanvasGuideFields(canvasId, { guidesLocked: locked });
+};
+
+/**
+ * Subscribe to a canvas document (name, background and other canvas-level settings)
+ * @param {string} canvasId - Canvas ID
+ * @param {Function} callback - Called with the canvas data ({ id, ...data }) or null if missing
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToCanvas = (canvasId, callback) => {
+  try {
+    if (!canvasId) {
+      console.error('Canvas ID is required for subscription');
+      return () => {};
+    }
+
+    const canvasRef = doc(db, 'canvases', canvasId);
+
+    const unsubscribe = onSnapshot(canvasRef, (snapshot) => {
+      callback(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+    }, (error) => {
+      console.error('Error subscribing to canvas:', error);
+      callback(null);
+    });
+
+    return unsubscribe;
+  } catch (error) {
+    console.error('Error setting up canvas subscription:', error);
+    return () => {};
+  }
+};
+
 /**
  * Add a collaborator to a canvas by email
  * @param {string} canvasId - Canvas ID
@@ -1037,7 +1709,10 @@ export const deleteCanvas = async (canvasId, userId) => {
       return { success: false, error: 'Only canvas owner can delete canvas' };
     }
 
-    // Delete all objects in the canvas first
+    // Uploaded images go before the canvas document, which storage.rules checks access against
+    await deleteCanvasImages(canvasId);
+
+    // Delete all objects in the canvas
     const objectsQuery = query(
       collection(db, FIREBASE_COLLECTIONS.CANVAS_OBJECTS),
       where('canvasId', '==', canvasId)
@@ -1158,7 +1833,7 @@ export const updateActiveObjectPosition = (canvasId, objectId, position) => {
           )
           
           await set(activeObjectRef, {
-            ...updateData.position,
+            ...encodeActiveObjectData(updateData.position),
             isBeingDragged: true,
             draggedBy: updateData.userId,
             lastUpdate: Date.now()
@@ -1247,7 +1922,7 @@ export const subscribeToActiveObjects = (canvasId, callback) => {
       const filteredData = {}
       for (const [objectId, data] of Object.entries(activeObjectsData)) {
         if (data.draggedBy !== auth.currentUser?.uid) {
-          filteredData[objectId] = data
+          filteredData[objectId] = decodeActiveObjectData(data)
         }
       }
       
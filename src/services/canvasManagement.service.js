@@ -15,6 +15,7 @@ import {
 import { db } from './firebase.js'
 import { FIREBASE_COLLECTIONS } from '../constants/canvas.constants.js'
 import { canUserAccessProject } from './project.service.js'
+import { deleteCanvasImages } from './image.service.js'
 
 /**
  * Canvas Management Service
@@ -251,7 +252,10 @@ export const deleteCanvas = async (canvasId, userId) => {
       return { success: false, error: 'Only canvas owner can delete canvas' };
     }
 
-    // Delete all objects in the canvas first
+    // Uploaded images go before the canvas document, which storage.rules checks access against
+    await deleteCanvasImages(canvasId);
+
+    // Delete all objects in the canvas
     const objectsQuery = query(
       collection(db, FIREBASE_COLLECTIONS.CANVAS_OBJECTS),
       where('canvasId', '==', canvasId)
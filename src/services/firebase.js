@@ -3,6 +3,7 @@ import { initializeApp } from 'firebase/app';
 import { getAuth, GoogleAuthProvider, connectAuthEmulator } from 'firebase/auth';
 import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
 import { getDatabase, connectDatabaseEmulator } from 'firebase/database';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
 
 // Your web app's Firebase configuration
 // TODO: Replace with your actual Firebase config
@@ -31,11 +32,15 @@ export const db = getFirestore(app);
 // Initialize Realtime Database and get a reference to the service
 export const rtdb = getDatabase(app);
 
-// Development emulator setup (uncomment for local development)
-// if (import.meta.env.DEV) {
-//   connectAuthEmulator(auth, 'http://localhost:9099');
-//   connectFirestoreEmulator(db, 'localhost', 8080);
-//   connectDatabaseEmulator(rtdb, 'localhost', 9000);
-// }
+// Initialize Cloud Storage (uploaded images) and get a reference to the service
+export const storage = getStorage(app);
+
+// Local emulator setup (set VITE_USE_FIREBASE_EMULATORS=true, then run `firebase emulators:start`)
+if (import.meta.env.VITE_USE_FIREBASE_EMULATORS === 'true') {
+  connectAuthEmulator(auth, 'http://localhost:9099');
+  connectFirestoreEmulator(db, 'localhost', 8080);
+  connectDatabaseEmulator(rtdb, 'localhost', 9000);
+  connectStorageEmulator(storage, 'localhost', 9199);
+}
 
 export default app;
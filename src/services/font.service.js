@@ -0,0 +1,87 @@
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage'
+import { doc, updateDoc, arrayUnion, serverTimestamp } from 'firebase/firestore'
+import { storage, db } from './firebase.js'
+import { generateObjectId } from './canvas.service.js'
+import {
+  FONT_SOURCES,
+  getFont,
+  validateFontFile,
+  getFontFileType,
+  getFontFamilyFromFileName,
+  getFontStoragePath,
+  registerFonts
+} from '../utils/fontRegistry.js'
+
+/**
+ * Font Service
+ * Uploads font files to Cloud Storage and records the fonts a canvas uses on
+ * the canvas document (`fonts`), so every collaborator loads the same fonts.
+ *
+ * Storage path: canvases/{canvasId}/fonts/{fontId}.{ext}
+ * Canvas entries: { family, source: 'web' } or { family, source: 'custom', src, storagePath, fileName }
+ */
+
+/**
+ * Record a font on the canvas so collaborators load it too
+ * System fonts are never recorded; recording the same font twice is a no-op.
+ * Custom fonts may come from another canvas opened this session (e.g. pasted
+ * text), which copies the font onto this one.
+ * @param {string} canvasId - Canvas ID
+ * @param {string} family - Registered font family
+ * @returns {Promise<void>}
+ */
+export const recordCanvasFont = async (canvasId, family) => {
+  const font = getFont(family)
+  if (!canvasId || !font || font.source === FONT_SOURCES.SYSTEM) return
+
+  const entry = font.source === FONT_SOURCES.WEB
+    ? { family, source: FONT_SOURCES.WEB }
+    : { family, source: FONT_SOURCES.CUSTOM, src: font.src, storagePath: font.storagePath, fileName: font.fileName }
+
+  await updateDoc(doc(db, 'canvases', canvasId), {
+    fonts: arrayUnion(entry),
+    updatedAt: serverTimestamp()
+  })
+}
+
+/**
+ * Upload a font file, register it and record it on the canvas
+ * The family is named after the file (e.g. 'Brand-Sans.woff2' -> 'Brand Sans').
+ * @param {File} file - WOFF2, WOFF, TTF or OTF file
+ * @param {string} canvasId - Canvas the font belongs to
+ * @returns {Promise<Object>} The registered font { family, source, src, storagePath, fileName }
+ */
+export const uploadFontFile = async (file, canvasId) => {
+  if (!canvasId) {
+    throw new Error('Canvas ID is required to upload fonts')
+  }
+
+  const { valid, error } = validateFontFile(file)
+  if (!valid) {
+    throw new Error(error)
+  }
+
+  const family = getFontFamilyFromFileName(file.name)
+  if (getFont(family, canvasId)) {
+    throw new Error(`A font named ${family} already exists`)
+  }
+
+  const { extension, mimeType } = getFontFileType(file)
+  const storagePath = getFontStoragePath(canvasId, generateObjectId(), extension)
+  const storageRef = ref(storage, storagePath)
+  await uploadBytes(storageRef, file, {
+    contentType: mimeType,
+    customMetadata: { fileName: file.name || '', family }
+  })
+
+  const font = {
+    family,
+    source: FONT_SOURCES.CUSTOM,
+    src: await getDownloadURL(storageRef),
+    storagePath,
+    fileName: file.name || null
+  }
+  registerFonts(canvasId, [font])
+  await recordCanvasFont(canvasId, family)
+  return font
+}
@@ -0,0 +1,120 @@
+import { ref, uploadBytes, getDownloadURL, listAll, deleteObject } from 'firebase/storage'
+import { storage } from './firebase.js'
+import { createObject, generateObjectId } from './canvas.service.js'
+import { CANVAS_WIDTH, CANVAS_HEIGHT, FUTURE_SHAPE_DEFAULTS } from '../constants/canvas.constants.js'
+import { validateImageFile, getImageStorageFolder, getImageStoragePath, fitImageSize } from '../utils/imageGeometry.js'
+
+/**
+ * Image Service
+ * Uploads PNG, JPEG and SVG files to Cloud Storage and places them on the canvas
+ * as 'image' objects.
+ *
+ * Storage path: canvases/{canvasId}/images/{imageId}.{ext}
+ * Uploaded files are kept when an image object is deleted so undo can bring it back;
+ * they are removed together with the canvas (deleteCanvas calls deleteCanvasImages).
+ */
+
+/**
+ * Read the pixel size of an image file
+ * @param {File} file - Image file
+ * @returns {Promise<Object>} { naturalWidth, naturalHeight } (0 when the browser reports no size, e.g. some SVGs)
+ */
+export const loadImageDimensions = (file) => {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file)
+    const img = new window.Image()
+
+    img.onload = () => {
+      URL.revokeObjectURL(url)
+      resolve({ naturalWidth: img.naturalWidth || 0, naturalHeight: img.naturalHeight || 0 })
+    }
+    img.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error(`Could not read image ${file.name || ''}`.trim()))
+    }
+    img.src = url
+  })
+}
+
+/**
+ * Upload an image file to the canvas's Storage folder
+ * @param {File} file - PNG, JPEG or SVG file
+ * @param {string} canvasId - Canvas the image belongs to
+ * @returns {Promise<Object>} { src, storagePath }
+ */
+export const uploadImageFile = async (file, canvasId) => {
+  if (!canvasId) {
+    throw new Error('Canvas ID is required to upload images')
+  }
+
+  const { valid, error } = validateImageFile(file)
+  if (!valid) {
+    throw new Error(error)
+  }
+
+  const storagePath = getImageStoragePath(canvasId, generateObjectId(), file.type)
+  const storageRef = ref(storage, storagePath)
+  await uploadBytes(storageRef, file, {
+    contentType: file.type,
+    customMetadata: { fileName: file.name || '' }
+  })
+
+  return { src: await getDownloadURL(storageRef), storagePath }
+}
+
+/**
+ * Upload an image file and create an image object centered on a canvas position
+ * @param {File} file - PNG, JPEG or SVG file
+ * @param {Object} center - Canvas position to center the image on { x, y }
+ * @param {string} canvasId - Canvas ID
+ * @param {Function} recordAction - Optional callback to record action for undo/redo
+ * @param {Object} properties - Extra object properties (e.g. the frameId of the frame it was dropped on)
+ * @returns {Promise<string>} Document ID of the created image object
+ */
+export const createImageFromFile = async (file, center, canvasId, recordAction = null, properties = {}) => {
+  const { valid, error } = validateImageFile(file)
+  if (!valid) {
+    throw new Error(error)
+  }
+
+  const dimensions = await loadImageDimensions(file)
+  const { width, height } = fitImageSize(dimensions.naturalWidth, dimensions.naturalHeight)
+  // SVGs without an intrinsic size are treated as having their placed size
+  const naturalWidth = dimensions.naturalWidth || width
+  const naturalHeight = dimensions.naturalHeight || height
+
+  // Keep the whole image inside the canvas
+  const x = Math.min(Math.max(center.x - width / 2, 0), Math.max(0, CANVAS_WIDTH - width))
+  const y = Math.min(Math.max(center.y - height / 2, 0), Math.max(0, CANVAS_HEIGHT - height))
+
+  const { src, storagePath } = await uploadImageFile(file, canvasId)
+
+  return createObject('image', { x, y, width, height }, canvasId, {
+    src,
+    storagePath,
+    fileName: file.name || null,
+    mimeType: file.type,
+    naturalWidth,
+    naturalHeight,
+    opacity: FUTURE_SHAPE_DEFAULTS.image.opacity,
+    rotation: 0,
+    ...properties
+  }, recordAction)
+}
+
+/**
+ * Delete every uploaded image file of a canvas
+ * Must run before the canvas document is deleted: storage.rules checks access
+ * against it.
+ * @param {string} canvasId - Canvas ID
+ * @returns {Promise<number>} Number of deleted files
+ */
+export const deleteCanvasImages = async (canvasId) => {
+  if (!canvasId) {
+    throw new Error('Canvas ID is required to delete images')
+  }
+
+  const { items } = await listAll(ref(storage, getImageStorageFolder(canvasId)))
+  await Promise.all(items.map(item => deleteObject(item)))
+  return items.length
+}
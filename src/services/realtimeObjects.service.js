@@ -1,6 +1,8 @@
 import { ref, set, update, remove, onValue, onDisconnect } from 'firebase/database'
 import { auth, rtdb } from './firebase.js'
 import { OBJECT_UPDATE_THROTTLE } from '../constants/canvas.constants.js'
+import { encodePathPoints, decodePathPoints } from '../utils/pathGeometry.js'
+import { encodePathAnchors, decodePathAnchors } from '../utils/vectorPath.js'
 
 /**
  * Realtime Objects Service
@@ -19,6 +21,54 @@ const activeObjectTimeouts = new Map()
 // Track cleanup handlers for disconnection
 const activeObjectDisconnectHandlers = new Map()
 
+// Connector bindings are nullable, but RTDB drops null children, which would make
+// a detached endpoint look like "unchanged". Detached bindings travel as `false`.
+const NULLABLE_ACTIVE_FIELDS = ['startBinding', 'endBinding']
+
+/**
+ * Encode active object data for RTDB
+ * Keeps explicit null bindings and sends point lists (lines, in-progress pencil
+ * strokes) and Bézier anchors (vector paths) as compact strings.
+ * @param {Object} data - Active object data
+ * @returns {Object} RTDB-safe data
+ */
+export const encodeActiveObjectData = (data) => {
+  const encoded = { ...data }
+  NULLABLE_ACTIVE_FIELDS.forEach(field => {
+    if (field in encoded && encoded[field] === null) {
+      encoded[field] = false
+    }
+  })
+  if (Array.isArray(encoded.points)) {
+    encoded.points = encodePathPoints(encoded.points)
+  }
+  if (Array.isArray(encoded.anchors)) {
+    encoded.anchors = encodePathAnchors(encoded.anchors)
+  }
+  return encoded
+}
+
+/**
+ * Decode active object data read from RTDB
+ * @param {Object} data - Raw RTDB data
+ * @returns {Object} Data with detached bindings restored to null and points/anchors as arrays
+ */
+export const decodeActiveObjectData = (data) => {
+  const decoded = { ...data }
+  NULLABLE_ACTIVE_FIELDS.forEach(field => {
+    if (decoded[field] === false) {
+      decoded[field] = null
+    }
+  })
+  if (decoded.points !== undefined) {
+    decoded.points = decodePathPoints(decoded.points)
+  }
+  if (decoded.anchors !== undefined) {
+    decoded.anchors = decodePathAnchors(decoded.anchors)
+  }
+  return decoded
+}
+
 /**
  * Update active object position in RTDB for real-time movement during drag
  * Throttled to prevent excessive Firebase calls while maintaining smooth updates
@@ -62,7 +112,7 @@ export const updateActiveObjectPosition = (canvasId, objectId, position) => {
           )
           
           await set(activeObjectRef, {
-            ...updateData.position,
+            ...encodeActiveObjectData(updateData.position),
             isBeingDragged: true,
             draggedBy: updateData.userId,
             lastUpdate: Date.now()
@@ -151,7 +201,7 @@ export const subscribeToActiveObjects = (canvasId, callback) => {
       const filteredData = {}
       for (const [objectId, data] of Object.entries(activeObjectsData)) {
         if (data.draggedBy !== auth.currentUser?.uid) {
-          filteredData[objectId] = data
+          filteredData[objectId] = decodeActiveObjectData(data)
         }
       }
       
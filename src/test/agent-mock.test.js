@@ -87,6 +87,33 @@ describe('AI Agent Mock Service', () => {
       expect(response.data.commands[0]).toHaveProperty('fill');
     });
 
+    it('should generate canvas background command for background prompt', async () => {
+      const prompt = 'Make the background blue with a dot pattern';
+      const response = await getMockAgentResponse(prompt, mockCanvasState);
+
+      expect(response.success).toBe(true);
+      expect(response.data.commands).toHaveLength(1);
+      expect(response.data.commands[0]).toEqual({ type: 'setCanvasBackground', color: '#3B82F6', pattern: 'dots' });
+    });
+
+    it('should generate canvas background command for set canvas background prompt', async () => {
+      const prompt = 'Set the canvas background to green with a grid';
+      const response = await getMockAgentResponse(prompt, mockCanvasState);
+
+      expect(response.success).toBe(true);
+      expect(response.data.commands).toHaveLength(1);
+      expect(response.data.commands[0]).toMatchObject({ type: 'setCanvasBackground', pattern: 'grid' });
+    });
+
+    it('should not change the canvas background for a shape prompt that mentions a background', async () => {
+      const prompt = 'Create a red rectangle on a white background';
+      const response = await getMockAgentResponse(prompt, mockCanvasState);
+
+      expect(response.success).toBe(true);
+      expect(response.data.commands).toHaveLength(1);
+      expect(response.data.commands[0].type).toBe('createRectangle');
+    });
+
     it('should generate default rectangle for generic prompt', async () => {
       const prompt = 'Do something creative';
       const response = await getMockAgentResponse(prompt, mockCanvasState);
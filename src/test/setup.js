@@ -110,6 +110,14 @@ vi.mock('react-konva', () => {
     }));
     return React.createElement('div', { 'data-testid': 'konva-star', ...props });
   }),
+  Image: React.forwardRef(({ image, crop, ...props }, ref) => {
+    React.useImperativeHandle(ref, () => ({
+      getStage: () => null,
+      getParent: () => null,
+      attrs: { image, crop }
+    }));
+    return React.createElement('div', { 'data-testid': 'konva-image', 'data-src': image?.src, ...props });
+  }),
   Transformer: React.forwardRef(({ ...props }, ref) => {
     React.useImperativeHandle(ref, () => ({
       getStage: () => null,
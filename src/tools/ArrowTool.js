@@ -0,0 +1,18 @@
+/**
+ * ArrowTool - Handles arrow creation
+ * Arrows are stored as regular 'line' objects with an end arrowhead, so they
+ * share rendering, endpoint editing and arrowhead controls with lines.
+ */
+
+import { LineTool } from './LineTool.js';
+import { ARROWHEAD_STYLES } from '../constants/canvas.constants.js';
+
+export class ArrowTool extends LineTool {
+  constructor() {
+    super();
+    this.objectType = 'Arrow';
+    this.endArrowhead = ARROWHEAD_STYLES.ARROW;
+  }
+}
+
+export default ArrowTool;
@@ -1,17 +1,21 @@
 /**
  * CircleTool - Handles circle creation
- * Creates circles by dragging from center point
+ * Creates circles by dragging from center point. Circles are stored as ellipses
+ * (radiusX/radiusY) so their side handles can stretch them later.
  */
 
 import { createObject } from '../services/canvas.service.js';
 import { ACTION_TYPES } from '../hooks/useHistory.js';
+import { getEllipseRadii, toEllipseRadiusFields } from '../utils/ellipseGeometry.js';
 
 export class CircleTool {
   /**
    * Handle mouse down - start creating circle
    */
   onMouseDown(e, state, helpers) {
-    const { pos, canvasId } = helpers;
+    const { canvasId } = helpers;
+    // The center and the dragged edge land on the layout grid while grid snapping is on
+    const pos = state.snapToGrid?.(helpers.pos, e?.evt) ?? helpers.pos;
     const { 
       isDrawing,
       setIsDrawing, 
@@ -36,7 +40,7 @@ export class CircleTool {
    * Handle mouse move - update circle radius preview
    */
   onMouseMove(e, state, helpers) {
-    const { pos } = helpers;
+    const pos = state.snapToGrid?.(helpers.pos, e?.evt) ?? helpers.pos;
     const {
       isDrawing,
       drawStart,
@@ -76,6 +80,7 @@ export class CircleTool {
       currentCircle,
       isOnline,
       selectedColor,
+      findParentFrameId,
       setIsDrawing,
       setDrawStart,
       setCurrentCircle,
@@ -111,13 +116,18 @@ export class CircleTool {
       console.log('Creating circle:', finalCircle);
 
       // Create circle object with selected color
-      // Store center point and radius
+      // Store center point and both semi-axes
+      const { radiusX, radiusY } = getEllipseRadii(finalCircle);
+      const radiusFields = toEllipseRadiusFields(radiusX, radiusY);
+      // Circles drawn inside a frame belong to it
+      const frameId = findParentFrameId?.({ type: 'circle', x: finalCircle.x, y: finalCircle.y, ...radiusFields });
       const circleId = await createObject('circle', {
         x: finalCircle.x,
         y: finalCircle.y
       }, canvasId, {
-        radius: finalCircle.radius,
-        fill: selectedColor || '#808080'
+        ...radiusFields,
+        fill: selectedColor || '#808080',
+        ...(frameId && { frameId })
       });
 
       // Record creation action for undo/redo
@@ -127,8 +137,9 @@ export class CircleTool {
           type: 'circle',
           x: finalCircle.x,
           y: finalCircle.y,
-          radius: finalCircle.radius,
-          fill: selectedColor || '#808080'
+          ...radiusFields,
+          fill: selectedColor || '#808080',
+          ...(frameId && { frameId })
         };
         
         recordAction(
@@ -475,6 +475,8 @@ describe('CircleTool', () => {
         { x: 250, y: 180 },
         'test-canvas',
         {
+          radiusX: 65,
+          radiusY: 65,
           radius: 65,
           fill: '#FFAA00',
         }
@@ -1,10 +1,14 @@
 /**
  * DeleteTool - Click-to-delete tool for removing objects
  * User selects this tool, then clicks any object to delete it
+ * Clicking a grouped object deletes the whole group in one undoable step
+ * Connectors attached to deleted objects are detached (or deleted) in the same step
  */
 
-import { deleteObject } from '../services/canvas.service.js';
+import { deleteObject, batchDeleteObjects, deleteObjectsWithConnectors } from '../services/canvas.service.js';
 import { ACTION_TYPES } from '../hooks/useHistory.js';
+import { getGroupMembers } from '../utils/groupUtils.js';
+import { getAttachedConnectors } from '../utils/connectorUtils.js';
 
 export class DeleteTool {
   constructor() {
@@ -68,7 +72,7 @@ export class DeleteTool {
    * Handle mouse up - delete the object if still hovering over it
    */
   async onMouseUp(e, state, helpers) {
-    const { canvasId, recordAction } = helpers;
+    const { recordAction } = helpers;
     const { canvasObjects, canEditObject, isOnline } = state;
 
     if (!this.pendingDeleteId) return;
@@ -95,8 +99,32 @@ export class DeleteTool {
     }
 
     try {
+      if (objectToDelete.groupId) {
+        const memberIds = getGroupMembers(objectToDelete.groupId, canvasObjects).map(member => member.id);
+
+        if (!memberIds.every(id => canEditObject(id))) {
+          console.log('Cannot delete group - a member is owned by another user');
+          return;
+        }
+
+        console.log('Deleting group with Delete tool:', objectToDelete.groupId);
+        if (getAttachedConnectors(memberIds, canvasObjects).length > 0) {
+          await deleteObjectsWithConnectors(memberIds, canvasObjects, recordAction);
+        } else {
+          await batchDeleteObjects(memberIds, recordAction);
+        }
+        console.log('Group deleted successfully');
+        return;
+      }
+
       console.log('Deleting object with Delete tool:', this.pendingDeleteId);
 
+      if (getAttachedConnectors([this.pendingDeleteId], canvasObjects).length > 0) {
+        await deleteObjectsWithConnectors([this.pendingDeleteId], canvasObjects, recordAction);
+        console.log('Object and connector changes deleted successfully');
+        return;
+      }
+
       // Record deletion for undo/redo
       if (recordAction) {
         recordAction(
@@ -109,7 +137,7 @@ export class DeleteTool {
       }
 
       // Delete from Firestore
-      await deleteObject(canvasId, this.pendingDeleteId);
+      await deleteObject(this.pendingDeleteId);
       
       console.log('Object deleted successfully');
     } catch (error) {
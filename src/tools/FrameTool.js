@@ -0,0 +1,60 @@
+import { createObject } from '../services/canvas.service.js'
+import { FUTURE_SHAPE_DEFAULTS } from '../constants/canvas.constants.js'
+import { RectangleTool } from './RectangleTool.js'
+import { getDefaultFrameName } from '../utils/frameUtils.js'
+
+/**
+ * FrameTool - Handles frame (artboard) creation by dragging
+ * Frames are drawn like rectangles and get a default name ("Frame 1", ...).
+ * Shapes created inside a frame afterwards are parented to it automatically.
+ */
+export class FrameTool extends RectangleTool {
+  constructor() {
+    super()
+    this.minWidth = FUTURE_SHAPE_DEFAULTS.frame.minSize
+    this.minHeight = FUTURE_SHAPE_DEFAULTS.frame.minSize
+  }
+
+  /**
+   * Handle mouse down - start drawing the frame (previewed in the frame fill)
+   */
+  onMouseDown(e, state, helpers) {
+    super.onMouseDown(e, { ...state, selectedColor: FUTURE_SHAPE_DEFAULTS.frame.fill }, helpers)
+  }
+
+  /**
+   * Handle mouse up - finalize and save the frame
+   */
+  async onMouseUp(e, state, helpers) {
+    const { canvasId, recordAction } = helpers
+    const { isDrawing, currentRect, clampRectToCanvas, canvasObjects, setIsDrawing, setCurrentRect } = state
+
+    if (!isDrawing || !currentRect) return
+
+    if (Math.abs(currentRect.width) >= this.minWidth && Math.abs(currentRect.height) >= this.minHeight) {
+      const frameRect = clampRectToCanvas({
+        x: currentRect.width < 0 ? currentRect.x + currentRect.width : currentRect.x,
+        y: currentRect.height < 0 ? currentRect.y + currentRect.height : currentRect.y,
+        width: Math.abs(currentRect.width),
+        height: Math.abs(currentRect.height)
+      })
+
+      try {
+        await createObject('frame', frameRect, canvasId, {
+          name: getDefaultFrameName(canvasObjects),
+          fill: FUTURE_SHAPE_DEFAULTS.frame.fill,
+          clipContent: FUTURE_SHAPE_DEFAULTS.frame.clipContent,
+          rotation: 0
+        }, recordAction)
+      } catch (error) {
+        console.error('Failed to save frame:', error)
+      }
+    }
+
+    // Reset drawing state (stay on frame tool)
+    setIsDrawing(false)
+    setCurrentRect(null)
+  }
+}
+
+export default FrameTool
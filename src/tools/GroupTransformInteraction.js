@@ -0,0 +1,200 @@
+import { updateActiveObjectPosition, clearActiveObject, batchUpdateObjects } from '../services/canvas.service.js';
+import { ACTION_TYPES } from '../hooks/useHistory.js';
+import { scaleGroupMembers, rotateGroupMembers, getGeometrySnapshot } from '../utils/groupUtils.js';
+
+/**
+ * GroupTransformInteraction - Resizes or rotates a whole group as one unit
+ *
+ * Companion to MoveInteraction for grouped objects. The group's combined
+ * bounding box acts as the transform frame:
+ * - 'resize': dragging a corner scales every member relative to the frame
+ * - 'rotate': dragging rotates every member around the frame center
+ *
+ * Members are previewed locally (and over RTDB for collaborators) while
+ * dragging, then persisted in one Firestore batch with a single undo entry.
+ */
+export class GroupTransformInteraction {
+  /**
+   * Create a new group transform interaction
+   * @param {Object} group - Selected group { groupId, members, bounds }
+   * @param {Object} startPoint - Initial mouse position { x, y }
+   * @param {Function} onUpdate - Callback receiving local updates for rendering
+   * @param {Object} options - Additional configuration
+   * @param {string} options.mode - 'resize' or 'rotate'
+   * @param {string} options.handle - Resize handle (nw, ne, sw, se) for resize mode
+   * @param {string} options.canvasId - Canvas ID for RTDB updates
+   */
+  constructor(group, startPoint, onUpdate, options = {}) {
+    this.group = group;
+    this.members = group.members.map(member => ({ ...member }));
+    this.bounds = { ...group.bounds };
+    this.startPoint = { x: startPoint.x, y: startPoint.y };
+    this.onUpdate = onUpdate;
+    this.mode = options.mode || 'resize';
+    this.handle = options.handle || 'se';
+    this.canvasId = options.canvasId;
+
+    this.MIN_SIZE = 10;
+    this.SNAP_ANGLE = 15;
+
+    this.center = {
+      x: this.bounds.x + this.bounds.width / 2,
+      y: this.bounds.y + this.bounds.height / 2
+    };
+    this.startAngle = this.calculateAngle(startPoint);
+
+    this.localUpdates = {};
+    this.memberUpdates = {};
+    this._active = true;
+  }
+
+  /**
+   * Update the transform for the current mouse position
+   * @param {Object} currentPoint - Current mouse position { x, y }
+   * @param {Object} modifiers - { shiftKey } - Shift snaps rotation to 15° steps
+   * @returns {Object} localUpdates - Transformed members keyed by ID
+   */
+  update(currentPoint, modifiers = {}) {
+    if (!this._active) return this.localUpdates;
+
+    if (!currentPoint || !isFinite(currentPoint.x) || !isFinite(currentPoint.y)) {
+      return this.localUpdates;
+    }
+
+    this.memberUpdates = this.mode === 'rotate'
+      ? rotateGroupMembers(this.members, this.center, this.calculateRotationDelta(currentPoint, modifiers.shiftKey))
+      : scaleGroupMembers(this.members, this.bounds, this.calculateResizedBounds(currentPoint));
+
+    this.localUpdates = {};
+    this.members.forEach(member => {
+      const updates = this.memberUpdates[member.id];
+      this.localUpdates[member.id] = { ...member, ...updates };
+
+      if (this.canvasId) {
+        updateActiveObjectPosition(this.canvasId, member.id, updates);
+      }
+    });
+
+    if (this.onUpdate) {
+      this.onUpdate(this.localUpdates);
+    }
+
+    return this.localUpdates;
+  }
+
+  /**
+   * Calculate the group frame after dragging the active corner
+   * The opposite corner stays anchored; the frame never shrinks below MIN_SIZE.
+   */
+  calculateResizedBounds(currentPoint) {
+    const dx = currentPoint.x - this.startPoint.x;
+    const dy = currentPoint.y - this.startPoint.y;
+
+    let left = this.bounds.x;
+    let top = this.bounds.y;
+    let right = this.bounds.x + this.bounds.width;
+    let bottom = this.bounds.y + this.bounds.height;
+
+    if (this.handle.includes('w')) left = Math.min(left + dx, right - this.MIN_SIZE);
+    if (this.handle.includes('e')) right = Math.max(right + dx, left + this.MIN_SIZE);
+    if (this.handle.includes('n')) top = Math.min(top + dy, bottom - this.MIN_SIZE);
+    if (this.handle.includes('s')) bottom = Math.max(bottom + dy, top + this.MIN_SIZE);
+
+    return {
+      x: left,
+      y: top,
+      width: right - left,
+      height: bottom - top
+    };
+  }
+
+  /**
+   * Calculate rotation delta in degrees since the drag started
+   */
+  calculateRotationDelta(currentPoint, snap = false) {
+    let delta = this.calculateAngle(currentPoint) - this.startAngle;
+
+    // Normalize to -180 to 180 range
+    while (delta > 180) delta -= 360;
+    while (delta < -180) delta += 360;
+
+    if (snap) {
+      delta = Math.round(delta / this.SNAP_ANGLE) * this.SNAP_ANGLE;
+    }
+
+    return delta;
+  }
+
+  /**
+   * Angle in degrees from the group center to a point
+   */
+  calculateAngle(point) {
+    return Math.atan2(point.y - this.center.y, point.x - this.center.x) * (180 / Math.PI);
+  }
+
+  /**
+   * Persist the transform in one batch with a single undo entry
+   * @param {Function} recordAction - History recording function for undo/redo
+   */
+  async end(recordAction) {
+    this._active = false;
+
+    const memberIds = Object.keys(this.memberUpdates);
+    if (memberIds.length === 0) {
+      return;
+    }
+
+    const entries = this.members
+      .filter(member => this.memberUpdates[member.id])
+      .map(member => {
+        const updates = this.memberUpdates[member.id];
+        const snapshot = getGeometrySnapshot(member);
+        const before = {};
+        Object.keys(updates).forEach(field => {
+          // Fields the member never had (e.g. height on auto-sized text) are cleared on undo
+          before[field] = snapshot[field] !== undefined ? snapshot[field] : null;
+        });
+        return { id: member.id, updates, before };
+      });
+
+    try {
+      await batchUpdateObjects(entries, recordAction, {
+        actionType: ACTION_TYPES.UPDATE_PROPERTIES,
+        objectType: 'Group',
+        description: this.mode === 'rotate' ? 'Rotate Group' : 'Resize Group'
+      });
+    } finally {
+      if (this.canvasId) {
+        await Promise.all(memberIds.map(id =>
+          clearActiveObject(this.canvasId, id).catch(err => {
+            console.warn('Failed to clear active object after group transform:', err);
+          })
+        ));
+      }
+    }
+  }
+
+  /**
+   * Cancel the transform and restore original member state in the UI
+   */
+  cancel() {
+    this._active = false;
+
+    if (this.canvasId) {
+      this.members.forEach(member => {
+        clearActiveObject(this.canvasId, member.id).catch(err => {
+          console.warn('Failed to clear active object during cancel:', err);
+        });
+      });
+    }
+
+    this.localUpdates = {};
+    this.memberUpdates = {};
+
+    if (this.onUpdate) {
+      this.onUpdate(this.localUpdates);
+    }
+  }
+}
+
+export default GroupTransformInteraction;
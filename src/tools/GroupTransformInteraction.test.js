@@ -0,0 +1,140 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GroupTransformInteraction } from './GroupTransformInteraction.js';
+import * as canvasService from '../services/canvas.service.js';
+import { ACTION_TYPES } from '../hooks/useHistory.js';
+import { createTestRectangle, createTestCircle, createTestText } from '../test/fixtures/testData.js';
+
+// Mock Firebase (useHistory imports auth)
+vi.mock('../services/firebase.js', () => ({
+  auth: { currentUser: { uid: 'test-user-id' } }
+}));
+
+// Mock canvas service
+vi.mock('../services/canvas.service.js', () => ({
+  updateActiveObjectPosition: vi.fn(),
+  clearActiveObject: vi.fn(() => Promise.resolve()),
+  batchUpdateObjects: vi.fn(() => Promise.resolve()),
+}));
+
+describe('GroupTransformInteraction', () => {
+  let group;
+  let mockOnUpdate;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    const members = [
+      createTestRectangle({ id: 'rect-1', x: 0, y: 0, width: 100, height: 100, rotation: 0, groupId: 'g1' }),
+      createTestCircle({ id: 'circle-1', x: 150, y: 150, radius: 50, rotation: 0, groupId: 'g1' })
+    ];
+
+    group = {
+      groupId: 'g1',
+      members,
+      bounds: { x: 0, y: 0, width: 200, height: 200 }
+    };
+
+    mockOnUpdate = vi.fn();
+  });
+
+  describe('resize', () => {
+    it('should scale every member from the dragged corner', () => {
+      const interaction = new GroupTransformInteraction(group, { x: 200, y: 200 }, mockOnUpdate, {
+        mode: 'resize',
+        handle: 'se',
+        canvasId: 'test-canvas-id'
+      });
+
+      const updates = interaction.update({ x: 400, y: 400 });
+
+      expect(updates['rect-1']).toMatchObject({ x: 0, y: 0, width: 200, height: 200 });
+      expect(updates['circle-1']).toMatchObject({ x: 300, y: 300, radius: 100 });
+      expect(mockOnUpdate).toHaveBeenCalledWith(updates);
+      expect(canvasService.updateActiveObjectPosition).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not shrink the group below the minimum size', () => {
+      const interaction = new GroupTransformInteraction(group, { x: 200, y: 200 }, mockOnUpdate, {
+        mode: 'resize',
+        handle: 'se'
+      });
+
+      expect(interaction.calculateResizedBounds({ x: -500, y: -500 })).toEqual({
+        x: 0,
+        y: 0,
+        width: interaction.MIN_SIZE,
+        height: interaction.MIN_SIZE
+      });
+    });
+  });
+
+  describe('rotate', () => {
+    it('should rotate members around the group center and snap with shift', () => {
+      const interaction = new GroupTransformInteraction(group, { x: 100, y: -50 }, mockOnUpdate, {
+        mode: 'rotate'
+      });
+
+      const updates = interaction.update({ x: 260, y: 90 }, { shiftKey: true });
+
+      expect(updates['rect-1'].rotation).toBe(90);
+      expect(updates['circle-1'].rotation).toBe(90);
+      expect(updates['circle-1'].x).toBeCloseTo(50);
+      expect(updates['circle-1'].y).toBeCloseTo(150);
+    });
+  });
+
+  describe('end', () => {
+    it('should persist all members in one batch with a single undo entry', async () => {
+      const recordAction = vi.fn();
+      const interaction = new GroupTransformInteraction(group, { x: 200, y: 200 }, mockOnUpdate, {
+        mode: 'resize',
+        handle: 'se',
+        canvasId: 'test-canvas-id'
+      });
+
+      interaction.update({ x: 400, y: 400 });
+      await interaction.end(recordAction);
+
+      expect(canvasService.batchUpdateObjects).toHaveBeenCalledTimes(1);
+      const [entries, passedRecordAction, metadata] = canvasService.batchUpdateObjects.mock.calls[0];
+      expect(entries).toHaveLength(2);
+      expect(entries[0]).toEqual({
+        id: 'rect-1',
+        updates: { x: 0, y: 0, width: 200, height: 200 },
+        before: { x: 0, y: 0, width: 100, height: 100 }
+      });
+      expect(passedRecordAction).toBe(recordAction);
+      expect(metadata).toMatchObject({
+        actionType: ACTION_TYPES.UPDATE_PROPERTIES,
+        description: 'Resize Group'
+      });
+      expect(canvasService.clearActiveObject).toHaveBeenCalledTimes(2);
+    });
+
+    it('should record null rather than 0 for fields a member never had', async () => {
+      const text = createTestText({ id: 'text-1', x: 0, y: 0, width: undefined, fontSize: 20, groupId: 'g1' });
+      group.members = [group.members[0], text];
+      const interaction = new GroupTransformInteraction(group, { x: 200, y: 200 }, mockOnUpdate, {
+        mode: 'resize',
+        handle: 'se',
+        canvasId: 'test-canvas-id'
+      });
+
+      interaction.update({ x: 400, y: 400 });
+      await interaction.end(vi.fn());
+
+      const [entries] = canvasService.batchUpdateObjects.mock.calls[0];
+      const textEntry = entries.find(entry => entry.id === 'text-1');
+      expect(textEntry.updates.width).toBe(400);
+      expect(textEntry.before).toMatchObject({ width: null, fontSize: 20 });
+    });
+
+    it('should not write anything if the group was never transformed', async () => {
+      const interaction = new GroupTransformInteraction(group, { x: 0, y: 0 }, mockOnUpdate, { mode: 'rotate' });
+
+      await interaction.end(vi.fn());
+
+      expect(canvasService.batchUpdateObjects).not.toHaveBeenCalled();
+    });
+  });
+});
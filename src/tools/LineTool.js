@@ -0,0 +1,216 @@
+/**
+ * LineTool - Handles straight line creation
+ * Creates lines by dragging from the start point to the end point.
+ * Hold Shift to constrain the angle to 45° increments.
+ * Starting or ending on a shape's anchor point binds that end, creating a
+ * connector that follows the shape.
+ */
+
+import { createObject } from '../services/canvas.service.js';
+import { ACTION_TYPES } from '../hooks/useHistory.js';
+import { constrainLineAngle } from '../utils/lineGeometry.js';
+import {
+  CANVAS_WIDTH,
+  CANVAS_HEIGHT,
+  ARROWHEAD_STYLES,
+  FUTURE_SHAPE_DEFAULTS
+} from '../constants/canvas.constants.js';
+
+const LINE_DEFAULTS = FUTURE_SHAPE_DEFAULTS.line;
+
+export class LineTool {
+  constructor() {
+    this.objectType = 'Line';
+    this.startArrowhead = ARROWHEAD_STYLES.NONE;
+    this.endArrowhead = ARROWHEAD_STYLES.NONE;
+    this.startBinding = null;
+  }
+
+  /**
+   * Convert an anchor hit from findAnchorAt into a stored binding
+   */
+  toBinding(anchorHit) {
+    return anchorHit ? { objectId: anchorHit.objectId, anchor: anchorHit.anchor } : null;
+  }
+
+  /**
+   * Keep a point inside the canvas
+   */
+  clampPoint(point) {
+    return {
+      x: Math.max(0, Math.min(point.x, CANVAS_WIDTH)),
+      y: Math.max(0, Math.min(point.y, CANVAS_HEIGHT))
+    };
+  }
+
+  /**
+   * Handle mouse down - start drawing the line
+   */
+  onMouseDown(e, state, helpers) {
+    const { pos } = helpers;
+    const {
+      isDrawing,
+      setIsDrawing,
+      setDrawStart
+    } = state;
+
+    console.log(`${this.objectType} tool mouse down`);
+
+    // Prevent multiple simultaneous draws
+    if (isDrawing) {
+      console.log('Already drawing - ignoring click');
+      return;
+    }
+
+    // Snap the start to a nearby anchor so the line is bound to that shape
+    const anchorHit = state.findAnchorAt ? state.findAnchorAt(pos) : null;
+    const start = anchorHit ? { x: anchorHit.x, y: anchorHit.y } : this.clampPoint(pos);
+    this.startBinding = this.toBinding(anchorHit);
+
+    setIsDrawing(true);
+    setDrawStart(start);
+    console.log(`Started drawing ${this.objectType.toLowerCase()} at:`, start);
+  }
+
+  /**
+   * Handle mouse move - update line preview
+   */
+  onMouseMove(e, state, helpers) {
+    const { pos } = helpers;
+    const {
+      isDrawing,
+      drawStart,
+      selectedColor,
+      setCurrentLine
+    } = state;
+
+    // Show the anchor under the cursor before and while drawing
+    const excludeIds = this.startBinding ? [this.startBinding.objectId] : [];
+    const anchorHit = state.findAnchorAt ? state.findAnchorAt(pos, isDrawing ? excludeIds : []) : null;
+    state.setHoveredAnchor?.(anchorHit);
+
+    if (!isDrawing || !drawStart) return;
+
+    let end = this.clampPoint(pos);
+    if (anchorHit) {
+      end = { x: anchorHit.x, y: anchorHit.y };
+    } else if (e?.evt?.shiftKey) {
+      end = this.clampPoint(constrainLineAngle(drawStart, end));
+    }
+
+    setCurrentLine({
+      x: drawStart.x,
+      y: drawStart.y,
+      points: [0, 0, end.x - drawStart.x, end.y - drawStart.y],
+      stroke: selectedColor || LINE_DEFAULTS.stroke,
+      strokeWidth: LINE_DEFAULTS.strokeWidth,
+      startArrowhead: this.startArrowhead,
+      endArrowhead: this.endArrowhead,
+      startBinding: this.startBinding,
+      endBinding: this.toBinding(anchorHit)
+    });
+  }
+
+  /**
+   * Handle mouse up - finalize line creation
+   */
+  async onMouseUp(e, state, helpers) {
+    const { canvasId, recordAction } = helpers;
+    const {
+      isDrawing,
+      drawStart,
+      currentLine,
+      isOnline,
+      findParentFrameId,
+      setIsDrawing,
+      setDrawStart,
+      setCurrentLine
+    } = state;
+
+    if (!isDrawing || !drawStart || !currentLine) {
+      setIsDrawing(false);
+      setDrawStart(null);
+      return;
+    }
+
+    const [, , dx, dy] = currentLine.points;
+
+    // Only create if the line is long enough to be intentional
+    if (Math.hypot(dx, dy) < LINE_DEFAULTS.minLength) {
+      console.log(`${this.objectType} too short, canceling`);
+      setIsDrawing(false);
+      setDrawStart(null);
+      setCurrentLine(null);
+      return;
+    }
+
+    // Check if online
+    if (!isOnline) {
+      console.log(`Cannot create ${this.objectType.toLowerCase()} - offline`);
+      setIsDrawing(false);
+      setDrawStart(null);
+      setCurrentLine(null);
+      return;
+    }
+
+    try {
+      // Lines drawn inside a frame belong to it
+      const frameId = findParentFrameId?.({ type: 'line', ...currentLine });
+      const properties = {
+        points: currentLine.points,
+        stroke: currentLine.stroke,
+        strokeWidth: currentLine.strokeWidth,
+        startArrowhead: currentLine.startArrowhead,
+        endArrowhead: currentLine.endArrowhead,
+        // Bound ends make this line a connector
+        ...(currentLine.startBinding && { startBinding: currentLine.startBinding }),
+        ...(currentLine.endBinding && { endBinding: currentLine.endBinding }),
+        ...(frameId && { frameId })
+      };
+
+      console.log(`Creating ${this.objectType.toLowerCase()}:`, currentLine);
+
+      const lineId = await createObject('line', {
+        x: currentLine.x,
+        y: currentLine.y
+      }, canvasId, properties);
+
+      // Record creation action for undo/redo
+      if (recordAction && lineId) {
+        recordAction(
+          ACTION_TYPES.CREATE_OBJECT,
+          lineId,
+          null, // No before state for creation
+          {
+            id: lineId,
+            type: 'line',
+            x: currentLine.x,
+            y: currentLine.y,
+            ...properties
+          },
+          { objectType: this.objectType }
+        );
+      }
+
+      console.log(`${this.objectType} created successfully`);
+    } catch (error) {
+      console.error(`Failed to create ${this.objectType.toLowerCase()}:`, error);
+    } finally {
+      // Reset drawing state
+      this.startBinding = null;
+      state.setHoveredAnchor?.(null);
+      setIsDrawing(false);
+      setDrawStart(null);
+      setCurrentLine(null);
+    }
+  }
+
+  /**
+   * Get cursor style for this tool
+   */
+  getCursor() {
+    return 'crosshair';
+  }
+}
+
+export default LineTool;
@@ -0,0 +1,170 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { LineTool } from './LineTool.js';
+import { ArrowTool } from './ArrowTool.js';
+import { createObject } from '../services/canvas.service.js';
+
+// Mock canvas service
+vi.mock('../services/canvas.service.js', () => ({
+  createObject: vi.fn(() => Promise.resolve('new-line-id')),
+}));
+
+// Mock history hook (imported for ACTION_TYPES)
+vi.mock('../hooks/useHistory.js', () => ({
+  ACTION_TYPES: { CREATE_OBJECT: 'CREATE_OBJECT' },
+}));
+
+describe('LineTool', () => {
+  let tool;
+  let mockState;
+  let mockHelpers;
+
+  beforeEach(() => {
+    tool = new LineTool();
+
+    // Mock state
+    mockState = {
+      isDrawing: false,
+      drawStart: null,
+      currentLine: null,
+      isOnline: true,
+      selectedColor: '#FF0000',
+      setIsDrawing: vi.fn((val) => { mockState.isDrawing = val; }),
+      setDrawStart: vi.fn((pos) => { mockState.drawStart = pos; }),
+      setCurrentLine: vi.fn((line) => { mockState.currentLine = line; }),
+    };
+
+    // Mock helpers
+    mockHelpers = {
+      pos: { x: 100, y: 100 },
+      canvasId: 'test-canvas',
+      recordAction: vi.fn(),
+    };
+
+    createObject.mockClear();
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  const drawTo = (end, event = {}) => {
+    tool.onMouseDown({}, mockState, mockHelpers);
+    tool.onMouseMove(event, mockState, { ...mockHelpers, pos: end });
+  };
+
+  describe('Tool Properties', () => {
+    it('should return crosshair cursor', () => {
+      expect(tool.getCursor()).toBe('crosshair');
+    });
+  });
+
+  describe('Drawing', () => {
+    it('should preview a line from the start point to the cursor', () => {
+      drawTo({ x: 250, y: 180 });
+
+      expect(mockState.currentLine).toMatchObject({
+        x: 100,
+        y: 100,
+        points: [0, 0, 150, 80],
+        stroke: '#FF0000',
+        startArrowhead: 'none',
+        endArrowhead: 'none'
+      });
+    });
+
+    it('should constrain the angle to 45° steps with Shift', () => {
+      drawTo({ x: 300, y: 110 }, { evt: { shiftKey: true } });
+
+      const [, , dx, dy] = mockState.currentLine.points;
+      expect(dy).toBeCloseTo(0);
+      expect(dx).toBeCloseTo(Math.hypot(200, 10));
+    });
+
+    it('should clamp endpoints to the canvas', () => {
+      drawTo({ x: -50, y: 6000 });
+
+      expect(mockState.currentLine.points).toEqual([0, 0, -100, 4900]);
+    });
+  });
+
+  describe('onMouseUp - Create Line', () => {
+    it('should create a line object and record it for undo', async () => {
+      drawTo({ x: 250, y: 180 });
+      await tool.onMouseUp({}, mockState, mockHelpers);
+
+      expect(createObject).toHaveBeenCalledWith(
+        'line',
+        { x: 100, y: 100 },
+        'test-canvas',
+        expect.objectContaining({ points: [0, 0, 150, 80], stroke: '#FF0000', strokeWidth: 2 })
+      );
+      expect(mockHelpers.recordAction).toHaveBeenCalledWith(
+        'CREATE_OBJECT',
+        'new-line-id',
+        null,
+        expect.objectContaining({ type: 'line', x: 100, y: 100 }),
+        { objectType: 'Line' }
+      );
+      expect(mockState.setCurrentLine).toHaveBeenLastCalledWith(null);
+      expect(mockState.setIsDrawing).toHaveBeenLastCalledWith(false);
+    });
+
+    it('should not create lines shorter than the minimum length', async () => {
+      drawTo({ x: 102, y: 101 });
+      await tool.onMouseUp({}, mockState, mockHelpers);
+
+      expect(createObject).not.toHaveBeenCalled();
+    });
+
+    it('should not create lines while offline', async () => {
+      mockState.isOnline = false;
+      drawTo({ x: 250, y: 180 });
+      await tool.onMouseUp({}, mockState, mockHelpers);
+
+      expect(createObject).not.toHaveBeenCalled();
+      expect(mockState.setCurrentLine).toHaveBeenLastCalledWith(null);
+    });
+  });
+
+  describe('Connectors', () => {
+    it('should snap bound ends to shape anchors and store the bindings', async () => {
+      mockState.setHoveredAnchor = vi.fn();
+      mockState.findAnchorAt = vi.fn((pos) => (
+        pos.x > 200 ? { objectId: 'rect-2', anchor: 'left', x: 240, y: 175 } : { objectId: 'rect-1', anchor: 'right', x: 98, y: 104 }
+      ));
+
+      drawTo({ x: 250, y: 180 });
+      expect(mockState.currentLine.points).toEqual([0, 0, 142, 71]);
+      expect(mockState.setHoveredAnchor).toHaveBeenCalledWith(expect.objectContaining({ objectId: 'rect-2' }));
+
+      await tool.onMouseUp({}, mockState, mockHelpers);
+
+      expect(createObject).toHaveBeenCalledWith(
+        'line',
+        { x: 98, y: 104 },
+        'test-canvas',
+        expect.objectContaining({
+          startBinding: { objectId: 'rect-1', anchor: 'right' },
+          endBinding: { objectId: 'rect-2', anchor: 'left' }
+        })
+      );
+      expect(mockState.setHoveredAnchor).toHaveBeenLastCalledWith(null);
+    });
+  });
+
+  describe('ArrowTool', () => {
+    it('should create a line with an end arrowhead', async () => {
+      tool = new ArrowTool();
+      drawTo({ x: 250, y: 100 });
+      await tool.onMouseUp({}, mockState, mockHelpers);
+
+      expect(createObject).toHaveBeenCalledWith(
+        'line',
+        { x: 100, y: 100 },
+        'test-canvas',
+        expect.objectContaining({ startArrowhead: 'none', endArrowhead: 'arrow' })
+      );
+      expect(mockHelpers.recordAction.mock.calls[0][4]).toEqual({ objectType: 'Arrow' });
+    });
+  });
+});
@@ -1,5 +1,10 @@
-import { updateActiveObjectPosition, clearActiveObject, updateObject } from '../services/canvas.service.js';
+import { updateActiveObjectPosition, clearActiveObject, updateObject, batchUpdateObjects, batchLockObjects, batchUnlockObjects } from '../services/canvas.service.js';
 import { ACTION_TYPES } from '../hooks/useHistory.js';
+import { getReleasedBindings, getConnectorRerouteEntries, getAttachedConnectors } from '../utils/connectorUtils.js';
+import { isFrame, getFrameChildren, getParentFrameId } from '../utils/frameUtils.js';
+import { getCombinedBounds } from '../utils/objectBounds.js';
+import { createGuideIndex, createSnapIndex, getGuideSnap, getMoveSnap } from '../utils/snapping.js';
+import { getGridSnap } from '../utils/gridSnap.js';
 
 /**
  * MoveInteraction - Central controller for both single and multi-object movement
@@ -14,6 +19,14 @@ import { ACTION_TYPES } from '../hooks/useHistory.js';
  * - Real-time multiplayer sync via RTDB
  * - Undo/redo integration with proper history recording
  * - Boundary constraint support for all shape types
+ * - Connector support: attached connectors follow the move, and a connector moved
+ *   without the shapes it is bound to is released from them
+ * - Frame support: a moved frame carries its children, and other shapes dropped
+ *   into (or out of) a frame are reparented to it
+ * - Smart guides: the selection's box snaps to other objects' edges, centers
+ *   and spacing, to the canvas center and boundary and to ruler guides
+ * - Grid snapping: while the canvas grid snaps, the box's top-left corner
+ *   snaps to the grid instead of to smart guides (ruler guides still win)
  */
 export class MoveInteraction {
   /**
@@ -27,6 +40,12 @@ export class MoveInteraction {
    * @param {Function} options.clampRectToCanvas - Boundary constraint function for rectangles
    * @param {Function} options.clampCircleToCanvas - Boundary constraint function for circles  
    * @param {Function} options.clampStarToCanvas - Boundary constraint function for stars
+   * @param {Function} options.clampPolygonToCanvas - Boundary constraint function for polygons
+   * @param {Array} options.canvasObjects - All canvas objects (used to reroute attached connectors and find frame children)
+   * @param {number} options.snapThreshold - Smart guide snap distance in canvas units (0 turns snapping off)
+   * @param {Function} options.onSnapGuides - Called with the smart guides to draw (empty when nothing snaps)
+   * @param {number} options.gridSnapStep - Layout grid step to snap to (0 while grid snapping is off)
+   * @param {Array} options.rulerGuides - Ruler guides { axis, position } to snap to
    */
   constructor(selectedShapes, startPoint, onUpdate, options = {}) {
     // CRITICAL VALIDATION: Ensure startPoint has valid coordinates
@@ -36,8 +55,19 @@ export class MoveInteraction {
       throw new Error('MoveInteraction requires valid startPoint coordinates');
     }
     
+    this.canEditObject = options.canEditObject || (() => true);
+    this.canvasObjects = options.canvasObjects || [];
+    
+    // Frames carry their children along (children we can't edit stay behind)
+    const selectedIds = new Set(selectedShapes.map(shape => shape?.id));
+    const frameChildren = selectedShapes
+      .filter(isFrame)
+      .flatMap(frame => getFrameChildren(this.canvasObjects, frame.id))
+      .filter(child => !selectedIds.has(child.id) && this.canEditObject(child.id));
+    this.frameChildIds = frameChildren.map(child => child.id);
+    
     // Store original positions to prevent accumulation during drag
-    this.selectedShapes = selectedShapes.map(shape => {
+    this.selectedShapes = [...selectedShapes, ...frameChildren].map(shape => {
       // CRITICAL VALIDATION: Ensure shape has valid coordinates
       if (!shape || typeof shape.x !== 'number' || typeof shape.y !== 'number' ||
           !isFinite(shape.x) || !isFinite(shape.y)) {
@@ -63,14 +93,52 @@ export class MoveInteraction {
     this.startPoint = { x: startPoint.x, y: startPoint.y };
     this.onUpdate = onUpdate;
     this.canvasId = options.canvasId;
-    this.canEditObject = options.canEditObject || (() => true);
     this.clampRectToCanvas = options.clampRectToCanvas || ((obj) => obj);
     this.clampCircleToCanvas = options.clampCircleToCanvas || ((obj) => obj);
     this.clampStarToCanvas = options.clampStarToCanvas || ((obj) => obj);
+    this.clampPolygonToCanvas = options.clampPolygonToCanvas || ((obj) => obj);
+    
+    // Connectors moved without their bound shapes are released from them
+    const movingIds = this.selectedShapes.map(shape => shape.id);
+    this.releasedBindings = {};
+    this.selectedShapes.forEach(shapeInfo => {
+      if (shapeInfo.type === 'line') {
+        const released = getReleasedBindings(shapeInfo.originalShape, movingIds);
+        if (Object.keys(released).length > 0) {
+          this.releasedBindings[shapeInfo.id] = released;
+        }
+      }
+    });
     
     // Track local updates for immediate visual feedback
     this.localUpdates = {};
     
+    // Smart guides snap to everything that isn't moving (attached connectors follow the move)
+    this.snapThreshold = options.snapThreshold || 0;
+    this.onSnapGuides = options.onSnapGuides || null;
+    this.hasSnapGuides = false;
+    this.gridSnapStep = options.gridSnapStep || 0;
+    this.snapBounds = getCombinedBounds(selectedShapes);
+    const rulerGuides = options.rulerGuides || [];
+    this.snapIndex = null;
+    this.guideIndex = null;
+    if (this.snapThreshold > 0 && this.snapBounds && !this.gridSnapStep) {
+      const attachedIds = getAttachedConnectors(movingIds, this.canvasObjects).map(connector => connector.id);
+      this.snapIndex = createSnapIndex(this.canvasObjects, [...movingIds, ...this.frameChildIds, ...attachedIds], rulerGuides);
+    } else if (this.snapThreshold > 0 && rulerGuides.length > 0) {
+      this.guideIndex = createGuideIndex(rulerGuides);
+    }
+    
+    // Grouped objects are persisted in one batch so the move undoes as a unit
+    this.isGroupMove = selectedShapes.some(shape => shape.groupId);
+    
+    // Frame children are locked like the selection, so the drag is shown locally and to collaborators
+    if (this.frameChildIds.length > 0) {
+      batchLockObjects(this.frameChildIds).catch(err => {
+        console.warn('Failed to lock frame children for move:', err);
+      });
+    }
+    
     // Active flag to prevent RTDB updates after interaction ends
     this._active = true;
     
@@ -89,9 +157,11 @@ export class MoveInteraction {
   /**
    * Update positions during mouse move
    * @param {Object} currentPoint - Current mouse position { x, y }
+   * @param {Object} options
+   * @param {boolean} options.snap - Snap to the grid or smart guides (false while the modifier key is held)
    * @returns {Object} localUpdates - Updated object positions for immediate rendering
    */
-  move(currentPoint) {
+  move(currentPoint, { snap = true } = {}) {
     // Stop processing if interaction is no longer active
     if (!this._active) return this.localUpdates;
     
@@ -103,8 +173,8 @@ export class MoveInteraction {
     }
     
     // Calculate delta from start point
-    const dx = currentPoint.x - this.startPoint.x;
-    const dy = currentPoint.y - this.startPoint.y;
+    let dx = currentPoint.x - this.startPoint.x;
+    let dy = currentPoint.y - this.startPoint.y;
     
     // CRITICAL VALIDATION: Ensure delta calculations are valid
     if (!isFinite(dx) || !isFinite(dy)) {
@@ -116,6 +186,27 @@ export class MoveInteraction {
       return this.localUpdates; // Return existing updates instead of continuing
     }
     
+    // Snap the selection's box to the grid (ruler guides in reach win), or otherwise to smart guides
+    let guides = [];
+    if (snap && this.gridSnapStep && this.snapBounds) {
+      const movedBounds = { ...this.snapBounds, x: this.snapBounds.x + dx, y: this.snapBounds.y + dy };
+      const guideSnap = getGuideSnap(this.guideIndex, movedBounds, null, this.snapThreshold);
+      const gridSnap = getGridSnap(movedBounds, { left: true, top: true }, this.gridSnapStep);
+      dx += guideSnap.dx ?? gridSnap.dx;
+      dy += guideSnap.dy ?? gridSnap.dy;
+      guides = guideSnap.guides;
+    } else if (snap && this.snapIndex) {
+      const snapResult = getMoveSnap(this.snapIndex, {
+        ...this.snapBounds,
+        x: this.snapBounds.x + dx,
+        y: this.snapBounds.y + dy
+      }, this.snapThreshold);
+      dx += snapResult.dx;
+      dy += snapResult.dy;
+      guides = snapResult.guides;
+    }
+    this._setSnapGuides(guides);
+    
     console.log('📐 Move delta:', { dx, dy });
     
     // Clear previous local updates
@@ -142,6 +233,7 @@ export class MoveInteraction {
       // Create updated object with new position
       const updatedShape = {
         ...shapeInfo.originalShape,
+        ...this.releasedBindings[shapeInfo.id],
         x: newX,
         y: newY
       };
@@ -150,6 +242,10 @@ export class MoveInteraction {
       let clampedShape;
       switch (shapeInfo.type) {
         case 'rectangle':
+        case 'image':
+        case 'frame':
+        case 'sticky':
+        case 'table':
           clampedShape = this.clampRectToCanvas(updatedShape);
           break;
         case 'circle':
@@ -158,6 +254,9 @@ export class MoveInteraction {
         case 'star':
           clampedShape = this.clampStarToCanvas(updatedShape);
           break;
+        case 'polygon':
+          clampedShape = this.clampPolygonToCanvas(updatedShape);
+          break;
         default:
           clampedShape = updatedShape; // No clamping for unknown types
       }
@@ -191,10 +290,20 @@ export class MoveInteraction {
           if (clampedShape.height !== undefined) rtdbData.height = clampedShape.height;
         } else if (shapeInfo.type === 'circle') {
           if (clampedShape.radius !== undefined) rtdbData.radius = clampedShape.radius;
+          if (clampedShape.radiusX !== undefined) rtdbData.radiusX = clampedShape.radiusX;
+          if (clampedShape.radiusY !== undefined) rtdbData.radiusY = clampedShape.radiusY;
         } else if (shapeInfo.type === 'star') {
           if (clampedShape.innerRadius !== undefined) rtdbData.innerRadius = clampedShape.innerRadius;
           if (clampedShape.outerRadius !== undefined) rtdbData.outerRadius = clampedShape.outerRadius;
           if (clampedShape.numPoints !== undefined) rtdbData.numPoints = clampedShape.numPoints;
+        } else if (shapeInfo.type === 'polygon') {
+          if (clampedShape.radius !== undefined) rtdbData.radius = clampedShape.radius;
+          if (clampedShape.sides !== undefined) rtdbData.sides = clampedShape.sides;
+        } else if (shapeInfo.type === 'line') {
+          // Bindings are always sent so collaborators see a released connector stop following
+          rtdbData.points = clampedShape.points;
+          rtdbData.startBinding = clampedShape.startBinding || null;
+          rtdbData.endBinding = clampedShape.endBinding || null;
         }
         
         // Queue RTDB update for throttled sending
@@ -255,19 +364,24 @@ export class MoveInteraction {
   async end(recordAction) {
     // Immediately stop RTDB updates to prevent trailing movement
     this._active = false;
+    this._setSnapGuides([]);
     
     console.log('🏁 Finalizing move interaction for', this.selectedShapes.length, 'objects');
     
     if (Object.keys(this.localUpdates).length === 0) {
       console.log('📝 No movement detected - skipping finalization');
+      await this._unlockFrameChildren();
       return;
     }
     
     // Prepare batch operations for performance
     const clearActivePromises = [];
     const updatePromises = [];
+    const batchEntries = [];
+    const movedEntries = [];
+    const finalShapes = {};
     
-    // Process each moved object
+    // Collect each moved object we can edit
     this.selectedShapes.forEach(shapeInfo => {
       const finalShape = this.localUpdates[shapeInfo.id];
       
@@ -280,33 +394,96 @@ export class MoveInteraction {
           );
         }
         
-        // Update Firestore with final position and undo/redo support
-        updatePromises.push(
-          updateObject(
-            shapeInfo.id,
-            {
-              x: finalShape.x,
-              y: finalShape.y
-            },
-            recordAction, // Undo/redo integration
-            {
-              actionType: ACTION_TYPES.MOVE_OBJECT,
-              before: { x: shapeInfo.startX, y: shapeInfo.startY },
-              objectType: shapeInfo.type.charAt(0).toUpperCase() + shapeInfo.type.slice(1)
-            }
-          )
-        );
+        const released = this.releasedBindings[shapeInfo.id];
+        const entry = {
+          id: shapeInfo.id,
+          updates: { x: finalShape.x, y: finalShape.y },
+          before: { x: shapeInfo.startX, y: shapeInfo.startY },
+          actionType: ACTION_TYPES.MOVE_OBJECT
+        };
         
-        console.log(`💾 Finalizing ${shapeInfo.type} ${shapeInfo.id}:`, {
-          from: { x: shapeInfo.startX, y: shapeInfo.startY },
-          to: { x: finalShape.x, y: finalShape.y }
-        });
+        // Released bindings are part of the change, so undo has to restore them too
+        if (released) {
+          Object.keys(released).forEach(key => {
+            entry.updates[key] = null;
+            entry.before[key] = shapeInfo.originalShape[key];
+          });
+          entry.actionType = ACTION_TYPES.UPDATE_PROPERTIES;
+        }
+        
+        // Shapes dropped into or out of a frame change parent (frame children move with their frame)
+        if (!this.frameChildIds.includes(shapeInfo.id)) {
+          const frameId = this._getDropFrameId(finalShape);
+          if (frameId !== (shapeInfo.originalShape.frameId || null)) {
+            entry.updates.frameId = frameId;
+            entry.before.frameId = shapeInfo.originalShape.frameId ?? null;
+            entry.actionType = ACTION_TYPES.UPDATE_PROPERTIES;
+          }
+        }
+        
+        finalShapes[shapeInfo.id] = finalShape;
+        movedEntries.push({ shapeInfo, entry });
+      }
+    });
+    
+    // Connectors attached to the moved objects get their stored geometry refreshed
+    const rerouteEntries = getConnectorRerouteEntries(this.canvasObjects, finalShapes)
+      .filter(entry => this.canEditObject(entry.id))
+      .map(entry => ({ ...entry, actionType: ACTION_TYPES.UPDATE_PROPERTIES }));
+    
+    // Group moves, frame moves and moves that reroute connectors are saved as one undo step
+    const isFrameMove = this.frameChildIds.length > 0;
+    const useBatch = this.isGroupMove || isFrameMove || rerouteEntries.length > 0;
+    
+    movedEntries.forEach(({ shapeInfo, entry }) => {
+      if (useBatch) {
+        batchEntries.push(entry);
+        return;
       }
+      
+      // Update Firestore with final position and undo/redo support
+      updatePromises.push(
+        updateObject(
+          shapeInfo.id,
+          entry.updates,
+          recordAction, // Undo/redo integration
+          {
+            actionType: entry.actionType,
+            before: entry.before,
+            objectType: shapeInfo.type.charAt(0).toUpperCase() + shapeInfo.type.slice(1)
+          }
+        )
+      );
+      
+      console.log(`💾 Finalizing ${shapeInfo.type} ${shapeInfo.id}:`, {
+        from: entry.before,
+        to: entry.updates
+      });
     });
     
+    if (useBatch && batchEntries.length > 0) {
+      const singleShape = batchEntries.length === 1 && movedEntries[0].shapeInfo;
+      const objectType = this.isGroupMove
+        ? 'Group'
+        : isFrameMove && movedEntries.filter(({ shapeInfo }) => isFrame(shapeInfo)).length === 1
+          ? 'Frame'
+          : singleShape
+          ? singleShape.type.charAt(0).toUpperCase() + singleShape.type.slice(1)
+          : 'Objects';
+      
+      updatePromises.push(
+        batchUpdateObjects([...batchEntries, ...rerouteEntries], recordAction, {
+          actionType: ACTION_TYPES.MOVE_OBJECT,
+          objectType,
+          description: singleShape || this.isGroupMove || objectType === 'Frame' ? `Move ${objectType}` : `Move ${batchEntries.length} Objects`
+        })
+      );
+    }
+    
     try {
       // Execute all operations in parallel for better performance
       await Promise.all([...clearActivePromises, ...updatePromises]);
+      await this._unlockFrameChildren();
       console.log('✅ Move interaction completed - all objects synced to Firestore');
       
       // Add to history manager if available (for manual undo/redo tracking)
@@ -335,7 +512,7 @@ export class MoveInteraction {
       
       // Attempt cleanup even if updates failed
       try {
-        await Promise.all(clearActivePromises);
+        await Promise.all([...clearActivePromises, this._unlockFrameChildren()]);
         console.log('🧹 RTDB cleanup completed despite update failures');
       } catch (cleanupError) {
         console.error('Failed RTDB cleanup:', cleanupError);
@@ -351,6 +528,7 @@ export class MoveInteraction {
   cancel() {
     // Immediately stop RTDB updates
     this._active = false;
+    this._setSnapGuides([]);
     
     console.log('❌ Cancelling move interaction');
     
@@ -369,6 +547,48 @@ export class MoveInteraction {
     if (this.onUpdate) {
       this.onUpdate(this.localUpdates);
     }
+    
+    this._unlockFrameChildren();
+  }
+
+  /**
+   * Find the frame a moved shape was dropped in
+   * Frames moved in the same drag are judged at their new position.
+   * @param {Object} shape - Shape at its final position
+   * @returns {string|null} Frame ID, or null outside every frame
+   * @private
+   */
+  _getDropFrameId(shape) {
+    const frames = this.canvasObjects
+      .filter(obj => isFrame(obj) && obj.id !== shape.id)
+      .map(frame => (this.localUpdates[frame.id] ? { ...frame, ...this.localUpdates[frame.id] } : frame));
+    return getParentFrameId(frames, shape);
+  }
+
+  /**
+   * Report the smart guides to draw (skipped while there are none to show or clear)
+   * @param {Array} guides - Guides from getMoveSnap
+   * @private
+   */
+  _setSnapGuides(guides) {
+    if (!this.onSnapGuides || (guides.length === 0 && !this.hasSnapGuides)) return;
+    this.hasSnapGuides = guides.length > 0;
+    this.onSnapGuides(guides);
+  }
+
+  /**
+   * Release the locks taken on frame children for the drag
+   * @returns {Promise} Resolves once the children are unlocked (errors are logged)
+   * @private
+   */
+  _unlockFrameChildren() {
+    const childIds = this.frameChildIds;
+    this.frameChildIds = [];
+    if (childIds.length === 0) return Promise.resolve();
+    
+    return batchUnlockObjects(childIds).catch(err => {
+      console.warn('Failed to unlock frame children after move:', err);
+    });
   }
 
   /**
@@ -446,4 +446,77 @@ describe('MoveInteraction', () => {
       expect(newRelativePositions).toEqual(initialRelativePositions);
     });
   });
+  describe('Smart guides', () => {
+    const other = createTestRectangle({ id: 'other', x: 400, y: 400, width: 100, height: 100 });
+    const shape = createTestRectangle({ id: 'rect-1', x: 100, y: 100, width: 100, height: 100 });
+
+    it('should snap the moved box to nearby edges and report the guides', () => {
+      const onSnapGuides = vi.fn();
+      const interaction = new MoveInteraction([shape], { x: 150, y: 150 }, mockOnUpdate, {
+        ...mockOptions,
+        canvasObjects: [shape, other],
+        snapThreshold: 6,
+        onSnapGuides
+      });
+
+      const updates = interaction.move({ x: 447, y: 250 });
+
+      expect(updates['rect-1']).toMatchObject({ x: 400, y: 200 });
+      expect(onSnapGuides).toHaveBeenLastCalledWith(expect.arrayContaining([{ points: [400, 200, 400, 500] }]));
+    });
+
+    it('should move freely when snapping is suspended and clear the guides', () => {
+      const onSnapGuides = vi.fn();
+      const interaction = new MoveInteraction([shape], { x: 150, y: 150 }, mockOnUpdate, {
+        ...mockOptions,
+        canvasObjects: [shape, other],
+        snapThreshold: 6,
+        onSnapGuides
+      });
+
+      interaction.move({ x: 447, y: 250 });
+      const updates = interaction.move({ x: 447, y: 250 }, { snap: false });
+
+      expect(updates['rect-1']).toMatchObject({ x: 397, y: 200 });
+      expect(onSnapGuides).toHaveBeenLastCalledWith([]);
+    });
+  });
+  describe('Grid snapping', () => {
+    const other = createTestRectangle({ id: 'other', x: 400, y: 400, width: 100, height: 100 });
+    const shape = createTestRectangle({ id: 'rect-1', x: 100, y: 100, width: 100, height: 100 });
+
+    it('should snap the box\'s top-left corner to the grid instead of smart guides', () => {
+      const onSnapGuides = vi.fn();
+      const interaction = new MoveInteraction([shape], { x: 150, y: 150 }, mockOnUpdate, {
+        ...mockOptions,
+        canvasObjects: [shape, other],
+        snapThreshold: 6,
+        onSnapGuides,
+        gridSnapStep: 20
+      });
+
+      const updates = interaction.move({ x: 447, y: 263 });
+
+      expect(updates['rect-1']).toMatchObject({ x: 400, y: 220 });
+      expect(onSnapGuides).not.toHaveBeenCalled();
+      expect(interaction.move({ x: 447, y: 263 }, { snap: false })['rect-1']).toMatchObject({ x: 397, y: 213 });
+    });
+
+    it('should let ruler guides in reach win over the grid', () => {
+      const onSnapGuides = vi.fn();
+      const interaction = new MoveInteraction([shape], { x: 150, y: 150 }, mockOnUpdate, {
+        ...mockOptions,
+        canvasObjects: [shape, other],
+        snapThreshold: 6,
+        onSnapGuides,
+        gridSnapStep: 20,
+        rulerGuides: [{ id: 'guide-1', axis: 'x', position: 505 }]
+      });
+
+      const updates = interaction.move({ x: 457, y: 263 });
+
+      expect(updates['rect-1']).toMatchObject({ x: 405, y: 220 });
+      expect(onSnapGuides).toHaveBeenLastCalledWith([{ points: [505, 0, 505, 5000] }]);
+    });
+  });
 });
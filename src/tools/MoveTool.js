@@ -1,5 +1,8 @@
 import MoveInteraction from './MoveInteraction.js'
 import { lockObject, unlockObject } from '../services/canvas.service.js'
+import { expandToGroups } from '../utils/groupUtils.js'
+import { isSnapSuspended } from '../utils/snapping.js'
+import { SNAP_DISTANCE } from '../constants/canvas.constants.js'
 
 /**
  * MoveTool - Handles object movement/dragging with auto-selection and multi-selection support
@@ -10,6 +13,9 @@ import { lockObject, unlockObject } from '../services/canvas.service.js'
  * - Maintains selection after movement for consecutive operations
  * - Single-click selects, drag moves immediately
  * - Multi-selection: moves all selected objects as a group maintaining relative positions
+ * - Grouped objects: clicking any member selects and moves the whole group
+ * - Smart guides (or the layout grid, while it snaps) snap the moved objects
+ *   into place; hold Ctrl/Cmd to move freely
  * 
  * Uses MoveInteraction class for centralized, deterministic movement logic
  */
@@ -25,7 +31,7 @@ export class MoveTool {
    * Supports both single and multi-selection movement using MoveInteraction
    */
   async onMouseDown(e, state, helpers) {
-    const { pos, canvasId } = helpers
+    const { pos, canvasId, stage } = helpers
     const { 
       selectedObjectId,
       findObjectAt,
@@ -37,7 +43,11 @@ export class MoveTool {
       clampRectToCanvas,
       clampCircleToCanvas, 
       clampStarToCanvas,
-      setLocalRectUpdates
+      clampPolygonToCanvas,
+      setLocalRectUpdates,
+      setSnapGuides,
+      gridSnapStep,
+      rulerGuides
     } = state
 
     // Clear any existing move interaction
@@ -60,10 +70,25 @@ export class MoveTool {
       typeof multiSelection.selectionInfo.has === 'function' &&
       multiSelection.selectionInfo.has(clickedObject.id)
     
+    // Group members picked by auto-selection (selection state updates asynchronously)
+    let autoSelectedGroupIds = null
+
     // Handle auto-selection if no object selected or different object clicked
     // BUT skip if clicking inside existing multi-selection to prevent lag
     if (!clickingInsideExistingMulti && (!selectedObjectId || (clickedObject && clickedObject.id !== selectedObjectId))) {
-      if (clickedObject && canEditObject(clickedObject.id)) {
+      if (clickedObject && clickedObject.groupId && multiSelection && canEditObject(clickedObject.id)) {
+        console.log('👆 Move tool: Auto-selecting group', clickedObject.groupId)
+        
+        if (selectedObjectId) {
+          unlockObject(selectedObjectId).catch(err =>
+            console.error('Failed to unlock previous object:', err)
+          )
+        }
+        
+        autoSelectedGroupIds = expandToGroups([clickedObject.id], canvasObjects)
+        await multiSelection.selectMultiple(autoSelectedGroupIds)
+        setSelectedObjectId(null)
+      } else if (clickedObject && canEditObject(clickedObject.id)) {
         console.log('👆 Move tool: Auto-selecting object', clickedObject.id)
         
         // Unlock previous selection in background
@@ -110,7 +135,13 @@ export class MoveTool {
     const hasMultiSelection = multiSelection && multiSelection.selectionInfo.isMulti
     const hasSingleSelection = multiSelection && multiSelection.selectionInfo.isSingle
     
-    if (hasMultiSelection) {
+    if (autoSelectedGroupIds) {
+      // Just auto-selected a group: move every member that we can edit
+      objectsToMove = canvasObjects.filter(obj =>
+        autoSelectedGroupIds.includes(obj.id) && canEditObject(obj.id)
+      )
+      console.log('👥 Move tool: Group movement for', objectsToMove.length, 'objects')
+    } else if (hasMultiSelection) {
       // Multi-selection: move all selected objects as a group
       const selectedIds = Array.from(multiSelection.selectionInfo.all)
       objectsToMove = canvasObjects.filter(obj => 
@@ -164,7 +195,13 @@ export class MoveTool {
         canEditObject,
         clampRectToCanvas,
         clampCircleToCanvas,
-        clampStarToCanvas
+        clampStarToCanvas,
+        clampPolygonToCanvas,
+        canvasObjects,
+        snapThreshold: SNAP_DISTANCE / (stage?.scaleX?.() || 1),
+        onSnapGuides: setSnapGuides,
+        gridSnapStep,
+        rulerGuides
       }
     )
 
@@ -179,7 +216,7 @@ export class MoveTool {
 
     // Delegate to MoveInteraction if active
     if (this.moveInteraction) {
-      this.moveInteraction.move(pos)
+      this.moveInteraction.move(pos, { snap: !isSnapSuspended(e?.evt) })
     }
   }
 
@@ -198,7 +198,7 @@ describe('MoveTool', () => {
       
       tool.onMouseMove({}, mockState, mockHelpers);
       
-      expect(mockMoveInteraction.move).toHaveBeenCalledWith({ x: 151, y: 150 });
+      expect(mockMoveInteraction.move).toHaveBeenCalledWith({ x: 151, y: 150 }, { snap: true });
     });
 
     it('should handle no active MoveInteraction gracefully', () => {
@@ -228,7 +228,7 @@ describe('MoveTool', () => {
       
       tool.onMouseMove({}, mockState, mockHelpers);
       
-      expect(mockMoveInteraction.move).toHaveBeenCalledWith({ x: 200, y: 180 });
+      expect(mockMoveInteraction.move).toHaveBeenCalledWith({ x: 200, y: 180 }, { snap: true });
     });
 
     it('should delegate position updates to MoveInteraction', () => {
@@ -237,7 +237,15 @@ describe('MoveTool', () => {
       tool.onMouseMove({}, mockState, mockHelpers);
       
       // The actual RTDB updates are now handled by MoveInteraction
-      expect(mockMoveInteraction.move).toHaveBeenCalledWith({ x: 200, y: 180 });
+      expect(mockMoveInteraction.move).toHaveBeenCalledWith({ x: 200, y: 180 }, { snap: true });
+    });
+
+    it('should move without snapping while Ctrl/Cmd is held', () => {
+      mockHelpers.pos = { x: 200, y: 180 };
+      
+      tool.onMouseMove({ evt: { ctrlKey: true } }, mockState, mockHelpers);
+      
+      expect(mockMoveInteraction.move).toHaveBeenCalledWith({ x: 200, y: 180 }, { snap: false });
     });
 
     it('should handle interaction delegation correctly', () => {
@@ -255,7 +263,7 @@ describe('MoveTool', () => {
       tool.onMouseMove({}, mockState, mockHelpers);
       
       // MoveInteraction handles the constraints internally
-      expect(mockMoveInteraction.move).toHaveBeenCalledWith({ x: 0, y: 0 });
+      expect(mockMoveInteraction.move).toHaveBeenCalledWith({ x: 0, y: 0 }, { snap: true });
     });
 
     it('should delegate all object types to MoveInteraction', () => {
@@ -264,7 +272,7 @@ describe('MoveTool', () => {
       tool.onMouseMove({}, mockState, mockHelpers);
       
       // MoveInteraction handles all object types
-      expect(mockMoveInteraction.move).toHaveBeenCalledWith({ x: 350, y: 250 });
+      expect(mockMoveInteraction.move).toHaveBeenCalledWith({ x: 350, y: 250 }, { snap: true });
     });
   });
 
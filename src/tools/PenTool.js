@@ -0,0 +1,530 @@
+/**
+ * PenTool - Draws and edits vector (Bézier) paths
+ *
+ * Drawing:
+ * - Click to place a corner anchor, drag to pull out mirrored Bézier handles
+ * - Click the first anchor to close the path; click the last anchor or press
+ *   Enter/Escape to finish it open
+ * - The path streams to collaborators through RTDB under the ID it will be saved with
+ *
+ * Point editing (click an existing vector path, or pick the pen with one selected):
+ * - Drag anchors and handles (Alt breaks the handle mirroring)
+ * - Click a segment to insert an anchor without changing the curve
+ * - Alt+click an anchor to convert it between corner and smooth
+ * - Shift+click an anchor (or press Delete) to remove it
+ * - Click empty canvas or press Enter/Escape to leave point editing
+ */
+
+import {
+  createObject,
+  generateObjectId,
+  updateObject,
+  updateActiveObjectPosition,
+  clearActiveObject
+} from '../services/canvas.service.js';
+import { ACTION_TYPES } from '../hooks/useHistory.js';
+import { detectPathEditHandle } from '../utils/handleDetector.js';
+import { toPathLocalPoint, refitVectorPath, getPathGeometryFields } from '../utils/pathGeometry.js';
+import {
+  isVectorPath,
+  createAnchor,
+  buildVectorPathGeometry,
+  insertAnchor,
+  removeAnchor,
+  convertAnchor,
+  moveAnchor,
+  moveAnchorHandle,
+  findSegmentAt
+} from '../utils/vectorPath.js';
+import {
+  CANVAS_WIDTH,
+  CANVAS_HEIGHT,
+  FUTURE_SHAPE_DEFAULTS
+} from '../constants/canvas.constants.js';
+
+const PEN_DEFAULTS = FUTURE_SHAPE_DEFAULTS.vectorPath;
+
+export class PenTool {
+  constructor() {
+    // Path being drawn (anchors in canvas coordinates)
+    this.anchors = [];
+    this.draftId = null;
+    this.closing = false;
+    // Active drag: { mode: 'newHandle'|'anchor'|'handleIn'|'handleOut', index, ... }
+    this.drag = null;
+  }
+
+  /**
+   * Keep a point inside the canvas
+   */
+  clampPoint(point) {
+    return {
+      x: Math.max(0, Math.min(point.x, CANVAS_WIDTH)),
+      y: Math.max(0, Math.min(point.y, CANVAS_HEIGHT))
+    };
+  }
+
+  /**
+   * Whether a path is being drawn
+   */
+  hasDraft() {
+    return this.anchors.length > 0;
+  }
+
+  isNear(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y) <= PEN_DEFAULTS.anchorHitDistance;
+  }
+
+  getStyle(state) {
+    return {
+      stroke: state.selectedColor || PEN_DEFAULTS.stroke,
+      strokeWidth: PEN_DEFAULTS.strokeWidth
+    };
+  }
+
+  /**
+   * Show the path being drawn locally and stream it to collaborators
+   * @param {Object|null} cursor - Cursor position for the rubber-band segment
+   */
+  publishDraft(state, helpers, cursor = null, stream = true) {
+    const { canvasId } = helpers;
+    const style = this.getStyle(state);
+    const geometry = buildVectorPathGeometry(this.anchors, false);
+
+    state.setCurrentVectorPath({ type: 'path', ...geometry, ...style, cursor });
+
+    if (stream && canvasId && this.draftId && this.anchors.length > 1) {
+      updateActiveObjectPosition(canvasId, this.draftId, {
+        type: 'path',
+        isDraft: true,
+        ...geometry,
+        ...style
+      });
+    }
+  }
+
+  /**
+   * Get the path currently in point-edit mode
+   */
+  getEditingPath(state) {
+    const { editingPathId, paths = [] } = state;
+    if (!editingPathId) return null;
+    const path = paths.find(p => p.id === editingPathId);
+    return path && isVectorPath(path) ? path : null;
+  }
+
+  /**
+   * Handle mouse down - place anchors or start a point edit
+   */
+  async onMouseDown(e, state, helpers) {
+    const { pos } = helpers;
+
+    if (this.hasDraft()) {
+      this.continueDraft(e, state, pos);
+      return;
+    }
+
+    const editingPath = this.getEditingPath(state);
+    if (editingPath) {
+      await this.editPoints(e, state, helpers, editingPath);
+      return;
+    }
+
+    // Clicking an existing vector path edits its points instead of drawing over it
+    const clickedPath = state.findPathAt?.(pos);
+    if (clickedPath && isVectorPath(clickedPath)) {
+      await this.startEditing(clickedPath, state);
+      return;
+    }
+
+    this.startDraft(state, helpers, pos);
+  }
+
+  /**
+   * Start a new path with its first anchor
+   */
+  startDraft(state, helpers, pos) {
+    const start = this.clampPoint(pos);
+    this.anchors = [createAnchor(start)];
+    this.draftId = generateObjectId();
+    this.closing = false;
+    this.drag = { mode: 'newHandle', index: 0 };
+
+    state.setIsDrawing(true);
+    state.setSelectedAnchorIndex?.(0);
+    this.publishDraft(state, helpers);
+    console.log('Started pen path at:', start);
+  }
+
+  /**
+   * Add an anchor to the path being drawn, or close/finish it
+   */
+  continueDraft(e, state, pos) {
+    const point = this.clampPoint(pos);
+    const first = this.anchors[0];
+    const last = this.anchors[this.anchors.length - 1];
+
+    // Closing click - a drag from here shapes the first anchor's handles
+    if (this.anchors.length > 1 && this.isNear(point, first)) {
+      this.closing = true;
+      this.drag = { mode: 'newHandle', index: 0 };
+      state.setIsDrawing(true);
+      return;
+    }
+
+    // Clicking the last anchor again ends an open path
+    if (this.isNear(point, last)) {
+      this.drag = { mode: 'finish' };
+      return;
+    }
+
+    this.anchors.push(createAnchor(point));
+    this.drag = { mode: 'newHandle', index: this.anchors.length - 1 };
+    state.setIsDrawing(true);
+    state.setSelectedAnchorIndex?.(this.anchors.length - 1);
+  }
+
+  /**
+   * Enter point-edit mode for a vector path
+   */
+  async startEditing(path, state) {
+    const { canEditObject, multiSelection, setSelectedObjectId, setEditingPathId, setSelectedAnchorIndex } = state;
+
+    if (path.isLockedByOther || (canEditObject && !canEditObject(path.id))) {
+      console.log('Cannot edit path points - path is locked by another user:', path.id);
+      return;
+    }
+
+    try {
+      await multiSelection?.selectSingle(path.id);
+      setSelectedObjectId?.(path.id);
+      setEditingPathId(path.id);
+      setSelectedAnchorIndex?.(null);
+      console.log('Editing path points:', path.id);
+    } catch (error) {
+      console.log('Failed to edit path points:', path.id, error.message);
+    }
+  }
+
+  /**
+   * Leave point-edit mode and release the path
+   */
+  async stopEditing(state) {
+    const { multiSelection, setSelectedObjectId, setEditingPathId, setSelectedAnchorIndex } = state;
+
+    setEditingPathId(null);
+    setSelectedAnchorIndex?.(null);
+    setSelectedObjectId?.(null);
+    await multiSelection?.clearSelection();
+  }
+
+  /**
+   * Handle a click in point-edit mode
+   */
+  async editPoints(e, state, helpers, path) {
+    const { pos } = helpers;
+    const { setSelectedAnchorIndex, setIsDrawing } = state;
+    const altKey = e?.evt?.altKey || false;
+    const shiftKey = e?.evt?.shiftKey || false;
+    const hit = detectPathEditHandle(pos, path);
+
+    if (hit?.type === 'anchor' && altKey) {
+      const anchors = convertAnchor(path.anchors, path.closed, hit.index);
+      await this.commitEdit(path, refitVectorPath(path, anchors), state, helpers, hit.index);
+      return;
+    }
+
+    if (hit?.type === 'anchor' && shiftKey) {
+      await this.removeEditingAnchor(path, hit.index, state, helpers);
+      return;
+    }
+
+    if (hit) {
+      // Drag the anchor (with its handles) or a single handle
+      setSelectedAnchorIndex?.(hit.index);
+      this.drag = {
+        mode: hit.type,
+        index: hit.index,
+        path,
+        startLocal: toPathLocalPoint(pos, path),
+        moved: false
+      };
+      setIsDrawing(true);
+      return;
+    }
+
+    const local = toPathLocalPoint(pos, path);
+    const segment = findSegmentAt(local, path.anchors, path.closed, PEN_DEFAULTS.segmentHitDistance);
+    if (segment) {
+      const { anchors, index } = insertAnchor(path.anchors, path.closed, segment.segmentIndex, segment.t);
+      await this.commitEdit(path, refitVectorPath(path, anchors), state, helpers, index);
+      return;
+    }
+
+    // Another vector path switches the edit, empty canvas leaves point editing
+    const clickedPath = state.findPathAt?.(pos);
+    if (clickedPath && clickedPath.id !== path.id && isVectorPath(clickedPath)) {
+      await this.startEditing(clickedPath, state);
+      return;
+    }
+
+    await this.stopEditing(state);
+  }
+
+  /**
+   * Remove an anchor from the path in point-edit mode
+   */
+  async removeEditingAnchor(path, index, state, helpers) {
+    const anchors = removeAnchor(path.anchors, index);
+    if (!anchors) {
+      console.log('Cannot remove anchor - paths keep at least two anchors');
+      return;
+    }
+    await this.commitEdit(path, refitVectorPath(path, anchors), state, helpers, null);
+  }
+
+  /**
+   * Build the geometry for an in-progress point drag
+   */
+  getDraggedGeometry(pos, altKey) {
+    const { mode, index, path, startLocal } = this.drag;
+    const local = toPathLocalPoint(pos, path);
+    const anchors = [...path.anchors];
+    const original = path.anchors[index];
+
+    if (mode === 'anchor') {
+      anchors[index] = moveAnchor(original, {
+        x: original.x + local.x - startLocal.x,
+        y: original.y + local.y - startLocal.y
+      });
+    } else {
+      anchors[index] = moveAnchorHandle(original, mode, local, !altKey);
+    }
+
+    return refitVectorPath(path, anchors);
+  }
+
+  /**
+   * Save edited path geometry and record the edit for undo/redo
+   * @param {Object} geometry - Refit geometry from refitVectorPath
+   */
+  async commitEdit(path, geometry, state, helpers, selectedIndex) {
+    const { canvasId, recordAction } = helpers;
+    const { setLocalRectUpdates, setSelectedAnchorIndex, isOnline } = state;
+
+    if (!isOnline) {
+      console.log('Cannot edit path - offline');
+      return;
+    }
+
+    const before = {
+      x: path.x,
+      y: path.y,
+      width: path.width,
+      height: path.height,
+      ...getPathGeometryFields(path)
+    };
+
+    setSelectedAnchorIndex?.(selectedIndex);
+    setLocalRectUpdates?.(prev => ({ ...prev, [path.id]: geometry }));
+
+    try {
+      await updateObject(path.id, geometry, recordAction, {
+        actionType: ACTION_TYPES.UPDATE_PROPERTIES,
+        before,
+        objectType: 'Path'
+      });
+      console.log('Path points updated:', path.id);
+    } catch (error) {
+      console.error('Failed to update path points:', error);
+    } finally {
+      if (canvasId) {
+        clearActiveObject(canvasId, path.id);
+      }
+      setLocalRectUpdates?.(prev => {
+        const { [path.id]: _done, ...rest } = prev;
+        return rest;
+      });
+    }
+  }
+
+  /**
+   * Handle mouse move - pull out handles, drag points, or preview the next segment
+   */
+  onMouseMove(e, state, helpers) {
+    const { pos, canvasId } = helpers;
+    if (!pos) return;
+
+    if (this.drag?.mode === 'newHandle') {
+      const anchor = this.anchors[this.drag.index];
+      const point = this.clampPoint(pos);
+      if (Math.hypot(point.x - anchor.x, point.y - anchor.y) < PEN_DEFAULTS.minHandleDrag) return;
+
+      // Dragging sets the outgoing handle, the incoming one mirrors it
+      this.anchors[this.drag.index] = createAnchor(
+        anchor,
+        { x: 2 * anchor.x - point.x, y: 2 * anchor.y - point.y },
+        point
+      );
+      this.publishDraft(state, helpers);
+      return;
+    }
+
+    if (this.drag?.path) {
+      const geometry = this.getDraggedGeometry(pos, e?.evt?.altKey || false);
+      this.drag.moved = true;
+      this.drag.geometry = geometry;
+      state.setLocalRectUpdates?.(prev => ({ ...prev, [this.drag.path.id]: geometry }));
+
+      if (canvasId) {
+        updateActiveObjectPosition(canvasId, this.drag.path.id, {
+          ...geometry,
+          rotation: this.drag.path.rotation || 0
+        });
+      }
+      return;
+    }
+
+    // Rubber-band preview from the last anchor to the cursor
+    if (this.hasDraft() && !this.drag) {
+      this.publishDraft(state, helpers, this.clampPoint(pos), false);
+    }
+  }
+
+  /**
+   * Handle mouse up - finish the current drag
+   */
+  async onMouseUp(e, state, helpers) {
+    const drag = this.drag;
+    this.drag = null;
+    if (!drag) return;
+
+    state.setIsDrawing(false);
+
+    if (drag.mode === 'finish') {
+      await this.finishPath(state, helpers);
+      return;
+    }
+
+    if (drag.mode === 'newHandle') {
+      if (this.closing) {
+        await this.finishPath(state, helpers, true);
+      } else {
+        this.publishDraft(state, helpers);
+      }
+      return;
+    }
+
+    if (drag.path && drag.moved) {
+      await this.commitEdit(drag.path, drag.geometry, state, helpers, drag.index);
+    }
+  }
+
+  /**
+   * Save the path being drawn (if it has at least two anchors) and reset drawing state
+   * @param {boolean} closed - Close the path back to its first anchor
+   */
+  async finishPath(state, helpers, closed = false) {
+    const { canvasId, recordAction } = helpers;
+    const { isOnline, findParentFrameId, setIsDrawing, setCurrentVectorPath, setSelectedAnchorIndex } = state;
+    const anchors = this.anchors;
+    const draftId = this.draftId;
+
+    this.anchors = [];
+    this.draftId = null;
+    this.closing = false;
+    this.drag = null;
+    setIsDrawing(false);
+    setCurrentVectorPath(null);
+    setSelectedAnchorIndex?.(null);
+
+    try {
+      if (anchors.length < 2) {
+        return;
+      }
+
+      if (!isOnline) {
+        console.log('Cannot create path - offline');
+        return;
+      }
+
+      const { x, y, ...geometry } = buildVectorPathGeometry(anchors, closed);
+      // Paths drawn inside a frame belong to it
+      const frameId = findParentFrameId?.({ type: 'path', x, y, ...geometry });
+      const properties = {
+        ...geometry,
+        ...this.getStyle(state),
+        ...(frameId && { frameId })
+      };
+
+      const pathId = await createObject('path', { x, y }, canvasId, {
+        ...properties,
+        forceId: draftId
+      });
+
+      // Record creation action for undo/redo
+      if (recordAction && pathId) {
+        recordAction(
+          ACTION_TYPES.CREATE_OBJECT,
+          pathId,
+          null, // No before state for creation
+          {
+            id: pathId,
+            type: 'path',
+            x,
+            y,
+            ...properties
+          },
+          { objectType: 'Path' }
+        );
+      }
+
+      console.log(`Vector path created with ${anchors.length} anchors (${closed ? 'closed' : 'open'})`);
+    } catch (error) {
+      console.error('Failed to create path:', error);
+    } finally {
+      if (canvasId && draftId) {
+        clearActiveObject(canvasId, draftId);
+      }
+    }
+  }
+
+  /**
+   * Handle pen keyboard shortcuts
+   * Decides synchronously so the keyboard hook can skip its own handling.
+   * @returns {boolean} True if the key was handled
+   */
+  onKeyDown(key, state, helpers) {
+    if (key === 'Enter' || key === 'Escape') {
+      if (this.hasDraft()) {
+        this.finishPath(state, helpers);
+        return true;
+      }
+      if (this.getEditingPath(state)) {
+        this.stopEditing(state);
+        return true;
+      }
+      return false;
+    }
+
+    if (key === 'Delete' || key === 'Backspace') {
+      const path = this.getEditingPath(state);
+      const index = state.selectedAnchorIndex;
+      if (path && index !== null && index !== undefined) {
+        this.removeEditingAnchor(path, index, state, helpers);
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Get cursor style for this tool
+   */
+  getCursor() {
+    return 'crosshair';
+  }
+}
+
+export default PenTool;
@@ -0,0 +1,227 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { PenTool } from './PenTool.js';
+import {
+  createObject,
+  updateObject,
+  updateActiveObjectPosition,
+  clearActiveObject
+} from '../services/canvas.service.js';
+import { createAnchor } from '../utils/vectorPath.js';
+
+// Mock canvas service
+vi.mock('../services/canvas.service.js', () => ({
+  createObject: vi.fn((type, position, canvasId, properties) => Promise.resolve(properties.forceId)),
+  generateObjectId: vi.fn(() => 'draft-vector-id'),
+  updateObject: vi.fn(() => Promise.resolve()),
+  updateActiveObjectPosition: vi.fn(),
+  clearActiveObject: vi.fn(() => Promise.resolve()),
+}));
+
+// Mock history hook (imported for ACTION_TYPES)
+vi.mock('../hooks/useHistory.js', () => ({
+  ACTION_TYPES: { CREATE_OBJECT: 'CREATE_OBJECT', UPDATE_PROPERTIES: 'UPDATE_PROPERTIES' },
+}));
+
+describe('PenTool', () => {
+  let tool;
+  let mockState;
+  let mockHelpers;
+
+  const existingPath = {
+    id: 'vector-1',
+    type: 'path',
+    x: 100,
+    y: 100,
+    width: 100,
+    height: 100,
+    anchors: [
+      createAnchor({ x: 0, y: 100 }),
+      createAnchor({ x: 50, y: 0 }, { x: 20, y: 0 }, { x: 80, y: 0 }),
+      createAnchor({ x: 100, y: 100 })
+    ],
+    closed: false
+  };
+
+  beforeEach(() => {
+    tool = new PenTool();
+
+    // Mock state
+    mockState = {
+      isDrawing: false,
+      isOnline: true,
+      selectedColor: '#FF0000',
+      paths: [existingPath],
+      editingPathId: null,
+      selectedAnchorIndex: null,
+      currentVectorPath: null,
+      canEditObject: vi.fn(() => true),
+      findPathAt: vi.fn(() => null),
+      multiSelection: {
+        selectSingle: vi.fn(() => Promise.resolve()),
+        clearSelection: vi.fn(() => Promise.resolve()),
+      },
+      setIsDrawing: vi.fn((val) => { mockState.isDrawing = val; }),
+      setCurrentVectorPath: vi.fn((path) => { mockState.currentVectorPath = path; }),
+      setEditingPathId: vi.fn((id) => { mockState.editingPathId = id; }),
+      setSelectedAnchorIndex: vi.fn((index) => { mockState.selectedAnchorIndex = index; }),
+      setSelectedObjectId: vi.fn(),
+      setLocalRectUpdates: vi.fn(),
+    };
+
+    // Mock helpers
+    mockHelpers = {
+      pos: { x: 100, y: 100 },
+      canvasId: 'test-canvas',
+      recordAction: vi.fn(),
+    };
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  const click = async (pos, evt = {}) => {
+    await tool.onMouseDown({ evt }, mockState, { ...mockHelpers, pos });
+    await tool.onMouseUp({ evt }, mockState, { ...mockHelpers, pos });
+  };
+
+  const drag = async (from, to, evt = {}) => {
+    await tool.onMouseDown({ evt }, mockState, { ...mockHelpers, pos: from });
+    tool.onMouseMove({ evt }, mockState, { ...mockHelpers, pos: to });
+    await tool.onMouseUp({ evt }, mockState, { ...mockHelpers, pos: to });
+  };
+
+  describe('Tool Properties', () => {
+    it('should return crosshair cursor', () => {
+      expect(tool.getCursor()).toBe('crosshair');
+    });
+  });
+
+  describe('Drawing', () => {
+    it('should place corner anchors on click and smooth anchors on drag', async () => {
+      await click({ x: 100, y: 100 });
+      await drag({ x: 200, y: 100 }, { x: 250, y: 100 });
+
+      expect(tool.anchors).toEqual([
+        createAnchor({ x: 100, y: 100 }),
+        createAnchor({ x: 200, y: 100 }, { x: 150, y: 100 }, { x: 250, y: 100 })
+      ]);
+      expect(mockState.currentVectorPath).toMatchObject({ type: 'path', stroke: '#FF0000' });
+    });
+
+    it('should stream the path to collaborators under its future ID', async () => {
+      await click({ x: 100, y: 100 });
+      await click({ x: 200, y: 150 });
+
+      expect(updateActiveObjectPosition).toHaveBeenCalledWith(
+        'test-canvas',
+        'draft-vector-id',
+        expect.objectContaining({ type: 'path', isDraft: true, x: 100, y: 100, width: 100, height: 50 })
+      );
+    });
+
+    it('should close the path when the first anchor is clicked', async () => {
+      await click({ x: 100, y: 100 });
+      await click({ x: 200, y: 100 });
+      await click({ x: 150, y: 200 });
+      await click({ x: 102, y: 101 });
+
+      expect(createObject).toHaveBeenCalledWith(
+        'path',
+        { x: 100, y: 100 },
+        'test-canvas',
+        expect.objectContaining({ forceId: 'draft-vector-id', closed: true, width: 100, height: 100 })
+      );
+      expect(createObject.mock.calls[0][3].anchors).toHaveLength(3);
+      expect(mockHelpers.recordAction).toHaveBeenCalledWith(
+        'CREATE_OBJECT',
+        'draft-vector-id',
+        null,
+        expect.objectContaining({ type: 'path', closed: true }),
+        { objectType: 'Path' }
+      );
+      expect(clearActiveObject).toHaveBeenCalledWith('test-canvas', 'draft-vector-id');
+      expect(tool.hasDraft()).toBe(false);
+    });
+
+    it('should finish an open path with Enter', async () => {
+      await click({ x: 100, y: 100 });
+      await click({ x: 200, y: 100 });
+
+      expect(tool.onKeyDown('Enter', mockState, mockHelpers)).toBe(true);
+      await vi.waitFor(() => expect(createObject).toHaveBeenCalled());
+      expect(createObject.mock.calls[0][3].closed).toBe(false);
+    });
+
+    it('should discard a single anchor', async () => {
+      await click({ x: 100, y: 100 });
+      await click({ x: 100, y: 100 });
+
+      expect(createObject).not.toHaveBeenCalled();
+      expect(tool.hasDraft()).toBe(false);
+    });
+  });
+
+  describe('Point editing', () => {
+    beforeEach(() => {
+      mockState.editingPathId = existingPath.id;
+    });
+
+    it('should enter point editing when a vector path is clicked', async () => {
+      mockState.editingPathId = null;
+      mockState.findPathAt.mockReturnValue(existingPath);
+
+      await click({ x: 150, y: 100 });
+
+      expect(mockState.multiSelection.selectSingle).toHaveBeenCalledWith('vector-1');
+      expect(mockState.setEditingPathId).toHaveBeenCalledWith('vector-1');
+      expect(tool.hasDraft()).toBe(false);
+    });
+
+    it('should drag an anchor and save it for undo', async () => {
+      await drag({ x: 100, y: 200 }, { x: 100, y: 250 });
+
+      const [id, updates, recordAction, metadata] = updateObject.mock.calls[0];
+      expect(id).toBe('vector-1');
+      expect(updates.anchors[0]).toMatchObject({ x: 0, y: 150 });
+      expect(updates.height).toBeCloseTo(150);
+      expect(recordAction).toBe(mockHelpers.recordAction);
+      expect(metadata).toMatchObject({
+        actionType: 'UPDATE_PROPERTIES',
+        before: { x: 100, y: 100, height: 100, anchors: existingPath.anchors, closed: false }
+      });
+      expect(updateActiveObjectPosition).toHaveBeenCalledWith('test-canvas', 'vector-1', expect.objectContaining({ rotation: 0 }));
+    });
+
+    it('should insert an anchor when a segment is clicked', async () => {
+      // Midpoint of the first curve
+      await click({ x: 113.75, y: 150 });
+
+      expect(updateObject.mock.calls[0][1].anchors).toHaveLength(4);
+      expect(mockState.selectedAnchorIndex).toBe(1);
+    });
+
+    it('should convert anchors with Alt+click and remove them with Shift+click', async () => {
+      await click({ x: 150, y: 100 }, { altKey: true });
+      expect(updateObject.mock.calls[0][1].anchors[1]).toEqual(createAnchor({ x: 50, y: 0 }));
+
+      await click({ x: 150, y: 100 }, { shiftKey: true });
+      expect(updateObject.mock.calls[1][1].anchors).toHaveLength(2);
+    });
+
+    it('should remove the selected anchor with Delete', () => {
+      mockState.selectedAnchorIndex = 2;
+
+      expect(tool.onKeyDown('Delete', mockState, mockHelpers)).toBe(true);
+      expect(updateObject.mock.calls[0][1].anchors).toHaveLength(2);
+    });
+
+    it('should leave point editing when empty canvas is clicked', async () => {
+      await click({ x: 400, y: 400 });
+
+      expect(mockState.setEditingPathId).toHaveBeenCalledWith(null);
+      expect(mockState.multiSelection.clearSelection).toHaveBeenCalled();
+      expect(updateObject).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * PencilTool - Handles freehand drawing
+ * Records pointer samples while dragging, simplifies them (Ramer–Douglas–Peucker)
+ * and saves the stroke as a `path` object with a compact point list.
+ * The in-progress stroke streams to collaborators through RTDB under the ID
+ * the path will be saved with.
+ */
+
+import {
+  createObject,
+  generateObjectId,
+  updateActiveObjectPosition,
+  clearActiveObject
+} from '../services/canvas.service.js';
+import { ACTION_TYPES } from '../hooks/useHistory.js';
+import { simplifyPoints, buildPathGeometry } from '../utils/pathGeometry.js';
+import {
+  CANVAS_WIDTH,
+  CANVAS_HEIGHT,
+  FUTURE_SHAPE_DEFAULTS
+} from '../constants/canvas.constants.js';
+
+const PATH_DEFAULTS = FUTURE_SHAPE_DEFAULTS.path;
+
+export class PencilTool {
+  constructor() {
+    this.samples = [];
+    this.draftId = null;
+  }
+
+  /**
+   * Keep a point inside the canvas
+   */
+  clampPoint(point) {
+    return {
+      x: Math.max(0, Math.min(point.x, CANVAS_WIDTH)),
+      y: Math.max(0, Math.min(point.y, CANVAS_HEIGHT))
+    };
+  }
+
+  /**
+   * Build the path geometry for the samples recorded so far
+   */
+  getSimplifiedGeometry() {
+    return buildPathGeometry(simplifyPoints(this.samples, PATH_DEFAULTS.simplifyTolerance));
+  }
+
+  /**
+   * Handle mouse down - start a stroke
+   */
+  onMouseDown(e, state, helpers) {
+    const { pos } = helpers;
+    const {
+      isDrawing,
+      selectedColor,
+      setIsDrawing,
+      setDrawStart,
+      setCurrentPath
+    } = state;
+
+    // Prevent multiple simultaneous draws
+    if (isDrawing) {
+      console.log('Already drawing - ignoring click');
+      return;
+    }
+
+    const start = this.clampPoint(pos);
+    this.samples = [start.x, start.y];
+    this.draftId = generateObjectId();
+
+    setIsDrawing(true);
+    setDrawStart(start);
+    setCurrentPath({
+      points: [...this.samples],
+      stroke: selectedColor || PATH_DEFAULTS.stroke,
+      strokeWidth: PATH_DEFAULTS.strokeWidth
+    });
+    console.log('Started pencil stroke at:', start);
+  }
+
+  /**
+   * Handle mouse move - record samples and update the preview
+   */
+  onMouseMove(e, state, helpers) {
+    const { pos, canvasId } = helpers;
+    const {
+      isDrawing,
+      selectedColor,
+      setCurrentPath
+    } = state;
+
+    if (!isDrawing || this.samples.length === 0) return;
+
+    // Skip samples that barely moved to keep the raw stroke small
+    const point = this.clampPoint(pos);
+    const lastX = this.samples[this.samples.length - 2];
+    const lastY = this.samples[this.samples.length - 1];
+    if (Math.hypot(point.x - lastX, point.y - lastY) < PATH_DEFAULTS.minSampleDistance) return;
+
+    this.samples.push(point.x, point.y);
+
+    const stroke = selectedColor || PATH_DEFAULTS.stroke;
+    setCurrentPath({
+      points: [...this.samples],
+      stroke,
+      strokeWidth: PATH_DEFAULTS.strokeWidth
+    });
+
+    // Stream the simplified stroke so collaborators see it being drawn
+    if (canvasId && this.draftId) {
+      updateActiveObjectPosition(canvasId, this.draftId, {
+        type: 'path',
+        isDraft: true,
+        ...this.getSimplifiedGeometry(),
+        stroke,
+        strokeWidth: PATH_DEFAULTS.strokeWidth
+      });
+    }
+  }
+
+  /**
+   * Handle mouse up - simplify and save the stroke
+   */
+  async onMouseUp(e, state, helpers) {
+    const { canvasId, recordAction } = helpers;
+    const {
+      isDrawing,
+      currentPath,
+      isOnline,
+      findParentFrameId,
+      setIsDrawing,
+      setDrawStart,
+      setCurrentPath
+    } = state;
+
+    const draftId = this.draftId;
+
+    try {
+      // A click without movement is not a stroke
+      if (!isDrawing || !currentPath || this.samples.length < 4) {
+        return;
+      }
+
+      if (!isOnline) {
+        console.log('Cannot create path - offline');
+        return;
+      }
+
+      const { x, y, ...geometry } = this.getSimplifiedGeometry();
+      // Strokes drawn inside a frame belong to it
+      const frameId = findParentFrameId?.({ type: 'path', x, y, ...geometry });
+      const properties = {
+        ...geometry,
+        stroke: currentPath.stroke,
+        strokeWidth: currentPath.strokeWidth,
+        tension: PATH_DEFAULTS.tension,
+        ...(frameId && { frameId })
+      };
+
+      console.log(`Creating path: ${this.samples.length / 2} samples → ${geometry.points.length / 2} points`);
+
+      const pathId = await createObject('path', { x, y }, canvasId, {
+        ...properties,
+        forceId: draftId
+      });
+
+      // Record creation action for undo/redo
+      if (recordAction && pathId) {
+        recordAction(
+          ACTION_TYPES.CREATE_OBJECT,
+          pathId,
+          null, // No before state for creation
+          {
+            id: pathId,
+            type: 'path',
+            x,
+            y,
+            ...properties
+          },
+          { objectType: 'Path' }
+        );
+      }
+
+      console.log('Path created successfully');
+    } catch (error) {
+      console.error('Failed to create path:', error);
+    } finally {
+      // Stop streaming the draft and reset drawing state
+      if (canvasId && draftId) {
+        clearActiveObject(canvasId, draftId);
+      }
+      this.samples = [];
+      this.draftId = null;
+      setIsDrawing(false);
+      setDrawStart(null);
+      setCurrentPath(null);
+    }
+  }
+
+  /**
+   * Get cursor style for this tool
+   */
+  getCursor() {
+    return 'crosshair';
+  }
+}
+
+export default PencilTool;
@@ -0,0 +1,132 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { PencilTool } from './PencilTool.js';
+import {
+  createObject,
+  updateActiveObjectPosition,
+  clearActiveObject
+} from '../services/canvas.service.js';
+
+// Mock canvas service
+vi.mock('../services/canvas.service.js', () => ({
+  createObject: vi.fn((type, position, canvasId, properties) => Promise.resolve(properties.forceId)),
+  generateObjectId: vi.fn(() => 'draft-path-id'),
+  updateActiveObjectPosition: vi.fn(),
+  clearActiveObject: vi.fn(() => Promise.resolve()),
+}));
+
+// Mock history hook (imported for ACTION_TYPES)
+vi.mock('../hooks/useHistory.js', () => ({
+  ACTION_TYPES: { CREATE_OBJECT: 'CREATE_OBJECT' },
+}));
+
+describe('PencilTool', () => {
+  let tool;
+  let mockState;
+  let mockHelpers;
+
+  beforeEach(() => {
+    tool = new PencilTool();
+
+    // Mock state
+    mockState = {
+      isDrawing: false,
+      drawStart: null,
+      currentPath: null,
+      isOnline: true,
+      selectedColor: '#FF0000',
+      setIsDrawing: vi.fn((val) => { mockState.isDrawing = val; }),
+      setDrawStart: vi.fn((pos) => { mockState.drawStart = pos; }),
+      setCurrentPath: vi.fn((path) => { mockState.currentPath = path; }),
+    };
+
+    // Mock helpers
+    mockHelpers = {
+      pos: { x: 100, y: 100 },
+      canvasId: 'test-canvas',
+      recordAction: vi.fn(),
+    };
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  const drawThrough = (points) => {
+    tool.onMouseDown({}, mockState, mockHelpers);
+    points.forEach(pos => tool.onMouseMove({}, mockState, { ...mockHelpers, pos }));
+  };
+
+  describe('Tool Properties', () => {
+    it('should return crosshair cursor', () => {
+      expect(tool.getCursor()).toBe('crosshair');
+    });
+  });
+
+  describe('Drawing', () => {
+    it('should preview the raw samples and skip tiny movements', () => {
+      drawThrough([{ x: 101, y: 100 }, { x: 110, y: 100 }, { x: 120, y: 110 }]);
+
+      expect(mockState.currentPath).toMatchObject({
+        points: [100, 100, 110, 100, 120, 110],
+        stroke: '#FF0000'
+      });
+    });
+
+    it('should stream the in-progress stroke under its future ID', () => {
+      drawThrough([{ x: 150, y: 100 }]);
+
+      expect(updateActiveObjectPosition).toHaveBeenCalledWith(
+        'test-canvas',
+        'draft-path-id',
+        expect.objectContaining({ type: 'path', isDraft: true, x: 100, y: 100, points: [0, 0, 50, 0] })
+      );
+    });
+  });
+
+  describe('onMouseUp - Create Path', () => {
+    it('should save a simplified path and record it for undo', async () => {
+      drawThrough([{ x: 110, y: 100.4 }, { x: 120, y: 99.7 }, { x: 130, y: 100 }, { x: 130, y: 140 }]);
+      await tool.onMouseUp({}, mockState, mockHelpers);
+
+      expect(createObject).toHaveBeenCalledWith(
+        'path',
+        { x: 100, y: 100 },
+        'test-canvas',
+        expect.objectContaining({
+          forceId: 'draft-path-id',
+          width: 30,
+          height: 40,
+          stroke: '#FF0000',
+          // Jitter along the first segment is simplified away
+          points: [0, 0, 30, 0, 30, 40]
+        })
+      );
+      expect(mockHelpers.recordAction).toHaveBeenCalledWith(
+        'CREATE_OBJECT',
+        'draft-path-id',
+        null,
+        expect.objectContaining({ type: 'path', x: 100, y: 100 }),
+        { objectType: 'Path' }
+      );
+      expect(clearActiveObject).toHaveBeenCalledWith('test-canvas', 'draft-path-id');
+      expect(mockState.setCurrentPath).toHaveBeenLastCalledWith(null);
+    });
+
+    it('should not create a path for a click without movement', async () => {
+      tool.onMouseDown({}, mockState, mockHelpers);
+      await tool.onMouseUp({}, mockState, mockHelpers);
+
+      expect(createObject).not.toHaveBeenCalled();
+      expect(mockState.setIsDrawing).toHaveBeenLastCalledWith(false);
+    });
+
+    it('should not create paths while offline', async () => {
+      mockState.isOnline = false;
+      drawThrough([{ x: 150, y: 150 }]);
+      await tool.onMouseUp({}, mockState, mockHelpers);
+
+      expect(createObject).not.toHaveBeenCalled();
+      expect(clearActiveObject).toHaveBeenCalledWith('test-canvas', 'draft-path-id');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * PolygonTool - Handles regular polygon creation
+ * Creates polygons by dragging from center point; the drag distance is the
+ * radius to each vertex. The side count can be changed afterwards from the toolbar.
+ */
+
+import { createObject } from '../services/canvas.service.js';
+import { ACTION_TYPES } from '../hooks/useHistory.js';
+import { FUTURE_SHAPE_DEFAULTS } from '../constants/canvas.constants.js';
+
+export class PolygonTool {
+  constructor() {
+    this.objectType = 'Polygon';
+    this.sides = FUTURE_SHAPE_DEFAULTS.polygon.sides;
+  }
+
+  /**
+   * Reset drawing state
+   */
+  resetDrawing(state) {
+    state.setIsDrawing(false);
+    state.setDrawStart(null);
+    state.setCurrentPolygon(null);
+  }
+
+  /**
+   * Handle mouse down - start creating polygon
+   */
+  onMouseDown(e, state, helpers) {
+    const { pos } = helpers;
+    const { isDrawing, setIsDrawing, setDrawStart } = state;
+
+    // Prevent multiple simultaneous draws
+    if (isDrawing) {
+      console.log('Already drawing - ignoring click');
+      return;
+    }
+
+    // Start drawing polygon from this point (will be center)
+    setIsDrawing(true);
+    setDrawStart(pos);
+  }
+
+  /**
+   * Handle mouse move - update polygon radius preview
+   */
+  onMouseMove(e, state, helpers) {
+    const { pos } = helpers;
+    const { isDrawing, drawStart, setCurrentPolygon, clampPolygonToCanvas } = state;
+
+    if (!isDrawing || !drawStart) return;
+
+    const polygon = {
+      x: drawStart.x,
+      y: drawStart.y,
+      sides: this.sides,
+      radius: Math.max(Math.hypot(pos.x - drawStart.x, pos.y - drawStart.y), 1) // Minimum radius of 1px
+    };
+
+    setCurrentPolygon(clampPolygonToCanvas ? clampPolygonToCanvas(polygon) : polygon);
+  }
+
+  /**
+   * Handle mouse up - finalize polygon creation
+   */
+  async onMouseUp(e, state, helpers) {
+    const { canvasId, recordAction } = helpers;
+    const {
+      isDrawing,
+      drawStart,
+      currentPolygon,
+      isOnline,
+      selectedColor,
+      clampPolygonToCanvas,
+      findParentFrameId
+    } = state;
+
+    if (!isDrawing || !drawStart || !currentPolygon) return;
+
+    // Only create if radius is big enough to see
+    if (currentPolygon.radius < FUTURE_SHAPE_DEFAULTS.polygon.minRadius) {
+      console.log(`${this.objectType} too small, canceling`);
+      this.resetDrawing(state);
+      return;
+    }
+
+    if (!isOnline) {
+      console.log(`Cannot create ${this.objectType.toLowerCase()} - offline`);
+      this.resetDrawing(state);
+      return;
+    }
+
+    try {
+      // Final clamp to ensure polygon stays in bounds
+      const finalPolygon = clampPolygonToCanvas ? clampPolygonToCanvas(currentPolygon) : currentPolygon;
+      // Polygons drawn inside a frame belong to it
+      const frameId = findParentFrameId?.({ type: 'polygon', ...finalPolygon });
+      const properties = {
+        sides: finalPolygon.sides,
+        radius: finalPolygon.radius,
+        fill: selectedColor || FUTURE_SHAPE_DEFAULTS.polygon.fill,
+        ...(frameId && { frameId })
+      };
+
+      const polygonId = await createObject('polygon', {
+        x: finalPolygon.x,
+        y: finalPolygon.y
+      }, canvasId, properties);
+
+      // Record creation action for undo/redo
+      if (recordAction && polygonId) {
+        recordAction(
+          ACTION_TYPES.CREATE_OBJECT,
+          polygonId,
+          null, // No before state for creation
+          { id: polygonId, type: 'polygon', x: finalPolygon.x, y: finalPolygon.y, ...properties },
+          { objectType: this.objectType }
+        );
+      }
+
+      console.log(`${this.objectType} created successfully with color:`, selectedColor);
+    } catch (error) {
+      console.error(`Failed to create ${this.objectType.toLowerCase()}:`, error);
+    } finally {
+      this.resetDrawing(state);
+    }
+  }
+
+  /**
+   * Get cursor style for this tool
+   */
+  getCursor() {
+    return 'crosshair';
+  }
+}
+
+export default PolygonTool;
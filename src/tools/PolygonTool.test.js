@@ -0,0 +1,125 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { PolygonTool } from './PolygonTool.js';
+import { TriangleTool } from './TriangleTool.js';
+import { createObject } from '../services/canvas.service.js';
+
+// Mock canvas service
+vi.mock('../services/canvas.service.js', () => ({
+  createObject: vi.fn(() => Promise.resolve('new-polygon-id')),
+}));
+
+// Mock history hook (imported for ACTION_TYPES)
+vi.mock('../hooks/useHistory.js', () => ({
+  ACTION_TYPES: { CREATE_OBJECT: 'CREATE_OBJECT' },
+}));
+
+describe('PolygonTool', () => {
+  let tool;
+  let mockState;
+  let mockHelpers;
+
+  beforeEach(() => {
+    tool = new PolygonTool();
+
+    // Mock state
+    mockState = {
+      isDrawing: false,
+      drawStart: null,
+      currentPolygon: null,
+      isOnline: true,
+      selectedColor: '#00AA00',
+      setIsDrawing: vi.fn((val) => { mockState.isDrawing = val; }),
+      setDrawStart: vi.fn((pos) => { mockState.drawStart = pos; }),
+      setCurrentPolygon: vi.fn((polygon) => { mockState.currentPolygon = polygon; }),
+      clampPolygonToCanvas: vi.fn((polygon) => polygon), // No clamping by default
+    };
+
+    // Mock helpers
+    mockHelpers = {
+      pos: { x: 400, y: 300 },
+      canvasId: 'test-canvas',
+      recordAction: vi.fn(),
+    };
+  });
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  const drag = async (from, to) => {
+    tool.onMouseDown({}, mockState, { ...mockHelpers, pos: from });
+    tool.onMouseMove({}, mockState, { ...mockHelpers, pos: to });
+    await tool.onMouseUp({}, mockState, { ...mockHelpers, pos: to });
+  };
+
+  describe('Tool Properties', () => {
+    it('should return crosshair cursor', () => {
+      expect(tool.getCursor()).toBe('crosshair');
+    });
+
+    it('should default to six sides', () => {
+      expect(tool.sides).toBe(6);
+    });
+  });
+
+  describe('Drawing', () => {
+    it('should preview a polygon with the drag distance as radius', () => {
+      tool.onMouseDown({}, mockState, mockHelpers);
+      tool.onMouseMove({}, mockState, { ...mockHelpers, pos: { x: 430, y: 340 } });
+
+      expect(mockState.setCurrentPolygon).toHaveBeenCalledWith({ x: 400, y: 300, sides: 6, radius: 50 });
+      expect(mockState.clampPolygonToCanvas).toHaveBeenCalled();
+    });
+
+    it('should create a polygon object on mouse up', async () => {
+      await drag({ x: 400, y: 300 }, { x: 400, y: 360 });
+
+      expect(createObject).toHaveBeenCalledWith(
+        'polygon',
+        { x: 400, y: 300 },
+        'test-canvas',
+        { sides: 6, radius: 60, fill: '#00AA00' }
+      );
+      expect(mockHelpers.recordAction).toHaveBeenCalledWith(
+        'CREATE_OBJECT',
+        'new-polygon-id',
+        null,
+        expect.objectContaining({ type: 'polygon', sides: 6, radius: 60 }),
+        { objectType: 'Polygon' }
+      );
+      expect(mockState.setCurrentPolygon).toHaveBeenLastCalledWith(null);
+      expect(mockState.isDrawing).toBe(false);
+    });
+
+    it('should cancel polygons smaller than the minimum radius', async () => {
+      await drag({ x: 400, y: 300 }, { x: 402, y: 301 });
+
+      expect(createObject).not.toHaveBeenCalled();
+      expect(mockState.isDrawing).toBe(false);
+    });
+
+    it('should not create polygons while offline', async () => {
+      mockState.isOnline = false;
+
+      await drag({ x: 400, y: 300 }, { x: 400, y: 360 });
+
+      expect(createObject).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('TriangleTool', () => {
+    it('should create three-sided polygons', async () => {
+      tool = new TriangleTool();
+
+      await drag({ x: 400, y: 300 }, { x: 400, y: 360 });
+
+      expect(createObject).toHaveBeenCalledWith(
+        'polygon',
+        { x: 400, y: 300 },
+        'test-canvas',
+        expect.objectContaining({ sides: 3, radius: 60 })
+      );
+      expect(mockHelpers.recordAction.mock.calls[0][4]).toEqual({ objectType: 'Triangle' });
+    });
+  });
+});
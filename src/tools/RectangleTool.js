@@ -15,7 +15,8 @@ export class RectangleTool {
    * Handle mouse down - start drawing rectangle
    */
   onMouseDown(e, state, helpers) {
-    const { pos } = helpers
+    // Corners land on the layout grid while grid snapping is on
+    const pos = state.snapToGrid?.(helpers.pos, e?.evt) ?? helpers.pos
     const { setIsDrawing, setCurrentRect, selectedColor } = state
 
     // Start rectangle creation
@@ -37,7 +38,7 @@ export class RectangleTool {
    * Handle mouse move - update rectangle dimensions as user drags
    */
   onMouseMove(e, state, helpers) {
-    const { pos } = helpers
+    const pos = state.snapToGrid?.(helpers.pos, e?.evt) ?? helpers.pos
     const { isDrawing, currentRect, setCurrentRect } = state
 
     if (isDrawing && currentRect) {
@@ -61,6 +62,7 @@ export class RectangleTool {
       isDrawing, 
       currentRect, 
       clampRectToCanvas,
+      findParentFrameId,
       selectedColor,
       setIsDrawing, 
       setCurrentRect
@@ -78,6 +80,8 @@ export class RectangleTool {
 
         // Clamp to canvas bounds
         const clampedRect = clampRectToCanvas(finalRect)
+        // Rectangles drawn inside a frame belong to it
+        const frameId = findParentFrameId?.({ type: 'rectangle', ...clampedRect })
 
         try {
           // Save rectangle to Firestore with undo/redo support
@@ -88,7 +92,8 @@ export class RectangleTool {
             {
               fill: selectedColor || '#808080',
               stroke: '#333333',
-              strokeWidth: 1
+              strokeWidth: 1,
+              ...(frameId && { frameId })
             }
           ]
           
@@ -82,6 +82,16 @@ describe('RectangleTool', () => {
       );
     });
 
+    it('should start the rectangle on the grid while grid snapping is on', () => {
+      mockHelpers.pos = { x: 254, y: 347 };
+      mockState.snapToGrid = vi.fn((pos) => ({ x: Math.round(pos.x / 10) * 10, y: Math.round(pos.y / 10) * 10 }));
+
+      tool.onMouseDown({ evt: {} }, mockState, mockHelpers);
+
+      expect(mockState.snapToGrid).toHaveBeenCalledWith({ x: 254, y: 347 }, {});
+      expect(mockState.setCurrentRect).toHaveBeenCalledWith(expect.objectContaining({ x: 250, y: 350 }));
+    });
+
     it('should use selected color for rectangle', () => {
       mockState.selectedColor = '#00FF00';
       
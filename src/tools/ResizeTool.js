@@ -2,7 +2,9 @@ import { auth } from '../services/firebase.js'
 import { 
   updateActiveObjectPosition,
   updateObjectPosition,
-  clearActiveObject
+  clearActiveObject,
+  batchUpdateObjects,
+  updateObject
 } from '../services/canvas.service.js'
 import { ACTION_TYPES } from '../hooks/useHistory.js'
 import { detectResizeHandle, detectResizeHandleWithDebug } from '../utils/handleDetector.js'
@@ -12,7 +14,42 @@ import {
   validateObjectUpdate,
   sanitizeObjectUpdate
 } from '../utils/resizeValidation.js'
-import { detectResizeCrossover } from '../utils/resizeCalculators.js'
+import {
+  detectResizeCrossover,
+  calculateCircleResize as calculateEllipseResize,
+  calculatePathResize,
+  calculatePolygonResize,
+  calculateImageResize,
+  calculateImageCrop,
+  calculateFrameResize,
+  calculateStickyNoteResize,
+  calculateTableResize,
+  calculateTableDividerResize,
+  calculateTextResize
+} from '../utils/resizeCalculators.js'
+import { getSelectedGroup, getGroupMembers } from '../utils/groupUtils.js'
+import {
+  getCombinedBounds,
+  getObjectBounds,
+  isPointInBounds,
+  getLocalCorners,
+  getRotationPivot,
+  rotatePoint
+} from '../utils/objectBounds.js'
+import { getLineEndpoints, buildLineGeometry, constrainLineAngle } from '../utils/lineGeometry.js'
+import { getAttachedConnectors, getConnectorRerouteEntries } from '../utils/connectorUtils.js'
+import { getPathGeometryFields } from '../utils/pathGeometry.js'
+import { getEllipseHandlePoints, getEllipseRadii, toEllipseRadiusFields } from '../utils/ellipseGeometry.js'
+import { calculateCornerRadiusDrag, detectCornerRadiusHandle } from '../utils/cornerRadius.js'
+import { calculateGradientDrag, detectGradientHandle, isGradientFill } from '../utils/gradients.js'
+import { detectTableDivider } from '../utils/tableUtils.js'
+import { GroupTransformInteraction } from './GroupTransformInteraction.js'
+import { createGuideIndex, createSnapIndex, getGuideSnap, getHandleEdges, getResizeSnap, isSnapSuspended } from '../utils/snapping.js'
+import { getGridSnap } from '../utils/gridSnap.js'
+import { SNAP_DISTANCE } from '../constants/canvas.constants.js'
+
+// Types whose dragged edges follow the pointer, so they can snap to smart guides and the grid
+const SNAP_RESIZE_TYPES = ['rectangle', 'path', 'image', 'frame', 'sticky', 'table', 'text', 'circle']
 
 /**
  * ResizeTool - Handles object resizing via corner handles with auto-selection
@@ -22,14 +59,129 @@ import { detectResizeCrossover } from '../utils/resizeCalculators.js'
  * - Shows resize handles for selected objects
  * - Single-object constraint: only works on one object at a time
  * - Maintains selection after resize for consecutive operations
+ * - Grouped objects resize as a unit from the group's bounding box
+ * - Circles are ellipses: side handles stretch one axis, Shift keeps them circular
+ * - Lines and arrows are edited by dragging their start/end points; dropping an
+ *   endpoint on a shape's anchor binds it (turning the line into a connector)
+ * - Connectors attached to a resized shape are rerouted in the same undo step
+ * - Freehand paths scale their points with their box, including while rotated
+ * - Rectangles have radius handles inside each corner: dragging one rounds all
+ *   corners, Alt-dragging rounds only that corner
+ * - Images keep their aspect ratio (Shift stretches freely); Ctrl/Cmd-dragging a
+ *   corner crops the image instead of scaling it
+ * - Frames resize like boxes; their children keep their positions and are clipped
+ * - Sticky notes only resize in width; their height follows the rewrapped text
+ * - Tables scale every column and row with their box; dragging an inner grid
+ *   line resizes that column/row and grows or shrinks the table with it
+ * - Gradient fills show their handles: linear start/end handles turn the
+ *   gradient, radial handles move its center and set its radius
+ * - Dragged edges of unrotated boxes snap to smart guides and ruler guides (or
+ *   to the layout grid while it snaps); hold Ctrl/Cmd to resize freely
  */
 export class ResizeTool {
   constructor() {
     this.minSize = 2
+    this.groupInteraction = null
+    this.cornerRadiusDrag = null
+    this.gradientDrag = null
+    this.tableDividerDrag = null
+    this.snapIndex = null
+    this.hasSnapGuides = false
+  }
+
+  /**
+   * Snap the pointer so the dragged edges of a resize land on smart guides
+   * While grid snapping is on the edges land on the grid instead, unless a
+   * ruler guide is in reach. The snap index is built on the first move of each resize.
+   * @param {Object} startObject - Object at the start of the resize
+   * @param {string} handle - Dragged handle
+   * @param {Object} pos - Pointer position
+   * @param {Object} startPos - Pointer position at the start of the resize
+   * @param {Object} state - Tool state
+   * @param {Object} helpers - Tool helpers (stage gives the zoom level)
+   * @returns {Object} { dx, dy, guides } to add to the pointer position
+   */
+  snapResize(startObject, handle, pos, startPos, state, helpers) {
+    const rulerGuides = state.rulerGuides || []
+    if (!this.snapIndex || this.snapIndexObjectId !== startObject.id) {
+      const canvasObjects = state.canvasObjects || []
+      const attachedIds = getAttachedConnectors([startObject.id], canvasObjects).map(connector => connector.id)
+      this.snapIndex = state.gridSnapStep
+        ? createGuideIndex(rulerGuides)
+        : createSnapIndex(canvasObjects, [startObject.id, ...attachedIds], rulerGuides)
+      this.snapIndexObjectId = startObject.id
+    }
+
+    const edges = getHandleEdges(handle)
+    const start = getObjectBounds(startObject)
+    const dx = pos.x - startPos.x
+    const dy = pos.y - startPos.y
+    const bounds = {
+      x: start.x + (edges.left ? dx : 0),
+      y: start.y + (edges.top ? dy : 0),
+      width: start.width + (edges.left ? -dx : edges.right ? dx : 0),
+      height: start.height + (edges.top ? -dy : edges.bottom ? dy : 0)
+    }
+    const threshold = SNAP_DISTANCE / (helpers.stage?.scaleX?.() || 1)
+    if (state.gridSnapStep) {
+      const guideSnap = getGuideSnap(this.snapIndex, bounds, edges, threshold)
+      const gridSnap = getGridSnap(bounds, edges, state.gridSnapStep)
+      return { dx: guideSnap.dx ?? gridSnap.dx, dy: guideSnap.dy ?? gridSnap.dy, guides: guideSnap.guides }
+    }
+    return getResizeSnap(this.snapIndex, bounds, edges, threshold)
+  }
+
+  /**
+   * Report the smart guides to draw (skipped while there are none to show or clear)
+   * @param {Object} state - Tool state
+   * @param {Array} guides - Guides from getResizeSnap
+   */
+  setSnapGuides(state, guides) {
+    if (!state.setSnapGuides || (guides.length === 0 && !this.hasSnapGuides)) return
+    this.hasSnapGuides = guides.length > 0
+    state.setSnapGuides(guides)
+  }
+
+  /**
+   * Resolve the group to resize for a click, selecting it if needed
+   * Returns null when the click should be handled as a single-object resize.
+   */
+  async resolveGroupForResize(pos, clickedObject, state) {
+    const { canvasObjects, canEditObject, multiSelection, setSelectedObjectId } = state
+    const selectedIds = multiSelection?.selectionInfo?.selectedIds || []
+
+    // Group already selected - resize it when clicking on or near its bounds
+    const selectedGroup = getSelectedGroup(selectedIds, canvasObjects)
+    if (selectedGroup && isPointInBounds(pos, selectedGroup.bounds, 10) &&
+        (!clickedObject || clickedObject.groupId === selectedGroup.groupId)) {
+      return selectedGroup
+    }
+
+    if (!clickedObject?.groupId) {
+      return null
+    }
+
+    const members = getGroupMembers(clickedObject.groupId, canvasObjects)
+    if (!members.every(member => canEditObject(member.id))) {
+      console.log('Resize tool: Cannot edit every member of group', clickedObject.groupId)
+      return null
+    }
+
+    // Select the whole group before resizing it
+    if (multiSelection) {
+      await multiSelection.selectMultiple(members.map(member => member.id))
+    }
+    setSelectedObjectId(null)
+
+    return {
+      groupId: clickedObject.groupId,
+      members,
+      bounds: getCombinedBounds(members)
+    }
   }
 
   /**
-   * Find closest corner to click position (works for rectangles, circles, and stars)
+   * Find closest corner to click position (works for rectangles, circles, stars and polygons)
    * Now uses centralized handle detection utility
    */
   getClosestCorner(pos, obj) {
@@ -41,16 +193,34 @@ export class ResizeTool {
    * This enables clicking anywhere on the object to resize from the nearest corner
    * @param {Object} pos - Click position with x, y
    * @param {Object} obj - Object being resized
-   * @returns {string} - Handle name (nw, ne, sw, se)
+   * @returns {string} - Handle name (nw, ne, sw, se, or start/end for lines)
    */
   calculateClosestHandle(pos, obj) {
-    // Define the four corner positions
-    const corners = {
-      'nw': { x: obj.x, y: obj.y },
-      'ne': { x: obj.x + obj.width, y: obj.y },
-      'sw': { x: obj.x, y: obj.y + obj.height },
-      'se': { x: obj.x + obj.width, y: obj.y + obj.height }
-    };
+    // Lines only have endpoint handles - pick whichever end is closer
+    if (obj.type === 'line') {
+      const { start, end } = getLineEndpoints(obj)
+      const distanceToStart = Math.hypot(pos.x - start.x, pos.y - start.y)
+      const distanceToEnd = Math.hypot(pos.x - end.x, pos.y - end.y)
+      return distanceToStart <= distanceToEnd ? 'start' : 'end'
+    }
+
+    // Define the four corner positions (paths, images, frames, sticky notes, tables and polygons use the rotated corners of their box)
+    let corners
+    if (obj.type === 'circle') {
+      // Ellipses also have side handles, all rotated with the shape
+      corners = getEllipseHandlePoints(obj)
+    } else if (obj.type === 'path' || obj.type === 'image' || obj.type === 'frame' || obj.type === 'sticky' || obj.type === 'table' || obj.type === 'polygon') {
+      const pivot = getRotationPivot(obj)
+      const [nw, ne, se, sw] = getLocalCorners(obj).map(corner => rotatePoint(corner, pivot, obj.rotation || 0))
+      corners = { nw, ne, sw, se }
+    } else {
+      corners = {
+        'nw': { x: obj.x, y: obj.y },
+        'ne': { x: obj.x + obj.width, y: obj.y },
+        'sw': { x: obj.x, y: obj.y + obj.height },
+        'se': { x: obj.x + obj.width, y: obj.y + obj.height }
+      };
+    }
 
     // Calculate distance to each corner
     let closestHandle = 'se'; // Default to bottom-right
@@ -167,18 +337,10 @@ export class ResizeTool {
 
   /**
    * Calculate new circle dimensions based on resize handle
-   * Circles maintain circular shape by adjusting radius based on distance from center
+   * Corner handles scale both axes, side handles stretch one; constrain keeps a perfect circle
    */
-  calculateCircleResize(circle, handle, currentPos, startPos) {
-    // Calculate distance from center to current mouse position
-    const dx = currentPos.x - circle.x
-    const dy = currentPos.y - circle.y
-    const newRadius = Math.sqrt(dx * dx + dy * dy)
-    
-    return {
-      ...circle,
-      radius: Math.max(newRadius, this.minSize / 2) // Minimum radius
-    }
+  calculateCircleResize(circle, handle, currentPos, startPos, constrain = false) {
+    return calculateEllipseResize(circle, handle, currentPos, startPos, this.minSize, constrain)
   }
 
   /**
@@ -236,6 +398,33 @@ export class ResizeTool {
     return result
   }
 
+  /**
+   * Calculate new line geometry when dragging one of its endpoints
+   * The opposite endpoint stays fixed; Shift snaps the angle to 45° steps.
+   */
+  calculateLineEndpointResize(line, handle, currentPos, constrainAngle = false) {
+    const { start, end } = getLineEndpoints(line)
+    const anchor = handle === 'start' ? end : start
+    const clampPoint = (point) => ({
+      x: Math.max(0, Math.min(point.x, 5000)),
+      y: Math.max(0, Math.min(point.y, 5000))
+    })
+
+    let moved = clampPoint(currentPos)
+    if (constrainAngle) {
+      moved = clampPoint(constrainLineAngle(anchor, moved))
+    }
+
+    const geometry = handle === 'start'
+      ? buildLineGeometry(moved, anchor)
+      : buildLineGeometry(anchor, moved)
+
+    return {
+      ...line,
+      ...geometry
+    }
+  }
+
   /**
    * Calculate new rectangle dimensions based on resize handle
    */
@@ -293,6 +482,38 @@ export class ResizeTool {
     if (typeof state.findObjectAt === 'function') {
       clickedObject = state.findObjectAt(pos)
     }
+
+    // Grouped objects resize together from the group bounds
+    const group = await this.resolveGroupForResize(pos, clickedObject, state)
+    if (group) {
+      const handle = this.calculateClosestHandle(pos, group.bounds)
+      console.log('🔧 Resize tool: Resizing group', group.groupId, 'from handle', handle)
+
+      this.groupInteraction = new GroupTransformInteraction(
+        group,
+        pos,
+        (updates) => state.setLocalRectUpdates(updates),
+        { mode: 'resize', handle, canvasId }
+      )
+      setIsResizing(true)
+      setResizeHandle(handle)
+      return
+    }
+
+    // Gradient handles can sit outside the shape, so check them before the click changes the selection
+    const gradientObject = selectedObjectId && !isResizing && canEditObject(selectedObjectId)
+      ? canvasObjects.find(o => o.id === selectedObjectId)
+      : null
+    const gradientHandle = isGradientFill(gradientObject?.fill)
+      ? detectGradientHandle(pos, gradientObject)
+      : null
+    if (gradientHandle) {
+      console.log('🌈 RESIZE TOOL: Dragging gradient handle', gradientHandle)
+      this.gradientDrag = { object: { ...gradientObject }, handle: gradientHandle }
+      setIsResizing(true)
+      setResizeSelectedId(selectedObjectId)
+      return
+    }
     
     if (!selectedObjectId) {
       // No object currently selected - try to auto-select clicked object
@@ -542,6 +763,30 @@ export class ResizeTool {
     
     console.log('=== END RESIZE DEBUG ===')
 
+    // Radius handles sit inside the corners, so check them before the closest resize handle
+    const radiusCorner = selectedObject.type === 'rectangle' && !isResizing
+      ? detectCornerRadiusHandle(pos, selectedObject)
+      : null
+    if (radiusCorner) {
+      console.log('🔘 RESIZE TOOL: Adjusting corner radius from', radiusCorner)
+      this.cornerRadiusDrag = { object: { ...selectedObject }, corner: radiusCorner, startPos: pos }
+      setIsResizing(true)
+      setResizeSelectedId(currentSelectedId)
+      return
+    }
+
+    // Inner grid lines sit inside the table, so check them before the closest resize handle
+    const divider = selectedObject.type === 'table' && !isResizing
+      ? detectTableDivider(pos, selectedObject)
+      : null
+    if (divider) {
+      console.log('📏 RESIZE TOOL: Dragging table', divider.axis, 'divider', divider.index)
+      this.tableDividerDrag = { object: { ...selectedObject }, divider, startPos: pos }
+      setIsResizing(true)
+      setResizeSelectedId(currentSelectedId)
+      return
+    }
+
     // ENHANCED VALIDATION: Check if we clicked on a resize handle using smart detection
     // Use the same smart detection logic that works for auto-selection
     const handle = this.calculateClosestHandle(pos, selectedObject)
@@ -609,7 +854,7 @@ export class ResizeTool {
       if (selectedObject.type === 'rectangle') {
         debugInfo.dimensions = { width: selectedObject.width, height: selectedObject.height }
       } else if (selectedObject.type === 'circle') {
-        debugInfo.dimensions = { radius: selectedObject.radius }
+        debugInfo.dimensions = getEllipseRadii(selectedObject)
       } else if (selectedObject.type === 'star') {
         debugInfo.dimensions = { 
           innerRadius: selectedObject.innerRadius, 
@@ -637,7 +882,8 @@ export class ResizeTool {
    * Handle mouse move - resize object
    */
   onMouseMove(e, state, helpers) {
-    const { pos, canvasId } = helpers
+    const { canvasId } = helpers
+    let { pos } = helpers
     const {
       isResizing,
       resizeStartData,
@@ -650,6 +896,73 @@ export class ResizeTool {
       setLocalRectUpdates
     } = state
 
+    if (this.groupInteraction) {
+      this.groupInteraction.update(pos)
+      return
+    }
+
+    if (this.cornerRadiusDrag) {
+      const { object, corner, startPos } = this.cornerRadiusDrag
+      const cornerRadius = calculateCornerRadiusDrag(object, corner, pos, startPos, !!e?.evt?.altKey)
+      
+      setLocalRectUpdates(prev => ({
+        ...prev,
+        [object.id]: { ...object, cornerRadius }
+      }))
+      
+      if (doWeOwnObject(object.id)) {
+        updateActiveObjectPosition(canvasId, object.id, {
+          x: object.x,
+          y: object.y,
+          width: object.width,
+          height: object.height,
+          cornerRadius
+        })
+      }
+      return
+    }
+
+    if (this.gradientDrag) {
+      const { object, handle } = this.gradientDrag
+      const fill = calculateGradientDrag(object, handle, pos)
+
+      setLocalRectUpdates(prev => ({
+        ...prev,
+        [object.id]: { ...object, fill }
+      }))
+
+      if (doWeOwnObject(object.id)) {
+        updateActiveObjectPosition(canvasId, object.id, {
+          x: object.x,
+          y: object.y,
+          fill
+        })
+      }
+      return
+    }
+
+    if (this.tableDividerDrag) {
+      const { object, divider, startPos } = this.tableDividerDrag
+      const resized = calculateTableDividerResize(object, divider, pos.x - startPos.x, pos.y - startPos.y)
+
+      setLocalRectUpdates(prev => ({
+        ...prev,
+        [object.id]: resized
+      }))
+
+      if (doWeOwnObject(object.id)) {
+        updateActiveObjectPosition(canvasId, object.id, {
+          x: resized.x,
+          y: resized.y,
+          width: resized.width,
+          height: resized.height,
+          columnWidths: resized.columnWidths,
+          rowHeights: resized.rowHeights
+        })
+      }
+      return
+    }
+
     // ENHANCED VALIDATION: Ensure we have all required state for resize operation
     if (!isResizing) {
       // console.log('Not resizing, ignoring mouse move')
@@ -679,12 +992,23 @@ export class ResizeTool {
       return
     }
     
-    const deltaX = pos.x - startPos.x
-    const deltaY = pos.y - startPos.y
-    
     let newObject
     let currentHandle = resizeHandle
     
+    // Smart guides: unrotated edges snap to other objects, the canvas or the grid (circles only by their side handles)
+    const canSnap = SNAP_RESIZE_TYPES.includes(startObject.type) && !startObject.rotation && !isSnapSuspended(e?.evt) &&
+      (startObject.type !== 'circle' || currentHandle.length === 1)
+    if (canSnap) {
+      const snap = this.snapResize(startObject, currentHandle, pos, startPos, state, helpers)
+      pos = { x: pos.x + snap.dx, y: pos.y + snap.dy }
+      this.setSnapGuides(state, snap.guides)
+    } else {
+      this.setSnapGuides(state, [])
+    }
+    
+    const deltaX = pos.x - startPos.x
+    const deltaY = pos.y - startPos.y
+    
     // Debug logging for first move to verify state
     if (!this._debuggedThisResize) {
       console.log('🎯 RESIZE MOUSE MOVE - First move validation:', {
@@ -702,8 +1026,8 @@ export class ResizeTool {
 
     // Calculate new dimensions based on object type
     if (startObject.type === 'circle') {
-      // Circle resize: adjust radius based on distance from center
-      newObject = this.calculateCircleResize(startObject, currentHandle, pos, startPos)
+      // Circle resize: side handles stretch one axis, corners scale both (Shift keeps it circular)
+      newObject = this.calculateCircleResize(startObject, currentHandle, pos, startPos, !!e?.evt?.shiftKey)
       
       // Clamp circle to canvas
       newObject = state.clampCircleToCanvas(newObject)
@@ -719,7 +1043,9 @@ export class ResizeTool {
         updateActiveObjectPosition(canvasId, resizeSelectedId, {
           x: newObject.x,
           y: newObject.y,
-          radius: newObject.radius
+          radius: newObject.radius,
+          radiusX: newObject.radiusX,
+          radiusY: newObject.radiusY
         })
       }
       
@@ -770,62 +1096,83 @@ export class ResizeTool {
       
       return // Stars don't need crossover detection
     } else if (startObject.type === 'text') {
-      // Text resize: Only change width (height auto-grows based on wrapped content)
-      // Calculate new width based on which handle is being dragged
-      let newWidth = startObject.width || 200
-      let newX = startObject.x
-      
-      switch (currentHandle) {
-        case 'nw':
-        case 'sw':
-          // Left side handles - move left edge
-          newX = startObject.x + deltaX
-          newWidth = (startObject.width || 200) - deltaX
-          break
-        case 'ne':
-        case 'se':
-          // Right side handles - move right edge
-          newWidth = (startObject.width || 200) + deltaX
-          break
-      }
+      // Text resize: the width rewraps the text; fixed-size boxes also change height
+      newObject = calculateTextResize(startObject, currentHandle, deltaX, deltaY)
       
-      // Enforce minimum width
-      if (newWidth < 50) {
-        newWidth = 50
-        newX = startObject.x // Don't move if at minimum
-      }
+      // Update local state for immediate visual feedback
+      setLocalRectUpdates(prev => ({
+        ...prev,
+        [resizeSelectedId]: newObject
+      }))
       
-      // Enforce canvas boundaries
-      if (newX < 0) {
-        newWidth += newX
-        newX = 0
-      }
-      if (newX + newWidth > 5000) {
-        newWidth = 5000 - newX
+      // Send updates if we own this object
+      if (doWeOwnObject(resizeSelectedId) && !resizeSelectedId.match(/^[12]$/)) {
+        updateActiveObjectPosition(canvasId, resizeSelectedId, {
+          x: newObject.x,
+          y: newObject.y,
+          width: newObject.width,
+          // Height is only sent for fixed-size boxes; auto-sized text is measured
+          ...(newObject.sizing === 'fixed' ? { height: newObject.height } : {}),
+          sizing: newObject.sizing
+        })
       }
       
+      return // Text doesn't need crossover detection
+    } else if (startObject.type === 'line') {
+      // Line resize: move the dragged endpoint, keep the other one fixed
+      // Near a shape's anchor the endpoint snaps to it and binds; elsewhere it is released
+      const bindingKey = currentHandle === 'start' ? 'startBinding' : 'endBinding'
+      const snapTarget = state.findAnchorAt ? state.findAnchorAt(pos, [resizeSelectedId]) : null
+      const endpointPos = snapTarget ? { x: snapTarget.x, y: snapTarget.y } : pos
+
       newObject = {
-        ...startObject,
-        x: newX,
-        width: newWidth
-        // Height is NOT updated - it's calculated dynamically based on wrapped content
+        ...this.calculateLineEndpointResize(startObject, currentHandle, endpointPos, !snapTarget && e?.evt?.shiftKey),
+        [bindingKey]: snapTarget ? { objectId: snapTarget.objectId, anchor: snapTarget.anchor } : null
       }
+      state.setHoveredAnchor?.(snapTarget)
       
-      // Update local state for immediate visual feedback
       setLocalRectUpdates(prev => ({
         ...prev,
         [resizeSelectedId]: newObject
       }))
       
-      // Send updates if we own this object
+      // Send updates if we own this object (bindings included so collaborators resolve the same ends)
       if (doWeOwnObject(resizeSelectedId) && !resizeSelectedId.match(/^[12]$/)) {
         updateActiveObjectPosition(canvasId, resizeSelectedId, {
           x: newObject.x,
-          width: newObject.width
+          y: newObject.y,
+          points: newObject.points,
+          rotation: newObject.rotation,
+          startBinding: newObject.startBinding || null,
+          endBinding: newObject.endBinding || null
         })
       }
       
-      return // Text doesn't need crossover detection
+      return // Endpoints can cross freely, no crossover detection
+    } else if (startObject.type === 'polygon') {
+      // Polygon resize: scale the radius around the center (the side count is unchanged)
+      newObject = calculatePolygonResize(startObject, currentHandle, pos, startPos, this.minSize)
+      
+      if (state.clampPolygonToCanvas) {
+        newObject = state.clampPolygonToCanvas(newObject)
+      }
+    } else if (startObject.type === 'path') {
+      // Path resize: no crossover flipping, the box stops at the minimum size
+      newObject = calculatePathResize(startObject, currentHandle, deltaX, deltaY, this.minSize)
+    } else if (startObject.type === 'image') {
+      // Image resize keeps the aspect ratio (Shift stretches freely); Ctrl/Cmd crops instead
+      newObject = e?.evt?.ctrlKey || e?.evt?.metaKey
+        ? calculateImageCrop(startObject, currentHandle, deltaX, deltaY, this.minSize)
+        : calculateImageResize(startObject, currentHandle, deltaX, deltaY, this.minSize, !!e?.evt?.shiftKey)
+    } else if (startObject.type === 'frame') {
+      // Frame resize: like paths, the box stops at the minimum size (children stay where they are)
+      newObject = calculateFrameResize(startObject, currentHandle, deltaX, deltaY, this.minSize)
+    } else if (startObject.type === 'sticky') {
+      // Sticky note resize: the width follows the handle and the height is refitted to the text
+      newObject = calculateStickyNoteResize(startObject, currentHandle, deltaX, deltaY)
+    } else if (startObject.type === 'table') {
+      // Table resize: every column and row scales with the box, which stops at the minimum cell sizes
+      newObject = calculateTableResize(startObject, currentHandle, deltaX, deltaY)
     } else if (startObject.type === 'rectangle') {
       // Rectangle resize: apply corner-specific transformations
       newObject = this.calculateRectangleResize(startObject, currentHandle, deltaX, deltaY)
@@ -900,14 +1247,36 @@ export class ResizeTool {
         rtdbData.height = newObject.height
       } else if (newObject.type === 'circle') {
         rtdbData.radius = newObject.radius
+        rtdbData.radiusX = newObject.radiusX
+        rtdbData.radiusY = newObject.radiusY
       } else if (newObject.type === 'star') {
         // CRITICAL FIX: Add missing star properties to prevent NaN values
         rtdbData.innerRadius = newObject.innerRadius
         rtdbData.outerRadius = newObject.outerRadius
         rtdbData.numPoints = newObject.numPoints
+      } else if (newObject.type === 'polygon') {
+        rtdbData.radius = newObject.radius
+        rtdbData.sides = newObject.sides
       } else if (newObject.type === 'text') {
         rtdbData.width = newObject.width
-        // Height is not sent - it's calculated dynamically
+        if (newObject.sizing === 'fixed') rtdbData.height = newObject.height
+        rtdbData.sizing = newObject.sizing
+      } else if (newObject.type === 'path') {
+        rtdbData.width = newObject.width
+        rtdbData.height = newObject.height
+        Object.assign(rtdbData, getPathGeometryFields(newObject))
+      } else if (newObject.type === 'image') {
+        rtdbData.width = newObject.width
+        rtdbData.height = newObject.height
+        if (newObject.crop) rtdbData.crop = newObject.crop
+      } else if (newObject.type === 'frame' || newObject.type === 'sticky') {
+        rtdbData.width = newObject.width
+        rtdbData.height = newObject.height
+      } else if (newObject.type === 'table') {
+        rtdbData.width = newObject.width
+        rtdbData.height = newObject.height
+        rtdbData.columnWidths = newObject.columnWidths
+        rtdbData.rowHeights = newObject.rowHeights
       }
       
       // ENHANCED VALIDATION: Ensure no NaN values are sent to RTDB/Konva
@@ -936,6 +1305,8 @@ export class ResizeTool {
       resizeSelectedId,
       resizeStartData,
       localRectUpdates,
+      canvasObjects = [],
+      canEditObject,
       doWeOwnObject,
       setIsResizing,
       setResizeHandle,
@@ -943,6 +1314,40 @@ export class ResizeTool {
       setLocalRectUpdates
     } = state
 
+    this.snapIndex = null
+    this.setSnapGuides(state, [])
+
+    if (this.groupInteraction) {
+      const interaction = this.groupInteraction
+      this.groupInteraction = null
+      try {
+        await interaction.end(recordAction)
+        console.log('✅ Group resize saved')
+      } catch (error) {
+        console.error('Failed to save group resize:', error)
+      } finally {
+        setIsResizing(false)
+        setResizeHandle(null)
+        setLocalRectUpdates({})
+      }
+      return
+    }
+
+    if (this.cornerRadiusDrag) {
+      await this.finishCornerRadiusDrag(state, helpers)
+      return
+    }
+
+    if (this.gradientDrag) {
+      await this.finishGradientDrag(state, helpers)
+      return
+    }
+
+    if (this.tableDividerDrag) {
+      await this.finishTableDividerDrag(state, helpers)
+      return
+    }
+
     if (isResizing && resizeSelectedId && localRectUpdates[resizeSelectedId] && doWeOwnObject(resizeSelectedId)) {
       const finalObject = localRectUpdates[resizeSelectedId]
       try {
@@ -961,30 +1366,89 @@ export class ResizeTool {
           updateData.width = finalObject.width
           updateData.height = finalObject.height
         } else if (finalObject.type === 'circle') {
-          updateData.radius = finalObject.radius
+          const { radiusX, radiusY } = getEllipseRadii(finalObject)
+          Object.assign(updateData, toEllipseRadiusFields(radiusX, radiusY))
         } else if (finalObject.type === 'star') {
           updateData.innerRadius = finalObject.innerRadius
           updateData.outerRadius = finalObject.outerRadius
+        } else if (finalObject.type === 'polygon') {
+          updateData.radius = finalObject.radius
         } else if (finalObject.type === 'text') {
           updateData.width = finalObject.width
-          // Height is not stored - it's calculated dynamically based on wrapped content
+          updateData.sizing = finalObject.sizing
+          // Height is only stored for fixed-size boxes; auto-sized text is measured
+          if (finalObject.sizing === 'fixed') updateData.height = finalObject.height
+        } else if (finalObject.type === 'path') {
+          updateData.width = finalObject.width
+          updateData.height = finalObject.height
+          Object.assign(updateData, getPathGeometryFields(finalObject))
+        } else if (finalObject.type === 'image') {
+          updateData.width = finalObject.width
+          updateData.height = finalObject.height
+          updateData.crop = finalObject.crop || null
+        } else if (finalObject.type === 'frame' || finalObject.type === 'sticky') {
+          updateData.width = finalObject.width
+          updateData.height = finalObject.height
+        } else if (finalObject.type === 'table') {
+          updateData.width = finalObject.width
+          updateData.height = finalObject.height
+          updateData.columnWidths = finalObject.columnWidths
+          updateData.rowHeights = finalObject.rowHeights
+        } else if (finalObject.type === 'line') {
+          updateData.points = finalObject.points
+          updateData.rotation = finalObject.rotation || 0
+          updateData.startBinding = finalObject.startBinding || null
+          updateData.endBinding = finalObject.endBinding || null
         }
 
         // Final Firestore update WITHOUT unlock (false = keep locked for continued editing)
         await updateObjectPosition(resizeSelectedId, updateData, false) // false = keep locked since object is still selected
 
+        // Refresh the stored geometry of connectors attached to the resized shape
+        const rerouteEntries = finalObject.type === 'line'
+          ? []
+          : getConnectorRerouteEntries(canvasObjects, { [resizeSelectedId]: finalObject })
+            .filter(entry => !canEditObject || canEditObject(entry.id))
+        if (rerouteEntries.length > 0) {
+          await batchUpdateObjects(rerouteEntries)
+        }
+
         // Record resize action for undo/redo
         if (recordAction && resizeStartData) {
           const beforeState = { ...resizeStartData.object }
           const afterState = { ...finalObject }
           
-          recordAction(
-            ACTION_TYPES.RESIZE_OBJECT,
-            resizeSelectedId,
-            beforeState,
-            afterState,
-            { objectType: finalObject.type || 'Object' }
-          )
+          if (rerouteEntries.length > 0) {
+            // Resize and connector reroutes undo as one step
+            const objectType = finalObject.type || 'Object'
+            recordAction(
+              ACTION_TYPES.BATCH,
+              [resizeSelectedId, ...rerouteEntries.map(entry => entry.id)],
+              null,
+              null,
+              {
+                objectType,
+                description: `Resize ${objectType.charAt(0).toUpperCase() + objectType.slice(1)}`,
+                actions: [
+                  { type: ACTION_TYPES.RESIZE_OBJECT, objectId: resizeSelectedId, before: beforeState, after: afterState },
+                  ...rerouteEntries.map(entry => ({
+                    type: ACTION_TYPES.UPDATE_PROPERTIES,
+                    objectId: entry.id,
+                    before: entry.before,
+                    after: entry.updates
+                  }))
+                ]
+              }
+            )
+          } else {
+            recordAction(
+              ACTION_TYPES.RESIZE_OBJECT,
+              resizeSelectedId,
+              beforeState,
+              afterState,
+              { objectType: finalObject.type || 'Object' }
+            )
+          }
         }
 
         console.log('Resize: Object resize synced, staying selected')
@@ -999,6 +1463,7 @@ export class ResizeTool {
     }
 
     // Reset resize states but keep object selected for consecutive resizes
+    state.setHoveredAnchor?.(null)
     setIsResizing(false)
     setResizeHandle(null)
     setResizeStartData(null)
@@ -1020,6 +1485,121 @@ export class ResizeTool {
     console.log('✅ RESIZE OPERATION COMPLETE - Tool ready for next operation')
   }
 
+  /**
+   * Save the corner radius set by a radius handle drag (one undoable property change)
+   */
+  async finishCornerRadiusDrag(state, helpers) {
+    const { canvasId, recordAction } = helpers
+    const { localRectUpdates, doWeOwnObject, setIsResizing, setLocalRectUpdates } = state
+    const { object } = this.cornerRadiusDrag
+    const cornerRadius = localRectUpdates[object.id]?.cornerRadius
+    this.cornerRadiusDrag = null
+
+    try {
+      if (doWeOwnObject(object.id)) {
+        await clearActiveObject(canvasId, object.id)
+      }
+      if (cornerRadius !== undefined && JSON.stringify(cornerRadius) !== JSON.stringify(object.cornerRadius)) {
+        await updateObject(object.id, { cornerRadius }, recordAction, {
+          actionType: ACTION_TYPES.UPDATE_PROPERTIES,
+          before: { cornerRadius: object.cornerRadius ?? null },
+          objectType: 'rectangle'
+        })
+        console.log('✅ Corner radius saved:', cornerRadius)
+      }
+    } catch (error) {
+      console.error('Failed to save corner radius:', error)
+    } finally {
+      setIsResizing(false)
+      setLocalRectUpdates(prev => {
+        const updated = { ...prev }
+        delete updated[object.id]
+        return updated
+      })
+    }
+  }
+
+  /**
+   * Save the gradient set by a gradient handle drag (one undoable property change)
+   */
+  async finishGradientDrag(state, helpers) {
+    const { canvasId, recordAction } = helpers
+    const { localRectUpdates, doWeOwnObject, setIsResizing, setLocalRectUpdates } = state
+    const { object } = this.gradientDrag
+    const fill = localRectUpdates[object.id]?.fill
+    this.gradientDrag = null
+
+    try {
+      if (doWeOwnObject(object.id)) {
+        await clearActiveObject(canvasId, object.id)
+      }
+      if (fill !== undefined && JSON.stringify(fill) !== JSON.stringify(object.fill)) {
+        await updateObject(object.id, { fill }, recordAction, {
+          actionType: ACTION_TYPES.UPDATE_PROPERTIES,
+          before: { fill: object.fill },
+          objectType: object.type
+        })
+        console.log('✅ Gradient saved:', fill)
+      }
+    } catch (error) {
+      console.error('Failed to save gradient:', error)
+    } finally {
+      setIsResizing(false)
+      setLocalRectUpdates(prev => {
+        const updated = { ...prev }
+        delete updated[object.id]
+        return updated
+      })
+    }
+  }
+
+  /**
+   * Save the column/row size set by a table grid line drag (one undoable resize)
+   */
+  async finishTableDividerDrag(state, helpers) {
+    const { canvasId, recordAction } = helpers
+    const { localRectUpdates, doWeOwnObject, setIsResizing, setLocalRectUpdates } = state
+    const { object } = this.tableDividerDrag
+    const finalObject = localRectUpdates[object.id]
+    this.tableDividerDrag = null
+
+    try {
+      if (doWeOwnObject(object.id)) {
+        await clearActiveObject(canvasId, object.id)
+      }
+      if (finalObject && (finalObject.width !== object.width || finalObject.height !== object.height)) {
+        await updateObjectPosition(object.id, {
+          x: finalObject.x,
+          y: finalObject.y,
+          width: finalObject.width,
+          height: finalObject.height,
+          columnWidths: finalObject.columnWidths,
+          rowHeights: finalObject.rowHeights
+        }, false)
+
+        if (recordAction) {
+          recordAction(
+            ACTION_TYPES.RESIZE_OBJECT,
+            object.id,
+            { ...object },
+            { ...finalObject },
+            { objectType: 'table' }
+          )
+        }
+        console.log('✅ Table grid line saved')
+      }
+    } catch (error) {
+      console.error('Failed to save table grid line:', error)
+    } finally {
+      setIsResizing(false)
+      setLocalRectUpdates(prev => {
+        const updated = { ...prev }
+        delete updated[object.id]
+        return updated
+      })
+    }
+  }
+
   /**
    * Get cursor style for this tool
    */
@@ -769,6 +769,23 @@ describe('ResizeTool', () => {
       const callArgs = updateActiveObjectPosition.mock.calls[0][2];
       expect(callArgs.height).toBeUndefined();
     });
+
+    it('should resize fixed-size text boxes in both directions and send their height', () => {
+      const fixedText = { ...testText, sizing: 'fixed', height: 100 };
+      mockState.resizeStartData = { object: fixedText, startPos: { x: 900, y: 800 } };
+      mockHelpers.pos = { x: 950, y: 860 };
+
+      tool.onMouseMove({}, mockState, mockHelpers);
+
+      const updateCall = mockState.setLocalRectUpdates.mock.calls[0][0];
+      const updatedText = updateCall(mockState.localRectUpdates)['text-1'];
+      expect(updatedText).toMatchObject({ width: 250, height: 160, sizing: 'fixed' });
+      expect(updateActiveObjectPosition).toHaveBeenCalledWith(
+        'test-canvas',
+        'text-1',
+        expect.objectContaining({ width: 250, height: 160, sizing: 'fixed' })
+      );
+    });
   });
 
   describe('onMouseUp - Finalize Resize', () => {
@@ -887,6 +904,18 @@ describe('ResizeTool', () => {
       expect(callArgs.width).toBe(300);
       expect(callArgs.height).toBeUndefined();
     });
+
+    it('should sync the height of fixed-size text boxes', async () => {
+      mockState.resizeSelectedId = 'text-1';
+      mockState.localRectUpdates = {
+        'text-1': { ...testText, sizing: 'fixed', width: 300, height: 120 },
+      };
+
+      await tool.onMouseUp({}, mockState, mockHelpers);
+
+      const callArgs = updateObjectPosition.mock.calls[0][1];
+      expect(callArgs).toMatchObject({ width: 300, height: 120, sizing: 'fixed' });
+    });
   });
 
   describe('Edge Cases', () => {
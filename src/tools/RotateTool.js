@@ -5,6 +5,9 @@ import {
   updateActiveObjectPosition 
 } from '../services/canvas.service.js';
 import { ACTION_TYPES } from '../hooks/useHistory.js';
+import { getSelectedGroup, getGroupMembers } from '../utils/groupUtils.js';
+import { GroupTransformInteraction } from './GroupTransformInteraction.js';
+import { isSnapSuspended } from '../utils/snapping.js';
 
 /**
  * RotateTool - Handles object rotation via visual rotation handle
@@ -12,14 +15,17 @@ import { ACTION_TYPES } from '../hooks/useHistory.js';
  * Interaction Model:
  * - Shows a circular rotation handle above the selected object
  * - User drags the handle to rotate the object around its center
- * - Shift key snaps rotation to 15° increments
- * - Works with all shape types (rectangles, circles, stars)
+ * - Shift key snaps rotation to 15° increments, as does grid snapping (unless
+ *   Ctrl/Cmd is held)
+ * - Works with all shape types (rectangles, circles, stars, polygons, lines, paths)
+ * - Groups rotate as a unit around the center of their bounding box
  */
 export class RotateTool {
   constructor() {
     this.ROTATION_HANDLE_OFFSET = 30 // Distance above object
     this.ROTATION_HANDLE_RADIUS = 12 // Radius of rotation handle circle
     this.SNAP_ANGLE = 15 // Snap increment when Shift is pressed (degrees)
+    this.groupInteraction = null
   }
 
   /**
@@ -37,6 +43,22 @@ export class RotateTool {
       setRotateStartData
     } = state;
 
+    // Check if clicking on rotation handle of the selected group
+    const selectedIds = state.multiSelection?.selectionInfo?.selectedIds || [];
+    const selectedGroup = getSelectedGroup(selectedIds, canvasObjects);
+    if (selectedGroup && this.isPointOnGroupRotationHandle(pos, selectedGroup.bounds)) {
+      console.log('🔄 Group rotation handle clicked, starting rotation:', selectedGroup.groupId);
+
+      this.groupInteraction = new GroupTransformInteraction(
+        selectedGroup,
+        pos,
+        (updates) => state.setLocalRectUpdates(updates),
+        { mode: 'rotate', canvasId }
+      );
+      setIsRotating(true);
+      return;
+    }
+
     // Check if clicking on rotation handle of currently selected object
     if (selectedObjectId) {
       const selectedObj = canvasObjects.find(o => o.id === selectedObjectId);
@@ -76,6 +98,18 @@ export class RotateTool {
 
     // If not clicking on rotation handle, check if clicking on an object
     const clickedObject = state.findObjectAt(pos);
+
+    // Clicking a grouped object selects the whole group
+    if (clickedObject?.groupId && state.multiSelection) {
+      const memberIds = getGroupMembers(clickedObject.groupId, canvasObjects).map(member => member.id);
+      if (memberIds.every(id => canEditObject(id))) {
+        console.log('🔄 Group selected for rotation:', clickedObject.groupId);
+        await state.multiSelection.selectMultiple(memberIds);
+        setSelectedObjectId(null);
+        setRotateSelectedId(null);
+      }
+      return;
+    }
     
     if (clickedObject && canEditObject(clickedObject.id)) {
       console.log('🔄 Object selected for rotation:', clickedObject.id);
@@ -149,6 +183,11 @@ export class RotateTool {
       setLocalRectUpdates
     } = state;
 
+    if (this.groupInteraction) {
+      this.groupInteraction.update(pos, { shiftKey: this.isAngleSnapped(e, state) });
+      return;
+    }
+
     if (!isRotating || !rotateStartData) return;
 
     const { object: startObject, initialRotation } = rotateStartData;
@@ -167,8 +206,8 @@ export class RotateTool {
     // Calculate new rotation
     let newRotation = initialRotation + deltaAngle;
     
-    // Snap to 15° increments if Shift key is pressed
-    if (e.evt.shiftKey) {
+    // Snap to 15° increments if Shift key is pressed or the grid snaps
+    if (this.isAngleSnapped(e, state)) {
       newRotation = Math.round(newRotation / this.SNAP_ANGLE) * this.SNAP_ANGLE;
     }
     
@@ -225,11 +264,13 @@ export class RotateTool {
       };
       
       // CRITICAL FIX: Include shape-specific properties for proper resize tool operation
-      if (startObject.type === 'rectangle') {
+      if (startObject.type === 'rectangle' || startObject.type === 'path' || startObject.type === 'image' || startObject.type === 'frame' || startObject.type === 'sticky' || startObject.type === 'table') {
         if (isFinite(startObject.width)) rtdbData.width = startObject.width;
         if (isFinite(startObject.height)) rtdbData.height = startObject.height;
-      } else if (startObject.type === 'circle') {
+      } else if (startObject.type === 'circle' || startObject.type === 'polygon') {
         if (isFinite(startObject.radius)) rtdbData.radius = startObject.radius;
+        if (isFinite(startObject.radiusX)) rtdbData.radiusX = startObject.radiusX;
+        if (isFinite(startObject.radiusY)) rtdbData.radiusY = startObject.radiusY;
       } else if (startObject.type === 'star') {
         if (isFinite(startObject.innerRadius)) rtdbData.innerRadius = startObject.innerRadius;
         if (isFinite(startObject.outerRadius)) rtdbData.outerRadius = startObject.outerRadius;
@@ -256,6 +297,21 @@ export class RotateTool {
       setLocalRectUpdates
     } = state;
 
+    if (this.groupInteraction) {
+      const interaction = this.groupInteraction;
+      this.groupInteraction = null;
+      try {
+        await interaction.end(recordAction);
+        console.log('✅ Group rotation saved');
+      } catch (error) {
+        console.error('Failed to save group rotation:', error);
+      } finally {
+        setIsRotating(false);
+        setLocalRectUpdates({});
+      }
+      return;
+    }
+
     if (isRotating && rotateSelectedId && rotateStartData) {
       console.log('🔄 Finalizing rotation');
       
@@ -307,6 +363,14 @@ export class RotateTool {
     }
   }
 
+  /**
+   * Check if rotation snaps to SNAP_ANGLE steps: while Shift is held, or while
+   * grid snapping is on and Ctrl/Cmd isn't held
+   */
+  isAngleSnapped(e, state) {
+    return !!e.evt?.shiftKey || (!!state.gridSnapStep && !isSnapSuspended(e.evt));
+  }
+
   /**
    * Calculate the position of the rotation handle for a given object
    */
@@ -321,6 +385,29 @@ export class RotateTool {
     };
   }
 
+  /**
+   * Calculate the position of the rotation handle for a group's bounding box
+   */
+  getGroupRotationHandlePosition(bounds) {
+    return {
+      x: bounds.x + bounds.width / 2,
+      y: bounds.y - this.ROTATION_HANDLE_OFFSET
+    };
+  }
+
+  /**
+   * Check if a point is near a group's rotation handle
+   */
+  isPointOnGroupRotationHandle(point, bounds) {
+    const handlePos = this.getGroupRotationHandlePosition(bounds);
+    const distance = Math.sqrt(
+      Math.pow(point.x - handlePos.x, 2) + 
+      Math.pow(point.y - handlePos.y, 2)
+    );
+
+    return distance <= this.ROTATION_HANDLE_RADIUS;
+  }
+
   /**
    * Calculate angle in degrees from object center to mouse position
    */
@@ -386,6 +386,19 @@ describe('RotateTool', () => {
       expect(updatedObj['rect-1'].rotation % 15).toBe(0);
     });
 
+    it('should snap to 15° increments while grid snapping is on, unless Ctrl is held', () => {
+      // Drag to about 53°
+      mockHelpers.pos = { x: 480, y: 240 };
+      mockState.gridSnapStep = 10;
+
+      tool.onMouseMove({ evt: { shiftKey: false } }, mockState, mockHelpers);
+      tool.onMouseMove({ evt: { shiftKey: false, ctrlKey: true } }, mockState, mockHelpers);
+
+      const [snapped, free] = mockState.setLocalRectUpdates.mock.calls.map(([update]) => update({})['rect-1'].rotation);
+      expect(snapped).toBe(60);
+      expect(free).toBeCloseTo(53.13, 1);
+    });
+
     it('should handle full 360° rotation', () => {
       // Start at 350° and rotate to 10°
       mockState.rotateStartData.initialRotation = 350;
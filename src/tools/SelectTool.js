@@ -1,4 +1,9 @@
 import { lockObject, unlockObject } from '../services/canvas.service.js'
+import { expandToGroups } from '../utils/groupUtils.js'
+import { getLineEndpoints, getLineLength } from '../utils/lineGeometry.js'
+import { getTextOffsetAt } from '../utils/richText.js'
+import { getObjectBounds as getRotatedBounds } from '../utils/objectBounds.js'
+import { getTableCellAt } from '../utils/tableUtils.js'
 
 /**
  * SelectTool - Enhanced object selection tool with multi-selection support
@@ -7,7 +12,8 @@ import { lockObject, unlockObject } from '../services/canvas.service.js'
  * - Single click: Select object (deselects others)
  * - Shift+click: Add/remove object from selection
  * - Drag empty space: Create selection rectangle
- * - Double-click text: Edit mode
+ * - Double-click text: Edit mode (inline, caret at the click)
+ * - Double-click a table cell: Edit the cell inline
  * - Click empty space or Escape: Clear selection
  * 
  * Multi-selection features:
@@ -15,6 +21,7 @@ import { lockObject, unlockObject } from '../services/canvas.service.js'
  * - Respects ownership (cannot select locked objects)
  * - Visual feedback with purple borders for multi-select
  * - Batch operations (delete, move group)
+ * - Grouped objects (shared groupId) are always selected together
  */
 export class SelectTool {
   constructor() {
@@ -60,15 +67,29 @@ export class SelectTool {
     // Check if user clicked on an object
     const clickedObject = findObjectAt(pos)
 
-    // Detect double-click on text objects
+    // Detect double-click on text objects, sticky notes and tables
     const now = Date.now()
     const isDoubleClick = 
       clickedObject && 
       clickedObject.id === this.lastClickedObjectId && 
       (now - this.lastClickTime) < this.DOUBLE_CLICK_THRESHOLD
 
-    if (isDoubleClick && clickedObject?.type === 'text' && canEditObject(clickedObject.id)) {
-      console.log('🖱️ Double-click detected on text object:', clickedObject.id)
+    // Double-clicking a table cell opens the inline cell editor
+    const tableCell = clickedObject?.type === 'table' ? getTableCellAt(clickedObject, pos) : null
+    if (isDoubleClick && tableCell && canEditObject(clickedObject.id)) {
+      if (!multiSelection.selectionInfo.has(clickedObject.id)) {
+        await multiSelection.selectSingle(clickedObject.id)
+      }
+      state.setTableCellEdit?.({ tableId: clickedObject.id, ...tableCell })
+
+      this.lastClickTime = 0
+      this.lastClickedObjectId = null
+      return
+    }
+
+    const isWritable = clickedObject?.type === 'text' || clickedObject?.type === 'sticky'
+    if (isDoubleClick && isWritable && canEditObject(clickedObject.id)) {
+      console.log(`🖱️ Double-click detected on ${clickedObject.type} object:`, clickedObject.id)
       
       // Ensure object is selected for text editing
       if (!multiSelection.selectionInfo.has(clickedObject.id)) {
@@ -80,7 +101,9 @@ export class SelectTool {
       setIsEditingText(true)
       setTextEditData({
         object: clickedObject,
-        originalText: clickedObject.text || ''
+        originalText: clickedObject.text || '',
+        // Text is edited in place, so the caret goes where the user clicked
+        ...(clickedObject.type === 'text' && { caretOffset: getTextOffsetAt(clickedObject, pos) })
       })
       
       // Reset double-click tracking
@@ -118,7 +141,13 @@ export class SelectTool {
       return
     }
 
-    // Case 2a: Shift+click - toggle selection
+    // Case 2a: Grouped object - select the whole group as a unit
+    if (clickedObject.groupId) {
+      await this.selectGroup(clickedObject, state)
+      return
+    }
+
+    // Case 2b: Shift+click - toggle selection
     if (this.isShiftPressed) {
       await multiSelection.toggleSelection(objectId)
       
@@ -128,13 +157,13 @@ export class SelectTool {
       return
     }
 
-    // Case 2b: Click already selected object - keep selected (for move preparation)
+    // Case 2c: Click already selected object - keep selected (for move preparation)
     if (isSelected && multiSelection.selectionInfo.isSingle) {
       console.log('Select tool: Object already selected, maintaining selection')
       return
     }
 
-    // Case 2c: Single click - replace selection
+    // Case 2d: Single click - replace selection
     try {
       await multiSelection.selectSingle(objectId)
       setSelectedObjectId(objectId)
@@ -167,15 +196,19 @@ export class SelectTool {
       }
 
       if (this.isDragging) {
-        // Find objects within selection rectangle
+        // Find objects within selection rectangle, pulling in whole groups
         const objectsInRect = this.getObjectsInSelectionRect(
           this.dragStartPos, 
           pos, 
           canvasObjects
         )
+        const groupedIds = expandToGroups(objectsInRect.map(obj => obj.id), canvasObjects)
+        const objectsInGroups = groupedIds.length > objectsInRect.length
+          ? canvasObjects.filter(obj => groupedIds.includes(obj.id))
+          : objectsInRect
         
         // Update drag selection with current mouse position and objects
-        multiSelection.updateDragSelection(pos, objectsInRect)
+        multiSelection.updateDragSelection(pos, objectsInGroups)
       }
     }
   }
@@ -207,6 +240,40 @@ export class SelectTool {
     this.shouldClearSelectionOnMouseUp = false
   }
 
+  /**
+   * Select every member of the clicked object's group
+   * Shift+click adds/removes the whole group from the current selection.
+   */
+  async selectGroup(clickedObject, state) {
+    const { multiSelection, canvasObjects, setSelectedObjectId } = state
+    const memberIds = expandToGroups([clickedObject.id], canvasObjects)
+    const selectedIds = multiSelection.selectionInfo.selectedIds
+    const isGroupSelected = memberIds.every(id => multiSelection.selectionInfo.has(id))
+
+    if (this.isShiftPressed) {
+      const nextIds = isGroupSelected
+        ? selectedIds.filter(id => !memberIds.includes(id))
+        : [...new Set([...selectedIds, ...memberIds])]
+
+      if (nextIds.length === 0) {
+        await multiSelection.clearSelection()
+      } else {
+        await multiSelection.selectMultiple(nextIds)
+      }
+      setSelectedObjectId(nextIds.length === 1 ? nextIds[0] : null)
+      return
+    }
+
+    if (isGroupSelected && selectedIds.length === memberIds.length) {
+      console.log('Select tool: Group already selected, maintaining selection')
+      return
+    }
+
+    await multiSelection.selectMultiple(memberIds)
+    setSelectedObjectId(memberIds.length === 1 ? memberIds[0] : null)
+    console.log('Select tool: Selected group', clickedObject.groupId, `(${memberIds.length} objects)`)
+  }
+
   /**
    * Get objects that are completely contained within selection rectangle
    * Uses "contains" rule - objects must be fully inside the rectangle
@@ -269,9 +336,24 @@ export class SelectTool {
       case 'star':
         maxSize = (obj.outerRadius || obj.radius || 50) * 2
         break
+      case 'polygon':
+        maxSize = (obj.radius || 50) * 2
+        break
       case 'text':
         maxSize = Math.max((obj.fontSize || 24) * ((obj.text || '').length * 0.6), obj.fontSize || 24)
         break
+      case 'line':
+        // x/y is the start point, so the line can reach a full length away in any direction
+        maxSize = getLineLength(obj) * 2
+        break
+      case 'path':
+      case 'image':
+      case 'frame':
+      case 'sticky':
+      case 'table':
+        // x/y is the top-left of a box that may be rotated around its center
+        maxSize = Math.hypot(obj.width || 0, obj.height || 0) * 2
+        break
       default:
         maxSize = Math.max(obj.width || 50, obj.height || 50)
     }
@@ -304,13 +386,6 @@ export class SelectTool {
         bottom = obj.y + obj.height
         break
       
-      case 'circle':
-        left = obj.x - obj.radius
-        right = obj.x + obj.radius
-        top = obj.y - obj.radius
-        bottom = obj.y + obj.radius
-        break
-      
       case 'star':
         const outerRadius = obj.outerRadius || obj.radius || 50
         left = obj.x - outerRadius
@@ -331,6 +406,30 @@ export class SelectTool {
         bottom = obj.y + textHeight
         break
       
+      case 'line': {
+        const { start, end } = getLineEndpoints(obj)
+        left = Math.min(start.x, end.x)
+        right = Math.max(start.x, end.x)
+        top = Math.min(start.y, end.y)
+        bottom = Math.max(start.y, end.y)
+        break
+      }
+      
+      case 'circle':
+      case 'polygon':
+      case 'path':
+      case 'image':
+      case 'frame':
+      case 'sticky':
+      case 'table': {
+        const box = getRotatedBounds(obj)
+        left = box.x
+        right = box.x + box.width
+        top = box.y
+        bottom = box.y + box.height
+        break
+      }
+      
       default:
         // Fallback for unknown object types
         left = obj.x || 0
@@ -216,6 +216,7 @@ describe('SelectTool', () => {
       expect(mockState.setTextEditData).toHaveBeenCalledWith({
         object: mockObjects.text,
         originalText: 'Hello World',
+        caretOffset: expect.any(Number),
       });
       expect(mockState.setTextSelectedId).toHaveBeenCalledWith('text-1');
     });
@@ -11,7 +11,9 @@ export class StarTool {
    * Handle mouse down - start creating star
    */
   onMouseDown(e, state, helpers) {
-    const { pos, canvasId } = helpers;
+    const { canvasId } = helpers;
+    // The center and the dragged edge land on the layout grid while grid snapping is on
+    const pos = state.snapToGrid?.(helpers.pos, e?.evt) ?? helpers.pos;
     const { 
       isDrawing,
       setIsDrawing, 
@@ -36,7 +38,7 @@ export class StarTool {
    * Handle mouse move - update star radius preview
    */
   onMouseMove(e, state, helpers) {
-    const { pos } = helpers;
+    const pos = state.snapToGrid?.(helpers.pos, e?.evt) ?? helpers.pos;
     const {
       isDrawing,
       drawStart,
@@ -78,6 +80,7 @@ export class StarTool {
       currentStar,
       isOnline,
       selectedColor,
+      findParentFrameId,
       setIsDrawing,
       setDrawStart,
       setCurrentStar,
@@ -112,6 +115,9 @@ export class StarTool {
       
       console.log('Creating star:', finalStar);
 
+      // Stars drawn inside a frame belong to it
+      const frameId = findParentFrameId?.({ type: 'star', ...finalStar });
+
       // Create star object with selected color
       const starId = await createObject('star', {
         x: finalStar.x,
@@ -120,7 +126,8 @@ export class StarTool {
         numPoints: finalStar.numPoints,
         innerRadius: finalStar.innerRadius,
         outerRadius: finalStar.outerRadius,
-        fill: selectedColor || '#808080'
+        fill: selectedColor || '#808080',
+        ...(frameId && { frameId })
       });
 
       // Record creation action for undo/redo
@@ -133,7 +140,8 @@ export class StarTool {
           numPoints: finalStar.numPoints,
           innerRadius: finalStar.innerRadius,
           outerRadius: finalStar.outerRadius,
-          fill: selectedColor || '#808080'
+          fill: selectedColor || '#808080',
+          ...(frameId && { frameId })
         };
         
         recordAction(
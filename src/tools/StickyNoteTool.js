@@ -0,0 +1,126 @@
+import { createObject, lockObject } from '../services/canvas.service.js';
+import { ACTION_TYPES } from '../hooks/useHistory.js';
+import { FUTURE_SHAPE_DEFAULTS } from '../constants/canvas.constants.js';
+import { getStickyNoteHeight } from '../utils/stickyNote.js';
+
+/**
+ * StickyNoteTool - Handles sticky note creation and editing
+ *
+ * Interaction Model:
+ * - Click on the canvas to write a new note centered on the click
+ * - Click on an existing note to edit its text
+ * - Text is written in the shared TextEditor dialog; the note's height grows
+ *   with the wrapped text
+ * - New notes use the last palette color picked in the toolbar
+ */
+export class StickyNoteTool {
+  /**
+   * Handle mouse down - Start writing a new note or edit an existing one
+   */
+  async onMouseDown(e, state, helpers) {
+    const { pos } = helpers;
+    const {
+      findObjectAt,
+      canEditObject,
+      setSelectedObjectId,
+      setIsEditingText,
+      setTextEditData
+    } = state;
+
+    const clicked = findObjectAt?.(pos);
+
+    if (clicked?.type === 'sticky') {
+      if (!canEditObject(clicked.id)) return;
+
+      try {
+        await lockObject(clicked.id);
+      } catch (error) {
+        console.error('Failed to lock sticky note:', error);
+        return;
+      }
+
+      setSelectedObjectId(clicked.id);
+      setIsEditingText(true);
+      setTextEditData({
+        object: clicked,
+        originalText: clicked.text || ''
+      });
+      return;
+    }
+
+    // Start editing mode for a new note
+    setIsEditingText(true);
+    setTextEditData({
+      newStickyPosition: pos,
+      originalText: ''
+    });
+  }
+
+  /**
+   * Handle mouse move - No action needed for sticky notes
+   */
+  onMouseMove() {}
+
+  /**
+   * Handle mouse up - No action needed, notes are created from the text editor
+   */
+  async onMouseUp() {}
+
+  /**
+   * Create a sticky note after the user finishes writing it
+   * @param {string} canvasId - Canvas ID
+   * @param {Object} center - Canvas position to center the note on { x, y }
+   * @param {string} text - Note text
+   * @param {Object} formatting - TextEditor formatting (its fill is the text color)
+   * @param {Object} options - { color, findParentFrameId, clampRectToCanvas, recordAction }; color is used if it's a palette color
+   * @returns {Promise<string>} Document ID of the created note
+   */
+  async createStickyNote(canvasId, center, text, formatting = {}, options = {}) {
+    const defaults = FUTURE_SHAPE_DEFAULTS.sticky;
+    const { color, findParentFrameId, clampRectToCanvas = (box) => box, recordAction = null } = options;
+
+    const properties = {
+      text,
+      fontSize: formatting.fontSize || defaults.fontSize,
+      fontFamily: formatting.fontFamily || defaults.fontFamily,
+      textColor: formatting.fill || defaults.textColor,
+      fill: defaults.palette.includes(color) ? color : defaults.fill,
+      rotation: 0
+    };
+    const height = getStickyNoteHeight({ ...properties, width: defaults.width });
+    const box = clampRectToCanvas({
+      x: center.x - defaults.width / 2,
+      y: center.y - height / 2,
+      width: defaults.width,
+      height
+    });
+
+    // Notes placed inside a frame belong to it
+    const frameId = findParentFrameId?.({ type: 'sticky', ...box });
+    if (frameId) properties.frameId = frameId;
+
+    const noteId = await createObject('sticky', box, canvasId, properties);
+
+    // Record creation action for undo/redo
+    if (recordAction && noteId) {
+      recordAction(
+        ACTION_TYPES.CREATE_OBJECT,
+        noteId,
+        null, // No before state for creation
+        { id: noteId, type: 'sticky', ...box, ...properties },
+        { objectType: 'Sticky Note' }
+      );
+    }
+
+    return noteId;
+  }
+
+  /**
+   * Get cursor style for this tool
+   */
+  getCursor() {
+    return 'crosshair';
+  }
+}
+
+export default StickyNoteTool;
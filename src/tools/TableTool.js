@@ -0,0 +1,144 @@
+import { createObject, lockObject, unlockObject } from '../services/canvas.service.js';
+import { ACTION_TYPES } from '../hooks/useHistory.js';
+import { FUTURE_SHAPE_DEFAULTS } from '../constants/canvas.constants.js';
+import { createTableGrid, getTableCellAt } from '../utils/tableUtils.js';
+
+/**
+ * TableTool - Handles table creation and cell editing
+ *
+ * Interaction Model:
+ * - Click on the canvas to place a new table (default size) with its top-left at the click
+ * - Click on a cell of an existing table to edit that cell
+ * - Cells are written in the inline cell editor on top of the canvas, not the
+ *   TextEditor dialog; Tab moves to the next cell
+ */
+export class TableTool {
+  /**
+   * Handle mouse down - Place a new table or edit a cell of an existing one
+   */
+  async onMouseDown(e, state, helpers) {
+    const { pos, canvasId, recordAction } = helpers;
+    const {
+      findObjectAt,
+      canEditObject,
+      selectedObjectId,
+      setSelectedObjectId,
+      setTableCellEdit
+    } = state;
+
+    const clicked = findObjectAt?.(pos);
+
+    if (clicked?.type === 'table') {
+      const cell = getTableCellAt(clicked, pos);
+      if (!cell || !canEditObject(clicked.id)) return;
+
+      const selected = await this.selectTable(clicked.id, selectedObjectId, setSelectedObjectId);
+      if (selected) {
+        setTableCellEdit({ tableId: clicked.id, ...cell });
+      }
+      return;
+    }
+
+    try {
+      const tableId = await this.createTable(canvasId, pos, {}, {
+        findParentFrameId: state.findParentFrameId,
+        clampRectToCanvas: state.clampRectToCanvas,
+        recordAction
+      });
+
+      // Start typing in the first cell of the new table
+      if (tableId && await this.selectTable(tableId, selectedObjectId, setSelectedObjectId)) {
+        setTableCellEdit({ tableId, row: 0, column: 0 });
+      }
+    } catch (error) {
+      console.error('Failed to create table:', error);
+    }
+  }
+
+  /**
+   * Handle mouse move - No action needed for tables
+   */
+  onMouseMove() {}
+
+  /**
+   * Handle mouse up - No action needed, tables are placed on mouse down
+   */
+  async onMouseUp() {}
+
+  /**
+   * Lock and select a table for cell editing, releasing the previous selection
+   * @returns {Promise<boolean>} Whether the table could be locked
+   */
+  async selectTable(tableId, selectedObjectId, setSelectedObjectId) {
+    if (selectedObjectId === tableId) return true;
+
+    try {
+      if (selectedObjectId) {
+        await unlockObject(selectedObjectId);
+      }
+      await lockObject(tableId);
+    } catch (error) {
+      console.error('Failed to lock table:', error);
+      return false;
+    }
+
+    setSelectedObjectId(tableId);
+    return true;
+  }
+
+  /**
+   * Create a table
+   * @param {string} canvasId - Canvas ID
+   * @param {Object} position - Canvas position of the top-left corner { x, y }
+   * @param {Object} grid - createTableGrid options { rows, columns, columnWidth, rowHeight, cells }
+   * @param {Object} options - { findParentFrameId, clampRectToCanvas, recordAction }
+   * @returns {Promise<string>} Document ID of the created table
+   */
+  async createTable(canvasId, position, grid = {}, options = {}) {
+    const defaults = FUTURE_SHAPE_DEFAULTS.table;
+    const { findParentFrameId, clampRectToCanvas = (box) => box, recordAction = null } = options;
+    const { width, height, ...gridFields } = createTableGrid(grid);
+
+    const box = clampRectToCanvas({ x: position.x, y: position.y, width, height });
+    const properties = {
+      ...gridFields,
+      headerRow: defaults.headerRow,
+      fill: defaults.fill,
+      headerFill: defaults.headerFill,
+      stroke: defaults.stroke,
+      strokeWidth: defaults.strokeWidth,
+      textColor: defaults.textColor,
+      fontSize: defaults.fontSize,
+      fontFamily: defaults.fontFamily,
+      rotation: 0
+    };
+
+    // Tables placed inside a frame belong to it
+    const frameId = findParentFrameId?.({ type: 'table', ...box });
+    if (frameId) properties.frameId = frameId;
+
+    const tableId = await createObject('table', box, canvasId, properties);
+
+    // Record creation action for undo/redo
+    if (recordAction && tableId) {
+      recordAction(
+        ACTION_TYPES.CREATE_OBJECT,
+        tableId,
+        null, // No before state for creation
+        { id: tableId, type: 'table', ...box, ...properties },
+        { objectType: 'Table' }
+      );
+    }
+
+    return tableId;
+  }
+
+  /**
+   * Get cursor style for this tool
+   */
+  getCursor() {
+    return 'crosshair';
+  }
+}
+
+export default TableTool;
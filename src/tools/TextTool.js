@@ -4,16 +4,20 @@ import {
   unlockObject 
 } from '../services/canvas.service.js';
 import { ACTION_TYPES } from '../hooks/useHistory.js';
+import { FUTURE_SHAPE_DEFAULTS } from '../constants/canvas.constants.js';
+import { getTextOffsetAt, getTextSize } from '../utils/richText.js';
 
 /**
  * TextTool - Handles text creation and inline editing
  * 
  * Interaction Model:
  * - Click on canvas to create new text object with inline editing
- * - Click on existing text to edit it
- * - Text editing happens via HTML overlay for better editing experience
+ * - Click on existing text to edit it, with the caret placed at the click
+ * - Text is edited in place on the canvas (see InlineTextEditor); the text
+ *   stays locked while it is edited so collaborators can't edit it too
  * - Text supports basic formatting: bold, italic, underline
  * - Text can be styled with color picker
+ * - Styles can also apply to parts of the text (runs), see utils/richText.js
  */
 export class TextTool {
   constructor() {
@@ -61,7 +65,8 @@ export class TextTool {
       setIsEditingText(true);
       setTextEditData({
         object: clickedText,
-        originalText: clickedText.text || ''
+        originalText: clickedText.text || '',
+        caretOffset: getTextOffsetAt(clickedText, pos)
       });
     } else if (!clickedText) {
       // Create new text at click position
@@ -70,7 +75,8 @@ export class TextTool {
       // Start editing mode for new text
       setIsEditingText(true);
       setTextEditData({
-        newTextPosition: pos,
+        // New text starts on the layout grid while grid snapping is on
+        newTextPosition: state.snapToGrid?.(pos, e?.evt) ?? pos,
         originalText: ''
       });
     }
@@ -92,15 +98,25 @@ export class TextTool {
 
   /**
    * Create a new text object after user finishes editing
+   * frameId parents the text to the frame it was placed in.
    */
-  async createTextObject(canvasId, pos, text, formatting = {}, recordAction = null) {
+  async createTextObject(canvasId, pos, text, formatting = {}, recordAction = null, frameId = null) {
     const {
       bold = false,
       italic = false,
       underline = false,
       fontSize = this.DEFAULT_FONT_SIZE,
       fontFamily = this.DEFAULT_FONT_FAMILY,
-      fill = this.DEFAULT_TEXT_COLOR
+      fill = this.DEFAULT_TEXT_COLOR,
+      runs = null,
+      listStyles = null,
+      align = FUTURE_SHAPE_DEFAULTS.text.align,
+      verticalAlign = FUTURE_SHAPE_DEFAULTS.text.verticalAlign,
+      sizing = FUTURE_SHAPE_DEFAULTS.text.sizing,
+      lineHeight = FUTURE_SHAPE_DEFAULTS.text.lineHeight,
+      letterSpacing = FUTURE_SHAPE_DEFAULTS.text.letterSpacing,
+      width = this.MIN_TEXT_WIDTH,
+      height = null
     } = formatting;
 
     // Build font style string
@@ -120,10 +136,19 @@ export class TextTool {
       italic,
       underline,
       fill,
-      width: this.MIN_TEXT_WIDTH,
-      align: 'left',
+      runs,
+      listStyles,
+      width,
+      // Only fixed-size boxes store a height; auto-sized text is measured
+      height: sizing === 'fixed' ? height : null,
+      align,
+      verticalAlign,
+      sizing,
+      lineHeight,
+      letterSpacing,
       rotation: 0,
-      zIndex: 0
+      zIndex: 0,
+      ...(frameId && { frameId })
     };
 
     try {
@@ -160,13 +185,11 @@ export class TextTool {
    * Helper function to check if point is inside text bounds
    */
   isPointInText(point, text) {
-    // Estimate text width based on font size and text length
-    const estimatedWidth = text.width || (text.text?.length || 10) * (text.fontSize || this.DEFAULT_FONT_SIZE) * 0.6;
-    const height = (text.fontSize || this.DEFAULT_FONT_SIZE) * 1.2;
+    const { width, height } = getTextSize(text);
 
     return (
       point.x >= text.x &&
-      point.x <= text.x + estimatedWidth &&
+      point.x <= text.x + width &&
       point.y >= text.y &&
       point.y <= text.y + height
     );
@@ -216,6 +216,7 @@ describe('TextTool', () => {
       expect(mockState.setTextEditData).toHaveBeenCalledWith({
         object: testText,
         originalText: 'Hello World',
+        caretOffset: expect.any(Number), // Where the click lands in the text
       });
     });
 
@@ -228,6 +229,7 @@ describe('TextTool', () => {
       expect(mockState.setTextEditData).toHaveBeenCalledWith({
         object: emptyText,
         originalText: '',
+        caretOffset: 0,
       });
     });
 
@@ -241,6 +243,7 @@ describe('TextTool', () => {
       expect(mockState.setTextEditData).toHaveBeenCalledWith({
         object: noTextProp,
         originalText: '',
+        caretOffset: 0,
       });
     });
 
@@ -0,0 +1,17 @@
+/**
+ * TriangleTool - Handles triangle creation
+ * Triangles are stored as 3-sided 'polygon' objects, so they share rendering,
+ * resizing and the side count control with polygons.
+ */
+
+import { PolygonTool } from './PolygonTool.js';
+
+export class TriangleTool extends PolygonTool {
+  constructor() {
+    super();
+    this.objectType = 'Triangle';
+    this.sides = 3;
+  }
+}
+
+export default TriangleTool;
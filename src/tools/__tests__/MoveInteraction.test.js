@@ -1,8 +1,8 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import MoveInteraction from '../MoveInteraction.js';
 
-// Mock the updateActiveObjectPosition function
-const mockUpdateActiveObjectPosition = vi.fn();
+// Mock the updateActiveObjectPosition function (hoisted: importing MoveInteraction loads the mocked module)
+const { mockUpdateActiveObjectPosition } = vi.hoisted(() => ({ mockUpdateActiveObjectPosition: vi.fn() }));
 vi.mock('../../services/realtimeObjects.service.js', () => ({
   updateActiveObjectPosition: mockUpdateActiveObjectPosition,
 }));
@@ -7,6 +7,15 @@ import { TextTool } from './TextTool.js'
 import { RectangleTool } from './RectangleTool.js'
 import { CircleTool } from './CircleTool.js'
 import { StarTool } from './StarTool.js'
+import { PolygonTool } from './PolygonTool.js'
+import { TriangleTool } from './TriangleTool.js'
+import { LineTool } from './LineTool.js'
+import { ArrowTool } from './ArrowTool.js'
+import { PencilTool } from './PencilTool.js'
+import { PenTool } from './PenTool.js'
+import { FrameTool } from './FrameTool.js'
+import { StickyNoteTool } from './StickyNoteTool.js'
+import { TableTool } from './TableTool.js'
 import { DeleteTool } from './DeleteTool.js'
 import { TOOLS } from '../components/canvas/Toolbar.jsx'
 
@@ -23,7 +32,16 @@ export const toolRegistry = {
   [TOOLS.TEXT]: new TextTool(),
   [TOOLS.RECTANGLE]: new RectangleTool(),
   [TOOLS.CIRCLE]: new CircleTool(),
-  [TOOLS.STAR]: new StarTool()
+  [TOOLS.STAR]: new StarTool(),
+  [TOOLS.POLYGON]: new PolygonTool(),
+  [TOOLS.TRIANGLE]: new TriangleTool(),
+  [TOOLS.LINE]: new LineTool(),
+  [TOOLS.ARROW]: new ArrowTool(),
+  [TOOLS.PENCIL]: new PencilTool(),
+  [TOOLS.PEN]: new PenTool(),
+  [TOOLS.FRAME]: new FrameTool(),
+  [TOOLS.STICKY]: new StickyNoteTool(),
+  [TOOLS.TABLE]: new TableTool()
 }
 
 /**
@@ -33,7 +51,7 @@ export const getToolHandler = (toolType) => {
   return toolRegistry[toolType] || null
 }
 
-export { PanTool, SelectTool, DeleteTool, MoveTool, ResizeTool, RotateTool, TextTool, RectangleTool, CircleTool, StarTool }
+export { PanTool, SelectTool, DeleteTool, MoveTool, ResizeTool, RotateTool, TextTool, RectangleTool, CircleTool, StarTool, PolygonTool, TriangleTool, LineTool, ArrowTool, PencilTool, PenTool, FrameTool, StickyNoteTool, TableTool }
 
 
 
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { batchCommands } from '../agentCommandParser.js';
+import { batchCommands, parseCommand } from '../agentCommandParser.js';
 
 describe('agentCommandParser', () => {
   describe('batchCommands', () => {
@@ -255,4 +255,30 @@ describe('agentCommandParser', () => {
       });
     });
   });
+
+  describe('parseCommand', () => {
+    describe('setCanvasBackground', () => {
+      it('should accept a background color with a pattern', () => {
+        const result = parseCommand({ type: 'setCanvasBackground', color: 'blue', pattern: 'dots' });
+
+        expect(result.success).toBe(true);
+        expect(result.command).toMatchObject({ type: 'setCanvasBackground', color: '#0000ff', pattern: 'dots' });
+      });
+
+      it('should leave the pattern unset when none is given', () => {
+        const result = parseCommand({ type: 'background', color: '#F8FAFC' });
+
+        expect(result.success).toBe(true);
+        expect(result.command.type).toBe('setCanvasBackground');
+        expect(result.command.pattern).toBeUndefined();
+      });
+
+      it('should reject unknown patterns', () => {
+        const result = parseCommand({ type: 'setCanvasBackground', color: '#ffffff', pattern: 'stripes' });
+
+        expect(result.success).toBe(false);
+        expect(result.errors.length).toBeGreaterThan(0);
+      });
+    });
+  });
 });
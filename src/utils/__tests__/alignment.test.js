@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getAlignUnits,
+  getAlignEntries,
+  getDistributeEntries,
+  getLayoutEntries,
+  isMoveOnlyEntry
+} from '../alignment.js';
+
+// Final x/y of each moved object, by ID
+const positionsOf = (entries) => Object.fromEntries(entries.map(entry => [entry.id, { x: entry.updates.x, y: entry.updates.y }]));
+
+describe('alignment', () => {
+  const rect = { id: 'rect-1', type: 'rectangle', x: 100, y: 100, width: 100, height: 50 };
+  const circle = { id: 'circle-1', type: 'circle', x: 400, y: 300, radiusX: 50, radiusY: 50 };
+  const rotated = { id: 'rect-2', type: 'rectangle', x: 300, y: 0, width: 100, height: 100, rotation: 90 };
+  const objects = [rect, circle, rotated];
+
+  describe('getAlignUnits', () => {
+    it('should treat groups and frames with their children as single units', () => {
+      const grouped = [
+        { id: 'g-1', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, groupId: 'group-1' },
+        { id: 'g-2', type: 'rectangle', x: 20, y: 0, width: 10, height: 10, groupId: 'group-1' }
+      ];
+      const frame = { id: 'frame-1', type: 'frame', x: 1000, y: 1000, width: 200, height: 200 };
+      const child = { id: 'child-1', type: 'rectangle', x: 1150, y: 1150, width: 100, height: 100, frameId: 'frame-1' };
+      const all = [...grouped, frame, child];
+
+      const units = getAlignUnits(['g-1', 'frame-1', 'child-1'], all);
+
+      expect(units).toHaveLength(2);
+      expect(units[0].members.map(obj => obj.id)).toEqual(['g-1', 'g-2']);
+      expect(units[0].bounds).toEqual({ x: 0, y: 0, width: 30, height: 10 });
+      expect(units[1].members.map(obj => obj.id)).toEqual(['frame-1', 'child-1']);
+      expect(units[1].bounds).toEqual({ x: 1000, y: 1000, width: 200, height: 200 });
+    });
+  });
+
+  describe('getAlignEntries', () => {
+    it('should align edges using each shape\'s drawn bounds', () => {
+      const entries = getAlignEntries(['rect-1', 'circle-1'], objects, 'left');
+
+      expect(positionsOf(entries)).toEqual({ 'circle-1': { x: 150, y: 300 } });
+      expect(entries[0].before).toEqual({ x: 400, y: 300 });
+    });
+
+    it('should align centers and bottoms', () => {
+      expect(positionsOf(getAlignEntries(['rect-1', 'circle-1'], objects, 'center'))).toEqual({
+        'rect-1': { x: 225, y: 100 },
+        'circle-1': { x: 275, y: 300 }
+      });
+      expect(positionsOf(getAlignEntries(['rect-1', 'circle-1'], objects, 'bottom'))).toEqual({
+        'rect-1': { x: 100, y: 300 }
+      });
+    });
+
+    it('should align rotated shapes by their rotated bounding box', () => {
+      // A 40×100 box rotated 90° about its center is drawn 40 high, starting at y 30
+      const tall = { ...rotated, width: 40, height: 100 };
+      const entries = getAlignEntries(['rect-1', 'rect-2'], [rect, tall], 'top');
+
+      expect(positionsOf(entries)).toEqual({ 'rect-1': { x: 100, y: 30 } });
+    });
+
+    it('should align a single object to its frame and otherwise do nothing', () => {
+      const frame = { id: 'frame-1', type: 'frame', x: 0, y: 0, width: 500, height: 500 };
+      const child = { ...rect, frameId: 'frame-1' };
+
+      expect(positionsOf(getAlignEntries(['rect-1'], [frame, child], 'right'))).toEqual({ 'rect-1': { x: 400, y: 100 } });
+      expect(getAlignEntries(['rect-1'], objects, 'right')).toEqual([]);
+    });
+
+    it('should move frame children with their frame and refresh attached connectors', () => {
+      const frame = { id: 'frame-1', type: 'frame', x: 600, y: 0, width: 100, height: 100 };
+      const child = { id: 'child-1', type: 'rectangle', x: 610, y: 10, width: 20, height: 20, frameId: 'frame-1' };
+      const connector = {
+        id: 'line-1', type: 'line', x: 200, y: 125, points: [0, 0, 410, -105],
+        startBinding: { objectId: 'rect-1', anchor: 'right' },
+        endBinding: { objectId: 'child-1', anchor: 'left' }
+      };
+      const entries = getAlignEntries(['rect-1', 'frame-1'], [rect, frame, child, connector], 'bottom');
+
+      expect(positionsOf(entries)['child-1']).toEqual({ x: 610, y: 60 });
+      expect(entries.find(entry => entry.id === 'line-1').updates).toMatchObject({ x: 200, y: 125 });
+      // Rerouted connectors change their points too, so they undo as property updates
+      expect(isMoveOnlyEntry(entries.find(entry => entry.id === 'child-1'))).toBe(true);
+      expect(isMoveOnlyEntry(entries.find(entry => entry.id === 'line-1'))).toBe(false);
+    });
+
+    it('should release connector bindings to shapes that don\'t move with it', () => {
+      const connector = {
+        id: 'line-1', type: 'line', x: 0, y: 400, points: [0, 0, 100, 0],
+        startBinding: { objectId: 'circle-1', anchor: 'left' }
+      };
+      const [entry] = getAlignEntries(['rect-1', 'line-1'], [rect, circle, connector], 'top');
+
+      expect(entry.updates).toEqual({ x: 0, y: 100, startBinding: null });
+      expect(entry.before.startBinding).toEqual(connector.startBinding);
+      expect(isMoveOnlyEntry(entry)).toBe(false);
+    });
+  });
+
+  describe('getDistributeEntries', () => {
+    it('should make the gaps between units equal, keeping the outermost in place', () => {
+      const shapes = [
+        { id: 'a', type: 'rectangle', x: 0, y: 0, width: 100, height: 10 },
+        { id: 'b', type: 'rectangle', x: 120, y: 0, width: 50, height: 10 },
+        { id: 'c', type: 'rectangle', x: 400, y: 0, width: 100, height: 10 }
+      ];
+
+      expect(positionsOf(getDistributeEntries(['c', 'a', 'b'], shapes, 'horizontal'))).toEqual({ b: { x: 225, y: 0 } });
+    });
+
+    it('should need at least three units', () => {
+      expect(getDistributeEntries(['rect-1', 'circle-1'], objects, 'vertical')).toEqual([]);
+    });
+  });
+
+  describe('getLayoutEntries', () => {
+    const shapes = [
+      { id: 'a', type: 'rectangle', x: 500, y: 100, width: 100, height: 50 },
+      { id: 'b', type: 'rectangle', x: 100, y: 200, width: 50, height: 100 },
+      { id: 'c', type: 'circle', x: 325, y: 25, radiusX: 25, radiusY: 25 }
+    ];
+
+    it('should place units in a row with the given spacing', () => {
+      expect(positionsOf(getLayoutEntries(['a', 'b', 'c'], shapes, { layoutType: 'row', spacing: 20 }))).toEqual({
+        a: { x: 240, y: 100 },
+        c: { x: 195, y: 25 }
+      });
+    });
+
+    it('should place units in a grid sized to the largest unit in each row and column', () => {
+      expect(positionsOf(getLayoutEntries(['a', 'b', 'c'], shapes, { layoutType: 'grid', columns: 2, spacing: 10 }))).toEqual({
+        a: { x: 160, y: 0 },
+        b: { x: 100, y: 60 },
+        c: { x: 125, y: 25 }
+      });
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CLIPBOARD_FORMAT,
+  getCopyObjects,
+  serializeClipboard,
+  parseClipboard,
+  createPasteObjects,
+  getDuplicateOffset,
+  getObjectFonts
+} from '../clipboard.js';
+import { FONT_SOURCES, registerFonts } from '../fontRegistry.js';
+
+// Sequential IDs so pasted objects are predictable
+const makeIdFactory = () => {
+  let count = 0;
+  return () => `new-${++count}`;
+};
+
+describe('clipboard', () => {
+  const rect = { id: 'rect-1', type: 'rectangle', x: 100, y: 100, width: 100, height: 50, zIndex: 2, fill: '#ff0000', lockedBy: 'user-1', createdAt: { seconds: 1 } };
+  const circle = { id: 'circle-1', type: 'circle', x: 400, y: 150, radiusX: 50, radiusY: 50, zIndex: 1 };
+  const frame = { id: 'frame-1', type: 'frame', x: 1000, y: 1000, width: 300, height: 300, zIndex: 0 };
+  const child = { id: 'child-1', type: 'rectangle', x: 1050, y: 1050, width: 20, height: 20, frameId: 'frame-1', zIndex: 3 };
+  const grouped = [
+    { id: 'g-1', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, groupId: 'group-1' },
+    { id: 'g-2', type: 'rectangle', x: 20, y: 0, width: 10, height: 10, groupId: 'group-1' }
+  ];
+  const connector = {
+    id: 'line-1', type: 'line', x: 200, y: 125, points: [0, 0, 150, 25], zIndex: 4,
+    startBinding: { objectId: 'rect-1', anchor: 'right' },
+    endBinding: { objectId: 'other-shape', anchor: 'left' }
+  };
+  const objects = [rect, circle, frame, child, ...grouped, connector];
+
+  describe('getCopyObjects', () => {
+    it('should bring whole groups and frame children along, in z-order', () => {
+      expect(getCopyObjects(['g-1'], objects).map(obj => obj.id)).toEqual(['g-1', 'g-2']);
+      expect(getCopyObjects(['frame-1'], objects).map(obj => obj.id)).toEqual(['frame-1', 'child-1']);
+      expect(getCopyObjects(['rect-1', 'circle-1'], objects).map(obj => obj.id)).toEqual(['circle-1', 'rect-1']);
+    });
+  });
+
+  describe('serializeClipboard / parseClipboard', () => {
+    it('should round-trip objects without server and lock fields', () => {
+      const text = serializeClipboard([rect], 'canvas-1');
+      const parsed = parseClipboard(text);
+
+      expect(text).toContain(CLIPBOARD_FORMAT);
+      expect(parsed.canvasId).toBe('canvas-1');
+      expect(parsed.objects[0]).toEqual({ id: 'rect-1', type: 'rectangle', x: 100, y: 100, width: 100, height: 50, zIndex: 2, fill: '#ff0000' });
+    });
+
+    it('should carry the custom fonts copied text uses', () => {
+      const brandFont = { family: 'Clip Sans', source: FONT_SOURCES.CUSTOM, src: 'https://storage.test/clip.woff2', storagePath: 'canvases/canvas-1/fonts/clip.woff2', fileName: 'Clip-Sans.woff2' };
+      registerFonts('canvas-1', [brandFont]);
+      const text = { id: 'text-1', type: 'text', x: 0, y: 0, text: 'Hi', fontFamily: 'Inter', runs: [{ text: 'Hi', fontFamily: 'Clip Sans' }] };
+
+      expect(getObjectFonts([text, rect])).toEqual(['Inter', 'Clip Sans']);
+      expect(parseClipboard(serializeClipboard([text], 'canvas-1')).fonts).toEqual([brandFont]);
+      expect(parseClipboard(serializeClipboard([rect], 'canvas-1')).fonts).toEqual([]);
+    });
+
+    it('should ignore text that is not copied canvas objects', () => {
+      expect(parseClipboard('hello')).toBeNull();
+      expect(parseClipboard(`{"format":"${CLIPBOARD_FORMAT}"`)).toBeNull();
+      expect(parseClipboard(JSON.stringify({ format: CLIPBOARD_FORMAT, version: 1, objects: [{ id: 'a', type: 'rectangle' }] }))).toBeNull();
+      expect(parseClipboard(undefined)).toBeNull();
+    });
+  });
+
+  describe('createPasteObjects', () => {
+    it('should give copies new IDs and stack them above every object in their original order', () => {
+      const copies = createPasteObjects([rect, circle], objects, { createId: makeIdFactory(), offset: { x: 10, y: 10 } });
+
+      expect(copies.map(copy => copy.id)).toEqual(['new-1', 'new-2']);
+      expect(copies[0]).toMatchObject({ x: 110, y: 110, zIndex: 6 });
+      expect(copies[1]).toMatchObject({ x: 410, y: 160, zIndex: 5 });
+      expect(copies[0]).not.toHaveProperty('lockedBy');
+      expect(copies[0]).not.toHaveProperty('createdAt');
+    });
+
+    it('should center the copies on the paste point', () => {
+      const [copy] = createPasteObjects([rect], objects, { createId: makeIdFactory(), center: { x: 2000, y: 2000 } });
+
+      expect(copy).toMatchObject({ x: 1950, y: 1975 });
+    });
+
+    it('should keep copies inside the canvas', () => {
+      const [copy] = createPasteObjects([rect], objects, { createId: makeIdFactory(), center: { x: 4990, y: 0 } });
+
+      expect(copy).toMatchObject({ x: 4900, y: 0 });
+    });
+
+    it('should rewire groups, frames and connectors between copies and drop the rest', () => {
+      const copies = createPasteObjects([frame, child, ...grouped, rect, connector], objects, { createId: makeIdFactory() });
+      const byOriginal = (index) => copies[index];
+
+      expect(byOriginal(1).frameId).toBe(byOriginal(0).id);
+      expect(byOriginal(2).groupId).toBe(byOriginal(3).groupId);
+      expect(byOriginal(2).groupId).not.toBe('group-1');
+      expect(byOriginal(5).startBinding).toEqual({ objectId: byOriginal(4).id, anchor: 'right' });
+      expect(byOriginal(5).endBinding).toBeNull();
+    });
+
+    it('should keep a frame that exists on the target canvas and drop a missing one', () => {
+      const [sameCanvas] = createPasteObjects([child], objects, { createId: makeIdFactory() });
+      const [otherCanvas] = createPasteObjects([child], [], { createId: makeIdFactory() });
+
+      expect(sameCanvas.frameId).toBe('frame-1');
+      expect(otherCanvas).not.toHaveProperty('frameId');
+    });
+  });
+
+  describe('getDuplicateOffset', () => {
+    it('should use the default offset for a new duplicate', () => {
+      expect(getDuplicateOffset(null, ['rect-1'], objects)).toEqual({ x: 10, y: 10 });
+    });
+
+    it('should repeat the step from the last duplicate, including moves since', () => {
+      const moved = { ...rect, id: 'copy-1', x: 250, y: 100 };
+      const lastDuplicate = { sourceIds: ['rect-1'], copyIds: ['copy-1'] };
+
+      expect(getDuplicateOffset(lastDuplicate, ['copy-1'], [...objects, moved])).toEqual({ x: 150, y: 0 });
+      expect(getDuplicateOffset(lastDuplicate, ['rect-1'], [...objects, moved])).toEqual({ x: 10, y: 10 });
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isConnector,
+  getAnchorPoint,
+  findNearestAnchor,
+  getAttachedConnectors,
+  getReleasedBindings,
+  resolveConnector,
+  getConnectorRerouteEntries,
+  getConnectorDeletePlan
+} from '../connectorUtils.js';
+import { getLinePathPoints, isPointNearLine } from '../lineGeometry.js';
+
+describe('connectorUtils', () => {
+  const rect = { id: 'rect-1', type: 'rectangle', x: 0, y: 0, width: 100, height: 50 };
+  const circle = { id: 'circle-1', type: 'circle', x: 300, y: 25, radius: 25 };
+  const connector = {
+    id: 'line-1',
+    type: 'line',
+    x: 100,
+    y: 25,
+    points: [0, 0, 175, 0],
+    startBinding: { objectId: 'rect-1', anchor: 'right' },
+    endBinding: { objectId: 'circle-1', anchor: 'left' }
+  };
+  const objects = [rect, circle, connector];
+
+  describe('anchors', () => {
+    it('should place edge anchors on the middle of each side', () => {
+      expect(getAnchorPoint(rect, 'top')).toEqual({ x: 50, y: 0 });
+      expect(getAnchorPoint(rect, 'right')).toEqual({ x: 100, y: 25 });
+      expect(getAnchorPoint(rect, 'center')).toEqual({ x: 50, y: 25 });
+      expect(getAnchorPoint(circle, 'left')).toEqual({ x: 275, y: 25 });
+    });
+
+    it('should follow the object rotation', () => {
+      const point = getAnchorPoint({ ...rect, rotation: 90 }, 'right');
+
+      expect(point.x).toBeCloseTo(50);
+      expect(point.y).toBeCloseTo(75);
+    });
+
+    it('should find the nearest anchor within the snap distance', () => {
+      expect(findNearestAnchor({ x: 104, y: 27 }, objects, 12)).toEqual({
+        objectId: 'rect-1', anchor: 'right', x: 100, y: 25
+      });
+      expect(findNearestAnchor({ x: 130, y: 27 }, objects, 12)).toBeNull();
+      expect(findNearestAnchor({ x: 104, y: 27 }, objects, 12, ['rect-1'])).toBeNull();
+    });
+  });
+
+  describe('bindings', () => {
+    it('should only treat lines with a bound end as connectors', () => {
+      expect(isConnector(connector)).toBe(true);
+      expect(isConnector({ ...connector, startBinding: null, endBinding: null })).toBe(false);
+      expect(getAttachedConnectors(['circle-1'], objects)).toEqual([connector]);
+    });
+
+    it('should release bindings to objects that are not moving with the connector', () => {
+      expect(getReleasedBindings(connector, ['line-1', 'rect-1'])).toEqual({ endBinding: null });
+    });
+
+    it('should resolve bound endpoints against the live objects', () => {
+      const resolved = resolveConnector(connector, {
+        'rect-1': { ...rect, x: 0, y: 100 },
+        'circle-1': circle
+      });
+
+      expect(resolved).toMatchObject({ x: 100, y: 125, points: [0, 0, 175, -100] });
+    });
+  });
+
+  describe('persistence', () => {
+    it('should reroute connectors attached to changed objects', () => {
+      const entries = getConnectorRerouteEntries(objects, { 'circle-1': { ...circle, x: 400 } });
+
+      expect(entries).toEqual([{
+        id: 'line-1',
+        updates: { x: 100, y: 25, points: [0, 0, 275, 0], rotation: 0 },
+        before: { x: 100, y: 25, points: [0, 0, 175, 0], rotation: 0 }
+      }]);
+    });
+
+    it('should delete connectors bound at both ends and detach the rest', () => {
+      expect(getConnectorDeletePlan(['rect-1', 'circle-1'], objects)).toEqual({
+        deleteIds: ['line-1'],
+        detachEntries: []
+      });
+
+      const { deleteIds, detachEntries } = getConnectorDeletePlan(['circle-1'], objects);
+      expect(deleteIds).toEqual([]);
+      expect(detachEntries[0].updates).toMatchObject({ points: [0, 0, 175, 0], endBinding: null });
+      expect(detachEntries[0].before.endBinding).toEqual(connector.endBinding);
+    });
+  });
+
+  describe('elbow routing', () => {
+    it('should route through a horizontal midpoint for left/right anchors', () => {
+      const elbow = { ...connector, points: [0, 0, 200, 100], routing: 'elbow' };
+
+      expect(getLinePathPoints(elbow)).toEqual([0, 0, 100, 0, 100, 100, 200, 100]);
+      expect(isPointNearLine({ x: 200, y: 75 }, elbow)).toBe(true);
+      expect(isPointNearLine({ x: 150, y: 75 }, elbow)).toBe(false);
+    });
+
+    it('should make a single turn when the end anchor faces the other axis', () => {
+      const elbow = {
+        ...connector,
+        points: [0, 0, 200, 100],
+        routing: 'elbow',
+        endBinding: { objectId: 'circle-1', anchor: 'top' }
+      };
+
+      expect(getLinePathPoints(elbow)).toEqual([0, 0, 200, 0, 200, 100]);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isValidCornerRadius,
+  normalizeCornerRadii,
+  toCornerRadiusValue,
+  getRectCornerRadii,
+  getRenderCornerRadius,
+  getCornerRadiusHandlePoints,
+  detectCornerRadiusHandle,
+  calculateCornerRadiusDrag
+} from '../cornerRadius.js';
+import { calculateRectangleResize } from '../resizeCalculators.js';
+import { validateObjectForResize, validateObjectUpdate } from '../resizeValidation.js';
+import { createCardLayoutComposite } from '../agentCompositeCommands.js';
+
+describe('cornerRadius', () => {
+  const rect = { id: 'rect-1', type: 'rectangle', x: 100, y: 100, width: 200, height: 100, cornerRadius: 10 };
+
+  describe('normalizeCornerRadii', () => {
+    it('should expand a uniform radius to all four corners', () => {
+      expect(normalizeCornerRadii(10)).toEqual([10, 10, 10, 10]);
+    });
+
+    it('should read missing or invalid radii as sharp corners', () => {
+      expect(normalizeCornerRadii(undefined)).toEqual([0, 0, 0, 0]);
+      expect(normalizeCornerRadii([5, -1, 'x'])).toEqual([5, 0, 0, 0]);
+    });
+  });
+
+  describe('toCornerRadiusValue', () => {
+    it('should store matching corners as a single number', () => {
+      expect(toCornerRadiusValue([6, 6, 6, 6])).toBe(6);
+      expect(toCornerRadiusValue([6, 6, 0, 0])).toEqual([6, 6, 0, 0]);
+    });
+  });
+
+  describe('isValidCornerRadius', () => {
+    it('should accept a non-negative number or a 4-corner array', () => {
+      expect(isValidCornerRadius(0)).toBe(true);
+      expect(isValidCornerRadius([1, 2, 3, 4])).toBe(true);
+      expect(isValidCornerRadius(-2)).toBe(false);
+      expect(isValidCornerRadius([1, 2, 3])).toBe(false);
+      expect(isValidCornerRadius(Infinity)).toBe(false);
+    });
+  });
+
+  describe('rendering', () => {
+    it('should clamp radii to half the shorter side', () => {
+      expect(getRectCornerRadii({ ...rect, cornerRadius: [80, 20, 0, 0] })).toEqual([50, 20, 0, 0]);
+    });
+
+    it('should render sharp rectangles with a plain 0', () => {
+      expect(getRenderCornerRadius({ ...rect, cornerRadius: undefined })).toBe(0);
+      expect(getRenderCornerRadius(rect)).toEqual([10, 10, 10, 10]);
+    });
+  });
+
+  describe('radius handles', () => {
+    it('should sit on each corner diagonal, clear of the resize handles', () => {
+      const handles = getCornerRadiusHandlePoints(rect);
+
+      expect(handles.nw).toEqual({ x: 130, y: 130 });
+      expect(handles.se).toEqual({ x: 270, y: 170 });
+    });
+
+    it('should move inward with larger radii', () => {
+      const handles = getCornerRadiusHandlePoints({ ...rect, cornerRadius: [40, 0, 0, 0] });
+
+      expect(handles.nw).toEqual({ x: 140, y: 140 });
+    });
+
+    it('should follow rotation', () => {
+      const handles = getCornerRadiusHandlePoints({ ...rect, rotation: 180 });
+
+      expect(handles.nw.x).toBeCloseTo(270);
+      expect(handles.nw.y).toBeCloseTo(170);
+    });
+
+    it('should be hidden on rectangles too small to fit them', () => {
+      expect(getCornerRadiusHandlePoints({ ...rect, height: 40 })).toBeNull();
+    });
+
+    it('should detect clicks near a handle only', () => {
+      expect(detectCornerRadiusHandle({ x: 272, y: 132 }, rect)).toBe('ne');
+      expect(detectCornerRadiusHandle({ x: 200, y: 150 }, rect)).toBeNull();
+    });
+  });
+
+  describe('calculateCornerRadiusDrag', () => {
+    it('should round every corner by the inward drag distance', () => {
+      expect(calculateCornerRadiusDrag(rect, 'nw', { x: 150, y: 150 }, { x: 130, y: 130 })).toBe(30);
+    });
+
+    it('should only change the dragged corner with Alt', () => {
+      expect(calculateCornerRadiusDrag(rect, 'se', { x: 260, y: 160 }, { x: 270, y: 170 }, true)).toEqual([10, 10, 20, 10]);
+    });
+
+    it('should stay between zero and half the shorter side', () => {
+      expect(calculateCornerRadiusDrag(rect, 'nw', { x: 0, y: 0 }, { x: 130, y: 130 })).toBe(0);
+      expect(calculateCornerRadiusDrag(rect, 'nw', { x: 400, y: 400 }, { x: 130, y: 130 })).toBe(50);
+    });
+  });
+
+  describe('resize and validation', () => {
+    it('should keep the stored radius through a resize', () => {
+      const resized = calculateRectangleResize({ ...rect, cornerRadius: [12, 0, 12, 0] }, 'se', -150, -60);
+
+      expect(resized.cornerRadius).toEqual([12, 0, 12, 0]);
+      expect(getRectCornerRadii(resized)).toEqual([12, 0, 12, 0]);
+    });
+
+    it('should reject invalid corner radii', () => {
+      expect(validateObjectForResize({ ...rect, cornerRadius: [1, 2] }).valid).toBe(false);
+      expect(validateObjectUpdate({ cornerRadius: -4 }, 'rectangle').valid).toBe(false);
+      expect(validateObjectUpdate({ cornerRadius: [4, 4, 0, 0] }, 'rectangle').sanitizedUpdate).toEqual({ cornerRadius: [4, 4, 0, 0] });
+    });
+  });
+
+  describe('composites', () => {
+    it('should round cards with matching header corners', () => {
+      const { commands } = createCardLayoutComposite({ cardCount: 1 });
+
+      expect(commands[0].cornerRadius).toBe(12);
+      expect(commands[1].cornerRadius).toEqual([12, 12, 0, 0]);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import {
+  EFFECT_TYPES,
+  createEffect,
+  isValidEffect,
+  isValidEffects,
+  getVisibleEffects,
+  hasLayerEffects,
+  getEffectsPadding,
+  gaussianBlur,
+  applyEffects
+} from '../effects.js';
+import { validateCommand } from '../agentSchemas.js';
+
+// Opaque white square of `size` pixels in the middle of a width x width transparent raster
+const makeSquare = (width, size) => {
+  const data = new Uint8ClampedArray(width * width * 4);
+  const start = (width - size) / 2;
+  for (let y = start; y < start + size; y++) {
+    for (let x = start; x < start + size; x++) {
+      data.set([255, 255, 255, 255], (y * width + x) * 4);
+    }
+  }
+  return { data, width, height: width };
+};
+
+const pixel = (imageData, x, y) => {
+  const i = (y * imageData.width + x) * 4;
+  return Array.from(imageData.data.slice(i, i + 4));
+};
+
+describe('effects', () => {
+  const shadow = { ...createEffect(EFFECT_TYPES.DROP_SHADOW), color: '#ff0000', opacity: 1, offsetX: 3, offsetY: 0, blur: 0 };
+
+  describe('validation', () => {
+    it('should create valid effects with defaults', () => {
+      Object.values(EFFECT_TYPES).forEach(type => {
+        expect(isValidEffect(createEffect(type))).toBe(true);
+      });
+    });
+
+    it('should reject unknown types and out-of-range fields', () => {
+      expect(isValidEffect({ type: 'glow' })).toBe(false);
+      expect(isValidEffect({ ...shadow, color: 'red' })).toBe(false);
+      expect(isValidEffect({ ...shadow, opacity: 2 })).toBe(false);
+      expect(isValidEffect({ ...shadow, blur: -1 })).toBe(false);
+      expect(isValidEffect({ type: EFFECT_TYPES.LAYER_BLUR, radius: 1000 })).toBe(false);
+      expect(isValidEffects(Array(9).fill(shadow))).toBe(false);
+    });
+
+    it('should skip hidden effects and flag objects that need the effects pipeline', () => {
+      expect(getVisibleEffects([shadow, { ...shadow, visible: false }])).toEqual([shadow]);
+      expect(hasLayerEffects({ opacity: 0.5 })).toBe(true);
+      expect(hasLayerEffects({ effects: [{ ...shadow, visible: false }] })).toBe(false);
+      expect(hasLayerEffects({})).toBe(false);
+    });
+  });
+
+  describe('getEffectsPadding', () => {
+    it('should cover the farthest drop shadow and add layer blur on top', () => {
+      expect(getEffectsPadding([shadow])).toBe(3);
+      expect(getEffectsPadding([{ ...shadow, blur: 4, spread: 2 }])).toBe(11);
+      expect(getEffectsPadding([shadow, { type: EFFECT_TYPES.LAYER_BLUR, radius: 2 }])).toBe(6);
+    });
+
+    it('should not pad for inner shadows', () => {
+      expect(getEffectsPadding([createEffect(EFFECT_TYPES.INNER_SHADOW)])).toBe(0);
+    });
+  });
+
+  describe('gaussianBlur', () => {
+    it('should spread a value while keeping its total', () => {
+      const values = new Float32Array(21 * 21);
+      values[10 * 21 + 10] = 1;
+      const blurred = gaussianBlur(values, 21, 21, 2);
+      const total = blurred.reduce((sum, value) => sum + value, 0);
+
+      expect(blurred[10 * 21 + 10]).toBeLessThan(1);
+      expect(blurred[10 * 21 + 12]).toBeGreaterThan(0);
+      expect(total).toBeCloseTo(1, 3);
+    });
+  });
+
+  describe('applyEffects', () => {
+    it('should draw a drop shadow behind the layer at its offset', () => {
+      const image = applyEffects(makeSquare(20, 10), [shadow]);
+
+      expect(pixel(image, 10, 10)).toEqual([255, 255, 255, 255]);
+      expect(pixel(image, 16, 10)).toEqual([255, 0, 0, 255]);
+      expect(pixel(image, 4, 10)[3]).toBe(0);
+    });
+
+    it('should scale shadow offsets by the pixel ratio', () => {
+      const image = applyEffects(makeSquare(20, 6), [{ ...shadow, offsetX: 2 }], 2);
+
+      expect(pixel(image, 15, 10)).toEqual([255, 0, 0, 255]);
+    });
+
+    it('should keep inner shadows inside the layer', () => {
+      const inner = { ...shadow, type: EFFECT_TYPES.INNER_SHADOW };
+      const image = applyEffects(makeSquare(20, 10), [inner]);
+
+      expect(pixel(image, 6, 10)).toEqual([255, 0, 0, 255]);
+      expect(pixel(image, 12, 10)).toEqual([255, 255, 255, 255]);
+      expect(pixel(image, 2, 10)[3]).toBe(0);
+    });
+
+    it('should blur the layer edges with layer blur', () => {
+      const image = applyEffects(makeSquare(20, 10), [{ type: EFFECT_TYPES.LAYER_BLUR, radius: 4 }]);
+
+      expect(pixel(image, 4, 10)[3]).toBeGreaterThan(0);
+      expect(pixel(image, 5, 10)[3]).toBeLessThan(255);
+      expect(pixel(image, 10, 10)[3]).toBe(255);
+    });
+
+    it('should leave the pixels alone without visible effects', () => {
+      const image = makeSquare(20, 10);
+      const before = Array.from(image.data);
+      applyEffects(image, [{ ...shadow, visible: false }]);
+
+      expect(Array.from(image.data)).toEqual(before);
+    });
+  });
+
+  describe('agent schemas', () => {
+    it('should accept effects and opacity in property updates', () => {
+      const effects = [shadow, createEffect(EFFECT_TYPES.LAYER_BLUR)];
+      const result = validateCommand({ type: 'updateObjectProperties', objectId: 'rect-1', properties: { opacity: 0.5, effects } });
+
+      expect(result.success).toBe(true);
+      expect(result.data.properties.effects).toEqual(effects);
+    });
+
+    it('should reject malformed effects', () => {
+      const result = validateCommand({ type: 'updateObjectProperties', objectId: 'rect-1', properties: { effects: [{ ...shadow, blur: 500 }] } });
+
+      expect(result.success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getEllipseRadii,
+  toEllipseRadiusFields,
+  getEllipseHandlePoints,
+  isPointInEllipse,
+  isValidEllipseGeometry
+} from '../ellipseGeometry.js';
+import { calculateCircleResize } from '../resizeCalculators.js';
+import { detectResizeHandle } from '../handleDetector.js';
+import { getObjectBounds } from '../objectBounds.js';
+
+describe('ellipseGeometry', () => {
+  const legacyCircle = { id: 'circle-1', type: 'circle', x: 300, y: 300, radius: 50 };
+  const ellipse = { id: 'circle-2', type: 'circle', x: 300, y: 300, radiusX: 100, radiusY: 50, radius: 100 };
+
+  describe('getEllipseRadii', () => {
+    it('should read legacy radius-only circles as equal axes', () => {
+      expect(getEllipseRadii(legacyCircle)).toEqual({ radiusX: 50, radiusY: 50 });
+    });
+
+    it('should prefer radiusX/radiusY over the mirrored radius', () => {
+      expect(getEllipseRadii(ellipse)).toEqual({ radiusX: 100, radiusY: 50 });
+    });
+  });
+
+  describe('toEllipseRadiusFields', () => {
+    it('should mirror the larger axis into radius', () => {
+      expect(toEllipseRadiusFields(30, 70)).toEqual({ radiusX: 30, radiusY: 70, radius: 70 });
+    });
+  });
+
+  describe('isPointInEllipse', () => {
+    it('should hit-test against both axes', () => {
+      expect(isPointInEllipse({ x: 390, y: 300 }, ellipse)).toBe(true);
+      expect(isPointInEllipse({ x: 300, y: 360 }, ellipse)).toBe(false);
+    });
+
+    it('should follow rotation', () => {
+      const rotated = { ...ellipse, rotation: 90 };
+
+      expect(isPointInEllipse({ x: 300, y: 390 }, rotated)).toBe(true);
+      expect(isPointInEllipse({ x: 390, y: 300 }, rotated)).toBe(false);
+    });
+  });
+
+  describe('isValidEllipseGeometry', () => {
+    it('should require positive radii', () => {
+      expect(isValidEllipseGeometry(legacyCircle)).toBe(true);
+      expect(isValidEllipseGeometry({ ...ellipse, radiusY: 0 })).toBe(false);
+      expect(isValidEllipseGeometry({ type: 'circle', x: 0, y: 0 })).toBe(false);
+    });
+  });
+
+  describe('bounds and handles', () => {
+    it('should size the bounding box from both axes', () => {
+      expect(getObjectBounds(ellipse)).toEqual({ x: 200, y: 250, width: 200, height: 100 });
+    });
+
+    it('should place side handles on the ends of each axis', () => {
+      const handles = getEllipseHandlePoints(ellipse);
+
+      expect(handles.e).toEqual({ x: 400, y: 300 });
+      expect(handles.n).toEqual({ x: 300, y: 250 });
+      expect(detectResizeHandle({ x: 400, y: 300 }, ellipse)).toBe('e');
+      expect(detectResizeHandle({ x: 200, y: 250 }, ellipse)).toBe('nw');
+    });
+
+    it('should keep handles on rotated ellipses', () => {
+      const handles = getEllipseHandlePoints({ ...ellipse, rotation: 90 });
+
+      expect(handles.e.x).toBeCloseTo(300);
+      expect(handles.e.y).toBeCloseTo(400);
+      expect(detectResizeHandle({ x: 300, y: 400 }, { ...ellipse, rotation: 90 })).toBe('e');
+    });
+  });
+
+  describe('calculateCircleResize', () => {
+    it('should stretch only the horizontal axis from a side handle', () => {
+      const resized = calculateCircleResize(legacyCircle, 'e', { x: 420, y: 330 }, { x: 350, y: 300 });
+
+      expect(resized).toMatchObject({ x: 300, y: 300, radiusX: 120, radiusY: 50, radius: 120 });
+    });
+
+    it('should stretch only the vertical axis from a side handle', () => {
+      const resized = calculateCircleResize(ellipse, 's', { x: 310, y: 380 }, { x: 300, y: 350 });
+
+      expect(resized).toMatchObject({ radiusX: 100, radiusY: 80 });
+    });
+
+    it('should constrain a side handle to a circle with Shift', () => {
+      const resized = calculateCircleResize(ellipse, 'e', { x: 360, y: 300 }, { x: 400, y: 300 }, 2, true);
+
+      expect(resized).toMatchObject({ radiusX: 60, radiusY: 60, radius: 60 });
+    });
+
+    it('should scale both axes proportionally from a corner', () => {
+      const resized = calculateCircleResize(ellipse, 'se', { x: 400, y: 300 }, { x: 350, y: 300 });
+
+      expect(resized.radiusX).toBeCloseTo(200);
+      expect(resized.radiusY).toBeCloseTo(100);
+    });
+
+    it('should stretch a rotated ellipse along its own axes', () => {
+      const rotated = { ...ellipse, rotation: 90 };
+      const resized = calculateCircleResize(rotated, 'e', { x: 300, y: 450 }, { x: 300, y: 400 });
+
+      expect(resized.radiusX).toBeCloseTo(150);
+      expect(resized.radiusY).toBeCloseTo(50);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  FONT_SOURCES,
+  registerFonts,
+  isRegisteredFont,
+  getRegisteredFonts,
+  isFontReady,
+  loadFont,
+  validateFontFile,
+  getFontFamilyFromFileName,
+  getFontStoragePath,
+  getWebFontUrl
+} from '../fontRegistry.js';
+import { validateCommand } from '../agentSchemas.js';
+
+describe('fontRegistry', () => {
+  const originalFontFace = globalThis.FontFace;
+
+  afterEach(() => {
+    globalThis.FontFace = originalFontFace;
+  });
+
+  it('should register system and web fonts', () => {
+    expect(isRegisteredFont('Arial')).toBe(true);
+    expect(isRegisteredFont('Inter')).toBe(true);
+    expect(isRegisteredFont('Papyrus')).toBe(false);
+    expect(isFontReady('Arial')).toBe(true);
+    expect(isFontReady('Inter')).toBe(false);
+  });
+
+  it('should build the web font stylesheet URL', () => {
+    expect(getWebFontUrl('Open Sans')).toContain('family=Open+Sans:ital,wght@');
+  });
+
+  it('should register custom fonts recorded on a canvas', () => {
+    const fonts = registerFonts('canvas-1', [
+      { family: 'Brand Sans', source: FONT_SOURCES.CUSTOM, src: 'https://storage.test/brand.woff2' },
+      { family: 'Missing Source', source: FONT_SOURCES.CUSTOM },
+      { family: 'Lato', source: FONT_SOURCES.WEB }
+    ]);
+
+    expect(isRegisteredFont('Brand Sans', 'canvas-1')).toBe(true);
+    expect(isRegisteredFont('Missing Source')).toBe(false);
+    expect(fonts).toEqual(getRegisteredFonts('canvas-1'));
+    expect(fonts.at(-1)).toMatchObject({ family: 'Brand Sans', source: FONT_SOURCES.CUSTOM });
+  });
+
+  it('should only list custom fonts on the canvas they were uploaded to', () => {
+    const before = registerFonts('canvas-2', []);
+    const after = registerFonts('canvas-2', [
+      { family: 'Other Sans', source: FONT_SOURCES.CUSTOM, src: 'https://storage.test/other.woff2' }
+    ]);
+
+    expect(after).not.toBe(before);
+    expect(after.map(font => font.family)).toContain('Other Sans');
+    expect(getRegisteredFonts('canvas-3').map(font => font.family)).not.toContain('Other Sans');
+    expect(isRegisteredFont('Other Sans', 'canvas-3')).toBe(false);
+    // Still found without a canvas, so pasted text can carry it to another canvas
+    expect(isRegisteredFont('Other Sans')).toBe(true);
+  });
+
+  it('should load a custom font once and mark it ready', async () => {
+    const load = vi.fn(() => Promise.resolve());
+    globalThis.FontFace = vi.fn(function FontFace() { this.load = load; });
+    const add = vi.fn();
+    Object.defineProperty(document, 'fonts', { value: { add }, configurable: true });
+    registerFonts('canvas-1', [{ family: 'Loaded Font', source: FONT_SOURCES.CUSTOM, src: 'https://storage.test/loaded.ttf' }]);
+
+    await expect(loadFont('Loaded Font')).resolves.toBe(true);
+    await loadFont('Loaded Font');
+
+    expect(globalThis.FontFace).toHaveBeenCalledTimes(1);
+    expect(globalThis.FontFace).toHaveBeenCalledWith('Loaded Font', 'url("https://storage.test/loaded.ttf")');
+    expect(add).toHaveBeenCalledTimes(1);
+    expect(isFontReady('Loaded Font')).toBe(true);
+    delete document.fonts;
+  });
+
+  it('should treat fonts that fail to load as ready (they fall back)', async () => {
+    globalThis.FontFace = vi.fn(function FontFace() { this.load = () => Promise.reject(new Error('404')); });
+    registerFonts('canvas-1', [{ family: 'Broken Font', source: FONT_SOURCES.CUSTOM, src: 'https://storage.test/broken.otf' }]);
+
+    await expect(loadFont('Broken Font')).resolves.toBe(false);
+    expect(isFontReady('Broken Font')).toBe(true);
+  });
+
+  it('should validate font uploads by extension and size', () => {
+    expect(validateFontFile(new File(['x'], 'Brand.woff2')).valid).toBe(true);
+    expect(validateFontFile(new File(['x'], 'logo.png', { type: 'image/png' })).valid).toBe(false);
+    expect(validateFontFile({ name: 'Huge.ttf', size: 6 * 1024 * 1024 }).valid).toBe(false);
+    expect(validateFontFile(null).valid).toBe(false);
+  });
+
+  it('should name fonts after their file and store them per canvas', () => {
+    expect(getFontFamilyFromFileName('Brand-Sans_Bold.woff2')).toBe('Brand Sans Bold');
+    expect(getFontFamilyFromFileName('.ttf')).toBe('Custom Font');
+    expect(getFontStoragePath('canvas-1', 'font-1', 'otf')).toBe('canvases/canvas-1/fonts/font-1.otf');
+  });
+
+  it('should only let the agent create text in registered fonts', () => {
+    const command = { type: 'createText', position: { x: 10, y: 10 }, text: 'Hi' };
+
+    expect(validateCommand({ ...command, fontFamily: 'Inter' }).success).toBe(true);
+    expect(validateCommand({ ...command, fontFamily: 'Brand Sans' }).success).toBe(true);
+    expect(validateCommand({ ...command, fontFamily: 'Papyrus' }).success).toBe(false);
+    expect(validateCommand(command).data.fontFamily).toBe('Arial');
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isFrame,
+  isPointInFrame,
+  getFrameAt,
+  getParentFrameId,
+  getFrameChildren,
+  getFrameNodeId,
+  getDefaultFrameName,
+  nestShapesInFrames,
+  getFrameClipPoints,
+  isClippedAt
+} from '../frameUtils.js';
+import { calculateFrameResize } from '../resizeCalculators.js';
+import { validateObjectUpdate } from '../resizeValidation.js';
+
+describe('frameUtils', () => {
+  const frame = { id: 'frame-a', type: 'frame', name: 'Frame 1', x: 100, y: 100, width: 400, height: 200, zIndex: 1 };
+  const rect = { id: 'rect-1', type: 'rectangle', x: 150, y: 150, width: 50, height: 50, frameId: 'frame-a', zIndex: 2 };
+  const circle = { id: 'circle-1', type: 'circle', x: 800, y: 800, radiusX: 20, radiusY: 20, zIndex: 3 };
+
+  describe('isFrame', () => {
+    it('should only match frame objects', () => {
+      expect(isFrame(frame)).toBe(true);
+      expect(isFrame(rect)).toBe(false);
+      expect(isFrame(null)).toBe(false);
+    });
+  });
+
+  describe('isPointInFrame', () => {
+    it('should test points against the frame box', () => {
+      expect(isPointInFrame({ x: 300, y: 200 }, frame)).toBe(true);
+      expect(isPointInFrame({ x: 520, y: 200 }, frame)).toBe(false);
+    });
+
+    it('should follow the frame rotation', () => {
+      const rotated = { ...frame, rotation: 90 };
+      // Rotated 90° around its center (300, 200) the frame spans x 200..400, y 0..400
+      expect(isPointInFrame({ x: 300, y: 20 }, rotated)).toBe(true);
+      expect(isPointInFrame({ x: 120, y: 200 }, rotated)).toBe(false);
+    });
+  });
+
+  describe('getFrameAt', () => {
+    it('should return the topmost frame at a point', () => {
+      const upper = { ...frame, id: 'frame-b', zIndex: 5 };
+      expect(getFrameAt([frame, upper, rect], { x: 300, y: 200 }).id).toBe('frame-b');
+    });
+
+    it('should return null outside every frame', () => {
+      expect(getFrameAt([frame, rect], { x: 900, y: 900 })).toBeNull();
+    });
+  });
+
+  describe('getParentFrameId', () => {
+    it('should parent objects by the center of their bounds', () => {
+      expect(getParentFrameId([frame], { type: 'rectangle', x: 480, y: 150, width: 40, height: 40 })).toBe('frame-a');
+      expect(getParentFrameId([frame], { type: 'rectangle', x: 490, y: 150, width: 40, height: 40 })).toBeNull();
+      expect(getParentFrameId([frame], { type: 'circle', x: 300, y: 200, radiusX: 10, radiusY: 10 })).toBe('frame-a');
+    });
+
+    it('should never parent a frame', () => {
+      expect(getParentFrameId([frame], { ...frame, id: 'frame-b', width: 10, height: 10 })).toBeNull();
+    });
+  });
+
+  describe('getFrameChildren', () => {
+    it('should return the objects that carry the frame ID', () => {
+      expect(getFrameChildren([frame, rect, circle], 'frame-a')).toEqual([rect]);
+      expect(getFrameChildren([frame, rect, circle], null)).toEqual([]);
+    });
+  });
+
+  describe('getFrameNodeId / getDefaultFrameName', () => {
+    it('should build the export node ID', () => {
+      expect(getFrameNodeId('frame-a')).toBe('frame-frame-a');
+    });
+
+    it('should number new frames', () => {
+      expect(getDefaultFrameName([])).toBe('Frame 1');
+      expect(getDefaultFrameName([frame, rect])).toBe('Frame 2');
+    });
+  });
+
+  describe('nestShapesInFrames', () => {
+    it('should move children under their frame and keep the order', () => {
+      const child = { ...circle, id: 'circle-2', frameId: 'frame-a' };
+      const nested = nestShapesInFrames([frame, rect, circle, child]);
+
+      expect(nested.map(shape => shape.id)).toEqual(['frame-a', 'circle-1']);
+      expect(nested[0].frameChildren.map(shape => shape.id)).toEqual(['rect-1', 'circle-2']);
+    });
+
+    it('should render children of a missing frame at the top level', () => {
+      expect(nestShapesInFrames([rect, circle]).map(shape => shape.id)).toEqual(['rect-1', 'circle-1']);
+    });
+  });
+
+  describe('getFrameClipPoints', () => {
+    it('should return the frame corners', () => {
+      expect(getFrameClipPoints(frame)).toEqual([
+        { x: 100, y: 100 },
+        { x: 500, y: 100 },
+        { x: 500, y: 300 },
+        { x: 100, y: 300 }
+      ]);
+    });
+  });
+
+  describe('isClippedAt', () => {
+    const framesById = { 'frame-a': frame };
+
+    it('should hide children outside their frame', () => {
+      expect(isClippedAt({ x: 600, y: 150 }, rect, framesById)).toBe(true);
+      expect(isClippedAt({ x: 160, y: 160 }, rect, framesById)).toBe(false);
+    });
+
+    it('should not clip when clipContent is off or the object has no frame', () => {
+      expect(isClippedAt({ x: 600, y: 150 }, rect, { 'frame-a': { ...frame, clipContent: false } })).toBe(false);
+      expect(isClippedAt({ x: 600, y: 150 }, circle, framesById)).toBe(false);
+    });
+  });
+
+  describe('calculateFrameResize', () => {
+    it('should resize like a box from the dragged handle', () => {
+      const resized = calculateFrameResize(frame, 'se', 100, 50);
+      expect(resized).toMatchObject({ x: 100, y: 100, width: 500, height: 250 });
+    });
+
+    it('should keep the opposite corner fixed', () => {
+      const resized = calculateFrameResize(frame, 'nw', 50, 20);
+      expect(resized).toMatchObject({ x: 150, y: 120, width: 350, height: 180 });
+    });
+
+    it('should not shrink below the minimum size', () => {
+      const resized = calculateFrameResize(frame, 'se', -1000, -1000, 20);
+      expect(resized.width).toBe(20);
+      expect(resized.height).toBe(20);
+    });
+  });
+
+  describe('validateObjectUpdate', () => {
+    it('should accept frame names and clipping', () => {
+      expect(validateObjectUpdate({ name: 'Hero', clipContent: false }, 'frame').valid).toBe(true);
+    });
+
+    it('should reject empty names and invalid sizes', () => {
+      expect(validateObjectUpdate({ name: '   ' }, 'frame').valid).toBe(false);
+      expect(validateObjectUpdate({ width: 0 }, 'frame').valid).toBe(false);
+      expect(validateObjectUpdate({ clipContent: 'yes' }, 'frame').valid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isGradientFill,
+  isValidFill,
+  getFillColor,
+  createGradientFill,
+  getFillBox,
+  getFillProps,
+  getFillCss,
+  getGradientHandlePoints,
+  detectGradientHandle,
+  calculateGradientDrag
+} from '../gradients.js';
+import { validateCommand } from '../agentSchemas.js';
+
+describe('gradients', () => {
+  const stops = [{ offset: 0, color: '#ff0000' }, { offset: 1, color: '#0000ff' }];
+  const linear = { type: 'linear', angle: 0, stops };
+  const radial = { type: 'radial', center: { x: 0.5, y: 0.5 }, radius: 1, stops };
+  const rect = { id: 'rect-1', type: 'rectangle', x: 100, y: 100, width: 200, height: 100, fill: linear };
+
+  describe('isValidFill', () => {
+    it('should accept hex colors and well-formed gradients', () => {
+      expect(isValidFill('#808080')).toBe(true);
+      expect(isValidFill(linear)).toBe(true);
+      expect(isValidFill(radial)).toBe(true);
+    });
+
+    it('should reject bad colors, stop counts and radial geometry', () => {
+      expect(isValidFill('red')).toBe(false);
+      expect(isValidFill({ ...linear, stops: stops.slice(0, 1) })).toBe(false);
+      expect(isValidFill({ ...linear, stops: Array(9).fill(stops[0]) })).toBe(false);
+      expect(isValidFill({ ...linear, stops: [{ offset: 2, color: '#ff0000' }, stops[1]] })).toBe(false);
+      expect(isValidFill({ ...radial, center: { x: 1.5, y: 0.5 } })).toBe(false);
+      expect(isValidFill({ ...radial, radius: 0 })).toBe(false);
+      expect(isValidFill({ type: 'conic', stops })).toBe(false);
+    });
+  });
+
+  describe('getFillColor / createGradientFill', () => {
+    it('should stand for a gradient by its first stop', () => {
+      expect(getFillColor({ ...linear, stops: [...stops].reverse() })).toBe('#ff0000');
+      expect(getFillColor('#123456')).toBe('#123456');
+      expect(getFillColor(undefined)).toBe('#808080');
+    });
+
+    it('should fade a color to white and keep stops when switching type', () => {
+      expect(createGradientFill('linear', '#ff0000')).toEqual({
+        type: 'linear',
+        angle: 0,
+        stops: [{ offset: 0, color: '#ff0000' }, { offset: 1, color: '#ffffff' }]
+      });
+      const switched = createGradientFill('radial', linear);
+      expect(isGradientFill(switched)).toBe(true);
+      expect(switched).toMatchObject({ type: 'radial', center: { x: 0.5, y: 0.5 }, radius: 1, stops });
+    });
+  });
+
+  describe('getFillProps', () => {
+    it('should pass colors through as a plain fill', () => {
+      expect(getFillProps({ ...rect, fill: '#00ff00' })).toEqual({ fill: '#00ff00' });
+    });
+
+    it('should run a 0° linear gradient across a rectangle from left to right', () => {
+      expect(getFillProps(rect)).toEqual({
+        fillPriority: 'linear-gradient',
+        fillLinearGradientStartPoint: { x: 0, y: 50 },
+        fillLinearGradientEndPoint: { x: 200, y: 50 },
+        fillLinearGradientColorStops: [0, '#ff0000', 1, '#0000ff']
+      });
+    });
+
+    it('should lengthen diagonal gradients so the corners reach the end stops', () => {
+      const props = getFillProps({ ...rect, fill: { ...linear, angle: 45 } });
+      const start = props.fillLinearGradientStartPoint;
+      const end = props.fillLinearGradientEndPoint;
+      expect(Math.hypot(end.x - start.x, end.y - start.y)).toBeCloseTo(300 * Math.SQRT1_2);
+    });
+
+    it('should center radial gradients on the shape box', () => {
+      const circle = { type: 'circle', x: 50, y: 50, radiusX: 40, radiusY: 20, fill: radial };
+      expect(getFillBox(circle)).toEqual({ x: -40, y: -20, width: 80, height: 40 });
+      expect(getFillProps(circle)).toMatchObject({
+        fillPriority: 'radial-gradient',
+        fillRadialGradientStartPoint: { x: 0, y: 0 },
+        fillRadialGradientEndRadius: 40
+      });
+    });
+
+    it('should draw the first stop on shapes without gradient support', () => {
+      expect(getFillProps({ type: 'frame', fill: linear })).toEqual({ fill: '#ff0000' });
+    });
+  });
+
+  it('should build CSS for swatches', () => {
+    expect(getFillCss(linear)).toBe('linear-gradient(90deg, #ff0000 0%, #0000ff 100%)');
+    expect(getFillCss(radial)).toBe('radial-gradient(circle at 50% 50%, #ff0000 0%, #0000ff 100%)');
+  });
+
+  describe('gradient handles', () => {
+    it('should place linear handles on the canvas and follow rotation', () => {
+      expect(getGradientHandlePoints(rect)).toEqual({ start: { x: 100, y: 150 }, end: { x: 300, y: 150 } });
+
+      const rotated = getGradientHandlePoints({ ...rect, rotation: 90 });
+      expect(rotated.start.x).toBeCloseTo(200);
+      expect(rotated.start.y).toBeCloseTo(50);
+    });
+
+    it('should detect the handle under a click', () => {
+      expect(detectGradientHandle({ x: 298, y: 152 }, rect)).toBe('end');
+      expect(detectGradientHandle({ x: 200, y: 150 }, rect)).toBeNull();
+      expect(detectGradientHandle({ x: 300, y: 150 }, { ...rect, fill: '#ff0000' })).toBeNull();
+    });
+
+    it('should turn a linear gradient towards the dragged handle', () => {
+      expect(calculateGradientDrag(rect, 'end', { x: 200, y: 300 }).angle).toBe(90);
+      expect(calculateGradientDrag(rect, 'start', { x: 200, y: 0 }).angle).toBe(90);
+    });
+
+    it('should move the radial center inside the box and clamp the radius', () => {
+      const shape = { ...rect, fill: radial };
+      expect(calculateGradientDrag(shape, 'center', { x: 150, y: 500 }).center).toEqual({ x: 0.25, y: 1 });
+      expect(calculateGradientDrag(shape, 'radius', { x: 250, y: 150 }).radius).toBe(0.5);
+      expect(calculateGradientDrag(shape, 'radius', { x: 200, y: 150 }).radius).toBe(0.05);
+    });
+  });
+
+  describe('agent schemas', () => {
+    it('should accept gradient fills for shapes and property updates', () => {
+      const create = validateCommand({ type: 'createRectangle', position: { x: 0, y: 0 }, size: { width: 10, height: 10 }, fill: radial });
+      expect(create.success).toBe(true);
+      expect(create.data.fill).toEqual(radial);
+
+      const update = validateCommand({ type: 'updateObjectProperties', objectId: 'rect-1', properties: { fill: linear } });
+      expect(update.success).toBe(true);
+    });
+
+    it('should reject malformed gradients', () => {
+      const result = validateCommand({ type: 'createStar', position: { x: 0, y: 0 }, innerRadius: 10, outerRadius: 20, fill: { ...linear, stops: [stops[0]] } });
+      expect(result.success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeGrid,
+  getGridSnapStep,
+  snapToGrid,
+  snapPointToGrid,
+  getGridSnap,
+  getVisibleGridLines
+} from '../gridSnap.js';
+
+describe('gridSnap', () => {
+  describe('normalizeGrid', () => {
+    it('should fill in defaults for canvases without a grid', () => {
+      expect(normalizeGrid(undefined)).toEqual({ visible: false, snap: false, size: 50, subdivisions: 5 });
+      expect(normalizeGrid({ visible: true, size: 20 })).toMatchObject({ visible: true, size: 20, subdivisions: 5 });
+    });
+  });
+
+  describe('getGridSnapStep', () => {
+    it('should snap to the subdivision step only while snapping is on', () => {
+      expect(getGridSnapStep({ snap: true, size: 50, subdivisions: 5 })).toBe(10);
+      expect(getGridSnapStep({ snap: false, size: 50, subdivisions: 5 })).toBe(0);
+    });
+  });
+
+  describe('snapToGrid / snapPointToGrid', () => {
+    it('should round to the nearest grid line', () => {
+      expect(snapToGrid(14, 10)).toBe(10);
+      expect(snapToGrid(15, 10)).toBe(20);
+      expect(snapToGrid(14, 0)).toBe(14);
+      expect(snapPointToGrid({ x: 23, y: 38 }, 20)).toEqual({ x: 20, y: 40 });
+    });
+  });
+
+  describe('getGridSnap', () => {
+    const bounds = { x: 103, y: 48, width: 45, height: 30 };
+
+    it('should snap the top-left corner of a moved box', () => {
+      expect(getGridSnap(bounds, { left: true, top: true }, 10)).toEqual({ dx: -3, dy: 2 });
+    });
+
+    it('should only snap the edges a resize handle drags', () => {
+      expect(getGridSnap(bounds, { right: true }, 10)).toEqual({ dx: 2, dy: 0 });
+      expect(getGridSnap(bounds, { bottom: true }, 10)).toEqual({ dx: 0, dy: 2 });
+      expect(getGridSnap(bounds, { right: true }, 0)).toEqual({ dx: 0, dy: 0 });
+    });
+  });
+
+  describe('getVisibleGridLines', () => {
+    const grid = { visible: true, snap: false, size: 50, subdivisions: 5 };
+
+    it('should only return lines inside the viewport and the canvas', () => {
+      const lines = getVisibleGridLines({ x: -120, y: 4880, width: 230, height: 500 }, grid, 1);
+
+      expect(lines.major.xs).toEqual([50, 100]);
+      expect(lines.major.ys).toEqual([4900, 4950]);
+      expect(lines.minor.xs).toEqual([10, 20, 30, 40, 60, 70, 80, 90, 110]);
+    });
+
+    it('should drop subdivisions and thin out major lines when zoomed out', () => {
+      const zoomedOut = getVisibleGridLines({ x: 0, y: 0, width: 1000, height: 1000 }, grid, 0.5);
+      expect(zoomedOut.minor.xs).toEqual([]);
+      expect(zoomedOut.major.xs).toHaveLength(20);
+
+      const farOut = getVisibleGridLines({ x: 0, y: 0, width: 1000, height: 1000 }, grid, 0.05);
+      expect(farOut.major.xs).toEqual([200, 400, 600, 800, 1000]);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+  expandToGroups,
+  getSelectedGroup,
+  getGeometrySnapshot,
+  scaleGroupMembers,
+  rotateGroupMembers
+} from '../groupUtils.js';
+import { getObjectBounds, getCombinedBounds } from '../objectBounds.js';
+
+describe('groupUtils', () => {
+  const rect = { id: 'rect-1', type: 'rectangle', x: 0, y: 0, width: 100, height: 50, groupId: 'g1' };
+  const circle = { id: 'circle-1', type: 'circle', x: 200, y: 100, radius: 50, groupId: 'g1', groupName: 'Logo' };
+  const loose = { id: 'star-1', type: 'star', x: 500, y: 500, innerRadius: 20, outerRadius: 40 };
+  const objects = [rect, circle, loose];
+
+  describe('expandToGroups', () => {
+    it('should expand a grouped object to its whole group', () => {
+      expect(expandToGroups(['rect-1'], objects)).toEqual(['rect-1', 'circle-1']);
+    });
+
+    it('should keep ungrouped objects and de-duplicate members', () => {
+      expect(expandToGroups(['star-1', 'rect-1', 'circle-1'], objects)).toEqual(['star-1', 'rect-1', 'circle-1']);
+    });
+  });
+
+  describe('getSelectedGroup', () => {
+    it('should resolve a selection of exactly one whole group', () => {
+      const group = getSelectedGroup(['circle-1', 'rect-1'], objects);
+
+      expect(group.groupId).toBe('g1');
+      expect(group.groupName).toBe('Logo');
+      expect(group.members).toHaveLength(2);
+      expect(group.bounds).toEqual({ x: 0, y: 0, width: 250, height: 150 });
+    });
+
+    it('should return null for partial or mixed selections', () => {
+      expect(getSelectedGroup(['rect-1'], objects)).toBeNull();
+      expect(getSelectedGroup(['rect-1', 'star-1'], objects)).toBeNull();
+      expect(getSelectedGroup(['rect-1', 'circle-1', 'star-1'], objects)).toBeNull();
+    });
+  });
+
+  describe('getGeometrySnapshot', () => {
+    it('should capture only numeric geometry fields', () => {
+      expect(getGeometrySnapshot(rect)).toEqual({ x: 0, y: 0, width: 100, height: 50 });
+    });
+  });
+
+  describe('scaleGroupMembers', () => {
+    it('should scale members relative to the group bounds', () => {
+      const fromBounds = getCombinedBounds([rect, circle]);
+      const toBounds = { x: 0, y: 0, width: 500, height: 300 };
+
+      const updates = scaleGroupMembers([rect, circle], fromBounds, toBounds);
+
+      expect(updates['rect-1']).toEqual({ x: 0, y: 0, width: 200, height: 100 });
+      expect(updates['circle-1']).toEqual({ x: 400, y: 200, radiusX: 100, radiusY: 100, radius: 100 });
+    });
+  });
+
+  describe('rotateGroupMembers', () => {
+    it('should rotate member positions and rotation around the center', () => {
+      const updates = rotateGroupMembers([rect, circle], { x: 100, y: 100 }, 90);
+
+      // Rectangle center (50, 25) rotates to (175, 50) and stays stored by top-left
+      expect(updates['rect-1'].x).toBeCloseTo(125);
+      expect(updates['rect-1'].y).toBeCloseTo(25);
+      expect(updates['rect-1'].rotation).toBe(90);
+
+      // Circle center (200, 100) rotates to (100, 200)
+      expect(updates['circle-1'].x).toBeCloseTo(100);
+      expect(updates['circle-1'].y).toBeCloseTo(200);
+      expect(updates['circle-1'].rotation).toBe(90);
+    });
+  });
+
+  describe('getObjectBounds', () => {
+    it('should account for rotation of rectangles around their center', () => {
+      const bounds = getObjectBounds({ ...rect, rotation: 90 });
+
+      expect(bounds.x).toBeCloseTo(25);
+      expect(bounds.y).toBeCloseTo(-25);
+      expect(bounds.width).toBeCloseTo(50);
+      expect(bounds.height).toBeCloseTo(100);
+    });
+  });
+});
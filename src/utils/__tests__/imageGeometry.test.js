@@ -0,0 +1,162 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateImageFile,
+  getImageStoragePath,
+  fitImageSize,
+  getImageCrop,
+  isImageCropped,
+  isValidImageGeometry
+} from '../imageGeometry.js';
+import { calculateImageResize, calculateImageCrop } from '../resizeCalculators.js';
+import { detectResizeHandle } from '../handleDetector.js';
+import { getObjectBounds } from '../objectBounds.js';
+import { validateObjectUpdate } from '../resizeValidation.js';
+
+describe('imageGeometry', () => {
+  const image = {
+    id: 'image-1',
+    type: 'image',
+    x: 100,
+    y: 100,
+    width: 200,
+    height: 100,
+    src: 'https://example.com/photo.png',
+    naturalWidth: 400,
+    naturalHeight: 200
+  };
+
+  describe('validateImageFile', () => {
+    it('should accept PNG, JPEG and SVG files', () => {
+      for (const type of ['image/png', 'image/jpeg', 'image/svg+xml']) {
+        expect(validateImageFile({ type, size: 1024 }).valid).toBe(true);
+      }
+    });
+
+    it('should reject other types and oversized files', () => {
+      expect(validateImageFile({ type: 'image/gif', size: 1024 }).valid).toBe(false);
+      expect(validateImageFile({ type: 'image/png', size: 20 * 1024 * 1024 }).valid).toBe(false);
+      expect(validateImageFile(null).valid).toBe(false);
+    });
+  });
+
+  describe('getImageStoragePath', () => {
+    it('should store files under the canvas images folder', () => {
+      expect(getImageStoragePath('canvas-1', 'abc', 'image/svg+xml')).toBe('canvases/canvas-1/images/abc.svg');
+    });
+  });
+
+  describe('fitImageSize', () => {
+    it('should scale large images down to fit, keeping the aspect ratio', () => {
+      expect(fitImageSize(1200, 600)).toEqual({ width: 600, height: 300 });
+    });
+
+    it('should place small images at their own size', () => {
+      expect(fitImageSize(120, 80)).toEqual({ width: 120, height: 80 });
+    });
+
+    it('should fall back to a square for SVGs without a size', () => {
+      expect(fitImageSize(0, 0)).toEqual({ width: 300, height: 300 });
+    });
+  });
+
+  describe('crop', () => {
+    it('should show the whole file without a crop', () => {
+      expect(getImageCrop(image)).toEqual({ x: 0, y: 0, width: 400, height: 200 });
+      expect(isImageCropped(image)).toBe(false);
+    });
+
+    it('should detect a cropped image', () => {
+      expect(isImageCropped({ ...image, crop: { x: 50, y: 0, width: 350, height: 200 } })).toBe(true);
+    });
+  });
+
+  describe('isValidImageGeometry', () => {
+    it('should require a source, a box and the file size', () => {
+      expect(isValidImageGeometry(image)).toBe(true);
+      expect(isValidImageGeometry({ ...image, src: '' })).toBe(false);
+      expect(isValidImageGeometry({ ...image, naturalWidth: 0 })).toBe(false);
+    });
+  });
+
+  describe('bounds and handles', () => {
+    it('should rotate around the box center like rectangles', () => {
+      const bounds = getObjectBounds({ ...image, rotation: 90 });
+
+      expect(bounds.x).toBeCloseTo(150);
+      expect(bounds.y).toBeCloseTo(50);
+      expect(bounds.width).toBeCloseTo(100);
+      expect(bounds.height).toBeCloseTo(200);
+    });
+
+    it('should detect corner handles on rotated images', () => {
+      expect(detectResizeHandle({ x: 300, y: 200 }, image)).toBe('se');
+      // Rotated 90° around the center, the nw corner sits at the top-right on screen
+      expect(detectResizeHandle({ x: 250, y: 50 }, { ...image, rotation: 90 })).toBe('nw');
+    });
+  });
+
+  describe('calculateImageResize', () => {
+    it('should keep the aspect ratio', () => {
+      const resized = calculateImageResize(image, 'se', 100, 10);
+
+      expect(resized).toMatchObject({ x: 100, y: 100, width: 300, height: 150 });
+    });
+
+    it('should keep the opposite corner fixed', () => {
+      const resized = calculateImageResize(image, 'nw', -100, 0);
+
+      expect(resized).toMatchObject({ x: 0, y: 50, width: 300, height: 150 });
+    });
+
+    it('should stretch freely with Shift', () => {
+      const resized = calculateImageResize(image, 'se', 100, 10, 2, true);
+
+      expect(resized).toMatchObject({ width: 300, height: 110 });
+    });
+
+    it('should keep the fixed corner in place on rotated images', () => {
+      const rotated = { ...image, rotation: 90 };
+      // The unrotated nw corner sits at the top-right on screen
+      const fixedBefore = { x: 250, y: 50 };
+      const resized = calculateImageResize(rotated, 'se', -20, 100);
+      const center = { x: resized.x + resized.width / 2, y: resized.y + resized.height / 2 };
+
+      // The drag moves 100px along the image's own x axis
+      expect(resized.width).toBeCloseTo(300);
+      expect(resized.height).toBeCloseTo(150);
+      // Rotating the new nw corner 90° around the new center lands on the same spot
+      expect(center.x - (resized.y - center.y)).toBeCloseTo(fixedBefore.x);
+      expect(center.y + (resized.x - center.x)).toBeCloseTo(fixedBefore.y);
+    });
+
+    it('should not change the crop', () => {
+      const cropped = { ...image, crop: { x: 0, y: 0, width: 200, height: 100 } };
+
+      expect(calculateImageResize(cropped, 'se', 200, 100).crop).toEqual(cropped.crop);
+    });
+  });
+
+  describe('calculateImageCrop', () => {
+    it('should trim the file from the dragged edges at the current scale', () => {
+      const cropped = calculateImageCrop(image, 'nw', 50, 20);
+
+      // The box shows the file at half size, so 50px on screen is 100px of the file
+      expect(cropped).toMatchObject({ x: 150, y: 120, width: 150, height: 80 });
+      expect(cropped.crop).toEqual({ x: 100, y: 40, width: 300, height: 160 });
+    });
+
+    it('should not reveal more than the file', () => {
+      const cropped = calculateImageCrop({ ...image, crop: { x: 100, y: 0, width: 300, height: 200 }, width: 150 }, 'sw', -200, 50);
+
+      expect(cropped.crop.x).toBe(0);
+      expect(cropped.crop.height).toBe(200);
+      expect(cropped).toMatchObject({ x: 50, width: 200, height: 100 });
+    });
+
+    it('should validate crop updates', () => {
+      expect(validateObjectUpdate({ crop: { x: 0, y: 0, width: 10, height: 10 } }, 'image').valid).toBe(true);
+      expect(validateObjectUpdate({ crop: { x: 0 } }, 'image').valid).toBe(false);
+      expect(validateObjectUpdate({ crop: null, opacity: 0.5 }, 'image').sanitizedUpdate).toEqual({ crop: null, opacity: 0.5 });
+    });
+  });
+});
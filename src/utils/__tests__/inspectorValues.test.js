@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MIXED,
+  getInspectorBox,
+  getInspectorValues,
+  getInspectorUpdates,
+  getInspectorEntries,
+  getChangedProperties
+} from '../inspectorValues.js';
+
+describe('inspectorValues', () => {
+  const rect = { id: 'rect-1', type: 'rectangle', x: 10, y: 20, width: 100, height: 50, rotation: 30, fill: '#ff0000' };
+  const circle = { id: 'circle-1', type: 'circle', x: 200, y: 200, radiusX: 40, radiusY: 20, fill: '#ff0000' };
+  const star = { id: 'star-1', type: 'star', x: 0, y: 0, numPoints: 5, innerRadius: 20, outerRadius: 40 };
+
+  describe('getInspectorBox', () => {
+    it('should show the unrotated box of shapes stored by their center', () => {
+      expect(getInspectorBox(circle)).toEqual({ x: 160, y: 180, width: 80, height: 40 });
+      expect(getInspectorBox(rect)).toEqual({ x: 10, y: 20, width: 100, height: 50 });
+    });
+  });
+
+  describe('getInspectorValues', () => {
+    it('should return null without a selection', () => {
+      expect(getInspectorValues([])).toBeNull();
+    });
+
+    it('should show shared values and MIXED for differing ones', () => {
+      const values = getInspectorValues([rect, { ...rect, id: 'rect-2', x: 50, rotation: 30 }]);
+
+      expect(values.x).toBe(MIXED);
+      expect(values.y).toBe(20);
+      expect(values.rotation).toBe(30);
+      expect(values.fill).toBe('#ff0000');
+      expect(values.radius).toBe(0);
+    });
+
+    it('should only include sections that apply to every selected object', () => {
+      const values = getInspectorValues([rect, circle]);
+
+      expect(values.radius).toBeUndefined();
+      expect(values.fill).toBe('#ff0000');
+      expect(values.stroke).toMatchObject({ width: 1, align: 'center' });
+      expect(values.text).toBeUndefined();
+      expect(getInspectorValues([{ id: 'line-1', type: 'line', x: 0, y: 0, points: [0, 0, 10, 0] }]).fill).toBeUndefined();
+    });
+
+    it('should read per-corner radii that differ as MIXED', () => {
+      expect(getInspectorValues([{ ...rect, cornerRadius: [4, 4, 0, 0] }]).radius).toBe(MIXED);
+      expect(getInspectorValues([{ ...rect, cornerRadius: [8, 8, 8, 8] }]).radius).toBe(8);
+    });
+
+    it('should show text properties with defaults for text objects', () => {
+      const values = getInspectorValues([{ id: 'text-1', type: 'text', x: 0, y: 0, text: 'Hi', fontSize: 32, align: 'center' }]);
+
+      expect(values.text).toMatchObject({ fontSize: 32, align: 'center', lineHeight: 1.2, letterSpacing: 0 });
+    });
+  });
+
+  describe('getInspectorUpdates', () => {
+    it('should move shapes so their box lands on the typed position', () => {
+      expect(getInspectorUpdates(circle, { x: 0 })).toEqual({ x: 40 });
+      expect(getInspectorUpdates(rect, { y: 0 })).toEqual({ y: 0 });
+    });
+
+    it('should resize along one axis, keeping the top-left corner', () => {
+      expect(getInspectorUpdates(rect, { width: 200 })).toEqual({ x: 10, y: 20, width: 200, height: 50 });
+      expect(getInspectorUpdates(circle, { height: 80 })).toMatchObject({ x: 200, y: 220, radiusX: 40, radiusY: 40 });
+    });
+
+    it('should scale stars and polygons evenly', () => {
+      expect(getInspectorUpdates(star, { width: 160 })).toMatchObject({ outerRadius: 80, innerRadius: 40 });
+      expect(getInspectorUpdates(star, { radius: 20 })).toEqual({ outerRadius: 20, innerRadius: 10 });
+    });
+
+    it('should give text boxes a fixed size once a height is typed', () => {
+      const text = { id: 'text-1', type: 'text', x: 0, y: 0, text: 'Hi', sizing: 'autoWidth' };
+
+      expect(getInspectorUpdates(text, { width: 300 })).toEqual({ width: 300, sizing: 'autoHeight' });
+      expect(getInspectorUpdates(text, { height: 90 })).toEqual({ height: 90, sizing: 'fixed' });
+    });
+
+    it('should normalize rotation and pass other properties through', () => {
+      expect(getInspectorUpdates(rect, { rotation: -90, fill: '#00ff00' })).toEqual({ rotation: 270, fill: '#00ff00' });
+    });
+  });
+
+  describe('getChangedProperties', () => {
+    it('should keep only changed properties with their previous values', () => {
+      expect(getChangedProperties(rect, { x: 10, width: 120, cornerRadius: 4 })).toEqual({
+        updates: { width: 120, cornerRadius: 4 },
+        before: { width: 100, cornerRadius: null }
+      });
+      expect(getChangedProperties(rect, { x: 10 })).toBeNull();
+    });
+  });
+
+  describe('getInspectorEntries', () => {
+    const box = { id: 'box-1', type: 'rectangle', x: 100, y: 100, width: 100, height: 50 };
+    const other = { id: 'box-2', type: 'rectangle', x: 300, y: 200, width: 50, height: 50 };
+    const updatesById = (entries) => Object.fromEntries(entries.map(entry => [entry.id, entry.updates]));
+
+    it('should move a multi-selection as one unit so its left edge lands on X', () => {
+      const entries = getInspectorEntries([box, other], [box, other], { x: 0 });
+
+      expect(updatesById(entries)).toEqual({
+        'box-1': { x: 0, y: 100 },
+        'box-2': { x: 200, y: 200 }
+      });
+      expect(entries[0].before).toEqual({ x: 100, y: 100 });
+    });
+
+    it('should move frame children with their frame', () => {
+      const frame = { id: 'frame-1', type: 'frame', x: 500, y: 500, width: 200, height: 200 };
+      const child = { id: 'child-1', type: 'rectangle', x: 550, y: 560, width: 20, height: 20, frameId: 'frame-1' };
+
+      expect(updatesById(getInspectorEntries([frame], [frame, child], { y: 400 }))).toEqual({
+        'frame-1': { x: 500, y: 400 },
+        'child-1': { x: 550, y: 460 }
+      });
+    });
+
+    it('should reroute connectors attached to moved and resized shapes', () => {
+      const connector = {
+        id: 'line-1', type: 'line', x: 200, y: 125, points: [0, 0, 100, 100],
+        startBinding: { objectId: 'box-1', anchor: 'right' },
+        endBinding: { objectId: 'box-2', anchor: 'left' }
+      };
+      const objects = [box, other, connector];
+
+      const moved = updatesById(getInspectorEntries([box], objects, { x: 0 }));
+      expect(moved['line-1']).toMatchObject({ x: 100, y: 125 });
+
+      const resized = updatesById(getInspectorEntries([box], objects, { width: 150 }));
+      expect(resized['box-1']).toMatchObject({ width: 150 });
+      expect(resized['line-1']).toMatchObject({ x: 250, y: 125 });
+    });
+
+    it('should apply other fields to each selected object', () => {
+      expect(getInspectorEntries([box, other], [box, other], { fill: '#00ff00' })).toEqual([
+        { id: 'box-1', updates: { fill: '#00ff00' }, before: { fill: null } },
+        { id: 'box-2', updates: { fill: '#00ff00' }, before: { fill: null } }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getLineEndpoints,
+  buildLineGeometry,
+  getLineLength,
+  constrainLineAngle,
+  distanceToSegment,
+  isPointNearLine
+} from '../lineGeometry.js';
+import { getObjectBounds } from '../objectBounds.js';
+import { detectLineHandle } from '../handleDetector.js';
+import { scaleGroupMembers } from '../groupUtils.js';
+
+describe('lineGeometry', () => {
+  const line = { id: 'line-1', type: 'line', x: 100, y: 100, points: [0, 0, 200, 0], strokeWidth: 2 };
+
+  describe('getLineEndpoints', () => {
+    it('should return absolute endpoints', () => {
+      expect(getLineEndpoints(line)).toEqual({
+        start: { x: 100, y: 100 },
+        end: { x: 300, y: 100 }
+      });
+    });
+
+    it('should rotate the end point around the start point', () => {
+      const { start, end } = getLineEndpoints({ ...line, rotation: 90 });
+
+      expect(start).toEqual({ x: 100, y: 100 });
+      expect(end.x).toBeCloseTo(100);
+      expect(end.y).toBeCloseTo(300);
+    });
+  });
+
+  describe('buildLineGeometry', () => {
+    it('should store the start point and a relative end point without rotation', () => {
+      expect(buildLineGeometry({ x: 50, y: 60 }, { x: 10, y: 160 })).toEqual({
+        x: 50,
+        y: 60,
+        points: [0, 0, -40, 100],
+        rotation: 0
+      });
+    });
+  });
+
+  describe('getLineLength', () => {
+    it('should measure the distance between endpoints', () => {
+      expect(getLineLength({ ...line, points: [0, 0, 30, 40] })).toBe(50);
+    });
+  });
+
+  describe('constrainLineAngle', () => {
+    it('should snap to the nearest 45° increment and keep the length', () => {
+      const point = constrainLineAngle({ x: 0, y: 0 }, { x: 100, y: 10 });
+
+      expect(point.x).toBeCloseTo(Math.hypot(100, 10));
+      expect(point.y).toBeCloseTo(0);
+    });
+
+    it('should snap near-diagonal drags to 45°', () => {
+      const point = constrainLineAngle({ x: 0, y: 0 }, { x: 100, y: 90 });
+
+      expect(point.x).toBeCloseTo(point.y);
+    });
+  });
+
+  describe('hit testing', () => {
+    it('should measure distance to the closest point of the segment', () => {
+      expect(distanceToSegment({ x: 50, y: 10 }, { x: 0, y: 0 }, { x: 100, y: 0 })).toBe(10);
+      expect(distanceToSegment({ x: 130, y: 40 }, { x: 0, y: 0 }, { x: 100, y: 0 })).toBe(50);
+    });
+
+    it('should hit points within the stroke plus tolerance', () => {
+      expect(isPointNearLine({ x: 200, y: 105 }, line)).toBe(true);
+      expect(isPointNearLine({ x: 200, y: 120 }, line)).toBe(false);
+      expect(isPointNearLine({ x: 200, y: 120 }, { ...line, strokeWidth: 30 })).toBe(true);
+    });
+  });
+
+  describe('integration', () => {
+    it('should give lines a bounding box in objectBounds', () => {
+      expect(getObjectBounds({ ...line, points: [0, 0, -50, 80] })).toEqual({
+        x: 50,
+        y: 100,
+        width: 50,
+        height: 80
+      });
+    });
+
+    it('should detect endpoint handles', () => {
+      expect(detectLineHandle({ x: 102, y: 98 }, line)).toBe('start');
+      expect(detectLineHandle({ x: 298, y: 101 }, line)).toBe('end');
+      expect(detectLineHandle({ x: 200, y: 100 }, line)).toBeNull();
+    });
+
+    it('should scale both endpoints when a group is resized', () => {
+      const updates = scaleGroupMembers(
+        [line],
+        { x: 100, y: 100, width: 200, height: 1 },
+        { x: 100, y: 100, width: 400, height: 1 }
+      );
+
+      expect(updates['line-1'].x).toBe(100);
+      expect(updates['line-1'].points).toEqual([0, 0, 400, 0]);
+    });
+  });
+});
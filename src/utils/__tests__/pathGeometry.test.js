@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import {
+  simplifyPoints,
+  buildPathGeometry,
+  scalePathPoints,
+  isPointNearPath,
+  encodePathPoints,
+  decodePathPoints
+} from '../pathGeometry.js';
+import { calculatePathResize } from '../resizeCalculators.js';
+import { getObjectBounds } from '../objectBounds.js';
+import { detectPathHandle } from '../handleDetector.js';
+
+describe('pathGeometry', () => {
+  const path = {
+    id: 'path-1',
+    type: 'path',
+    x: 100,
+    y: 100,
+    width: 100,
+    height: 50,
+    points: [0, 0, 50, 50, 100, 0],
+    strokeWidth: 2
+  };
+
+  describe('simplifyPoints', () => {
+    it('should drop points that stay within the tolerance', () => {
+      const jittery = [0, 0, 10, 0.4, 20, -0.3, 30, 0.2, 40, 0];
+
+      expect(simplifyPoints(jittery, 1)).toEqual([0, 0, 40, 0]);
+    });
+
+    it('should keep corners that exceed the tolerance', () => {
+      const corner = [0, 0, 10, 0, 20, 0, 20, 10, 20, 20];
+
+      expect(simplifyPoints(corner, 1)).toEqual([0, 0, 20, 0, 20, 20]);
+    });
+
+    it('should leave one- and two-point strokes alone', () => {
+      expect(simplifyPoints([5, 5], 1)).toEqual([5, 5]);
+      expect(simplifyPoints([5, 5, 6, 6], 1)).toEqual([5, 5, 6, 6]);
+    });
+  });
+
+  describe('buildPathGeometry', () => {
+    it('should store the box top-left and points relative to it', () => {
+      expect(buildPathGeometry([150, 120, 110, 180, 190, 140])).toEqual({
+        x: 110,
+        y: 120,
+        width: 80,
+        height: 60,
+        points: [40, 0, 0, 60, 80, 20],
+        rotation: 0
+      });
+    });
+
+    it('should keep a non-zero box for straight strokes', () => {
+      expect(buildPathGeometry([10, 10, 50, 10]).height).toBe(1);
+    });
+  });
+
+  describe('hit testing', () => {
+    it('should hit points near the stroke only', () => {
+      expect(isPointNearPath({ x: 125, y: 127 }, path)).toBe(true);
+      expect(isPointNearPath({ x: 150, y: 110 }, path)).toBe(false);
+    });
+
+    it('should follow rotation around the box center', () => {
+      const rotated = { ...path, rotation: 180 };
+
+      // The middle vertex (150, 150) flips to (150, 100)
+      expect(isPointNearPath({ x: 150, y: 100 }, rotated)).toBe(true);
+      expect(isPointNearPath({ x: 150, y: 150 }, rotated)).toBe(false);
+    });
+  });
+
+  describe('RTDB encoding', () => {
+    it('should round-trip points through a compact string', () => {
+      const encoded = encodePathPoints([0, 0, 12.345, 3.06]);
+
+      expect(encoded).toBe('0,0,12.3,3.1');
+      expect(decodePathPoints(encoded)).toEqual([0, 0, 12.3, 3.1]);
+      expect(decodePathPoints([1, 2])).toEqual([1, 2]);
+    });
+  });
+
+  describe('integration', () => {
+    it('should give paths a rotation-aware bounding box', () => {
+      expect(getObjectBounds(path)).toEqual({ x: 100, y: 100, width: 100, height: 50 });
+
+      const rotated = getObjectBounds({ ...path, rotation: 90 });
+      expect(rotated.x).toBeCloseTo(125);
+      expect(rotated.width).toBeCloseTo(50);
+      expect(rotated.height).toBeCloseTo(100);
+    });
+
+    it('should scale points with the box when resized', () => {
+      const resized = calculatePathResize(path, 'se', 100, 50);
+
+      expect(resized).toMatchObject({ x: 100, y: 100, width: 200, height: 100 });
+      expect(resized.points).toEqual(scalePathPoints(path.points, 2, 2));
+    });
+
+    it('should keep the opposite corner fixed when resizing a rotated path', () => {
+      // Rotated 180°, the unrotated nw corner is drawn at the bottom right (200, 150)
+      const rotated = { ...path, rotation: 180 };
+      const resized = calculatePathResize(rotated, 'se', -100, -50);
+
+      expect(getObjectBounds(resized).x + getObjectBounds(resized).width).toBeCloseTo(200);
+      expect(getObjectBounds(resized).y + getObjectBounds(resized).height).toBeCloseTo(150);
+      expect(resized.width).toBeCloseTo(200);
+    });
+
+    it('should detect corner handles', () => {
+      expect(detectPathHandle({ x: 198, y: 148 }, path)).toBe('se');
+      expect(detectPathHandle({ x: 101, y: 99 }, path)).toBe('nw');
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import {
+  clampPolygonSides,
+  getPolygonVertices,
+  getPolygonLocalBounds,
+  isPointInRegularPolygon,
+  isValidPolygonGeometry
+} from '../polygonGeometry.js';
+import { calculatePolygonResize } from '../resizeCalculators.js';
+import { detectResizeHandle } from '../handleDetector.js';
+
+describe('polygonGeometry', () => {
+  const hexagon = { id: 'poly-1', type: 'polygon', x: 200, y: 200, radius: 50, sides: 6 };
+  const triangle = { id: 'poly-2', type: 'polygon', x: 200, y: 200, radius: 50, sides: 3 };
+
+  describe('clampPolygonSides', () => {
+    it('should round and clamp side counts to 3-12', () => {
+      expect(clampPolygonSides(2)).toBe(3);
+      expect(clampPolygonSides(5.6)).toBe(6);
+      expect(clampPolygonSides(40)).toBe(12);
+      expect(clampPolygonSides('nope')).toBe(6);
+    });
+  });
+
+  describe('getPolygonVertices', () => {
+    it('should put the first vertex straight above the center', () => {
+      const vertices = getPolygonVertices(triangle);
+
+      expect(vertices).toHaveLength(3);
+      expect(vertices[0].x).toBeCloseTo(200);
+      expect(vertices[0].y).toBeCloseTo(150);
+    });
+
+    it('should rotate vertices about the center', () => {
+      const [first] = getPolygonVertices({ ...triangle, rotation: 90 });
+
+      expect(first.x).toBeCloseTo(250);
+      expect(first.y).toBeCloseTo(200);
+    });
+  });
+
+  describe('getPolygonLocalBounds', () => {
+    it('should use the vertices rather than the radius for odd side counts', () => {
+      const bounds = getPolygonLocalBounds(triangle);
+
+      expect(bounds.y).toBeCloseTo(150);
+      expect(bounds.height).toBeCloseTo(75);
+      expect(bounds.width).toBeCloseTo(50 * Math.sqrt(3));
+    });
+  });
+
+  describe('isPointInRegularPolygon', () => {
+    it('should hit-test against the polygon outline', () => {
+      expect(isPointInRegularPolygon({ x: 200, y: 200 }, hexagon)).toBe(true);
+      // Triangle bottom edge sits at y = 225
+      expect(isPointInRegularPolygon({ x: 200, y: 240 }, triangle)).toBe(false);
+      expect(isPointInRegularPolygon({ x: 200, y: 240 }, hexagon)).toBe(true);
+    });
+  });
+
+  describe('isValidPolygonGeometry', () => {
+    it('should require a positive radius and a whole side count in range', () => {
+      expect(isValidPolygonGeometry(hexagon)).toBe(true);
+      expect(isValidPolygonGeometry({ ...hexagon, radius: 0 })).toBe(false);
+      expect(isValidPolygonGeometry({ ...hexagon, sides: 2 })).toBe(false);
+      expect(isValidPolygonGeometry({ ...hexagon, sides: 4.5 })).toBe(false);
+    });
+  });
+
+  describe('resize', () => {
+    it('should scale the radius by the drag distance from the center', () => {
+      const resized = calculatePolygonResize(hexagon, 'se', { x: 300, y: 200 }, { x: 250, y: 200 });
+
+      expect(resized.radius).toBeCloseTo(100);
+      expect(resized.sides).toBe(6);
+      expect(resized.x).toBe(200);
+    });
+
+    it('should detect corner handles on the vertex bounds', () => {
+      const bounds = getPolygonLocalBounds(triangle);
+      const handle = detectResizeHandle(
+        { x: bounds.x + bounds.width, y: bounds.y + bounds.height },
+        triangle
+      );
+
+      expect(handle).toBe('se');
+    });
+  });
+});
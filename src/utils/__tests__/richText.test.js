@@ -0,0 +1,168 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getTextRuns,
+  toStoredRuns,
+  spliceRuns,
+  applyRunStyle,
+  clearRunStyle,
+  getRangeStyle,
+  getBaseTextStyle,
+  spliceListStyles,
+  setListStyle,
+  layoutRichText,
+  getTextOffsetAt
+} from '../richText.js';
+import { calculateTextResize } from '../resizeCalculators.js';
+import { validateObjectUpdate } from '../resizeValidation.js';
+
+// Every character is half the font size wide (bold adds a little)
+const measure = (text, fontSize, fontFamily, fontStyle) =>
+  text.length * fontSize * (fontStyle.includes('bold') ? 0.6 : 0.5);
+
+describe('richText', () => {
+  const text = {
+    id: 'text-1',
+    type: 'text',
+    x: 100,
+    y: 100,
+    text: 'Hello bold world',
+    fontSize: 20,
+    width: 400
+  };
+
+  describe('runs', () => {
+    it('should treat objects without runs as one run', () => {
+      expect(getTextRuns(text)).toEqual([{ text: 'Hello bold world' }]);
+      expect(getTextRuns({ ...text, runs: [{ text: 'stale' }] })).toEqual([{ text: 'Hello bold world' }]);
+    });
+
+    it('should style one word and merge it back when unstyled', () => {
+      const runs = applyRunStyle(getTextRuns(text), 6, 10, { bold: true });
+      expect(runs).toEqual([{ text: 'Hello ' }, { text: 'bold', bold: true }, { text: ' world' }]);
+
+      expect(toStoredRuns(applyRunStyle(runs, 6, 10, { bold: undefined }))).toBeNull();
+      expect(toStoredRuns(clearRunStyle(runs, ['bold']))).toBeNull();
+    });
+
+    it('should continue the style of the character before typed text', () => {
+      const runs = applyRunStyle(getTextRuns(text), 6, 10, { bold: true });
+      const typed = spliceRuns(runs, 10, 10, 'er');
+      expect(typed[1]).toEqual({ text: 'bolder', bold: true });
+
+      const replaced = spliceRuns(runs, 0, 5, 'Hi');
+      expect(replaced[0]).toEqual({ text: 'Hi ' });
+    });
+
+    it('should report mixed styles as undefined', () => {
+      const runs = applyRunStyle(getTextRuns(text), 6, 10, { bold: true, fill: '#ff0000' });
+      const style = getRangeStyle(getBaseTextStyle(text), runs, 0, 10);
+      expect(style.bold).toBeUndefined();
+      expect(style.fontSize).toBe(20);
+      expect(getRangeStyle(getBaseTextStyle(text), runs, 6, 10).fill).toBe('#ff0000');
+    });
+  });
+
+  describe('lists', () => {
+    it('should continue a list on new paragraphs', () => {
+      const styles = setListStyle(['none'], 'one', 0, 0, 'bullet');
+      expect(spliceListStyles(styles, 'one', 3, 3, '\ntwo')).toEqual(['bullet', 'bullet']);
+      expect(spliceListStyles(['bullet', 'none'], 'one\ntwo', 3, 4, '')).toEqual(['bullet']);
+    });
+  });
+
+  describe('layoutRichText', () => {
+    it('should size auto-width text to its longest paragraph', () => {
+      const layout = layoutRichText({ ...text, text: 'abcd\nab', sizing: 'autoWidth' }, measure);
+      expect(layout.width).toBe(40);
+      expect(layout.lines).toHaveLength(2);
+      expect(layout.height).toBe(2 * 20 * 1.2);
+    });
+
+    it('should wrap at the box width and grow in height', () => {
+      const layout = layoutRichText({ ...text, width: 100 }, measure);
+      expect(layout.lines.map(line => line.fragments.map(f => f.text).join(''))).toEqual(['Hello bold ', 'world']);
+      expect(layout.width).toBe(100);
+      expect(layout.height).toBe(2 * 24);
+    });
+
+    it('should break words longer than the box', () => {
+      const layout = layoutRichText({ ...text, text: 'abcdefghij', width: 50 }, measure);
+      expect(layout.lines).toHaveLength(2);
+    });
+
+    it('should line up runs of different sizes on one baseline', () => {
+      const runs = applyRunStyle(getTextRuns(text), 6, 10, { fontSize: 40 });
+      const layout = layoutRichText({ ...text, runs }, measure);
+      const [small, big] = layout.lines[0].fragments;
+      expect(layout.lines[0].height).toBe(40 * 1.2);
+      expect(small.y + 20 * 0.8).toBeCloseTo(big.y + 40 * 0.8);
+    });
+
+    it('should align lines and apply letter spacing', () => {
+      const centered = layoutRichText({ ...text, text: 'ab', align: 'center', width: 100 }, measure);
+      expect(centered.lines[0].fragments[0].x).toBe(40);
+
+      const spaced = layoutRichText({ ...text, text: 'ab', letterSpacing: 5, sizing: 'autoWidth' }, measure);
+      expect(spaced.width).toBe(30);
+    });
+
+    it('should place fixed-size text by its vertical alignment', () => {
+      const layout = layoutRichText({ ...text, text: 'ab', sizing: 'fixed', height: 100, verticalAlign: 'bottom' }, measure);
+      expect(layout.height).toBe(100);
+      expect(layout.lines[0].y).toBe(100 - 24);
+    });
+
+    it('should number list paragraphs and indent their text', () => {
+      const layout = layoutRichText({ ...text, text: 'one\ntwo', listStyles: ['number', 'number'] }, measure);
+      expect(layout.lines[1].fragments[0]).toMatchObject({ text: '2.', isMarker: true });
+      expect(layout.lines[1].fragments[1].x).toBe(20 * 1.5);
+    });
+  });
+
+  describe('getTextOffsetAt', () => {
+    it('should place the caret at the nearest character boundary', () => {
+      // 'Hello bold world' at 10px per character
+      expect(getTextOffsetAt(text, { x: 100, y: 110 }, measure)).toBe(0);
+      expect(getTextOffsetAt(text, { x: 124, y: 110 }, measure)).toBe(2);
+      expect(getTextOffsetAt(text, { x: 126, y: 110 }, measure)).toBe(3);
+      expect(getTextOffsetAt(text, { x: 390, y: 110 }, measure)).toBe(16);
+    });
+
+    it('should find the clicked line of wrapped text', () => {
+      const wrapped = { ...text, width: 100 };
+      expect(getTextOffsetAt(wrapped, { x: 100, y: 130 }, measure)).toBe(11);
+      expect(getTextOffsetAt(wrapped, { x: 100, y: 500 }, measure)).toBe(11);
+    });
+
+    it('should follow the text rotation', () => {
+      const rotated = { ...text, rotation: 90 };
+      expect(getTextOffsetAt(rotated, { x: 90, y: 130 }, measure)).toBe(3);
+    });
+  });
+
+  describe('calculateTextResize', () => {
+    it('should turn auto-width text into a wrapping box', () => {
+      const resized = calculateTextResize({ ...text, sizing: 'autoWidth' }, 'se', 20, 50);
+      expect(resized.sizing).toBe('autoHeight');
+      expect(resized.height).toBeUndefined();
+    });
+
+    it('should resize both sides of fixed-size text', () => {
+      const resized = calculateTextResize({ ...text, sizing: 'fixed', height: 100 }, 'nw', -10, -20);
+      expect(resized).toMatchObject({ x: 90, y: 80, width: 410, height: 120, sizing: 'fixed' });
+    });
+  });
+
+  describe('validateObjectUpdate', () => {
+    it('should accept rich text fields', () => {
+      const update = { runs: [{ text: 'a', bold: true }], listStyles: ['bullet'], align: 'center', sizing: 'fixed', height: 50 };
+      expect(validateObjectUpdate(update, 'text').valid).toBe(true);
+    });
+
+    it('should reject invalid rich text fields', () => {
+      expect(validateObjectUpdate({ align: 'justify' }, 'text').valid).toBe(false);
+      expect(validateObjectUpdate({ listStyles: ['dash'] }, 'text').valid).toBe(false);
+      expect(validateObjectUpdate({ runs: 'a' }, 'text').valid).toBe(false);
+    });
+  });
+});
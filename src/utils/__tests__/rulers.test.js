@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { getRulerTicks, getRulerGuides } from '../rulers.js';
+
+describe('rulers', () => {
+  describe('getRulerTicks', () => {
+    it('should label ticks far enough apart to read at the zoom level', () => {
+      const { step, ticks } = getRulerTicks(95, 205, 1);
+
+      expect(step).toBe(50);
+      expect(ticks.map(tick => tick.value)).toEqual([100, 110, 120, 130, 140, 150, 160, 170, 180, 190, 200]);
+      expect(ticks.filter(tick => tick.labelled).map(tick => tick.value)).toEqual([100, 150, 200]);
+    });
+
+    it('should use finer steps when zoomed in and coarser ones when zoomed out', () => {
+      expect(getRulerTicks(0, 10, 25).step).toBe(2);
+      expect(getRulerTicks(0, 5000, 0.1).step).toBe(500);
+      expect(getRulerTicks(0, 5000, 0.001).step).toBe(5000);
+    });
+
+    it('should draw no ticks for a viewport with no size (zoom 0)', () => {
+      expect(getRulerTicks(-Infinity, Infinity, 0).ticks).toEqual([]);
+      expect(getRulerTicks(NaN, NaN, 0).ticks).toEqual([]);
+    });
+  });
+
+  describe('getRulerGuides', () => {
+    it('should list stored guides and skip malformed ones', () => {
+      expect(getRulerGuides({
+        b: { axis: 'y', position: 300 },
+        a: { axis: 'x', position: 120 },
+        c: { axis: 'z', position: 10 },
+        d: { axis: 'x' }
+      })).toEqual([
+        { id: 'a', axis: 'x', position: 120 },
+        { id: 'b', axis: 'y', position: 300 }
+      ]);
+      expect(getRulerGuides(undefined)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createSnapIndex,
+  createGuideIndex,
+  getGuideSnap,
+  getMoveSnap,
+  getResizeSnap,
+  getHandleEdges,
+  isSnapSuspended
+} from '../snapping.js';
+
+describe('snapping', () => {
+  const target = { id: 'target', type: 'rectangle', x: 1000, y: 1000, width: 200, height: 100 };
+  const moving = { id: 'moving', type: 'rectangle', x: 1500, y: 1500, width: 100, height: 100 };
+
+  describe('getMoveSnap', () => {
+    it('should snap an edge to a nearby edge and draw a guide across both boxes', () => {
+      const index = createSnapIndex([target, moving], ['moving']);
+      const snap = getMoveSnap(index, { x: 1203, y: 1400, width: 100, height: 100 }, 6);
+
+      expect(snap.dx).toBe(-3);
+      expect(snap.dy).toBe(0);
+      expect(snap.guides).toContainEqual({ points: [1200, 1000, 1200, 1500] });
+    });
+
+    it('should snap centers to centers', () => {
+      const index = createSnapIndex([target], []);
+      const snap = getMoveSnap(index, { x: 1052, y: 1300, width: 100, height: 40 }, 6);
+
+      expect(snap.dx).toBe(-2);
+    });
+
+    it('should snap to the canvas center and boundary', () => {
+      const index = createSnapIndex([], []);
+
+      expect(getMoveSnap(index, { x: 2446, y: 3, width: 100, height: 100 }, 6)).toMatchObject({ dx: 4, dy: -3 });
+    });
+
+    it('should not snap to anything further than the threshold', () => {
+      const index = createSnapIndex([target], []);
+
+      expect(getMoveSnap(index, { x: 1310, y: 1310, width: 50, height: 50 }, 6)).toEqual({ dx: 0, dy: 0, guides: [] });
+    });
+
+    it('should snap to equal spacing between neighbours and mark both gaps', () => {
+      const left = { id: 'left', type: 'rectangle', x: 100, y: 300, width: 100, height: 100 };
+      const right = { id: 'right', type: 'rectangle', x: 500, y: 300, width: 100, height: 100 };
+      const index = createSnapIndex([left, right], []);
+      const snap = getMoveSnap(index, { x: 303, y: 320, width: 100, height: 50 }, 6);
+
+      expect(snap.dx).toBe(-3);
+      expect(snap.dy).toBe(5); // Centers line up with the neighbours too
+      expect(snap.guides.filter(guide => guide.gap)).toEqual([
+        { points: [200, 350, 300, 350], gap: 100 },
+        { points: [400, 350, 500, 350], gap: 100 }
+      ]);
+    });
+
+    it('should repeat the gap between two neighbours', () => {
+      const first = { id: 'first', type: 'rectangle', x: 100, y: 2000, width: 50, height: 50 };
+      const second = { id: 'second', type: 'rectangle', x: 180, y: 2000, width: 50, height: 50 };
+      const index = createSnapIndex([first, second], []);
+
+      expect(getMoveSnap(index, { x: 264, y: 2010, width: 40, height: 30 }, 6).dx).toBe(-4);
+    });
+
+    it('should scale to many objects', () => {
+      const objects = Array.from({ length: 1000 }, (_, i) => ({
+        id: `rect-${i}`, type: 'rectangle', x: (i % 40) * 120 + 7, y: Math.floor(i / 40) * 190 + 7, width: 80, height: 80
+      }));
+      const index = createSnapIndex(objects, []);
+      const started = performance.now();
+      for (let i = 0; i < 1000; i++) getMoveSnap(index, { x: i * 4.3, y: i * 3.7, width: 60, height: 60 }, 6);
+
+      expect(performance.now() - started).toBeLessThan(1000);
+    });
+  });
+
+  describe('ruler guides', () => {
+    it('should snap to ruler guides along with objects', () => {
+      const index = createSnapIndex([target], [], [{ id: 'g', axis: 'x', position: 777 }]);
+      const snap = getMoveSnap(index, { x: 780, y: 1403, width: 50, height: 50 }, 6);
+
+      expect(snap.dx).toBe(-3);
+      expect(snap.guides).toContainEqual({ points: [777, 0, 777, 5000] });
+    });
+
+    it('should report which axes snapped to a guide-only index', () => {
+      const index = createGuideIndex([{ id: 'g', axis: 'y', position: 400 }]);
+      const bounds = { x: 13, y: 373, width: 50, height: 50 };
+
+      expect(getGuideSnap(index, bounds, null, 6)).toEqual({ dx: null, dy: 2, guides: [{ points: [0, 400, 5000, 400] }] });
+      expect(getGuideSnap(index, bounds, getHandleEdges('s'), 6)).toEqual({ dx: null, dy: null, guides: [] });
+      expect(getGuideSnap(index, bounds, getHandleEdges('n'), 30).dy).toBe(27);
+    });
+  });
+
+  describe('getResizeSnap', () => {
+    it('should only snap the edges the handle drags', () => {
+      const index = createSnapIndex([target], []);
+      const bounds = { x: 1102, y: 1097, width: 94, height: 50 };
+
+      expect(getResizeSnap(index, bounds, getHandleEdges('e'), 6)).toMatchObject({ dx: 4, dy: 0 });
+      expect(getResizeSnap(index, bounds, getHandleEdges('nw'), 6)).toMatchObject({ dx: -2, dy: 3 });
+    });
+  });
+
+  describe('isSnapSuspended', () => {
+    it('should suspend snapping while Ctrl or Cmd is held', () => {
+      expect(isSnapSuspended({ ctrlKey: true })).toBe(true);
+      expect(isSnapSuspended({ metaKey: true })).toBe(true);
+      expect(isSnapSuspended({ shiftKey: true })).toBe(false);
+      expect(isSnapSuspended(undefined)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { wrapText, getStickyNoteLayout, getStickyNoteHeight, getStickyNoteAuthor } from '../stickyNote.js';
+import { calculateStickyNoteResize } from '../resizeCalculators.js';
+import { validateObjectUpdate } from '../resizeValidation.js';
+import { FUTURE_SHAPE_DEFAULTS } from '../../constants/canvas.constants.js';
+
+// Every character is 10 units wide at any font size
+const measure = (line) => line.length * 10;
+
+describe('stickyNote', () => {
+  const { minHeight, padding } = FUTURE_SHAPE_DEFAULTS.sticky;
+  const note = {
+    id: 'sticky-1',
+    type: 'sticky',
+    x: 100,
+    y: 100,
+    width: 200,
+    height: minHeight,
+    text: 'Retro idea',
+    fontSize: 18,
+    createdByName: 'Alex'
+  };
+
+  describe('wrapText', () => {
+    it('should wrap words that overflow the line', () => {
+      expect(wrapText('aaa bbb ccc', 70, measure)).toEqual(['aaa bbb', 'ccc']);
+    });
+
+    it('should keep explicit line breaks', () => {
+      expect(wrapText('one\n\ntwo', 100, measure)).toEqual(['one', '', 'two']);
+    });
+
+    it('should break words longer than a line', () => {
+      expect(wrapText('abcdefghij', 40, measure)).toEqual(['abcd', 'efgh', 'ij']);
+    });
+
+    it('should return one empty line for empty text', () => {
+      expect(wrapText('', 100, measure)).toEqual(['']);
+    });
+  });
+
+  describe('getStickyNoteLayout', () => {
+    it('should never be shorter than the minimum height', () => {
+      expect(getStickyNoteLayout(note, measure).height).toBe(minHeight);
+    });
+
+    it('should grow as the text wraps onto more lines', () => {
+      const longNote = { ...note, text: Array(20).fill('word').join(' ') };
+      const layout = getStickyNoteLayout(longNote, measure);
+
+      expect(layout.lines.length).toBeGreaterThan(5);
+      expect(layout.height).toBeGreaterThan(minHeight);
+      expect(layout.text.split('\n')).toEqual(layout.lines);
+    });
+
+    it('should wrap inside the padding', () => {
+      expect(getStickyNoteLayout(note, measure).textWidth).toBe(note.width - padding * 2);
+    });
+
+    it('should get shorter again when the note gets wider', () => {
+      const longNote = { ...note, text: Array(20).fill('word').join(' ') };
+      expect(getStickyNoteHeight({ ...longNote, width: 600 }, measure))
+        .toBeLessThan(getStickyNoteHeight(longNote, measure));
+    });
+  });
+
+  describe('getStickyNoteAuthor', () => {
+    it('should label the note with its creator', () => {
+      expect(getStickyNoteAuthor(note)).toBe('Alex');
+      expect(getStickyNoteAuthor({ ...note, createdByName: undefined })).toBe('');
+    });
+  });
+
+  describe('calculateStickyNoteResize', () => {
+    it('should follow the handle in width only', () => {
+      const resized = calculateStickyNoteResize(note, 'se', 100, 300);
+      expect(resized.x).toBe(100);
+      expect(resized.width).toBe(300);
+      expect(resized.height).toBe(getStickyNoteHeight({ ...note, width: 300 }));
+    });
+
+    it('should keep the opposite corner fixed', () => {
+      const resized = calculateStickyNoteResize(note, 'nw', 50, 0);
+      expect(resized.x + resized.width).toBe(note.x + note.width);
+      expect(resized.y + resized.height).toBe(note.y + note.height);
+    });
+
+    it('should not shrink below the minimum width', () => {
+      const resized = calculateStickyNoteResize(note, 'se', -1000, 0);
+      expect(resized.width).toBe(FUTURE_SHAPE_DEFAULTS.sticky.minWidth);
+    });
+  });
+
+  describe('validateObjectUpdate', () => {
+    it('should accept text and size updates', () => {
+      expect(validateObjectUpdate({ text: '', height: 180 }, 'sticky').valid).toBe(true);
+    });
+
+    it('should reject invalid text and sizes', () => {
+      expect(validateObjectUpdate({ text: 42 }, 'sticky').valid).toBe(false);
+      expect(validateObjectUpdate({ width: -5 }, 'sticky').valid).toBe(false);
+    });
+  });
+});
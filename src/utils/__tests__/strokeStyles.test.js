@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getStrokeStyle,
+  getStrokeProps,
+  getDashPreset,
+  getPresetDash,
+  getOutlinePoints
+} from '../strokeStyles.js';
+import { validateCommand } from '../agentSchemas.js';
+
+describe('strokeStyles', () => {
+  const rect = { id: 'rect-1', type: 'rectangle', x: 0, y: 0, width: 100, height: 50 };
+
+  describe('getStrokeStyle', () => {
+    it('should give shapes saved without a stroke the default border', () => {
+      expect(getStrokeStyle(rect)).toEqual({
+        color: '#333333',
+        width: 1,
+        dash: [],
+        lineCap: 'butt',
+        lineJoin: 'miter',
+        align: 'center'
+      });
+    });
+
+    it('should use the stored stroke and ignore unknown styles', () => {
+      const style = getStrokeStyle({ ...rect, stroke: '#ff0000', strokeWidth: 4, dash: [8, 4], lineCap: 'round', lineJoin: 'wavy', strokeAlign: 'inside' });
+
+      expect(style).toMatchObject({ color: '#ff0000', width: 4, dash: [8, 4], lineCap: 'round', lineJoin: 'miter', align: 'inside' });
+    });
+  });
+
+  describe('getStrokeProps', () => {
+    it('should draw centered strokes at their width', () => {
+      expect(getStrokeProps({ ...rect, stroke: '#ff0000', strokeWidth: 4 })).toEqual({
+        stroke: '#ff0000',
+        strokeWidth: 4,
+        dash: undefined,
+        lineCap: 'butt',
+        lineJoin: 'miter',
+        fillAfterStrokeEnabled: false
+      });
+    });
+
+    it('should double inside and outside strokes and draw outside strokes under the fill', () => {
+      const outside = getStrokeProps({ ...rect, strokeWidth: 4, strokeAlign: 'outside' });
+      const inside = getStrokeProps({ ...rect, strokeWidth: 4, strokeAlign: 'inside' });
+
+      expect(outside).toMatchObject({ strokeWidth: 8, fillAfterStrokeEnabled: true });
+      expect(inside).toMatchObject({ strokeWidth: 8, fillAfterStrokeEnabled: false });
+    });
+
+    it('should turn the stroke off at width 0', () => {
+      expect(getStrokeProps({ ...rect, stroke: '#ff0000', strokeWidth: 0 })).toEqual({ strokeEnabled: false });
+    });
+  });
+
+  describe('dash presets', () => {
+    it('should scale presets with the stroke width and recognize them', () => {
+      expect(getPresetDash('DASHED', 3)).toEqual([12, 6]);
+      expect(getPresetDash('SOLID', 3)).toEqual([]);
+      expect(getDashPreset([12, 6])).toBe('DASHED');
+      expect(getDashPreset([3, 6])).toBe('DOTTED');
+      expect(getDashPreset(undefined)).toBe('SOLID');
+    });
+  });
+
+  describe('getOutlinePoints', () => {
+    it('should alternate outer and inner radii for stars, starting at the top', () => {
+      const points = getOutlinePoints({ type: 'star', numPoints: 5, innerRadius: 20, outerRadius: 40 });
+
+      expect(points).toHaveLength(20);
+      expect(points[0]).toBeCloseTo(0);
+      expect(points[1]).toBeCloseTo(-40);
+      expect(Math.hypot(points[2], points[3])).toBeCloseTo(20);
+    });
+
+    it('should place polygon corners on the radius', () => {
+      const points = getOutlinePoints({ type: 'polygon', sides: 4, radius: 10 });
+
+      expect(points.map(value => Math.round(value) + 0)).toEqual([0, -10, 10, 0, 0, 10, -10, 0]);
+    });
+  });
+
+  describe('agent schemas', () => {
+    it('should accept stroke styling on shapes and property updates', () => {
+      const create = validateCommand({
+        type: 'createRectangle',
+        position: { x: 0, y: 0 },
+        size: { width: 10, height: 10 },
+        stroke: '#ff0000',
+        strokeWidth: 2,
+        dash: [6, 3],
+        lineJoin: 'round',
+        strokeAlign: 'outside'
+      });
+      expect(create.success).toBe(true);
+      expect(create.data).toMatchObject({ dash: [6, 3], lineJoin: 'round', strokeAlign: 'outside' });
+
+      const update = validateCommand({ type: 'updateObjectProperties', objectId: 'rect-1', properties: { lineCap: 'square', strokeAlign: 'inside' } });
+      expect(update.success).toBe(true);
+    });
+
+    it('should reject unknown alignments and caps', () => {
+      const result = validateCommand({ type: 'updateObjectProperties', objectId: 'rect-1', properties: { strokeAlign: 'middle' } });
+
+      expect(result.success).toBe(false);
+    });
+  });
+});
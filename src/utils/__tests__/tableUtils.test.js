@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createTableGrid,
+  getColumnWidths,
+  getRowHeights,
+  getCellText,
+  setCellText,
+  getTableCellAt,
+  detectTableDivider,
+  getAdjacentCell,
+  resizeTableGrid
+} from '../tableUtils.js';
+import { calculateTableResize, calculateTableDividerResize } from '../resizeCalculators.js';
+import { validateObjectUpdate } from '../resizeValidation.js';
+import { parseAgentResponse } from '../agentCommandParser.js';
+import { FUTURE_SHAPE_DEFAULTS } from '../../constants/canvas.constants.js';
+
+describe('tableUtils', () => {
+  const { minColumnWidth, maxColumns } = FUTURE_SHAPE_DEFAULTS.table;
+  const table = {
+    id: 'table-1',
+    type: 'table',
+    x: 100,
+    y: 100,
+    rotation: 0,
+    ...createTableGrid({
+      rows: 2,
+      columns: 3,
+      columnWidth: 100,
+      rowHeight: 40,
+      cells: [['Plan', 'Basic', 'Pro'], ['Price', 10]]
+    })
+  };
+
+  describe('createTableGrid', () => {
+    it('should store cells row by row as text', () => {
+      expect(table.cells).toEqual(['Plan', 'Basic', 'Pro', 'Price', '10', '']);
+      expect(table.width).toBe(300);
+      expect(table.height).toBe(80);
+    });
+
+    it('should clamp the grid size', () => {
+      const grid = createTableGrid({ rows: 0, columns: 500 });
+      expect(grid.rows).toBe(1);
+      expect(grid.columns).toBe(maxColumns);
+    });
+  });
+
+  describe('getColumnWidths / getRowHeights', () => {
+    it('should scale the tracks to fill the table box', () => {
+      const stretched = { ...table, columnWidths: [50, 100, 150], width: 600, height: 40 };
+      expect(getColumnWidths(stretched)).toEqual([100, 200, 300]);
+      expect(getRowHeights(stretched)).toEqual([20, 20]);
+    });
+
+    it('should fall back to even tracks when the stored sizes are invalid', () => {
+      expect(getColumnWidths({ ...table, columnWidths: [100] })).toEqual([100, 100, 100]);
+    });
+  });
+
+  describe('cells', () => {
+    it('should read and write cells without changing the table', () => {
+      const cells = setCellText(table, 1, 2, '$20');
+      expect(getCellText({ ...table, cells }, 1, 2)).toBe('$20');
+      expect(getCellText(table, 1, 2)).toBe('');
+    });
+
+    it('should find the cell under a point, also when rotated', () => {
+      expect(getTableCellAt(table, { x: 250, y: 150 })).toEqual({ row: 1, column: 1 });
+      expect(getTableCellAt(table, { x: 50, y: 130 })).toBeNull();
+
+      // Rotated 180° around its center, the first cell is drawn bottom-right
+      const rotated = { ...table, rotation: 180 };
+      expect(getTableCellAt(rotated, { x: 390, y: 170 })).toEqual({ row: 0, column: 0 });
+    });
+
+    it('should move through cells row by row', () => {
+      expect(getAdjacentCell(table, 0, 2)).toEqual({ row: 1, column: 0 });
+      expect(getAdjacentCell(table, 1, 0, true)).toEqual({ row: 0, column: 2 });
+      expect(getAdjacentCell(table, 1, 2)).toBeNull();
+    });
+  });
+
+  describe('detectTableDivider', () => {
+    it('should detect inner grid lines only', () => {
+      expect(detectTableDivider({ x: 202, y: 110 }, table)).toEqual({ axis: 'column', index: 0 });
+      expect(detectTableDivider({ x: 150, y: 139 }, table)).toEqual({ axis: 'row', index: 0 });
+      expect(detectTableDivider({ x: 100, y: 110 }, table)).toBeNull();
+      expect(detectTableDivider({ x: 150, y: 110 }, table)).toBeNull();
+    });
+  });
+
+  describe('resizeTableGrid', () => {
+    it('should keep existing cells when adding rows and columns', () => {
+      const updates = resizeTableGrid(table, 3, 4);
+      expect(updates.cells.slice(0, 4)).toEqual(['Plan', 'Basic', 'Pro', '']);
+      expect(updates.cells).toHaveLength(12);
+      expect(updates.width).toBe(300 + FUTURE_SHAPE_DEFAULTS.table.columnWidth);
+    });
+
+    it('should drop cells of removed columns', () => {
+      const updates = resizeTableGrid(table, 2, 2);
+      expect(updates.cells).toEqual(['Plan', 'Basic', 'Price', '10']);
+      expect(updates.width).toBe(200);
+    });
+  });
+
+  describe('calculateTableResize', () => {
+    it('should scale every column with the box', () => {
+      const resized = calculateTableResize(table, 'se', 300, 0);
+      expect(resized.width).toBe(600);
+      expect(resized.columnWidths).toEqual([200, 200, 200]);
+      expect(resized.x).toBe(100);
+    });
+
+    it('should not shrink columns below their minimum width', () => {
+      const resized = calculateTableResize(table, 'se', -1000, 0);
+      expect(resized.width).toBe(minColumnWidth * 3);
+    });
+  });
+
+  describe('calculateTableDividerResize', () => {
+    it('should resize one column and grow the table with it', () => {
+      const resized = calculateTableDividerResize(table, { axis: 'column', index: 0 }, 50, 0);
+      expect(resized.columnWidths).toEqual([150, 100, 100]);
+      expect(resized.width).toBe(350);
+      expect(resized.x).toBe(100);
+      expect(resized.y).toBe(100);
+    });
+  });
+
+  describe('validateObjectUpdate', () => {
+    it('should accept cell and grid updates', () => {
+      expect(validateObjectUpdate({ cells: ['a', ''], rows: 1, columns: 2, headerRow: false }, 'table').valid).toBe(true);
+    });
+
+    it('should reject invalid cells and track sizes', () => {
+      expect(validateObjectUpdate({ cells: 'a' }, 'table').valid).toBe(false);
+      expect(validateObjectUpdate({ columnWidths: [100, -1] }, 'table').valid).toBe(false);
+      expect(validateObjectUpdate({ rows: 1.5 }, 'table').valid).toBe(false);
+    });
+  });
+
+  describe('createTable agent command', () => {
+    it('should size the table to fit its cells', () => {
+      const result = parseAgentResponse({
+        commands: [{ type: 'table', position: { x: 100, y: 100 }, cells: [['Plan', 'Basic', 'Pro', 'Team'], ['Price', 0, 10, 20]] }]
+      });
+
+      expect(result.success).toBe(true);
+      const [command] = result.commands;
+      expect(command.type).toBe('createTable');
+      expect(command.columns).toBe(4);
+      expect(command.rows).toBe(2);
+      expect(command.cells[1]).toEqual(['Price', '0', '10', '20']);
+    });
+  });
+});
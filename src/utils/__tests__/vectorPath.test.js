@@ -0,0 +1,216 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createAnchor,
+  getPathSegments,
+  getSegmentPoint,
+  flattenAnchors,
+  anchorsToSvgPath,
+  buildVectorPathGeometry,
+  insertAnchor,
+  removeAnchor,
+  convertAnchor,
+  moveAnchorHandle,
+  findSegmentAt,
+  encodePathAnchors,
+  decodePathAnchors
+} from '../vectorPath.js';
+import {
+  isPointNearPath,
+  scalePathGeometry,
+  refitVectorPath,
+  isValidPathGeometry
+} from '../pathGeometry.js';
+import { getRotationPivot, rotatePoint } from '../objectBounds.js';
+import { detectPathEditHandle } from '../handleDetector.js';
+import { sanitizeObjectData } from '../shapeStateManager.js';
+
+describe('vectorPath', () => {
+  // An arch: corner - smooth top - corner
+  const arch = [
+    createAnchor({ x: 0, y: 100 }),
+    createAnchor({ x: 50, y: 0 }, { x: 20, y: 0 }, { x: 80, y: 0 }),
+    createAnchor({ x: 100, y: 100 })
+  ];
+
+  const path = {
+    id: 'vector-1',
+    type: 'path',
+    x: 100,
+    y: 100,
+    width: 100,
+    height: 100,
+    anchors: arch,
+    closed: false,
+    strokeWidth: 2
+  };
+
+  describe('segments', () => {
+    it('should connect anchors and close back to the first one', () => {
+      expect(getPathSegments(arch, false)).toHaveLength(2);
+      expect(getPathSegments(arch, true)).toHaveLength(3);
+      expect(getPathSegments(arch, true)[2].end).toBe(arch[0]);
+    });
+
+    it('should use handles as control points', () => {
+      const [first] = getPathSegments(arch, false);
+
+      expect(first.control1).toBe(arch[0]); // Corner - control point on the anchor
+      expect(first.control2).toEqual({ x: 20, y: 0 });
+      expect(getSegmentPoint(first, 1)).toEqual({ x: 50, y: 0 });
+    });
+
+    it('should build SVG data with lines for straight segments', () => {
+      const square = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }].map(point => createAnchor(point));
+
+      expect(anchorsToSvgPath(square, true)).toBe('M0 0 L10 0 L10 10 L0 0 Z');
+      expect(anchorsToSvgPath(arch)).toBe('M0 100 C0 100 20 0 50 0 C80 0 100 100 100 100');
+    });
+  });
+
+  describe('geometry', () => {
+    it('should fit the box to the curve, not the handles', () => {
+      const geometry = buildVectorPathGeometry([
+        createAnchor({ x: 10, y: 10 }, null, { x: 10, y: -50 }),
+        createAnchor({ x: 110, y: 10 }, { x: 110, y: -50 })
+      ]);
+
+      // The curve peaks 3/4 of the way to its handles
+      expect(geometry.y).toBeCloseTo(-35);
+      expect(geometry.height).toBeCloseTo(45);
+      expect(geometry.anchors[0]).toMatchObject({ x: 0, handleOut: { x: 0 } });
+      expect(geometry.closed).toBe(false);
+    });
+
+    it('should flatten straight segments to their end points only', () => {
+      expect(flattenAnchors([createAnchor({ x: 0, y: 0 }), createAnchor({ x: 5, y: 5 })])).toEqual([0, 0, 5, 5]);
+    });
+
+    it('should scale anchors and handles with the box', () => {
+      const { anchors } = scalePathGeometry(path, 2, 0.5);
+
+      expect(anchors[1]).toEqual({ x: 100, y: 0, handleIn: { x: 40, y: 0 }, handleOut: { x: 160, y: 0 } });
+    });
+
+    it('should hit the curve and the inside of filled closed paths', () => {
+      expect(isPointNearPath({ x: 150, y: 103 }, path)).toBe(true);
+      expect(isPointNearPath({ x: 150, y: 170 }, path)).toBe(false);
+      expect(isPointNearPath({ x: 150, y: 170 }, { ...path, closed: true, fill: '#ff0000' })).toBe(true);
+    });
+  });
+
+  describe('point editing', () => {
+    it('should insert an anchor without changing the curve', () => {
+      const segment = getPathSegments(arch, false)[0];
+      const midpoint = getSegmentPoint(segment, 0.5);
+      const { anchors, index } = insertAnchor(arch, false, 0, 0.5);
+
+      expect(index).toBe(1);
+      expect(anchors).toHaveLength(4);
+      expect(anchors[1]).toMatchObject(midpoint);
+
+      // Both halves trace the original curve
+      const left = getPathSegments(anchors, false)[0];
+      const right = getPathSegments(anchors, false)[1];
+      const quarter = getSegmentPoint(segment, 0.25);
+      const threeQuarters = getSegmentPoint(segment, 0.75);
+      expect(getSegmentPoint(left, 0.5).x).toBeCloseTo(quarter.x);
+      expect(getSegmentPoint(left, 0.5).y).toBeCloseTo(quarter.y);
+      expect(getSegmentPoint(right, 0.5).x).toBeCloseTo(threeQuarters.x);
+      expect(getSegmentPoint(right, 0.5).y).toBeCloseTo(threeQuarters.y);
+    });
+
+    it('should insert a corner on straight segments', () => {
+      const line = [createAnchor({ x: 0, y: 0 }), createAnchor({ x: 10, y: 0 })];
+
+      expect(insertAnchor(line, false, 0, 0.5).anchors[1]).toEqual(createAnchor({ x: 5, y: 0 }));
+    });
+
+    it('should keep at least two anchors when removing', () => {
+      expect(removeAnchor(arch, 1)).toHaveLength(2);
+      expect(removeAnchor(arch.slice(0, 2), 0)).toBeNull();
+    });
+
+    it('should convert between corner and smooth', () => {
+      const corner = convertAnchor(arch, false, 1)[1];
+      expect(corner).toEqual(createAnchor({ x: 50, y: 0 }));
+
+      const smooth = convertAnchor([arch[0], corner, arch[2]], false, 1)[1];
+      // Handles run parallel to the neighbours, a third of the way to each
+      expect(smooth.handleIn.y).toBeCloseTo(0);
+      expect(smooth.handleOut.y).toBeCloseTo(0);
+      expect(smooth.handleOut.x - 50).toBeCloseTo(Math.hypot(50, 100) / 3);
+    });
+
+    it('should mirror the opposite handle unless told not to', () => {
+      const mirrored = moveAnchorHandle(arch[1], 'handleOut', { x: 50, y: 40 });
+      expect(mirrored.handleIn.x).toBeCloseTo(50);
+      expect(mirrored.handleIn.y).toBeCloseTo(-30);
+
+      const broken = moveAnchorHandle(arch[1], 'handleOut', { x: 50, y: 40 }, false);
+      expect(broken.handleIn).toEqual({ x: 20, y: 0 });
+    });
+
+    it('should find the segment under a point', () => {
+      const hit = findSegmentAt({ x: 75, y: 25 }, arch, false, 6);
+
+      expect(hit.segmentIndex).toBe(1);
+      expect(findSegmentAt({ x: 50, y: 60 }, arch, false, 6)).toBeNull();
+    });
+
+    it('should detect anchors and handles in the path\'s rotated frame', () => {
+      expect(detectPathEditHandle({ x: 151, y: 101 }, path)).toEqual({ type: 'anchor', index: 1 });
+      expect(detectPathEditHandle({ x: 180, y: 100 }, path)).toEqual({ type: 'handleOut', index: 1 });
+
+      // Rotated 180°, the top anchor is drawn at the bottom
+      expect(detectPathEditHandle({ x: 150, y: 200 }, { ...path, rotation: 180 })).toEqual({ type: 'anchor', index: 1 });
+    });
+
+    it('should refit the box and keep unedited anchors in place when rotated', () => {
+      const rotated = { ...path, rotation: 90 };
+      // Pull the first anchor 100 to the left (in the path's frame)
+      const anchors = [createAnchor({ x: -100, y: 100 }), arch[1], arch[2]];
+      const refit = refitVectorPath(rotated, anchors);
+
+      expect(refit.width).toBeCloseTo(200);
+      expect(refit.anchors[2].x).toBeCloseTo(200);
+
+      // The last anchor is drawn where it was before the edit
+      const drawn = (target, anchor) => rotatePoint(
+        { x: target.x + anchor.x, y: target.y + anchor.y },
+        getRotationPivot(target),
+        target.rotation
+      );
+      const before = drawn(rotated, arch[2]);
+      const after = drawn({ ...rotated, ...refit }, refit.anchors[2]);
+      expect(after.x).toBeCloseTo(before.x);
+      expect(after.y).toBeCloseTo(before.y);
+    });
+  });
+
+  describe('validation', () => {
+    it('should accept freehand points and vector anchors', () => {
+      expect(isValidPathGeometry(path)).toBe(true);
+      expect(isValidPathGeometry({ points: [0, 0, 10, 10] })).toBe(true);
+      expect(isValidPathGeometry({ anchors: [createAnchor({ x: 0, y: 0 })] })).toBe(false);
+      expect(isValidPathGeometry({ points: [0, 0, NaN, 1] })).toBe(false);
+      expect(isValidPathGeometry({})).toBe(false);
+    });
+
+    it('should reject paths with corrupted geometry when sanitizing', () => {
+      expect(sanitizeObjectData(path)).toEqual(path);
+      expect(sanitizeObjectData({ ...path, anchors: [{ x: 0, y: Infinity }, arch[1]] })).toBeNull();
+    });
+  });
+
+  describe('RTDB encoding', () => {
+    it('should round-trip anchors with null handles through a string', () => {
+      const encoded = encodePathAnchors([createAnchor({ x: 1.234, y: 0 }, null, { x: 5.06, y: 1 })]);
+
+      expect(typeof encoded).toBe('string');
+      expect(decodePathAnchors(encoded)).toEqual([
+        { x: 1.2, y: 0, handleIn: null, handleOut: { x: 5.1, y: 1 } }
+      ]);
+      expect(decodePathAnchors('not json')).toEqual([]);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 import { validateCommand } from './agentSchemas.js'
+import { FUTURE_SHAPE_DEFAULTS } from '../constants/canvas.constants.js'
 
 /**
  * Agent Command Parser
@@ -173,15 +174,30 @@ export const sanitizeCommand = (rawCommand) => {
         'square': 'createRectangle',
         'createrectangle': 'createRectangle',
         'circle': 'createCircle',
-        'oval': 'createCircle',
-        'ellipse': 'createCircle',
         'createcircle': 'createCircle',
+        'oval': 'createEllipse',
+        'ellipse': 'createEllipse',
+        'createellipse': 'createEllipse',
         'star': 'createStar',
         'createstar': 'createStar',
+        'polygon': 'createPolygon',
+        'createpolygon': 'createPolygon',
+        'triangle': 'createPolygon',
+        'createtriangle': 'createPolygon',
+        'pentagon': 'createPolygon',
+        'hexagon': 'createPolygon',
+        'octagon': 'createPolygon',
         'text': 'createText',
         'createtext': 'createText',
         'addtext': 'createText',
         'label': 'createText',
+        'line': 'createLine',
+        'createline': 'createLine',
+        'arrow': 'createArrow',
+        'createarrow': 'createArrow',
+        'table': 'createTable',
+        'createtable': 'createTable',
+        'spreadsheet': 'createTable',
         
         // Manipulation Commands
         'move': 'moveShape',
@@ -238,10 +254,19 @@ export const sanitizeCommand = (rawCommand) => {
         'remove': 'deleteObject',
         'clear': 'clearCanvas',
         'background': 'setCanvasBackground',
+        'setcanvasbackground': 'setCanvasBackground',
         'group': 'groupObjects',
-        'ungroup': 'ungroupObjects'
+        'groupobjects': 'groupObjects',
+        'ungroup': 'ungroupObjects',
+        'ungroupobjects': 'ungroupObjects'
       }
       
+      // Named polygons imply a side count when none was given
+      const polygonSides = { triangle: 3, createtriangle: 3, pentagon: 5, hexagon: 6, octagon: 8 }
+      if (polygonSides[sanitized.type] && sanitized.sides === undefined) {
+        sanitized.sides = polygonSides[sanitized.type]
+      }
+
       const mappedType = typeAliases[sanitized.type] || sanitized.type
       console.log(`🔄 Type mapping: "${originalType}" -> "${sanitized.type}" -> "${mappedType}"`)
       sanitized.type = mappedType
@@ -252,16 +277,71 @@ export const sanitizeCommand = (rawCommand) => {
       sanitized.position = sanitizePosition(sanitized.position)
     }
 
+    // Sanitize line endpoints
+    if (sanitized.start && typeof sanitized.start === 'object') {
+      sanitized.start = sanitizePosition(sanitized.start)
+    }
+    if (sanitized.end && typeof sanitized.end === 'object') {
+      sanitized.end = sanitizePosition(sanitized.end)
+    }
+
     // Sanitize size - ensure reasonable bounds
     if (sanitized.size && typeof sanitized.size === 'object') {
       sanitized.size = sanitizeSize(sanitized.size)
     }
 
-    // Sanitize radius for circles/stars
+    // Sanitize radius for circles/stars/polygons
     if (typeof sanitized.radius === 'number') {
       sanitized.radius = Math.max(1, Math.min(1000, Math.abs(sanitized.radius)))
     }
 
+    // Ellipses given a single radius start out circular
+    if (sanitized.type === 'createEllipse' && typeof sanitized.radius === 'number') {
+      sanitized.radiusX = sanitized.radiusX ?? sanitized.radius
+      sanitized.radiusY = sanitized.radiusY ?? sanitized.radius
+      delete sanitized.radius
+    }
+    for (const key of ['radiusX', 'radiusY']) {
+      if (typeof sanitized[key] === 'number') {
+        sanitized[key] = Math.max(1, Math.min(1000, Math.abs(sanitized[key])))
+      }
+    }
+
+    // Sanitize polygon side count
+    if (typeof sanitized.sides === 'number') {
+      sanitized.sides = Math.max(3, Math.min(12, Math.round(sanitized.sides)))
+    }
+
+    // Sanitize table grid size and cell text (arrangeLayout also has rows/columns, with its own limits)
+    if (sanitized.type === 'createTable') {
+      const { maxRows, maxColumns } = FUTURE_SHAPE_DEFAULTS.table
+      if (typeof sanitized.rows === 'number') {
+        sanitized.rows = Math.max(1, Math.min(maxRows, Math.round(sanitized.rows)))
+      }
+      if (typeof sanitized.columns === 'number') {
+        sanitized.columns = Math.max(1, Math.min(maxColumns, Math.round(sanitized.columns)))
+      }
+      if (Array.isArray(sanitized.cells)) {
+        sanitized.cells = sanitized.cells
+          .slice(0, maxRows)
+          .map(row => (Array.isArray(row) ? row : [row])
+            .slice(0, maxColumns)
+            .map(text => (text === null || text === undefined ? '' : String(text)).substr(0, 200)))
+      }
+      for (const key of ['headerFill', 'textColor']) {
+        if (sanitized[key] && typeof sanitized[key] === 'string') {
+          sanitized[key] = sanitizeColor(sanitized[key])
+        }
+      }
+    }
+
+    // Sanitize rectangle corner radius (a number, or one per corner)
+    if (typeof sanitized.cornerRadius === 'number') {
+      sanitized.cornerRadius = Math.max(0, Math.min(1000, sanitized.cornerRadius))
+    } else if (Array.isArray(sanitized.cornerRadius) && sanitized.cornerRadius.length === 4) {
+      sanitized.cornerRadius = sanitized.cornerRadius.map(radius => Math.max(0, Math.min(1000, Number(radius) || 0)))
+    }
+
     // Sanitize colors - ensure hex format
     if (sanitized.fill && typeof sanitized.fill === 'string') {
       sanitized.fill = sanitizeColor(sanitized.fill)
@@ -271,6 +351,11 @@ export const sanitizeCommand = (rawCommand) => {
       sanitized.stroke = sanitizeColor(sanitized.stroke)
     }
 
+    // Sanitize canvas background color (setCanvasBackground)
+    if (sanitized.color && typeof sanitized.color === 'string') {
+      sanitized.color = sanitizeColor(sanitized.color)
+    }
+
     // Sanitize stroke width
     if (typeof sanitized.strokeWidth === 'number') {
       sanitized.strokeWidth = Math.max(0, Math.min(50, Math.abs(sanitized.strokeWidth)))
@@ -431,6 +516,14 @@ const applyCommandDefaults = (command) => {
       withDefaults.strokeWidth = withDefaults.strokeWidth ?? 0
       break
       
+    case 'createEllipse':
+      withDefaults.fill = withDefaults.fill || '#ef4444' // Red default
+      withDefaults.radiusX = withDefaults.radiusX ?? 80
+      withDefaults.radiusY = withDefaults.radiusY ?? 50
+      withDefaults.strokeWidth = withDefaults.strokeWidth ?? 0
+      withDefaults.rotation = withDefaults.rotation ?? 0
+      break
+      
     case 'createStar':
       withDefaults.fill = withDefaults.fill || '#f59e0b' // Yellow default
       withDefaults.numPoints = withDefaults.numPoints ?? 5
@@ -440,6 +533,14 @@ const applyCommandDefaults = (command) => {
       withDefaults.rotation = withDefaults.rotation ?? 0
       break
       
+    case 'createPolygon':
+      withDefaults.fill = withDefaults.fill || '#10b981' // Green default
+      withDefaults.sides = withDefaults.sides ?? 6
+      withDefaults.radius = withDefaults.radius ?? 50
+      withDefaults.strokeWidth = withDefaults.strokeWidth ?? 0
+      withDefaults.rotation = withDefaults.rotation ?? 0
+      break
+      
     case 'createText':
       withDefaults.fill = withDefaults.fill || '#000000' // Black default
       withDefaults.fontSize = withDefaults.fontSize ?? 24
@@ -448,6 +549,23 @@ const applyCommandDefaults = (command) => {
       withDefaults.strokeWidth = withDefaults.strokeWidth ?? 0
       break
       
+    case 'createLine':
+    case 'createArrow':
+      withDefaults.stroke = withDefaults.stroke || '#333333' // Dark gray default
+      withDefaults.strokeWidth = withDefaults.strokeWidth ?? 2
+      withDefaults.startArrowhead = withDefaults.startArrowhead || 'none'
+      withDefaults.endArrowhead = withDefaults.endArrowhead || (command.type === 'createArrow' ? 'arrow' : 'none')
+      break
+      
+    case 'createTable': {
+      // A table sized to fit its cells unless rows/columns were given
+      const cellRows = withDefaults.cells || []
+      withDefaults.rows = withDefaults.rows ?? (cellRows.length || FUTURE_SHAPE_DEFAULTS.table.rows)
+      withDefaults.columns = withDefaults.columns ?? (Math.max(0, ...cellRows.map(row => row.length)) || FUTURE_SHAPE_DEFAULTS.table.columns)
+      withDefaults.headerRow = withDefaults.headerRow ?? true
+      break
+    }
+      
     case 'moveObject':
     case 'resizeObject':
     case 'rotateObject':
@@ -510,8 +628,13 @@ export const orderCommands = (commands) => {
     // Creation commands
     'createRectangle': 3,
     'createCircle': 3,
+    'createEllipse': 3,
     'createStar': 3,
+    'createPolygon': 3,
     'createText': 3,
+    'createLine': 3,
+    'createArrow': 3,
+    'createTable': 3,
     
     // Complex creation commands
     'createForm': 3,
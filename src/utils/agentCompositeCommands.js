@@ -21,6 +21,7 @@ export const createLoginFormComposite = (options = {}) => {
     position = { x: 500, y: 300 },
     width = 300,
     spacing = 20,
+    cornerRadius = 12,
     colors = {
       background: '#f8fafc',
       primary: '#3b82f6',
@@ -39,7 +40,8 @@ export const createLoginFormComposite = (options = {}) => {
     size: { width: width, height: 280 },
     fill: colors.background,
     stroke: colors.border,
-    strokeWidth: 2
+    strokeWidth: 2,
+    cornerRadius
   })
 
   currentY += spacing
@@ -51,6 +53,7 @@ export const createLoginFormComposite = (options = {}) => {
     size: { width: width - (spacing * 2), height: 30 },
     fill: colors.text,
     strokeWidth: 0,
+    cornerRadius: 4,
     // Note: In a real implementation, this would be a text element
   })
 
@@ -63,7 +66,8 @@ export const createLoginFormComposite = (options = {}) => {
     size: { width: width - (spacing * 2), height: 40 },
     fill: '#ffffff',
     stroke: colors.border,
-    strokeWidth: 2
+    strokeWidth: 2,
+    cornerRadius: cornerRadius / 2
   })
 
   currentY += 60
@@ -75,7 +79,8 @@ export const createLoginFormComposite = (options = {}) => {
     size: { width: width - (spacing * 2), height: 40 },
     fill: '#ffffff',
     stroke: colors.border,
-    strokeWidth: 2
+    strokeWidth: 2,
+    cornerRadius: cornerRadius / 2
   })
 
   currentY += 70
@@ -87,7 +92,8 @@ export const createLoginFormComposite = (options = {}) => {
     size: { width: width - (spacing * 2), height: 44 },
     fill: colors.primary,
     stroke: colors.primary,
-    strokeWidth: 0
+    strokeWidth: 0,
+    cornerRadius: cornerRadius / 2
   })
 
   return {
@@ -144,7 +150,8 @@ export const createNavBarComposite = (options = {}) => {
       size: { width: itemWidth - 10, height: height - 20 },
       fill: i === 0 ? colors.primary : 'transparent', // First item active
       stroke: i === 0 ? colors.primary : colors.text,
-      strokeWidth: 1
+      strokeWidth: 1,
+      cornerRadius: 6
     })
   }
 
@@ -173,6 +180,7 @@ export const createCardLayoutComposite = (options = {}) => {
     cardHeight = 250,
     spacing = 20,
     columns = 3,
+    cornerRadius = 12,
     colors = {
       background: '#ffffff',
       border: '#e5e7eb',
@@ -198,16 +206,18 @@ export const createCardLayoutComposite = (options = {}) => {
       size: { width: cardWidth, height: cardHeight },
       fill: colors.background,
       stroke: colors.border,
-      strokeWidth: 1
+      strokeWidth: 1,
+      cornerRadius
     })
 
-    // Card header (image placeholder)
+    // Card header (image placeholder) - only the top corners follow the card's rounding
     commands.push({
       type: 'createRectangle',
       position: { x: cardX, y: cardY },
       size: { width: cardWidth, height: cardHeight * 0.4 },
       fill: '#f3f4f6',
-      strokeWidth: 0
+      strokeWidth: 0,
+      cornerRadius: [cornerRadius, cornerRadius, 0, 0]
     })
 
     // Card accent line
@@ -225,7 +235,8 @@ export const createCardLayoutComposite = (options = {}) => {
       position: { x: cardX + 15, y: cardY + (cardHeight * 0.4) + 20 },
       size: { width: cardWidth - 30, height: 20 },
       fill: '#374151',
-      strokeWidth: 0
+      strokeWidth: 0,
+      cornerRadius: 4
     })
 
     // Card content area (description placeholder)
@@ -234,7 +245,8 @@ export const createCardLayoutComposite = (options = {}) => {
       position: { x: cardX + 15, y: cardY + (cardHeight * 0.4) + 50 },
       size: { width: cardWidth - 30, height: 40 },
       fill: '#9ca3af',
-      strokeWidth: 0
+      strokeWidth: 0,
+      cornerRadius: 4
     })
   }
 
@@ -320,7 +332,8 @@ export const createDashboardComposite = (options = {}) => {
       size: { width: cardWidth, height: cardHeight },
       fill: colors.card,
       stroke: '#e5e7eb',
-      strokeWidth: 1
+      strokeWidth: 1,
+      cornerRadius: 8
     })
 
     // Card accent
@@ -329,7 +342,8 @@ export const createDashboardComposite = (options = {}) => {
       position: { x: cardX, y: cardY },
       size: { width: cardWidth, height: 4 },
       fill: colors.primary,
-      strokeWidth: 0
+      strokeWidth: 0,
+      cornerRadius: [2, 2, 0, 0]
     })
   }
 
@@ -343,7 +357,8 @@ export const createDashboardComposite = (options = {}) => {
     size: { width: contentWidth - (cardSpacing * 2), height: chartHeight },
     fill: colors.card,
     stroke: '#e5e7eb',
-    strokeWidth: 1
+    strokeWidth: 1,
+    cornerRadius: 8
   })
 
   return {
@@ -370,6 +385,7 @@ export const createButtonGroupComposite = (options = {}) => {
     buttonWidth = 100,
     buttonHeight = 40,
     spacing = 5,
+    cornerRadius = 8,
     orientation = 'horizontal', // 'horizontal' or 'vertical'
     colors = {
       primary: '#3b82f6',
@@ -398,7 +414,8 @@ export const createButtonGroupComposite = (options = {}) => {
       position: { x: buttonX, y: buttonY },
       size: { width: buttonWidth, height: buttonHeight },
       fill: buttonColors[i % buttonColors.length],
-      strokeWidth: 0
+      strokeWidth: 0,
+      cornerRadius
     })
   }
 
@@ -432,6 +449,7 @@ COMPOSITE COMMAND USAGE:
 - Use composite commands for complex UI patterns and illustrations
 - Specify position, colors, scale, and layout options
 - Templates automatically handle spacing, alignment, and z-layering
+- Login forms, cards and button groups have rounded corners; pass cornerRadius to change them (0 for sharp)
 - Multiple elements created with single command
 
 COMPOSITE EXAMPLES:
@@ -1,4 +1,7 @@
 import { z } from 'zod'
+import { isRegisteredFont } from './fontRegistry.js'
+import { ALIGN_MODES, DISTRIBUTE_AXES, LAYOUT_TYPES } from './alignment.js'
+import { FUTURE_SHAPE_DEFAULTS } from '../constants/canvas.constants.js'
 
 /**
  * Agent Schemas for AI Command Validation
@@ -22,24 +25,117 @@ const SizeSchema = z.object({
 // Color schema (hex colors)
 const ColorSchema = z.string().regex(/^#[0-9A-Fa-f]{6}$/, 'Must be valid hex color')
 
+// Gradient fills: 2-8 color stops along a line (angle in degrees, 0 = left to right)
+// or around a center (fractions of the shape's box, radius of half its larger side)
+const GradientStopSchema = z.object({
+  offset: z.number().min(0).max(1),
+  color: ColorSchema
+})
+const GradientStopsSchema = z.array(GradientStopSchema).min(2).max(FUTURE_SHAPE_DEFAULTS.gradient.maxStops)
+
+const GradientSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('linear'),
+    angle: z.number().min(-360).max(360),
+    stops: GradientStopsSchema
+  }),
+  z.object({
+    type: z.literal('radial'),
+    center: z.object({
+      x: z.number().min(0).max(1),
+      y: z.number().min(0).max(1)
+    }),
+    radius: z.number().min(FUTURE_SHAPE_DEFAULTS.gradient.minRadius).max(FUTURE_SHAPE_DEFAULTS.gradient.maxRadius),
+    stops: GradientStopsSchema
+  })
+])
+
+// Shape fills: a hex color or a gradient
+const FillSchema = ColorSchema.or(GradientSchema)
+
+// Layer effects: shadows cast by the object (drop) or onto it (inner), and layer blur; distances in canvas units
+const { maxEffects, maxBlur, maxSpread, maxOffset } = FUTURE_SHAPE_DEFAULTS.effects
+const ShadowEffectFields = {
+  color: ColorSchema,
+  opacity: z.number().min(0).max(1),
+  offsetX: z.number().min(-maxOffset).max(maxOffset),
+  offsetY: z.number().min(-maxOffset).max(maxOffset),
+  blur: z.number().min(0).max(maxBlur),
+  spread: z.number().min(-maxSpread).max(maxSpread),
+  visible: z.boolean().optional()
+}
+
+const EffectSchema = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('drop-shadow'), ...ShadowEffectFields }),
+  z.object({ type: z.literal('inner-shadow'), ...ShadowEffectFields }),
+  z.object({
+    type: z.literal('layer-blur'),
+    radius: z.number().min(0).max(maxBlur),
+    visible: z.boolean().optional()
+  })
+])
+
+const EffectsSchema = z.array(EffectSchema).max(maxEffects)
+
+// Font family from the font registry (system, web and fonts uploaded to canvases
+// opened this session; createText records the font on its canvas)
+const FontFamilySchema = z.string().refine(family => isRegisteredFont(family), 'Must be a registered font family')
+
+// Arrowhead styles for line endpoints
+const ArrowheadSchema = z.enum(['none', 'arrow', 'triangle', 'circle'])
+
+// Dash pattern (Konva dash array, empty for solid)
+const DashSchema = z.array(z.number().min(0).max(200)).max(8)
+
+// Shape stroke styling beyond color and width: dash, caps, joins and where the stroke sits on the outline
+const StrokeStyleFields = {
+  dash: DashSchema.optional(),
+  lineCap: z.enum(['butt', 'round', 'square']).optional(),
+  lineJoin: z.enum(['miter', 'round', 'bevel']).optional(),
+  strokeAlign: z.enum(['inside', 'center', 'outside']).optional()
+}
+
+// Connector routing between endpoints
+const RoutingSchema = z.enum(['straight', 'elbow'])
+
+// Rectangle corner radius: one value for all corners, or [topLeft, topRight, bottomRight, bottomLeft]
+const CornerRadiusValueSchema = z.number().min(0).max(1000)
+const CornerRadiusSchema = CornerRadiusValueSchema.or(z.array(CornerRadiusValueSchema).length(4))
+
 // Shape creation commands
 const CreateRectangleSchema = z.object({
   type: z.literal('createRectangle'),
   position: PositionSchema,
   size: SizeSchema,
-  fill: ColorSchema.optional().default('#808080'),
+  fill: FillSchema.optional().default('#808080'),
   stroke: ColorSchema.optional(),
   strokeWidth: z.number().min(0).max(50).optional().default(0),
-  rotation: z.number().min(-360).max(360).optional().default(0)
+  ...StrokeStyleFields,
+  rotation: z.number().min(-360).max(360).optional().default(0),
+  cornerRadius: CornerRadiusSchema.optional()
 })
 
 const CreateCircleSchema = z.object({
   type: z.literal('createCircle'),
   position: PositionSchema,
   radius: z.number().min(1).max(1000),
-  fill: ColorSchema.optional().default('#808080'),
+  fill: FillSchema.optional().default('#808080'),
   stroke: ColorSchema.optional(),
-  strokeWidth: z.number().min(0).max(50).optional().default(0)
+  strokeWidth: z.number().min(0).max(50).optional().default(0),
+  ...StrokeStyleFields
+})
+
+// Ellipses are circle objects with independent horizontal/vertical radii
+const CreateEllipseSchema = z.object({
+  type: z.literal('createEllipse'),
+  position: PositionSchema,
+  radiusX: z.number().min(1).max(1000),
+  radiusY: z.number().min(1).max(1000),
+  fill: FillSchema.optional().default('#808080'),
+  stroke: ColorSchema.optional(),
+  strokeWidth: z.number().min(0).max(50).optional().default(0),
+  ...StrokeStyleFields,
+  rotation: z.number().min(-360).max(360).optional().default(0)
 })
 
 const CreateStarSchema = z.object({
@@ -48,9 +144,23 @@ const CreateStarSchema = z.object({
   numPoints: z.number().min(3).max(20).optional().default(5),
   innerRadius: z.number().min(1).max(500),
   outerRadius: z.number().min(1).max(1000),
-  fill: ColorSchema.optional().default('#808080'),
+  fill: FillSchema.optional().default('#808080'),
+  stroke: ColorSchema.optional(),
+  strokeWidth: z.number().min(0).max(50).optional().default(0),
+  ...StrokeStyleFields,
+  rotation: z.number().min(-360).max(360).optional().default(0)
+})
+
+// Regular polygons (3 sides = triangle)
+const CreatePolygonSchema = z.object({
+  type: z.literal('createPolygon'),
+  position: PositionSchema,
+  sides: z.number().int().min(3).max(12).optional().default(6),
+  radius: z.number().min(1).max(1000),
+  fill: FillSchema.optional().default('#808080'),
   stroke: ColorSchema.optional(),
   strokeWidth: z.number().min(0).max(50).optional().default(0),
+  ...StrokeStyleFields,
   rotation: z.number().min(-360).max(360).optional().default(0)
 })
 
@@ -59,13 +169,53 @@ const CreateTextSchema = z.object({
   position: PositionSchema,
   text: z.string().min(1).max(500),
   fontSize: z.number().min(8).max(200).optional().default(24),
-  fontFamily: z.string().optional().default('Arial'),
+  fontFamily: FontFamilySchema.optional().default('Arial'),
   fill: ColorSchema.optional().default('#000000'),
   fontWeight: z.enum(['normal', 'bold']).optional().default('normal'),
   fontStyle: z.enum(['normal', 'italic']).optional().default('normal'),
   rotation: z.number().min(-360).max(360).optional().default(0)
 })
 
+const CreateLineSchema = z.object({
+  type: z.literal('createLine'),
+  start: PositionSchema,
+  end: PositionSchema,
+  stroke: ColorSchema.optional().default('#333333'),
+  strokeWidth: z.number().min(1).max(50).optional().default(2),
+  dash: DashSchema.optional(),
+  startArrowhead: ArrowheadSchema.optional().default('none'),
+  endArrowhead: ArrowheadSchema.optional().default('none')
+})
+
+const CreateArrowSchema = z.object({
+  type: z.literal('createArrow'),
+  start: PositionSchema,
+  end: PositionSchema,
+  stroke: ColorSchema.optional().default('#333333'),
+  strokeWidth: z.number().min(1).max(50).optional().default(2),
+  dash: DashSchema.optional(),
+  startArrowhead: ArrowheadSchema.optional().default('none'),
+  endArrowhead: ArrowheadSchema.optional().default('arrow')
+})
+
+// Tables: cells are given row by row (missing cells are left empty); without
+// rows/columns the table is sized to fit its cells
+const CreateTableSchema = z.object({
+  type: z.literal('createTable'),
+  position: PositionSchema,
+  rows: z.number().int().min(1).max(50).optional(),
+  columns: z.number().int().min(1).max(20).optional(),
+  cells: z.array(z.array(z.string().max(200)).max(20)).max(50).optional(),
+  columnWidth: z.number().min(30).max(500).optional().default(120),
+  rowHeight: z.number().min(24).max(300).optional().default(40),
+  headerRow: z.boolean().optional().default(true),
+  fill: ColorSchema.optional(),
+  headerFill: ColorSchema.optional(),
+  stroke: ColorSchema.optional(),
+  textColor: ColorSchema.optional(),
+  fontSize: z.number().min(8).max(72).optional()
+})
+
 // Object modification commands
 const MoveObjectSchema = z.object({
   type: z.literal('moveObject'),
@@ -87,7 +237,10 @@ const RotateShapeSchema = z.object({
 const ResizeObjectSchema = z.object({
   type: z.literal('resizeObject'),
   objectId: z.string().min(1),
-  size: SizeSchema.or(z.object({ radius: z.number().min(1).max(1000) })).optional(),
+  size: SizeSchema
+    .or(z.object({ radius: z.number().min(1).max(1000) }))
+    .or(z.object({ radiusX: z.number().min(1).max(1000), radiusY: z.number().min(1).max(1000) }))
+    .optional(),
   scale: z.number().min(0.1).max(10).optional(),
   animate: z.boolean().optional().default(false)
 }).refine(
@@ -109,10 +262,20 @@ const UpdateObjectPropertiesSchema = z.object({
   type: z.literal('updateObjectProperties'),
   objectId: z.string().min(1),
   properties: z.object({
-    fill: ColorSchema.optional(),
+    fill: FillSchema.optional(),
     stroke: ColorSchema.optional(),
     strokeWidth: z.number().min(0).max(50).optional(),
-    opacity: z.number().min(0).max(1).optional()
+    opacity: z.number().min(0).max(1).optional(),
+    dash: DashSchema.optional(),
+    lineCap: StrokeStyleFields.lineCap,
+    lineJoin: StrokeStyleFields.lineJoin,
+    strokeAlign: StrokeStyleFields.strokeAlign,
+    startArrowhead: ArrowheadSchema.optional(),
+    endArrowhead: ArrowheadSchema.optional(),
+    routing: RoutingSchema.optional(),
+    sides: z.number().int().min(3).max(12).optional(),
+    cornerRadius: CornerRadiusSchema.optional(),
+    effects: EffectsSchema.optional()
   })
 })
 
@@ -129,7 +292,8 @@ const ClearCanvasSchema = z.object({
 
 const SetCanvasBackgroundSchema = z.object({
   type: z.literal('setCanvasBackground'),
-  color: ColorSchema
+  color: ColorSchema,
+  pattern: z.enum(['none', 'grid', 'dots']).optional()
 })
 
 // Grouping commands
@@ -147,8 +311,10 @@ const UngroupObjectsSchema = z.object({
 // Layout arrangement commands
 const ArrangeLayoutSchema = z.object({
   type: z.literal('arrangeLayout'),
-  layoutType: z.enum(['row', 'grid', 'column']).default('row'),
-  spacing: z.number().min(0).max(200).default(50),
+  layoutType: z.enum([...LAYOUT_TYPES, 'align', 'distribute']).default('row'),
+  align: z.enum(ALIGN_MODES).optional(), // layoutType 'align'
+  direction: z.enum(DISTRIBUTE_AXES).optional(), // layoutType 'distribute'
+  spacing: z.number().min(0).max(200).default(50), // Gap between neighbouring units in row, column and grid layouts
   rows: z.number().min(1).max(10).optional(),
   columns: z.number().min(1).max(10).optional(),
   targetIds: z.array(z.string().min(1)).min(1).optional() // Require at least 1 item
@@ -238,8 +404,13 @@ const DrawTRexFaceSchema = z.object({
 const AgentCommandSchema = z.union([
   CreateRectangleSchema,
   CreateCircleSchema,
+  CreateEllipseSchema,
   CreateStarSchema,
+  CreatePolygonSchema,
   CreateTextSchema,
+  CreateLineSchema,
+  CreateArrowSchema,
+  CreateTableSchema,
   MoveObjectSchema,
   ResizeObjectSchema,
   RotateObjectSchema,
@@ -278,18 +449,26 @@ const CanvasStateSchema = z.object({
   canvasId: z.string().min(1),
   objects: z.array(z.object({
     id: z.string(),
-    type: z.enum(['rectangle', 'circle', 'star', 'text']),
+    type: z.enum(['rectangle', 'circle', 'star', 'polygon', 'text', 'line', 'path', 'image', 'frame', 'sticky', 'table']),
     x: z.number(),
     y: z.number(),
     width: z.number().optional(),
     height: z.number().optional(),
     radius: z.number().optional(),
+    radiusX: z.number().optional(),
+    radiusY: z.number().optional(),
+    sides: z.number().optional(),
+    points: z.array(z.number()).optional(),
     text: z.string().optional(),
     fontSize: z.number().optional(),
     fontFamily: z.string().optional(),
-    fill: z.string().optional(),
+    fill: z.string().or(GradientSchema).optional(),
     stroke: z.string().optional(),
-    rotation: z.number().optional()
+    opacity: z.number().optional(),
+    effects: EffectsSchema.optional(),
+    rotation: z.number().optional(),
+    groupId: z.string().nullable().optional(),
+    groupName: z.string().nullable().optional()
   })),
   viewport: z.object({
     x: z.number(),
@@ -389,14 +568,24 @@ export {
   AgentRequestSchema,
   AgentCommandSchema,
   CanvasStateSchema,
+  FillSchema,
+  EffectsSchema,
   CreateRectangleSchema,
   CreateCircleSchema,
+  CreateEllipseSchema,
   CreateStarSchema,
+  CreatePolygonSchema,
+  CreateLineSchema,
+  CreateArrowSchema,
+  CreateTableSchema,
   MoveObjectSchema,
   ResizeObjectSchema,
   RotateObjectSchema,
   RotateShapeSchema,
   UpdateObjectPropertiesSchema,
   DeleteObjectSchema,
+  SetCanvasBackgroundSchema,
+  GroupObjectsSchema,
+  UngroupObjectsSchema,
   ArrangeLayoutSchema
 }
@@ -0,0 +1,276 @@
+import { getCombinedBounds, getObjectBounds } from './objectBounds.js'
+import { expandToGroups } from './groupUtils.js'
+import { getFrameChildren, isFrame } from './frameUtils.js'
+import { getConnectorRerouteEntries, getReleasedBindings } from './connectorUtils.js'
+
+/**
+ * Alignment Utilities
+ *
+ * Align, distribute and layout all work on "units": a group moves as one unit,
+ * a frame moves together with its children, and anything else moves on its
+ * own. Units are measured by their rotated bounding boxes, so every shape type
+ * lines up by what is actually drawn. Units are only ever translated, which
+ * every type stores as an x/y change.
+ *
+ * Each operation returns batchUpdateObjects entries, including refreshed
+ * geometry for connectors attached to moved shapes, so the whole change is
+ * written as one batch and undone as one step.
+ */
+
+export const ALIGN_MODES = ['left', 'center', 'right', 'top', 'middle', 'bottom']
+export const DISTRIBUTE_AXES = ['horizontal', 'vertical']
+export const LAYOUT_TYPES = ['row', 'column', 'grid']
+
+// Moves smaller than this are treated as no move (avoids no-op writes)
+const MOVE_EPSILON = 0.01
+
+/**
+ * Split a selection into the units that align and distribute together
+ * @param {Array<string>} objectIds - Selected object IDs
+ * @param {Array<Object>} objects - Canvas objects
+ * @returns {Array<Object>} Units { members, bounds }; frame units measure the frame alone
+ */
+export const getAlignUnits = (objectIds, objects) => {
+  const objectsById = new Map(objects.map(obj => [obj.id, obj]))
+  const selected = expandToGroups(objectIds, objects).map(id => objectsById.get(id)).filter(Boolean)
+  const selectedFrameIds = new Set(selected.filter(isFrame).map(frame => frame.id))
+  const units = []
+  const groupUnits = new Map()
+
+  selected.forEach(obj => {
+    // Children of a selected frame move with the frame
+    if (obj.frameId && selectedFrameIds.has(obj.frameId)) return
+
+    const measured = [obj]
+    const members = isFrame(obj) ? [obj, ...getFrameChildren(objects, obj.id)] : [obj]
+
+    if (obj.groupId) {
+      const unit = groupUnits.get(obj.groupId)
+      if (unit) {
+        unit.members.push(...members)
+        unit.measured.push(...measured)
+        return
+      }
+      groupUnits.set(obj.groupId, { members, measured })
+    }
+    units.push(obj.groupId ? groupUnits.get(obj.groupId) : { members, measured })
+  })
+
+  return units.map(({ members, measured }) => ({ members, bounds: getCombinedBounds(measured) }))
+}
+
+/**
+ * Get the box a selection aligns to
+ * Several units align to their combined bounds; a single object inside a
+ * frame aligns to its frame.
+ * @param {Array<Object>} units - Units from getAlignUnits
+ * @param {Array<Object>} objects - Canvas objects
+ * @returns {Object|null} { x, y, width, height }, or null if there's nothing to align to
+ */
+export const getAlignTarget = (units, objects) => {
+  if (units.length > 1) return getCombinedBounds(units.map(unit => unit.bounds))
+  if (units.length === 0) return null
+
+  const frameId = units[0].members[0].frameId
+  const frame = frameId && objects.find(obj => obj.id === frameId)
+  return frame ? getObjectBounds(frame) : null
+}
+
+/**
+ * Get the move that aligns a box to a target box
+ * @param {Object} bounds - Box being aligned
+ * @param {Object} target - Box aligned to
+ * @param {string} mode - One of ALIGN_MODES
+ * @returns {Object} { dx, dy }
+ */
+const getAlignMove = (bounds, target, mode) => {
+  switch (mode) {
+    case 'left':
+      return { dx: target.x - bounds.x, dy: 0 }
+    case 'center':
+      return { dx: target.x + target.width / 2 - (bounds.x + bounds.width / 2), dy: 0 }
+    case 'right':
+      return { dx: target.x + target.width - (bounds.x + bounds.width), dy: 0 }
+    case 'top':
+      return { dx: 0, dy: target.y - bounds.y }
+    case 'middle':
+      return { dx: 0, dy: target.y + target.height / 2 - (bounds.y + bounds.height / 2) }
+    case 'bottom':
+      return { dx: 0, dy: target.y + target.height - (bounds.y + bounds.height) }
+    default:
+      throw new Error(`Unknown align mode: ${mode}`)
+  }
+}
+
+/**
+ * Turn unit moves into batchUpdateObjects entries
+ * Connectors that move away from the shapes they're bound to are released,
+ * and connectors attached to moved shapes have their geometry refreshed.
+ * @param {Array<Object>} units - Units from getAlignUnits
+ * @param {Array<Object>} moves - { dx, dy } for each unit
+ * @param {Array<Object>} objects - Canvas objects
+ * @returns {Array<Object>} Entries [{ id, updates, before }]
+ */
+const getMoveEntries = (units, moves, objects) => {
+  const moveById = new Map()
+  units.forEach((unit, index) => unit.members.forEach(member => moveById.set(member.id, moves[index])))
+
+  const entries = []
+  const movedObjects = {}
+  units.forEach((unit, index) => {
+    const { dx, dy } = moves[index]
+    if (Math.abs(dx) < MOVE_EPSILON && Math.abs(dy) < MOVE_EPSILON) return
+
+    // A connector keeps only the bindings to shapes moving the same way
+    const stayingIds = [...moveById.keys()].filter(id => moveById.get(id) === moves[index])
+
+    unit.members.forEach(member => {
+      const entry = {
+        id: member.id,
+        updates: { x: member.x + dx, y: member.y + dy },
+        before: { x: member.x, y: member.y }
+      }
+
+      const released = member.type === 'line' ? getReleasedBindings(member, stayingIds) : {}
+      Object.keys(released).forEach(key => {
+        entry.updates[key] = null
+        entry.before[key] = member[key]
+      })
+
+      entries.push(entry)
+      movedObjects[member.id] = { ...member, ...entry.updates }
+    })
+  })
+
+  return [...entries, ...getConnectorRerouteEntries(objects, movedObjects)]
+}
+
+/**
+ * Check if an entry only changes an object's position
+ * Released bindings and rerouted connectors change more than x/y, so undo has
+ * to restore them as a property update rather than a move.
+ * @param {Object} entry - Entry from getAlignEntries, getDistributeEntries or getLayoutEntries
+ * @returns {boolean} True if the entry is a plain move
+ */
+export const isMoveOnlyEntry = (entry) => Object.keys(entry.updates).every(key => key === 'x' || key === 'y')
+
+/**
+ * Align a selection's units to one edge or center of the selection
+ * @param {Array<string>} objectIds - Selected object IDs
+ * @param {Array<Object>} objects - Canvas objects
+ * @param {string} mode - One of ALIGN_MODES
+ * @returns {Array<Object>} batchUpdateObjects entries (empty if nothing moves)
+ */
+export const getAlignEntries = (objectIds, objects, mode) => {
+  const units = getAlignUnits(objectIds, objects)
+  const target = getAlignTarget(units, objects)
+  if (!target) return []
+
+  return getMoveEntries(units, units.map(unit => getAlignMove(unit.bounds, target, mode)), objects)
+}
+
+/**
+ * Space a selection's units evenly along an axis
+ * The outermost units stay put and the gaps between neighbours are made equal.
+ * @param {Array<string>} objectIds - Selected object IDs
+ * @param {Array<Object>} objects - Canvas objects
+ * @param {string} axis - 'horizontal' or 'vertical'
+ * @returns {Array<Object>} batchUpdateObjects entries (empty with fewer than three units)
+ */
+export const getDistributeEntries = (objectIds, objects, axis) => {
+  if (!DISTRIBUTE_AXES.includes(axis)) throw new Error(`Unknown distribute axis: ${axis}`)
+
+  const units = getAlignUnits(objectIds, objects)
+  if (units.length < 3) return []
+
+  const [pos, size] = axis === 'horizontal' ? ['x', 'width'] : ['y', 'height']
+  const sorted = [...units].sort((a, b) =>
+    (a.bounds[pos] + a.bounds[size] / 2) - (b.bounds[pos] + b.bounds[size] / 2))
+  const start = sorted[0].bounds[pos]
+  const end = sorted[sorted.length - 1].bounds[pos] + sorted[sorted.length - 1].bounds[size]
+  const totalSize = sorted.reduce((sum, unit) => sum + unit.bounds[size], 0)
+  const gap = (end - start - totalSize) / (sorted.length - 1)
+
+  let next = start
+  const moves = new Map()
+  sorted.forEach(unit => {
+    const delta = next - unit.bounds[pos]
+    moves.set(unit, axis === 'horizontal' ? { dx: delta, dy: 0 } : { dx: 0, dy: delta })
+    next += unit.bounds[size] + gap
+  })
+
+  return getMoveEntries(units, units.map(unit => moves.get(unit)), objects)
+}
+
+/**
+ * Move a selection's units together by the same amount
+ * Frame children and attached connectors come along, as they do for align.
+ * @param {Array<string>} objectIds - Selected object IDs
+ * @param {Array<Object>} objects - Canvas objects
+ * @param {Object} move - { dx, dy }
+ * @returns {Array<Object>} batchUpdateObjects entries (empty if nothing moves)
+ */
+export const getTranslateEntries = (objectIds, objects, move) => {
+  const units = getAlignUnits(objectIds, objects)
+  // One shared move keeps connectors bound between the selected shapes
+  return getMoveEntries(units, units.map(() => move), objects)
+}
+
+/**
+ * Lay a selection's units out in a row, column or grid
+ * Units keep their reading order and the layout starts at the selection's
+ * top-left corner. Rows and columns keep each unit's other coordinate; grid
+ * cells are sized to the largest unit in their row and column.
+ * @param {Array<string>} objectIds - Selected object IDs
+ * @param {Array<Object>} objects - Canvas objects
+ * @param {Object} options
+ * @param {string} options.layoutType - One of LAYOUT_TYPES
+ * @param {number} options.columns - Grid columns
+ * @param {number} options.spacing - Gap between neighbouring units (not the distance between their origins)
+ * @returns {Array<Object>} batchUpdateObjects entries
+ */
+export const getLayoutEntries = (objectIds, objects, { layoutType = 'row', columns = 3, spacing = 0 } = {}) => {
+  if (!LAYOUT_TYPES.includes(layoutType)) throw new Error(`Unknown layout type: ${layoutType}`)
+
+  const units = getAlignUnits(objectIds, objects)
+  if (units.length === 0) return []
+
+  const origin = getCombinedBounds(units.map(unit => unit.bounds))
+  const byReadingOrder = (a, b) => (a.bounds.y - b.bounds.y) || (a.bounds.x - b.bounds.x)
+  const sorted = [...units].sort(layoutType === 'row' ? (a, b) => a.bounds.x - b.bounds.x
+    : layoutType === 'column' ? (a, b) => a.bounds.y - b.bounds.y
+      : byReadingOrder)
+
+  const positions = new Map()
+  if (layoutType === 'grid') {
+    const columnCount = Math.max(1, Math.min(columns, sorted.length))
+    const columnWidths = []
+    const rowHeights = []
+    sorted.forEach(({ bounds }, index) => {
+      const col = index % columnCount
+      const row = Math.floor(index / columnCount)
+      columnWidths[col] = Math.max(columnWidths[col] || 0, bounds.width)
+      rowHeights[row] = Math.max(rowHeights[row] || 0, bounds.height)
+    })
+    const offset = (sizes, count) => sizes.slice(0, count).reduce((sum, value) => sum + value + spacing, 0)
+
+    sorted.forEach((unit, index) => {
+      const col = index % columnCount
+      const row = Math.floor(index / columnCount)
+      positions.set(unit, { x: origin.x + offset(columnWidths, col), y: origin.y + offset(rowHeights, row) })
+    })
+  } else {
+    const isRow = layoutType === 'row'
+    let next = isRow ? origin.x : origin.y
+    sorted.forEach(unit => {
+      positions.set(unit, isRow ? { x: next, y: unit.bounds.y } : { x: unit.bounds.x, y: next })
+      next += (isRow ? unit.bounds.width : unit.bounds.height) + spacing
+    })
+  }
+
+  const moves = units.map(unit => {
+    const position = positions.get(unit)
+    return { dx: position.x - unit.bounds.x, dy: position.y - unit.bounds.y }
+  })
+  return getMoveEntries(units, moves, objects)
+}
@@ -0,0 +1,203 @@
+import { CANVAS_HEIGHT, CANVAS_WIDTH, DUPLICATE_OFFSET } from '../constants/canvas.constants.js'
+import { getCombinedBounds } from './objectBounds.js'
+import { expandToGroups } from './groupUtils.js'
+import { getFrameChildren, isFrame } from './frameUtils.js'
+import { FONT_SOURCES, getFont } from './fontRegistry.js'
+
+/**
+ * Clipboard Utilities
+ *
+ * Copied objects are written to the system clipboard as JSON text:
+ *   { format: CLIPBOARD_FORMAT, version, canvasId, objects, fonts }
+ * so they can be pasted into another canvas or another browser tab. `fonts`
+ * carries the custom fonts the objects use, so the canvas pasted into can
+ * record and load them. Objects
+ * keep their original IDs in the clipboard; pasting gives every copy a new ID
+ * and rewires references between the copied objects (groups, frames and
+ * connector bindings). References to objects that weren't copied are dropped,
+ * except a frame that still exists on the canvas being pasted into.
+ */
+
+export const CLIPBOARD_FORMAT = 'figma-clone/objects'
+const CLIPBOARD_VERSION = 1
+
+// Fields owned by the server, the canvas or the renderer rather than the object itself
+const UNCOPIED_FIELDS = [
+  'id', 'canvasId', 'createdBy', 'createdByName', 'createdAt',
+  'lastModifiedAt', 'lastModifiedBy', 'lockedBy', 'lockedAt', 'shapeType', 'frameChildren'
+]
+const BINDING_KEYS = ['startBinding', 'endBinding']
+
+/**
+ * Get the objects a copy of the selection includes
+ * Grouped objects bring their whole group and frames bring their children.
+ * @param {Array<string>} objectIds - Selected object IDs
+ * @param {Array<Object>} objects - Canvas objects
+ * @returns {Array<Object>} Objects to copy, in z-order
+ */
+export const getCopyObjects = (objectIds, objects) => {
+  const ids = new Set(expandToGroups(objectIds, objects))
+  objects.filter(obj => ids.has(obj.id) && isFrame(obj)).forEach(frame => {
+    getFrameChildren(objects, frame.id).forEach(child => ids.add(child.id))
+  })
+
+  return objects
+    .filter(obj => ids.has(obj.id))
+    .sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0))
+}
+
+/**
+ * Get the copyable fields of an object (keeping its original id)
+ * @param {Object} obj - Canvas object
+ * @returns {Object} Object without server, lock and render fields
+ */
+const toCopyData = (obj) => ({
+  ...Object.fromEntries(Object.entries(obj).filter(([key]) => !UNCOPIED_FIELDS.includes(key))),
+  id: obj.id
+})
+
+/**
+ * Get the font families text objects use, including their runs
+ * @param {Array<Object>} objects - Canvas objects
+ * @returns {Array<string>} Distinct font families
+ */
+export const getObjectFonts = (objects) => {
+  const families = new Set()
+  objects.forEach(obj => {
+    if (obj.fontFamily) families.add(obj.fontFamily)
+    obj.runs?.forEach(run => run.fontFamily && families.add(run.fontFamily))
+  })
+  return [...families]
+}
+
+/**
+ * Serialize objects for the system clipboard
+ * @param {Array<Object>} objects - Objects to copy
+ * @param {string} canvasId - Canvas they were copied from
+ * @returns {string} Clipboard JSON text
+ */
+export const serializeClipboard = (objects, canvasId) => JSON.stringify({
+  format: CLIPBOARD_FORMAT,
+  version: CLIPBOARD_VERSION,
+  canvasId,
+  objects: objects.map(toCopyData),
+  fonts: getObjectFonts(objects)
+    .map(family => getFont(family, canvasId))
+    .filter(font => font?.source === FONT_SOURCES.CUSTOM)
+})
+
+/**
+ * Read copied objects from clipboard text
+ * @param {string} text - Clipboard text
+ * @returns {Object|null} { canvasId, objects, fonts }, or null if the text isn't copied canvas objects
+ */
+export const parseClipboard = (text) => {
+  if (typeof text !== 'string' || !text.includes(CLIPBOARD_FORMAT)) return null
+
+  try {
+    const data = JSON.parse(text)
+    const isValid = data?.format === CLIPBOARD_FORMAT &&
+      data.version === CLIPBOARD_VERSION &&
+      Array.isArray(data.objects) &&
+      data.objects.length > 0 &&
+      data.objects.every(obj => obj && typeof obj.id === 'string' && typeof obj.type === 'string' &&
+        Number.isFinite(obj.x) && Number.isFinite(obj.y))
+    if (!isValid) return null
+    return { canvasId: data.canvasId || null, objects: data.objects, fonts: Array.isArray(data.fonts) ? data.fonts : [] }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Get how far to move pasted objects so they stay inside the canvas
+ * @param {Object} bounds - Bounds of the pasted objects after the requested move
+ * @returns {Object} Extra { x, y } shift
+ */
+const getCanvasShift = (bounds) => {
+  const shift = (start, size, max) => {
+    if (size >= max || start < 0) return -start
+    return start + size > max ? max - (start + size) : 0
+  }
+  return {
+    x: shift(bounds.x, bounds.width, CANVAS_WIDTH),
+    y: shift(bounds.y, bounds.height, CANVAS_HEIGHT)
+  }
+}
+
+/**
+ * Build the new objects for a paste or duplicate
+ * Copies are moved by `offset`, or centered on `center` when given, kept
+ * inside the canvas and stacked above every existing object in their
+ * original order. Server and lock fields are never copied.
+ * @param {Array<Object>} sources - Copied objects (with their original IDs)
+ * @param {Array<Object>} existingObjects - Objects already on the target canvas
+ * @param {Object} options
+ * @param {Function} options.createId - Returns a new object ID
+ * @param {Object} options.offset - { x, y } move from the original positions
+ * @param {Object} options.center - { x, y } to center the copies on (overrides offset)
+ * @returns {Array<Object>} New objects, each with its new id
+ */
+export const createPasteObjects = (sources, existingObjects, { createId, offset = { x: 0, y: 0 }, center = null }) => {
+  const idMap = new Map(sources.map(obj => [obj.id, createId()]))
+  const groupIds = new Map()
+  const existingIds = new Set(existingObjects.map(obj => obj.id))
+
+  const bounds = getCombinedBounds(sources)
+  const move = center
+    ? { x: center.x - (bounds.x + bounds.width / 2), y: center.y - (bounds.y + bounds.height / 2) }
+    : offset
+  const shift = getCanvasShift({ ...bounds, x: bounds.x + move.x, y: bounds.y + move.y })
+  const dx = move.x + shift.x
+  const dy = move.y + shift.y
+
+  const topZIndex = Math.max(0, ...existingObjects.map(obj => obj.zIndex || 0))
+  const zOrder = [...sources].sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0))
+
+  return sources.map(source => {
+    const copy = { ...toCopyData(source), id: idMap.get(source.id), x: source.x + dx, y: source.y + dy }
+    copy.zIndex = topZIndex + 1 + zOrder.indexOf(source)
+
+    // Copies of a group form a new group of their own
+    if (source.groupId) {
+      if (!groupIds.has(source.groupId)) groupIds.set(source.groupId, createId())
+      copy.groupId = groupIds.get(source.groupId)
+    }
+
+    if (source.frameId) {
+      if (idMap.has(source.frameId)) copy.frameId = idMap.get(source.frameId)
+      else if (!existingIds.has(source.frameId)) delete copy.frameId
+    }
+
+    // Connectors stay attached to copied shapes and let go of the rest
+    BINDING_KEYS.forEach(key => {
+      if (!source[key]) return
+      copy[key] = idMap.has(source[key].objectId) ? { ...source[key], objectId: idMap.get(source[key].objectId) } : null
+    })
+
+    return copy
+  })
+}
+
+/**
+ * Get the offset for the next duplicate
+ * Duplicating a fresh duplicate repeats the step from its original, including
+ * any move made in between, so copies can be laid out in a row.
+ * @param {Object|null} lastDuplicate - { sourceIds, copyIds } of the previous duplicate
+ * @param {Array<string>} selectedIds - IDs being duplicated
+ * @param {Array<Object>} objects - Canvas objects
+ * @returns {Object} { x, y } offset
+ */
+export const getDuplicateOffset = (lastDuplicate, selectedIds, objects) => {
+  const defaultOffset = { x: DUPLICATE_OFFSET, y: DUPLICATE_OFFSET }
+  if (!lastDuplicate || lastDuplicate.copyIds.length !== selectedIds.length ||
+      !lastDuplicate.copyIds.every(id => selectedIds.includes(id))) {
+    return defaultOffset
+  }
+
+  const copy = objects.find(obj => obj.id === lastDuplicate.copyIds[0])
+  const source = objects.find(obj => obj.id === lastDuplicate.sourceIds[0])
+  if (!copy || !source) return defaultOffset
+
+  return { x: copy.x - source.x, y: copy.y - source.y }
+}
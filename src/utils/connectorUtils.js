@@ -0,0 +1,236 @@
+import { getLocalCorners, getRotationPivot, rotatePoint } from './objectBounds.js'
+import { buildLineGeometry, getLineEndpoints } from './lineGeometry.js'
+import { CONNECTOR_ANCHORS } from '../constants/canvas.constants.js'
+
+/**
+ * Connector Utilities
+ *
+ * A connector is a line whose endpoints are bound to anchor points on other
+ * objects via startBinding / endBinding ({ objectId, anchor }). Bound endpoints
+ * are resolved against the live shapes at render time, so a connector follows
+ * local drags and collaborators' RTDB active-object updates without extra sync.
+ * The stored x/y/points are refreshed when the bound shape's change is saved.
+ */
+
+const BINDING_KEYS = ['startBinding', 'endBinding']
+
+// Geometry differences below this are treated as unchanged (avoids no-op writes)
+const GEOMETRY_EPSILON = 0.01
+
+/**
+ * Check whether connectors can bind to an object
+ * @param {Object} obj - Canvas object
+ * @returns {boolean}
+ */
+export const isBindableObject = (obj) => !!obj && obj.type !== 'line'
+
+/**
+ * Check whether an object is a line with at least one bound endpoint
+ * @param {Object} obj - Canvas object
+ * @returns {boolean}
+ */
+export const isConnector = (obj) =>
+  obj?.type === 'line' && BINDING_KEYS.some(key => !!obj[key])
+
+/**
+ * Get the canvas position of an anchor on an object, including its rotation
+ * Edge anchors sit on the middle of each side of the object's unrotated box.
+ * @param {Object} obj - Canvas object
+ * @param {string} anchor - CONNECTOR_ANCHORS value
+ * @returns {Object} { x, y }
+ */
+export const getAnchorPoint = (obj, anchor) => {
+  const [nw, ne, se, sw] = getLocalCorners(obj)
+  const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 })
+
+  let point
+  switch (anchor) {
+    case CONNECTOR_ANCHORS.TOP:
+      point = midpoint(nw, ne)
+      break
+    case CONNECTOR_ANCHORS.RIGHT:
+      point = midpoint(ne, se)
+      break
+    case CONNECTOR_ANCHORS.BOTTOM:
+      point = midpoint(se, sw)
+      break
+    case CONNECTOR_ANCHORS.LEFT:
+      point = midpoint(sw, nw)
+      break
+    default:
+      point = midpoint(nw, se)
+  }
+
+  return rotatePoint(point, getRotationPivot(obj), obj.rotation || 0)
+}
+
+/**
+ * Get every anchor of an object
+ * @param {Object} obj - Canvas object
+ * @returns {Array<Object>} [{ anchor, x, y }]
+ */
+export const getAnchorPoints = (obj) =>
+  Object.values(CONNECTOR_ANCHORS).map(anchor => ({ anchor, ...getAnchorPoint(obj, anchor) }))
+
+/**
+ * Find the anchor closest to a point
+ * @param {Object} pos - Point in canvas coordinates { x, y }
+ * @param {Array<Object>} objects - Candidate objects
+ * @param {number} maxDistance - Snap distance in canvas units
+ * @param {Array<string>} excludeIds - Objects that can't be bound (e.g. the connector itself)
+ * @returns {Object|null} { objectId, anchor, x, y } or null if nothing is in range
+ */
+export const findNearestAnchor = (pos, objects, maxDistance, excludeIds = []) => {
+  let nearest = null
+  let nearestDistance = Infinity
+
+  objects.forEach(obj => {
+    if (!isBindableObject(obj) || excludeIds.includes(obj.id)) return
+
+    getAnchorPoints(obj).forEach(({ anchor, x, y }) => {
+      const distance = Math.hypot(pos.x - x, pos.y - y)
+      if (distance <= maxDistance && distance < nearestDistance) {
+        nearest = { objectId: obj.id, anchor, x, y }
+        nearestDistance = distance
+      }
+    })
+  })
+
+  return nearest
+}
+
+/**
+ * Get the connectors bound to any of the given objects
+ * @param {Array<string>} objectIds - Bound object IDs
+ * @param {Array<Object>} objects - All canvas objects
+ * @returns {Array<Object>} Connector objects
+ */
+export const getAttachedConnectors = (objectIds, objects) =>
+  objects.filter(obj =>
+    isConnector(obj) &&
+    BINDING_KEYS.some(key => obj[key] && objectIds.includes(obj[key].objectId))
+  )
+
+/**
+ * Get the binding changes needed when a connector moves on its own
+ * Bindings to objects that aren't moving with it are released.
+ * @param {Object} connector - Line object
+ * @param {Array<string>} movingIds - IDs of every object in the move
+ * @returns {Object} { startBinding: null, ... } for each released binding
+ */
+export const getReleasedBindings = (connector, movingIds) => {
+  const released = {}
+  BINDING_KEYS.forEach(key => {
+    if (connector[key] && !movingIds.includes(connector[key].objectId)) {
+      released[key] = null
+    }
+  })
+  return released
+}
+
+/**
+ * Compute a connector's geometry from its bound objects
+ * Unbound endpoints (or bindings to missing objects) keep their stored position.
+ * @param {Object} connector - Line object
+ * @param {Object} objectsById - Map of object ID to (live) object
+ * @returns {Object|null} { x, y, points, rotation }, or null if nothing is bound
+ */
+export const resolveConnectorGeometry = (connector, objectsById) => {
+  const startTarget = connector.startBinding && objectsById[connector.startBinding.objectId]
+  const endTarget = connector.endBinding && objectsById[connector.endBinding.objectId]
+  if (!startTarget && !endTarget) return null
+
+  const { start, end } = getLineEndpoints(connector)
+  return buildLineGeometry(
+    startTarget ? getAnchorPoint(startTarget, connector.startBinding.anchor) : start,
+    endTarget ? getAnchorPoint(endTarget, connector.endBinding.anchor) : end
+  )
+}
+
+/**
+ * Get a connector with its bound endpoints resolved
+ * @param {Object} connector - Line object
+ * @param {Object} objectsById - Map of object ID to (live) object
+ * @returns {Object} Connector (unchanged reference when nothing is bound)
+ */
+export const resolveConnector = (connector, objectsById) => {
+  const geometry = resolveConnectorGeometry(connector, objectsById)
+  return geometry ? { ...connector, ...geometry } : connector
+}
+
+const isSameGeometry = (connector, geometry) =>
+  Math.abs((connector.x || 0) - geometry.x) < GEOMETRY_EPSILON &&
+  Math.abs((connector.y || 0) - geometry.y) < GEOMETRY_EPSILON &&
+  (connector.rotation || 0) === geometry.rotation &&
+  Array.isArray(connector.points) &&
+  geometry.points.every((value, i) => Math.abs((connector.points[i] || 0) - value) < GEOMETRY_EPSILON)
+
+const getGeometrySnapshot = (connector) => ({
+  x: connector.x,
+  y: connector.y,
+  points: Array.isArray(connector.points) ? [...connector.points] : connector.points,
+  rotation: connector.rotation || 0
+})
+
+/**
+ * Build the stored-geometry refresh for connectors attached to changed objects
+ * @param {Array<Object>} objects - All canvas objects
+ * @param {Object} changedObjects - Map of object ID to its final (merged) state
+ * @returns {Array<Object>} batchUpdateObjects entries [{ id, updates, before }]
+ */
+export const getConnectorRerouteEntries = (objects, changedObjects) => {
+  const changedIds = Object.keys(changedObjects)
+  const objectsById = Object.fromEntries(objects.map(obj => [obj.id, changedObjects[obj.id] || obj]))
+
+  return getAttachedConnectors(changedIds, objects)
+    .filter(connector => !changedObjects[connector.id])
+    .map(connector => {
+      const geometry = resolveConnectorGeometry(connector, objectsById)
+      if (!geometry || isSameGeometry(connector, geometry)) return null
+
+      return {
+        id: connector.id,
+        updates: geometry,
+        before: getGeometrySnapshot(connector)
+      }
+    })
+    .filter(Boolean)
+}
+
+/**
+ * Work out what happens to connectors when objects are deleted
+ * Connectors bound at both ends to deleted objects are deleted with them; any
+ * other connector has the deleted side detached where it is currently drawn.
+ * @param {Array<string>} objectIds - IDs being deleted
+ * @param {Array<Object>} objects - All canvas objects
+ * @returns {Object} { deleteIds: string[], detachEntries: [{ id, updates, before }] }
+ */
+export const getConnectorDeletePlan = (objectIds, objects) => {
+  const objectsById = Object.fromEntries(objects.map(obj => [obj.id, obj]))
+  const deleteIds = []
+  const detachEntries = []
+
+  getAttachedConnectors(objectIds, objects).forEach(connector => {
+    if (objectIds.includes(connector.id)) return
+
+    const deletedKeys = BINDING_KEYS.filter(key =>
+      connector[key] && objectIds.includes(connector[key].objectId)
+    )
+
+    if (deletedKeys.length === BINDING_KEYS.length) {
+      deleteIds.push(connector.id)
+      return
+    }
+
+    const updates = { ...(resolveConnectorGeometry(connector, objectsById) || getGeometrySnapshot(connector)) }
+    const before = getGeometrySnapshot(connector)
+    deletedKeys.forEach(key => {
+      updates[key] = null
+      before[key] = connector[key]
+    })
+
+    detachEntries.push({ id: connector.id, updates, before })
+  })
+
+  return { deleteIds, detachEntries }
+}
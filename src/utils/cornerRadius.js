@@ -0,0 +1,183 @@
+import { FUTURE_SHAPE_DEFAULTS } from '../constants/canvas.constants.js'
+import { getRotationPivot, rotatePoint } from './objectBounds.js'
+
+/**
+ * Rectangle Corner Radius Utilities
+ *
+ * Rectangles store cornerRadius the way Konva's Rect takes it:
+ * - a number rounds all four corners the same
+ * - an array [topLeft, topRight, bottomRight, bottomLeft] rounds each corner separately
+ *
+ * The stored value is kept as-is through resizes; radii larger than half the
+ * shorter side are clamped when drawn, so shrinking a rectangle and growing it
+ * back restores the original rounding.
+ */
+
+const { maxCornerRadius, cornerHandleInset, cornerHandleHitDistance } = FUTURE_SHAPE_DEFAULTS.rectangle
+
+// Corner handle names in cornerRadius array order, with the direction pointing into the rectangle
+export const CORNER_RADIUS_CORNERS = ['nw', 'ne', 'se', 'sw']
+const CORNER_INWARD = {
+  nw: { x: 1, y: 1 },
+  ne: { x: -1, y: 1 },
+  se: { x: -1, y: -1 },
+  sw: { x: 1, y: -1 }
+}
+
+const isRadiusValue = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0
+
+/**
+ * Check that a cornerRadius value is a usable number or 4-corner array
+ * @param {number|Array<number>} cornerRadius - Stored corner radius
+ * @returns {boolean} True if every radius is a finite number between 0 and maxCornerRadius
+ */
+export const isValidCornerRadius = (cornerRadius) => {
+  const radii = Array.isArray(cornerRadius) ? cornerRadius : [cornerRadius]
+  if (Array.isArray(cornerRadius) && cornerRadius.length !== 4) return false
+  return radii.every(value => isRadiusValue(value) && value <= maxCornerRadius)
+}
+
+/**
+ * Expand a stored cornerRadius into one radius per corner
+ * Missing or invalid values read as sharp corners.
+ * @param {number|Array<number>} cornerRadius - Stored corner radius
+ * @returns {Array<number>} [topLeft, topRight, bottomRight, bottomLeft]
+ */
+export const normalizeCornerRadii = (cornerRadius) => {
+  const radii = Array.isArray(cornerRadius)
+    ? CORNER_RADIUS_CORNERS.map((_, i) => cornerRadius[i])
+    : CORNER_RADIUS_CORNERS.map(() => cornerRadius)
+
+  return radii.map(value => (isRadiusValue(value) ? Math.min(value, maxCornerRadius) : 0))
+}
+
+/**
+ * Collapse per-corner radii into the value to store (a number when all corners match)
+ * @param {Array<number>} radii - [topLeft, topRight, bottomRight, bottomLeft]
+ * @returns {number|Array<number>} Stored corner radius
+ */
+export const toCornerRadiusValue = (radii) => {
+  const normalized = normalizeCornerRadii(radii)
+  return normalized.every(value => value === normalized[0]) ? normalized[0] : normalized
+}
+
+/**
+ * Get the largest radius a rectangle's corners can be drawn with
+ * @param {Object} rect - Rectangle object
+ * @returns {number} Half the shorter side
+ */
+export const getMaxCornerRadius = (rect) => {
+  return Math.max(0, Math.min(Math.abs(rect.width || 0), Math.abs(rect.height || 0)) / 2)
+}
+
+/**
+ * Get the radii a rectangle is drawn with, clamped to its current size
+ * @param {Object} rect - Rectangle object
+ * @returns {Array<number>} [topLeft, topRight, bottomRight, bottomLeft]
+ */
+export const getRectCornerRadii = (rect) => {
+  const limit = getMaxCornerRadius(rect)
+  return normalizeCornerRadii(rect.cornerRadius).map(value => Math.min(value, limit))
+}
+
+/**
+ * Check if any corner of a rectangle is rounded
+ * @param {Object} rect - Rectangle object
+ * @returns {boolean} True if at least one corner has a radius
+ */
+export const hasCornerRadius = (rect) => normalizeCornerRadii(rect?.cornerRadius).some(value => value > 0)
+
+/**
+ * Get the cornerRadius prop for Konva's Rect
+ * Sharp rectangles get 0 so Konva keeps drawing them as plain rects.
+ * @param {Object} rect - Rectangle object
+ * @returns {number|Array<number>} 0, or the clamped per-corner radii
+ */
+export const getRenderCornerRadius = (rect) => (hasCornerRadius(rect) ? getRectCornerRadii(rect) : 0)
+
+/**
+ * Get the on-canvas radius handle positions of a rectangle
+ * Each handle sits on the corner's diagonal at the drawn radius, but never
+ * closer to the corner than cornerHandleInset so it stays clear of the
+ * resize handles. Rectangles too small for that get no radius handles.
+ * @param {Object} rect - Rectangle object
+ * @returns {Object|null} { nw, ne, se, sw } in canvas coordinates (rotated with the shape), or null
+ */
+export const getCornerRadiusHandlePoints = (rect) => {
+  const limit = getMaxCornerRadius(rect)
+  if (limit < cornerHandleInset) return null
+
+  const radii = getRectCornerRadii(rect)
+  const pivot = getRotationPivot(rect)
+  const corners = {
+    nw: { x: rect.x, y: rect.y },
+    ne: { x: rect.x + rect.width, y: rect.y },
+    se: { x: rect.x + rect.width, y: rect.y + rect.height },
+    sw: { x: rect.x, y: rect.y + rect.height }
+  }
+
+  return Object.fromEntries(CORNER_RADIUS_CORNERS.map((corner, i) => {
+    const inset = Math.max(radii[i], cornerHandleInset)
+    const point = {
+      x: corners[corner].x + CORNER_INWARD[corner].x * inset,
+      y: corners[corner].y + CORNER_INWARD[corner].y * inset
+    }
+    return [corner, rotatePoint(point, pivot, rect.rotation || 0)]
+  }))
+}
+
+/**
+ * Find the radius handle under a click position
+ * @param {Object} pos - Click position { x, y }
+ * @param {Object} rect - Rectangle object
+ * @param {number} hitDistance - Maximum distance from a handle, in canvas units
+ * @returns {string|null} Corner name ('nw', 'ne', 'se', 'sw') or null
+ */
+export const detectCornerRadiusHandle = (pos, rect, hitDistance = cornerHandleHitDistance) => {
+  const handles = getCornerRadiusHandlePoints(rect)
+  if (!pos || !handles) return null
+
+  let closest = null
+  let minDistance = hitDistance
+  for (const [corner, point] of Object.entries(handles)) {
+    const distance = Math.hypot(pos.x - point.x, pos.y - point.y)
+    if (distance <= minDistance) {
+      minDistance = distance
+      closest = corner
+    }
+  }
+  return closest
+}
+
+/**
+ * Calculate the corner radius while dragging a radius handle
+ * The radius changes by how far the pointer moved along the corner's diagonal,
+ * so grabbing a handle never makes the radius jump.
+ * @param {Object} rect - Rectangle at the start of the drag
+ * @param {string} corner - Dragged corner ('nw', 'ne', 'se', 'sw')
+ * @param {Object} currentPos - Current pointer position
+ * @param {Object} startPos - Pointer position at the start of the drag
+ * @param {boolean} singleCorner - Only change the dragged corner (Alt); otherwise all corners match it
+ * @returns {number|Array<number>} New cornerRadius to store
+ */
+export const calculateCornerRadiusDrag = (rect, corner, currentPos, startPos, singleCorner = false) => {
+  const index = CORNER_RADIUS_CORNERS.indexOf(corner)
+  if (index === -1) return rect.cornerRadius ?? 0
+
+  const pivot = getRotationPivot(rect)
+  const rotation = -(rect.rotation || 0)
+  const current = rotatePoint(currentPos, pivot, rotation)
+  const start = rotatePoint(startPos, pivot, rotation)
+  const inward = CORNER_INWARD[corner]
+
+  // Average of the inward movement along each axis
+  const travel = ((current.x - start.x) * inward.x + (current.y - start.y) * inward.y) / 2
+  const radii = getRectCornerRadii(rect)
+  const radius = Math.round(Math.min(getMaxCornerRadius(rect), Math.max(0, radii[index] + travel)))
+
+  if (singleCorner) {
+    const stored = normalizeCornerRadii(rect.cornerRadius)
+    return toCornerRadiusValue(stored.map((value, i) => (i === index ? radius : value)))
+  }
+  return radius
+}
@@ -0,0 +1,275 @@
+import { FUTURE_SHAPE_DEFAULTS } from '../constants/canvas.constants.js'
+
+/**
+ * Layer Effect Utilities
+ *
+ * Any object can have an `opacity` (0–1, the whole layer) and an `effects`
+ * stack, drawn in this order:
+ * - { type: 'drop-shadow', color, opacity, offsetX, offsetY, blur, spread, visible }
+ *   behind the layer; the first shadow in the list is drawn on top
+ * - { type: 'inner-shadow', ...same fields } inside the layer's own pixels
+ * - { type: 'layer-blur', radius, visible } blurs the layer and its shadows
+ *
+ * Distances are canvas units. Blur works like CSS box-shadow (the Gaussian's
+ * standard deviation is half the blur), spread grows (or, when negative,
+ * shrinks) the shadow's shape. Effects are rendered by rasterizing the layer
+ * (see LayerEffects.jsx) and running applyEffects over its pixels.
+ */
+
+const { maxEffects, maxBlur, maxSpread, maxOffset, shadow: shadowDefaults, layerBlur } = FUTURE_SHAPE_DEFAULTS.effects
+
+export const EFFECT_TYPES = {
+  DROP_SHADOW: 'drop-shadow',
+  INNER_SHADOW: 'inner-shadow',
+  LAYER_BLUR: 'layer-blur'
+}
+
+const SHADOW_TYPES = [EFFECT_TYPES.DROP_SHADOW, EFFECT_TYPES.INNER_SHADOW]
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/
+
+const isNumberIn = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max
+
+/**
+ * Create an effect with default settings
+ * @param {string} type - One of EFFECT_TYPES
+ * @returns {Object} New visible effect
+ */
+export const createEffect = (type) => {
+  return type === EFFECT_TYPES.LAYER_BLUR
+    ? { type, radius: layerBlur.radius, visible: true }
+    : { type, ...shadowDefaults, visible: true }
+}
+
+/**
+ * Check that an effect can be stored and drawn
+ * @param {Object} effect - Effect from an `effects` stack
+ * @returns {boolean} True if every field is in range
+ */
+export const isValidEffect = (effect) => {
+  if (!effect || typeof effect !== 'object') return false
+  if (effect.visible !== undefined && typeof effect.visible !== 'boolean') return false
+
+  if (effect.type === EFFECT_TYPES.LAYER_BLUR) {
+    return isNumberIn(effect.radius, 0, maxBlur)
+  }
+  return SHADOW_TYPES.includes(effect.type) &&
+    HEX_COLOR.test(effect.color) &&
+    isNumberIn(effect.opacity, 0, 1) &&
+    isNumberIn(effect.offsetX, -maxOffset, maxOffset) &&
+    isNumberIn(effect.offsetY, -maxOffset, maxOffset) &&
+    isNumberIn(effect.blur, 0, maxBlur) &&
+    isNumberIn(effect.spread, -maxSpread, maxSpread)
+}
+
+/**
+ * Check that an effects stack can be stored
+ * @param {Array} effects - Object `effects`
+ * @returns {boolean} True for an array of up to maxEffects valid effects
+ */
+export const isValidEffects = (effects) => {
+  return Array.isArray(effects) && effects.length <= maxEffects && effects.every(isValidEffect)
+}
+
+/**
+ * Get the effects that are drawn (valid and not hidden)
+ * @param {Array} effects - Object `effects`
+ * @returns {Array} Visible effects in stack order
+ */
+export const getVisibleEffects = (effects) => {
+  return Array.isArray(effects) ? effects.filter(effect => effect?.visible !== false && isValidEffect(effect)) : []
+}
+
+/**
+ * Check if an object is drawn through the layer effects pipeline
+ * @param {Object} obj - Canvas object
+ * @returns {boolean} True if it has a partial opacity or visible effects
+ */
+export const hasLayerEffects = (obj) => {
+  return (obj?.opacity ?? 1) < 1 || getVisibleEffects(obj?.effects).length > 0
+}
+
+/**
+ * Get how far effects reach outside the layer's own pixels
+ * The rasterized layer is padded by this much so shadows and blur aren't cut off.
+ * @param {Array} effects - Object `effects`
+ * @returns {number} Padding in canvas units
+ */
+export const getEffectsPadding = (effects) => {
+  return Math.ceil(getVisibleEffects(effects).reduce((padding, effect) => {
+    if (effect.type === EFFECT_TYPES.LAYER_BLUR) return padding + effect.radius * 1.5
+    if (effect.type === EFFECT_TYPES.INNER_SHADOW) return padding
+    const reach = Math.max(Math.abs(effect.offsetX), Math.abs(effect.offsetY)) + effect.blur * 1.5 + Math.max(effect.spread, 0)
+    return Math.max(padding, reach)
+  }, 0))
+}
+
+const hexToRgb = (hex) => {
+  const value = parseInt(hex.slice(1), 16)
+  return [(value >> 16) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255]
+}
+
+// Walk every row (or column) of a width x height grid: callback(start, step, length)
+const forEachLine = (width, height, horizontal, callback) => {
+  const lines = horizontal ? height : width
+  for (let line = 0; line < lines; line++) {
+    callback(horizontal ? line * width : line, horizontal ? 1 : width, horizontal ? width : height)
+  }
+}
+
+// Box blur of radius r along one axis; pixels outside the grid count as 0
+const boxBlurLine = (src, dst, width, height, r, horizontal) => {
+  const size = 2 * r + 1
+  forEachLine(width, height, horizontal, (start, step, length) => {
+    let sum = 0
+    for (let i = 0; i < Math.min(r, length); i++) sum += src[start + i * step]
+    for (let i = 0; i < length; i++) {
+      if (i + r < length) sum += src[start + (i + r) * step]
+      dst[start + i * step] = sum / size
+      if (i - r >= 0) sum -= src[start + (i - r) * step]
+    }
+  })
+}
+
+// Box sizes whose three passes approximate a Gaussian with this standard deviation
+const getGaussianBoxRadii = (sigma) => {
+  const passes = 3
+  const ideal = Math.sqrt((12 * sigma * sigma) / passes + 1)
+  let lower = Math.floor(ideal)
+  if (lower % 2 === 0) lower--
+  const lowerPasses = Math.round((12 * sigma * sigma - passes * lower * lower - 4 * passes * lower - 3 * passes) / (-4 * lower - 4))
+  return Array.from({ length: passes }, (_, i) => ((i < lowerPasses ? lower : lower + 2) - 1) / 2)
+}
+
+/**
+ * Blur a single-channel grid (values outside the grid count as 0)
+ * @param {Float32Array} values - width * height values
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @param {number} sigma - Gaussian standard deviation in pixels
+ * @returns {Float32Array} Blurred copy (or the input when sigma is too small to matter)
+ */
+export const gaussianBlur = (values, width, height, sigma) => {
+  if (!(sigma >= 0.5)) return values
+  const blurred = Float32Array.from(values)
+  const pass = new Float32Array(values.length)
+  getGaussianBoxRadii(sigma).forEach(r => {
+    if (r < 1) return
+    boxBlurLine(blurred, pass, width, height, r, true)
+    boxBlurLine(pass, blurred, width, height, r, false)
+  })
+  return blurred
+}
+
+// Grow (r > 0) or shrink (r < 0) coverage by |r| pixels with a square max/min filter
+const morph = (values, width, height, r) => {
+  if (r === 0) return values
+  const pick = r > 0 ? Math.max : Math.min
+  const reach = Math.abs(r)
+  let src = values
+  for (const horizontal of [true, false]) {
+    const dst = new Float32Array(values.length)
+    forEachLine(width, height, horizontal, (start, step, length) => {
+      for (let i = 0; i < length; i++) {
+        let value = src[start + i * step]
+        for (let j = Math.max(0, i - reach); j <= Math.min(length - 1, i + reach); j++) {
+          value = pick(value, src[start + j * step])
+        }
+        dst[start + i * step] = value
+      }
+    })
+    src = dst
+  }
+  return src
+}
+
+// Move a grid by whole pixels; uncovered pixels are 0
+const shift = (values, width, height, dx, dy) => {
+  if (dx === 0 && dy === 0) return values
+  const shifted = new Float32Array(values.length)
+  for (let y = Math.max(0, dy); y < Math.min(height, height + dy); y++) {
+    for (let x = Math.max(0, dx); x < Math.min(width, width + dx); x++) {
+      shifted[y * width + x] = values[(y - dy) * width + (x - dx)]
+    }
+  }
+  return shifted
+}
+
+// Coverage of a shadow cast by `alpha`: spread, blurred and offset (pixel units)
+const getShadowCoverage = (alpha, width, height, effect, pixelRatio, spreadSign) => {
+  const spread = morph(alpha, width, height, Math.round(effect.spread * pixelRatio) * spreadSign)
+  const blurred = gaussianBlur(spread, width, height, (effect.blur * pixelRatio) / 2)
+  return shift(blurred, width, height, Math.round(effect.offsetX * pixelRatio), Math.round(effect.offsetY * pixelRatio))
+}
+
+// Draw premultiplied color (r, g, b already multiplied by a) over pixel i
+const compositeOver = (out, i, r, g, b, a) => {
+  const keep = 1 - a
+  out[i * 4] = r + out[i * 4] * keep
+  out[i * 4 + 1] = g + out[i * 4 + 1] * keep
+  out[i * 4 + 2] = b + out[i * 4 + 2] * keep
+  out[i * 4 + 3] = a + out[i * 4 + 3] * keep
+}
+
+/**
+ * Draw an effects stack onto a rasterized layer
+ * @param {ImageData} imageData - Layer pixels ({ data, width, height }), changed in place
+ * @param {Array} effects - Object `effects`
+ * @param {number} pixelRatio - Pixels per canvas unit in the raster
+ * @returns {ImageData} The same imageData
+ */
+export const applyEffects = (imageData, effects, pixelRatio = 1) => {
+  const visible = getVisibleEffects(effects)
+  if (visible.length === 0) return imageData
+
+  const { data, width, height } = imageData
+  const count = width * height
+  const alpha = new Float32Array(count)
+  for (let i = 0; i < count; i++) alpha[i] = data[i * 4 + 3] / 255
+
+  // Premultiplied RGBA, built up from the bottom
+  const out = new Float32Array(count * 4)
+  const ofType = (type) => visible.filter(effect => effect.type === type).reverse()
+
+  ofType(EFFECT_TYPES.DROP_SHADOW).forEach(effect => {
+    const coverage = getShadowCoverage(alpha, width, height, effect, pixelRatio, 1)
+    const [r, g, b] = hexToRgb(effect.color)
+    for (let i = 0; i < count; i++) {
+      const a = coverage[i] * effect.opacity
+      if (a > 0) compositeOver(out, i, r * a, g * a, b * a, a)
+    }
+  })
+
+  for (let i = 0; i < count; i++) {
+    const a = alpha[i]
+    if (a > 0) compositeOver(out, i, (data[i * 4] / 255) * a, (data[i * 4 + 1] / 255) * a, (data[i * 4 + 2] / 255) * a, a)
+  }
+
+  // Inner shadows fall where the offset, blurred layer doesn't cover it (everything outside counts as uncovered)
+  ofType(EFFECT_TYPES.INNER_SHADOW).forEach(effect => {
+    const coverage = getShadowCoverage(alpha, width, height, effect, pixelRatio, -1)
+    const [r, g, b] = hexToRgb(effect.color)
+    for (let i = 0; i < count; i++) {
+      const a = (1 - coverage[i]) * alpha[i] * effect.opacity
+      if (a > 0) compositeOver(out, i, r * a, g * a, b * a, a)
+    }
+  })
+
+  ofType(EFFECT_TYPES.LAYER_BLUR).forEach(effect => {
+    const sigma = (effect.radius * pixelRatio) / 2
+    for (let channel = 0; channel < 4; channel++) {
+      const values = new Float32Array(count)
+      for (let i = 0; i < count; i++) values[i] = out[i * 4 + channel]
+      const blurred = gaussianBlur(values, width, height, sigma)
+      for (let i = 0; i < count; i++) out[i * 4 + channel] = blurred[i]
+    }
+  })
+
+  for (let i = 0; i < count; i++) {
+    const a = Math.min(1, out[i * 4 + 3])
+    data[i * 4 + 3] = Math.round(a * 255)
+    for (let channel = 0; channel < 3; channel++) {
+      data[i * 4 + channel] = a > 0 ? Math.round(Math.min(1, out[i * 4 + channel] / a) * 255) : 0
+    }
+  }
+  return imageData
+}
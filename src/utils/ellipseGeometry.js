@@ -0,0 +1,125 @@
+/**
+ * Ellipse Geometry Utilities
+ *
+ * Circles are stored as ellipses:
+ * - x/y: the center (also the rotation pivot)
+ * - radiusX / radiusY: the horizontal and vertical semi-axes before rotation
+ * - radius: the larger semi-axis, kept in sync for clients that predate radiusX/radiusY
+ *
+ * Documents written before ellipses existed only have radius; they are read as
+ * a circle with radiusX = radiusY = radius.
+ */
+
+// Side handles stretch one axis, corner handles scale both
+const SIDE_HANDLE_AXES = { n: 'y', s: 'y', e: 'x', w: 'x' }
+
+/**
+ * Get the semi-axes of a circle/ellipse, falling back to the legacy radius
+ * @param {Object} ellipse - Circle object
+ * @returns {Object} { radiusX, radiusY }
+ */
+export const getEllipseRadii = (ellipse) => {
+  const radius = ellipse?.radius || 0
+  return {
+    radiusX: ellipse?.radiusX ?? radius,
+    radiusY: ellipse?.radiusY ?? radius
+  }
+}
+
+/**
+ * Build the stored radius fields for a circle/ellipse
+ * @param {number} radiusX - Horizontal semi-axis
+ * @param {number} radiusY - Vertical semi-axis
+ * @returns {Object} { radiusX, radiusY, radius }
+ */
+export const toEllipseRadiusFields = (radiusX, radiusY) => ({
+  radiusX,
+  radiusY,
+  radius: Math.max(radiusX, radiusY)
+})
+
+/**
+ * Check if a circle/ellipse has different semi-axes
+ * @param {Object} ellipse - Circle object
+ * @returns {boolean} True if the shape is not a perfect circle
+ */
+export const isEllipse = (ellipse) => {
+  const { radiusX, radiusY } = getEllipseRadii(ellipse)
+  return radiusX !== radiusY
+}
+
+/**
+ * Get the axis a resize handle stretches
+ * @param {string} handle - Handle name ('n', 'e', 's', 'w' or a corner)
+ * @returns {string|null} 'x', 'y', or null for corner handles
+ */
+export const getEllipseHandleAxis = (handle) => SIDE_HANDLE_AXES[handle] || null
+
+/**
+ * Convert a canvas point into the ellipse's unrotated frame (relative to its center)
+ * @param {Object} point - { x, y }
+ * @param {Object} ellipse - Circle object
+ * @returns {Object} { x, y } offset from the center along the ellipse's own axes
+ */
+export const toEllipseLocalOffset = (point, ellipse) => {
+  const radians = (-(ellipse.rotation || 0) * Math.PI) / 180
+  const dx = point.x - ellipse.x
+  const dy = point.y - ellipse.y
+
+  return {
+    x: dx * Math.cos(radians) - dy * Math.sin(radians),
+    y: dx * Math.sin(radians) + dy * Math.cos(radians)
+  }
+}
+
+/**
+ * Get the resize handle positions of a circle/ellipse in canvas coordinates
+ * Corners sit on the bounding box, side handles on the ends of each axis.
+ * @param {Object} ellipse - Circle object
+ * @returns {Object} { nw, ne, se, sw, n, e, s, w } rotated with the shape
+ */
+export const getEllipseHandlePoints = (ellipse) => {
+  const { radiusX, radiusY } = getEllipseRadii(ellipse)
+  const radians = ((ellipse.rotation || 0) * Math.PI) / 180
+  const cos = Math.cos(radians)
+  const sin = Math.sin(radians)
+  const toCanvas = (dx, dy) => ({
+    x: ellipse.x + dx * cos - dy * sin,
+    y: ellipse.y + dx * sin + dy * cos
+  })
+
+  return {
+    nw: toCanvas(-radiusX, -radiusY),
+    ne: toCanvas(radiusX, -radiusY),
+    se: toCanvas(radiusX, radiusY),
+    sw: toCanvas(-radiusX, radiusY),
+    n: toCanvas(0, -radiusY),
+    e: toCanvas(radiusX, 0),
+    s: toCanvas(0, radiusY),
+    w: toCanvas(-radiusX, 0)
+  }
+}
+
+/**
+ * Check if a point is inside a (possibly rotated) circle/ellipse
+ * @param {Object} point - { x, y }
+ * @param {Object} ellipse - Circle object
+ * @returns {boolean} True if the point is inside
+ */
+export const isPointInEllipse = (point, ellipse) => {
+  const { radiusX, radiusY } = getEllipseRadii(ellipse)
+  if (radiusX <= 0 || radiusY <= 0) return false
+
+  const local = toEllipseLocalOffset(point, ellipse)
+  return (local.x * local.x) / (radiusX * radiusX) + (local.y * local.y) / (radiusY * radiusY) <= 1
+}
+
+/**
+ * Check that a circle/ellipse has usable semi-axes
+ * @param {Object} ellipse - Circle object
+ * @returns {boolean} True if both semi-axes are positive finite numbers
+ */
+export const isValidEllipseGeometry = (ellipse) => {
+  const { radiusX, radiusY } = getEllipseRadii(ellipse)
+  return [radiusX, radiusY].every(value => typeof value === 'number' && Number.isFinite(value) && value > 0)
+}
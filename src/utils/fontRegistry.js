@@ -0,0 +1,251 @@
+/**
+ * Font Registry
+ *
+ * Every font a text object can use is registered here:
+ * - 'system': fonts every browser already has (nothing to load)
+ * - 'web': fonts bundled with the app, loaded from Google Fonts on first use
+ * - 'custom': font files uploaded to a canvas (Storage: canvases/{canvasId}/fonts/)
+ *
+ * Custom fonts and the web fonts a canvas uses are recorded on the canvas
+ * document (`fonts`), so every collaborator loads the same files and Konva
+ * measures text with identical metrics. Custom fonts are registered per
+ * canvas, so a canvas's font picker only lists the fonts uploaded to it. Text waits for its fonts before it is
+ * drawn (see isFontReady), otherwise it would be laid out with a fallback font.
+ */
+
+export const FONT_SOURCES = {
+  SYSTEM: 'system',
+  WEB: 'web',
+  CUSTOM: 'custom'
+}
+
+export const SYSTEM_FONTS = [
+  'Arial',
+  'Helvetica',
+  'Times New Roman',
+  'Georgia',
+  'Verdana',
+  'Courier New',
+  'Impact',
+  'Comic Sans MS'
+]
+
+export const WEB_FONTS = [
+  'Inter',
+  'Roboto',
+  'Open Sans',
+  'Lato',
+  'Montserrat',
+  'Playfair Display',
+  'Merriweather',
+  'Source Code Pro'
+]
+
+// Accepted font uploads and the MIME type each is stored with
+export const FONT_FILE_TYPES = {
+  woff2: 'font/woff2',
+  woff: 'font/woff',
+  ttf: 'font/ttf',
+  otf: 'font/otf'
+}
+
+export const MAX_FONT_FILE_SIZE = 5 * 1024 * 1024 // Matches the upload limit in storage.rules
+
+// family -> { family, source } for the fonts every canvas can use
+const builtInFonts = new Map([
+  ...SYSTEM_FONTS.map(family => [family, { family, source: FONT_SOURCES.SYSTEM }]),
+  ...WEB_FONTS.map(family => [family, { family, source: FONT_SOURCES.WEB }])
+])
+
+// canvasId -> Map(family -> { family, source, src, storagePath, fileName }) for custom fonts
+const customFonts = new Map()
+
+// family -> Promise<boolean> for fonts that started loading
+const loading = new Map()
+// Families that finished loading (or failed and fall back to a system font)
+const settled = new Set()
+
+/**
+ * Get the stylesheet URL that loads a web font (regular, bold and their italics)
+ * @param {string} family - Web font family
+ * @returns {string} Google Fonts CSS URL
+ */
+export const getWebFontUrl = (family) => {
+  const name = encodeURIComponent(family).replace(/%20/g, '+')
+  return `https://fonts.googleapis.com/css2?family=${name}:ital,wght@0,400;0,700;1,400;1,700&display=swap`
+}
+
+/**
+ * Find a custom font on any canvas opened this session
+ * Font faces are document-wide, so loading only needs the family's file.
+ * @param {string} family - Font family
+ * @returns {Object|null} The custom font
+ */
+const findCustomFont = (family) => {
+  for (const fonts of customFonts.values()) {
+    if (fonts.has(family)) return fonts.get(family)
+  }
+  return null
+}
+
+/**
+ * Get a registered font
+ * Without a canvas, custom fonts of every canvas opened this session are
+ * searched (e.g. to copy a pasted font onto another canvas).
+ * @param {string} family - Font family
+ * @param {string} [canvasId] - Only look at this canvas's custom fonts
+ * @returns {Object|null} { family, source, src? }
+ */
+export const getFont = (family, canvasId = null) => {
+  if (builtInFonts.has(family)) return builtInFonts.get(family)
+  return (canvasId ? customFonts.get(canvasId)?.get(family) : findCustomFont(family)) || null
+}
+
+/**
+ * Check if a family is in the registry
+ * @param {string} family - Font family
+ * @param {string} [canvasId] - Only accept this canvas's custom fonts
+ * @returns {boolean} True if text may use the font
+ */
+export const isRegisteredFont = (family, canvasId = null) => getFont(family, canvasId) !== null
+
+/**
+ * List the fonts a canvas can use, for the font picker (system, then web, then custom)
+ * @param {string} [canvasId] - Canvas whose custom fonts are listed (built-in fonts only without one)
+ * @returns {Array} [{ family, source }]
+ */
+export const getRegisteredFonts = (canvasId = null) => {
+  return [...builtInFonts.values(), ...(customFonts.get(canvasId)?.values() || [])]
+}
+
+/**
+ * Register the custom fonts recorded on a canvas
+ * @param {string} canvasId - Canvas the fonts belong to
+ * @param {Array} fonts - Canvas `fonts` entries ({ family, source, src, storagePath, fileName })
+ * @returns {Array} The canvas's fonts afterwards (see getRegisteredFonts)
+ */
+export const registerFonts = (canvasId, fonts = []) => {
+  if (!customFonts.has(canvasId)) {
+    customFonts.set(canvasId, new Map())
+  }
+  const registered = customFonts.get(canvasId)
+  fonts.forEach(font => {
+    if (font?.source === FONT_SOURCES.CUSTOM && font.family && font.src && !getFont(font.family, canvasId)) {
+      registered.set(font.family, {
+        family: font.family,
+        source: FONT_SOURCES.CUSTOM,
+        src: font.src,
+        storagePath: font.storagePath || null,
+        fileName: font.fileName || null
+      })
+    }
+  })
+  return getRegisteredFonts(canvasId)
+}
+
+/**
+ * Check if text in a family can be measured and drawn
+ * System and unknown fonts are always ready; other fonts once they have loaded (or failed to).
+ * @param {string} family - Font family
+ * @returns {boolean} True if the font will not change after measuring
+ */
+export const isFontReady = (family) => {
+  const font = getFont(family)
+  return !font || font.source === FONT_SOURCES.SYSTEM || settled.has(family)
+}
+
+const loadWebFont = async (family) => {
+  const href = getWebFontUrl(family)
+  if (!document.querySelector(`link[href="${href}"]`)) {
+    const link = document.createElement('link')
+    link.rel = 'stylesheet'
+    link.href = href
+    const loaded = new Promise((resolve, reject) => {
+      link.onload = resolve
+      link.onerror = () => reject(new Error(`Could not load font ${family}`))
+    })
+    document.head.appendChild(link)
+    await loaded
+  }
+  // The stylesheet only declares the faces; load the ones text uses
+  await Promise.all(['', 'bold ', 'italic ', 'italic bold '].map(style => document.fonts.load(`${style}16px "${family}"`)))
+}
+
+const loadCustomFont = async ({ family, src }) => {
+  const face = new FontFace(family, `url(${JSON.stringify(src)})`)
+  await face.load()
+  document.fonts.add(face)
+}
+
+/**
+ * Load a registered font
+ * Resolves once the font can be measured; failures resolve to false and the
+ * text falls back to a system font.
+ * @param {string} family - Font family
+ * @returns {Promise<boolean>} True if the font loaded
+ */
+export const loadFont = (family) => {
+  const font = getFont(family)
+  if (!font || font.source === FONT_SOURCES.SYSTEM) {
+    return Promise.resolve(true)
+  }
+  if (!loading.has(family)) {
+    const load = font.source === FONT_SOURCES.WEB ? loadWebFont(family) : loadCustomFont(font)
+    loading.set(family, load
+      .then(() => true)
+      .catch(error => {
+        console.error(`Failed to load font ${family}:`, error)
+        return false
+      })
+      .finally(() => settled.add(family)))
+  }
+  return loading.get(family)
+}
+
+/**
+ * Validate a font file before uploading it
+ * @param {File} file - Picked font file
+ * @returns {Object} { valid, error }
+ */
+export const validateFontFile = (file) => {
+  if (!file) {
+    return { valid: false, error: 'No file selected' }
+  }
+  if (!getFontFileType(file)) {
+    return { valid: false, error: 'Only WOFF2, WOFF, TTF and OTF fonts are supported' }
+  }
+  if (file.size > MAX_FONT_FILE_SIZE) {
+    return { valid: false, error: `Fonts must be smaller than ${Math.round(MAX_FONT_FILE_SIZE / (1024 * 1024))} MB` }
+  }
+  return { valid: true, error: null }
+}
+
+/**
+ * Get a font file's extension and MIME type (browsers rarely report font types, so this goes by name)
+ * @param {File} file - Font file
+ * @returns {Object|null} { extension, mimeType }
+ */
+export const getFontFileType = (file) => {
+  const extension = file?.name?.split('.').pop()?.toLowerCase()
+  return FONT_FILE_TYPES[extension] ? { extension, mimeType: FONT_FILE_TYPES[extension] } : null
+}
+
+/**
+ * Name an uploaded font after its file, e.g. 'Brand-Sans_Bold.woff2' -> 'Brand Sans Bold'
+ * @param {string} fileName - Font file name
+ * @returns {string} Font family
+ */
+export const getFontFamilyFromFileName = (fileName = '') => {
+  return fileName.replace(/\.[^.]+$/, '').replace(/[-_\s]+/g, ' ').trim() || 'Custom Font'
+}
+
+/**
+ * Build the Storage path for an uploaded font
+ * @param {string} canvasId - Canvas the font belongs to
+ * @param {string} fontId - Unique id for the upload
+ * @param {string} extension - File extension
+ * @returns {string} canvases/{canvasId}/fonts/{fontId}.{ext}
+ */
+export const getFontStoragePath = (canvasId, fontId, extension) => {
+  return `canvases/${canvasId}/fonts/${fontId}.${extension}`
+}
@@ -0,0 +1,137 @@
+import { getLocalCorners, getObjectBounds, getRotationPivot, rotatePoint } from './objectBounds.js'
+
+/**
+ * Frame Utilities
+ *
+ * A frame is a named box ('frame' object) that owns the objects placed in it.
+ * Like groups, ownership is stored on the children: each child carries the
+ * frameId of its frame, and there is no list of children on the frame itself.
+ *
+ * - Frames are stored like rectangles (x/y top-left, rotation around the center)
+ * - Frames don't nest; a frame never has a frameId of its own
+ * - Children are drawn clipped to the frame unless its clipContent is false
+ * - A child whose frame no longer exists is drawn as a top-level object
+ */
+
+/**
+ * Check if an object is a frame
+ * @param {Object} obj - Canvas object
+ * @returns {boolean} True for frame objects
+ */
+export const isFrame = (obj) => obj?.type === 'frame'
+
+/**
+ * Check if a point is inside a (possibly rotated) frame
+ * @param {Object} point - { x, y }
+ * @param {Object} frame - Frame object
+ * @returns {boolean} True if the point is inside the frame's box
+ */
+export const isPointInFrame = (point, frame) => {
+  const local = rotatePoint(point, getRotationPivot(frame), -(frame.rotation || 0))
+  return local.x >= frame.x && local.x <= frame.x + (frame.width || 0) &&
+    local.y >= frame.y && local.y <= frame.y + (frame.height || 0)
+}
+
+/**
+ * Find the topmost frame containing a point
+ * @param {Array} objects - Canvas objects
+ * @param {Object} point - { x, y }
+ * @returns {Object|null} Frame with the highest zIndex at the point, or null
+ */
+export const getFrameAt = (objects, point) => {
+  let topmost = null
+  objects.forEach(obj => {
+    if (isFrame(obj) && isPointInFrame(point, obj) && (!topmost || (obj.zIndex || 0) >= (topmost.zIndex || 0))) {
+      topmost = obj
+    }
+  })
+  return topmost
+}
+
+/**
+ * Get the frame an object belongs in, judged by the center of its bounds
+ * Used to parent new shapes to the frame they are created in, and to move
+ * dragged shapes into or out of frames.
+ * @param {Array} objects - Canvas objects
+ * @param {Object} obj - Object (or new object geometry with its type)
+ * @returns {string|null} Frame ID, or null if the object is outside every frame
+ */
+export const getParentFrameId = (objects, obj) => {
+  if (!obj || isFrame(obj)) return null
+
+  const { x, y, width, height } = getObjectBounds(obj)
+  const frame = getFrameAt(objects, { x: x + width / 2, y: y + height / 2 })
+  return frame ? frame.id : null
+}
+
+/**
+ * Get the objects owned by a frame
+ * @param {Array} objects - Canvas objects
+ * @param {string} frameId - Frame ID
+ * @returns {Array} Children of the frame
+ */
+export const getFrameChildren = (objects, frameId) => {
+  if (!frameId) return []
+  return objects.filter(obj => obj.frameId === frameId && obj.id !== frameId)
+}
+
+/**
+ * Get the Konva node ID of a frame's exportable content (background and children)
+ * @param {string} frameId - Frame ID
+ * @returns {string} Node ID to look up with stage.findOne('#' + id)
+ */
+export const getFrameNodeId = (frameId) => `frame-${frameId}`
+
+/**
+ * Get the name for a new frame ("Frame 1", "Frame 2", ...)
+ * @param {Array} objects - Canvas objects
+ * @returns {string} Default frame name
+ */
+export const getDefaultFrameName = (objects = []) => `Frame ${objects.filter(isFrame).length + 1}`
+
+/**
+ * Nest shapes under their frames for rendering
+ * Order is kept: top-level shapes (and frames) stay in the given z-order, and
+ * each frame gets its children, in the same order, as frameChildren.
+ * @param {Array} shapes - Shapes sorted by z-index
+ * @returns {Array} Top-level shapes; frames carry a frameChildren array
+ */
+export const nestShapesInFrames = (shapes) => {
+  const frameIds = new Set(shapes.filter(isFrame).map(frame => frame.id))
+  const childrenByFrame = {}
+  const topLevel = []
+
+  shapes.forEach(shape => {
+    if (!isFrame(shape) && frameIds.has(shape.frameId)) {
+      (childrenByFrame[shape.frameId] = childrenByFrame[shape.frameId] || []).push(shape)
+    } else {
+      topLevel.push(shape)
+    }
+  })
+
+  return topLevel.map(shape => (isFrame(shape) ? { ...shape, frameChildren: childrenByFrame[shape.id] || [] } : shape))
+}
+
+/**
+ * Get the outline children are clipped to, in canvas coordinates
+ * @param {Object} frame - Frame object
+ * @returns {Array<Object>} Rotated corner points [nw, ne, se, sw]
+ */
+export const getFrameClipPoints = (frame) => {
+  const pivot = getRotationPivot(frame)
+  return getLocalCorners(frame).map(corner => rotatePoint(corner, pivot, frame.rotation || 0))
+}
+
+/**
+ * Check if an object is hidden at a point by its frame's clipping
+ * Clipped-away parts of a child can't be clicked.
+ * @param {Object} point - { x, y }
+ * @param {Object} obj - Canvas object
+ * @param {Object} framesById - Frames keyed by ID
+ * @returns {boolean} True if the object's frame clips it at the point
+ */
+export const isClippedAt = (point, obj, framesById) => {
+  const frame = obj?.frameId && framesById[obj.frameId]
+  if (!frame || frame.clipContent === false) return false
+  return !isPointInFrame(point, frame)
+}
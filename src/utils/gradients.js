@@ -0,0 +1,290 @@
+import { FUTURE_SHAPE_DEFAULTS } from '../constants/canvas.constants.js'
+import { getRotationPivot, rotatePoint } from './objectBounds.js'
+import { getEllipseRadii } from './ellipseGeometry.js'
+
+/**
+ * Gradient Fill Utilities
+ *
+ * A shape's `fill` is either a hex color ('#RRGGBB') or a gradient:
+ * - { type: 'linear', angle, stops }: angle in degrees (0 runs left to right,
+ *   90 top to bottom); like CSS, the gradient line is long enough that the
+ *   box's corners reach the first and last stop
+ * - { type: 'radial', center: { x, y }, radius, stops }: center as a fraction
+ *   of the shape's box (0.5, 0.5 is the middle), radius as a fraction of half
+ *   the box's larger side
+ * - stops: [{ offset, color }] with offsets from 0 to 1
+ *
+ * Gradients are laid out on the shape's unrotated box and rotate with it.
+ * Shapes that can't take a gradient draw the first stop's color.
+ */
+
+const { maxStops, endColor, minRadius, maxRadius, handleHitDistance } = FUTURE_SHAPE_DEFAULTS.gradient
+
+export const GRADIENT_TYPES = {
+  LINEAR: 'linear',
+  RADIAL: 'radial'
+}
+
+// Object types whose fill can be a gradient
+export const GRADIENT_FILL_TYPES = ['rectangle', 'circle', 'star', 'polygon']
+
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+/**
+ * Check if a fill is a gradient (rather than a color)
+ * @param {string|Object} fill - Stored fill
+ * @returns {boolean} True for gradient objects
+ */
+export const isGradientFill = (fill) => {
+  return Boolean(fill) && typeof fill === 'object' && Object.values(GRADIENT_TYPES).includes(fill.type)
+}
+
+/**
+ * Check that a gradient is usable (type, 2–8 stops and its geometry)
+ * @param {Object} gradient - Gradient fill
+ * @returns {boolean} True if the gradient can be stored and drawn
+ */
+export const isValidGradient = (gradient) => {
+  if (!isGradientFill(gradient)) return false
+
+  const { stops } = gradient
+  const validStops = Array.isArray(stops) && stops.length >= 2 && stops.length <= maxStops &&
+    stops.every(stop => isNumber(stop?.offset) && stop.offset >= 0 && stop.offset <= 1 && HEX_COLOR.test(stop.color))
+  if (!validStops) return false
+
+  if (gradient.type === GRADIENT_TYPES.LINEAR) {
+    return isNumber(gradient.angle) && Math.abs(gradient.angle) <= 360
+  }
+  return isNumber(gradient.center?.x) && isNumber(gradient.center?.y) &&
+    gradient.center.x >= 0 && gradient.center.x <= 1 && gradient.center.y >= 0 && gradient.center.y <= 1 &&
+    isNumber(gradient.radius) && gradient.radius >= minRadius && gradient.radius <= maxRadius
+}
+
+/**
+ * Check that a fill is a hex color or a valid gradient
+ * @param {string|Object} fill - Fill to store
+ * @returns {boolean} True if the fill is valid
+ */
+export const isValidFill = (fill) => {
+  return typeof fill === 'string' ? HEX_COLOR.test(fill) : isValidGradient(fill)
+}
+
+/**
+ * Get a gradient's stops in offset order
+ * @param {Object} gradient - Gradient fill
+ * @returns {Array} [{ offset, color }]
+ */
+export const getSortedStops = (gradient) => {
+  return [...(gradient?.stops || [])].sort((a, b) => a.offset - b.offset)
+}
+
+/**
+ * Get the single color that stands for a fill (swatches, shapes without gradient support)
+ * @param {string|Object} fill - Stored fill
+ * @param {string} fallback - Color when there is no fill
+ * @returns {string} Hex color (a gradient's first stop)
+ */
+export const getFillColor = (fill, fallback = '#808080') => {
+  if (isGradientFill(fill)) return getSortedStops(fill)[0]?.color || fallback
+  return fill || fallback
+}
+
+/**
+ * Build a gradient from a fill, keeping its colors
+ * A color fades to endColor; switching between linear and radial keeps the stops.
+ * @param {string} type - 'linear' or 'radial'
+ * @param {string|Object} fill - Current fill
+ * @returns {Object} Gradient fill
+ */
+export const createGradientFill = (type, fill) => {
+  const stops = isGradientFill(fill)
+    ? getSortedStops(fill)
+    : [{ offset: 0, color: getFillColor(fill) }, { offset: 1, color: endColor }]
+
+  return type === GRADIENT_TYPES.RADIAL
+    ? { type, center: { x: 0.5, y: 0.5 }, radius: 1, stops }
+    : { type: GRADIENT_TYPES.LINEAR, angle: isNumber(fill?.angle) ? fill.angle : 0, stops }
+}
+
+/**
+ * Get the box a shape's fill is laid out on, in the shape's own (Konva node) coordinates
+ * Rectangles are drawn from their top-left corner; circles, stars and polygons from their center.
+ * @param {Object} shape - Canvas object
+ * @returns {Object|null} { x, y, width, height }, or null if the shape can't take a gradient
+ */
+export const getFillBox = (shape) => {
+  switch (shape?.type) {
+    case 'rectangle':
+      return { x: 0, y: 0, width: shape.width || 0, height: shape.height || 0 }
+    case 'circle': {
+      const { radiusX, radiusY } = getEllipseRadii(shape)
+      return { x: -radiusX, y: -radiusY, width: radiusX * 2, height: radiusY * 2 }
+    }
+    case 'star':
+    case 'polygon': {
+      const radius = shape.type === 'star'
+        ? shape.outerRadius || 40
+        : shape.radius || FUTURE_SHAPE_DEFAULTS.polygon.defaultRadius
+      return { x: -radius, y: -radius, width: radius * 2, height: radius * 2 }
+    }
+    default:
+      return null
+  }
+}
+
+/**
+ * Get where a gradient's handles sit in the shape's own coordinates
+ * @param {Object} gradient - Gradient fill
+ * @param {Object} box - Fill box from getFillBox
+ * @returns {Object} Linear: { start, end }; radial: { center, radius } (radius is the point on the circle's right edge)
+ */
+const getLocalGradientPoints = (gradient, box) => {
+  const middle = { x: box.x + box.width / 2, y: box.y + box.height / 2 }
+
+  if (gradient.type === GRADIENT_TYPES.RADIAL) {
+    const center = { x: box.x + gradient.center.x * box.width, y: box.y + gradient.center.y * box.height }
+    const radius = gradient.radius * Math.max(box.width, box.height) / 2
+    return { center, radius: { x: center.x + radius, y: center.y } }
+  }
+
+  const radians = (gradient.angle * Math.PI) / 180
+  const direction = { x: Math.cos(radians), y: Math.sin(radians) }
+  const halfLength = (Math.abs(box.width * direction.x) + Math.abs(box.height * direction.y)) / 2
+  return {
+    start: { x: middle.x - direction.x * halfLength, y: middle.y - direction.y * halfLength },
+    end: { x: middle.x + direction.x * halfLength, y: middle.y + direction.y * halfLength }
+  }
+}
+
+/**
+ * Get the Konva fill props for a shape
+ * @param {Object} shape - Canvas object
+ * @param {string|Object} fill - Fill to draw (defaults to the shape's own)
+ * @returns {Object} { fill } for colors, or Konva linear/radial gradient props
+ */
+export const getFillProps = (shape, fill = shape?.fill) => {
+  const box = getFillBox(shape)
+  if (!isGradientFill(fill) || !box) {
+    return { fill: getFillColor(fill) }
+  }
+
+  const colorStops = getSortedStops(fill).flatMap(stop => [stop.offset, stop.color])
+  const points = getLocalGradientPoints(fill, box)
+
+  if (fill.type === GRADIENT_TYPES.RADIAL) {
+    return {
+      fillPriority: 'radial-gradient',
+      fillRadialGradientStartPoint: points.center,
+      fillRadialGradientEndPoint: points.center,
+      fillRadialGradientStartRadius: 0,
+      fillRadialGradientEndRadius: points.radius.x - points.center.x,
+      fillRadialGradientColorStops: colorStops
+    }
+  }
+  return {
+    fillPriority: 'linear-gradient',
+    fillLinearGradientStartPoint: points.start,
+    fillLinearGradientEndPoint: points.end,
+    fillLinearGradientColorStops: colorStops
+  }
+}
+
+/**
+ * Get a CSS background for a fill (color swatches and the gradient editor)
+ * @param {string|Object} fill - Stored fill
+ * @returns {string} CSS color or gradient
+ */
+export const getFillCss = (fill) => {
+  if (!isGradientFill(fill)) return getFillColor(fill)
+
+  const stops = getSortedStops(fill).map(stop => `${stop.color} ${Math.round(stop.offset * 100)}%`).join(', ')
+  return fill.type === GRADIENT_TYPES.RADIAL
+    ? `radial-gradient(circle at ${fill.center.x * 100}% ${fill.center.y * 100}%, ${stops})`
+    : `linear-gradient(${fill.angle + 90}deg, ${stops})`
+}
+
+// Shape coordinates <-> canvas coordinates (shapes rotate around their pivot)
+const toCanvasPoint = (shape, point) => {
+  return rotatePoint({ x: shape.x + point.x, y: shape.y + point.y }, getRotationPivot(shape), shape.rotation || 0)
+}
+
+const toLocalPoint = (shape, point) => {
+  const unrotated = rotatePoint(point, getRotationPivot(shape), -(shape.rotation || 0))
+  return { x: unrotated.x - shape.x, y: unrotated.y - shape.y }
+}
+
+/**
+ * Get the on-canvas handle positions of a shape's gradient
+ * @param {Object} shape - Canvas object with a gradient fill
+ * @returns {Object|null} Linear: { start, end }; radial: { center, radius }; in canvas coordinates
+ */
+export const getGradientHandlePoints = (shape) => {
+  const box = getFillBox(shape)
+  if (!box || !isGradientFill(shape.fill)) return null
+
+  const points = getLocalGradientPoints(shape.fill, box)
+  return Object.fromEntries(Object.entries(points).map(([handle, point]) => [handle, toCanvasPoint(shape, point)]))
+}
+
+/**
+ * Find the gradient handle under a click position
+ * @param {Object} pos - Click position { x, y }
+ * @param {Object} shape - Canvas object with a gradient fill
+ * @param {number} hitDistance - Maximum distance from a handle, in canvas units
+ * @returns {string|null} Handle name ('start', 'end', 'center', 'radius') or null
+ */
+export const detectGradientHandle = (pos, shape, hitDistance = handleHitDistance) => {
+  const handles = getGradientHandlePoints(shape)
+  if (!pos || !handles) return null
+
+  let closest = null
+  let minDistance = hitDistance
+  for (const [handle, point] of Object.entries(handles)) {
+    const distance = Math.hypot(pos.x - point.x, pos.y - point.y)
+    if (distance <= minDistance) {
+      minDistance = distance
+      closest = handle
+    }
+  }
+  return closest
+}
+
+/**
+ * Calculate the gradient while dragging one of its handles
+ * Linear handles turn the gradient around the box's middle; the radial center
+ * handle moves the center (kept inside the box) and the radius handle sets the radius.
+ * @param {Object} shape - Shape at the start of the drag
+ * @param {string} handle - Dragged handle ('start', 'end', 'center', 'radius')
+ * @param {Object} pos - Current pointer position (canvas coordinates)
+ * @returns {Object} New gradient fill
+ */
+export const calculateGradientDrag = (shape, handle, pos) => {
+  const gradient = shape.fill
+  const box = getFillBox(shape)
+  if (!box || !isGradientFill(gradient)) return gradient
+
+  const local = toLocalPoint(shape, pos)
+
+  if (gradient.type === GRADIENT_TYPES.LINEAR) {
+    const middle = { x: box.x + box.width / 2, y: box.y + box.height / 2 }
+    const sign = handle === 'start' ? -1 : 1
+    const angle = Math.atan2((local.y - middle.y) * sign, (local.x - middle.x) * sign) * 180 / Math.PI
+    return { ...gradient, angle: Math.round(angle) }
+  }
+
+  if (handle === 'center') {
+    return {
+      ...gradient,
+      center: {
+        x: clamp((local.x - box.x) / (box.width || 1), 0, 1),
+        y: clamp((local.y - box.y) / (box.height || 1), 0, 1)
+      }
+    }
+  }
+
+  const { center } = getLocalGradientPoints(gradient, box)
+  const radius = Math.hypot(local.x - center.x, local.y - center.y) / (Math.max(box.width, box.height) / 2 || 1)
+  return { ...gradient, radius: clamp(radius, minRadius, maxRadius) }
+}
@@ -0,0 +1,119 @@
+import {
+  CANVAS_WIDTH,
+  CANVAS_HEIGHT,
+  GRID_DEFAULTS,
+  GRID_MIN_LINE_SPACING
+} from '../constants/canvas.constants.js'
+
+/**
+ * Grid Utilities
+ *
+ * The layout grid is a per-canvas setting ({ visible, snap, size, subdivisions })
+ * stored on the canvas document. Lines are drawn every size units and split
+ * into subdivisions; snapping uses the subdivision step so objects can land
+ * on any drawn line.
+ */
+
+/**
+ * Fill in defaults for canvases saved without (part of) a grid setting
+ * @param {Object} grid - Grid setting from the canvas document
+ * @returns {Object} { visible, snap, size, subdivisions }
+ */
+export const normalizeGrid = (grid = {}) => Object.fromEntries(
+  Object.entries(GRID_DEFAULTS).map(([key, value]) => [key, grid?.[key] ?? value])
+)
+
+/**
+ * Get the distance positions snap to
+ * @param {Object} grid - Normalized grid setting
+ * @returns {number} Subdivision step, or 0 while snapping is off
+ */
+export const getGridSnapStep = (grid) => grid?.snap ? grid.size / grid.subdivisions : 0
+
+/**
+ * Round a value to the nearest grid line
+ * @param {number} value - Canvas coordinate
+ * @param {number} step - Grid step (0 leaves the value as is)
+ * @returns {number}
+ */
+export const snapToGrid = (value, step) => step > 0 ? Math.round(value / step) * step : value
+
+/**
+ * Round a point to the nearest grid intersection
+ * @param {Object} point - { x, y }
+ * @param {number} step - Grid step (0 leaves the point as is)
+ * @returns {Object} { x, y }
+ */
+export const snapPointToGrid = (point, step) => step > 0
+  ? { ...point, x: snapToGrid(point.x, step), y: snapToGrid(point.y, step) }
+  : point
+
+/**
+ * Get the offset that puts a box's edges on the grid
+ * Moves pass { left: true, top: true } so the box's top-left corner snaps;
+ * resizes pass the edges their handle drags (see getHandleEdges).
+ * @param {Object} bounds - { x, y, width, height }
+ * @param {Object} edges - { left, right, top, bottom } edges that may snap
+ * @param {number} step - Grid step
+ * @returns {Object} { dx, dy }
+ */
+export const getGridSnap = (bounds, edges, step) => {
+  if (!(step > 0)) return { dx: 0, dy: 0 }
+
+  const x = edges.left ? bounds.x : edges.right ? bounds.x + bounds.width : null
+  const y = edges.top ? bounds.y : edges.bottom ? bounds.y + bounds.height : null
+  return {
+    dx: x === null ? 0 : snapToGrid(x, step) - x,
+    dy: y === null ? 0 : snapToGrid(y, step) - y
+  }
+}
+
+/**
+ * List the grid lines on one axis between two coordinates
+ * @param {number} start - First visible coordinate
+ * @param {number} end - Last visible coordinate
+ * @param {number} step - Distance between lines
+ * @param {number} limit - Canvas size on this axis (lines stay inside the canvas)
+ * @returns {Array<number>}
+ */
+const getAxisLines = (start, end, step, limit) => {
+  const lines = []
+  const last = Math.min(end, limit)
+  // Lines are counted rather than accumulated so fractional steps don't drift
+  for (let i = Math.max(1, Math.ceil(start / step)); i * step <= last && i * step < limit; i++) {
+    lines.push(i * step)
+  }
+  return lines
+}
+
+/**
+ * Get the grid lines to draw inside the viewport
+ * Only lines within the visible part of the canvas are returned, and lines
+ * closer together on screen than GRID_MIN_LINE_SPACING are skipped (the
+ * subdivisions first, then every other major line) so zoomed-out views stay
+ * cheap to draw and readable.
+ * @param {Object} viewport - Visible area in canvas units { x, y, width, height }
+ * @param {Object} grid - Normalized grid setting
+ * @param {number} scale - Stage zoom level
+ * @returns {Object} { major: { xs, ys }, minor: { xs, ys } }
+ */
+export const getVisibleGridLines = (viewport, grid, scale) => {
+  let majorStep = grid.size
+  while (majorStep * scale < GRID_MIN_LINE_SPACING) majorStep *= 2
+
+  const minorStep = grid.size / grid.subdivisions
+  const showMinor = grid.subdivisions > 1 && majorStep === grid.size && minorStep * scale >= GRID_MIN_LINE_SPACING
+  const isMajor = (value) => Math.abs(value / majorStep - Math.round(value / majorStep)) < 1e-6
+  const lines = (start, end, limit) => {
+    const major = getAxisLines(start, end, majorStep, limit)
+    const minor = showMinor ? getAxisLines(start, end, minorStep, limit).filter(value => !isMajor(value)) : []
+    return { major, minor }
+  }
+
+  const xs = lines(viewport.x, viewport.x + viewport.width, CANVAS_WIDTH)
+  const ys = lines(viewport.y, viewport.y + viewport.height, CANVAS_HEIGHT)
+  return {
+    major: { xs: xs.major, ys: ys.major },
+    minor: { xs: xs.minor, ys: ys.minor }
+  }
+}
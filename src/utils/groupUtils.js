@@ -0,0 +1,260 @@
+import { getCombinedBounds, getRotationPivot, rotatePoint } from './objectBounds.js'
+import { getLineEndpoints, buildLineGeometry } from './lineGeometry.js'
+import { scalePathGeometry } from './pathGeometry.js'
+import { getEllipseRadii, toEllipseRadiusFields } from './ellipseGeometry.js'
+import { getStickyNoteHeight } from './stickyNote.js'
+
+/**
+ * Group Utilities
+ *
+ * Groups are stored on the member objects themselves: every member of a group
+ * carries the same `groupId` (and optional `groupName`). There is no separate
+ * group document, so a group exists exactly as long as it has members.
+ *
+ * These helpers resolve group membership for selection and compute the
+ * per-member updates needed to move, resize and rotate a group as one unit.
+ */
+
+// Geometry fields captured for undo/redo of group transforms
+const GEOMETRY_FIELDS = ['x', 'y', 'width', 'height', 'radius', 'radiusX', 'radiusY', 'innerRadius', 'outerRadius', 'fontSize', 'rotation']
+
+/**
+ * Get all members of a group
+ * @param {string} groupId - Group ID
+ * @param {Array<Object>} objects - Canvas objects
+ * @returns {Array<Object>} Member objects
+ */
+export const getGroupMembers = (groupId, objects) => {
+  if (!groupId || !objects) return []
+  return objects.filter(obj => obj.groupId === groupId)
+}
+
+/**
+ * Expand a list of object IDs so any grouped object brings its whole group along
+ * @param {Array<string>} objectIds - Object IDs to expand
+ * @param {Array<Object>} objects - Canvas objects
+ * @returns {Array<string>} Expanded, de-duplicated object IDs
+ */
+export const expandToGroups = (objectIds, objects = []) => {
+  const expanded = new Set()
+
+  objectIds.forEach(id => {
+    const obj = objects.find(o => o.id === id)
+    if (obj?.groupId) {
+      getGroupMembers(obj.groupId, objects).forEach(member => expanded.add(member.id))
+    } else {
+      expanded.add(id)
+    }
+  })
+
+  return Array.from(expanded)
+}
+
+/**
+ * Resolve the group a selection represents, if it is exactly one whole group
+ * @param {Array<string>} selectedIds - Currently selected object IDs
+ * @param {Array<Object>} objects - Canvas objects
+ * @returns {Object|null} { groupId, groupName, members, bounds } or null
+ */
+export const getSelectedGroup = (selectedIds, objects) => {
+  if (!selectedIds || selectedIds.length < 2 || !objects) return null
+
+  const selected = objects.filter(obj => selectedIds.includes(obj.id))
+  if (selected.length !== selectedIds.length) return null
+
+  const groupId = selected[0].groupId
+  if (!groupId || selected.some(obj => obj.groupId !== groupId)) return null
+
+  const members = getGroupMembers(groupId, objects)
+  if (members.length !== selected.length) return null
+
+  return {
+    groupId,
+    groupName: members.find(m => m.groupName)?.groupName || 'Group',
+    members,
+    bounds: getCombinedBounds(members)
+  }
+}
+
+/**
+ * Capture the geometry of an object for undo/redo
+ * @param {Object} obj - Canvas object
+ * @returns {Object} Geometry fields present on the object
+ */
+export const getGeometrySnapshot = (obj) => {
+  const snapshot = {}
+  GEOMETRY_FIELDS.forEach(field => {
+    if (typeof obj[field] === 'number') {
+      snapshot[field] = obj[field]
+    }
+  })
+  if (Array.isArray(obj.points)) {
+    snapshot.points = [...obj.points]
+  }
+  if (Array.isArray(obj.anchors)) {
+    snapshot.anchors = obj.anchors
+  }
+  if (Array.isArray(obj.runs)) {
+    snapshot.runs = obj.runs
+  }
+  return snapshot
+}
+
+/**
+ * Scale group members from one bounding box to another
+ * Each member keeps its relative position inside the group bounds.
+ * @param {Array<Object>} members - Group members (original state)
+ * @param {Object} fromBounds - Original group bounds
+ * @param {Object} toBounds - Target group bounds
+ * @returns {Object} Map of objectId -> geometry updates
+ */
+export const scaleGroupMembers = (members, fromBounds, toBounds) => {
+  const scaleX = fromBounds.width > 0 ? toBounds.width / fromBounds.width : 1
+  const scaleY = fromBounds.height > 0 ? toBounds.height / fromBounds.height : 1
+  const uniformScale = (scaleX + scaleY) / 2
+  const updates = {}
+
+  members.forEach(member => {
+    const pivot = getRotationPivot(member)
+    const newPivot = {
+      x: toBounds.x + (pivot.x - fromBounds.x) * scaleX,
+      y: toBounds.y + (pivot.y - fromBounds.y) * scaleY
+    }
+
+    switch (member.type) {
+      case 'rectangle':
+      case 'image':
+      case 'frame':
+      case 'table': {
+        // Table columns and rows are scaled to fill the table's box
+        const width = member.width * scaleX
+        const height = member.height * scaleY
+        updates[member.id] = {
+          x: newPivot.x - width / 2,
+          y: newPivot.y - height / 2,
+          width,
+          height
+        }
+        break
+      }
+
+      case 'sticky': {
+        // Sticky notes only stretch horizontally; their height follows the rewrapped text
+        const width = member.width * scaleX
+        const height = getStickyNoteHeight({ ...member, width })
+        updates[member.id] = {
+          x: newPivot.x - width / 2,
+          y: newPivot.y - height / 2,
+          width,
+          height
+        }
+        break
+      }
+
+      case 'circle': {
+        // Ellipses stretch along each axis like rectangles do
+        const { radiusX, radiusY } = getEllipseRadii(member)
+        updates[member.id] = {
+          x: newPivot.x,
+          y: newPivot.y,
+          ...toEllipseRadiusFields(radiusX * scaleX, radiusY * scaleY)
+        }
+        break
+      }
+
+      case 'star':
+        updates[member.id] = {
+          x: newPivot.x,
+          y: newPivot.y,
+          innerRadius: (member.innerRadius || 20) * uniformScale,
+          outerRadius: (member.outerRadius || 40) * uniformScale
+        }
+        break
+
+      case 'polygon':
+        updates[member.id] = {
+          x: newPivot.x,
+          y: newPivot.y,
+          radius: (member.radius || 40) * uniformScale
+        }
+        break
+
+      case 'text':
+        updates[member.id] = {
+          x: newPivot.x,
+          y: newPivot.y,
+          width: (member.width || 200) * scaleX,
+          fontSize: (member.fontSize || 24) * uniformScale,
+          // Runs with their own size and fixed-size boxes scale along
+          ...(Array.isArray(member.runs) && {
+            runs: member.runs.map(run => (run.fontSize ? { ...run, fontSize: run.fontSize * uniformScale } : run))
+          }),
+          ...(member.sizing === 'fixed' && member.height > 0 && { height: member.height * scaleY })
+        }
+        break
+
+      case 'path': {
+        // Points and anchors are relative to the box, so they scale with it
+        const width = member.width * scaleX
+        const height = member.height * scaleY
+        updates[member.id] = {
+          x: newPivot.x - width / 2,
+          y: newPivot.y - height / 2,
+          width,
+          height,
+          ...scalePathGeometry(member, scaleX, scaleY)
+        }
+        break
+      }
+
+      case 'line': {
+        // Scale both endpoints so the line keeps touching the same relative spots
+        const { start, end } = getLineEndpoints(member)
+        const scalePoint = (point) => ({
+          x: toBounds.x + (point.x - fromBounds.x) * scaleX,
+          y: toBounds.y + (point.y - fromBounds.y) * scaleY
+        })
+        updates[member.id] = buildLineGeometry(scalePoint(start), scalePoint(end))
+        break
+      }
+
+      default:
+        updates[member.id] = { x: newPivot.x, y: newPivot.y }
+    }
+  })
+
+  return updates
+}
+
+/**
+ * Rotate group members around a shared center
+ * @param {Array<Object>} members - Group members (original state)
+ * @param {Object} center - Rotation center { x, y }
+ * @param {number} deltaDegrees - Rotation to apply in degrees
+ * @returns {Object} Map of objectId -> geometry updates
+ */
+export const rotateGroupMembers = (members, center, deltaDegrees) => {
+  const updates = {}
+
+  members.forEach(member => {
+    const pivot = getRotationPivot(member)
+    const newPivot = rotatePoint(pivot, center, deltaDegrees)
+
+    let rotation = (member.rotation || 0) + deltaDegrees
+    while (rotation < 0) rotation += 360
+    while (rotation >= 360) rotation -= 360
+
+    // Rectangles, paths, images, frames, sticky notes and tables are stored by top-left but rotate around their center
+    const isBoxShape = member.type === 'rectangle' || member.type === 'path' || member.type === 'image' || member.type === 'frame' || member.type === 'sticky' || member.type === 'table'
+    const offsetX = isBoxShape ? member.width / 2 : 0
+    const offsetY = isBoxShape ? member.height / 2 : 0
+
+    updates[member.id] = {
+      x: newPivot.x - offsetX,
+      y: newPivot.y - offsetY,
+      rotation
+    }
+  })
+
+  return updates
+}
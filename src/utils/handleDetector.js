@@ -5,16 +5,25 @@
  * for different shape types and improve code organization.
  */
 
+import { getLineEndpoints } from './lineGeometry.js';
+import { getLocalCorners, getRotationPivot, rotatePoint } from './objectBounds.js';
+import { toPathLocalPoint } from './pathGeometry.js';
+import { isVectorPath } from './vectorPath.js';
+import { getTextSize } from './richText.js';
+import { getEllipseHandlePoints, getEllipseRadii, isValidEllipseGeometry } from './ellipseGeometry.js';
+
 const HANDLE_SIZE = 20;
 const HANDLE_PADDING = 5;
 // More forgiving detection area - especially important at low zoom levels  
 const HANDLE_DETECTION_SIZE = 80; // Much larger detection area for better UX at low zoom
+// Anchors and Bézier handles sit close together, so point editing uses a tight radius
+const PATH_EDIT_DETECTION_RADIUS = 8;
 
 /**
  * Detect which resize handle is closest to a click position
  * @param {Object} pos - Click position {x, y}
  * @param {Object} obj - Object with position and dimensions
- * @returns {string|null} - Handle name ('nw', 'ne', 'sw', 'se') or null
+ * @returns {string|null} - Handle name ('nw', 'ne', 'sw', 'se', 'n'/'e'/'s'/'w' for circles, or 'start'/'end' for lines) or null
  */
 export const detectResizeHandle = (pos, obj) => {
   if (!pos || !obj) {
@@ -28,8 +37,18 @@ export const detectResizeHandle = (pos, obj) => {
       return detectCircleHandle(pos, obj);
     case 'star':
       return detectStarHandle(pos, obj);
+    case 'polygon':
+      return detectPolygonHandle(pos, obj);
     case 'text':
       return detectTextHandle(pos, obj);
+    case 'line':
+      return detectLineHandle(pos, obj);
+    case 'path':
+    case 'image':
+    case 'frame':
+    case 'sticky':
+    case 'table':
+      return detectPathHandle(pos, obj);
     default:
       return null;
   }
@@ -63,36 +82,24 @@ export const detectRectangleHandle = (pos, rect) => {
 };
 
 /**
- * Detect resize handle for circles (uses bounding box)
+ * Detect resize handle for circles/ellipses
+ * Corner handles sit on the bounding box and side handles on the ends of each
+ * axis; all of them follow rotation.
  * @param {Object} pos - Click position
  * @param {Object} circle - Circle object
  * @returns {string|null} - Handle name or null
  */
 export const detectCircleHandle = (pos, circle) => {
   if (!circle || typeof circle.x !== 'number' || typeof circle.y !== 'number' ||
-      typeof circle.radius !== 'number') {
-    return null;
-  }
-
-  // Don't show handles for rotated circles (handled by Transformer)
-  if (circle.rotation && circle.rotation !== 0) {
+      !isValidEllipseGeometry(circle)) {
     return null;
   }
 
-  // Position handles on circle's bounding box corners
-  const bounds = {
-    x: circle.x - circle.radius,
-    y: circle.y - circle.radius,
-    width: circle.radius * 2,
-    height: circle.radius * 2
-  };
-
-  const handles = [
-    { name: 'nw', x: bounds.x - HANDLE_SIZE/2, y: bounds.y - HANDLE_SIZE/2 },
-    { name: 'ne', x: bounds.x + bounds.width - HANDLE_SIZE/2, y: bounds.y - HANDLE_SIZE/2 },
-    { name: 'sw', x: bounds.x - HANDLE_SIZE/2, y: bounds.y + bounds.height - HANDLE_SIZE/2 },
-    { name: 'se', x: bounds.x + bounds.width - HANDLE_SIZE/2, y: bounds.y + bounds.height - HANDLE_SIZE/2 }
-  ];
+  const handles = Object.entries(getEllipseHandlePoints(circle)).map(([name, point]) => ({
+    name,
+    x: point.x - HANDLE_SIZE/2,
+    y: point.y - HANDLE_SIZE/2
+  }));
 
   return findClosestHandle(pos, handles);
 };
@@ -132,6 +139,31 @@ export const detectStarHandle = (pos, star) => {
   return findClosestHandle(pos, handles);
 };
 
+/**
+ * Detect resize handle for polygons (corners of the vertex bounds, follows rotation)
+ * Polygons resize radially, so rotated polygons keep their handles too.
+ * @param {Object} pos - Click position
+ * @param {Object} polygon - Polygon object
+ * @returns {string|null} - Handle name or null
+ */
+export const detectPolygonHandle = (pos, polygon) => {
+  if (!polygon || typeof polygon.x !== 'number' || typeof polygon.y !== 'number' ||
+      typeof polygon.radius !== 'number') {
+    return null;
+  }
+
+  const pivot = getRotationPivot(polygon);
+  const corners = getLocalCorners(polygon).map(corner => rotatePoint(corner, pivot, polygon.rotation || 0));
+
+  const handles = ['nw', 'ne', 'se', 'sw'].map((name, i) => ({
+    name,
+    x: corners[i].x - HANDLE_SIZE/2,
+    y: corners[i].y - HANDLE_SIZE/2
+  }));
+
+  return findClosestHandle(pos, handles);
+};
+
 /**
  * Detect resize handle for text objects
  * @param {Object} pos - Click position
@@ -148,20 +180,9 @@ export const detectTextHandle = (pos, text) => {
     return null;
   }
 
-  // Calculate text height based on font size and line count
-  const fontSize = text.fontSize || 24;
-  const charWidth = fontSize * 0.6; // Rough estimate
-  const charsPerLine = Math.floor((text.width || 200) / charWidth);
-  const lineCount = Math.max(1, Math.ceil((text.text?.length || 4) / charsPerLine));
-  const lineHeight = fontSize * 1.2;
-  const textHeight = lineCount * lineHeight;
-
-  const bounds = {
-    x: text.x,
-    y: text.y,
-    width: text.width || 200,
-    height: textHeight
-  };
+  // Box of the laid-out text (wrapped lines, auto width or fixed size)
+  const { width, height } = getTextSize(text);
+  const bounds = { x: text.x, y: text.y, width, height };
 
   const handles = [
     { name: 'nw', x: bounds.x - HANDLE_SIZE/2, y: bounds.y - HANDLE_SIZE/2 },
@@ -173,6 +194,86 @@ export const detectTextHandle = (pos, text) => {
   return findClosestHandle(pos, handles);
 };
 
+/**
+ * Detect endpoint handle for lines and arrows
+ * Lines have no corner handles - each endpoint is dragged independently.
+ * Works for rotated lines since endpoints are resolved in canvas coordinates.
+ * @param {Object} pos - Click position
+ * @param {Object} line - Line object
+ * @returns {string|null} - 'start', 'end' or null
+ */
+export const detectLineHandle = (pos, line) => {
+  if (!line || typeof line.x !== 'number' || typeof line.y !== 'number' ||
+      !Array.isArray(line.points)) {
+    return null;
+  }
+
+  const { start, end } = getLineEndpoints(line);
+
+  const handles = [
+    { name: 'start', x: start.x - HANDLE_SIZE/2, y: start.y - HANDLE_SIZE/2 },
+    { name: 'end', x: end.x - HANDLE_SIZE/2, y: end.y - HANDLE_SIZE/2 }
+  ];
+
+  return findClosestHandle(pos, handles);
+};
+
+/**
+ * Detect resize handle for freehand paths, images, frames, sticky notes and tables (corners of the rotated box)
+ * @param {Object} pos - Click position
+ * @param {Object} path - Path object
+ * @returns {string|null} - Handle name or null
+ */
+export const detectPathHandle = (pos, path) => {
+  if (!path || typeof path.x !== 'number' || typeof path.y !== 'number' ||
+      typeof path.width !== 'number' || typeof path.height !== 'number') {
+    return null;
+  }
+
+  const pivot = getRotationPivot(path);
+  const corners = getLocalCorners(path).map(corner => rotatePoint(corner, pivot, path.rotation || 0));
+
+  const handles = ['nw', 'ne', 'se', 'sw'].map((name, i) => ({
+    name,
+    x: corners[i].x - HANDLE_SIZE/2,
+    y: corners[i].y - HANDLE_SIZE/2
+  }));
+
+  return findClosestHandle(pos, handles);
+};
+
+/**
+ * Detect the anchor or Bézier handle under a position in point-edit mode
+ * Replaces the fixed corner handles while a vector path's points are edited.
+ * @param {Object} pos - Click position (canvas coordinates)
+ * @param {Object} path - Vector path object
+ * @param {number} radius - Detection radius in canvas units
+ * @returns {Object|null} - { type: 'anchor'|'handleIn'|'handleOut', index } or null
+ */
+export const detectPathEditHandle = (pos, path, radius = PATH_EDIT_DETECTION_RADIUS) => {
+  if (!pos || !isVectorPath(path)) {
+    return null;
+  }
+
+  const local = toPathLocalPoint(pos, path);
+  let closest = null;
+  let minDistance = Infinity;
+
+  path.anchors.forEach((anchor, index) => {
+    // Anchors are checked before their handles and win ties
+    [['anchor', anchor], ['handleIn', anchor.handleIn], ['handleOut', anchor.handleOut]].forEach(([type, point]) => {
+      if (!point) return;
+      const distance = Math.hypot(local.x - point.x, local.y - point.y);
+      if (distance <= radius && distance < minDistance) {
+        minDistance = distance;
+        closest = { type, index };
+      }
+    });
+  });
+
+  return closest;
+};
+
 /**
  * Find the closest handle to a click position
  * @param {Object} pos - Click position
@@ -238,13 +339,23 @@ const getObjectDimensions = (obj) => {
 
   switch (obj.type) {
     case 'rectangle':
+    case 'image':
+    case 'frame':
+    case 'sticky':
+    case 'table':
       return { width: obj.width, height: obj.height };
     case 'circle':
-      return { radius: obj.radius };
+      return getEllipseRadii(obj);
     case 'star':
       return { innerRadius: obj.innerRadius, outerRadius: obj.outerRadius };
+    case 'polygon':
+      return { radius: obj.radius, sides: obj.sides };
     case 'text':
       return { width: obj.width, text: obj.text };
+    case 'line':
+      return { points: obj.points, strokeWidth: obj.strokeWidth };
+    case 'path':
+      return { width: obj.width, height: obj.height, pointCount: (obj.points || []).length / 2 };
     default:
       return null;
   }
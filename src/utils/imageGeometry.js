@@ -0,0 +1,126 @@
+import { FUTURE_SHAPE_DEFAULTS } from '../constants/canvas.constants.js'
+
+/**
+ * Image Geometry Utilities
+ *
+ * Images are stored like rectangles:
+ * - x/y: the top-left corner, rotation is around the center
+ * - width/height: the displayed size on the canvas
+ * - src / storagePath: the download URL and Cloud Storage path of the uploaded file
+ * - naturalWidth / naturalHeight: the pixel size of the file
+ * - crop: { x, y, width, height } in natural pixels, or absent to show the whole file
+ * - opacity: 0–1
+ *
+ * Files live in Storage under canvases/{canvasId}/images/, which storage.rules
+ * opens to the same owner/collaborators that can edit the canvas.
+ */
+
+const { maxFileSize, maxInitialSize, fallbackSize } = FUTURE_SHAPE_DEFAULTS.image
+
+// Accepted upload types and the extension each is stored with
+export const IMAGE_MIME_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/svg+xml': 'svg'
+}
+
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0
+
+/**
+ * Check if a file (or clipboard/drag item) is an image type the canvas accepts
+ * @param {File|Object} file - File or object with a MIME type
+ * @returns {boolean} True for PNG, JPEG and SVG
+ */
+export const isSupportedImageType = (file) => Boolean(file && IMAGE_MIME_TYPES[file.type])
+
+/**
+ * Validate an image file before uploading it
+ * @param {File} file - Dropped, pasted or picked file
+ * @returns {Object} { valid, error }
+ */
+export const validateImageFile = (file) => {
+  if (!file) {
+    return { valid: false, error: 'No file selected' }
+  }
+  if (!isSupportedImageType(file)) {
+    return { valid: false, error: 'Only PNG, JPEG and SVG images are supported' }
+  }
+  if (file.size > maxFileSize) {
+    return { valid: false, error: `Images must be smaller than ${Math.round(maxFileSize / (1024 * 1024))} MB` }
+  }
+  return { valid: true, error: null }
+}
+
+/**
+ * Build the Storage folder holding a canvas's uploaded images
+ * @param {string} canvasId - Canvas ID
+ * @returns {string} canvases/{canvasId}/images
+ */
+export const getImageStorageFolder = (canvasId) => `canvases/${canvasId}/images`
+
+/**
+ * Build the Storage path for an uploaded image
+ * @param {string} canvasId - Canvas the image is placed on
+ * @param {string} imageId - Unique id for the upload
+ * @param {string} mimeType - File MIME type
+ * @returns {string} canvases/{canvasId}/images/{imageId}.{ext}
+ */
+export const getImageStoragePath = (canvasId, imageId, mimeType) => {
+  return `${getImageStorageFolder(canvasId)}/${imageId}.${IMAGE_MIME_TYPES[mimeType] || 'img'}`
+}
+
+/**
+ * Get the size an image is first placed at
+ * Large images are scaled down to fit maxSize; SVGs that report no size get a square fallback.
+ * @param {number} naturalWidth - File width in pixels
+ * @param {number} naturalHeight - File height in pixels
+ * @param {number} maxSize - Largest width/height to place at
+ * @returns {Object} { width, height }
+ */
+export const fitImageSize = (naturalWidth, naturalHeight, maxSize = maxInitialSize) => {
+  if (!isPositive(naturalWidth) || !isPositive(naturalHeight)) {
+    return { width: fallbackSize, height: fallbackSize }
+  }
+
+  const scale = Math.min(1, maxSize / Math.max(naturalWidth, naturalHeight))
+  return {
+    width: Math.round(naturalWidth * scale),
+    height: Math.round(naturalHeight * scale)
+  }
+}
+
+/**
+ * Get the part of the file an image shows
+ * @param {Object} image - Image object
+ * @returns {Object} { x, y, width, height } in natural pixels
+ */
+export const getImageCrop = (image) => {
+  const crop = image?.crop
+  if (crop && isPositive(crop.width) && isPositive(crop.height)) {
+    return { x: crop.x || 0, y: crop.y || 0, width: crop.width, height: crop.height }
+  }
+  return { x: 0, y: 0, width: image?.naturalWidth || 0, height: image?.naturalHeight || 0 }
+}
+
+/**
+ * Check if an image is cropped
+ * @param {Object} image - Image object
+ * @returns {boolean} True if the image shows less than the whole file
+ */
+export const isImageCropped = (image) => {
+  const crop = getImageCrop(image)
+  return crop.x > 0 || crop.y > 0 ||
+    crop.width < (image?.naturalWidth || 0) || crop.height < (image?.naturalHeight || 0)
+}
+
+/**
+ * Check that an image has a usable box, source and file size
+ * @param {Object} image - Image object (or creation properties)
+ * @returns {boolean} True if the image can be rendered
+ */
+export const isValidImageGeometry = (image) => {
+  return Boolean(image) &&
+    typeof image.src === 'string' && image.src.length > 0 &&
+    isPositive(image.width) && isPositive(image.height) &&
+    isPositive(image.naturalWidth) && isPositive(image.naturalHeight)
+}
@@ -0,0 +1,229 @@
+import { FUTURE_SHAPE_DEFAULTS } from '../constants/canvas.constants.js'
+import { getLocalCorners, getObjectBounds } from './objectBounds.js'
+import { normalizeCornerRadii } from './cornerRadius.js'
+import { scaleGroupMembers } from './groupUtils.js'
+import { STROKE_TYPES, getStrokeStyle } from './strokeStyles.js'
+import { getTranslateEntries } from './alignment.js'
+import { getConnectorRerouteEntries } from './connectorUtils.js'
+
+/**
+ * Properties Inspector Utilities
+ *
+ * The inspector shows each object's unrotated box, like Figma: X/Y is the
+ * box's top-left corner and W/H its size, with rotation as its own field.
+ * Lines bake their rotation into their points, so they show the box around
+ * their endpoints instead. Fields that differ across a multi-selection read
+ * as MIXED.
+ *
+ * Inspector edits are field/value pairs applied to every selected object;
+ * getInspectorUpdates turns them into each type's own stored fields. X/Y
+ * edits instead move the whole selection as one unit (see getInspectorEntries).
+ */
+
+export const MIXED = Symbol('mixed')
+
+// Geometry fields the inspector edits through each type's own stored fields
+export const GEOMETRY_KEYS = ['x', 'y', 'width', 'height', 'radius', 'rotation']
+
+// Object types with an editable fill (text fill is the text color, sticky fill the note color)
+export const FILL_TYPES = ['rectangle', 'circle', 'star', 'polygon', 'frame', 'sticky', 'text']
+
+// Object types with a radius field: rectangle corners, star points and polygon corners
+export const RADIUS_TYPES = ['rectangle', 'star', 'polygon']
+
+// Stars and polygons keep their proportions, so W and H change together
+const UNIFORM_TYPES = ['star', 'polygon']
+
+const textDefaults = FUTURE_SHAPE_DEFAULTS.text
+
+/**
+ * Get the box the inspector shows for an object
+ * @param {Object} obj - Canvas object
+ * @returns {Object} { x, y, width, height }
+ */
+export const getInspectorBox = (obj) => {
+  if (obj.type === 'line') return getObjectBounds(obj)
+
+  const [nw, ne, , sw] = getLocalCorners(obj)
+  return { x: nw.x, y: nw.y, width: ne.x - nw.x, height: sw.y - nw.y }
+}
+
+/**
+ * Get the radius field of an object
+ * @param {Object} obj - Rectangle, star or polygon
+ * @returns {number|symbol} Radius, or MIXED for rectangles with different corner radii
+ */
+const getRadius = (obj) => {
+  if (obj.type === 'star') return obj.outerRadius || 40
+  if (obj.type === 'polygon') return obj.radius || FUTURE_SHAPE_DEFAULTS.polygon.defaultRadius
+
+  const radii = normalizeCornerRadii(obj.cornerRadius)
+  return radii.every(value => value === radii[0]) ? radii[0] : MIXED
+}
+
+/**
+ * Get the value shared by every object, or MIXED
+ * @param {Array<Object>} objects - Canvas objects
+ * @param {Function} getValue - Reads the field from one object
+ * @returns {*} Shared value or MIXED
+ */
+const getSharedValue = (objects, getValue) => {
+  const values = objects.map(getValue)
+  const first = JSON.stringify(values[0])
+  return values.every(value => value !== MIXED && JSON.stringify(value) === first) ? values[0] : MIXED
+}
+
+/**
+ * Get the values the inspector shows for a selection
+ * Sections that don't apply to every selected object are left undefined.
+ * @param {Array<Object>} objects - Selected canvas objects
+ * @returns {Object|null} { x, y, width, height, rotation, radius?, fill?, stroke?, text? } or null without a selection
+ */
+export const getInspectorValues = (objects) => {
+  if (!Array.isArray(objects) || objects.length === 0) return null
+
+  const boxes = new Map(objects.map(obj => [obj.id, getInspectorBox(obj)]))
+  const allOf = (types) => objects.every(obj => types.includes(obj.type))
+  const shared = (getValue) => getSharedValue(objects, getValue)
+
+  return {
+    x: shared(obj => boxes.get(obj.id).x),
+    y: shared(obj => boxes.get(obj.id).y),
+    width: shared(obj => boxes.get(obj.id).width),
+    height: shared(obj => boxes.get(obj.id).height),
+    rotation: shared(obj => obj.rotation || 0),
+    radius: allOf(RADIUS_TYPES) ? shared(getRadius) : undefined,
+    fill: allOf(FILL_TYPES) ? shared(obj => obj.fill ?? null) : undefined,
+    stroke: allOf(STROKE_TYPES) ? shared(getStrokeStyle) : undefined,
+    text: allOf(['text']) ? {
+      fontFamily: shared(obj => obj.fontFamily || textDefaults.fontFamily),
+      fontSize: shared(obj => obj.fontSize || textDefaults.fontSize),
+      lineHeight: shared(obj => obj.lineHeight ?? textDefaults.lineHeight),
+      letterSpacing: shared(obj => obj.letterSpacing ?? textDefaults.letterSpacing),
+      align: shared(obj => obj.align || textDefaults.align)
+    } : undefined
+  }
+}
+
+/**
+ * Get the stored-field updates that resize an object's inspector box
+ * @param {Object} obj - Canvas object
+ * @param {string} field - 'width' or 'height'
+ * @param {number} value - New size
+ * @returns {Object} Updates (empty when the box has no size along that axis)
+ */
+const getSizeUpdates = (obj, field, value) => {
+  // Text boxes stop growing with their text once given a size
+  if (obj.type === 'text') {
+    if (field === 'height') return { height: value, sizing: 'fixed' }
+    return { width: value, ...((obj.sizing || textDefaults.sizing) === 'autoWidth' && { sizing: 'autoHeight' }) }
+  }
+
+  const box = getInspectorBox(obj)
+  if (!(box[field] > 0)) return {}
+
+  const scale = value / box[field]
+  const isUniform = UNIFORM_TYPES.includes(obj.type)
+  const scaleX = field === 'width' || isUniform ? scale : 1
+  const scaleY = field === 'height' || isUniform ? scale : 1
+  const toBox = { x: box.x, y: box.y, width: box.width * scaleX, height: box.height * scaleY }
+
+  return scaleGroupMembers([obj], box, toBox)[obj.id]
+}
+
+/**
+ * Get the stored-field updates for one inspector field
+ * @param {Object} obj - Canvas object
+ * @param {string} field - One of GEOMETRY_KEYS
+ * @param {number} value - New value
+ * @returns {Object} Updates
+ */
+const getGeometryUpdates = (obj, field, value) => {
+  switch (field) {
+    case 'x':
+    case 'y':
+      // Moving the box moves the object by the same amount
+      return { [field]: obj[field] + value - getInspectorBox(obj)[field] }
+
+    case 'width':
+    case 'height':
+      return getSizeUpdates(obj, field, value)
+
+    case 'rotation':
+      return { rotation: ((value % 360) + 360) % 360 }
+
+    case 'radius':
+      if (obj.type === 'rectangle') return { cornerRadius: value }
+      if (obj.type === 'polygon') return { radius: value }
+      if (obj.type === 'star') {
+        const outerRadius = obj.outerRadius || 40
+        return { outerRadius: value, innerRadius: (obj.innerRadius || 20) * value / outerRadius }
+      }
+      return {}
+
+    default:
+      return {}
+  }
+}
+
+/**
+ * Turn inspector edits into an object's stored-field updates
+ * Geometry fields are mapped to the object's own fields; everything else
+ * (fill, stroke and text properties) is stored as-is.
+ * @param {Object} obj - Canvas object
+ * @param {Object} changes - Inspector edits, e.g. { x: 100 } or { fill: '#ff0000' }
+ * @returns {Object} Updates to store on the object
+ */
+export const getInspectorUpdates = (obj, changes) => {
+  const updates = {}
+  Object.entries(changes).forEach(([field, value]) => {
+    Object.assign(updates, GEOMETRY_KEYS.includes(field) ? getGeometryUpdates(obj, field, value) : { [field]: value })
+  })
+  return updates
+}
+
+/**
+ * Keep only the updates that change an object, with its previous values for undo
+ * @param {Object} obj - Canvas object
+ * @param {Object} updates - Proposed updates
+ * @returns {Object|null} { updates, before } (before is null for unset fields), or null if nothing changes
+ */
+export const getChangedProperties = (obj, updates) => {
+  const changed = Object.fromEntries(
+    Object.entries(updates).filter(([key, value]) => JSON.stringify(obj[key]) !== JSON.stringify(value))
+  )
+  if (Object.keys(changed).length === 0) return null
+
+  const before = Object.fromEntries(Object.keys(changed).map(key => [key, obj[key] ?? null]))
+  return { updates: changed, before }
+}
+
+/**
+ * Build the batchUpdateObjects entries for an inspector edit
+ * X/Y moves the selection as one unit so its left or top edge lands on the
+ * typed value: groups, frame children and attached connectors move with it,
+ * the same way align does. Other fields are applied to each selected object,
+ * and connectors attached to resized or rotated shapes are rerouted.
+ * @param {Array<Object>} selected - Selected canvas objects
+ * @param {Array<Object>} objects - Canvas objects
+ * @param {Object} changes - One inspector edit, e.g. { x: 100 } or { fill: '#ff0000' }
+ * @returns {Array<Object>} Entries [{ id, updates, before }] (empty if nothing changes)
+ */
+export const getInspectorEntries = (selected, objects, changes) => {
+  if ('x' in changes || 'y' in changes) {
+    const boxes = selected.map(getInspectorBox)
+    const getDelta = (field) => field in changes ? changes[field] - Math.min(...boxes.map(box => box[field])) : 0
+    return getTranslateEntries(selected.map(obj => obj.id), objects, { dx: getDelta('x'), dy: getDelta('y') })
+  }
+
+  const entries = selected
+    .map(obj => ({ obj, changed: getChangedProperties(obj, getInspectorUpdates(obj, changes)) }))
+    .filter(({ changed }) => changed)
+    .map(({ obj, changed }) => ({ id: obj.id, ...changed }))
+
+  const changedObjects = Object.fromEntries(entries.map(entry => [
+    entry.id,
+    { ...selected.find(obj => obj.id === entry.id), ...entry.updates }
+  ]))
+  return [...entries, ...getConnectorRerouteEntries(objects, changedObjects)]
+}
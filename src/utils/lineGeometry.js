@@ -0,0 +1,168 @@
+import { rotatePoint } from './objectBounds.js'
+import { LINE_ROUTING, CONNECTOR_ANCHORS } from '../constants/canvas.constants.js'
+
+/**
+ * Line Geometry Utilities
+ *
+ * Lines (and arrows, which are lines with arrowheads) are stored as:
+ * - x/y: the start point in canvas coordinates (also the rotation pivot)
+ * - points: [0, 0, dx, dy] - start and end relative to x/y, Konva Line format
+ *
+ * These helpers convert between that storage format and absolute endpoints
+ * for drawing, endpoint dragging and hit testing.
+ *
+ * Elbow-routed lines keep the same two-point storage; their orthogonal path is
+ * derived from the endpoints (and bound anchors) whenever it is drawn or hit-tested.
+ */
+
+const DEFAULT_HIT_TOLERANCE = 6
+
+/**
+ * Get the absolute start and end points of a line, including rotation
+ * @param {Object} line - Line object
+ * @returns {Object} { start: {x, y}, end: {x, y} }
+ */
+export const getLineEndpoints = (line) => {
+  const points = Array.isArray(line.points) && line.points.length >= 4 ? line.points : [0, 0, 0, 0]
+  const origin = { x: line.x || 0, y: line.y || 0 }
+  const rotation = line.rotation || 0
+
+  const start = rotatePoint({ x: origin.x + points[0], y: origin.y + points[1] }, origin, rotation)
+  const end = rotatePoint({ x: origin.x + points[2], y: origin.y + points[3] }, origin, rotation)
+
+  return { start, end }
+}
+
+/**
+ * Build line geometry from two absolute endpoints
+ * Rotation is baked into the points, so the result is always unrotated.
+ * @param {Object} start - Start point { x, y }
+ * @param {Object} end - End point { x, y }
+ * @returns {Object} { x, y, points, rotation }
+ */
+export const buildLineGeometry = (start, end) => ({
+  x: start.x,
+  y: start.y,
+  points: [0, 0, end.x - start.x, end.y - start.y],
+  rotation: 0
+})
+
+/**
+ * Get the length of a line
+ * @param {Object} line - Line object
+ * @returns {number} Distance between start and end
+ */
+export const getLineLength = (line) => {
+  const { start, end } = getLineEndpoints(line)
+  return Math.hypot(end.x - start.x, end.y - start.y)
+}
+
+/**
+ * Snap an endpoint so the line angle is a multiple of the given step (Shift-drag)
+ * @param {Object} anchor - Fixed endpoint { x, y }
+ * @param {Object} point - Moving endpoint { x, y }
+ * @param {number} stepDegrees - Angle increment (default 45°)
+ * @returns {Object} Constrained point { x, y }
+ */
+export const constrainLineAngle = (anchor, point, stepDegrees = 45) => {
+  const dx = point.x - anchor.x
+  const dy = point.y - anchor.y
+  const length = Math.hypot(dx, dy)
+  if (length === 0) return { x: point.x, y: point.y }
+
+  const step = (stepDegrees * Math.PI) / 180
+  const angle = Math.round(Math.atan2(dy, dx) / step) * step
+
+  return {
+    x: anchor.x + length * Math.cos(angle),
+    y: anchor.y + length * Math.sin(angle)
+  }
+}
+
+/**
+ * Get the shortest distance from a point to a line segment
+ * @param {Object} point - { x, y }
+ * @param {Object} a - Segment start { x, y }
+ * @param {Object} b - Segment end { x, y }
+ * @returns {number} Distance in canvas units
+ */
+export const distanceToSegment = (point, a, b) => {
+  const dx = b.x - a.x
+  const dy = b.y - a.y
+  const lengthSquared = dx * dx + dy * dy
+
+  if (lengthSquared === 0) {
+    return Math.hypot(point.x - a.x, point.y - a.y)
+  }
+
+  const t = Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared))
+  return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy))
+}
+
+const isHorizontalAnchor = (anchor) =>
+  anchor === CONNECTOR_ANCHORS.LEFT || anchor === CONNECTOR_ANCHORS.RIGHT
+
+const isVerticalAnchor = (anchor) =>
+  anchor === CONNECTOR_ANCHORS.TOP || anchor === CONNECTOR_ANCHORS.BOTTOM
+
+/**
+ * Get the points a line is drawn through, relative to its x/y
+ * Straight lines are just the two endpoints. Elbow lines leave the start point
+ * horizontally or vertically (following the bound anchor, otherwise the longer
+ * axis) and turn once or twice to reach the end, staying inside the endpoints' box.
+ * @param {Object} line - Line object
+ * @returns {Array<number>} Flat Konva points array
+ */
+export const getLinePathPoints = (line) => {
+  const points = Array.isArray(line.points) && line.points.length >= 4 ? line.points : [0, 0, 0, 0]
+  const [sx, sy, ex, ey] = points
+
+  if (line.routing !== LINE_ROUTING.ELBOW || sx === ex || sy === ey) {
+    return [sx, sy, ex, ey]
+  }
+
+  const startAnchor = line.startBinding?.anchor
+  const endAnchor = line.endBinding?.anchor
+  const horizontalFirst = isHorizontalAnchor(startAnchor) ||
+    (!isVerticalAnchor(startAnchor) && Math.abs(ex - sx) >= Math.abs(ey - sy))
+
+  // Single turn when the end anchor faces the other way
+  if (horizontalFirst && isVerticalAnchor(endAnchor)) {
+    return [sx, sy, ex, sy, ex, ey]
+  }
+  if (!horizontalFirst && isHorizontalAnchor(endAnchor)) {
+    return [sx, sy, sx, ey, ex, ey]
+  }
+
+  if (horizontalFirst) {
+    const midX = (sx + ex) / 2
+    return [sx, sy, midX, sy, midX, ey, ex, ey]
+  }
+
+  const midY = (sy + ey) / 2
+  return [sx, sy, sx, midY, ex, midY, ex, ey]
+}
+
+/**
+ * Check whether a point is on (or near) a line
+ * The hit area grows with the stroke width so thick lines are easy to click.
+ * @param {Object} point - { x, y }
+ * @param {Object} line - Line object
+ * @param {number} tolerance - Extra distance in canvas units
+ * @returns {boolean}
+ */
+export const isPointNearLine = (point, line, tolerance = DEFAULT_HIT_TOLERANCE) => {
+  const origin = { x: line.x || 0, y: line.y || 0 }
+  const path = getLinePathPoints(line)
+  const hitDistance = (line.strokeWidth || 2) / 2 + tolerance
+
+  for (let i = 0; i + 3 < path.length; i += 2) {
+    const a = rotatePoint({ x: origin.x + path[i], y: origin.y + path[i + 1] }, origin, line.rotation || 0)
+    const b = rotatePoint({ x: origin.x + path[i + 2], y: origin.y + path[i + 3] }, origin, line.rotation || 0)
+    if (distanceToSegment(point, a, b) <= hitDistance) {
+      return true
+    }
+  }
+
+  return false
+}
@@ -0,0 +1,205 @@
+import { getPolygonLocalBounds } from './polygonGeometry.js'
+import { getEllipseRadii } from './ellipseGeometry.js'
+import { getTextSize } from './richText.js'
+
+/**
+ * Object Bounds Utilities
+ *
+ * Shape-aware bounding box math shared by grouping, selection chrome and
+ * multi-object transforms. All bounds are axis-aligned in canvas coordinates
+ * and account for each object's rotation.
+ *
+ * Position conventions (matching how shapes are stored and rendered):
+ * - rectangle/path/image/frame/sticky/table: x/y is the top-left corner, rotation is around the center
+ * - circle/star/polygon: x/y is the center (circles are ellipses with radiusX/radiusY)
+ * - text: x/y is the top-left corner, rotation is around x/y
+ * - line: x/y is the start point, points are relative to it, rotation is around x/y
+ */
+
+/**
+ * Rotate a point around a pivot
+ * @param {Object} point - { x, y }
+ * @param {Object} pivot - { x, y }
+ * @param {number} degrees - Rotation in degrees (clockwise, Konva convention)
+ * @returns {Object} Rotated point { x, y }
+ */
+export const rotatePoint = (point, pivot, degrees) => {
+  if (!degrees) return { x: point.x, y: point.y }
+
+  const radians = (degrees * Math.PI) / 180
+  const cos = Math.cos(radians)
+  const sin = Math.sin(radians)
+  const dx = point.x - pivot.x
+  const dy = point.y - pivot.y
+
+  return {
+    x: pivot.x + dx * cos - dy * sin,
+    y: pivot.y + dx * sin + dy * cos
+  }
+}
+
+/**
+ * Get the point an object rotates around
+ * @param {Object} obj - Canvas object
+ * @returns {Object} Pivot point { x, y }
+ */
+export const getRotationPivot = (obj) => {
+  if (obj.type === 'rectangle' || obj.type === 'path' || obj.type === 'image' || obj.type === 'frame' || obj.type === 'sticky' || obj.type === 'table') {
+    return {
+      x: obj.x + (obj.width || 0) / 2,
+      y: obj.y + (obj.height || 0) / 2
+    }
+  }
+
+  return { x: obj.x, y: obj.y }
+}
+
+/**
+ * Get the rendered height of a text object
+ * @param {Object} obj - Text object
+ * @returns {number} Height in canvas units (wrapped lines, or the stored height of fixed boxes)
+ */
+export const getTextHeight = (obj) => getTextSize(obj).height
+
+/**
+ * Get the unrotated corner points of an object
+ * @param {Object} obj - Canvas object
+ * @returns {Array<Object>} Corner points [nw, ne, se, sw]
+ */
+export const getLocalCorners = (obj) => {
+  switch (obj.type) {
+    case 'circle': {
+      const { radiusX, radiusY } = getEllipseRadii(obj)
+      return [
+        { x: obj.x - radiusX, y: obj.y - radiusY },
+        { x: obj.x + radiusX, y: obj.y - radiusY },
+        { x: obj.x + radiusX, y: obj.y + radiusY },
+        { x: obj.x - radiusX, y: obj.y + radiusY }
+      ]
+    }
+
+    case 'star': {
+      const r = obj.outerRadius || obj.radius || 40
+      return [
+        { x: obj.x - r, y: obj.y - r },
+        { x: obj.x + r, y: obj.y - r },
+        { x: obj.x + r, y: obj.y + r },
+        { x: obj.x - r, y: obj.y + r }
+      ]
+    }
+
+    case 'polygon': {
+      // Odd-sided polygons sit higher than their center, so use the vertex bounds
+      const { x, y, width, height } = getPolygonLocalBounds(obj)
+      return [
+        { x, y },
+        { x: x + width, y },
+        { x: x + width, y: y + height },
+        { x, y: y + height }
+      ]
+    }
+
+    case 'text': {
+      const { width, height } = getTextSize(obj)
+      return [
+        { x: obj.x, y: obj.y },
+        { x: obj.x + width, y: obj.y },
+        { x: obj.x + width, y: obj.y + height },
+        { x: obj.x, y: obj.y + height }
+      ]
+    }
+
+    case 'line': {
+      const points = Array.isArray(obj.points) && obj.points.length >= 4 ? obj.points : [0, 0, 0, 0]
+      const left = obj.x + Math.min(points[0], points[2])
+      const right = obj.x + Math.max(points[0], points[2])
+      const top = obj.y + Math.min(points[1], points[3])
+      const bottom = obj.y + Math.max(points[1], points[3])
+      return [
+        { x: left, y: top },
+        { x: right, y: top },
+        { x: right, y: bottom },
+        { x: left, y: bottom }
+      ]
+    }
+
+    default: {
+      const width = obj.width || 0
+      const height = obj.height || 0
+      return [
+        { x: obj.x, y: obj.y },
+        { x: obj.x + width, y: obj.y },
+        { x: obj.x + width, y: obj.y + height },
+        { x: obj.x, y: obj.y + height }
+      ]
+    }
+  }
+}
+
+/**
+ * Get the axis-aligned bounding box of an object, including its rotation
+ * @param {Object} obj - Canvas object
+ * @returns {Object} { x, y, width, height }
+ */
+export const getObjectBounds = (obj) => {
+  const rotation = obj.rotation || 0
+  const pivot = getRotationPivot(obj)
+  const corners = getLocalCorners(obj).map(corner => rotatePoint(corner, pivot, rotation))
+
+  const xs = corners.map(c => c.x)
+  const ys = corners.map(c => c.y)
+  const left = Math.min(...xs)
+  const top = Math.min(...ys)
+
+  return {
+    x: left,
+    y: top,
+    width: Math.max(...xs) - left,
+    height: Math.max(...ys) - top
+  }
+}
+
+/**
+ * Get the combined bounding box of several objects
+ * @param {Array<Object>} objects - Canvas objects
+ * @returns {Object|null} { x, y, width, height } or null if no objects
+ */
+export const getCombinedBounds = (objects) => {
+  if (!objects || objects.length === 0) return null
+
+  let left = Infinity
+  let top = Infinity
+  let right = -Infinity
+  let bottom = -Infinity
+
+  objects.forEach(obj => {
+    const bounds = getObjectBounds(obj)
+    left = Math.min(left, bounds.x)
+    top = Math.min(top, bounds.y)
+    right = Math.max(right, bounds.x + bounds.width)
+    bottom = Math.max(bottom, bounds.y + bounds.height)
+  })
+
+  return {
+    x: left,
+    y: top,
+    width: right - left,
+    height: bottom - top
+  }
+}
+
+/**
+ * Check whether a point lies inside a bounding box
+ * @param {Object} point - { x, y }
+ * @param {Object} bounds - { x, y, width, height }
+ * @param {number} padding - Extra hit area around the box
+ * @returns {boolean}
+ */
+export const isPointInBounds = (point, bounds, padding = 0) => {
+  if (!bounds) return false
+
+  return point.x >= bounds.x - padding &&
+         point.x <= bounds.x + bounds.width + padding &&
+         point.y >= bounds.y - padding &&
+         point.y <= bounds.y + bounds.height + padding
+}
@@ -0,0 +1,278 @@
+import { rotatePoint, getRotationPivot } from './objectBounds.js'
+import { distanceToSegment } from './lineGeometry.js'
+import { isVectorPath, flattenAnchors, scaleAnchors, buildVectorPathGeometry } from './vectorPath.js'
+
+/**
+ * Path Geometry Utilities
+ *
+ * Paths are stored as:
+ * - x/y/width/height: the unrotated bounding box (rotation is around its center, like rectangles)
+ * - points: flat [x0, y0, x1, y1, ...] relative to x/y, Konva Line format (freehand pencil strokes)
+ * - or anchors + closed: Bézier anchors relative to x/y (pen tool, see vectorPath.js)
+ *
+ * Pointer samples are simplified with Ramer–Douglas–Peucker before saving and
+ * drawn with curve tension, so a stroke stays smooth with only a few points.
+ * Helpers here work on both kinds; vector paths are flattened where a polyline is needed.
+ */
+
+const DEFAULT_HIT_TOLERANCE = 6
+
+// Paths always keep a non-zero box so resize math never divides by zero
+const MIN_PATH_SIZE = 1
+
+// RTDB point precision (one decimal place is below a pixel at any useful zoom)
+const POINT_PRECISION = 10
+
+/**
+ * Simplify a polyline with the Ramer–Douglas–Peucker algorithm
+ * @param {Array<number>} points - Flat points array [x0, y0, x1, y1, ...]
+ * @param {number} tolerance - Maximum distance a removed point may be from the result
+ * @returns {Array<number>} Simplified flat points array (first and last points are kept)
+ */
+export const simplifyPoints = (points, tolerance) => {
+  const count = Math.floor(points.length / 2)
+  if (count <= 2) return points.slice(0, count * 2)
+
+  const point = (i) => ({ x: points[i * 2], y: points[i * 2 + 1] })
+  const keep = new Array(count).fill(false)
+  keep[0] = true
+  keep[count - 1] = true
+
+  // Iterative to avoid deep recursion on long strokes
+  const stack = [[0, count - 1]]
+  while (stack.length > 0) {
+    const [first, last] = stack.pop()
+    let maxDistance = 0
+    let index = -1
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(point(i), point(first), point(last))
+      if (distance > maxDistance) {
+        maxDistance = distance
+        index = i
+      }
+    }
+
+    if (index !== -1 && maxDistance > tolerance) {
+      keep[index] = true
+      stack.push([first, index], [index, last])
+    }
+  }
+
+  const simplified = []
+  keep.forEach((kept, i) => {
+    if (kept) simplified.push(points[i * 2], points[i * 2 + 1])
+  })
+  return simplified
+}
+
+/**
+ * Build path geometry from absolute canvas points
+ * @param {Array<number>} absolutePoints - Flat points array in canvas coordinates
+ * @returns {Object} { x, y, width, height, points, rotation }
+ */
+export const buildPathGeometry = (absolutePoints) => {
+  const xs = absolutePoints.filter((_, i) => i % 2 === 0)
+  const ys = absolutePoints.filter((_, i) => i % 2 === 1)
+  const x = Math.min(...xs)
+  const y = Math.min(...ys)
+
+  return {
+    x,
+    y,
+    width: Math.max(Math.max(...xs) - x, MIN_PATH_SIZE),
+    height: Math.max(Math.max(...ys) - y, MIN_PATH_SIZE),
+    points: absolutePoints.map((value, i) => value - (i % 2 === 0 ? x : y)),
+    rotation: 0
+  }
+}
+
+/**
+ * Scale relative path points (used when the path's box is resized)
+ * @param {Array<number>} points - Flat points relative to the path's x/y
+ * @param {number} scaleX - Horizontal scale
+ * @param {number} scaleY - Vertical scale
+ * @returns {Array<number>} Scaled points
+ */
+export const scalePathPoints = (points, scaleX, scaleY) =>
+  points.map((value, i) => value * (i % 2 === 0 ? scaleX : scaleY))
+
+/**
+ * Scale a path's geometry with its box
+ * @param {Object} path - Path object
+ * @param {number} scaleX - Horizontal scale
+ * @param {number} scaleY - Vertical scale
+ * @returns {Object} { points } or { anchors }
+ */
+export const scalePathGeometry = (path, scaleX, scaleY) => (isVectorPath(path)
+  ? { anchors: scaleAnchors(path.anchors, scaleX, scaleY) }
+  : { points: scalePathPoints(path.points || [], scaleX, scaleY) })
+
+/**
+ * Get the fields that hold a path's shape (for updates, undo and RTDB)
+ * @param {Object} path - Path object
+ * @returns {Object} { points } or { anchors, closed }
+ */
+export const getPathGeometryFields = (path) => (isVectorPath(path)
+  ? { anchors: path.anchors, closed: Boolean(path.closed) }
+  : { points: path.points })
+
+/**
+ * Get a path's polyline relative to its x/y (vector paths are flattened)
+ * @param {Object} path - Path object
+ * @returns {Array<number>} Flat points array
+ */
+export const getPathPoints = (path) => {
+  if (isVectorPath(path)) return flattenAnchors(path.anchors, path.closed)
+  return Array.isArray(path.points) ? path.points : []
+}
+
+/**
+ * Convert a canvas point into a path's unrotated, x/y-relative space
+ * @param {Object} point - { x, y } in canvas coordinates
+ * @param {Object} path - Path object
+ * @returns {Object} { x, y } relative to the path's x/y
+ */
+export const toPathLocalPoint = (point, path) => {
+  const unrotated = rotatePoint(point, getRotationPivot(path), -(path.rotation || 0))
+  return { x: unrotated.x - path.x, y: unrotated.y - path.y }
+}
+
+/**
+ * Refit a vector path's box after its anchors were edited
+ * The box (and so the rotation pivot) changes with the anchors; the path is
+ * shifted so unchanged anchors stay where they are on screen.
+ * @param {Object} path - Path before the edit
+ * @param {Array<Object>} anchors - Edited anchors, relative to the path's current x/y
+ * @param {boolean} closed - Whether the path is closed
+ * @returns {Object} { x, y, width, height, anchors, closed }
+ */
+export const refitVectorPath = (path, anchors, closed = path.closed) => {
+  const { rotation: _rotation, ...geometry } = buildVectorPathGeometry(anchors, closed)
+  const rotation = path.rotation || 0
+  const x = path.x + geometry.x
+  const y = path.y + geometry.y
+  if (!rotation) return { ...geometry, x, y }
+
+  // Keep every point where it was drawn with the old pivot
+  const oldPivot = getRotationPivot(path)
+  const newPivot = { x: x + geometry.width / 2, y: y + geometry.height / 2 }
+  const drawn = rotatePoint(newPivot, oldPivot, rotation)
+
+  return {
+    ...geometry,
+    x: x + drawn.x - newPivot.x,
+    y: y + drawn.y - newPivot.y
+  }
+}
+
+/**
+ * Check that path geometry is usable (finite numbers, at least one point or two anchors)
+ * @param {Object} path - Path object or properties
+ * @returns {boolean}
+ */
+export const isValidPathGeometry = (path) => {
+  const isFiniteNumber = value => typeof value === 'number' && isFinite(value)
+  const isPoint = point => point && isFiniteNumber(point.x) && isFiniteNumber(point.y)
+
+  if (isVectorPath(path)) {
+    return path.anchors.length >= 2 && path.anchors.every(anchor =>
+      isPoint(anchor) &&
+      (anchor.handleIn === null || anchor.handleIn === undefined || isPoint(anchor.handleIn)) &&
+      (anchor.handleOut === null || anchor.handleOut === undefined || isPoint(anchor.handleOut))
+    )
+  }
+
+  return Array.isArray(path?.points) &&
+    path.points.length >= 2 &&
+    path.points.length % 2 === 0 &&
+    path.points.every(isFiniteNumber)
+}
+
+/**
+ * Get the absolute points of a path, including rotation
+ * @param {Object} path - Path object
+ * @returns {Array<Object>} [{ x, y }]
+ */
+export const getPathAbsolutePoints = (path) => {
+  const points = getPathPoints(path)
+  const pivot = getRotationPivot(path)
+  const absolute = []
+
+  for (let i = 0; i + 1 < points.length; i += 2) {
+    absolute.push(rotatePoint(
+      { x: path.x + points[i], y: path.y + points[i + 1] },
+      pivot,
+      path.rotation || 0
+    ))
+  }
+
+  return absolute
+}
+
+/**
+ * Check whether a point is inside a closed polygon (even-odd rule)
+ * @param {Object} point - { x, y }
+ * @param {Array<Object>} polygon - [{ x, y }]
+ * @returns {boolean}
+ */
+const isPointInPolygon = (point, polygon) => {
+  let inside = false
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i]
+    const b = polygon[j]
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+/**
+ * Check whether a point is on (or near) a path's stroke, or inside a filled closed path
+ * @param {Object} point - { x, y }
+ * @param {Object} path - Path object
+ * @param {number} tolerance - Extra distance in canvas units
+ * @returns {boolean}
+ */
+export const isPointNearPath = (point, path, tolerance = DEFAULT_HIT_TOLERANCE) => {
+  const absolute = getPathAbsolutePoints(path)
+  const hitDistance = (path.strokeWidth || 2) / 2 + tolerance
+
+  if (path.closed && path.fill && absolute.length > 2 && isPointInPolygon(point, absolute)) {
+    return true
+  }
+
+  if (absolute.length === 1) {
+    return Math.hypot(point.x - absolute[0].x, point.y - absolute[0].y) <= hitDistance
+  }
+
+  for (let i = 0; i + 1 < absolute.length; i++) {
+    if (distanceToSegment(point, absolute[i], absolute[i + 1]) <= hitDistance) {
+      return true
+    }
+  }
+
+  return false
+}
+
+/**
+ * Encode points for RTDB as a compact comma-separated string
+ * RTDB stores arrays as objects keyed by index, which is verbose for long strokes.
+ * @param {Array<number>} points - Flat points array
+ * @returns {string} e.g. "0,0,12.5,3"
+ */
+export const encodePathPoints = (points) =>
+  points.map(value => Math.round(value * POINT_PRECISION) / POINT_PRECISION).join(',')
+
+/**
+ * Decode points read from RTDB (arrays pass through unchanged)
+ * @param {string|Array<number>} encoded - Encoded points
+ * @returns {Array<number>} Flat points array
+ */
+export const decodePathPoints = (encoded) => {
+  if (Array.isArray(encoded)) return encoded
+  if (typeof encoded !== 'string' || encoded.length === 0) return []
+  return encoded.split(',').map(Number)
+}
@@ -0,0 +1,107 @@
+import { FUTURE_SHAPE_DEFAULTS } from '../constants/canvas.constants.js'
+
+/**
+ * Polygon Geometry Utilities
+ *
+ * Regular polygons are stored like stars:
+ * - x/y: the center (also the rotation pivot)
+ * - radius: distance from the center to each vertex
+ * - sides: number of sides (triangles are 3-sided polygons)
+ *
+ * They are drawn with Konva's RegularPolygon, which puts the first vertex
+ * straight above the center. Odd-sided polygons are not symmetric about their
+ * center vertically, so bounds come from the vertices rather than the radius.
+ */
+
+// Read on use rather than at import, so importing this module never touches the constants
+const getPolygonDefaults = () => FUTURE_SHAPE_DEFAULTS.polygon
+
+/**
+ * Clamp a side count to the supported range
+ * @param {number} sides - Requested side count
+ * @returns {number} Whole side count between minSides and maxSides
+ */
+export const clampPolygonSides = (sides) => {
+  const { minSides, maxSides, sides: defaultSides } = getPolygonDefaults()
+  const count = Math.round(Number(sides))
+  if (!Number.isFinite(count)) return defaultSides
+  return Math.min(maxSides, Math.max(minSides, count))
+}
+
+/**
+ * Get the vertices of a regular polygon in canvas coordinates
+ * @param {Object} polygon - Polygon object { x, y, radius, sides, rotation }
+ * @param {number} rotation - Rotation in degrees (defaults to the polygon's own)
+ * @returns {Array<Object>} Vertices [{ x, y }], first vertex at the top when unrotated
+ */
+export const getPolygonVertices = (polygon, rotation = polygon.rotation || 0) => {
+  const { sides: defaultSides, defaultRadius } = getPolygonDefaults()
+  const sides = clampPolygonSides(polygon.sides ?? defaultSides)
+  const radius = polygon.radius || defaultRadius
+  const rotationRad = (rotation * Math.PI) / 180
+  const vertices = []
+
+  for (let i = 0; i < sides; i++) {
+    const angle = (i * 2 * Math.PI) / sides + rotationRad
+    vertices.push({
+      x: polygon.x + radius * Math.sin(angle),
+      y: polygon.y - radius * Math.cos(angle)
+    })
+  }
+
+  return vertices
+}
+
+/**
+ * Get the unrotated bounding box of a polygon's vertices
+ * @param {Object} polygon - Polygon object
+ * @returns {Object} { x, y, width, height }
+ */
+export const getPolygonLocalBounds = (polygon) => {
+  const vertices = getPolygonVertices(polygon, 0)
+  const xs = vertices.map(vertex => vertex.x)
+  const ys = vertices.map(vertex => vertex.y)
+  const left = Math.min(...xs)
+  const top = Math.min(...ys)
+
+  return {
+    x: left,
+    y: top,
+    width: Math.max(...xs) - left,
+    height: Math.max(...ys) - top
+  }
+}
+
+/**
+ * Check if a point is inside a polygon (ray casting against its rotated vertices)
+ * @param {Object} point - { x, y }
+ * @param {Object} polygon - Polygon object
+ * @returns {boolean} True if the point is inside
+ */
+export const isPointInRegularPolygon = (point, polygon) => {
+  const vertices = getPolygonVertices(polygon)
+  let inside = false
+
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const xi = vertices[i].x, yi = vertices[i].y
+    const xj = vertices[j].x, yj = vertices[j].y
+
+    const intersect = ((yi > point.y) !== (yj > point.y)) &&
+      (point.x < (xj - xi) * (point.y - yi) / (yj - yi) + xi)
+
+    if (intersect) inside = !inside
+  }
+
+  return inside
+}
+
+/**
+ * Check that a polygon has a usable radius and side count
+ * @param {Object} polygon - Polygon object
+ * @returns {boolean} True if the polygon can be drawn
+ */
+export const isValidPolygonGeometry = (polygon) => {
+  const { minSides, maxSides } = getPolygonDefaults()
+  return typeof polygon?.radius === 'number' && Number.isFinite(polygon.radius) && polygon.radius > 0 &&
+    Number.isInteger(polygon.sides) && polygon.sides >= minSides && polygon.sides <= maxSides
+}
@@ -5,8 +5,19 @@
  * and make them reusable across different components.
  */
 
+import { FUTURE_SHAPE_DEFAULTS } from '../constants/canvas.constants.js';
+import { rotatePoint } from './objectBounds.js';
+import { scalePathGeometry } from './pathGeometry.js';
+import { getImageCrop } from './imageGeometry.js';
+import { getStickyNoteHeight } from './stickyNote.js';
+import { getTextSize } from './richText.js';
+import { getColumnWidths, getRowHeights, getTableMinSize } from './tableUtils.js';
+import { getEllipseRadii, getEllipseHandleAxis, toEllipseLocalOffset, toEllipseRadiusFields } from './ellipseGeometry.js';
+
 /**
  * Calculate new rectangle dimensions based on resize handle
+ * Other properties (including cornerRadius) carry over unchanged; corner radii
+ * are clamped to the new size when drawn, not rewritten here.
  * @param {Object} rect - Original rectangle
  * @param {string} handle - Resize handle ('nw', 'ne', 'sw', 'se')
  * @param {number} deltaX - X movement delta
@@ -43,23 +54,52 @@ export const calculateRectangleResize = (rect, handle, deltaX, deltaY) => {
 };
 
 /**
- * Calculate new circle dimensions based on resize handle
- * @param {Object} circle - Original circle
- * @param {string} handle - Resize handle (not used for circles)
+ * Calculate new circle/ellipse dimensions based on resize handle
+ * Side handles ('n', 'e', 's', 'w') stretch one axis, corner handles scale both.
+ * Works in the shape's own frame, so rotated ellipses stretch along their axes.
+ * @param {Object} circle - Original circle (radiusX/radiusY, or a legacy radius)
+ * @param {string} handle - Resize handle
  * @param {Object} currentPos - Current mouse position
  * @param {Object} startPos - Start mouse position
- * @param {number} minSize - Minimum radius size
+ * @param {number} minSize - Minimum diameter
+ * @param {boolean} constrain - Keep the result a perfect circle (Shift)
  * @returns {Object} - New circle dimensions
  */
-export const calculateCircleResize = (circle, handle, currentPos, startPos, minSize = 2) => {
-  // Calculate distance from center to current mouse position
-  const dx = currentPos.x - circle.x;
-  const dy = currentPos.y - circle.y;
-  const newRadius = Math.sqrt(dx * dx + dy * dy);
+export const calculateCircleResize = (circle, handle, currentPos, startPos, minSize = 2, constrain = false) => {
+  const { radiusX, radiusY } = getEllipseRadii(circle);
+  const current = toEllipseLocalOffset(currentPos, circle);
+  const axis = getEllipseHandleAxis(handle);
+  let newRadiusX = radiusX;
+  let newRadiusY = radiusY;
+  
+  if (axis === 'x') {
+    newRadiusX = Math.abs(current.x);
+    if (constrain) newRadiusY = newRadiusX;
+  } else if (axis === 'y') {
+    newRadiusY = Math.abs(current.y);
+    if (constrain) newRadiusX = newRadiusY;
+  } else {
+    // Corner handles scale both axes by how far the cursor moved from the center
+    const startDistance = Math.hypot(startPos.x - circle.x, startPos.y - circle.y);
+    if (!isFinite(startDistance) || startDistance === 0) {
+      return circle;
+    }
+    
+    const scale = Math.hypot(current.x, current.y) / startDistance;
+    newRadiusX = radiusX * scale;
+    newRadiusY = radiusY * scale;
+    if (constrain) {
+      newRadiusX = newRadiusY = Math.max(newRadiusX, newRadiusY);
+    }
+  }
+  
+  if (!isFinite(newRadiusX) || !isFinite(newRadiusY)) {
+    return circle;
+  }
   
   return {
     ...circle,
-    radius: Math.max(newRadius, minSize / 2) // Minimum radius
+    ...toEllipseRadiusFields(Math.max(newRadiusX, minSize / 2), Math.max(newRadiusY, minSize / 2))
   };
 };
 
@@ -122,39 +162,59 @@ export const calculateStarResize = (star, handle, currentPos, startPos, minSize
   return result;
 };
 
+/**
+ * Calculate new polygon dimensions based on resize handle
+ * The radius scales with the pointer's distance from the center relative to where
+ * the drag started, so grabbing a corner handle doesn't make the polygon jump.
+ * @param {Object} polygon - Original polygon
+ * @param {string} handle - Resize handle (not used for polygons)
+ * @param {Object} currentPos - Current mouse position
+ * @param {Object} startPos - Start mouse position
+ * @param {number} minSize - Minimum size
+ * @returns {Object} - New polygon dimensions
+ */
+export const calculatePolygonResize = (polygon, handle, currentPos, startPos, minSize = 2) => {
+  const startDistance = Math.hypot(startPos.x - polygon.x, startPos.y - polygon.y);
+  const currentDistance = Math.hypot(currentPos.x - polygon.x, currentPos.y - polygon.y);
+  
+  // A drag that starts on the center has no direction to scale along
+  if (!isFinite(startDistance) || !isFinite(currentDistance) || startDistance === 0) {
+    return polygon;
+  }
+  
+  return {
+    ...polygon,
+    radius: Math.max(polygon.radius * (currentDistance / startDistance), minSize / 2)
+  };
+};
+
 /**
  * Calculate new text dimensions based on resize handle
+ * Auto-width text becomes a wrapping (auto-height) box at the dragged width;
+ * fixed-size boxes also follow the handle vertically.
  * @param {Object} text - Original text object
  * @param {string} handle - Resize handle
  * @param {number} deltaX - X movement delta
- * @param {number} deltaY - Y movement delta (not used for text)
+ * @param {number} deltaY - Y movement delta (fixed-size boxes only)
  * @returns {Object} - New text dimensions
  */
 export const calculateTextResize = (text, handle, deltaX, deltaY) => {
-  // Text resize: Only change width (height auto-grows based on wrapped content)
-  let newWidth = text.width || 200;
-  let newX = text.x;
-  
-  switch (handle) {
-    case 'nw':
-    case 'sw':
-      // Left side handles - move left edge
-      newX = text.x + deltaX;
-      newWidth = (text.width || 200) - deltaX;
-      break;
-    case 'ne':
-    case 'se':
-      // Right side handles - move right edge
-      newWidth = (text.width || 200) + deltaX;
-      break;
-  }
-  
+  const minWidth = 50;
+  const size = getTextSize(text);
+  const isFixed = text.sizing === 'fixed';
+  const isLeft = handle === 'nw' || handle === 'sw';
+  const isTop = handle === 'nw' || handle === 'ne';
+
+  // Horizontal handles move the left or right edge
+  let newWidth = size.width + (isLeft ? -deltaX : deltaX);
+  let newX = isLeft ? text.x + deltaX : text.x;
+
   // Enforce minimum width
-  if (newWidth < 50) {
-    newWidth = 50;
-    newX = text.x; // Don't move if at minimum
+  if (newWidth < minWidth) {
+    newWidth = minWidth;
+    newX = isLeft ? text.x + size.width - minWidth : text.x;
   }
-  
+
   // Enforce canvas boundaries (assuming 5000px width)
   if (newX < 0) {
     newWidth += newX;
@@ -163,12 +223,281 @@ export const calculateTextResize = (text, handle, deltaX, deltaY) => {
   if (newX + newWidth > 5000) {
     newWidth = 5000 - newX;
   }
-  
-  return {
+
+  const resized = {
     ...text,
     x: newX,
-    width: newWidth
-    // Height is NOT updated - it's calculated dynamically based on wrapped content
+    width: newWidth,
+    sizing: isFixed ? 'fixed' : 'autoHeight'
+  };
+
+  if (isFixed) {
+    // Fixed boxes keep at least one line of the text's font size
+    const minHeight = (text.fontSize || 24) * (text.lineHeight || FUTURE_SHAPE_DEFAULTS.text.lineHeight);
+    let newHeight = size.height + (isTop ? -deltaY : deltaY);
+    let newY = isTop ? text.y + deltaY : text.y;
+    if (newHeight < minHeight) {
+      newHeight = minHeight;
+      newY = isTop ? text.y + size.height - minHeight : text.y;
+    }
+    resized.y = newY;
+    resized.height = newHeight;
+  }
+
+  // Height of auto-sized text follows the rewrapped content
+  return resized;
+};
+
+/**
+ * Place a resized box so the corner opposite the dragged handle stays put on screen
+ * Box shapes rotate around their center, which moves with the resize.
+ * @param {Object} original - Box before the resize { x, y, width, height, rotation }
+ * @param {string} handle - Resize handle ('nw', 'ne', 'sw', 'se')
+ * @param {number} width - New width
+ * @param {number} height - New height
+ * @returns {Object} - { x, y } top-left of the new box
+ */
+const anchorResizedBox = (original, handle, width, height) => {
+  const rotation = original.rotation || 0;
+  let x = handle === 'nw' || handle === 'sw' ? original.x + original.width - width : original.x;
+  let y = handle === 'nw' || handle === 'ne' ? original.y + original.height - height : original.y;
+  
+  if (rotation) {
+    const fixedCorner = {
+      x: handle === 'nw' || handle === 'sw' ? original.x + original.width : original.x,
+      y: handle === 'nw' || handle === 'ne' ? original.y + original.height : original.y
+    };
+    const before = rotatePoint(fixedCorner, { x: original.x + original.width / 2, y: original.y + original.height / 2 }, rotation);
+    const after = rotatePoint(fixedCorner, { x: x + width / 2, y: y + height / 2 }, rotation);
+    x += before.x - after.x;
+    y += before.y - after.y;
+  }
+  
+  return { x, y };
+};
+
+/**
+ * Calculate new path (freehand stroke) dimensions based on resize handle
+ * The box is resized in the path's own unrotated frame with the opposite corner
+ * held in place, and the points (or Bézier anchors) are scaled to fill the new box.
+ * @param {Object} path - Original path
+ * @param {string} handle - Resize handle ('nw', 'ne', 'sw', 'se')
+ * @param {number} deltaX - X movement delta (canvas space)
+ * @param {number} deltaY - Y movement delta (canvas space)
+ * @param {number} minSize - Minimum width/height
+ * @returns {Object} - New path geometry
+ */
+export const calculatePathResize = (path, handle, deltaX, deltaY, minSize = 2) => {
+  const localDelta = rotatePoint({ x: deltaX, y: deltaY }, { x: 0, y: 0 }, -(path.rotation || 0));
+  const box = calculateRectangleResize(path, handle, localDelta.x, localDelta.y);
+  
+  // Enforce minimum size while keeping the opposite edges in place
+  const width = Math.max(box.width, minSize);
+  const height = Math.max(box.height, minSize);
+  
+  return {
+    ...path,
+    ...anchorResizedBox(path, handle, width, height),
+    width,
+    height,
+    ...scalePathGeometry(path, width / path.width, height / path.height)
+  };
+};
+
+/**
+ * Calculate new image dimensions based on resize handle
+ * Images keep their aspect ratio unless freeAspect (Shift) is held; the crop is
+ * unchanged, so the visible content scales with the box.
+ * @param {Object} image - Original image
+ * @param {string} handle - Resize handle ('nw', 'ne', 'sw', 'se')
+ * @param {number} deltaX - X movement delta (canvas space)
+ * @param {number} deltaY - Y movement delta (canvas space)
+ * @param {number} minSize - Minimum width/height
+ * @param {boolean} freeAspect - Stretch each axis independently
+ * @returns {Object} - New image geometry
+ */
+export const calculateImageResize = (image, handle, deltaX, deltaY, minSize = 2, freeAspect = false) => {
+  const localDelta = rotatePoint({ x: deltaX, y: deltaY }, { x: 0, y: 0 }, -(image.rotation || 0));
+  const box = calculateRectangleResize(image, handle, localDelta.x, localDelta.y);
+  
+  let width = Math.max(box.width, minSize);
+  let height = Math.max(box.height, minSize);
+  
+  if (!freeAspect) {
+    // Follow whichever side moved further, then keep the smaller side above the minimum
+    const scale = Math.max(
+      width / image.width,
+      height / image.height,
+      minSize / Math.min(image.width, image.height)
+    );
+    width = image.width * scale;
+    height = image.height * scale;
+  }
+  
+  return {
+    ...image,
+    ...anchorResizedBox(image, handle, width, height),
+    width,
+    height
+  };
+};
+
+/**
+ * Calculate new frame dimensions based on resize handle
+ * The box is resized in the frame's own unrotated frame with the opposite corner
+ * held in place. Children keep their positions, so shrinking a frame clips them.
+ * @param {Object} frame - Original frame
+ * @param {string} handle - Resize handle ('nw', 'ne', 'sw', 'se')
+ * @param {number} deltaX - X movement delta (canvas space)
+ * @param {number} deltaY - Y movement delta (canvas space)
+ * @param {number} minSize - Minimum width/height
+ * @returns {Object} - New frame geometry
+ */
+export const calculateFrameResize = (frame, handle, deltaX, deltaY, minSize = 2) => {
+  const localDelta = rotatePoint({ x: deltaX, y: deltaY }, { x: 0, y: 0 }, -(frame.rotation || 0));
+  const box = calculateRectangleResize(frame, handle, localDelta.x, localDelta.y);
+  const width = Math.max(box.width, minSize);
+  const height = Math.max(box.height, minSize);
+  
+  return {
+    ...frame,
+    ...anchorResizedBox(frame, handle, width, height),
+    width,
+    height
+  };
+};
+
+/**
+ * Calculate new sticky note dimensions based on resize handle
+ * Only the width follows the handle; the height is refitted to the rewrapped
+ * text. The opposite corner is held in place.
+ * @param {Object} note - Original sticky note
+ * @param {string} handle - Resize handle ('nw', 'ne', 'sw', 'se')
+ * @param {number} deltaX - X movement delta (canvas space)
+ * @param {number} deltaY - Y movement delta (canvas space)
+ * @param {number} minWidth - Minimum width
+ * @returns {Object} - New sticky note geometry
+ */
+export const calculateStickyNoteResize = (note, handle, deltaX, deltaY, minWidth = FUTURE_SHAPE_DEFAULTS.sticky.minWidth) => {
+  const localDelta = rotatePoint({ x: deltaX, y: deltaY }, { x: 0, y: 0 }, -(note.rotation || 0));
+  const box = calculateRectangleResize(note, handle, localDelta.x, localDelta.y);
+  const width = Math.max(box.width, minWidth);
+  const height = getStickyNoteHeight({ ...note, width });
+  
+  return {
+    ...note,
+    ...anchorResizedBox(note, handle, width, height),
+    width,
+    height
+  };
+};
+
+/**
+ * Calculate new table dimensions based on resize handle
+ * The box resizes like a frame with the opposite corner held in place; every
+ * column and row scales with it and stops at its minimum size.
+ * @param {Object} table - Original table
+ * @param {string} handle - Resize handle ('nw', 'ne', 'sw', 'se')
+ * @param {number} deltaX - X movement delta (canvas space)
+ * @param {number} deltaY - Y movement delta (canvas space)
+ * @returns {Object} - New table geometry
+ */
+export const calculateTableResize = (table, handle, deltaX, deltaY) => {
+  const localDelta = rotatePoint({ x: deltaX, y: deltaY }, { x: 0, y: 0 }, -(table.rotation || 0));
+  const box = calculateRectangleResize(table, handle, localDelta.x, localDelta.y);
+  const minSize = getTableMinSize(table);
+  const width = Math.max(box.width, minSize.width);
+  const height = Math.max(box.height, minSize.height);
+  
+  return {
+    ...table,
+    ...anchorResizedBox(table, handle, width, height),
+    width,
+    height,
+    columnWidths: getColumnWidths({ ...table, width }),
+    rowHeights: getRowHeights({ ...table, height })
+  };
+};
+
+/**
+ * Calculate table geometry while dragging an inner grid line
+ * Only the column (or row) before the line changes size; the table grows or
+ * shrinks with it and its top-left corner stays put, also when rotated.
+ * @param {Object} table - Original table
+ * @param {Object} divider - { axis: 'column'|'row', index } from detectTableDivider
+ * @param {number} deltaX - X movement delta (canvas space)
+ * @param {number} deltaY - Y movement delta (canvas space)
+ * @returns {Object} - New table geometry
+ */
+export const calculateTableDividerResize = (table, divider, deltaX, deltaY) => {
+  const { minColumnWidth, minRowHeight } = FUTURE_SHAPE_DEFAULTS.table;
+  const localDelta = rotatePoint({ x: deltaX, y: deltaY }, { x: 0, y: 0 }, -(table.rotation || 0));
+  const columnWidths = [...getColumnWidths(table)];
+  const rowHeights = [...getRowHeights(table)];
+  
+  if (divider.axis === 'column') {
+    columnWidths[divider.index] = Math.max(minColumnWidth, columnWidths[divider.index] + localDelta.x);
+  } else {
+    rowHeights[divider.index] = Math.max(minRowHeight, rowHeights[divider.index] + localDelta.y);
+  }
+  
+  const width = columnWidths.reduce((total, size) => total + size, 0);
+  const height = rowHeights.reduce((total, size) => total + size, 0);
+  
+  return {
+    ...table,
+    ...anchorResizedBox(table, 'se', width, height),
+    width,
+    height,
+    columnWidths,
+    rowHeights
+  };
+};
+
+/**
+ * Calculate a new image crop based on resize handle (Ctrl/Cmd-drag)
+ * The dragged edges move over the file at the current content scale, so the
+ * visible pixels stay where they are while more or less of the file is shown.
+ * The crop never extends past the file's edges.
+ * @param {Object} image - Original image
+ * @param {string} handle - Resize handle ('nw', 'ne', 'sw', 'se')
+ * @param {number} deltaX - X movement delta (canvas space)
+ * @param {number} deltaY - Y movement delta (canvas space)
+ * @param {number} minSize - Minimum displayed width/height
+ * @returns {Object} - New image geometry with crop
+ */
+export const calculateImageCrop = (image, handle, deltaX, deltaY, minSize = 2) => {
+  const localDelta = rotatePoint({ x: deltaX, y: deltaY }, { x: 0, y: 0 }, -(image.rotation || 0));
+  const crop = getImageCrop(image);
+  const scaleX = image.width / crop.width;
+  const scaleY = image.height / crop.height;
+  const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+  
+  let left = crop.x;
+  let right = crop.x + crop.width;
+  let top = crop.y;
+  let bottom = crop.y + crop.height;
+  
+  if (handle === 'nw' || handle === 'sw') {
+    left = clamp(left + localDelta.x / scaleX, 0, right - minSize / scaleX);
+  } else {
+    right = clamp(right + localDelta.x / scaleX, left + minSize / scaleX, image.naturalWidth);
+  }
+  if (handle === 'nw' || handle === 'ne') {
+    top = clamp(top + localDelta.y / scaleY, 0, bottom - minSize / scaleY);
+  } else {
+    bottom = clamp(bottom + localDelta.y / scaleY, top + minSize / scaleY, image.naturalHeight);
+  }
+  
+  const width = (right - left) * scaleX;
+  const height = (bottom - top) * scaleY;
+  
+  return {
+    ...image,
+    ...anchorResizedBox(image, handle, width, height),
+    width,
+    height,
+    crop: { x: left, y: top, width: right - left, height: bottom - top }
   };
 };
 
@@ -273,19 +602,30 @@ export const enforceMinimumSize = (shape, minSize = 2) => {
   
   switch (shape.type) {
     case 'rectangle':
+    case 'path':
+    case 'image':
+    case 'frame':
+    case 'sticky':
+    case 'table':
       if (result.width < minSize) result.width = minSize;
       if (result.height < minSize) result.height = minSize;
       break;
       
-    case 'circle':
-      if (result.radius < minSize / 2) result.radius = minSize / 2;
+    case 'circle': {
+      const { radiusX, radiusY } = getEllipseRadii(result);
+      Object.assign(result, toEllipseRadiusFields(Math.max(radiusX, minSize / 2), Math.max(radiusY, minSize / 2)));
       break;
+    }
       
     case 'star':
       if (result.outerRadius < minSize / 2) result.outerRadius = minSize / 2;
       if (result.innerRadius < minSize / 4) result.innerRadius = minSize / 4;
       break;
       
+    case 'polygon':
+      if (result.radius < minSize / 2) result.radius = minSize / 2;
+      break;
+      
     case 'text':
       if (result.width < 50) result.width = 50;
       break;
@@ -5,6 +5,12 @@
  * and improve code organization.
  */
 
+import { FUTURE_SHAPE_DEFAULTS } from '../constants/canvas.constants.js';
+import { isValidEllipseGeometry } from './ellipseGeometry.js';
+import { isValidCornerRadius } from './cornerRadius.js';
+import { isValidImageGeometry } from './imageGeometry.js';
+import { LIST_STYLES, TEXT_SIZING } from './richText.js';
+
 /**
  * Validate that an object is suitable for resize operations
  * @param {Object} object - Object to validate
@@ -41,10 +47,13 @@ export const validateObjectForResize = (object) => {
       if (typeof object.height !== 'number' || !isFinite(object.height) || object.height <= 0) {
         return { valid: false, error: 'Rectangle has invalid height' };
       }
+      if (object.cornerRadius != null && !isValidCornerRadius(object.cornerRadius)) {
+        return { valid: false, error: 'Rectangle has invalid cornerRadius' };
+      }
       break;
 
     case 'circle':
-      if (typeof object.radius !== 'number' || !isFinite(object.radius) || object.radius <= 0) {
+      if (!isValidEllipseGeometry(object)) {
         return { valid: false, error: 'Circle has invalid radius' };
       }
       break;
@@ -61,12 +70,48 @@ export const validateObjectForResize = (object) => {
       }
       break;
 
+    case 'polygon':
+      if (typeof object.radius !== 'number' || !isFinite(object.radius) || object.radius <= 0) {
+        return { valid: false, error: 'Polygon has invalid radius' };
+      }
+      break;
+
     case 'text':
       if (object.width !== undefined && (typeof object.width !== 'number' || !isFinite(object.width) || object.width <= 0)) {
         return { valid: false, error: 'Text has invalid width' };
       }
       break;
 
+    case 'image':
+      if (!isValidImageGeometry(object)) {
+        return { valid: false, error: 'Image has invalid size or source' };
+      }
+      break;
+
+    case 'frame':
+      if (typeof object.width !== 'number' || !isFinite(object.width) || object.width <= 0) {
+        return { valid: false, error: 'Frame has invalid width' };
+      }
+      if (typeof object.height !== 'number' || !isFinite(object.height) || object.height <= 0) {
+        return { valid: false, error: 'Frame has invalid height' };
+      }
+      break;
+
+    case 'sticky':
+      if (typeof object.width !== 'number' || !isFinite(object.width) || object.width <= 0) {
+        return { valid: false, error: 'Sticky note has invalid width' };
+      }
+      break;
+
+    case 'table':
+      if (typeof object.width !== 'number' || !isFinite(object.width) || object.width <= 0) {
+        return { valid: false, error: 'Table has invalid width' };
+      }
+      if (typeof object.height !== 'number' || !isFinite(object.height) || object.height <= 0) {
+        return { valid: false, error: 'Table has invalid height' };
+      }
+      break;
+
     default:
       return { valid: false, error: `Unsupported object type for resize: ${object.type}` };
   }
@@ -162,6 +207,12 @@ export const validateObjectUpdate = (update, objectType) => {
         }
         sanitized.height = update.height;
       }
+      if (update.cornerRadius !== undefined) {
+        if (!isValidCornerRadius(update.cornerRadius)) {
+          return { valid: false, error: 'Invalid cornerRadius for rectangle' };
+        }
+        sanitized.cornerRadius = update.cornerRadius;
+      }
       break;
 
     case 'circle':
@@ -171,6 +222,14 @@ export const validateObjectUpdate = (update, objectType) => {
         }
         sanitized.radius = update.radius;
       }
+      for (const key of ['radiusX', 'radiusY']) {
+        if (update[key] !== undefined) {
+          if (typeof update[key] !== 'number' || !isFinite(update[key]) || update[key] <= 0) {
+            return { valid: false, error: `Invalid ${key} for circle` };
+          }
+          sanitized[key] = update[key];
+        }
+      }
       break;
 
     case 'star':
@@ -194,6 +253,21 @@ export const validateObjectUpdate = (update, objectType) => {
       }
       break;
 
+    case 'polygon':
+      if (update.radius !== undefined) {
+        if (typeof update.radius !== 'number' || !isFinite(update.radius) || update.radius <= 0) {
+          return { valid: false, error: 'Invalid radius for polygon' };
+        }
+        sanitized.radius = update.radius;
+      }
+      if (update.sides !== undefined) {
+        if (!Number.isInteger(update.sides) || update.sides < 3) {
+          return { valid: false, error: 'Invalid sides for polygon' };
+        }
+        sanitized.sides = update.sides;
+      }
+      break;
+
     case 'text':
       if (update.width !== undefined) {
         if (typeof update.width !== 'number' || !isFinite(update.width) || update.width <= 0) {
@@ -201,8 +275,162 @@ export const validateObjectUpdate = (update, objectType) => {
         }
         sanitized.width = update.width;
       }
+      if (update.height !== undefined) {
+        // null for auto-sized text, whose height is measured
+        if (update.height !== null && (typeof update.height !== 'number' || !isFinite(update.height) || update.height <= 0)) {
+          return { valid: false, error: 'Invalid height for text' };
+        }
+        sanitized.height = update.height;
+      }
+      if (update.sizing !== undefined) {
+        if (update.sizing !== null && !TEXT_SIZING.includes(update.sizing)) {
+          return { valid: false, error: 'Invalid sizing for text' };
+        }
+        sanitized.sizing = update.sizing;
+      }
+      if (update.align !== undefined) {
+        if (!['left', 'center', 'right'].includes(update.align)) {
+          return { valid: false, error: 'Invalid align for text' };
+        }
+        sanitized.align = update.align;
+      }
+      if (update.verticalAlign !== undefined) {
+        if (!['top', 'middle', 'bottom'].includes(update.verticalAlign)) {
+          return { valid: false, error: 'Invalid verticalAlign for text' };
+        }
+        sanitized.verticalAlign = update.verticalAlign;
+      }
+      if (update.lineHeight !== undefined) {
+        if (typeof update.lineHeight !== 'number' || !isFinite(update.lineHeight) || update.lineHeight <= 0) {
+          return { valid: false, error: 'Invalid lineHeight for text' };
+        }
+        sanitized.lineHeight = update.lineHeight;
+      }
+      if (update.letterSpacing !== undefined) {
+        if (typeof update.letterSpacing !== 'number' || !isFinite(update.letterSpacing)) {
+          return { valid: false, error: 'Invalid letterSpacing for text' };
+        }
+        sanitized.letterSpacing = update.letterSpacing;
+      }
+      if (update.runs !== undefined) {
+        if (update.runs !== null && !(Array.isArray(update.runs) && update.runs.every(run => typeof run?.text === 'string'))) {
+          return { valid: false, error: 'Invalid runs for text' };
+        }
+        sanitized.runs = update.runs;
+      }
+      if (update.listStyles !== undefined) {
+        if (update.listStyles !== null && !(Array.isArray(update.listStyles) && update.listStyles.every(style => LIST_STYLES.includes(style)))) {
+          return { valid: false, error: 'Invalid listStyles for text' };
+        }
+        sanitized.listStyles = update.listStyles;
+      }
+      break;
+
+    case 'image':
+      for (const key of ['width', 'height']) {
+        if (update[key] !== undefined) {
+          if (typeof update[key] !== 'number' || !isFinite(update[key]) || update[key] <= 0) {
+            return { valid: false, error: `Invalid ${key} for image` };
+          }
+          sanitized[key] = update[key];
+        }
+      }
+      if (update.crop !== undefined) {
+        // null shows the whole file again
+        if (update.crop !== null && !['x', 'y', 'width', 'height'].every(key => typeof update.crop[key] === 'number' && isFinite(update.crop[key]))) {
+          return { valid: false, error: 'Invalid crop for image' };
+        }
+        sanitized.crop = update.crop;
+      }
+      if (update.opacity !== undefined) {
+        if (typeof update.opacity !== 'number' || update.opacity < 0 || update.opacity > 1) {
+          return { valid: false, error: 'Invalid opacity for image' };
+        }
+        sanitized.opacity = update.opacity;
+      }
       break;
 
+    case 'frame':
+      for (const key of ['width', 'height']) {
+        if (update[key] !== undefined) {
+          if (typeof update[key] !== 'number' || !isFinite(update[key]) || update[key] <= 0) {
+            return { valid: false, error: `Invalid ${key} for frame` };
+          }
+          sanitized[key] = update[key];
+        }
+      }
+      if (update.name !== undefined) {
+        if (typeof update.name !== 'string' || update.name.trim() === '') {
+          return { valid: false, error: 'Invalid name for frame' };
+        }
+        sanitized.name = update.name.trim();
+      }
+      if (update.clipContent !== undefined) {
+        if (typeof update.clipContent !== 'boolean') {
+          return { valid: false, error: 'Invalid clipContent for frame' };
+        }
+        sanitized.clipContent = update.clipContent;
+      }
+      break;
+
+    case 'sticky':
+      for (const key of ['width', 'height']) {
+        if (update[key] !== undefined) {
+          if (typeof update[key] !== 'number' || !isFinite(update[key]) || update[key] <= 0) {
+            return { valid: false, error: `Invalid ${key} for sticky note` };
+          }
+          sanitized[key] = update[key];
+        }
+      }
+      if (update.text !== undefined) {
+        if (typeof update.text !== 'string') {
+          return { valid: false, error: 'Invalid text for sticky note' };
+        }
+        sanitized.text = update.text;
+      }
+      break;
+
+    case 'table': {
+      const { maxRows, maxColumns } = FUTURE_SHAPE_DEFAULTS.table;
+      for (const key of ['width', 'height']) {
+        if (update[key] !== undefined) {
+          if (typeof update[key] !== 'number' || !isFinite(update[key]) || update[key] <= 0) {
+            return { valid: false, error: `Invalid ${key} for table` };
+          }
+          sanitized[key] = update[key];
+        }
+      }
+      for (const [key, max] of [['rows', maxRows], ['columns', maxColumns]]) {
+        if (update[key] !== undefined) {
+          if (!Number.isInteger(update[key]) || update[key] < 1 || update[key] > max) {
+            return { valid: false, error: `Invalid ${key} for table` };
+          }
+          sanitized[key] = update[key];
+        }
+      }
+      for (const key of ['columnWidths', 'rowHeights']) {
+        if (update[key] !== undefined) {
+          if (!Array.isArray(update[key]) || !update[key].every(size => typeof size === 'number' && isFinite(size) && size > 0)) {
+            return { valid: false, error: `Invalid ${key} for table` };
+          }
+          sanitized[key] = update[key];
+        }
+      }
+      if (update.cells !== undefined) {
+        if (!Array.isArray(update.cells) || !update.cells.every(text => typeof text === 'string')) {
+          return { valid: false, error: 'Invalid cells for table' };
+        }
+        sanitized.cells = update.cells;
+      }
+      if (update.headerRow !== undefined) {
+        if (typeof update.headerRow !== 'boolean') {
+          return { valid: false, error: 'Invalid headerRow for table' };
+        }
+        sanitized.headerRow = update.headerRow;
+      }
+      break;
+    }
+
     default:
       return { valid: false, error: `Unsupported object type: ${objectType}` };
   }
@@ -246,6 +474,16 @@ export const sanitizeObjectUpdate = (update) => {
     }
   }
 
+  // Corner radius is a number or a 4-corner array
+  if (update.cornerRadius !== undefined) {
+    if (isValidCornerRadius(update.cornerRadius)) {
+      sanitized.cornerRadius = update.cornerRadius;
+      hasValidProperties = true;
+    } else {
+      console.warn('Invalid cornerRadius value in update:', update.cornerRadius);
+    }
+  }
+
   // Copy non-numeric properties as-is (like id, type, fill, etc.)
   const nonNumericProps = ['id', 'type', 'fill', 'stroke', 'strokeWidth'];
   for (const prop of nonNumericProps) {
@@ -0,0 +1,507 @@
+import { FUTURE_SHAPE_DEFAULTS } from '../constants/canvas.constants.js'
+import { measureTextWidth } from './stickyNote.js'
+
+/**
+ * Rich Text Utilities
+ *
+ * Text objects keep their whole-object style (bold, italic, underline, fill,
+ * fontSize, fontFamily) and plain `text` as before. Parts of the text with a
+ * different style are stored as runs:
+ * - runs: [{ text, bold?, italic?, underline?, fill?, fontSize?, fontFamily? }]
+ *   whose texts join up to `text`; a run only stores the styles it overrides,
+ *   so whole-object changes still apply to the rest. null when nothing is overridden.
+ * - listStyles: one of 'none' | 'bullet' | 'number' per paragraph (line of `text`)
+ * - align, verticalAlign, lineHeight, letterSpacing: paragraph layout
+ * - sizing: 'autoWidth' (the box fits the longest paragraph), 'autoHeight'
+ *   (wraps at width, height follows the text) or 'fixed' (stored width and height)
+ *
+ * Runs are stored flat (Firestore can't store nested arrays); layoutRichText
+ * turns them into positioned fragments that both the renderer and the
+ * bounds/resize code use, so what is drawn always matches the box.
+ */
+
+export const TEXT_STYLE_KEYS = ['bold', 'italic', 'underline', 'fill', 'fontSize', 'fontFamily']
+export const LIST_STYLES = ['none', 'bullet', 'number']
+export const TEXT_SIZING = ['autoWidth', 'autoHeight', 'fixed']
+
+// Share of the font size above the baseline, used to line up mixed font sizes
+const BASELINE = 0.8
+const DEFAULT_WIDTH = 200
+
+/**
+ * Get the whole-object style of a text object
+ * @param {Object} obj - Text object
+ * @returns {Object} { bold, italic, underline, fill, fontSize, fontFamily }
+ */
+export const getBaseTextStyle = (obj) => ({
+  bold: !!obj.bold,
+  italic: !!obj.italic,
+  underline: !!obj.underline,
+  fill: obj.fill || '#000000',
+  fontSize: obj.fontSize || 24,
+  fontFamily: obj.fontFamily || 'Arial'
+})
+
+const getOverrides = (run) => Object.fromEntries(
+  TEXT_STYLE_KEYS
+    .filter(key => run[key] !== undefined && run[key] !== null)
+    .map(key => [key, run[key]])
+)
+
+const hasSameOverrides = (a, b) => TEXT_STYLE_KEYS.every(key => (a[key] ?? null) === (b[key] ?? null))
+
+/**
+ * Resolve the full style of a run
+ * @param {Object} baseStyle - Whole-object style from getBaseTextStyle
+ * @param {Object} run - Run (only its overrides are used)
+ * @returns {Object} Resolved style
+ */
+export const resolveRunStyle = (baseStyle, run) => ({ ...baseStyle, ...getOverrides(run) })
+
+/**
+ * Konva/CSS font style for a resolved style
+ * @param {Object} style - Resolved style
+ * @returns {string} 'normal', 'bold', 'italic' or 'italic bold'
+ */
+export const toFontStyle = (style) => [style.italic && 'italic', style.bold && 'bold'].filter(Boolean).join(' ') || 'normal'
+
+/**
+ * Drop empty runs and merge neighbours with the same style
+ * @param {Array<Object>} runs - Runs
+ * @returns {Array<Object>} Normalized runs (new objects)
+ */
+export const normalizeRuns = (runs) => {
+  const merged = []
+  for (const run of runs) {
+    if (!run.text) continue
+    const last = merged[merged.length - 1]
+    if (last && hasSameOverrides(last, run)) {
+      last.text += run.text
+    } else {
+      merged.push({ text: run.text, ...getOverrides(run) })
+    }
+  }
+  return merged
+}
+
+/**
+ * Get the plain text of runs
+ * @param {Array<Object>} runs - Runs
+ * @returns {string} Joined text
+ */
+export const getPlainText = (runs) => runs.map(run => run.text).join('')
+
+/**
+ * Get the runs of a text object
+ * Objects without (or with stale) runs are one run in the object's own style.
+ * @param {Object} obj - Text object
+ * @returns {Array<Object>} Runs covering obj.text
+ */
+export const getTextRuns = (obj) => {
+  const text = obj.text || ''
+  if (Array.isArray(obj.runs) && obj.runs.length > 0 && obj.runs.map(run => run.text || '').join('') === text) {
+    return obj.runs
+  }
+  return text ? [{ text }] : []
+}
+
+/**
+ * Get the runs to store on a text object
+ * @param {Array<Object>} runs - Runs
+ * @returns {Array<Object>|null} Normalized runs, or null when no part of the text has its own style
+ */
+export const toStoredRuns = (runs) => {
+  const normalized = normalizeRuns(runs)
+  return normalized.some(run => Object.keys(getOverrides(run)).length > 0) ? normalized : null
+}
+
+/**
+ * Get the runs covering a range of the text
+ * @param {Array<Object>} runs - Runs
+ * @param {number} start - Start offset (inclusive)
+ * @param {number} end - End offset (exclusive)
+ * @returns {Array<Object>} Runs cut to the range
+ */
+export const sliceRuns = (runs, start, end) => {
+  const result = []
+  let offset = 0
+  for (const run of runs) {
+    const runStart = offset
+    offset += run.text.length
+    const from = Math.max(start, runStart)
+    const to = Math.min(end, offset)
+    if (from < to) {
+      result.push({ ...run, text: run.text.slice(from - runStart, to - runStart) })
+    }
+  }
+  return result
+}
+
+/**
+ * Replace a range of the text, as typing in the editor does
+ * Typed text takes the style of the first replaced character, or of the
+ * character before the caret when nothing is replaced.
+ * @param {Array<Object>} runs - Runs
+ * @param {number} start - Start offset of the replaced range
+ * @param {number} end - End offset of the replaced range
+ * @param {string} insertText - New text
+ * @returns {Array<Object>} New runs
+ */
+export const spliceRuns = (runs, start, end, insertText) => {
+  const length = getPlainText(runs).length
+  const sourceOffset = start < end || start === 0 ? start : start - 1
+  const source = sliceRuns(runs, sourceOffset, sourceOffset + 1)[0] || runs[0] || {}
+  const inserted = insertText ? [{ ...getOverrides(source), text: insertText }] : []
+
+  return normalizeRuns([...sliceRuns(runs, 0, start), ...inserted, ...sliceRuns(runs, end, length)])
+}
+
+/**
+ * Style a range of the text
+ * @param {Array<Object>} runs - Runs
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @param {Object} style - Overrides to set (undefined clears an override)
+ * @returns {Array<Object>} New runs
+ */
+export const applyRunStyle = (runs, start, end, style) => {
+  const length = getPlainText(runs).length
+  const styled = sliceRuns(runs, start, end).map(run => ({ ...run, ...style }))
+  return normalizeRuns([...sliceRuns(runs, 0, start), ...styled, ...sliceRuns(runs, end, length)])
+}
+
+/**
+ * Remove run overrides, e.g. after the same style was set on the whole object
+ * @param {Array<Object>} runs - Runs
+ * @param {Array<string>} keys - Style keys to clear
+ * @returns {Array<Object>} New runs
+ */
+export const clearRunStyle = (runs, keys) =>
+  normalizeRuns(runs.map(run => ({ ...run, ...Object.fromEntries(keys.map(key => [key, undefined])) })))
+
+/**
+ * Get the style shared by a range of the text
+ * With an empty range, the style of the character before the caret is used.
+ * @param {Object} baseStyle - Whole-object style
+ * @param {Array<Object>} runs - Runs
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @returns {Object} Resolved style; keys that differ across the range are undefined
+ */
+export const getRangeStyle = (baseStyle, runs, start, end) => {
+  const range = start < end
+    ? sliceRuns(runs, start, end)
+    : sliceRuns(runs, Math.max(0, start - 1), Math.max(1, start))
+  if (range.length === 0) return { ...baseStyle }
+
+  const styles = range.map(run => resolveRunStyle(baseStyle, run))
+  return Object.fromEntries(TEXT_STYLE_KEYS.map(key => {
+    const values = new Set(styles.map(style => style[key]))
+    return [key, values.size === 1 ? styles[0][key] : undefined]
+  }))
+}
+
+/**
+ * Get the paragraph (line of the plain text) containing an offset
+ * @param {string} text - Plain text
+ * @param {number} offset - Character offset
+ * @returns {number} Paragraph index
+ */
+export const getParagraphIndexAt = (text, offset) => text.slice(0, offset).split('\n').length - 1
+
+/**
+ * Get the list style of every paragraph
+ * @param {Object} obj - Text object (text, listStyles)
+ * @returns {Array<string>} One list style per paragraph
+ */
+export const getListStyles = (obj) => {
+  const count = (obj.text || '').split('\n').length
+  return Array.from({ length: count }, (_, i) =>
+    LIST_STYLES.includes(obj.listStyles?.[i]) ? obj.listStyles[i] : 'none'
+  )
+}
+
+/**
+ * Set the list style of the paragraphs touched by a range
+ * @param {Array<string>} listStyles - Current list styles (from getListStyles)
+ * @param {string} text - Plain text
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @param {string} listStyle - 'none', 'bullet' or 'number'
+ * @returns {Array<string>} New list styles
+ */
+export const setListStyle = (listStyles, text, start, end, listStyle) => {
+  const first = getParagraphIndexAt(text, start)
+  const last = getParagraphIndexAt(text, end)
+  return listStyles.map((style, i) => (i >= first && i <= last ? listStyle : style))
+}
+
+/**
+ * Keep list styles in step with a text edit
+ * New paragraphs continue the list of the paragraph they were typed in.
+ * @param {Array<string>} listStyles - List styles before the edit
+ * @param {string} text - Plain text before the edit
+ * @param {number} start - Start offset of the replaced range
+ * @param {number} end - End offset of the replaced range
+ * @param {string} insertText - New text
+ * @returns {Array<string>} List styles after the edit
+ */
+export const spliceListStyles = (listStyles, text, start, end, insertText) => {
+  const first = getParagraphIndexAt(text, start)
+  const removed = (text.slice(start, end).match(/\n/g) || []).length
+  const added = (insertText.match(/\n/g) || []).length
+  const styles = [...listStyles]
+  styles.splice(first + 1, removed, ...Array(added).fill(styles[first] ?? 'none'))
+  return styles
+}
+
+/**
+ * Get the list styles to store on a text object
+ * @param {Array<string>} listStyles - List styles
+ * @returns {Array<string>|null} The list styles, or null when no paragraph is a list item
+ */
+export const toStoredListStyles = (listStyles) =>
+  listStyles.some(style => style !== 'none') ? listStyles : null
+
+/**
+ * Split runs into paragraphs at line breaks
+ * Every paragraph has at least one (possibly empty) run so empty lines keep a style.
+ */
+const splitParagraphs = (runs) => {
+  const paragraphs = [[]]
+  let lastRun = {}
+  for (const run of runs) {
+    lastRun = run
+    run.text.split('\n').forEach((part, i) => {
+      if (i > 0) paragraphs.push([])
+      paragraphs[paragraphs.length - 1].push({ ...run, text: part })
+    })
+  }
+  return paragraphs.map(paragraph => (paragraph.length > 0 ? paragraph : [{ ...lastRun, text: '' }]))
+}
+
+/**
+ * Split a paragraph into words and spaces; a word may span several runs
+ * Pieces keep their offset in the plain text for caret placement.
+ */
+const toUnits = (paragraph, start) => {
+  const units = []
+  let offset = start
+  for (const run of paragraph) {
+    for (const part of run.text.split(/( +)/)) {
+      if (!part) continue
+      const isSpace = part[0] === ' '
+      const last = units[units.length - 1]
+      const piece = { run, text: part, start: offset }
+      if (last && !last.isSpace && !isSpace) {
+        last.pieces.push(piece)
+      } else {
+        units.push({ isSpace, pieces: [piece] })
+      }
+      offset += part.length
+    }
+  }
+  return units
+}
+
+const measureStyled = (text, style, letterSpacing, measure) =>
+  measure(text, style.fontSize, style.fontFamily, toFontStyle(style)) + letterSpacing * text.length
+
+/**
+ * Lay out a text object
+ * @param {Object} obj - Text object
+ * @param {Function} measure - (text, fontSize, fontFamily, fontStyle) => width
+ * @returns {Object} { lines, width, height, contentHeight } where each line is
+ *   { y, height, start, end, fragments } and each fragment is
+ *   { text, start, x, y, width, style, isMarker } positioned relative to the
+ *   object's top-left corner; start/end are offsets in the plain text
+ */
+export const layoutRichText = (obj, measure = measureTextWidth) => {
+  const defaults = FUTURE_SHAPE_DEFAULTS.text
+  const baseStyle = getBaseTextStyle(obj)
+  const sizing = TEXT_SIZING.includes(obj.sizing) ? obj.sizing : defaults.sizing
+  const lineHeight = obj.lineHeight || defaults.lineHeight
+  const letterSpacing = obj.letterSpacing || defaults.letterSpacing
+  const boxWidth = obj.width || DEFAULT_WIDTH
+  const maxWidth = sizing === 'autoWidth' ? Infinity : boxWidth
+  const listStyles = getListStyles(obj)
+
+  const measurePiece = (text, style) => measureStyled(text, style, letterSpacing, measure)
+
+  const lines = []
+  let listNumber = 0
+  let paragraphStart = 0
+
+  splitParagraphs(getTextRuns(obj)).forEach((paragraph, index) => {
+    const listStyle = listStyles[index] || 'none'
+    listNumber = listStyle === 'number' ? listNumber + 1 : 0
+    const paragraphStyle = resolveRunStyle(baseStyle, paragraph[0])
+    const indent = listStyle === 'none' ? 0 : paragraphStyle.fontSize * defaults.listIndent
+    const available = Math.max(1, maxWidth - indent)
+
+    // Fill lines word by word, breaking words that don't fit on a line of their own
+    const paragraphLines = [[]]
+    let lineWidth = 0
+    const place = (piece, width) => {
+      paragraphLines[paragraphLines.length - 1].push({ ...piece, width })
+      lineWidth += width
+    }
+    const newLine = () => {
+      paragraphLines.push([])
+      lineWidth = 0
+    }
+
+    for (const unit of toUnits(paragraph, paragraphStart)) {
+      const pieces = unit.pieces.map(piece => {
+        const style = resolveRunStyle(baseStyle, piece.run)
+        return { text: piece.text, start: piece.start, style, width: measurePiece(piece.text, style) }
+      })
+      const unitWidth = pieces.reduce((total, piece) => total + piece.width, 0)
+      const currentLine = paragraphLines[paragraphLines.length - 1]
+
+      if (unit.isSpace) {
+        // Spaces at the start of a wrapped line are dropped
+        if (currentLine.length > 0 || paragraphLines.length === 1) pieces.forEach(piece => place(piece, piece.width))
+        continue
+      }
+      if (currentLine.some(piece => piece.text.trim()) && lineWidth + unitWidth > available) {
+        newLine()
+      }
+      if (unitWidth <= available - lineWidth) {
+        pieces.forEach(piece => place(piece, piece.width))
+        continue
+      }
+      for (const piece of pieces) {
+        let start = piece.start
+        for (const char of piece.text) {
+          const width = measurePiece(char, piece.style)
+          if (lineWidth > 0 && lineWidth + width > available) newLine()
+          place({ text: char, start, style: piece.style }, width)
+          start += char.length
+        }
+      }
+    }
+
+    paragraphLines.forEach((pieces, lineIndex) => {
+      // Merge neighbouring pieces with the same style into drawable fragments
+      const fragments = []
+      let x = indent
+      for (const piece of pieces) {
+        const last = fragments[fragments.length - 1]
+        if (last && TEXT_STYLE_KEYS.every(key => last.style[key] === piece.style[key])) {
+          last.text += piece.text
+          last.width += piece.width
+        } else {
+          fragments.push({ text: piece.text, start: piece.start, x, width: piece.width, style: piece.style, isMarker: false })
+        }
+        x += piece.width
+      }
+
+      if (lineIndex === 0 && listStyle !== 'none') {
+        const markerStyle = { ...paragraphStyle, underline: false }
+        const text = listStyle === 'bullet' ? '•' : `${listNumber}.`
+        const width = measurePiece(text, markerStyle)
+        const gap = markerStyle.fontSize * 0.3
+        fragments.unshift({ text, start: paragraphStart, x: Math.max(0, indent - width - gap), width, style: markerStyle, isMarker: true })
+      }
+
+      const lastVisible = [...fragments].reverse().find(fragment => fragment.isMarker || fragment.text.trim())
+      const visibleWidth = lastVisible
+        ? lastVisible.x + (lastVisible.isMarker ? lastVisible.width : measurePiece(lastVisible.text.replace(/ +$/, ''), lastVisible.style))
+        : indent
+      const fontSize = Math.max(paragraphStyle.fontSize, ...fragments.map(fragment => fragment.style.fontSize))
+      const lastPiece = pieces[pieces.length - 1]
+      lines.push({
+        fragments,
+        start: pieces[0]?.start ?? paragraphStart,
+        end: lastPiece ? lastPiece.start + lastPiece.text.length : paragraphStart,
+        width: visibleWidth,
+        fontSize,
+        height: fontSize * lineHeight
+      })
+    })
+    paragraphStart += paragraph.reduce((total, run) => total + run.text.length, 0) + 1
+  })
+
+  const contentWidth = Math.max(1, ...lines.map(line => line.width))
+  const contentHeight = lines.reduce((total, line) => total + line.height, 0)
+  const width = sizing === 'autoWidth' ? Math.ceil(contentWidth) : boxWidth
+  const height = sizing === 'fixed' && obj.height > 0 ? obj.height : contentHeight
+
+  const verticalAlign = obj.verticalAlign || defaults.verticalAlign
+  const alignFactor = { left: 0, center: 0.5, right: 1 }[obj.align] ?? 0
+  let y = sizing === 'fixed'
+    ? (height - contentHeight) * ({ top: 0, middle: 0.5, bottom: 1 }[verticalAlign] ?? 0)
+    : 0
+
+  for (const line of lines) {
+    const offsetX = (width - line.width) * alignFactor
+    const baseline = y + (line.height - line.fontSize) / 2 + line.fontSize * BASELINE
+    for (const fragment of line.fragments) {
+      // List markers stay at the start of the line
+      if (!fragment.isMarker || alignFactor === 0) fragment.x += offsetX
+      fragment.y = baseline - fragment.style.fontSize * BASELINE
+    }
+    line.y = y
+    y += line.height
+  }
+
+  return {
+    lines: lines.map(({ fragments, y: lineY, height: lineHeightPx, start, end }) => ({ y: lineY, height: lineHeightPx, start, end, fragments })),
+    width,
+    height,
+    contentHeight
+  }
+}
+
+/**
+ * Get the box size of a text object
+ * @param {Object} obj - Text object
+ * @param {Function} measure - (text, fontSize, fontFamily, fontStyle) => width
+ * @returns {Object} { width, height }
+ */
+export const getTextSize = (obj, measure = measureTextWidth) => {
+  const { width, height } = layoutRichText(obj, measure)
+  return { width, height }
+}
+
+/**
+ * Find the caret offset for a point on a text object, e.g. where it was clicked
+ * @param {Object} obj - Text object
+ * @param {Object} point - { x, y } in canvas coordinates
+ * @param {Function} measure - (text, fontSize, fontFamily, fontStyle) => width
+ * @returns {number} Offset in the plain text
+ */
+export const getTextOffsetAt = (obj, point, measure = measureTextWidth) => {
+  const layout = layoutRichText(obj, measure)
+  const letterSpacing = obj.letterSpacing || FUTURE_SHAPE_DEFAULTS.text.letterSpacing
+
+  // Text rotates around its top-left corner
+  const angle = (-(obj.rotation || 0) * Math.PI) / 180
+  const dx = point.x - (obj.x || 0)
+  const dy = point.y - (obj.y || 0)
+  const local = {
+    x: dx * Math.cos(angle) - dy * Math.sin(angle),
+    y: dx * Math.sin(angle) + dy * Math.cos(angle)
+  }
+
+  const line = layout.lines.find(candidate => local.y < candidate.y + candidate.height) ||
+    layout.lines[layout.lines.length - 1]
+  if (!line) return 0
+
+  for (const fragment of line.fragments) {
+    if (fragment.isMarker || local.x >= fragment.x + fragment.width) continue
+
+    // The caret goes before the character whose middle is right of the point
+    let left = fragment.x
+    let offset = fragment.start
+    for (const char of fragment.text) {
+      const width = measureStyled(char, fragment.style, letterSpacing, measure)
+      if (local.x < left + width / 2) return offset
+      left += width
+      offset += char.length
+    }
+    return offset
+  }
+  return line.end
+}
@@ -0,0 +1,46 @@
+import { GUIDE_AXES, RULER_MIN_LABEL_SPACING } from '../constants/canvas.constants.js'
+
+/**
+ * Ruler Utilities
+ *
+ * Rulers along the top and left of the canvas show canvas coordinates at the
+ * current pan and zoom. Guides dragged out of a ruler are stored on the canvas
+ * document as a map ({ [guideId]: { axis, position } }) so collaborators adding
+ * or moving different guides at once never overwrite each other.
+ */
+
+// Distances between labelled ticks, in canvas units; the smallest readable one is used
+const RULER_STEPS = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000]
+
+/**
+ * Get the ticks to draw along a ruler
+ * @param {number} start - First visible canvas coordinate
+ * @param {number} end - Last visible canvas coordinate
+ * @param {number} scale - Stage zoom level
+ * @returns {Object} { step, ticks } where ticks are { value, labelled }
+ */
+export const getRulerTicks = (start, end, scale) => {
+  const step = RULER_STEPS.find(candidate => candidate * scale >= RULER_MIN_LABEL_SPACING) || RULER_STEPS[RULER_STEPS.length - 1]
+  const divisions = step % 5 === 0 ? 5 : 2
+  const minorStep = step / divisions
+
+  const ticks = []
+  // A zero-size viewport (zoom 0) has no readable range to mark
+  if (!Number.isFinite(start) || !Number.isFinite(end)) return { step, ticks }
+
+  // Ticks are counted rather than accumulated so fractional steps don't drift
+  for (let i = Math.ceil(start / minorStep); i * minorStep <= end; i++) {
+    ticks.push({ value: i * minorStep, labelled: i % divisions === 0 })
+  }
+  return { step, ticks }
+}
+
+/**
+ * Turn the guides stored on a canvas document into a list
+ * @param {Object} guides - { [guideId]: { axis, position } } (missing on older canvases)
+ * @returns {Array<Object>} Guides { id, axis, position }, skipping malformed entries
+ */
+export const getRulerGuides = (guides) => Object.entries(guides || {})
+  .filter(([, guide]) => Object.values(GUIDE_AXES).includes(guide?.axis) && Number.isFinite(guide?.position))
+  .map(([id, { axis, position }]) => ({ id, axis, position }))
+  .sort((a, b) => a.id.localeCompare(b.id))
@@ -5,6 +5,11 @@
  * and reduce code duplication across different tools.
  */
 
+import { isValidPathGeometry } from './pathGeometry.js';
+import { isValidPolygonGeometry } from './polygonGeometry.js';
+import { isValidEllipseGeometry } from './ellipseGeometry.js';
+import { isValidImageGeometry } from './imageGeometry.js';
+
 /**
  * Validate that an object has the required properties for manipulation
  * @param {Object} obj - The object to validate
@@ -46,6 +51,13 @@ export const sanitizeObjectData = (obj) => {
     }
   }
 
+  // Paths need a usable point list (freehand) or anchor set (vector)
+  if (sanitized.type === 'path' && (sanitized.points !== undefined || sanitized.anchors !== undefined) &&
+      !isValidPathGeometry(sanitized)) {
+    console.error('Invalid path geometry in object:', sanitized.id);
+    return null;
+  }
+
   return sanitized;
 };
 
@@ -137,13 +149,37 @@ export const validateShapeForOperation = (shape, operation) => {
           return { valid: false, error: 'Rectangle missing width or height' };
         }
       } else if (shape.type === 'circle') {
-        if (!validateObjectProperties(shape, ['radius'])) {
+        if (!isValidEllipseGeometry(shape)) {
           return { valid: false, error: 'Circle missing radius' };
         }
       } else if (shape.type === 'star') {
         if (!validateObjectProperties(shape, ['innerRadius', 'outerRadius'])) {
           return { valid: false, error: 'Star missing radius properties' };
         }
+      } else if (shape.type === 'polygon') {
+        if (!isValidPolygonGeometry(shape)) {
+          return { valid: false, error: 'Polygon missing radius or sides' };
+        }
+      } else if (shape.type === 'path') {
+        if (!validateObjectProperties(shape, ['width', 'height']) || !isValidPathGeometry(shape)) {
+          return { valid: false, error: 'Path missing box or geometry' };
+        }
+      } else if (shape.type === 'image') {
+        if (!isValidImageGeometry(shape)) {
+          return { valid: false, error: 'Image missing box or source' };
+        }
+      } else if (shape.type === 'frame') {
+        if (!validateObjectProperties(shape, ['width', 'height'])) {
+          return { valid: false, error: 'Frame missing width or height' };
+        }
+      } else if (shape.type === 'sticky') {
+        if (!validateObjectProperties(shape, ['width', 'height'])) {
+          return { valid: false, error: 'Sticky note missing width or height' };
+        }
+      } else if (shape.type === 'table') {
+        if (!validateObjectProperties(shape, ['width', 'height'])) {
+          return { valid: false, error: 'Table missing width or height' };
+        }
       }
       break;
       
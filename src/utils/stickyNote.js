@@ -0,0 +1,120 @@
+import { FUTURE_SHAPE_DEFAULTS } from '../constants/canvas.constants.js'
+
+/**
+ * Sticky Note Utilities
+ *
+ * Sticky notes are stored like rectangles (x/y top-left, rotation around the
+ * center) with their text on the note itself:
+ * - text, fontSize, fontFamily, textColor: the note's content
+ * - fill: the note color (one of the palette colors by default)
+ * - width: set by the user; height: derived from the wrapped text, never
+ *   shorter than minHeight, and saved whenever the text or width changes
+ *
+ * The author label shows createdByName, which createObject stores on every object.
+ */
+
+// Average glyph width per unit of font size, used when canvas text metrics aren't available
+const FALLBACK_CHAR_WIDTH = 0.55
+
+let measureContext
+
+/**
+ * Measure the width of a single line of text
+ * @param {string} text - Text without line breaks
+ * @param {number} fontSize - Font size in canvas units
+ * @param {string} fontFamily - CSS font family
+ * @param {string} fontStyle - CSS font style/weight prefix, e.g. 'bold italic'
+ * @returns {number} Width in canvas units
+ */
+export const measureTextWidth = (text, fontSize, fontFamily, fontStyle = 'normal') => {
+  if (measureContext === undefined) {
+    try {
+      measureContext = document.createElement('canvas').getContext('2d') || null
+    } catch {
+      measureContext = null
+    }
+  }
+
+  if (!measureContext) {
+    return text.length * fontSize * FALLBACK_CHAR_WIDTH
+  }
+  measureContext.font = `${fontStyle} ${fontSize}px ${fontFamily}`
+  return measureContext.measureText(text).width
+}
+
+/**
+ * Wrap text into lines no wider than maxWidth
+ * Explicit line breaks are kept; words longer than a line are broken.
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Line width in canvas units
+ * @param {Function} measure - (line) => width
+ * @returns {Array<string>} Wrapped lines (at least one)
+ */
+export const wrapText = (text, maxWidth, measure) => {
+  const lines = []
+
+  for (const paragraph of (text || '').split('\n')) {
+    let line = ''
+    for (const word of paragraph.split(' ')) {
+      const candidate = line ? `${line} ${word}` : word
+      if (!line || measure(candidate) <= maxWidth) {
+        line = candidate
+      } else {
+        lines.push(line)
+        line = word
+      }
+
+      // Break a word that doesn't fit on a line of its own
+      while (line.length > 1 && measure(line) > maxWidth) {
+        let cut = line.length - 1
+        while (cut > 1 && measure(line.slice(0, cut)) > maxWidth) cut--
+        lines.push(line.slice(0, cut))
+        line = line.slice(cut)
+      }
+    }
+    lines.push(line)
+  }
+
+  return lines
+}
+
+/**
+ * Lay out a sticky note's text and author label
+ * @param {Object} note - Sticky note (text, width, fontSize, fontFamily)
+ * @param {Function} measure - (text, fontSize, fontFamily) => width
+ * @returns {Object} { lines, text, height, textWidth } — text is the wrapped lines joined by newlines
+ */
+export const getStickyNoteLayout = (note, measure = measureTextWidth) => {
+  const { padding, lineHeight, authorFontSize, minHeight } = FUTURE_SHAPE_DEFAULTS.sticky
+  const width = note.width || FUTURE_SHAPE_DEFAULTS.sticky.width
+  const fontSize = note.fontSize || FUTURE_SHAPE_DEFAULTS.sticky.fontSize
+  const fontFamily = note.fontFamily || FUTURE_SHAPE_DEFAULTS.sticky.fontFamily
+  const textWidth = Math.max(1, width - padding * 2)
+
+  const lines = wrapText(note.text, textWidth, line => measure(line, fontSize, fontFamily))
+  const authorHeight = authorFontSize * lineHeight
+  const contentHeight = padding + lines.length * fontSize * lineHeight + padding / 2 + authorHeight + padding
+  const height = Math.max(minHeight, Math.ceil(contentHeight))
+
+  return {
+    lines,
+    text: lines.join('\n'),
+    height,
+    textWidth
+  }
+}
+
+/**
+ * Get the height a sticky note needs for its text
+ * @param {Object} note - Sticky note
+ * @param {Function} measure - (text, fontSize, fontFamily) => width
+ * @returns {number} Height in canvas units
+ */
+export const getStickyNoteHeight = (note, measure = measureTextWidth) => getStickyNoteLayout(note, measure).height
+
+/**
+ * Get the author label of a sticky note
+ * @param {Object} note - Sticky note
+ * @returns {string} Name of the user who created it ('' if unknown)
+ */
+export const getStickyNoteAuthor = (note) => note.createdByName || ''
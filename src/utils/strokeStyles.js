@@ -0,0 +1,98 @@
+import { FUTURE_SHAPE_DEFAULTS, LINE_DASH_PRESETS, STROKE_ALIGN, STROKE_CAPS, STROKE_JOINS } from '../constants/canvas.constants.js'
+
+/**
+ * Shape Stroke Utilities
+ *
+ * Rectangles, ellipses, stars and polygons draw their own stroke from:
+ * - stroke: hex color, strokeWidth: canvas units (0 for no stroke)
+ * - dash: Konva dash array ([] or absent for solid)
+ * - lineCap / lineJoin: Konva cap and join names
+ * - strokeAlign: 'inside', 'center' (default) or 'outside' the outline
+ *
+ * Shapes saved before strokes were editable have no stroke fields and keep
+ * the default 1px border. Selection and lock outlines are drawn separately
+ * and never change the stroke.
+ */
+
+const defaults = FUTURE_SHAPE_DEFAULTS.stroke
+
+// Object types that draw a stroke of their own
+export const STROKE_TYPES = ['rectangle', 'circle', 'star', 'polygon']
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+/**
+ * Get a shape's stroke with defaults filled in
+ * @param {Object} shape - Canvas object
+ * @returns {Object} { color, width, dash, lineCap, lineJoin, align }
+ */
+export const getStrokeStyle = (shape) => {
+  return {
+    color: shape?.stroke || defaults.color,
+    width: isNumber(shape?.strokeWidth) ? Math.max(0, shape.strokeWidth) : defaults.width,
+    dash: Array.isArray(shape?.dash) ? shape.dash : [],
+    lineCap: Object.values(STROKE_CAPS).includes(shape?.lineCap) ? shape.lineCap : STROKE_CAPS.BUTT,
+    lineJoin: Object.values(STROKE_JOINS).includes(shape?.lineJoin) ? shape.lineJoin : STROKE_JOINS.MITER,
+    align: Object.values(STROKE_ALIGN).includes(shape?.strokeAlign) ? shape.strokeAlign : defaults.align
+  }
+}
+
+/**
+ * Get the dash preset (LINE_DASH_PRESETS key) closest to a dash array
+ * @param {Array} dash - Stored dash array
+ * @returns {string} 'SOLID', 'DASHED' or 'DOTTED'
+ */
+export const getDashPreset = (dash) => {
+  if (!Array.isArray(dash) || dash.length === 0) return 'SOLID'
+  return dash[0] <= dash[1] ? 'DOTTED' : 'DASHED'
+}
+
+/**
+ * Get the dash array for a preset
+ * Dash lengths scale with the stroke width so patterns look the same at any thickness.
+ * @param {string} preset - LINE_DASH_PRESETS key
+ * @param {number} width - Stroke width
+ * @returns {Array} Dash array ([] for solid)
+ */
+export const getPresetDash = (preset, width) => LINE_DASH_PRESETS[preset].map(value => value * width)
+
+/**
+ * Get the Konva props that draw a shape's stroke
+ * Konva strokes are centered on the outline, so inside and outside strokes
+ * are drawn twice as wide with half of them hidden: outside strokes under the
+ * fill (fillAfterStrokeEnabled), inside strokes by clipping to the outline.
+ * @param {Object} shape - Canvas object
+ * @returns {Object} Konva stroke props ({ strokeEnabled: false } without a stroke)
+ */
+export const getStrokeProps = (shape) => {
+  const style = getStrokeStyle(shape)
+  if (style.width === 0) return { strokeEnabled: false }
+
+  return {
+    stroke: style.color,
+    strokeWidth: style.align === STROKE_ALIGN.CENTER ? style.width : style.width * 2,
+    dash: style.dash.length > 0 ? style.dash : undefined,
+    lineCap: style.lineCap,
+    lineJoin: style.lineJoin,
+    fillAfterStrokeEnabled: style.align === STROKE_ALIGN.OUTSIDE
+  }
+}
+
+/**
+ * Get the corners of a star or polygon in its own coordinates (centered on 0, 0)
+ * Matches Konva's Star and RegularPolygon, starting at the top.
+ * @param {Object} shape - Star or polygon object
+ * @returns {Array} Flat points [x0, y0, x1, y1, ...]
+ */
+export const getOutlinePoints = (shape) => {
+  const isStar = shape.type === 'star'
+  const count = isStar ? (shape.numPoints || 5) * 2 : shape.sides || FUTURE_SHAPE_DEFAULTS.polygon.sides
+  const outerRadius = isStar ? shape.outerRadius || 40 : shape.radius || FUTURE_SHAPE_DEFAULTS.polygon.defaultRadius
+  const innerRadius = isStar ? shape.innerRadius || 20 : outerRadius
+
+  return Array.from({ length: count }, (_, n) => {
+    const radius = n % 2 === 0 ? outerRadius : innerRadius
+    const angle = (n * 2 * Math.PI) / count
+    return [radius * Math.sin(angle), -radius * Math.cos(angle)]
+  }).flat()
+}
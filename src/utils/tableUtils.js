@@ -0,0 +1,279 @@
+import { FUTURE_SHAPE_DEFAULTS } from '../constants/canvas.constants.js'
+import { getRotationPivot, rotatePoint } from './objectBounds.js'
+
+/**
+ * Table Utilities
+ *
+ * A table ('table' object) is a grid of text cells stored on a single object:
+ * - x/y is the top-left corner and the table rotates around its center, like rectangles
+ * - rows, columns: grid size
+ * - columnWidths, rowHeights: one size per column/row
+ * - cells: cell text in row-major order (Firestore can't store nested arrays)
+ * - headerRow: the first row is drawn bold on headerFill
+ * - fill, stroke, strokeWidth, fontSize, fontFamily, textColor: table styling
+ *
+ * width and height are authoritative: column widths and row heights are scaled
+ * to fill them, so resizing the table's box scales every column and row, and
+ * dragging a grid line changes one column/row together with the table size.
+ */
+
+const sum = (values) => values.reduce((total, value) => total + value, 0)
+
+/**
+ * Scale track sizes (column widths or row heights) to fill a total size
+ * @param {Array<number>} sizes - Stored sizes (ignored unless there is one valid size per track)
+ * @param {number} count - Number of tracks
+ * @param {number} total - Size to fill (tracks are used as-is when missing)
+ * @param {number} fallback - Size of each track when the stored sizes are invalid
+ * @returns {Array<number>} One size per track
+ */
+const fitTracks = (sizes, count, total, fallback) => {
+  const isValid = Array.isArray(sizes) && sizes.length === count &&
+    sizes.every(size => Number.isFinite(size) && size > 0)
+  const tracks = isValid ? sizes : Array(count).fill(fallback)
+  const current = sum(tracks)
+
+  if (!(total > 0) || Math.abs(current - total) < 0.01) return tracks
+  return tracks.map(size => size * total / current)
+}
+
+/**
+ * Clamp a row/column count to what tables support
+ * @param {number} rows - Requested rows
+ * @param {number} columns - Requested columns
+ * @returns {Object} { rows, columns }
+ */
+export const clampTableSize = (rows, columns) => {
+  const { maxRows, maxColumns } = FUTURE_SHAPE_DEFAULTS.table
+  const clamp = (value, max, fallback) => {
+    const count = Math.round(Number(value))
+    return Number.isFinite(count) ? Math.max(1, Math.min(max, count)) : fallback
+  }
+
+  return {
+    rows: clamp(rows, maxRows, FUTURE_SHAPE_DEFAULTS.table.rows),
+    columns: clamp(columns, maxColumns, FUTURE_SHAPE_DEFAULTS.table.columns)
+  }
+}
+
+/**
+ * Build the grid fields of a new table
+ * @param {Object} options - { rows, columns, columnWidth, rowHeight, cells } where cells is an array of rows of text
+ * @returns {Object} { rows, columns, columnWidths, rowHeights, cells, width, height }
+ */
+export const createTableGrid = (options = {}) => {
+  const defaults = FUTURE_SHAPE_DEFAULTS.table
+  const { rows, columns } = clampTableSize(options.rows ?? defaults.rows, options.columns ?? defaults.columns)
+  const columnWidth = Math.max(defaults.minColumnWidth, options.columnWidth || defaults.columnWidth)
+  const rowHeight = Math.max(defaults.minRowHeight, options.rowHeight || defaults.rowHeight)
+  const cellRows = Array.isArray(options.cells) ? options.cells : []
+
+  const cells = []
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const text = cellRows[row]?.[column]
+      cells.push(text === undefined || text === null ? '' : String(text))
+    }
+  }
+
+  return {
+    rows,
+    columns,
+    columnWidths: Array(columns).fill(columnWidth),
+    rowHeights: Array(rows).fill(rowHeight),
+    cells,
+    width: columnWidth * columns,
+    height: rowHeight * rows
+  }
+}
+
+/**
+ * Get the width of each column, scaled to the table width
+ * @param {Object} table - Table object
+ * @returns {Array<number>} Column widths
+ */
+export const getColumnWidths = (table) =>
+  fitTracks(table.columnWidths, table.columns || 1, table.width, FUTURE_SHAPE_DEFAULTS.table.columnWidth)
+
+/**
+ * Get the height of each row, scaled to the table height
+ * @param {Object} table - Table object
+ * @returns {Array<number>} Row heights
+ */
+export const getRowHeights = (table) =>
+  fitTracks(table.rowHeights, table.rows || 1, table.height, FUTURE_SHAPE_DEFAULTS.table.rowHeight)
+
+/**
+ * Get the minimum box size of a table (every column/row at its minimum)
+ * @param {Object} table - Table object
+ * @returns {Object} { width, height }
+ */
+export const getTableMinSize = (table) => ({
+  width: (table.columns || 1) * FUTURE_SHAPE_DEFAULTS.table.minColumnWidth,
+  height: (table.rows || 1) * FUTURE_SHAPE_DEFAULTS.table.minRowHeight
+})
+
+/**
+ * Get the text of a cell
+ * @param {Object} table - Table object
+ * @param {number} row - Row index
+ * @param {number} column - Column index
+ * @returns {string} Cell text ('' for empty cells)
+ */
+export const getCellText = (table, row, column) =>
+  table.cells?.[row * (table.columns || 1) + column] ?? ''
+
+/**
+ * Set the text of a cell
+ * @param {Object} table - Table object
+ * @param {number} row - Row index
+ * @param {number} column - Column index
+ * @param {string} text - New cell text
+ * @returns {Array<string>} New cells array (the table is not modified)
+ */
+export const setCellText = (table, row, column, text) => {
+  const count = (table.rows || 1) * (table.columns || 1)
+  const cells = Array.from({ length: count }, (_, index) => table.cells?.[index] ?? '')
+  cells[row * (table.columns || 1) + column] = text
+  return cells
+}
+
+/**
+ * Get a cell's box relative to the table's top-left corner (unrotated)
+ * @param {Object} table - Table object
+ * @param {number} row - Row index
+ * @param {number} column - Column index
+ * @returns {Object} { x, y, width, height }
+ */
+export const getCellRect = (table, row, column) => {
+  const columnWidths = getColumnWidths(table)
+  const rowHeights = getRowHeights(table)
+
+  return {
+    x: sum(columnWidths.slice(0, column)),
+    y: sum(rowHeights.slice(0, row)),
+    width: columnWidths[column],
+    height: rowHeights[row]
+  }
+}
+
+/**
+ * Convert a canvas point to the table's unrotated frame, relative to its top-left
+ * @param {Object} table - Table object
+ * @param {Object} point - { x, y } in canvas coordinates
+ * @returns {Object} { x, y }
+ */
+const toTableLocal = (table, point) => {
+  const local = rotatePoint(point, getRotationPivot(table), -(table.rotation || 0))
+  return { x: local.x - table.x, y: local.y - table.y }
+}
+
+/**
+ * Find the index of the track containing an offset
+ * @param {Array<number>} sizes - Track sizes
+ * @param {number} offset - Offset from the start of the first track
+ * @returns {number} Track index, or -1 outside every track
+ */
+const findTrack = (sizes, offset) => {
+  if (offset < 0) return -1
+  let end = 0
+  for (let i = 0; i < sizes.length; i++) {
+    end += sizes[i]
+    if (offset <= end) return i
+  }
+  return -1
+}
+
+/**
+ * Find the cell at a canvas point
+ * @param {Object} table - Table object
+ * @param {Object} point - { x, y } in canvas coordinates
+ * @returns {Object|null} { row, column }, or null outside the table
+ */
+export const getTableCellAt = (table, point) => {
+  const local = toTableLocal(table, point)
+  const column = findTrack(getColumnWidths(table), local.x)
+  const row = findTrack(getRowHeights(table), local.y)
+
+  return row >= 0 && column >= 0 ? { row, column } : null
+}
+
+/**
+ * Detect an inner grid line near a canvas point
+ * The outer border is left to the resize handles.
+ * @param {Object} point - { x, y } in canvas coordinates
+ * @param {Object} table - Table object
+ * @param {number} tolerance - Hit distance in canvas units
+ * @returns {Object|null} { axis: 'column'|'row', index } where index is the column/row before the line
+ */
+export const detectTableDivider = (point, table, tolerance = FUTURE_SHAPE_DEFAULTS.table.dividerHitDistance) => {
+  const local = toTableLocal(table, point)
+  if (local.x < 0 || local.x > table.width || local.y < 0 || local.y > table.height) return null
+
+  const findDivider = (sizes, offset) => {
+    let edge = 0
+    for (let i = 0; i < sizes.length - 1; i++) {
+      edge += sizes[i]
+      if (Math.abs(offset - edge) <= tolerance) return i
+    }
+    return -1
+  }
+
+  const column = findDivider(getColumnWidths(table), local.x)
+  if (column >= 0) return { axis: 'column', index: column }
+
+  const row = findDivider(getRowHeights(table), local.y)
+  if (row >= 0) return { axis: 'row', index: row }
+
+  return null
+}
+
+/**
+ * Get the next cell for Tab navigation (wrapping across rows)
+ * @param {Object} table - Table object
+ * @param {number} row - Current row
+ * @param {number} column - Current column
+ * @param {boolean} backwards - Shift+Tab moves to the previous cell
+ * @returns {Object|null} { row, column }, or null past the first/last cell
+ */
+export const getAdjacentCell = (table, row, column, backwards = false) => {
+  const columns = table.columns || 1
+  const index = row * columns + column + (backwards ? -1 : 1)
+  if (index < 0 || index >= (table.rows || 1) * columns) return null
+  return { row: Math.floor(index / columns), column: index % columns }
+}
+
+/**
+ * Change the number of rows and columns, keeping existing cells in place
+ * Rows and columns are added or removed at the end; new ones get the default size.
+ * @param {Object} table - Table object
+ * @param {number} rows - New row count
+ * @param {number} columns - New column count
+ * @returns {Object} Updates { rows, columns, cells, columnWidths, rowHeights, width, height }
+ */
+export const resizeTableGrid = (table, rows, columns) => {
+  const defaults = FUTURE_SHAPE_DEFAULTS.table
+  const size = clampTableSize(rows, columns)
+  const resizeTracks = (sizes, count, fallback) =>
+    Array.from({ length: count }, (_, i) => sizes[i] ?? fallback)
+
+  const columnWidths = resizeTracks(getColumnWidths(table), size.columns, defaults.columnWidth)
+  const rowHeights = resizeTracks(getRowHeights(table), size.rows, defaults.rowHeight)
+
+  const cells = []
+  for (let row = 0; row < size.rows; row++) {
+    for (let column = 0; column < size.columns; column++) {
+      cells.push(row < table.rows && column < table.columns ? getCellText(table, row, column) : '')
+    }
+  }
+
+  return {
+    rows: size.rows,
+    columns: size.columns,
+    cells,
+    columnWidths,
+    rowHeights,
+    width: sum(columnWidths),
+    height: sum(rowHeights)
+  }
+}
@@ -0,0 +1,395 @@
+import { distanceToSegment } from './lineGeometry.js'
+
+/**
+ * Vector Path Utilities
+ *
+ * Pen tool paths are `path` objects that store cubic Bézier anchors instead of
+ * freehand points:
+ * - anchors: [{ x, y, handleIn, handleOut }] relative to the path's x/y.
+ *   handleIn/handleOut are control points ({ x, y }, same space) or null.
+ *   An anchor without handles is a corner, one with handles is smooth.
+ * - closed: whether the last anchor connects back to the first
+ *
+ * The box (x/y/width/height) and rotation work exactly like freehand paths.
+ */
+
+// Samples per curved segment when flattening for hit testing and bounds
+const CURVE_SAMPLES = 16
+
+// Same guard as freehand paths - the box never collapses to zero
+const MIN_PATH_SIZE = 1
+
+// Converted corners get handles a third of the way to their neighbours
+const SMOOTH_HANDLE_RATIO = 1 / 3
+
+// RTDB precision for anchor coordinates
+const ANCHOR_PRECISION = 10
+
+const lerp = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t })
+
+const samePoint = (a, b) => Math.abs(a.x - b.x) < 1e-6 && Math.abs(a.y - b.y) < 1e-6
+
+// A handle sitting on its anchor has no effect, store it as null
+const toHandle = (point, anchor) => (samePoint(point, anchor) ? null : { x: point.x, y: point.y })
+
+const mapAnchorPoints = (anchors, transform) => anchors.map(anchor => {
+  const point = transform(anchor)
+  return {
+    x: point.x,
+    y: point.y,
+    handleIn: anchor.handleIn ? transform(anchor.handleIn) : null,
+    handleOut: anchor.handleOut ? transform(anchor.handleOut) : null
+  }
+})
+
+/**
+ * Check whether a path stores Bézier anchors (pen tool) rather than freehand points
+ * @param {Object} path - Path object
+ * @returns {boolean}
+ */
+export const isVectorPath = (path) => Array.isArray(path?.anchors)
+
+/**
+ * Create an anchor
+ * @param {Object} point - { x, y }
+ * @param {Object|null} handleIn - Incoming control point
+ * @param {Object|null} handleOut - Outgoing control point
+ * @returns {Object} Anchor
+ */
+export const createAnchor = (point, handleIn = null, handleOut = null) => ({
+  x: point.x,
+  y: point.y,
+  handleIn: handleIn ? { x: handleIn.x, y: handleIn.y } : null,
+  handleOut: handleOut ? { x: handleOut.x, y: handleOut.y } : null
+})
+
+/**
+ * Split anchors into cubic segments
+ * @param {Array<Object>} anchors - Anchors
+ * @param {boolean} closed - Whether the path is closed
+ * @returns {Array<Object>} [{ index, start, control1, control2, end }] (index = start anchor)
+ */
+export const getPathSegments = (anchors, closed = false) => {
+  const segments = []
+  const count = anchors.length
+  const segmentCount = closed && count > 1 ? count : count - 1
+
+  for (let i = 0; i < segmentCount; i++) {
+    const start = anchors[i]
+    const end = anchors[(i + 1) % count]
+    segments.push({
+      index: i,
+      start,
+      control1: start.handleOut || start,
+      control2: end.handleIn || end,
+      end
+    })
+  }
+
+  return segments
+}
+
+/**
+ * Check whether a segment is a straight line (no handles on either end)
+ * @param {Object} segment - Segment from getPathSegments
+ * @returns {boolean}
+ */
+export const isStraightSegment = (segment) => !segment.start.handleOut && !segment.end.handleIn
+
+/**
+ * Get the point at t along a cubic segment
+ * @param {Object} segment - Segment from getPathSegments
+ * @param {number} t - Curve parameter (0-1)
+ * @returns {Object} { x, y }
+ */
+export const getSegmentPoint = (segment, t) => {
+  const { start, control1, control2, end } = segment
+  const mt = 1 - t
+  const a = mt * mt * mt
+  const b = 3 * mt * mt * t
+  const c = 3 * mt * t * t
+  const d = t * t * t
+
+  return {
+    x: a * start.x + b * control1.x + c * control2.x + d * end.x,
+    y: a * start.y + b * control1.y + c * control2.y + d * end.y
+  }
+}
+
+/**
+ * Flatten anchors into a polyline (Konva Line points format)
+ * Straight segments contribute only their end point.
+ * @param {Array<Object>} anchors - Anchors
+ * @param {boolean} closed - Whether the path is closed (the first point is repeated at the end)
+ * @param {number} samples - Samples per curved segment
+ * @returns {Array<number>} Flat points array
+ */
+export const flattenAnchors = (anchors, closed = false, samples = CURVE_SAMPLES) => {
+  if (anchors.length === 0) return []
+
+  const points = [anchors[0].x, anchors[0].y]
+  getPathSegments(anchors, closed).forEach(segment => {
+    if (isStraightSegment(segment)) {
+      points.push(segment.end.x, segment.end.y)
+      return
+    }
+    for (let i = 1; i <= samples; i++) {
+      const point = getSegmentPoint(segment, i / samples)
+      points.push(point.x, point.y)
+    }
+  })
+
+  return points
+}
+
+/**
+ * Build SVG path data for anchors (Konva Path `data` format)
+ * @param {Array<Object>} anchors - Anchors
+ * @param {boolean} closed - Whether the path is closed
+ * @returns {string} e.g. "M0 0 C10 0 20 10 20 20 Z"
+ */
+export const anchorsToSvgPath = (anchors, closed = false) => {
+  if (anchors.length === 0) return ''
+
+  const commands = [`M${anchors[0].x} ${anchors[0].y}`]
+  getPathSegments(anchors, closed).forEach(segment => {
+    const { control1, control2, end } = segment
+    commands.push(isStraightSegment(segment)
+      ? `L${end.x} ${end.y}`
+      : `C${control1.x} ${control1.y} ${control2.x} ${control2.y} ${end.x} ${end.y}`)
+  })
+  if (closed && anchors.length > 1) commands.push('Z')
+
+  return commands.join(' ')
+}
+
+/**
+ * Build vector path geometry from anchors in canvas coordinates
+ * The box fits the drawn curve (handles may stick out of it).
+ * @param {Array<Object>} absoluteAnchors - Anchors in canvas coordinates
+ * @param {boolean} closed - Whether the path is closed
+ * @returns {Object} { x, y, width, height, anchors, closed, rotation }
+ */
+export const buildVectorPathGeometry = (absoluteAnchors, closed = false) => {
+  const flat = flattenAnchors(absoluteAnchors, closed)
+  const xs = flat.filter((_, i) => i % 2 === 0)
+  const ys = flat.filter((_, i) => i % 2 === 1)
+  const x = Math.min(...xs)
+  const y = Math.min(...ys)
+
+  return {
+    x,
+    y,
+    width: Math.max(Math.max(...xs) - x, MIN_PATH_SIZE),
+    height: Math.max(Math.max(...ys) - y, MIN_PATH_SIZE),
+    anchors: translateAnchors(absoluteAnchors, -x, -y),
+    closed: Boolean(closed),
+    rotation: 0
+  }
+}
+
+/**
+ * Move anchors (and their handles)
+ * @param {Array<Object>} anchors - Anchors
+ * @param {number} dx - X offset
+ * @param {number} dy - Y offset
+ * @returns {Array<Object>} Moved anchors
+ */
+export const translateAnchors = (anchors, dx, dy) =>
+  mapAnchorPoints(anchors, point => ({ x: point.x + dx, y: point.y + dy }))
+
+/**
+ * Scale anchors relative to the path origin (used when the path's box is resized)
+ * @param {Array<Object>} anchors - Anchors relative to the path's x/y
+ * @param {number} scaleX - Horizontal scale
+ * @param {number} scaleY - Vertical scale
+ * @returns {Array<Object>} Scaled anchors
+ */
+export const scaleAnchors = (anchors, scaleX, scaleY) =>
+  mapAnchorPoints(anchors, point => ({ x: point.x * scaleX, y: point.y * scaleY }))
+
+/**
+ * Split a segment with de Casteljau's algorithm and insert an anchor at t
+ * The curve keeps its exact shape.
+ * @param {Array<Object>} anchors - Anchors
+ * @param {boolean} closed - Whether the path is closed
+ * @param {number} segmentIndex - Segment to split (index of its start anchor)
+ * @param {number} t - Curve parameter (0-1)
+ * @returns {Object} { anchors, index } - New anchors and the inserted anchor's index
+ */
+export const insertAnchor = (anchors, closed, segmentIndex, t) => {
+  const segment = getPathSegments(anchors, closed)[segmentIndex]
+  if (!segment) return { anchors, index: -1 }
+
+  const endIndex = (segmentIndex + 1) % anchors.length
+  const insertIndex = segmentIndex + 1
+  const result = anchors.map(anchor => createAnchor(anchor, anchor.handleIn, anchor.handleOut))
+
+  if (isStraightSegment(segment)) {
+    result.splice(insertIndex, 0, createAnchor(lerp(segment.start, segment.end, t)))
+    return { anchors: result, index: insertIndex }
+  }
+
+  const { start, control1, control2, end } = segment
+  const p01 = lerp(start, control1, t)
+  const p12 = lerp(control1, control2, t)
+  const p23 = lerp(control2, end, t)
+  const p012 = lerp(p01, p12, t)
+  const p123 = lerp(p12, p23, t)
+  const split = lerp(p012, p123, t)
+
+  result[segmentIndex].handleOut = toHandle(p01, start)
+  result[endIndex].handleIn = toHandle(p23, end)
+  result.splice(insertIndex, 0, createAnchor(split, toHandle(p012, split), toHandle(p123, split)))
+
+  return { anchors: result, index: insertIndex }
+}
+
+/**
+ * Remove an anchor (paths keep at least two anchors)
+ * @param {Array<Object>} anchors - Anchors
+ * @param {number} index - Anchor to remove
+ * @returns {Array<Object>|null} New anchors, or null if the anchor can't be removed
+ */
+export const removeAnchor = (anchors, index) => {
+  if (anchors.length <= 2 || index < 0 || index >= anchors.length) return null
+  return anchors.filter((_, i) => i !== index)
+}
+
+/**
+ * Convert an anchor between corner and smooth
+ * Smooth anchors get mirrored handles along the direction between their neighbours.
+ * @param {Array<Object>} anchors - Anchors
+ * @param {boolean} closed - Whether the path is closed
+ * @param {number} index - Anchor to convert
+ * @returns {Array<Object>} New anchors
+ */
+export const convertAnchor = (anchors, closed, index) => {
+  const anchor = anchors[index]
+  if (!anchor) return anchors
+
+  const result = [...anchors]
+  if (anchor.handleIn || anchor.handleOut) {
+    result[index] = createAnchor(anchor)
+    return result
+  }
+
+  const count = anchors.length
+  const prev = index > 0 ? anchors[index - 1] : (closed ? anchors[count - 1] : null)
+  const next = index < count - 1 ? anchors[index + 1] : (closed ? anchors[0] : null)
+  const from = prev || anchor
+  const to = next || anchor
+  const length = Math.hypot(to.x - from.x, to.y - from.y)
+  if (length === 0) return anchors
+
+  const direction = { x: (to.x - from.x) / length, y: (to.y - from.y) / length }
+  const inLength = prev ? Math.hypot(anchor.x - prev.x, anchor.y - prev.y) * SMOOTH_HANDLE_RATIO : 0
+  const outLength = next ? Math.hypot(next.x - anchor.x, next.y - anchor.y) * SMOOTH_HANDLE_RATIO : 0
+
+  result[index] = createAnchor(
+    anchor,
+    inLength ? { x: anchor.x - direction.x * inLength, y: anchor.y - direction.y * inLength } : null,
+    outLength ? { x: anchor.x + direction.x * outLength, y: anchor.y + direction.y * outLength } : null
+  )
+  return result
+}
+
+/**
+ * Move one handle of an anchor
+ * With mirroring, the opposite handle keeps its length but turns to stay collinear.
+ * @param {Object} anchor - Anchor
+ * @param {string} handle - 'handleIn' or 'handleOut'
+ * @param {Object} point - New handle position
+ * @param {boolean} mirror - Keep the opposite handle collinear
+ * @returns {Object} New anchor
+ */
+export const moveAnchorHandle = (anchor, handle, point, mirror = true) => {
+  const opposite = handle === 'handleIn' ? 'handleOut' : 'handleIn'
+  const updated = createAnchor(anchor, anchor.handleIn, anchor.handleOut)
+  updated[handle] = toHandle(point, anchor)
+
+  const oppositeHandle = anchor[opposite]
+  const length = Math.hypot(point.x - anchor.x, point.y - anchor.y)
+  if (mirror && oppositeHandle && length > 0) {
+    const oppositeLength = Math.hypot(oppositeHandle.x - anchor.x, oppositeHandle.y - anchor.y)
+    updated[opposite] = {
+      x: anchor.x - (point.x - anchor.x) / length * oppositeLength,
+      y: anchor.y - (point.y - anchor.y) / length * oppositeLength
+    }
+  }
+
+  return updated
+}
+
+/**
+ * Move an anchor together with its handles
+ * @param {Object} anchor - Anchor
+ * @param {Object} point - New anchor position
+ * @returns {Object} New anchor
+ */
+export const moveAnchor = (anchor, point) => translateAnchors([anchor], point.x - anchor.x, point.y - anchor.y)[0]
+
+/**
+ * Find the segment closest to a point
+ * @param {Object} point - { x, y } in the anchors' coordinate space
+ * @param {Array<Object>} anchors - Anchors
+ * @param {boolean} closed - Whether the path is closed
+ * @param {number} tolerance - Maximum distance
+ * @returns {Object|null} { segmentIndex, t, distance } or null if nothing is within tolerance
+ */
+export const findSegmentAt = (point, anchors, closed, tolerance) => {
+  let best = null
+
+  getPathSegments(anchors, closed).forEach(segment => {
+    const samples = isStraightSegment(segment) ? 1 : CURVE_SAMPLES * 2
+    let previous = segment.start
+
+    for (let i = 1; i <= samples; i++) {
+      const current = getSegmentPoint(segment, i / samples)
+      const distance = distanceToSegment(point, previous, current)
+
+      if (distance <= tolerance && (!best || distance < best.distance)) {
+        // Interpolate t within the sample span from the projection onto it
+        const spanX = current.x - previous.x
+        const spanY = current.y - previous.y
+        const spanLengthSq = spanX * spanX + spanY * spanY
+        const along = spanLengthSq === 0
+          ? 0
+          : Math.max(0, Math.min(1, ((point.x - previous.x) * spanX + (point.y - previous.y) * spanY) / spanLengthSq))
+        best = { segmentIndex: segment.index, t: (i - 1 + along) / samples, distance }
+      }
+
+      previous = current
+    }
+  })
+
+  return best
+}
+
+/**
+ * Encode anchors for RTDB as a compact JSON string
+ * RTDB drops null handles and turns arrays into index-keyed objects.
+ * @param {Array<Object>} anchors - Anchors
+ * @returns {string} JSON string
+ */
+export const encodePathAnchors = (anchors) => {
+  const round = value => Math.round(value * ANCHOR_PRECISION) / ANCHOR_PRECISION
+  return JSON.stringify(mapAnchorPoints(anchors, point => ({ x: round(point.x), y: round(point.y) })))
+}
+
+/**
+ * Decode anchors read from RTDB (arrays pass through unchanged)
+ * @param {string|Array<Object>} encoded - Encoded anchors
+ * @returns {Array<Object>} Anchors
+ */
+export const decodePathAnchors = (encoded) => {
+  if (Array.isArray(encoded)) return encoded
+  if (typeof encoded !== 'string' || encoded.length === 0) return []
+  try {
+    const anchors = JSON.parse(encoded)
+    return Array.isArray(anchors) ? anchors : []
+  } catch (error) {
+    console.warn('Invalid path anchors from RTDB:', error)
+    return []
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Storage Rules Tests (Firebase Emulator Suite)
+ *
+ * Checks that canvas images and fonts in Cloud Storage are only readable and writable by
+ * the canvas owner and its collaborators, mirroring the canvas checks in
+ * firestore.rules. Runs against the Auth, Firestore and Storage emulators:
+ *
+ *   npm run test:storage-rules
+ *
+ * The script runs the emulators through the Firebase CLI (`npm install -g firebase-tools`).
+ * The suite is skipped when FIREBASE_STORAGE_EMULATOR_HOST is not set
+ * (firebase emulators:exec sets it), so `npm test` does not need the emulators.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { initializeApp, deleteApp } from 'firebase/app'
+import { getAuth, connectAuthEmulator, createUserWithEmailAndPassword } from 'firebase/auth'
+import { getFirestore, connectFirestoreEmulator, doc, setDoc } from 'firebase/firestore'
+import { getStorage, connectStorageEmulator, ref, uploadBytes, getBytes, listAll, deleteObject } from 'firebase/storage'
+
+const STORAGE_HOST = import.meta.env.FIREBASE_STORAGE_EMULATOR_HOST
+const FIRESTORE_HOST = import.meta.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080'
+const AUTH_HOST = import.meta.env.FIREBASE_AUTH_EMULATOR_HOST || 'localhost:9099'
+const PROJECT_ID = import.meta.env.GCLOUD_PROJECT || 'demo-canvasaurus'
+
+// Smallest valid PNG header is enough - the rules only look at size and content type
+const PNG_BYTES = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+
+const splitHost = (host) => {
+  const [hostname, port] = host.split(':')
+  return [hostname, Number(port)]
+}
+
+/**
+ * Create a Firebase app signed in as a fresh emulator user
+ */
+const createSignedInClient = async (name) => {
+  const app = initializeApp({
+    apiKey: 'demo-api-key',
+    projectId: PROJECT_ID,
+    storageBucket: `${PROJECT_ID}.appspot.com`
+  }, name)
+
+  const auth = getAuth(app)
+  connectAuthEmulator(auth, `http://${AUTH_HOST}`, { disableWarnings: true })
+  const db = getFirestore(app)
+  connectFirestoreEmulator(db, ...splitHost(FIRESTORE_HOST))
+  const storage = getStorage(app)
+  connectStorageEmulator(storage, ...splitHost(STORAGE_HOST))
+
+  const { user } = await createUserWithEmailAndPassword(auth, `${name}-${Date.now()}@test.com`, 'password123')
+  return { app, db, storage, uid: user.uid }
+}
+
+describe.skipIf(!STORAGE_HOST)('storage.rules - canvas images', () => {
+  const canvasId = `rules-canvas-${Date.now()}`
+  const imagePath = `canvases/${canvasId}/images/owner-upload.png`
+  let owner
+  let collaborator
+  let stranger
+
+  beforeAll(async () => {
+    collaborator = await createSignedInClient('collaborator')
+    stranger = await createSignedInClient('stranger')
+    owner = await createSignedInClient('owner')
+
+    await setDoc(doc(owner.db, 'canvases', canvasId), {
+      name: 'Rules test canvas',
+      ownerId: owner.uid,
+      collaborators: [collaborator.uid]
+    })
+    await uploadBytes(ref(owner.storage, imagePath), PNG_BYTES, { contentType: 'image/png' })
+  })
+
+  afterAll(async () => {
+    await Promise.all([owner, collaborator, stranger].filter(Boolean).map(client => deleteApp(client.app)))
+  })
+
+  it('should let collaborators upload PNG, JPEG and SVG images', async () => {
+    for (const [name, contentType] of [['photo.jpg', 'image/jpeg'], ['icon.svg', 'image/svg+xml']]) {
+      await expect(
+        uploadBytes(ref(collaborator.storage, `canvases/${canvasId}/images/${name}`), PNG_BYTES, { contentType })
+      ).resolves.toBeDefined()
+    }
+  })
+
+  it('should let collaborators read canvas images', async () => {
+    const bytes = await getBytes(ref(collaborator.storage, imagePath))
+
+    expect(bytes.byteLength).toBe(PNG_BYTES.length)
+  })
+
+  it('should let collaborators list canvas images so they can be deleted with the canvas', async () => {
+    const { items } = await listAll(ref(collaborator.storage, `canvases/${canvasId}/images`))
+
+    expect(items.map(item => item.fullPath)).toContain(imagePath)
+    await expect(listAll(ref(stranger.storage, `canvases/${canvasId}/images`))).rejects.toMatchObject({ code: 'storage/unauthorized' })
+  })
+
+  it('should reject other file types', async () => {
+    await expect(
+      uploadBytes(ref(owner.storage, `canvases/${canvasId}/images/notes.txt`), PNG_BYTES, { contentType: 'text/plain' })
+    ).rejects.toMatchObject({ code: 'storage/unauthorized' })
+  })
+
+  it('should deny users without access to the canvas', async () => {
+    await expect(getBytes(ref(stranger.storage, imagePath))).rejects.toMatchObject({ code: 'storage/unauthorized' })
+    await expect(
+      uploadBytes(ref(stranger.storage, `canvases/${canvasId}/images/intruder.png`), PNG_BYTES, { contentType: 'image/png' })
+    ).rejects.toMatchObject({ code: 'storage/unauthorized' })
+    await expect(deleteObject(ref(stranger.storage, imagePath))).rejects.toMatchObject({ code: 'storage/unauthorized' })
+  })
+
+  it('should deny paths outside a canvas images folder', async () => {
+    await expect(
+      uploadBytes(ref(owner.storage, `uploads/${owner.uid}/image.png`), PNG_BYTES, { contentType: 'image/png' })
+    ).rejects.toMatchObject({ code: 'storage/unauthorized' })
+  })
+
+  it('should let collaborators upload fonts but not other files to the fonts folder', async () => {
+    await expect(
+      uploadBytes(ref(collaborator.storage, `canvases/${canvasId}/fonts/brand.woff2`), PNG_BYTES, { contentType: 'font/woff2' })
+    ).resolves.toBeDefined()
+    await expect(
+      uploadBytes(ref(collaborator.storage, `canvases/${canvasId}/fonts/photo.png`), PNG_BYTES, { contentType: 'image/png' })
+    ).rejects.toMatchObject({ code: 'storage/unauthorized' })
+    await expect(
+      uploadBytes(ref(stranger.storage, `canvases/${canvasId}/fonts/intruder.woff2`), PNG_BYTES, { contentType: 'font/woff2' })
+    ).rejects.toMatchObject({ code: 'storage/unauthorized' })
+  })
+
+  it('should let collaborators delete canvas images', async () => {
+    await expect(deleteObject(ref(collaborator.storage, imagePath))).resolves.toBeUndefined()
+  })
+})